@@ -68,6 +68,13 @@ class ImageCanvasApp {
                 }
             });
             
+            // Logging in or out swaps the session token - reconnect so the socket carries it
+            this.userProfileSystem.on('sessionChanged', () => {
+                if (this.networkLayer) {
+                    this.networkLayer.reauthenticate();
+                }
+            });
+            
             // Initialize user profile panel
             this.userProfilePanel = new UserProfilePanel();
             
@@ -1065,6 +1072,28 @@ async function initApp() {
             app.colorCorrectionBtn.classList.toggle('active', isVisible);
         });
         
+        // Initialize Canvas Exporter
+        app.canvasExporter = new CanvasExporter(app);
+        app.exportDialog = new ExportDialog(app);
+        
+        // Initialize clipboard bridge (paste screenshots and URLs, copy the selection as PNG)
+        app.clipboardManager = new ClipboardManager(app);
+        
+        // Initialize frame grabbing (video frames and contact sheets as images)
+        app.videoFrameGrabber = new VideoFrameGrabber(app);
+        
+        // Initialize grade copy/paste, presets and LUT import
+        app.colorGradeManager = new ColorGradeManager(app);
+        
+        // Initialize annotation tool (pen/marker/eraser on media nodes)
+        app.annotationTool = new AnnotationTool(app);
+        
+        // Initialize search overlay (/ to search this canvas and every canvas you can open)
+        app.searchOverlay = new SearchOverlay(app);
+        
+        // Initialize outline panel (O for the tree of groups and nodes)
+        app.outlinePanel = new OutlinePanel(app);
+        
         // Initialize Navigation State Manager
         app.navigationStateManager = new NavigationStateManager(app);
         window.navigationStateManager = app.navigationStateManager;
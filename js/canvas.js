@@ -19,9 +19,13 @@ class ImageCanvas {
         this.handleDetector = new HandleDetector(this.viewport, this.selection);
         this.animationSystem = new AnimationSystem();
         this.alignmentManager = new AutoAlignmentManager(this);
+        this.snapManager = new SnapManager(this);
+        this.videoScrubber = new VideoScrubber(this);
         
         // Keyboard shortcuts system
         this.shortcutManager = null; // Will be initialized after config loads
+        this.isExporting = false; // Set by CanvasExporter while rendering offscreen
+        this.readOnly = false; // Viewer mode - select and pan only (see CanvasPermissions)
         
         // State
         this.dirty_canvas = true;
@@ -169,6 +173,17 @@ class ImageCanvas {
                 initialAngle: 0,
                 initial: new Map()
             },
+            cropping: {
+                active: false,
+                node: null,
+                edge: null,
+                initial: null
+            },
+            connecting: {
+                active: false,
+                node: null,
+                end: null
+            },
             selecting: {
                 active: false,
                 startGraph: [0, 0]
@@ -298,6 +313,16 @@ class ImageCanvas {
         return aspectLockShortcut && event.shiftKey;
     }
     
+    isSnapDisabled(event) {
+        if (!this.shortcutManager) {
+            // Fallback to hardcoded behavior
+            return event.ctrlKey || event.metaKey;
+        }
+        
+        const snapShortcut = this.shortcutManager.getShortcut('SELECTION', 'SNAP_DISABLE');
+        return snapShortcut && (event.ctrlKey || event.metaKey);
+    }
+    
     isResizeFromCenterEnabled(event) {
         if (!this.shortcutManager) {
             // Fallback to hardcoded behavior
@@ -835,6 +860,24 @@ Mode: ${this.fpsTestMode}`;
         this.mouseState.down = true;
         this.mouseState.button = e.button;
         
+        // Strokes in progress are handled by the annotation tool's pointer events
+        if (window.app?.annotationTool?.isBusy) {
+            e.preventDefault();
+            return;
+        }
+        
+        // Chat thread badges sit on top of nodes
+        if (e.button === 0 && !isGalleryMode && window.app?.chatPanel?.handleCanvasClick(x, y)) {
+            e.preventDefault();
+            return;
+        }
+        
+        // Timeline bar on the hovered video, in gallery mode too
+        if (e.button === 0 && !this.spacePressed && this.videoScrubber.handleMouseDown(x, y)) {
+            e.preventDefault();
+            return;
+        }
+        
         // Debug: log all properties of node under mouse (commented out to reduce console noise)
         // const node = this.handleDetector.getNodeAtPosition(...this.mouseState.graph, this.graph.nodes);
         // if (node) {
@@ -859,7 +902,7 @@ Mode: ${this.fpsTestMode}`;
         }
         
         // GRID ALIGN MODE TRIGGER (TAKES PRECEDENCE)
-        if (this.isGridAlignEnabled(e) && e.button === 0) {
+        if (this.isGridAlignEnabled(e) && e.button === 0 && !this.readOnly) {
             
             if (this.alignmentManager && this.alignmentManager.startGridAlign(this.mouseState.graph)) {
                 e.preventDefault();
@@ -876,6 +919,15 @@ Mode: ${this.fpsTestMode}`;
             return;
         }
         
+        // Viewers can select nodes but not move, resize or rotate them
+        if (this.readOnly) {
+            this.handleReadOnlySelection(e);
+            e.preventDefault();
+            return;
+        }
+        
+        if (this.handleCropMode(e)) return;
+        if (this.handleConnectorMode(e)) return;
         if (this.handleRotationMode(e)) return;
         if (this.handleResizeMode(e)) return;
         if (this.handleNodeDrag(e)) return;
@@ -896,6 +948,11 @@ Mode: ${this.fpsTestMode}`;
         this.mouseState.canvas = [x, y];
         this.mouseState.graph = this.viewport.convertOffsetToGraph(x, y);
         
+        if (this.videoScrubber.handleMouseMove(x, y)) {
+            this.mouseState.last = [x, y];
+            return;
+        }
+        
         // Handle alignment modes first
         if (this.alignmentManager) {
             if (this.alignmentManager.gridAlignMode && this.alignmentManager.gridAlignDragging) {
@@ -928,6 +985,12 @@ Mode: ${this.fpsTestMode}`;
     }
     
     onMouseUp(e) {
+        if (this.videoScrubber.handleMouseUp()) {
+            this.mouseState.down = false;
+            this.mouseState.button = -1;
+            return;
+        }
+        
         // Handle alignment mode endings
         if (this.alignmentManager) {
             if (this.alignmentManager.autoAlignMode) {
@@ -1028,6 +1091,13 @@ Mode: ${this.fpsTestMode}`;
     onDoubleClick(e) {
         console.log('Double-click detected at canvas:', this.mouseState.canvas);
         
+        // Double-clicking a crop handle shows the whole image again
+        const cropHandle = this.handleDetector.getCropHandle(...this.mouseState.canvas);
+        if (cropHandle) {
+            this.resetCrop([cropHandle.node]);
+            return;
+        }
+        
         // Check for double-click on handles first
         const rotationHandle = this.handleDetector.getRotationHandle(...this.mouseState.canvas);
         if (rotationHandle) {
@@ -1256,6 +1326,13 @@ Mode: ${this.fpsTestMode}`;
         
         if (this.isEditingText()) return;
         
+        // Enter or Escape leaves crop mode, keeping the crop
+        if (this.handleDetector.cropNode && (e.key === 'Enter' || e.key === 'Escape')) {
+            this.exitCropMode();
+            e.preventDefault();
+            return;
+        }
+        
         // Use shortcut manager for all keyboard shortcuts
         if (this.shortcutManager && this.shortcutManager.handleKeyEvent(e)) {
             e.preventDefault();
@@ -1327,7 +1404,7 @@ Mode: ${this.fpsTestMode}`;
         }
         
         // Alt+drag for node duplication (if enabled in config)
-        if (e.button === 0 && this.isDuplicateDragEnabled(e)) {
+        if (e.button === 0 && !this.readOnly && this.isDuplicateDragEnabled(e)) {
             const result = this.handleDetector.getNodeAtPosition(...this.mouseState.graph, this.graph.nodes);
             if (result) {
                 const node = result.node || result;
@@ -1347,6 +1424,39 @@ Mode: ${this.fpsTestMode}`;
     }
     
     
+    handleCropMode(e) {
+        const cropNode = this.handleDetector.cropNode;
+        if (!cropNode || e.button !== 0) return false;
+        
+        if (!this.selection.isSelected(cropNode)) {
+            this.exitCropMode();
+            return false;
+        }
+        
+        const cropHandle = this.handleDetector.getCropHandle(...this.mouseState.canvas);
+        if (cropHandle) {
+            this.startCrop(cropHandle);
+            return true;
+        }
+        
+        // Clicking anywhere else commits the crop, like pressing Enter
+        if (!cropNode.containsPoint(...this.mouseState.graph)) {
+            this.exitCropMode();
+        }
+        return false;
+    }
+    
+    handleConnectorMode(e) {
+        if (e.button !== 0) return false;
+        
+        const connectorHandle = this.handleDetector.getConnectorHandle(...this.mouseState.canvas);
+        if (connectorHandle) {
+            this.startConnectorDrag(connectorHandle);
+            return true;
+        }
+        return false;
+    }
+    
     handleRotationMode(e) {
         if (e.button !== 0) return false;
         
@@ -1386,7 +1496,8 @@ Mode: ${this.fpsTestMode}`;
                         this.startGroupResize(node, e);
                         return true;
                     case 'collapseButton':
-                        this.toggleGroupCollapsed(node);
+                        // Alt-click collapses or expands nested groups too
+                        this.toggleGroupCollapsed(node, { cascade: e.altKey });
                         return true;
                     // Note: removed 'background' case - groups only selectable via title bar
                 }
@@ -1420,6 +1531,49 @@ Mode: ${this.fpsTestMode}`;
         return false;
     }
     
+    handleReadOnlySelection(e) {
+        if (e.button !== 0) return false;
+        
+        const result = this.handleDetector.getNodeAtPosition(...this.mouseState.graph, this.graph.nodes);
+        if (!result) {
+            this.startSelection(e);
+            return true;
+        }
+        
+        // Group resize handles and collapse buttons change the canvas
+        const node = result.node || result;
+        if (result.interactionType && result.interactionType !== 'titleBar') {
+            return true;
+        }
+        
+        if (this.isToggleSelectEnabled(e)) {
+            this.selection.toggleNode(node);
+        } else {
+            this.selection.selectNode(node);
+        }
+        this.dirty_canvas = true;
+        return true;
+    }
+    
+    /**
+     * Switch viewer (read-only) mode on or off
+     */
+    setReadOnly(readOnly) {
+        if (this.readOnly === readOnly) return;
+        this.readOnly = readOnly;
+        this.handleDetector.enabled = !readOnly;
+        
+        if (readOnly) {
+            // Drop anything that was mid-edit when access changed
+            this.cancelTextEditing();
+            this.cancelTitleEditing();
+            if (this.isInteracting()) this.finishInteractions();
+            this.exitCropMode();
+        }
+        
+        this.dirty_canvas = true;
+    }
+    
     // ===================================
     // INTERACTION STARTERS
     // ===================================
@@ -1469,17 +1623,7 @@ Mode: ${this.fpsTestMode}`;
         this.interactionState.dragging.hasMoved = false;
         
         // Track if nodes are being dragged from a group
-        this.interactionState.dragging.draggedFromGroup = null;
-        const groups = this.graph.nodes.filter(n => n.type === 'container/group');
-        for (const group of groups) {
-            for (const selectedNode of nodesForInteraction) {
-                if (group.childNodes.has(selectedNode.id)) {
-                    this.interactionState.dragging.draggedFromGroup = group;
-                    break;
-                }
-            }
-            if (this.interactionState.dragging.draggedFromGroup) break;
-        }
+        this.interactionState.dragging.draggedFromGroup = this.findDraggedFromGroup(nodesForInteraction);
         
         // Capture initial positions for undo before any movement
         this.interactionState.dragging.initialPositions = new Map();
@@ -1490,8 +1634,9 @@ Mode: ${this.fpsTestMode}`;
             );
         }
         
-        // Calculate offsets for all selected nodes
+        // Calculate offsets for all selected nodes - locked ones stay put
         for (const selectedNode of nodesForInteraction) {
+            if (selectedNode.isLocked()) continue;
             const offset = [
                 selectedNode.pos[0] - this.mouseState.graph[0],
                 selectedNode.pos[1] - this.mouseState.graph[1]
@@ -1559,6 +1704,30 @@ Mode: ${this.fpsTestMode}`;
         }
     }
     
+    startCrop(cropHandle) {
+        const node = cropHandle.node;
+        const cropping = this.interactionState.cropping;
+        cropping.active = true;
+        cropping.node = node;
+        cropping.edge = cropHandle.edge;
+        cropping.initial = {
+            pos: [...node.pos],
+            size: [...node.size],
+            rotation: node.rotation || 0,
+            display: ImageCrop.getDisplayCrop(node),
+            image: ImageCrop.getImageFrame(node)
+        };
+        
+        window.app.undoManager.beginInteraction([node]);
+    }
+    
+    startConnectorDrag(connectorHandle) {
+        const connecting = this.interactionState.connecting;
+        connecting.active = true;
+        connecting.node = connectorHandle.node;
+        connecting.end = connectorHandle.end;
+    }
+    
     startSelection(e) {
         this.interactionState.selecting.active = true;
         this.interactionState.selecting.startGraph = [...this.mouseState.graph];
@@ -1589,10 +1758,12 @@ Mode: ${this.fpsTestMode}`;
         if (isMultiSelection) {
             // Multi-selection: duplicate all selected nodes locally
             const selectedNodes = this.selection.getSelectedNodes();
+            const duplicateById = new Map();
             
             for (const selectedNode of selectedNodes) {
                 const duplicate = this.duplicateNode(selectedNode);
                 if (duplicate) {
+                    duplicateById.set(selectedNode.id, duplicate);
                     // Position duplicate at same location initially
                     duplicate.pos[0] = selectedNode.pos[0];
                     duplicate.pos[1] = selectedNode.pos[1];
@@ -1610,6 +1781,13 @@ Mode: ${this.fpsTestMode}`;
                     }
                 }
             }
+            
+            // Connectors copied with their nodes follow the copies
+            for (const [originalId, duplicate] of duplicateById) {
+                if (duplicate.type !== 'shape/connector') continue;
+                ConnectorNode.rebindCopy(duplicate, this.graph.getNodeById(originalId),
+                    endpoint => duplicateById.get(endpoint.nodeId)?.id);
+            }
         } else {
             // Single node: duplicate just this node locally
             const duplicate = this.duplicateNode(node);
@@ -1665,17 +1843,22 @@ Mode: ${this.fpsTestMode}`;
         if (this.interactionState.dragging.canvas) {
             this.updateCanvasDrag();
         } else if (this.interactionState.dragging.node) {
-            this.updateNodeDrag();
+            this.updateNodeDrag(e);
         } else if (this.interactionState.resizing.active) {
             // Check if we're resizing a group
             const resizingNode = Array.from(this.interactionState.resizing.nodes)[0];
             if (resizingNode && resizingNode.type === 'container/group') {
-                this.updateGroupResize(...this.mouseState.graph);
+                const point = this.snapManager.snapResize([...this.mouseState.graph], [resizingNode], null, resizingNode.pos, this.isSnapDisabled(e));
+                this.updateGroupResize(...point);
             } else {
                 this.updateResize(e);
             }
         } else if (this.interactionState.rotating.active) {
             this.updateRotation(e);
+        } else if (this.interactionState.cropping.active) {
+            this.updateCrop();
+        } else if (this.interactionState.connecting.active) {
+            this.updateConnectorDrag();
         } else if (this.interactionState.selecting.active) {
             this.updateSelection();
         }
@@ -1692,7 +1875,7 @@ Mode: ${this.fpsTestMode}`;
         }
     }
     
-    updateNodeDrag() {
+    updateNodeDrag(e) {
         let moved = false;
         const movedGroups = new Map(); // Track group movements for child updates
         const draggedNodes = [];
@@ -1700,14 +1883,18 @@ Mode: ${this.fpsTestMode}`;
         // Build a set of dragged node IDs for quick lookup
         const draggedNodeIds = new Set(this.interactionState.dragging.offsets.keys());
         
+        // Snap the dragged nodes as one box to guides around them
+        const snapOffset = this.getDragSnapOffset(e);
+        
         // First update positions
         for (const [nodeId, offset] of this.interactionState.dragging.offsets) {
             const node = this.graph.getNodeById(nodeId);
-            if (node) {
+            // Connectors are placed by their endpoints
+            if (node && node.type !== 'shape/connector') {
                 const oldX = node.pos[0];
                 const oldY = node.pos[1];
-                const newX = this.mouseState.graph[0] + offset[0];
-                const newY = this.mouseState.graph[1] + offset[1];
+                const newX = this.mouseState.graph[0] + offset[0] + snapOffset[0];
+                const newY = this.mouseState.graph[1] + offset[1] + snapOffset[1];
                 
                 // Check if position actually changed (with small threshold to avoid floating point issues)
                 if (Math.abs(oldX - newX) > 0.01 || Math.abs(oldY - newY) > 0.01) {
@@ -1751,9 +1938,30 @@ Mode: ${this.fpsTestMode}`;
         this.selection.invalidateBoundingBox();
     }
     
+    /**
+     * Extra offset that puts the dragged nodes on a snapping guide
+     */
+    getDragSnapOffset(e) {
+        const nodes = [];
+        let delta = null;
+        
+        for (const [nodeId, offset] of this.interactionState.dragging.offsets) {
+            const node = this.graph.getNodeById(nodeId);
+            if (!node || node.type === 'shape/connector') continue;
+            nodes.push(node);
+            // Every node moves by the same amount
+            delta = delta || [
+                this.mouseState.graph[0] + offset[0] - node.pos[0],
+                this.mouseState.graph[1] + offset[1] - node.pos[1]
+            ];
+        }
+        
+        if (!delta) return [0, 0];
+        return this.snapManager.snapMove(nodes, delta, this.isSnapDisabled(e));
+    }
+    
     updateResize(e) {
-        const mouseX = this.mouseState.graph[0];
-        const mouseY = this.mouseState.graph[1];
+        const [mouseX, mouseY] = this.getResizeSnapPoint(e);
         
         if (this.interactionState.resizing.type === 'single-resize') {
             this.updateSingleResize(mouseX, mouseY, this.isResizeAspectLockEnabled(e), this.isResizeFromCenterEnabled(e));
@@ -1762,6 +1970,35 @@ Mode: ${this.fpsTestMode}`;
         }
     }
     
+    /**
+     * Mouse position with the dragged corner snapped to guides. Handles of
+     * rotated nodes and single handles in a multi-selection don't move an
+     * axis-aligned corner, so they aren't snapped.
+     */
+    getResizeSnapPoint(e) {
+        const resizing = this.interactionState.resizing;
+        const point = [...this.mouseState.graph];
+        const aspectLocked = !this.isResizeAspectLockEnabled(e);
+        let anchor = null;
+        let aspect = null;
+        
+        if (resizing.type === 'multi-resize' && resizing.initialBBox) {
+            const [bx, by, bw, bh] = resizing.initialBBox;
+            anchor = [bx, by];
+            aspect = aspectLocked ? bw / bh : null;
+        } else if (resizing.type === 'single-resize' && !resizing.isMultiContext && !resizing.node.rotation) {
+            const initial = resizing.initial.get(resizing.node.id);
+            if (initial) {
+                anchor = initial.pos;
+                // Text boxes resize freely either way
+                aspect = aspectLocked && resizing.node.type !== 'media/text' ? initial.aspect : null;
+            }
+        }
+        
+        const disabled = !anchor || this.isSnapDisabled(e);
+        return this.snapManager.snapResize(point, Array.from(resizing.nodes), aspect, anchor, disabled);
+    }
+    
     updateSingleResize(mouseX, mouseY, shift, ctrl) {
         const node = this.interactionState.resizing.node;
         const initial = this.interactionState.resizing.initial.get(node.id);
@@ -2206,6 +2443,74 @@ Mode: ${this.fpsTestMode}`;
         }
     }
     
+    updateCrop() {
+        const { node, edge, initial } = this.interactionState.cropping;
+        const { display, image } = initial;
+        
+        // Mouse in display-crop space (0-1 across the flipped image)
+        const [u, v] = AnnotationStrokes.graphToNode(initial, ...this.mouseState.graph);
+        const px = display.x + u * display.w;
+        const py = display.y + v * display.h;
+        const min = ImageCrop.MIN_SIZE;
+        
+        let left = display.x;
+        let top = display.y;
+        let right = display.x + display.w;
+        let bottom = display.y + display.h;
+        
+        if (edge.includes('l')) left = Math.min(Math.max(px, 0), right - min);
+        if (edge.includes('r')) right = Math.max(Math.min(px, 1), left + min);
+        if (edge.includes('t')) top = Math.min(Math.max(py, 0), bottom - min);
+        if (edge.includes('b')) bottom = Math.max(Math.min(py, 1), top + min);
+        
+        const frame = ImageCrop.localRectToGraph(
+            initial,
+            (left - display.x) * image.width,
+            (top - display.y) * image.height,
+            (right - left) * image.width,
+            (bottom - top) * image.height
+        );
+        node.pos[0] = frame.pos[0];
+        node.pos[1] = frame.pos[1];
+        node.size[0] = frame.size[0];
+        node.size[1] = frame.size[1];
+        
+        const crop = { x: left, y: top, w: right - left, h: bottom - top };
+        node.properties.crop = ImageCrop.normalize(
+            ImageCrop.toDisplay(crop, !!node.properties.flipH, !!node.properties.flipV)
+        );
+        node.aspectRatio = node.size[0] / node.size[1];
+        
+        this.dirty_canvas = true;
+    }
+    
+    /**
+     * Preview the dragged endpoint - bound to the node under the mouse,
+     * otherwise free at the mouse
+     */
+    updateConnectorDrag() {
+        const { node, end } = this.interactionState.connecting;
+        const [x, y] = this.mouseState.graph;
+        
+        const candidates = this.graph.nodes.filter(n => n.type !== 'shape/connector');
+        let target = this.handleDetector.getNodeAtPosition(x, y, candidates);
+        if (target?.node) target = target.node; // Group title bar hit
+        
+        let endpoint;
+        if (target) {
+            const reach = this.getConfig('HANDLES.SIZE', 12) / this.viewport.scale;
+            const anchor = ConnectorNode.getAnchorAt(target, x, y, reach);
+            const frame = ConnectorNode.getFrame(target);
+            const point = anchor === 'auto' ? [frame.cx, frame.cy] : ConnectorNode.getAnchorPoint(frame, anchor).point;
+            endpoint = ConnectorNode.createEndpoint(target.id, point, anchor);
+        } else {
+            endpoint = ConnectorNode.createEndpoint(null, [x, y]);
+        }
+        
+        node._endpointPreview = { end, endpoint };
+        this.dirty_canvas = true;
+    }
+    
     updateSelection() {
         this.selection.updateSelection(this.mouseState.graph);
     }
@@ -2219,7 +2524,13 @@ Mode: ${this.fpsTestMode}`;
             return;
         }
         
-        const cursor = this.handleDetector.getCursor(...this.mouseState.canvas);
+        if (window.app?.annotationTool?.active) {
+            this.canvas.style.cursor = window.app.annotationTool.getCursor();
+            return;
+        }
+        
+        const cursor = this.videoScrubber.getCursor(...this.mouseState.canvas) ||
+            this.handleDetector.getCursor(...this.mouseState.canvas);
         this.canvas.style.cursor = cursor;
     }
     
@@ -2276,10 +2587,9 @@ Mode: ${this.fpsTestMode}`;
         for (const node of selectedNodes) {
             nodesForInteraction.push(node);
             
-            // If this is a group, also include all child nodes for undo tracking
-            if (node.type === 'container/group' && node.getChildNodes) {
-                const childNodes = node.getChildNodes();
-                for (const child of childNodes) {
+            // If this is a group, also include everything inside it for undo tracking
+            if (node.type === 'container/group' && node.getDescendantNodes) {
+                for (const child of node.getDescendantNodes()) {
                     if (!nodesForInteraction.includes(child)) {
                         nodesForInteraction.push(child);
                     }
@@ -2287,6 +2597,9 @@ Mode: ${this.fpsTestMode}`;
             }
         }
         
+        // Nested groups can be dragged out of their parent
+        this.interactionState.dragging.draggedFromGroup = this.findDraggedFromGroup(selectedNodes);
+        
         // Filter out any undefined nodes before passing to undo manager
         const validNodes = nodesForInteraction.filter(n => n != null);
         if (validNodes.length > 0) {
@@ -2303,8 +2616,9 @@ Mode: ${this.fpsTestMode}`;
             );
         }
         
-        // Calculate offsets only for the selected nodes (not children)
+        // Calculate offsets only for the selected nodes (not children), skipping locked ones
         for (const selectedNode of selectedNodes) {
+            if (selectedNode.isLocked()) continue;
             const offset = [
                 selectedNode.pos[0] - this.mouseState.graph[0],
                 selectedNode.pos[1] - this.mouseState.graph[1]
@@ -2333,17 +2647,26 @@ Mode: ${this.fpsTestMode}`;
         this.dirty_canvas = true;
     }
     
-    toggleGroupCollapsed(groupNode) {
+    toggleGroupCollapsed(groupNode, { cascade = false } = {}) {
+        // Nodes that disappear into the group can't stay selected
+        if (!groupNode.isCollapsed) {
+            for (const node of groupNode.getDescendantNodes()) {
+                this.selection.deselectNode(node);
+            }
+        }
+        
         if (window.app?.operationPipeline) {
             const command = new window.NodeCommands.GroupNodeCommand({
                 action: 'group_toggle_collapsed',
-                groupId: groupNode.id
+                groupId: groupNode.id,
+                collapsed: !groupNode.isCollapsed,
+                cascade
             });
             
             window.app.operationPipeline.executeCommand(command);
         } else {
             // Fallback for non-collaborative mode
-            groupNode.toggleCollapsed();
+            groupNode.setCollapsed(!groupNode.isCollapsed, cascade);
             this.dirty_canvas = true;
         }
     }
@@ -2374,12 +2697,19 @@ Mode: ${this.fpsTestMode}`;
      * Update brightness effects when dragging nodes over groups
      */
     updateGroupHoverStates(draggedNodes) {
-        // Skip if we're dragging groups themselves
-        const isDraggingGroups = draggedNodes.some(n => n.type === 'container/group');
-        if (isDraggingGroups) return;
+        // Everything inside dragged groups moves along with them
+        const movingWithGroups = new Set();
+        for (const node of draggedNodes) {
+            if (node.type === 'container/group') {
+                node.getDescendantNodes().forEach(child => movingWithGroups.add(child.id));
+            }
+        }
         
-        // Find all groups in the graph
-        const groups = this.graph.nodes.filter(n => n.type === 'container/group');
+        // Groups that can take the dropped nodes - not the dragged groups or anything inside
+        // them, and not hidden groups
+        const hidden = GroupNode.getHiddenNodeIds(this.graph.nodes);
+        const groups = this.graph.nodes.filter(n => n.type === 'container/group' &&
+            !draggedNodes.includes(n) && !movingWithGroups.has(n.id) && !hidden.has(n.id));
         
         // Get current hover state
         const previousGroup = this.interactionState.dragging.potentialGroup;
@@ -2405,49 +2735,16 @@ Mode: ${this.fpsTestMode}`;
         
         // Check if any dragged node is over a group
         // First, try the node under mouse for more intuitive behavior
-        if (nodeUnderMouse) {
-            for (const group of groups) {
-                // Skip collapsed groups
-                if (group.isCollapsed) continue;
-                
-                // Check if the node under mouse is over this group
-                if (group.shouldContainNode && group.shouldContainNode(nodeUnderMouse)) {
-                    targetGroup = group;
-                    break; // Use first matching group
-                }
-            }
+        if (nodeUnderMouse && !movingWithGroups.has(nodeUnderMouse.id)) {
+            targetGroup = this.findDropGroup(nodeUnderMouse, groups);
         }
         
         // If no group found via mouse position, check all dragged nodes
         // This ensures we detect when moving nodes within their current group
         if (!targetGroup) {
-            const draggedFromGroup = this.interactionState.dragging.draggedFromGroup;
-            
             for (const node of draggedNodes) {
-                // First, check if the node is still within its current parent group
-                // This gives priority to keeping nodes in their existing groups
-                if (draggedFromGroup && !draggedFromGroup.isCollapsed && 
-                    draggedFromGroup.childNodes.has(node.id) &&
-                    draggedFromGroup.shouldContainNode && 
-                    draggedFromGroup.shouldContainNode(node)) {
-                    targetGroup = draggedFromGroup;
-                    break;
-                }
-                
-                // If not in its original group, check other groups
-                for (const group of groups) {
-                    // Skip collapsed groups
-                    if (group.isCollapsed) continue;
-                    
-                    // Skip the original group (already checked above)
-                    if (draggedFromGroup && group.id === draggedFromGroup.id) continue;
-                    
-                    // Check if this node is over this group
-                    if (group.shouldContainNode && group.shouldContainNode(node)) {
-                        targetGroup = group;
-                        break; // Use first matching group
-                    }
-                }
+                if (movingWithGroups.has(node.id)) continue;
+                targetGroup = this.findDropGroup(node, groups);
                 if (targetGroup) break;
             }
         }
@@ -2455,19 +2752,9 @@ Mode: ${this.fpsTestMode}`;
         // If we found a target group, check which dragged nodes should actually be added to it
         const nodesOverGroup = new Set();
         if (targetGroup) {
-            // Build a set of all child nodes of groups being dragged
-            const childNodesOfDraggedGroups = new Set();
-            for (const node of draggedNodes) {
-                if (node.type === 'container/group' && node.childNodes) {
-                    for (const childId of node.childNodes) {
-                        childNodesOfDraggedGroups.add(childId);
-                    }
-                }
-            }
-            
-            // Only consider nodes that aren't children of groups being dragged
+            // Only consider nodes that aren't inside groups being dragged
             for (const node of draggedNodes) {
-                if (!childNodesOfDraggedGroups.has(node.id) && 
+                if (!movingWithGroups.has(node.id) && 
                     targetGroup.shouldContainNode && 
                     targetGroup.shouldContainNode(node)) {
                     nodesOverGroup.add(node);
@@ -2536,6 +2823,47 @@ Mode: ${this.fpsTestMode}`;
         }
     }
     
+    /**
+     * The innermost group a node would drop into. Groups nest, so a node over
+     * a nested group is also over its parent - the deepest one wins, then the
+     * group it's being dragged from, then the smallest.
+     */
+    findDropGroup(node, groups) {
+        const draggedFromGroup = this.interactionState.dragging.draggedFromGroup;
+        let best = null;
+        
+        for (const group of groups) {
+            if (group.isCollapsed || !group.shouldContainNode?.(node)) continue;
+            
+            const candidate = {
+                group,
+                depth: group.getAncestorGroups().length,
+                isOrigin: group === draggedFromGroup,
+                area: group.size[0] * group.size[1]
+            };
+            
+            if (!best || candidate.depth > best.depth ||
+                (candidate.depth === best.depth && (candidate.isOrigin !== best.isOrigin
+                    ? candidate.isOrigin
+                    : candidate.area < best.area))) {
+                best = candidate;
+            }
+        }
+        
+        return best?.group || null;
+    }
+    
+    /**
+     * The group the dragged nodes start in, if any
+     */
+    findDraggedFromGroup(nodes) {
+        for (const node of nodes) {
+            const parent = this.getParentGroup(node);
+            if (parent) return parent;
+        }
+        return null;
+    }
+    
     // ===================================
     // FINISH INTERACTIONS
     // ===================================
@@ -2543,6 +2871,8 @@ Mode: ${this.fpsTestMode}`;
     finishInteractions() {
         const wasInteracting = this.isInteracting();
         const undoManager = window.app?.undoManager;
+        
+        this.snapManager.end();
 
         // Canvas pan
         if (this.interactionState.dragging.canvas) {
@@ -2569,6 +2899,7 @@ Mode: ${this.fpsTestMode}`;
                         serialized.pos = [...node.pos];
                         return serialized;
                     });
+                    ConnectorNode.markCopyIndices(nodeData, duplicatedNodes);
                     
                     // Don't remove temporary nodes here - let StateSyncManager handle them
                     // This allows proper tracking of selected nodes for restoration
@@ -2598,11 +2929,8 @@ Mode: ${this.fpsTestMode}`;
                 const nodesOverGroup = this.interactionState.dragging.nodesOverGroup;
                 const draggedFromGroup = this.interactionState.dragging.draggedFromGroup;
                 
-                // Add nodes to group if dropped on one
-                // But skip if we're dragging any groups (to prevent accidental transfers)
-                const isDraggingGroups = Array.from(nodesOverGroup).some(n => n.type === 'container/group');
-                
-                if (potentialGroup && nodesOverGroup.size > 0 && !isDraggingGroups) {
+                // Add nodes to group if dropped on one - groups dropped on a group nest inside it
+                if (potentialGroup && nodesOverGroup.size > 0) {
                     // Collect nodes to add and existing nodes that moved
                     const nodesToAdd = [];
                     const existingNodesMoved = [];
@@ -2678,25 +3006,23 @@ Mode: ${this.fpsTestMode}`;
                 // Remove nodes from group ONLY if they're actually outside the group
                 if (draggedFromGroup) {
                     const draggedNodes = this.selection.getSelectedNodes();
-                    const isDraggingGroupsForRemoval = draggedNodes.some(n => n.type === 'container/group');
                     
-                    if (!isDraggingGroupsForRemoval) {
-                        const removePromises = [];
-                        for (const node of draggedNodes) {
-                            if (draggedFromGroup.childNodes.has(node.id)) {
-                                // Simple check: is the node still inside its group?
-                                const stillInGroup = draggedFromGroup.shouldContainNode && draggedFromGroup.shouldContainNode(node);
-                                
-                                if (!stillInGroup) {
-                                    // Node is outside its group bounds - remove it
-                                    if (window.app?.operationPipeline) {
-                                        const command = new window.NodeCommands.GroupNodeCommand({
-                                            action: 'group_remove_node',
-                                            groupId: draggedFromGroup.id,
-                                            nodeId: node.id
-                                        });
-                                        removePromises.push(window.app.operationPipeline.executeCommand(command));
-                                    }
+                    const removePromises = [];
+                    for (const node of draggedNodes) {
+                        // Nodes dropped into another group leave this one as they join it
+                        if (draggedFromGroup.childNodes.has(node.id) && !nodesOverGroup.has(node)) {
+                            // Simple check: is the node still inside its group?
+                            const stillInGroup = draggedFromGroup.shouldContainNode && draggedFromGroup.shouldContainNode(node);
+                            
+                            if (!stillInGroup) {
+                                // Node is outside its group bounds - remove it
+                                if (window.app?.operationPipeline) {
+                                    const command = new window.NodeCommands.GroupNodeCommand({
+                                        action: 'group_remove_node',
+                                        groupId: draggedFromGroup.id,
+                                        nodeId: node.id
+                                    });
+                                    removePromises.push(window.app.operationPipeline.executeCommand(command));
                                 }
                             }
                         }
@@ -2715,14 +3041,14 @@ Mode: ${this.fpsTestMode}`;
                 const selectedNodes = this.selection.getSelectedNodes();
                 const allMovedNodes = [];
                 
-                // Collect all nodes that were moved (selected + children of groups)
+                // Collect all nodes that were moved (selected + everything inside groups)
                 for (const node of selectedNodes) {
+                    if (node.type === 'shape/connector' || node.isLocked()) continue;
                     allMovedNodes.push(node);
                     
-                    // If this is a group, also include child nodes
-                    if (node.type === 'container/group' && node.getChildNodes) {
-                        const childNodes = node.getChildNodes();
-                        for (const child of childNodes) {
+                    // If this is a group, also include its contents, nested groups included
+                    if (node.type === 'container/group' && node.getDescendantNodes) {
+                        for (const child of node.getDescendantNodes()) {
                             if (!allMovedNodes.includes(child)) {
                                 allMovedNodes.push(child);
                             }
@@ -2803,6 +3129,42 @@ Mode: ${this.fpsTestMode}`;
             }
         }
 
+        if (this.interactionState.cropping.active) {
+            const { node, initial } = this.interactionState.cropping;
+            const changed = node.size[0] !== initial.size[0] || node.size[1] !== initial.size[1] ||
+                            node.pos[0] !== initial.pos[0] || node.pos[1] !== initial.pos[1];
+            if (changed) {
+                window.app.undoManager.endInteraction('node_crop', {
+                    nodeIds: [node.id],
+                    crops: [node.properties.crop],
+                    positions: [[...node.pos]],
+                    sizes: [[...node.size]]
+                });
+            } else {
+                window.app.undoManager.cancelInteraction();
+            }
+        }
+
+        if (this.interactionState.connecting.active) {
+            const { node, end } = this.interactionState.connecting;
+            const preview = node._endpointPreview;
+            node._endpointPreview = null;
+            
+            const current = node.properties[end];
+            const changed = preview && (preview.endpoint.nodeId !== current?.nodeId ||
+                preview.endpoint.anchor !== current?.anchor ||
+                (preview.endpoint.nodeId == null && (preview.endpoint.point[0] !== current?.point?.[0] || preview.endpoint.point[1] !== current?.point?.[1])));
+            if (changed) {
+                window.app.operationPipeline.execute('node_property_update', {
+                    nodeId: node.id,
+                    property: end,
+                    value: preview.endpoint
+                }).catch(error => {
+                    console.error('Failed to sync connector endpoint:', error);
+                });
+            }
+        }
+
         // Sync any group bounds that may have changed during interactions
         if (this.graph) {
             const groups = this.graph.nodes.filter(n => n.type === 'container/group');
@@ -2876,6 +3238,12 @@ Mode: ${this.fpsTestMode}`;
         this.interactionState.rotating.active = false;
         this.interactionState.rotating.nodes.clear();
         this.interactionState.rotating.initial.clear();
+        this.interactionState.cropping.active = false;
+        this.interactionState.cropping.node = null;
+        this.interactionState.cropping.initial = null;
+        this.interactionState.connecting.active = false;
+        this.interactionState.connecting.node = null;
+        this.interactionState.connecting.end = null;
 
         if (this.interactionState.selecting.active) {
             this.selection.finishSelection(this.graph.nodes);
@@ -2889,6 +3257,8 @@ Mode: ${this.fpsTestMode}`;
         return this.interactionState.dragging.node ||
                this.interactionState.resizing.active ||
                this.interactionState.rotating.active ||
+               this.interactionState.cropping.active ||
+               this.interactionState.connecting.active ||
                this.interactionState.dragging.canvas ||
                this.viewport?.isAnimating;
     }
@@ -2953,6 +3323,9 @@ Mode: ${this.fpsTestMode}`;
             serializedNodes.push(serialized);
         });
         
+        // Connectors copied with their nodes get re-bound to the pasted copies
+        ConnectorNode.markCopyIndices(serializedNodes, selected);
+        
         // Store the serialized nodes with relationship data
         if (window.app?.bulkOperationManager) {
             this.clipboard = serializedNodes.map(node => {
@@ -2965,6 +3338,9 @@ Mode: ${this.fpsTestMode}`;
         
         console.log(`📋 Copied ${selected.length} nodes to clipboard, clipboard now has ${this.clipboard.length} items`);
         
+        // Also put a picture of the selection on the OS clipboard for other apps
+        window.app?.clipboardManager?.copySelectionImage();
+        
         // Log node types for debugging
         const nodeTypes = {};
         this.clipboard.forEach(node => {
@@ -3354,7 +3730,9 @@ Mode: ${this.fpsTestMode}`;
     }
     
     selectAll() {
-        this.selection.selectAll(this.graph.nodes);
+        // Like a selection rectangle, skip what isn't drawn
+        const hidden = GroupNode.getHiddenNodeIds(this.graph.nodes);
+        this.selection.selectAll(this.graph.nodes.filter(node => !hidden.has(node.id)));
     }
     
     createGroupFromSelected() {
@@ -3388,17 +3766,24 @@ Mode: ${this.fpsTestMode}`;
             return;
         }
         
-        // Don't allow grouping if any selected nodes are already groups
-        const hasGroups = selected.some(node => node.type === 'container/group');
-        if (hasGroups) {
-            console.warn('Cannot create group: groups cannot contain other groups');
-            return;
+        // Selected groups come along with everything inside them, so their
+        // contents stay where they are rather than joining the new group
+        const insideSelectedGroups = new Set();
+        for (const node of selected) {
+            if (node.type === 'container/group') {
+                node.getDescendantNodes().forEach(child => insideSelectedGroups.add(child.id));
+            }
         }
+        const nodes = selected.filter(node => !insideSelectedGroups.has(node.id));
+        
+        // Nodes that share a parent group get grouped inside it
+        const parents = new Set(nodes.map(node => this.getParentGroup(node)));
+        const parentGroup = parents.size === 1 ? [...parents][0] : null;
         
         // Calculate bounding box of selected nodes
         let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
         
-        for (const node of selected) {
+        for (const node of nodes) {
             const nodeMinX = node.pos[0];
             const nodeMinY = node.pos[1];
             const nodeMaxX = node.pos[0] + node.size[0];
@@ -3423,10 +3808,11 @@ Mode: ${this.fpsTestMode}`;
         if (window.app?.operationPipeline) {
             const command = new window.NodeCommands.GroupNodeCommand({
                 action: 'group_create',
-                nodeIds: selected.map(node => node.id),
+                nodeIds: nodes.map(node => node.id),
                 groupPos: [groupX, groupY],
                 groupSize: [groupWidth, groupHeight],
-                groupTitle: `Group ${this.graph.nodes.filter(n => n.type === 'container/group').length + 1}`
+                groupTitle: `Group ${this.graph.nodes.filter(n => n.type === 'container/group').length + 1}`,
+                ...(parentGroup && { parentId: parentGroup.id })
             });
             
             window.app.operationPipeline.executeCommand(command);
@@ -3437,6 +3823,39 @@ Mode: ${this.fpsTestMode}`;
         }
     }
     
+    /**
+     * Dissolve the selected groups. Their children stay where they are and
+     * move up a level - into the group's own parent if it is nested.
+     */
+    ungroupSelected() {
+        if (this.readOnly) return;
+        
+        const groups = this.selection.getSelectedNodes().filter(node => node.type === 'container/group');
+        if (groups.length === 0 || !window.app?.operationPipeline) return;
+        
+        const freedNodes = [];
+        for (const group of groups) {
+            freedNodes.push(...group.getChildNodes());
+            
+            const command = new window.NodeCommands.GroupNodeCommand({
+                action: 'group_ungroup',
+                groupId: group.id
+            });
+            window.app.operationPipeline.executeCommand(command).catch(error => {
+                console.error('Failed to ungroup:', error);
+            });
+        }
+        
+        // Select what was inside, so it can be regrouped or moved straight away
+        this.selection.clear();
+        for (const node of freedNodes) {
+            if (!groups.includes(node)) {
+                this.selection.selectNode(node, true);
+            }
+        }
+        this.dirty_canvas = true;
+    }
+    
     zoomToFit() {
         if (this.selection.isEmpty()) {
             this.zoomToFitAll();
@@ -3618,14 +4037,124 @@ Mode: ${this.fpsTestMode}`;
         }
     }
     
-    alignSelected(axis) {
+    // ===================================
+    // CROP AND FLIP
+    // ===================================
+    
+    toggleCropMode() {
+        if (this.handleDetector.cropNode) {
+            this.exitCropMode();
+            return;
+        }
+        if (this.readOnly) return;
+        
         const selected = this.selection.getSelectedNodes();
+        if (selected.length !== 1 || !ImageCrop.supportsNode(selected[0])) {
+            window.unifiedNotifications?.info('Select a single image to crop', { duration: 2500 });
+            return;
+        }
+        if (selected[0].isLocked()) {
+            window.unifiedNotifications?.info('Unlock the image to crop it', { duration: 2500 });
+            return;
+        }
+        
+        this.handleDetector.cropNode = selected[0];
+        this.dirty_canvas = true;
+    }
+    
+    exitCropMode() {
+        if (!this.handleDetector.cropNode) return;
+        if (this.interactionState.cropping.active) this.finishInteractions();
+        
+        this.handleDetector.cropNode = null;
+        this.dirty_canvas = true;
+    }
+    
+    resetCrop(nodes) {
+        const targets = nodes.filter(node => ImageCrop.isTransformed(node));
+        if (targets.length === 0) return;
+        
+        const frames = targets.map(node => ImageCrop.getUncroppedFrame(node));
+        window.app.undoManager.beginInteraction(targets);
+        window.app.undoManager.endInteraction('node_reset', {
+            nodeIds: targets.map(node => node.id),
+            resetCrop: true,
+            positions: frames.map(frame => frame.pos),
+            sizes: frames.map(frame => frame.size)
+        });
+    }
+    
+    flipSelected(axis) {
+        if (this.readOnly) return;
+        
+        const selected = this.selection.getSelectedNodes().filter(node => ImageCrop.supportsNode(node));
+        if (selected.length === 0) return;
+        
+        const property = axis === 'vertical' ? 'flipV' : 'flipH';
+        window.app.undoManager.beginInteraction(selected);
+        window.app.undoManager.endInteraction('node_crop', {
+            nodeIds: selected.map(node => node.id),
+            [property]: selected.map(node => !node.properties[property])
+        });
+    }
+    
+    alignSelected(axis) {
+        const selected = this.selection.getSelectedNodes()
+            .filter(node => node.type !== 'shape/connector' && !node.isLocked());
         if (selected.length < 2) return;
 
         window.app.undoManager.beginInteraction(selected);
         window.app.undoManager.endInteraction('node_align', { axis });
     }
 
+    /**
+     * Distribute, match sizes or lay out the selection as one undoable operation
+     * @param {string} action - 'distribute', 'match_size' or 'layout'
+     * @param {Object} options - distribute: { axis }; match_size: { dimension, reference };
+     *                           layout: { style, rowHeight, sortBy }
+     */
+    arrangeSelected(action, options = {}) {
+        if (this.readOnly) return;
+
+        const selected = this.selection.getSelectedNodes();
+        const nodes = action === 'distribute'
+            ? NodeArrange.getArrangeableNodes(selected)
+            : NodeArrange.getResizableNodes(selected);
+        if (nodes.length < (action === 'distribute' ? 3 : 2)) return;
+
+        let result;
+        if (action === 'distribute') {
+            result = { positions: NodeArrange.distribute(nodes, options.axis), sizes: null };
+        } else if (action === 'match_size') {
+            result = NodeArrange.matchSize(nodes, options.dimension, options.reference);
+        } else {
+            result = NodeArrange.layout(NodeArrange.sort(nodes, options.sortBy || 'selection'), options);
+        }
+
+        const nodeIds = nodes.map(node => node.id);
+        const childPositions = {};
+        for (const node of nodes) {
+            if (node.type !== 'container/group') continue;
+
+            // Contents aren't selected, so they move with their group here
+            const position = result.positions.get(node);
+            const dx = position[0] - node.pos[0];
+            const dy = position[1] - node.pos[1];
+            for (const child of node.getDescendantNodes()) {
+                childPositions[child.id] = [child.pos[0] + dx, child.pos[1] + dy];
+            }
+        }
+
+        window.app.operationPipeline.execute('node_arrange', {
+            action,
+            ...options,
+            nodeIds,
+            positions: nodes.map(node => result.positions.get(node)),
+            ...(result.sizes && { sizes: nodes.map(node => result.sizes.get(node)) }),
+            ...(Object.keys(childPositions).length > 0 && { childPositions })
+        });
+    }
+
     moveSelectedUp() {
         const selected = this.selection.getSelectedNodes();
         if (selected.length === 0) return;
@@ -3716,15 +4245,44 @@ Mode: ${this.fpsTestMode}`;
     // SMART LAYER ORDERING
     // ===================================
     
-    getEffectiveZIndex(node) {
-        // Find parent group if any
-        const parentGroup = this.getParentGroup(node);
-        if (parentGroup) {
-            // Use parent group's z-index
-            return parentGroup.zIndex ?? 0;
+    /**
+     * Comparator for drawing order. Nodes are ordered by z-index among their
+     * siblings: top-level nodes against each other, and inside a group against
+     * the rest of that group. A group draws before everything inside it.
+     * Build it once per sort - it caches each node's path from the top level.
+     */
+    createDrawOrderComparator() {
+        const parents = new Map();
+        for (const node of this.graph.nodes) {
+            if (node.type === 'container/group') {
+                node.childNodes.forEach(childId => parents.set(childId, node));
+            }
         }
-        // Use node's own z-index
-        return node.zIndex ?? 0;
+        
+        const paths = new Map();
+        const pathOf = (node) => {
+            let path = paths.get(node);
+            if (!path) {
+                path = [node];
+                for (let parent = parents.get(node.id); parent && !path.includes(parent); parent = parents.get(parent.id)) {
+                    path.unshift(parent);
+                }
+                paths.set(node, path);
+            }
+            return path;
+        };
+        
+        return (a, b) => {
+            const pathA = pathOf(a);
+            const pathB = pathOf(b);
+            const depth = Math.min(pathA.length, pathB.length);
+            for (let i = 0; i < depth; i++) {
+                if (pathA[i] !== pathB[i]) {
+                    return (pathA[i].zIndex ?? 0) - (pathB[i].zIndex ?? 0);
+                }
+            }
+            return pathA.length - pathB.length;
+        };
     }
     
     getParentGroup(node) {
@@ -3919,6 +4477,86 @@ Mode: ${this.fpsTestMode}`;
         }
     }
     
+    /**
+     * Create connectors for the selection: between consecutive selected nodes,
+     * from a single selected node to pos, or a free arrow at pos
+     */
+    async createConnector(pos = this.mouseState.graph) {
+        if (typeof NodeFactory === 'undefined') {
+            console.warn('NodeFactory not available');
+            return;
+        }
+        
+        const selected = this.selection.getSelectedNodes().filter(n => n.type !== 'shape/connector');
+        const pairs = [];
+        if (selected.length >= 2) {
+            for (let i = 1; i < selected.length; i++) {
+                pairs.push([
+                    ConnectorNode.createEndpoint(selected[i - 1].id),
+                    ConnectorNode.createEndpoint(selected[i].id)
+                ]);
+            }
+        } else if (selected.length === 1) {
+            // Point outside the node - otherwise the arrow would start and end inside it
+            const node = selected[0];
+            const target = node.containsPoint(pos[0], pos[1])
+                ? [node.pos[0] + node.size[0] + 120, node.pos[1] + node.size[1] / 2]
+                : pos;
+            pairs.push([ConnectorNode.createEndpoint(node.id), ConnectorNode.createEndpoint(null, target)]);
+        } else {
+            pairs.push([
+                ConnectorNode.createEndpoint(null, pos),
+                ConnectorNode.createEndpoint(null, [pos[0] + 160, pos[1]])
+            ]);
+        }
+        
+        const undoManager = window.app?.undoManager;
+        if (pairs.length > 1) {
+            undoManager?.beginTransaction('create_connectors');
+        }
+        
+        const created = [];
+        for (const [start, end] of pairs) {
+            const node = NodeFactory.createNode('shape/connector');
+            if (!node) continue;
+            node.properties.start = start;
+            node.properties.end = end;
+            
+            // Bound ends fall back to where they start out
+            const route = node.updateRoute(this.graph);
+            start.point = [...route.start];
+            end.point = [...route.end];
+            
+            this.graph.add(node);
+            created.push(node);
+            
+            if (window.app && window.app.operationPipeline) {
+                try {
+                    await window.app.operationPipeline.execute('node_create', {
+                        type: node.type,
+                        pos: [...node.pos],
+                        size: [...node.size],
+                        properties: {...node.properties},
+                        id: node.id,
+                        title: node.title || '',
+                        flags: {...node.flags}
+                    });
+                } catch (error) {
+                    console.error('Failed to sync connector creation:', error);
+                }
+            }
+        }
+        
+        if (pairs.length > 1) {
+            undoManager?.commitTransaction();
+        }
+        
+        if (created.length > 0) {
+            this.selection.selectAll(created);
+            this.dirty_canvas = true;
+        }
+    }
+    
     toggleTitleVisibility() {
         const selected = this.selection.getSelectedNodes();
         const nonTextNodes = selected.filter(node => node.type !== 'media/text');
@@ -4221,6 +4859,8 @@ Mode: ${this.fpsTestMode}`;
     }
     
     startTitleEditing(node, e) {
+        if (this.readOnly) return;
+        
         if (this._editingTitleInput) {
             this.finishTitleEditing();
         }
@@ -4312,6 +4952,8 @@ Mode: ${this.fpsTestMode}`;
     }
     
     startTextEditing(node, e) {
+        if (this.readOnly) return;
+        
         if (this._editingTextInput) {
             this.finishTextEditing();
         }
@@ -4494,6 +5136,8 @@ Mode: ${this.fpsTestMode}`;
     }
     
     startPinnedNoteEditing(node, e) {
+        if (this.readOnly) return;
+        
         if (this._editingTextInput) {
             this.finishTextEditing();
         }
@@ -4970,6 +5614,12 @@ Mode: ${this.fpsTestMode}`;
             this.viewport.offset[1] !== this.lastViewportState.offsetY ||
             this.viewport.scale !== this.lastViewportState.scale;
         
+        // Connectors follow the nodes they are bound to - route them before culling
+        const connectors = this.graph.nodes.filter(n => n.type === 'shape/connector');
+        for (const connector of connectors) {
+            connector.updateRoute(this.graph);
+        }
+        
         // Get visible nodes - use cache if viewport hasn't changed AND node count hasn't changed
         let visibleNodes;
         const nodeCountChanged = this.cachedVisibleNodes && 
@@ -5004,6 +5654,10 @@ Mode: ${this.fpsTestMode}`;
             for (const n of this.graph.nodes) {
                 if (n.needsGLUpdate) extra.push(n);
             }
+            // connectors whose route moved into view
+            for (const n of connectors) {
+                if (this.viewport.isNodeVisible(n, this.getConfig('PERFORMANCE.VISIBILITY_MARGIN', 200))) extra.push(n);
+            }
             for (const n of extra) {
                 if (!visibleNodes.includes(n)) {
                     visibleNodes.push(n);
@@ -5018,9 +5672,11 @@ Mode: ${this.fpsTestMode}`;
             window.memoryManager.performCleanup(visibleNodes, this.graph.nodes, this.viewport);
         }
         
-        // Draw all visible nodes sorted by z-index
+        // Draw all visible nodes sorted by z-index, skipping hidden nodes and the contents of collapsed groups
         // Sort visible nodes by z-index (lower z-index drawn first)
-        const sortedNodes = [...visibleNodes].sort((a, b) => {
+        const hiddenNodeIds = GroupNode.getHiddenNodeIds(this.graph.nodes);
+        const compareDrawOrder = this.createDrawOrderComparator();
+        const sortedNodes = visibleNodes.filter(node => !hiddenNodeIds.has(node.id)).sort((a, b) => {
             // Loading images should render on top of everything else
             const aLoading = a.type === 'media/image' && (!a.img || a.loadingState === 'loading' || a.loadingState === 'webgl-only' || a._webglWaiting);
             const bLoading = b.type === 'media/image' && (!b.img || b.loadingState === 'loading' || b.loadingState === 'webgl-only' || b._webglWaiting);
@@ -5028,18 +5684,8 @@ Mode: ${this.fpsTestMode}`;
             if (aLoading && !bLoading) return 1; // a renders after b
             if (!aLoading && bLoading) return -1; // b renders after a
             
-            // Get effective z-index (considering group membership)
-            const aZ = this.getEffectiveZIndex(a);
-            const bZ = this.getEffectiveZIndex(b);
-            
-            // If z-indices are the same, maintain relative order within group
-            if (aZ === bZ) {
-                // Groups should be drawn before their children
-                if (a.type === 'container/group' && a.childNodes?.has(b.id)) return -1;
-                if (b.type === 'container/group' && b.childNodes?.has(a.id)) return 1;
-            }
-            
-            return aZ - bZ;
+            // Z-order within the group hierarchy
+            return compareDrawOrder(a, b);
         });
         
         // Draw nodes in z-order
@@ -5344,6 +5990,11 @@ Mode: ${this.fpsTestMode}`;
             }
         }
         
+        // Annotation strokes on media the renderer left to the 2D path
+        if (this.renderer?.drawAnnotations) {
+            this.renderer.drawAnnotations(ctx, node);
+        }
+        
         // Draw title above the node (before selection, in node's coordinate space)
         if (!node.flags?.hide_title) {
             const displayTitle = node.getDisplayTitle();
@@ -5369,9 +6020,26 @@ Mode: ${this.fpsTestMode}`;
     }
     
     drawNodeSelection(ctx, node) {
-        // Selection border
+        if (node === this.handleDetector.cropNode) {
+            this.drawCropHandles(ctx, node);
+            return;
+        }
+        
+        if (node.type === 'shape/connector') {
+            this.drawConnectorHandles(ctx, node);
+            return;
+        }
+        
+        // Selection border - dashed for locked nodes, which have no handles
         ctx.lineWidth = 2 / this.viewport.scale;
         ctx.strokeStyle = ColorUtils.get('canvas', 'selection_stroke');
+        if (node.isLocked()) {
+            ctx.save();
+            ctx.setLineDash([6 / this.viewport.scale, 4 / this.viewport.scale]);
+            ctx.strokeRect(0, 0, node.size[0], node.size[1]);
+            ctx.restore();
+            return;
+        }
         ctx.strokeRect(0, 0, node.size[0], node.size[1]);
         
         // Draw handles if node is large enough, not during alignment animations, and not editing
@@ -5408,6 +6076,88 @@ Mode: ${this.fpsTestMode}`;
         }
     }
     
+    drawCropHandles(ctx, node) {
+        const scale = this.viewport.scale;
+        const [w, h] = node.size;
+        const image = ImageCrop.getImageFrame(node);
+        const handleSize = this.getConfig('HANDLES.SIZE', 12) / scale;
+        
+        ctx.save();
+        
+        // Outline of the whole image so the user can see what they can crop back to
+        ctx.lineWidth = 1 / scale;
+        ctx.setLineDash([4 / scale, 4 / scale]);
+        ctx.strokeStyle = ColorUtils.get('canvas', 'selection_stroke');
+        ctx.strokeRect(image.x, image.y, image.width, image.height);
+        ctx.setLineDash([]);
+        
+        ctx.lineWidth = 1 / scale;
+        ctx.strokeRect(0, 0, w, h);
+        
+        // Corner brackets and edge bars
+        ctx.lineWidth = 3 / scale;
+        ctx.strokeStyle = ColorUtils.get('canvas', 'handle_fill');
+        ctx.shadowColor = 'rgba(0,0,0,0.3)';
+        ctx.shadowBlur = 2 / scale;
+        ctx.beginPath();
+        for (const [x, y, dx, dy] of [[0, 0, 1, 1], [w, 0, -1, 1], [0, h, 1, -1], [w, h, -1, -1]]) {
+            ctx.moveTo(x + dx * handleSize, y);
+            ctx.lineTo(x, y);
+            ctx.lineTo(x, y + dy * handleSize);
+        }
+        ctx.moveTo(w / 2 - handleSize / 2, 0);
+        ctx.lineTo(w / 2 + handleSize / 2, 0);
+        ctx.moveTo(w / 2 - handleSize / 2, h);
+        ctx.lineTo(w / 2 + handleSize / 2, h);
+        ctx.moveTo(0, h / 2 - handleSize / 2);
+        ctx.lineTo(0, h / 2 + handleSize / 2);
+        ctx.moveTo(w, h / 2 - handleSize / 2);
+        ctx.lineTo(w, h / 2 + handleSize / 2);
+        ctx.stroke();
+        
+        ctx.restore();
+    }
+    
+    drawConnectorHandles(ctx, node) {
+        const route = node._route;
+        if (!route) return;
+        
+        const scale = this.viewport.scale;
+        const radius = this.getConfig('HANDLES.SIZE', 12) / 2 / scale;
+        const [ox, oy] = node.pos;
+        
+        ctx.save();
+        
+        // Trace the path so thin connectors read as selected
+        ctx.lineWidth = (node.properties.strokeWidth || 2) + 4 / scale;
+        ctx.strokeStyle = ColorUtils.get('canvas', 'selection_stroke');
+        ctx.globalAlpha = 0.35;
+        ctx.lineJoin = 'round';
+        ctx.beginPath();
+        route.points.forEach(([x, y], i) => i === 0 ? ctx.moveTo(x - ox, y - oy) : ctx.lineTo(x - ox, y - oy));
+        ctx.stroke();
+        ctx.globalAlpha = 1;
+        
+        // Endpoint handles - filled when bound to a node, hollow when free
+        ctx.lineWidth = 2 / scale;
+        ctx.strokeStyle = ColorUtils.get('canvas', 'handle_fill');
+        ctx.fillStyle = ColorUtils.get('canvas', 'handle_fill');
+        ctx.shadowColor = 'rgba(0,0,0,0.3)';
+        ctx.shadowBlur = 2 / scale;
+        for (const end of ['start', 'end']) {
+            const [x, y] = route[end];
+            ctx.beginPath();
+            ctx.arc(x - ox, y - oy, radius, 0, Math.PI * 2);
+            if (node.getEndpoint(end)?.nodeId != null) {
+                ctx.fill();
+            } else {
+                ctx.stroke();
+            }
+        }
+        
+        ctx.restore();
+    }
+    
     drawRotationHandle(ctx, node) {
         if (!this.handleDetector.getRotatedCorner) return;
         
@@ -5551,6 +6301,9 @@ Mode: ${this.fpsTestMode}`;
             }
         }
         
+        // Video timeline on hover - gallery view gets the same controls
+        this.videoScrubber.draw(ctx);
+        
         // Skip other overlays in gallery view
         if (inGalleryView) {
             return;
@@ -5577,6 +6330,14 @@ Mode: ${this.fpsTestMode}`;
         if (this.alignmentManager) {
             this.alignmentManager.drawOverlays(ctx);
         }
+        
+        // Snapping guides while moving or resizing
+        this.snapManager.drawOverlays(ctx);
+        
+        // Chat thread badges (not part of exports)
+        if (window.app?.chatPanel && !this.isExporting) {
+            window.app.chatPanel.drawThreadBadges(ctx);
+        }
     }
     
     drawSelectionRectangle(ctx) {
@@ -5630,11 +6391,13 @@ Mode: ${this.fpsTestMode}`;
         ctx.setLineDash([4, 4]);
         ctx.strokeRect(sx - margin, sy - margin, sw + margin * 2, sh + margin * 2);
         
-        // Resize handle
-        this.drawMultiResizeHandle(ctx, sx, sy, sw, sh, margin);
-        
-        // Rotation handle
-        this.drawMultiRotationHandle(ctx, sx, sy, sw, sh, margin);
+        if (!this.readOnly && this.handleDetector.canTransformAll(this.selection.getSelectedNodes())) {
+            // Resize handle
+            this.drawMultiResizeHandle(ctx, sx, sy, sw, sh, margin);
+            
+            // Rotation handle
+            this.drawMultiRotationHandle(ctx, sx, sy, sw, sh, margin);
+        }
         
         ctx.restore();
     }
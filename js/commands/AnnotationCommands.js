@@ -0,0 +1,155 @@
+/**
+ * Annotation commands - freehand strokes on image and video nodes
+ * Stroke format is described in js/renderers/AnnotationStrokes.js
+ */
+
+class AddAnnotationStrokeCommand extends Command {
+    constructor(params, origin = 'local') {
+        super('annotation_add', params, origin);
+    }
+
+    validate() {
+        const { nodeId, stroke } = this.params;
+        if (!nodeId) {
+            return { valid: false, error: 'Missing nodeId' };
+        }
+        if (!stroke?.id || !AnnotationStrokes.TOOLS.includes(stroke.tool)) {
+            return { valid: false, error: 'Invalid stroke' };
+        }
+        if (!Array.isArray(stroke.points) || stroke.points.length === 0) {
+            return { valid: false, error: 'Stroke has no points' };
+        }
+        if (stroke.points.length > AnnotationStrokes.MAX_POINTS) {
+            return { valid: false, error: 'Stroke has too many points' };
+        }
+        return { valid: true };
+    }
+
+    supportsOptimisticUpdate() {
+        // Strokes should appear the moment the pen lifts
+        return true;
+    }
+
+    async prepareUndoData(context) {
+        this.undoData = {
+            nodeId: this.params.nodeId,
+            addedStrokeIds: [this.params.stroke.id]
+        };
+    }
+
+    async execute(context) {
+        const { graph, canvas } = context;
+        const node = graph.getNodeById(this.params.nodeId);
+
+        if (!AnnotationStrokes.supportsNode(node)) {
+            throw new Error('Annotations need an image or video node');
+        }
+
+        const { stroke } = this.params;
+        const annotations = (node.properties.annotations || []).filter(s => s.id !== stroke.id);
+        // New array so renderers notice the change
+        node.properties.annotations = [...annotations, stroke];
+
+        if (!this.undoData) {
+            await this.prepareUndoData(context);
+        }
+
+        if (canvas) canvas.dirty_canvas = true;
+        this.executed = true;
+        return { node };
+    }
+
+    async undo(context) {
+        const { graph, canvas } = context;
+        const node = graph.getNodeById(this.undoData.nodeId);
+
+        if (node?.properties.annotations) {
+            const added = new Set(this.undoData.addedStrokeIds);
+            node.properties.annotations = node.properties.annotations.filter(s => !added.has(s.id));
+        }
+
+        if (canvas) canvas.dirty_canvas = true;
+        return { success: true };
+    }
+}
+
+class RemoveAnnotationStrokesCommand extends Command {
+    constructor(params, origin = 'local') {
+        super('annotation_remove', params, origin);
+    }
+
+    validate() {
+        const { nodeId, strokeIds } = this.params;
+        if (!nodeId) {
+            return { valid: false, error: 'Missing nodeId' };
+        }
+        if (!Array.isArray(strokeIds) || strokeIds.length === 0) {
+            return { valid: false, error: 'Missing or invalid strokeIds' };
+        }
+        return { valid: true };
+    }
+
+    supportsOptimisticUpdate() {
+        return true;
+    }
+
+    async prepareUndoData(context) {
+        const { graph } = context;
+        const node = graph.getNodeById(this.params.nodeId);
+        const annotations = node?.properties.annotations || [];
+        const toRemove = new Set(this.params.strokeIds);
+
+        // Keep stack positions so undo puts strokes back under/over the same neighbours
+        this.undoData = {
+            nodeId: this.params.nodeId,
+            removedStrokes: annotations
+                .map((stroke, index) => ({ index, stroke }))
+                .filter(({ stroke }) => toRemove.has(stroke.id))
+        };
+    }
+
+    async execute(context) {
+        const { graph, canvas } = context;
+        const node = graph.getNodeById(this.params.nodeId);
+
+        if (!node) {
+            throw new Error('Node not found');
+        }
+
+        if (!this.undoData) {
+            await this.prepareUndoData(context);
+        }
+
+        const toRemove = new Set(this.params.strokeIds);
+        node.properties.annotations = (node.properties.annotations || []).filter(s => !toRemove.has(s.id));
+
+        if (canvas) canvas.dirty_canvas = true;
+        this.executed = true;
+        return { node };
+    }
+
+    async undo(context) {
+        const { graph, canvas } = context;
+        const node = graph.getNodeById(this.undoData.nodeId);
+
+        if (node) {
+            const restored = [...(node.properties.annotations || [])];
+            for (const { index, stroke } of this.undoData.removedStrokes) {
+                if (restored.some(s => s.id === stroke.id)) continue;
+                restored.splice(Math.min(index, restored.length), 0, stroke);
+            }
+            node.properties.annotations = restored;
+        }
+
+        if (canvas) canvas.dirty_canvas = true;
+        return { success: true };
+    }
+}
+
+// Register commands globally
+if (typeof window !== 'undefined') {
+    window.AnnotationCommands = {
+        AddAnnotationStrokeCommand,
+        RemoveAnnotationStrokesCommand
+    };
+}
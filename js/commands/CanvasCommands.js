@@ -8,42 +8,36 @@ class NodeLayerOrderCommand extends Command {
     }
 
     validate() {
-        const { nodeIds, direction } = this.params;
+        const { nodeIds, direction, targetId } = this.params;
         if (!nodeIds || !Array.isArray(nodeIds) || nodeIds.length === 0) {
             return { valid: false, error: 'Missing or invalid nodeIds' };
         }
-        if (!['up', 'down'].includes(direction)) {
+        if (!['up', 'down', 'above', 'below'].includes(direction)) {
             return { valid: false, error: 'Invalid direction' };
         }
+        if ((direction === 'above' || direction === 'below') && (targetId === undefined || targetId === null)) {
+            return { valid: false, error: 'Missing targetId' };
+        }
         return { valid: true };
     }
 
     async prepareUndoData(context) {
         const { graph } = context;
-        // Store original z-index values for all affected nodes
+        // Store original z-index values for every node - normalizing renumbers them all
         this.undoData = { 
             originalZIndices: {}
         };
         
-        // Store z-indices for selected nodes and their children
-        for (const nodeId of this.params.nodeIds) {
-            const node = graph.getNodeById(nodeId);
-            if (node) {
-                this.undoData.originalZIndices[nodeId] = node.zIndex ?? 0;
-                
-                // If it's a group, store z-indices of all children too
-                if (node.type === 'container/group' && node.childNodes) {
-                    for (const childId of node.childNodes) {
-                        const child = graph.getNodeById(childId);
-                        if (child) {
-                            this.undoData.originalZIndices[childId] = child.zIndex ?? 0;
-                        }
-                    }
-                }
-            }
+        for (const node of graph.nodes) {
+            this.undoData.originalZIndices[node.id] = node.zIndex ?? 0;
         }
     }
 
+    supportsOptimisticUpdate() {
+        // The z-indices the server stores are worked out here
+        return true;
+    }
+
     async execute(context) {
         const { graph, canvas } = context;
         const { nodeIds, direction } = this.params;
@@ -51,6 +45,26 @@ class NodeLayerOrderCommand extends Command {
         // Track z-index updates for server sync
         const zIndexUpdates = {};
         
+        // Place the nodes directly above or below a target, keeping their order
+        if (direction === 'above' || direction === 'below') {
+            const target = graph.getNodeById(this.params.targetId);
+            const nodes = nodeIds.map(id => graph.getNodeById(id)).filter(node => node && node !== target);
+            if (!target || nodes.length === 0) {
+                return { success: true };
+            }
+            
+            const targetZ = target.zIndex ?? 0;
+            const step = 1 / (nodes.length + 1);
+            nodes.forEach((node, index) => {
+                node.zIndex = direction === 'above'
+                    ? targetZ + step * (index + 1)
+                    : targetZ - step * (nodes.length - index);
+            });
+            
+            this.normalizeZIndices(graph.nodes);
+            return { success: true };
+        }
+        
         // Process each selected node
         for (const nodeId of nodeIds) {
             const node = graph.getNodeById(nodeId);
@@ -342,10 +356,137 @@ class NodeAlignCommand extends Command {
     }
 }
 
+class NodeArrangeCommand extends Command {
+    constructor(params, origin = 'local') {
+        super('node_arrange', params, origin);
+    }
+
+    validate() {
+        const { nodeIds, positions, sizes, action } = this.params;
+        if (!nodeIds || !Array.isArray(nodeIds) || nodeIds.length < 2) {
+            return { valid: false, error: 'Not enough nodes to arrange' };
+        }
+        if (!['distribute', 'match_size', 'layout'].includes(action)) {
+            return { valid: false, error: 'Invalid arrange action' };
+        }
+        if (!Array.isArray(positions) || positions.length !== nodeIds.length) {
+            return { valid: false, error: 'Positions must match nodeIds' };
+        }
+        if (sizes && (!Array.isArray(sizes) || sizes.length !== nodeIds.length)) {
+            return { valid: false, error: 'Sizes must match nodeIds' };
+        }
+        return { valid: true };
+    }
+
+    supportsOptimisticUpdate() {
+        // Positions are final, so the layout can show before the server confirms
+        return true;
+    }
+
+    async prepareUndoData(context) {
+        const { graph } = context;
+
+        this.undoData = {
+            previousPositions: {},
+            previousSizes: {},
+            previousChildPositions: {}
+        };
+
+        for (const nodeId of this.params.nodeIds) {
+            const node = graph.getNodeById(nodeId);
+            if (!node) continue;
+
+            this.undoData.previousPositions[nodeId] = [...node.pos];
+            this.undoData.previousSizes[nodeId] = [...node.size];
+        }
+
+        for (const childId of Object.keys(this.params.childPositions || {})) {
+            const child = graph.getNodeById(childId);
+            if (child) {
+                this.undoData.previousChildPositions[childId] = [...child.pos];
+            }
+        }
+    }
+
+    async execute(context) {
+        const { graph } = context;
+        const { nodeIds, positions, sizes, childPositions } = this.params;
+
+        nodeIds.forEach((nodeId, index) => {
+            const node = graph.getNodeById(nodeId);
+            if (!node) return;
+
+            node.pos[0] = positions[index][0];
+            node.pos[1] = positions[index][1];
+
+            if (sizes?.[index]) {
+                node.size[0] = sizes[index][0];
+                node.size[1] = sizes[index][1];
+                node.aspectRatio = node.size[0] / node.size[1];
+                if (node.aspectRatioLocked !== false) {
+                    node.lockedAspectRatio = node.aspectRatio;
+                }
+            }
+
+            delete node._animPos;
+            delete node._animVel;
+            node.markDirty();
+        });
+
+        for (const [childId, pos] of Object.entries(childPositions || {})) {
+            const child = graph.getNodeById(childId);
+            if (child) {
+                child.pos[0] = pos[0];
+                child.pos[1] = pos[1];
+                child.markDirty();
+            }
+        }
+
+        if (graph.canvas) {
+            graph.canvas.dirty_canvas = true;
+        }
+        return { success: true };
+    }
+
+    async undo(context) {
+        const { graph } = context;
+        const { previousPositions, previousSizes, previousChildPositions } = this.undoData;
+
+        for (const [nodeId, pos] of Object.entries(previousPositions)) {
+            const node = graph.getNodeById(nodeId);
+            if (!node) continue;
+
+            node.pos = [...pos];
+            if (previousSizes[nodeId]) {
+                node.size = [...previousSizes[nodeId]];
+                node.aspectRatio = node.size[0] / node.size[1];
+                if (node.aspectRatioLocked !== false) {
+                    node.lockedAspectRatio = node.aspectRatio;
+                }
+            }
+            node.markDirty();
+        }
+
+        for (const [childId, pos] of Object.entries(previousChildPositions || {})) {
+            const child = graph.getNodeById(childId);
+            if (child) {
+                child.pos = [...pos];
+                child.markDirty();
+            }
+        }
+
+        if (graph.canvas) {
+            graph.canvas.dirty_canvas = true;
+        }
+        return { success: true };
+    }
+}
+
 // Register commands globally
 if (typeof window !== 'undefined') {
     window.CanvasCommands = {
         NodeLayerOrderCommand,
-        NodeAlignCommand
+        NodeAlignCommand,
+        NodeArrangeCommand
     };
 } 
\ No newline at end of file
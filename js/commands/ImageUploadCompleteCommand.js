@@ -30,16 +30,39 @@ class ImageUploadCompleteCommand extends Command {
         let updatedNodes = [];
         
         for (const node of graph.nodes) {
-            if (node.type === 'media/image' && 
-                node.properties.hash === this.params.hash && 
-                !node.properties.serverUrl) {
-                
+            if (node.type !== 'media/image' || node.properties.hash !== this.params.hash) continue;
+            
+            let updated = false;
+            if (!node.properties.serverUrl) {
                 // Update local node with server URL
                 node.properties.serverUrl = this.params.serverUrl;
                 if (this.params.serverFilename) {
                     node.properties.serverFilename = this.params.serverFilename;
                 }
-                
+                updated = true;
+            }
+            
+            // Searchable EXIF/IPTC fields extracted by the server
+            if (this.params.metadata && !node.properties.metadata) {
+                node.properties.metadata = this.params.metadata;
+                updated = true;
+            }
+            
+            // Formats the server converted (HEIC, TIFF, SVG, PSD, RAW) are shown
+            // from the converted copy, which is also what gives the node its shape
+            const { original, width, height } = this.params;
+            if (original && !node.properties.original) {
+                node.properties.original = original;
+                if (width > 0 && height > 0) {
+                    node.properties.originalWidth = width;
+                    node.properties.originalHeight = height;
+                    node.size[1] = node.size[0] * height / width;
+                }
+                node.scheduleSourceReload?.();
+                updated = true;
+            }
+            
+            if (updated) {
                 updatedNodes.push(node);
             }
         }
@@ -175,6 +175,29 @@ class MoveNodeCommand extends Command {
         return { nodes: movedNodes };
     }
     
+    async executeGroupUngroup(graph) {
+        const group = graph.getNodeById(this.params.groupId);
+        if (!group || group.type !== 'container/group') {
+            throw new Error('Group not found');
+        }
+        
+        // Children move up a level, into the group's own parent if it has one
+        const parentGroup = group.getParentGroup();
+        const childNodeIds = Array.from(group.childNodes);
+        
+        if (parentGroup) {
+            parentGroup.childNodes.delete(group.id);
+            childNodeIds.forEach(nodeId => parentGroup.childNodes.add(nodeId));
+            parentGroup.markDirty();
+        }
+        
+        group.childNodes.clear();
+        graph.remove(group);
+        
+        this.executed = true;
+        return { success: true, childNodeIds, parentGroupId: parentGroup?.id || null };
+    }
+    
     async undo(context) {
         const { graph } = context;
         
@@ -304,7 +327,8 @@ class CreateNodeCommand extends Command {
             'toneCurveBypassed',
             'colorAdjustmentsBypassed',
             'colorBalance',
-            'colorBalanceBypassed'
+            'colorBalanceBypassed',
+            'lut'
         ];
         
         colorCorrectionProps.forEach(prop => {
@@ -450,7 +474,8 @@ class CreateNodeCommand extends Command {
                             const completeResult = await window.app.operationPipeline.execute('image_upload_complete', {
                                 hash: currentNode.properties.hash,
                                 serverUrl: uploadResult.url,
-                                serverFilename: uploadResult.serverFilename || uploadResult.filename
+                                serverFilename: uploadResult.serverFilename || uploadResult.filename,
+                                metadata: uploadResult.metadata
                             });
                             
                         } catch (error) {
@@ -611,9 +636,39 @@ class DeleteNodeCommand extends Command {
         return { valid: true };
     }
     
+    /**
+     * Connectors left with no bound end are deleted along with the nodes,
+     * the rest are detached where the node was. Planned once and sent with
+     * the params so the server applies the same result.
+     */
+    resolveConnectors(graph) {
+        if (this.params.detachedEndpoints) return;
+        
+        const plan = ConnectorNode.planDelete(graph, this.params.nodeIds);
+        this.params.nodeIds = [...this.params.nodeIds, ...plan.deletedConnectorIds];
+        this.params.detachedEndpoints = plan.detachedEndpoints;
+    }
+    
+    /**
+     * Endpoints the detached connectors had before, restored on undo
+     */
+    getPreviousEndpoints(graph) {
+        const previousProperties = {};
+        for (const [connectorId, detached] of Object.entries(this.params.detachedEndpoints || {})) {
+            const connector = graph.nodes.find(n => n.id == connectorId); // Keys are strings
+            if (!connector) continue;
+            previousProperties[connectorId] = {};
+            for (const end of Object.keys(detached)) {
+                previousProperties[connectorId][end] = connector.properties[end];
+            }
+        }
+        return previousProperties;
+    }
+    
     async prepareUndoData(context) {
         const { graph } = context;
-        this.undoData = { deletedNodes: [] };
+        this.resolveConnectors(graph);
+        this.undoData = { deletedNodes: [], previousProperties: this.getPreviousEndpoints(graph) };
         
         this.params.nodeIds.forEach(nodeId => {
             const node = graph.getNodeById(nodeId);
@@ -687,7 +742,15 @@ class DeleteNodeCommand extends Command {
         const { graph, canvas } = context;
         
         // Store nodes for undo
-        this.undoData = { deletedNodes: [] };
+        this.resolveConnectors(graph);
+        this.undoData = { deletedNodes: [], previousProperties: this.getPreviousEndpoints(graph) };
+        
+        for (const [connectorId, detached] of Object.entries(this.params.detachedEndpoints)) {
+            const connector = graph.nodes.find(n => n.id == connectorId); // Keys are strings
+            if (connector) {
+                Object.assign(connector.properties, detached);
+            }
+        }
 
         this.params.nodeIds.forEach(nodeId => {
             const node = graph.getNodeById(nodeId);
@@ -813,7 +876,8 @@ class DeleteNodeCommand extends Command {
                     'toneCurveBypassed',
                     'colorAdjustmentsBypassed',
                     'colorBalance',
-                    'colorBalanceBypassed'
+                    'colorBalanceBypassed',
+                    'lut'
                 ];
                 
                 colorCorrectionProps.forEach(prop => {
@@ -869,6 +933,14 @@ class DeleteNodeCommand extends Command {
             }
         }
         
+        // Re-attach connectors that were detached from the restored nodes
+        for (const [connectorId, endpoints] of Object.entries(this.undoData.previousProperties || {})) {
+            const connector = graph.nodes.find(n => n.id == connectorId); // Keys are strings
+            if (connector) {
+                Object.assign(connector.properties, endpoints);
+            }
+        }
+        
         return { success: true };
     }
 }
@@ -921,10 +993,19 @@ class GroupNodeCommand extends Command {
                 return { valid: true };
                 
             case 'group_toggle_collapsed':
-                const { groupId: toggleGroupId } = this.params;
+                const { groupId: toggleGroupId, collapsed } = this.params;
                 if (!toggleGroupId) {
                     return { valid: false, error: 'Missing groupId for toggle collapsed' };
                 }
+                if (collapsed !== undefined && typeof collapsed !== 'boolean') {
+                    return { valid: false, error: 'collapsed must be a boolean' };
+                }
+                return { valid: true };
+                
+            case 'group_ungroup':
+                if (!this.params.groupId) {
+                    return { valid: false, error: 'Missing groupId for ungroup' };
+                }
                 return { valid: true };
                 
             case 'group_update_style':
@@ -964,8 +1045,10 @@ class GroupNodeCommand extends Command {
                 // Store previous group membership
                 const nodeToAdd = graph.getNodeById(this.params.nodeId);
                 if (nodeToAdd) {
-                    this.undoData.previousGroup = this.findNodeGroup(graph, nodeToAdd.id);
+                    const previousGroup = this.findNodeGroup(graph, nodeToAdd.id);
+                    this.undoData.previousGroup = previousGroup?.id || null;
                     this.undoData.nodePosition = [...nodeToAdd.pos];
+                    this.undoData.previousProperties = this.getChildNodeLists(graph, [this.params.groupId, previousGroup?.id]);
                 }
                 break;
                 
@@ -976,15 +1059,16 @@ class GroupNodeCommand extends Command {
                 if (nodeToRemove) {
                     this.undoData.nodePosition = [...nodeToRemove.pos];
                 }
+                this.undoData.previousProperties = this.getChildNodeLists(graph, [this.params.groupId]);
                 break;
                 
             case 'group_move':
-                // Store original positions of group and all child nodes
+                // Store original positions of group and everything inside it
                 const moveGroup = graph.getNodeById(this.params.groupId);
                 if (moveGroup) {
                     this.undoData.originalGroupPosition = [...moveGroup.pos];
                     this.undoData.originalChildPositions = {};
-                    moveGroup.getChildNodes().forEach(childNode => {
+                    moveGroup.getDescendantNodes().forEach(childNode => {
                         this.undoData.originalChildPositions[childNode.id] = [...childNode.pos];
                     });
                 }
@@ -1000,11 +1084,37 @@ class GroupNodeCommand extends Command {
                 break;
                 
             case 'group_toggle_collapsed':
-                // Store original collapsed state
+                // Store original collapsed state, for nested groups too when cascading
                 const toggleGroup = graph.getNodeById(this.params.groupId);
                 if (toggleGroup) {
                     this.undoData.originalCollapsed = toggleGroup.isCollapsed;
                     this.undoData.originalSize = [...toggleGroup.size];
+                    
+                    const affectedGroups = [toggleGroup];
+                    if (this.params.cascade) {
+                        affectedGroups.push(...toggleGroup.getDescendantNodes().filter(n => n.type === 'container/group'));
+                    }
+                    this.undoData.previousProperties = {};
+                    this.undoData.previousPositions = {};
+                    this.undoData.previousSizes = {};
+                    for (const group of affectedGroups) {
+                        this.undoData.previousProperties[group.id] = {
+                            isCollapsed: group.isCollapsed,
+                            expandedSize: [...group.expandedSize]
+                        };
+                        this.undoData.previousPositions[group.id] = [...group.pos];
+                        this.undoData.previousSizes[group.id] = [...group.size];
+                    }
+                }
+                break;
+                
+            case 'group_ungroup':
+                // Keep the whole group so it can be recreated, plus its parent's children
+                const ungroupGroup = graph.getNodeById(this.params.groupId);
+                if (ungroupGroup) {
+                    const parentGroup = ungroupGroup.getParentGroup();
+                    this.undoData.deletedNodes = [ungroupGroup.serialize()];
+                    this.undoData.previousProperties = this.getChildNodeLists(graph, [parentGroup?.id]);
                 }
                 break;
                 
@@ -1037,6 +1147,8 @@ class GroupNodeCommand extends Command {
                 return this.executeGroupToggleCollapsed(graph);
             case 'group_update_style':
                 return this.executeGroupUpdateStyle(graph);
+            case 'group_ungroup':
+                return this.executeGroupUngroup(graph);
             default:
                 throw new Error(`Unknown group action: ${action}`);
         }
@@ -1170,7 +1282,8 @@ class GroupNodeCommand extends Command {
             throw new Error('Group not found');
         }
         
-        group.toggleCollapsed();
+        const collapsed = this.params.collapsed ?? !group.isCollapsed;
+        group.setCollapsed(collapsed, !!this.params.cascade);
         
         this.executed = true;
         return { success: true, isCollapsed: group.isCollapsed };
@@ -1286,13 +1399,33 @@ class GroupNodeCommand extends Command {
                 break;
                 
             case 'group_toggle_collapsed':
-                // Restore collapsed state
-                const toggledGroup = graph.getNodeById(this.params.groupId);
-                if (toggledGroup) {
-                    toggledGroup.isCollapsed = this.undoData.originalCollapsed;
-                    if (this.undoData.originalSize) {
-                        toggledGroup.size[0] = this.undoData.originalSize[0];
-                        toggledGroup.size[1] = this.undoData.originalSize[1];
+                // Restore collapsed state of every group the toggle changed
+                for (const [groupId, previous] of Object.entries(this.undoData.previousProperties || {})) {
+                    const toggledGroup = graph.getNodeById(groupId);
+                    if (!toggledGroup) continue;
+                    
+                    toggledGroup.isCollapsed = previous.isCollapsed;
+                    toggledGroup.expandedSize = [...previous.expandedSize];
+                    toggledGroup.pos = [...this.undoData.previousPositions[groupId]];
+                    toggledGroup.size = [...this.undoData.previousSizes[groupId]];
+                    toggledGroup.markDirty();
+                }
+                break;
+                
+            case 'group_ungroup':
+                // Recreate the group around its children and put it back in its parent
+                const groupData = this.undoData.deletedNodes?.[0];
+                if (groupData) {
+                    const restoredGroup = new GroupNode();
+                    restoredGroup.id = groupData.id;
+                    restoredGroup.configure(groupData);
+                    graph.add(restoredGroup);
+                }
+                for (const [groupId, previous] of Object.entries(this.undoData.previousProperties || {})) {
+                    const parentGroup = graph.getNodeById(groupId);
+                    if (parentGroup) {
+                        parentGroup.childNodes = new Set(previous.childNodes);
+                        parentGroup.markDirty();
                     }
                 }
                 break;
@@ -1310,6 +1443,21 @@ class GroupNodeCommand extends Command {
         return { success: true };
     }
     
+    /**
+     * Current childNodes of the given groups, in the previousProperties shape
+     * the server restores on undo
+     */
+    getChildNodeLists(graph, groupIds) {
+        const lists = {};
+        for (const groupId of groupIds) {
+            const group = groupId && graph.getNodeById(groupId);
+            if (group?.type === 'container/group') {
+                lists[group.id] = { childNodes: Array.from(group.childNodes) };
+            }
+        }
+        return lists;
+    }
+    
     /**
      * Find which group a node belongs to
      */
@@ -1377,10 +1525,10 @@ class UpdateNodePropertyCommand extends Command {
             };
             this.params.nodeIds.forEach((nodeId, index) => {
                 if (this.initialState.nodes[index]) {
-                    const isDirectProperty = ['title', 'toneCurve', 'toneCurveBypassed', 'colorAdjustmentsBypassed', 'adjustments', 'colorBalance', 'colorBalanceBypassed'].includes(this.params.property);
+                    const isDirectProperty = ['title', 'toneCurve', 'toneCurveBypassed', 'colorAdjustmentsBypassed', 'adjustments', 'colorBalance', 'colorBalanceBypassed', 'lut'].includes(this.params.property);
                     const oldValue = isDirectProperty ? this.initialState.nodes[index][this.params.property] : this.initialState.nodes[index].properties[this.params.property];
                     this.undoData.previousProperties[nodeId] = {
-                        [this.params.property]: oldValue
+                        [this.params.property]: this.getUndoValue(oldValue)
                     };
                 }
             });
@@ -1391,7 +1539,7 @@ class UpdateNodePropertyCommand extends Command {
         
         if (node) {
             // Store old value for undo
-            const isDirectProperty = ['title', 'toneCurve', 'toneCurveBypassed', 'colorAdjustmentsBypassed', 'adjustments', 'colorBalance', 'colorBalanceBypassed'].includes(this.params.property);
+            const isDirectProperty = ['title', 'toneCurve', 'toneCurveBypassed', 'colorAdjustmentsBypassed', 'adjustments', 'colorBalance', 'colorBalanceBypassed', 'lut'].includes(this.params.property);
             const oldValue = isDirectProperty ? node[this.params.property] : node.properties[this.params.property];
             
             // Debug logging for title property
@@ -1407,7 +1555,7 @@ class UpdateNodePropertyCommand extends Command {
             // For direct properties like 'title', we still need to store them
             // The server will handle both direct and nested properties
             this.undoData.previousProperties[node.id] = {
-                [this.params.property]: oldValue
+                [this.params.property]: this.getUndoValue(oldValue)
             };
 
         } else {
@@ -1415,6 +1563,14 @@ class UpdateNodePropertyCommand extends Command {
         }
     }
     
+    /**
+     * Locked and hidden are usually unset - store false, since an undefined
+     * value is dropped on the way to the server and undo would keep the new state
+     */
+    getUndoValue(oldValue) {
+        return ['locked', 'hidden'].includes(this.params.property) ? !!oldValue : oldValue;
+    }
+    
     async execute(context) {
         const { graph } = context;
 
@@ -1422,7 +1578,7 @@ class UpdateNodePropertyCommand extends Command {
             const node = graph.getNodeById(nodeId);
             if (!node) continue;
 
-            const isDirectProperty = ['title', 'toneCurve', 'toneCurveBypassed', 'colorAdjustmentsBypassed', 'adjustments', 'colorBalance', 'colorBalanceBypassed'].includes(this.params.property);
+            const isDirectProperty = ['title', 'toneCurve', 'toneCurveBypassed', 'colorAdjustmentsBypassed', 'adjustments', 'colorBalance', 'colorBalanceBypassed', 'lut'].includes(this.params.property);
             if (isDirectProperty) {
                 node[this.params.property] = this.params.value;
             } else {
@@ -1451,7 +1607,7 @@ class UpdateNodePropertyCommand extends Command {
                 const node = graph.getNodeById(nodeId);
                 if (node) {
                     for (const [key, value] of Object.entries(props)) {
-                        const isDirectProperty = ['title', 'toneCurve', 'toneCurveBypassed', 'colorAdjustmentsBypassed', 'adjustments', 'colorBalance', 'colorBalanceBypassed'].includes(key);
+                        const isDirectProperty = ['title', 'toneCurve', 'toneCurveBypassed', 'colorAdjustmentsBypassed', 'adjustments', 'colorBalance', 'colorBalanceBypassed', 'lut'].includes(key);
                         if (isDirectProperty) {
                             node[key] = value;
                         } else {
@@ -191,14 +191,14 @@ class ResetNodeCommand extends Command {
     }
     
     validate() {
-        const { nodeIds, resetType, resetRotation, resetAspectRatio } = this.params;
+        const { nodeIds, resetType, resetRotation, resetAspectRatio, resetCrop } = this.params;
         
         if (!nodeIds || !Array.isArray(nodeIds) || nodeIds.length === 0) {
             return { valid: false, error: 'Missing or invalid nodeIds' };
         }
         
         // Support both old resetType format and new boolean format
-        if (!resetType && !resetRotation && !resetAspectRatio) {
+        if (!resetType && !resetRotation && !resetAspectRatio && !resetCrop) {
             return { valid: false, error: 'Missing reset parameters' };
         }
         
@@ -218,6 +218,7 @@ class ResetNodeCommand extends Command {
                     ]
                 }))
             };
+            this.prepareCropUndoData(graph);
             return;
         }
 
@@ -261,6 +262,34 @@ class ResetNodeCommand extends Command {
             this.undoData.nodes.push(undoInfo);
         });
         
+        this.prepareCropUndoData(graph);
+    }
+    
+    /**
+     * Crop resets move and resize the node, so undo needs positions, sizes
+     * and the crop itself in the format the server restores
+     */
+    prepareCropUndoData(graph) {
+        if (!this.params.resetCrop) return;
+        
+        this.undoData.previousPositions = {};
+        this.undoData.previousSizes = {};
+        this.undoData.previousProperties = {};
+        
+        this.params.nodeIds.forEach((nodeId, index) => {
+            const node = graph.getNodeById(nodeId);
+            if (!ImageCrop.supportsNode(node)) return;
+            
+            const initial = this.initialState;
+            const properties = initial ? initial.properties[index] : node.properties;
+            this.undoData.previousPositions[nodeId] = [...(initial ? initial.positions[index] : node.pos)];
+            this.undoData.previousSizes[nodeId] = [...(initial ? initial.sizes[index] : node.size)];
+            this.undoData.previousProperties[nodeId] = {
+                crop: properties.crop ? { ...properties.crop } : null,
+                flipH: !!properties.flipH,
+                flipV: !!properties.flipV
+            };
+        });
     }
     
     async execute(context) {
@@ -287,6 +316,23 @@ class ResetNodeCommand extends Command {
                 }
             }
             
+            if (this.params.resetCrop && ImageCrop.supportsNode(node)) {
+                // Frame of the whole image, worked out before the crop is cleared
+                const frame = ImageCrop.getUncroppedFrame(node);
+                const position = this.params.positions ? this.params.positions[index] : frame.pos;
+                const size = this.params.sizes ? this.params.sizes[index] : frame.size;
+                
+                node.properties.crop = null;
+                node.properties.flipH = false;
+                node.properties.flipV = false;
+                node.pos[0] = position[0];
+                node.pos[1] = position[1];
+                node.size[0] = size[0];
+                node.size[1] = size[1];
+                node.aspectRatio = node.size[0] / node.size[1];
+                node.lockedAspectRatio = node.aspectRatio;
+            }
+            
             // Handle old resetType format for backwards compatibility
             if (this.params.resetType) {
                 switch (this.params.resetType) {
@@ -362,6 +408,18 @@ class ResetNodeCommand extends Command {
                 });
             }
             
+            if (this.undoData.previousProperties?.[undoInfo.id]) {
+                const previousPos = this.undoData.previousPositions[undoInfo.id];
+                const previousSize = this.undoData.previousSizes[undoInfo.id];
+                node.pos[0] = previousPos[0];
+                node.pos[1] = previousPos[1];
+                node.size[0] = previousSize[0];
+                node.size[1] = previousSize[1];
+                Object.assign(node.properties, this.undoData.previousProperties[undoInfo.id]);
+                node.aspectRatio = node.size[0] / node.size[1];
+                node.lockedAspectRatio = node.aspectRatio;
+            }
+            
             // Handle old resetType format for backwards compatibility
             if (undoInfo.resetType) {
                 switch (undoInfo.resetType) {
@@ -390,6 +448,150 @@ class ResetNodeCommand extends Command {
     }
 }
 
+class CropNodeCommand extends Command {
+    constructor(params, origin = 'local') {
+        super('node_crop', params, origin);
+        
+        // endInteraction sends singular forms for single nodes
+        if (this.params.nodeId && !this.params.nodeIds) {
+            this.params.nodeIds = [this.params.nodeId];
+        }
+        if (this.params.position && !this.params.positions) {
+            this.params.positions = [this.params.position];
+        }
+        if (this.params.size && !this.params.sizes) {
+            this.params.sizes = [this.params.size];
+        }
+    }
+    
+    validate() {
+        const { nodeIds, crops, flipH, flipV, positions, sizes } = this.params;
+        
+        if (!nodeIds || !Array.isArray(nodeIds) || nodeIds.length === 0) {
+            return { valid: false, error: 'Missing or invalid nodeIds' };
+        }
+        
+        if (!crops && !flipH && !flipV) {
+            return { valid: false, error: 'Missing crop or flip parameters' };
+        }
+        
+        for (const list of [crops, flipH, flipV, positions, sizes]) {
+            if (list && (!Array.isArray(list) || list.length !== nodeIds.length)) {
+                return { valid: false, error: 'Crop parameters must match nodeIds' };
+            }
+        }
+        
+        return { valid: true };
+    }
+    
+    supportsOptimisticUpdate() {
+        return true;
+    }
+    
+    async prepareUndoData(context) {
+        const { graph } = context;
+        
+        // Server format - pos/size go back onto the node, crop/flip into properties
+        this.undoData = { previousProperties: {} };
+        
+        this.params.nodeIds.forEach((nodeId, index) => {
+            let state;
+            if (this.initialState) {
+                state = {
+                    pos: this.initialState.positions[index],
+                    size: this.initialState.sizes[index],
+                    properties: this.initialState.properties[index]
+                };
+            } else {
+                state = graph.getNodeById(nodeId);
+            }
+            if (!state?.properties) return;
+            
+            this.undoData.previousProperties[nodeId] = {
+                pos: [...state.pos],
+                size: [...state.size],
+                // null rather than undefined so undo clears a crop added since
+                crop: state.properties.crop ? { ...state.properties.crop } : null,
+                flipH: !!state.properties.flipH,
+                flipV: !!state.properties.flipV
+            };
+        });
+    }
+    
+    async execute(context) {
+        const { graph } = context;
+        
+        if (!this.undoData) {
+            await this.prepareUndoData(context);
+        }
+        
+        const { crops, flipH, flipV, positions, sizes } = this.params;
+        
+        this.params.nodeIds.forEach((nodeId, index) => {
+            const node = graph.getNodeById(nodeId);
+            if (!ImageCrop.supportsNode(node)) return;
+            
+            if (crops) {
+                node.properties.crop = ImageCrop.normalize(crops[index]);
+            }
+            if (flipH) {
+                node.properties.flipH = !!flipH[index];
+            }
+            if (flipV) {
+                node.properties.flipV = !!flipV[index];
+            }
+            
+            if (positions && positions[index]) {
+                node.pos[0] = positions[index][0];
+                node.pos[1] = positions[index][1];
+            }
+            if (sizes && sizes[index]) {
+                node.size[0] = sizes[index][0];
+                node.size[1] = sizes[index][1];
+                node.aspectRatio = node.size[0] / node.size[1];
+                node.lockedAspectRatio = node.aspectRatio;
+            }
+        });
+        
+        if (graph.canvas) {
+            graph.canvas.dirty_canvas = true;
+        }
+        
+        this.executed = true;
+        return { success: true };
+    }
+    
+    async undo(context) {
+        const { graph } = context;
+        
+        if (!this.undoData) {
+            throw new Error('No undo data available');
+        }
+        
+        for (const [nodeId, previous] of Object.entries(this.undoData.previousProperties)) {
+            const node = graph.getNodeById(nodeId);
+            if (!node) continue;
+            
+            node.pos[0] = previous.pos[0];
+            node.pos[1] = previous.pos[1];
+            node.size[0] = previous.size[0];
+            node.size[1] = previous.size[1];
+            node.aspectRatio = node.size[0] / node.size[1];
+            node.lockedAspectRatio = node.aspectRatio;
+            
+            node.properties.crop = previous.crop;
+            node.properties.flipH = previous.flipH;
+            node.properties.flipV = previous.flipV;
+        }
+        
+        if (graph.canvas) {
+            graph.canvas.dirty_canvas = true;
+        }
+        
+        return { success: true };
+    }
+}
+
 class RotateNodeCommand extends Command {
     constructor(params, origin = 'local') {
         super('node_rotate', params, origin);
@@ -614,6 +816,106 @@ class VideoToggleCommand extends Command {
     }
 }
 
+/**
+ * Sets a video's loop in/out points and poster frame. Each field is optional;
+ * null clears it. The playhead and playback rate stay local to each client.
+ */
+class VideoTimelineCommand extends Command {
+    static FIELDS = ['inPoint', 'outPoint', 'posterTime'];
+
+    constructor(params, origin = 'local') {
+        super('video_timeline', params, origin);
+    }
+
+    getChangedFields() {
+        return VideoTimelineCommand.FIELDS.filter(field => this.params[field] !== undefined);
+    }
+
+    validate() {
+        const { nodeId, inPoint, outPoint } = this.params;
+
+        if (!nodeId) {
+            return { valid: false, error: 'Missing nodeId' };
+        }
+
+        const fields = this.getChangedFields();
+        if (fields.length === 0) {
+            return { valid: false, error: 'No timeline values to update' };
+        }
+
+        for (const field of fields) {
+            const value = this.params[field];
+            if (value !== null && (!Number.isFinite(value) || value < 0)) {
+                return { valid: false, error: `Invalid ${field}` };
+            }
+        }
+
+        if (typeof inPoint === 'number' && typeof outPoint === 'number' && inPoint >= outPoint) {
+            return { valid: false, error: 'In point must be before out point' };
+        }
+
+        return { valid: true };
+    }
+
+    async prepareUndoData(context) {
+        const { graph } = context;
+        const node = graph.getNodeById(this.params.nodeId);
+
+        if (node && node.type === 'media/video') {
+            const previous = {};
+            for (const field of this.getChangedFields()) {
+                previous[field] = node.properties[field] ?? null;
+            }
+            this.undoData = { nodeId: node.id, previous };
+        }
+    }
+
+    async execute(context) {
+        const { graph } = context;
+        const node = graph.getNodeById(this.params.nodeId);
+
+        if (!node || node.type !== 'media/video') {
+            throw new Error('Video node not found');
+        }
+
+        if (!this.undoData) {
+            await this.prepareUndoData(context);
+        }
+
+        // The range has to stay ordered once merged with the node's other point
+        const inPoint = this.params.inPoint !== undefined ? this.params.inPoint : node.properties.inPoint;
+        const outPoint = this.params.outPoint !== undefined ? this.params.outPoint : node.properties.outPoint;
+        if (typeof inPoint === 'number' && typeof outPoint === 'number' && inPoint >= outPoint) {
+            throw new Error('In point must be before out point');
+        }
+
+        for (const field of this.getChangedFields()) {
+            node.properties[field] = this.params[field];
+        }
+
+        if (graph.canvas) {
+            graph.canvas.dirty_canvas = true;
+        }
+        this.executed = true;
+        return { node };
+    }
+
+    async undo(context) {
+        const { graph } = context;
+        const node = graph.getNodeById(this.undoData.nodeId);
+
+        if (node && node.type === 'media/video') {
+            Object.assign(node.properties, this.undoData.previous);
+        }
+
+        if (graph.canvas) {
+            graph.canvas.dirty_canvas = true;
+        }
+
+        return { success: true };
+    }
+}
+
 class BatchPropertyUpdateCommand extends Command {
     constructor(params, origin = 'local') {
         super('node_batch_property_update', params, origin);
@@ -759,9 +1061,11 @@ class DuplicateNodesCommand extends Command {
         // Handle explicit node data (Alt+drag) or standard duplication
         if (this.params.nodeData && Array.isArray(this.params.nodeData)) {
             const offset = this.params.offset || [0, 0];
+            const duplicatesByIndex = [];
             
             for (const nodeData of this.params.nodeData) {
                 const duplicate = this.createNodeFromData(nodeData, context);
+                duplicatesByIndex.push(duplicate);
                 if (duplicate) {
                     // Apply offset (usually [0,0] for Alt+drag since positions are pre-calculated)
                     duplicate.pos[0] += offset[0];
@@ -799,12 +1103,21 @@ class DuplicateNodesCommand extends Command {
                     this.undoData.createdNodeIds.push(duplicate.id);
                 }
             }
+            
+            // Bind copied connectors to the copies made in this operation
+            this.params.nodeData.forEach((nodeData, index) => {
+                const duplicate = duplicatesByIndex[index];
+                if (duplicate?.type !== 'shape/connector') return;
+                ConnectorNode.rebindCopy(duplicate, nodeData,
+                    endpoint => duplicatesByIndex[endpoint.copyIndex]?.id);
+            });
         } else {
             const offset = this.params.offset || [20, 20];
             
             // Track ID mappings for parent-child relationships
             const idMapping = new Map(); // Maps old IDs to new IDs
             const groupsToUpdate = []; // Groups that need their childNodes updated
+            const connectorsToRebind = []; // [duplicate, original] connector pairs
             
             // First pass: duplicate all nodes and track ID mappings
             for (const nodeId of this.params.nodeIds) {
@@ -853,6 +1166,9 @@ class DuplicateNodesCommand extends Command {
                     if (duplicate.type === 'container/group' && duplicate.childNodes && duplicate.childNodes.size > 0) {
                         groupsToUpdate.push(duplicate);
                     }
+                    if (duplicate.type === 'shape/connector') {
+                        connectorsToRebind.push([duplicate, originalNode]);
+                    }
                 }
             }
             
@@ -867,6 +1183,11 @@ class DuplicateNodesCommand extends Command {
                 }
                 group.childNodes = newChildNodes;
             }
+            
+            // Third pass: bind duplicated connectors to the duplicated nodes
+            for (const [duplicate, original] of connectorsToRebind) {
+                ConnectorNode.rebindCopy(duplicate, original, endpoint => idMapping.get(endpoint.nodeId));
+            }
         }
         
         // Select the created nodes for optimistic updates
@@ -951,7 +1272,8 @@ class DuplicateNodesCommand extends Command {
             'toneCurveBypassed',
             'colorAdjustmentsBypassed',
             'colorBalance',
-            'colorBalanceBypassed'
+            'colorBalanceBypassed',
+            'lut'
         ];
         
         colorCorrectionProps.forEach(prop => {
@@ -1210,6 +1532,12 @@ class PasteNodesCommand extends Command {
                     }
                 }
             }
+            
+            // Connectors bound to pasted nodes bind to the new copies
+            const node = nodesByIndex.get(index);
+            if (node?.type === 'shape/connector') {
+                ConnectorNode.rebindCopy(node, data, endpoint => nodesByIndex.get(endpoint.copyIndex)?.id);
+            }
         });
         
         // Select the created nodes for optimistic updates
@@ -1274,7 +1602,8 @@ class PasteNodesCommand extends Command {
             'toneCurveBypassed',
             'colorAdjustmentsBypassed',
             'colorBalance',
-            'colorBalanceBypassed'
+            'colorBalanceBypassed',
+            'lut'
         ];
         
         colorCorrectionProps.forEach(prop => {
@@ -1420,7 +1749,9 @@ if (typeof window !== 'undefined') {
             ResizeNodeCommand: typeof ResizeNodeCommand !== 'undefined' ? ResizeNodeCommand : null,
             ResetNodeCommand: typeof ResetNodeCommand !== 'undefined' ? ResetNodeCommand : null,
             RotateNodeCommand: typeof RotateNodeCommand !== 'undefined' ? RotateNodeCommand : null,
+            CropNodeCommand: typeof CropNodeCommand !== 'undefined' ? CropNodeCommand : null,
             VideoToggleCommand: typeof VideoToggleCommand !== 'undefined' ? VideoToggleCommand : null,
+            VideoTimelineCommand: typeof VideoTimelineCommand !== 'undefined' ? VideoTimelineCommand : null,
             BatchPropertyUpdateCommand: typeof BatchPropertyUpdateCommand !== 'undefined' ? BatchPropertyUpdateCommand : null,
             DuplicateNodesCommand: typeof DuplicateNodesCommand !== 'undefined' ? DuplicateNodesCommand : null,
             PasteNodesCommand: typeof PasteNodesCommand !== 'undefined' ? PasteNodesCommand : null
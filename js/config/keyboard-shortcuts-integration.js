@@ -141,6 +141,10 @@ class KeyboardShortcutManager {
                 return this.executeNodeOperationShortcut(action, event);
             case 'CLIPBOARD':
                 return this.executeClipboardShortcut(action, event);
+            case 'IMAGE':
+                return this.executeImageShortcut(action, event);
+            case 'VIDEO':
+                return this.executeVideoShortcut(action, event);
             case 'LAYERS':
                 return this.executeLayerShortcut(action, event);
             case 'FILE':
@@ -213,6 +217,9 @@ class KeyboardShortcutManager {
             case 'GROUP_CREATE':
                 canvas.createGroupFromSelected();
                 return true;
+            case 'UNGROUP':
+                canvas.ungroupSelected();
+                return true;
             case 'TEXT_NODE':
                 canvas.createTextNodeAt(canvas.mouseState.graph);
                 return true;
@@ -221,6 +228,9 @@ class KeyboardShortcutManager {
                     window.app.nodeCreationMenu.createNodeAtCenter('shape');
                 }
                 return true;
+            case 'CONNECTOR':
+                canvas.createConnector(canvas.mouseState.graph);
+                return true;
         }
         return false;
     }
@@ -241,6 +251,12 @@ class KeyboardShortcutManager {
                 canvas.cutSelected();
                 return true;
             case 'PASTE':
+                // Let the browser fire its paste event - only that can read
+                // images and URLs from the OS clipboard
+                if (window.app?.clipboardManager) {
+                    window.app.clipboardManager.expectPaste();
+                    return false;
+                }
                 console.log('📋 Calling paste()');
                 canvas.paste();
                 return true;
@@ -248,6 +264,50 @@ class KeyboardShortcutManager {
         return false;
     }
     
+    // Image crop and flip shortcuts
+    executeImageShortcut(action, event) {
+        const canvas = this.canvas;
+        
+        switch (action) {
+            case 'CROP':
+                canvas.toggleCropMode();
+                return true;
+            case 'FLIP_HORIZONTAL':
+                canvas.flipSelected('horizontal');
+                return true;
+            case 'FLIP_VERTICAL':
+                canvas.flipSelected('vertical');
+                return true;
+        }
+        return false;
+    }
+    
+    // Video timeline shortcuts
+    executeVideoShortcut(action, event) {
+        const scrubber = this.canvas.videoScrubber;
+        
+        switch (action) {
+            case 'PREVIOUS_FRAME':
+                return scrubber.stepFrames(-1);
+            case 'NEXT_FRAME':
+                return scrubber.stepFrames(1);
+            case 'MARK_IN':
+                return scrubber.markIn();
+            case 'MARK_OUT':
+                return scrubber.markOut();
+            case 'CLEAR_RANGE':
+                return scrubber.clearRange();
+            case 'SET_POSTER':
+                return scrubber.setPoster();
+            case 'GRAB_FRAME': {
+                const nodes = scrubber.getTargetVideos();
+                nodes.forEach(node => node.grabFrame());
+                return nodes.length > 0;
+            }
+        }
+        return false;
+    }
+    
     // Layer shortcuts
     executeLayerShortcut(action, event) {
         const canvas = this.canvas;
@@ -314,6 +374,11 @@ class KeyboardShortcutManager {
                     window.canvasNavigator.toggle();
                 }
                 return true;
+            case 'EXPORT':
+                if (window.app?.exportDialog) {
+                    window.app.exportDialog.toggle();
+                }
+                return true;
         }
         return false;
     }
@@ -356,6 +421,21 @@ class KeyboardShortcutManager {
             case 'TOGGLE_TITLES':
                 this.canvas.toggleTitleVisibility();
                 return true;
+            case 'ANNOTATE':
+                if (window.app?.annotationTool) {
+                    window.app.annotationTool.toggle();
+                }
+                return true;
+            case 'SEARCH':
+                if (window.app?.searchOverlay) {
+                    window.app.searchOverlay.open();
+                }
+                return true;
+            case 'OUTLINE':
+                if (window.app?.outlinePanel) {
+                    window.app.outlinePanel.toggle();
+                }
+                return true;
         }
         return false;
     }
@@ -371,6 +451,21 @@ class KeyboardShortcutManager {
             case 'ALIGN_VERTICAL':
                 canvas.alignSelected('vertical');
                 return true;
+            case 'DISTRIBUTE_HORIZONTAL':
+                canvas.arrangeSelected('distribute', { axis: 'horizontal' });
+                return true;
+            case 'DISTRIBUTE_VERTICAL':
+                canvas.arrangeSelected('distribute', { axis: 'vertical' });
+                return true;
+            case 'MATCH_SIZE':
+                canvas.arrangeSelected('match_size', { dimension: 'area', reference: 'largest' });
+                return true;
+            case 'ARRANGE_ROWS':
+                canvas.arrangeSelected('layout', { style: 'rows' });
+                return true;
+            case 'ARRANGE_MASONRY':
+                canvas.arrangeSelected('layout', { style: 'masonry' });
+                return true;
         }
         return false;
     }
@@ -487,6 +582,11 @@ class KeyboardShortcutManager {
             }
         }
         
+        // Video timeline shortcuts act on the current gallery node
+        if (shortcut.category === 'VIDEO') {
+            return this.executeVideoShortcut(shortcut.name, event);
+        }
+        
         // Allow certain NAVIGATION shortcuts in gallery mode
         if (shortcut.category === 'NAVIGATION') {
             switch (shortcut.name) {
@@ -64,6 +64,11 @@ const KEYBOARD_SHORTCUTS = {
             modifiers: ['shiftKey'],
             description: 'Snap rotation to increments while dragging'
         },
+        SNAP_DISABLE: {
+            keys: ['Cmd', 'Drag'],
+            modifiers: ['ctrlKey'],
+            description: 'Move or resize without snapping to guides'
+        },
         RESIZE_ASPECT_LOCK: {
             keys: ['Shift', 'Resize'],
             modifiers: ['shiftKey'],
@@ -98,6 +103,11 @@ const KEYBOARD_SHORTCUTS = {
             modifiers: [],
             description: 'Create group from selected nodes'
         },
+        UNGROUP: {
+            keys: ['g'],
+            modifiers: ['ctrlKey'],
+            description: 'Ungroup selected groups'
+        },
         TEXT_NODE: {
             keys: ['t'],
             modifiers: [],
@@ -107,6 +117,11 @@ const KEYBOARD_SHORTCUTS = {
             keys: ['s'],
             modifiers: [],
             description: 'Create shape node'
+        },
+        CONNECTOR: {
+            keys: ['l'],
+            modifiers: [],
+            description: 'Connect selected nodes with arrows'
         }
     },
 
@@ -115,7 +130,7 @@ const KEYBOARD_SHORTCUTS = {
         COPY: {
             keys: ['c'],
             modifiers: ['ctrlKey'],
-            description: 'Copy selected nodes'
+            description: 'Copy selected nodes (and a PNG of them to the system clipboard)'
         },
         CUT: {
             keys: ['x'],
@@ -125,7 +140,65 @@ const KEYBOARD_SHORTCUTS = {
         PASTE: {
             keys: ['v'],
             modifiers: ['ctrlKey'],
-            description: 'Paste nodes'
+            description: 'Paste nodes, or images and URLs from the system clipboard'
+        }
+    },
+
+    // Image crop and flip - after CLIPBOARD so Ctrl+Shift+V still pastes
+    IMAGE: {
+        CROP: {
+            keys: ['k'],
+            modifiers: [],
+            description: 'Crop selected image'
+        },
+        FLIP_HORIZONTAL: {
+            keys: ['h'],
+            modifiers: ['shiftKey'],
+            description: 'Flip selected images horizontally'
+        },
+        FLIP_VERTICAL: {
+            keys: ['v'],
+            modifiers: ['shiftKey'],
+            description: 'Flip selected images vertically'
+        }
+    },
+
+    // Video timeline - acts on the selected videos, or the one under the mouse
+    VIDEO: {
+        PREVIOUS_FRAME: {
+            keys: [','],
+            modifiers: [],
+            description: 'Step video back one frame'
+        },
+        NEXT_FRAME: {
+            keys: ['.'],
+            modifiers: [],
+            description: 'Step video forward one frame'
+        },
+        MARK_IN: {
+            keys: ['i'],
+            modifiers: ['shiftKey'],
+            description: 'Set video loop in point at the playhead'
+        },
+        MARK_OUT: {
+            keys: ['o'],
+            modifiers: ['shiftKey'],
+            description: 'Set video loop out point at the playhead'
+        },
+        CLEAR_RANGE: {
+            keys: ['x'],
+            modifiers: ['shiftKey'],
+            description: 'Clear video loop in/out points'
+        },
+        SET_POSTER: {
+            keys: ['p'],
+            modifiers: ['shiftKey'],
+            description: 'Use the current frame as the video poster'
+        },
+        GRAB_FRAME: {
+            keys: ['g'],
+            modifiers: ['shiftKey'],
+            description: 'Add the current video frame to the canvas as an image'
         }
     },
 
@@ -169,6 +242,11 @@ const KEYBOARD_SHORTCUTS = {
             keys: ['o'],
             modifiers: ['ctrlKey'],
             description: 'Open canvas navigator'
+        },
+        EXPORT: {
+            keys: ['e'],
+            modifiers: ['ctrlKey', 'shiftKey'],
+            description: 'Export selection or canvas'
         }
     },
 
@@ -217,6 +295,21 @@ const KEYBOARD_SHORTCUTS = {
             keys: ['`'],
             modifiers: [],
             description: 'Toggle chat panel'
+        },
+        ANNOTATE: {
+            keys: ['b'],
+            modifiers: [],
+            description: 'Toggle annotation tool (pen, marker, eraser)'
+        },
+        SEARCH: {
+            keys: ['/'],
+            modifiers: [],
+            description: 'Search nodes on this and other canvases'
+        },
+        OUTLINE: {
+            keys: ['o'],
+            modifiers: [],
+            description: 'Toggle outline of groups and nodes'
         }
     },
 
@@ -231,6 +324,31 @@ const KEYBOARD_SHORTCUTS = {
             keys: ['2'],
             modifiers: [],
             description: 'Align selected nodes vertically'
+        },
+        DISTRIBUTE_HORIZONTAL: {
+            keys: ['3'],
+            modifiers: [],
+            description: 'Distribute selected nodes horizontally'
+        },
+        DISTRIBUTE_VERTICAL: {
+            keys: ['4'],
+            modifiers: [],
+            description: 'Distribute selected nodes vertically'
+        },
+        MATCH_SIZE: {
+            keys: ['5'],
+            modifiers: [],
+            description: 'Match selected nodes to the largest area'
+        },
+        ARRANGE_ROWS: {
+            keys: ['6'],
+            modifiers: [],
+            description: 'Arrange selection in justified rows'
+        },
+        ARRANGE_MASONRY: {
+            keys: ['7'],
+            modifiers: [],
+            description: 'Arrange selection as masonry'
         }
     },
 
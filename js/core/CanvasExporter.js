@@ -0,0 +1,692 @@
+/**
+ * CanvasExporter - Renders a selection, a group or the whole graph to PNG, JPEG or PDF
+ *
+ * Rendering happens offscreen in tiles, so the output can be far larger than
+ * the screen or a single canvas. Image and video nodes go through
+ * WebGLRenderer so their color correction is baked in; text nodes and pinned
+ * notes are drawn with the same overlay renderers used on screen.
+ */
+class CanvasExporter {
+    constructor(app) {
+        this.app = app;
+
+        this.tileSize = 1024;
+        this.cssDpi = 96; // One graph unit at 100% zoom is one CSS pixel
+
+        // Browsers refuse canvases beyond roughly this area (Chrome/Firefox)
+        this.maxCanvasArea = 16384 * 16384;
+        this.maxCanvasSide = 16384;
+
+        this.formats = {
+            png: { mimeType: 'image/png', extension: 'png' },
+            jpeg: { mimeType: 'image/jpeg', extension: 'jpg' },
+            pdf: { mimeType: 'application/pdf', extension: 'pdf' }
+        };
+    }
+
+    get canvas() {
+        return this.app.graphCanvas;
+    }
+
+    get graph() {
+        return this.app.graph;
+    }
+
+    /**
+     * Resolve the nodes an export covers
+     * @param {Object} options - { scope: 'selection'|'group'|'all'|'nodes', groupId, nodeIds }
+     * @returns {Array} Nodes in draw order
+     */
+    getExportNodes(options = {}) {
+        const scope = options.scope || 'all';
+        let roots;
+
+        switch (scope) {
+            case 'selection':
+                roots = this.canvas.selection.getSelectedNodes();
+                break;
+            case 'group': {
+                const group = options.groupId
+                    ? this.graph.getNodeById(options.groupId)
+                    : this.canvas.selection.getSelectedNodes().find(node => node.type === 'container/group');
+                roots = group ? [group] : [];
+                break;
+            }
+            case 'nodes':
+                roots = (options.nodeIds || []).map(id => this.graph.getNodeById(id)).filter(Boolean);
+                break;
+            default:
+                roots = this.graph.nodes;
+        }
+
+        // Groups export with everything inside them
+        const nodes = new Set();
+        const collect = (node) => {
+            if (nodes.has(node)) return;
+            nodes.add(node);
+            if (node.type === 'container/group' && node.getChildNodes) {
+                node.getChildNodes().forEach(collect);
+            }
+        };
+        roots.forEach(collect);
+
+        // Bounds come from the route - make sure it matches the current layout
+        for (const node of nodes) {
+            if (node.type === 'shape/connector') node.updateRoute(this.graph);
+        }
+
+        // Collapsed groups export as their title bar and hidden nodes not at all, like on screen
+        const hidden = GroupNode.getHiddenNodeIds(nodes);
+        return this.sortForDrawing([...nodes].filter(node => !hidden.has(node.id)));
+    }
+
+    /**
+     * Same ordering as ImageCanvas.draw: z-order within the group hierarchy
+     */
+    sortForDrawing(nodes) {
+        return nodes.sort(this.canvas.createDrawOrderComparator());
+    }
+
+    /**
+     * World-space bounds of the nodes plus padding
+     */
+    getExportBounds(nodes, padding = 0) {
+        let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+
+        for (const node of nodes) {
+            const [x, y, w, h] = node.getBoundingBox();
+            minX = Math.min(minX, x);
+            minY = Math.min(minY, y);
+            maxX = Math.max(maxX, x + w);
+            maxY = Math.max(maxY, y + h);
+        }
+
+        if (minX === Infinity) return null;
+
+        return {
+            x: minX - padding,
+            y: minY - padding,
+            width: maxX - minX + padding * 2,
+            height: maxY - minY + padding * 2
+        };
+    }
+
+    /**
+     * Output size in pixels for the given options, without rendering
+     */
+    estimateSize(options = {}) {
+        const nodes = this.getExportNodes(options);
+        const bounds = this.getExportBounds(nodes, options.padding || 0);
+        if (!bounds) return null;
+
+        const scale = (options.dpi || this.cssDpi) / this.cssDpi;
+        return {
+            width: Math.max(1, Math.ceil(bounds.width * scale)),
+            height: Math.max(1, Math.ceil(bounds.height * scale)),
+            nodeCount: nodes.length
+        };
+    }
+
+    /**
+     * Render and encode an export
+     * @param {Object} options
+     * @param {string} options.scope - 'selection', 'group', 'all' or 'nodes'
+     * @param {string} options.format - 'png', 'jpeg' or 'pdf'
+     * @param {number} options.dpi - Output resolution, 96 = 100% zoom
+     * @param {number} options.padding - Margin around the nodes in graph units
+     * @param {string|null} options.background - CSS color, null keeps PNG transparent
+     * @param {number} options.quality - JPEG quality 0-1 (also used for PDF tiles)
+     * @param {Function} options.onProgress - Called with (tilesDone, tilesTotal)
+     * @returns {Promise<Object>} { blob, width, height, filename, mimeType }
+     */
+    async export(options = {}) {
+        const format = this.formats[options.format] ? options.format : 'png';
+        const dpi = options.dpi || this.cssDpi;
+        const scale = dpi / this.cssDpi;
+
+        const nodes = this.getExportNodes(options);
+        const bounds = this.getExportBounds(nodes, options.padding || 0);
+        if (!bounds) {
+            throw new Error('Nothing to export');
+        }
+
+        const width = Math.max(1, Math.ceil(bounds.width * scale));
+        const height = Math.max(1, Math.ceil(bounds.height * scale));
+
+        // JPEG and PDF have no alpha - default to white instead of black
+        const background = options.background !== undefined
+            ? options.background
+            : (format === 'png' ? null : '#ffffff');
+
+        const job = {
+            nodes,
+            bounds,
+            scale,
+            width,
+            height,
+            dpi,
+            background,
+            quality: options.quality ?? 0.92,
+            onProgress: options.onProgress,
+            renders: new Map(), // node -> prepared media canvas
+            tilesDone: 0,
+            tilesTotal: Math.ceil(width / this.tileSize) * Math.ceil(height / this.tileSize)
+        };
+
+        console.log(`🖨️ Exporting ${nodes.length} nodes as ${format.toUpperCase()} ${width}x${height} @ ${dpi} DPI`);
+
+        this.canvas.isExporting = true;
+        let blob;
+        try {
+            if (format === 'png') {
+                blob = await this.encodePNG(job);
+            } else if (format === 'jpeg') {
+                blob = await this.encodeJPEG(job);
+            } else {
+                blob = await this.encodePDF(job);
+            }
+        } finally {
+            this.canvas.isExporting = false;
+            job.renders.clear();
+        }
+
+        const canvasName = this.app.canvasNavigator?.canvases
+            ?.find(c => c.id === this.app.canvasNavigator.currentCanvasId)?.name || 'canvas';
+        const safeName = canvasName.replace(/[^a-z0-9-_ ]/gi, '').trim().replace(/\s+/g, '-') || 'canvas';
+
+        return {
+            blob,
+            width,
+            height,
+            mimeType: this.formats[format].mimeType,
+            filename: `${safeName}-${dpi}dpi.${this.formats[format].extension}`
+        };
+    }
+
+    /**
+     * Export and hand the file to the browser as a download
+     */
+    async exportAndDownload(options = {}) {
+        const result = await this.export(options);
+
+        const url = URL.createObjectURL(result.blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = result.filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+
+        return result;
+    }
+
+    // ===================================
+    // TILE RENDERING
+    // ===================================
+
+    /**
+     * Render tiles one band (row of tiles) at a time
+     * @param {Object} job - Export job
+     * @param {Function} onBand - async (tiles, bandY, bandHeight) where tiles are { canvas, x, y, width, height }
+     */
+    async renderBands(job, onBand) {
+        const tileSize = this.tileSize;
+
+        for (let bandY = 0; bandY < job.height; bandY += tileSize) {
+            const bandHeight = Math.min(tileSize, job.height - bandY);
+            const tiles = [];
+
+            for (let tileX = 0; tileX < job.width; tileX += tileSize) {
+                const tileWidth = Math.min(tileSize, job.width - tileX);
+                const tile = await this.renderTile(job, tileX, bandY, tileWidth, bandHeight);
+                tiles.push({ canvas: tile, x: tileX, y: bandY, width: tileWidth, height: bandHeight });
+
+                job.tilesDone++;
+                if (job.onProgress) job.onProgress(job.tilesDone, job.tilesTotal);
+
+                // Keep the UI responsive between tiles
+                await new Promise(resolve => setTimeout(resolve, 0));
+            }
+
+            await onBand(tiles, bandY, bandHeight);
+
+            // Media that ends above the next band is never needed again
+            const nextBandWorldY = job.bounds.y + (bandY + bandHeight) / job.scale;
+            for (const node of job.renders.keys()) {
+                const [, y, , h] = node.getBoundingBox();
+                if (y + h < nextBandWorldY) {
+                    job.renders.delete(node);
+                }
+            }
+        }
+    }
+
+    async renderTile(job, tileX, tileY, tileWidth, tileHeight) {
+        const tile = document.createElement('canvas');
+        tile.width = tileWidth;
+        tile.height = tileHeight;
+        const ctx = tile.getContext('2d');
+
+        if (job.background) {
+            ctx.fillStyle = job.background;
+            ctx.fillRect(0, 0, tileWidth, tileHeight);
+        }
+
+        // World-space rectangle covered by this tile
+        const worldRect = {
+            x: job.bounds.x + tileX / job.scale,
+            y: job.bounds.y + tileY / job.scale,
+            width: tileWidth / job.scale,
+            height: tileHeight / job.scale
+        };
+
+        const visible = job.nodes.filter(node => this.intersects(node.getBoundingBox(), worldRect));
+
+        // Text and pinned notes sit on the overlay layer on screen, so draw them last
+        const isOverlayNode = (node) => (node.type === 'media/text' || node.type === 'ui/pinned-note') && node.onDrawOverlay;
+        const baseNodes = visible.filter(node => !isOverlayNode(node));
+        const overlayNodes = visible.filter(isOverlayNode);
+
+        ctx.setTransform(
+            job.scale, 0, 0, job.scale,
+            -job.bounds.x * job.scale - tileX,
+            -job.bounds.y * job.scale - tileY
+        );
+
+        for (const node of baseNodes) {
+            await this.drawNode(ctx, node, job);
+        }
+
+        for (const node of overlayNodes) {
+            ctx.save();
+            ctx.translate(node.pos[0], node.pos[1]);
+            node.onDrawOverlay(ctx);
+            ctx.restore();
+        }
+
+        return tile;
+    }
+
+    intersects([x, y, w, h], rect) {
+        return x < rect.x + rect.width && x + w > rect.x &&
+               y < rect.y + rect.height && y + h > rect.y;
+    }
+
+    async drawNode(ctx, node, job) {
+        ctx.save();
+        ctx.translate(node.pos[0], node.pos[1]);
+
+        if (node.rotation) {
+            ctx.translate(node.size[0] / 2, node.size[1] / 2);
+            ctx.rotate(node.rotation * Math.PI / 180);
+            ctx.translate(-node.size[0] / 2, -node.size[1] / 2);
+        }
+
+        if (node.type === 'media/image' || node.type === 'media/video') {
+            const render = await this.getMediaRender(node, job);
+            if (render) {
+                ctx.imageSmoothingEnabled = true;
+                ctx.imageSmoothingQuality = 'high';
+                ImageCrop.drawImage(ctx, node, render);
+            }
+            AnnotationStrokes.drawToContext(ctx, node, node.properties.annotations || []);
+        } else if (node.type === 'container/group' && node.onDrawForeground) {
+            // Groups size their title bar from the live viewport - match what is on screen
+            const viewport = this.canvas.viewport;
+            node.onDrawForeground(
+                ctx,
+                node.getScreenSpaceTitleBarHeightForViewport(viewport),
+                node.style.borderWidth / viewport.scale,
+                12 / viewport.scale,
+                viewport
+            );
+        } else if (node.onDrawForeground) {
+            node.onDrawForeground(ctx);
+        }
+
+        ctx.restore();
+    }
+
+    // ===================================
+    // MEDIA
+    // ===================================
+
+    /**
+     * Media at output resolution with color correction applied, cached per job
+     */
+    async getMediaRender(node, job) {
+        if (job.renders.has(node)) {
+            return job.renders.get(node);
+        }
+
+        const media = await this.loadNodeSource(node);
+        let render = null;
+
+        if (media) {
+            // Never upscale past the source - drawImage handles the rest.
+            // SVGs are drawn as vectors, so they render sharp at any scale.
+            // The render is the whole image, cropping happens when it is drawn.
+            const crop = ImageCrop.getCrop(node);
+            const fit = Math.min(media.vector ? Infinity : 1,
+                (node.size[0] * job.scale) / (media.width * crop.w),
+                (node.size[1] * job.scale) / (media.height * crop.h));
+            const width = Math.max(1, Math.round(media.width * fit));
+            const height = Math.max(1, Math.round(media.height * fit));
+
+            const source = document.createElement('canvas');
+            source.width = width;
+            source.height = height;
+            const sourceCtx = source.getContext('2d');
+            sourceCtx.imageSmoothingQuality = 'high';
+            sourceCtx.drawImage(media.source, 0, 0, width, height);
+
+            render = source;
+
+            const renderer = this.canvas.renderer;
+            if (renderer?.nodeHasColorCorrection?.(node) && renderer.renderNodeForExport) {
+                render = renderer.renderNodeForExport(node, source, width, height) || source;
+            }
+        }
+
+        job.renders.set(node, render);
+        return render;
+    }
+
+    /**
+     * Best available source for a media node: full resolution first, thumbnails as fallback
+     * @returns {Promise<Object|null>} { source, width, height }
+     */
+    async loadNodeSource(node) {
+        if (node.type === 'media/video') {
+            const video = node.video;
+            if (video && video.readyState >= 2 && video.videoWidth) {
+                return { source: video, width: video.videoWidth, height: video.videoHeight };
+            }
+
+            const animation = await this.loadAnimationOriginal(node);
+            if (animation) return animation;
+        } else {
+            const vector = await this.loadVectorSource(node);
+            if (vector) return vector;
+
+            const url = this.getFullResolutionUrl(node);
+            if (url) {
+                try {
+                    const img = await this.loadImage(url);
+                    return { source: img, width: img.naturalWidth, height: img.naturalHeight };
+                } catch (error) {
+                    console.warn(`⚠️ Export falling back to cached image for node ${node.id}:`, error.message);
+                }
+            }
+
+            if (node.img && node.img.complete && node.img.naturalWidth) {
+                return { source: node.img, width: node.img.naturalWidth, height: node.img.naturalHeight };
+            }
+        }
+
+        const hash = node.properties?.hash;
+        if (hash && window.thumbnailCache?.getBestThumbnail) {
+            const thumbnail = window.thumbnailCache.getBestThumbnail(hash, Infinity, Infinity);
+            if (thumbnail) {
+                return { source: thumbnail, width: thumbnail.width, height: thumbnail.height };
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * The original SVG of an SVG upload - nodes show a rasterized copy, the
+     * export draws the vector at whatever size it needs
+     * @returns {Promise<Object|null>} { source, width, height, vector: true }
+     */
+    async loadVectorSource(node) {
+        const original = node.properties?.original;
+        if (original?.mimeType !== 'image/svg+xml' || !original.url) return null;
+
+        try {
+            const url = original.url.startsWith('http') ? original.url : CONFIG.SERVER.API_BASE + original.url;
+            const img = await this.loadImage(url);
+            // An SVG's natural size is whatever it declares; the raster copy has the real aspect
+            const width = node.properties.originalWidth || img.naturalWidth;
+            const height = node.properties.originalHeight || img.naturalHeight;
+            if (!width || !height) return null;
+            return { source: img, width, height, vector: true };
+        } catch (error) {
+            console.warn(`⚠️ Export falling back to the rasterized SVG for node ${node.id}:`, error.message);
+            return null;
+        }
+    }
+
+    /**
+     * First frame of an animated image upload, for video nodes still waiting
+     * for their transcode - better than the thumbnail
+     * @returns {Promise<Object|null>} { source, width, height }
+     */
+    async loadAnimationOriginal(node) {
+        const original = node.properties?.original;
+        if (!original?.frames || !original.url) return null;
+
+        try {
+            const url = original.url.startsWith('http') ? original.url : CONFIG.SERVER.API_BASE + original.url;
+            const img = await this.loadImage(url);
+            return { source: img, width: img.naturalWidth, height: img.naturalHeight };
+        } catch (error) {
+            console.warn(`⚠️ Export falling back to the thumbnail for node ${node.id}:`, error.message);
+            return null;
+        }
+    }
+
+    getFullResolutionUrl(node) {
+        const serverUrl = node.properties?.serverUrl;
+        if (!serverUrl) return null;
+        return serverUrl.startsWith('http') ? serverUrl : CONFIG.SERVER.API_BASE + serverUrl;
+    }
+
+    loadImage(url) {
+        return new Promise((resolve, reject) => {
+            const img = new Image();
+            img.crossOrigin = 'anonymous';
+            img.onload = () => resolve(img);
+            img.onerror = () => reject(new Error(`Failed to load ${url}`));
+            img.src = url;
+        });
+    }
+
+    // ===================================
+    // ENCODERS
+    // ===================================
+
+    /**
+     * PNG is encoded row by row so its size is not limited by canvas size
+     */
+    async encodePNG(job) {
+        const { width, height } = job;
+        const rowLength = width * 4 + 1; // Filter byte + RGBA
+
+        const compressor = new CompressionStream('deflate');
+        const writer = compressor.writable.getWriter();
+        const compressed = new Response(compressor.readable).blob();
+
+        await this.renderBands(job, async (tiles, bandY, bandHeight) => {
+            const tileData = tiles.map(tile => ({
+                x: tile.x,
+                width: tile.width,
+                data: tile.canvas.getContext('2d').getImageData(0, 0, tile.width, tile.height).data
+            }));
+
+            const band = new Uint8Array(rowLength * bandHeight);
+            for (let y = 0; y < bandHeight; y++) {
+                const rowStart = y * rowLength;
+                band[rowStart] = 0; // Filter: none
+                for (const tile of tileData) {
+                    const start = y * tile.width * 4;
+                    band.set(tile.data.subarray(start, start + tile.width * 4), rowStart + 1 + tile.x * 4);
+                }
+            }
+
+            await writer.write(band);
+        });
+
+        await writer.close();
+        const idat = new Uint8Array(await (await compressed).arrayBuffer());
+
+        const header = new Uint8Array(13);
+        const headerView = new DataView(header.buffer);
+        headerView.setUint32(0, width);
+        headerView.setUint32(4, height);
+        header[8] = 8; // Bit depth
+        header[9] = 6; // Color type: RGBA
+
+        // Physical pixel size so image editors pick up the DPI
+        const physical = new Uint8Array(9);
+        const physicalView = new DataView(physical.buffer);
+        const pixelsPerMeter = Math.round(job.dpi / 0.0254);
+        physicalView.setUint32(0, pixelsPerMeter);
+        physicalView.setUint32(4, pixelsPerMeter);
+        physical[8] = 1; // Unit: meter
+
+        return new Blob([
+            new Uint8Array([137, 80, 78, 71, 13, 10, 26, 10]),
+            this.pngChunk('IHDR', header),
+            this.pngChunk('pHYs', physical),
+            this.pngChunk('IDAT', idat),
+            this.pngChunk('IEND', new Uint8Array(0))
+        ], { type: 'image/png' });
+    }
+
+    pngChunk(type, data) {
+        const chunk = new Uint8Array(12 + data.length);
+        const view = new DataView(chunk.buffer);
+        view.setUint32(0, data.length);
+        for (let i = 0; i < 4; i++) chunk[4 + i] = type.charCodeAt(i);
+        chunk.set(data, 8);
+        view.setUint32(8 + data.length, this.crc32(chunk.subarray(4, 8 + data.length)));
+        return chunk;
+    }
+
+    crc32(bytes) {
+        if (!CanvasExporter.crcTable) {
+            CanvasExporter.crcTable = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) {
+                    c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+                }
+                CanvasExporter.crcTable[n] = c >>> 0;
+            }
+        }
+
+        let crc = 0xFFFFFFFF;
+        for (let i = 0; i < bytes.length; i++) {
+            crc = CanvasExporter.crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    }
+
+    /**
+     * JPEG goes through canvas.toBlob, so it is bound by the browser canvas limit
+     */
+    async encodeJPEG(job) {
+        if (job.width > this.maxCanvasSide || job.height > this.maxCanvasSide ||
+            job.width * job.height > this.maxCanvasArea) {
+            throw new Error(`${job.width}x${job.height} is too large for JPEG - use PNG or PDF, or lower the DPI`);
+        }
+
+        const output = document.createElement('canvas');
+        output.width = job.width;
+        output.height = job.height;
+        const ctx = output.getContext('2d');
+
+        await this.renderBands(job, async (tiles) => {
+            for (const tile of tiles) {
+                ctx.drawImage(tile.canvas, tile.x, tile.y);
+            }
+        });
+
+        return this.canvasToBlob(output, 'image/jpeg', job.quality);
+    }
+
+    /**
+     * Single-page PDF with every tile placed as its own JPEG image
+     */
+    async encodePDF(job) {
+        const images = [];
+
+        await this.renderBands(job, async (tiles) => {
+            for (const tile of tiles) {
+                const blob = await this.canvasToBlob(tile.canvas, 'image/jpeg', job.quality);
+                images.push({ ...tile, bytes: new Uint8Array(await blob.arrayBuffer()) });
+            }
+        });
+
+        // Page size in points (1/72 inch)
+        const pointsPerPixel = 72 / job.dpi;
+        const pageWidth = job.width * pointsPerPixel;
+        const pageHeight = job.height * pointsPerPixel;
+        const fmt = (n) => Number(n.toFixed(3)).toString();
+
+        // PDF origin is bottom-left
+        const content = images.map((image, i) => {
+            const w = image.width * pointsPerPixel;
+            const h = image.height * pointsPerPixel;
+            const x = image.x * pointsPerPixel;
+            const y = pageHeight - (image.y + image.height) * pointsPerPixel;
+            return `q ${fmt(w)} 0 0 ${fmt(h)} ${fmt(x)} ${fmt(y)} cm /Im${i} Do Q`;
+        }).join('\n');
+
+        // Object numbers: 1 catalog, 2 pages, 3 page, 4 content, 5+ images
+        const xObjects = images.map((_, i) => `/Im${i} ${5 + i} 0 R`).join(' ');
+        const objects = [
+            '<< /Type /Catalog /Pages 2 0 R >>',
+            '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+            `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${fmt(pageWidth)} ${fmt(pageHeight)}] /Contents 4 0 R /Resources << /XObject << ${xObjects} >> >> >>`,
+            { dictionary: `<< /Length ${content.length} >>`, stream: new TextEncoder().encode(content) },
+            ...images.map(image => ({
+                dictionary: `<< /Type /XObject /Subtype /Image /Width ${image.width} /Height ${image.height} /ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length ${image.bytes.length} >>`,
+                stream: image.bytes
+            }))
+        ];
+
+        const encoder = new TextEncoder();
+        const parts = [];
+        const offsets = [];
+        let position = 0;
+        const push = (part) => {
+            const bytes = typeof part === 'string' ? encoder.encode(part) : part;
+            parts.push(bytes);
+            position += bytes.length;
+        };
+
+        push('%PDF-1.4\n%\xE2\xE3\xCF\xD3\n');
+        objects.forEach((object, i) => {
+            offsets.push(position);
+            if (typeof object === 'string') {
+                push(`${i + 1} 0 obj\n${object}\nendobj\n`);
+            } else {
+                push(`${i + 1} 0 obj\n${object.dictionary}\nstream\n`);
+                push(object.stream);
+                push('\nendstream\nendobj\n');
+            }
+        });
+
+        const xrefPosition = position;
+        push(`xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`);
+        push(offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join(''));
+        push(`trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xrefPosition}\n%%EOF\n`);
+
+        return new Blob(parts, { type: 'application/pdf' });
+    }
+
+    canvasToBlob(canvas, mimeType, quality) {
+        return new Promise((resolve, reject) => {
+            canvas.toBlob(blob => {
+                if (blob) resolve(blob);
+                else reject(new Error(`Failed to encode ${mimeType}`));
+            }, mimeType, quality);
+        });
+    }
+}
+
+window.CanvasExporter = CanvasExporter;
@@ -0,0 +1,135 @@
+const CANVAS_ROLES = ['viewer', 'editor', 'admin']; // Lowest to highest
+
+/**
+ * CanvasPermissions - Tracks the user's role on the current canvas
+ * Viewers get a read-only canvas: no handles, no drag-drop, no property editing.
+ * The server enforces the same roles, this keeps the UI from offering what it would reject.
+ */
+class CanvasPermissions {
+    constructor(app, networkLayer) {
+        this.app = app;
+        this.network = networkLayer;
+        this.role = null; // null until a canvas is joined
+
+        this.createBadge();
+        this.setupNetworkListeners();
+    }
+
+    setupNetworkListeners() {
+        this.network.on('canvas_joined', (data) => {
+            this.setRole(data.session?.role || 'editor', { silent: true });
+        });
+
+        this.network.on('canvas_role_changed', (data) => {
+            this.setRole(data.role);
+        });
+
+        this.network.on('canvas_access_denied', () => {
+            this.setRole(null, { silent: true });
+            window.unifiedNotifications?.error('You do not have access to this canvas', {
+                detail: 'Ask the canvas owner to invite you',
+                duration: 5000
+            });
+        });
+    }
+
+    hasRole(requiredRole) {
+        if (!CANVAS_ROLES.includes(this.role)) return false;
+        return CANVAS_ROLES.indexOf(this.role) >= CANVAS_ROLES.indexOf(requiredRole);
+    }
+
+    canEdit() {
+        // No canvas joined yet (or offline) - don't lock the local UI
+        return this.role === null || this.hasRole('editor');
+    }
+
+    isAdmin() {
+        return this.hasRole('admin');
+    }
+
+    isReadOnly() {
+        return !this.canEdit();
+    }
+
+    setRole(role, { silent = false } = {}) {
+        const wasReadOnly = this.isReadOnly();
+        const previousRole = this.role;
+        this.role = role;
+
+        const readOnly = this.isReadOnly();
+        this.applyReadOnly(readOnly);
+
+        if (!silent && previousRole && role && role !== previousRole) {
+            window.unifiedNotifications?.info(`Your role on this canvas is now ${role}`, {
+                detail: readOnly ? 'You can view but not change this canvas' : null,
+                duration: 4000
+            });
+        } else if (silent && readOnly && !wasReadOnly) {
+            window.unifiedNotifications?.info('View only', {
+                detail: 'You can look around but not change this canvas',
+                duration: 4000
+            });
+        }
+    }
+
+    applyReadOnly(readOnly) {
+        const canvas = this.app.graphCanvas;
+        if (canvas?.setReadOnly) {
+            canvas.setReadOnly(readOnly);
+        }
+
+        if (this.app.dragDropManager) {
+            this.app.dragDropManager.enabled = !readOnly;
+        }
+
+        if (this.app.propertiesInspector?.setReadOnly) {
+            this.app.propertiesInspector.setReadOnly(readOnly);
+        }
+
+        if (readOnly && this.app.annotationTool?.active) {
+            this.app.annotationTool.deactivate();
+        }
+
+        this.badge.style.display = readOnly ? 'block' : 'none';
+    }
+
+    /**
+     * Explain why an edit was blocked (used by the pipeline and input handlers)
+     */
+    notifyReadOnly() {
+        // Don't stack a notification for every blocked drag frame
+        const now = Date.now();
+        if (this.lastReadOnlyNotice && now - this.lastReadOnlyNotice < 3000) return;
+        this.lastReadOnlyNotice = now;
+
+        window.unifiedNotifications?.warning('View only', {
+            detail: 'You need editor access to change this canvas',
+            duration: 2500
+        });
+    }
+
+    createBadge() {
+        this.badge = document.createElement('div');
+        this.badge.className = 'canvas-read-only-badge';
+        this.badge.textContent = '👁 View only';
+        this.badge.style.cssText = `
+            position: fixed;
+            top: 12px;
+            left: 50%;
+            transform: translateX(-50%);
+            padding: 4px 12px;
+            background: rgba(30, 30, 30, 0.9);
+            border: 1px solid #444;
+            border-radius: 12px;
+            color: #ccc;
+            font-family: ${FONT_CONFIG.APP_FONT};
+            font-size: 11px;
+            z-index: 1000;
+            pointer-events: none;
+            display: none;
+        `;
+        document.body.appendChild(this.badge);
+    }
+}
+
+window.CanvasPermissions = CanvasPermissions;
@@ -440,6 +440,9 @@ class ClientUndoManager {
                     if (nodeData.colorBalanceBypassed !== undefined) {
                         node.colorBalanceBypassed = nodeData.colorBalanceBypassed;
                     }
+                    if (nodeData.lut !== undefined) {
+                        node.lut = nodeData.lut;
+                    }
                     
                     this.app.graph.add(node);
                 }
@@ -493,6 +496,9 @@ class ClientUndoManager {
                     if (nodeData.colorBalanceBypassed !== undefined) {
                         node.colorBalanceBypassed = nodeData.colorBalanceBypassed;
                     }
+                    if (nodeData.lut !== undefined) {
+                        node.lut = nodeData.lut;
+                    }
                     
                     // Invalidate WebGL cache if color correction properties changed
                     const hasColorCorrections = nodeData.toneCurve !== undefined || 
@@ -500,7 +506,8 @@ class ClientUndoManager {
                                                nodeData.colorBalance !== undefined ||
                                                nodeData.toneCurveBypassed !== undefined ||
                                                nodeData.colorAdjustmentsBypassed !== undefined ||
-                                               nodeData.colorBalanceBypassed !== undefined;
+                                               nodeData.colorBalanceBypassed !== undefined ||
+                                               nodeData.lut !== undefined;
 
                     if (hasColorCorrections) {
                         node.needsGLUpdate = true;
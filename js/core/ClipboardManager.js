@@ -0,0 +1,284 @@
+/**
+ * ClipboardManager - Bridges the OS clipboard and the canvas
+ *
+ * Pasting takes image and video files (screenshots, copied files), image and
+ * video URLs and HTML with <img> tags, placed at the cursor. Files and data:
+ * URLs go through the same pipeline as a drop (DragDropManager.processFiles);
+ * web URLs are fetched by the server (ImageUploadCoordinator.importFromUrls),
+ * which isn't stopped by CORS.
+ * Nodes copied on the canvas are still pasted from the internal clipboard.
+ *
+ * Copying nodes also puts a PNG render of the selection on the OS clipboard,
+ * so boards can be pasted into other apps.
+ */
+class ClipboardManager {
+    constructor(app) {
+        this.app = app;
+
+        this.maxImageSide = 4096; // Longest side of the PNG put on the OS clipboard
+        this.pasteFallbackDelay = 100; // ms to wait for the browser's paste event
+
+        // The OS clipboard still holds our render if nodes were copied after
+        // the window last lost focus (nothing else could have replaced it)
+        this.lastCopyTime = 0;
+        this.lastBlurTime = 0;
+
+        this.pointerOverCanvas = false;
+        this.pendingPasteTimer = null;
+
+        this.setupEventListeners();
+    }
+
+    get canvas() {
+        return this.app.graphCanvas;
+    }
+
+    setupEventListeners() {
+        document.addEventListener('paste', (e) => this.onPaste(e));
+        window.addEventListener('blur', () => {
+            this.lastBlurTime = Date.now();
+        });
+
+        const element = this.canvas.canvas;
+        element.addEventListener('mouseenter', () => {
+            this.pointerOverCanvas = true;
+        });
+        element.addEventListener('mouseleave', () => {
+            this.pointerOverCanvas = false;
+        });
+    }
+
+    // ===================================
+    // PASTE
+    // ===================================
+
+    /**
+     * Called for the paste shortcut. The browser only exposes the OS
+     * clipboard in the paste event that follows, so the shortcut leaves the
+     * key to the browser. Falls back to the internal clipboard if no paste
+     * event arrives.
+     */
+    expectPaste() {
+        clearTimeout(this.pendingPasteTimer);
+        this.pendingPasteTimer = setTimeout(() => {
+            this.pendingPasteTimer = null;
+            this.canvas.paste();
+        }, this.pasteFallbackDelay);
+    }
+
+    async onPaste(e) {
+        if (this.isEditableTarget(e.target) || this.canvas.isEditingText()) return;
+
+        clearTimeout(this.pendingPasteTimer);
+        this.pendingPasteTimer = null;
+        e.preventDefault();
+
+        const content = this.readClipboardData(e.clipboardData);
+        const hasMedia = content.files.length > 0 || content.urls.length > 0;
+        const internalIsNewer = this.canvas.clipboard?.length > 0 && this.lastCopyTime > this.lastBlurTime;
+
+        if (!hasMedia || internalIsNewer) {
+            await this.canvas.paste();
+            return;
+        }
+
+        const dragDrop = this.app.dragDropManager;
+        if (!dragDrop.enabled) {
+            this.app.canvasPermissions?.notifyReadOnly();
+            return;
+        }
+
+        const pos = this.getPastePosition();
+
+        if (content.files.length > 0) {
+            await dragDrop.processFiles(content.files, pos);
+        } else {
+            await this.pasteUrls(content.urls, pos);
+        }
+    }
+
+    isEditableTarget(target) {
+        return target?.tagName === 'INPUT' || target?.tagName === 'TEXTAREA' || target?.isContentEditable;
+    }
+
+    /**
+     * Media files and URLs on the clipboard. Files win - browsers put both
+     * the image and its <img> HTML on the clipboard when copying an image.
+     * @returns {Object} { files: File[], urls: string[] }
+     */
+    readClipboardData(clipboardData) {
+        if (!clipboardData) return { files: [], urls: [] };
+
+        const files = this.app.dragDropManager.filterAcceptedFiles(clipboardData.files || [])
+            .map(file => this.nameClipboardFile(file));
+
+        if (files.length > 0) {
+            return { files, urls: [] };
+        }
+
+        const urls = [];
+        const addUrl = (value) => {
+            const url = value?.trim();
+            if (url && /^(https?:|data:(image|video)\/)/i.test(url) && !urls.includes(url)) {
+                urls.push(url);
+            }
+        };
+
+        const html = clipboardData.getData('text/html');
+        if (html) {
+            const doc = new DOMParser().parseFromString(html, 'text/html');
+            doc.querySelectorAll('img[src], video[src], video source[src]').forEach(element => {
+                addUrl(element.getAttribute('src'));
+            });
+        }
+
+        if (urls.length === 0) {
+            // text/uri-list allows comments and several URLs, one per line
+            const uriList = clipboardData.getData('text/uri-list');
+            uriList.split(/\r?\n/).filter(line => !line.startsWith('#')).forEach(addUrl);
+        }
+
+        if (urls.length === 0) {
+            // Plain text only counts if it is nothing but a URL
+            const text = clipboardData.getData('text/plain').trim();
+            if (!/\s/.test(text)) addUrl(text);
+        }
+
+        return { files: [], urls };
+    }
+
+    /**
+     * Screenshots arrive as "image.png" - give them a name worth keeping
+     */
+    nameClipboardFile(file) {
+        if (file.name && file.name !== 'image.png') return file;
+
+        const stamp = new Date().toISOString().slice(0, 19).replace('T', ' ').replace(/:/g, '.');
+        const extension = file.type.split('/')[1] || 'png';
+        return new File([file], `Pasted ${stamp}.${extension}`, { type: file.type, lastModified: Date.now() });
+    }
+
+    /**
+     * Under the cursor when it is over the canvas, otherwise the middle of the view
+     */
+    getPastePosition() {
+        const canvas = this.canvas;
+        if (this.pointerOverCanvas && canvas.mouseState.graph) {
+            return [...canvas.mouseState.graph];
+        }
+
+        const element = canvas.canvas;
+        return canvas.viewport.convertOffsetToGraph(element.clientWidth / 2, element.clientHeight / 2);
+    }
+
+    /**
+     * Import web URLs on the server, and add data: URLs like dropped files
+     */
+    async pasteUrls(urls, pos) {
+        const files = [];
+        const failed = [];
+
+        const webUrls = urls.filter(url => /^https?:/i.test(url));
+        if (webUrls.length > 0) {
+            const result = await this.app.imageUploadCoordinator.importFromUrls(webUrls, pos);
+            failed.push(...result.failed.map(entry => entry.error));
+        }
+
+        for (const url of urls.filter(url => url.startsWith('data:'))) {
+            try {
+                files.push(await this.fetchAsFile(url));
+            } catch (error) {
+                console.warn(`⚠️ Could not paste ${url.slice(0, 100)}:`, error.message);
+                failed.push(error.message);
+            }
+        }
+
+        if (files.length > 0) {
+            await this.app.dragDropManager.processFiles(files, pos);
+        }
+
+        if (failed.length > 0) {
+            window.unifiedNotifications?.error(
+                failed.length === urls.length ? 'Could not paste from that URL' : `${failed.length} of ${urls.length} URLs could not be pasted`,
+                { detail: failed[0] }
+            );
+        }
+    }
+
+    async fetchAsFile(url) {
+        let response;
+        try {
+            response = await fetch(url);
+        } catch (error) {
+            // fetch only says "Failed to fetch" - almost always CORS
+            throw new Error('The site does not allow loading its images from here');
+        }
+
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+
+        const blob = await response.blob();
+        const type = blob.type.split(';')[0];
+        if (!this.app.dragDropManager.acceptedTypes.has(type)) {
+            throw new Error(`Unsupported file type: ${type || 'unknown'}`);
+        }
+
+        return new File([blob], this.getFilenameFromUrl(url, type), { type });
+    }
+
+    getFilenameFromUrl(url, type) {
+        const extension = type.split('/')[1].replace('quicktime', 'mov').replace('jpeg', 'jpg').replace('+xml', '');
+
+        if (!url.startsWith('data:')) {
+            try {
+                const name = decodeURIComponent(new URL(url).pathname.split('/').pop());
+                if (name) {
+                    return /\.[a-z0-9]+$/i.test(name) ? name : `${name}.${extension}`;
+                }
+            } catch (error) {
+                // Fall through to a generated name
+            }
+        }
+
+        return `pasted-${Date.now()}.${extension}`;
+    }
+
+    // ===================================
+    // COPY
+    // ===================================
+
+    /**
+     * Put a PNG render of the selection on the OS clipboard. Called right
+     * after the nodes are copied to the internal clipboard.
+     */
+    async copySelectionImage() {
+        this.lastCopyTime = Date.now();
+
+        const exporter = this.app.canvasExporter;
+        if (!exporter || !navigator.clipboard?.write || typeof ClipboardItem === 'undefined') return;
+
+        // Screen resolution, scaled down if the selection would be huge
+        const size = exporter.estimateSize({ scope: 'selection' });
+        if (!size) return;
+
+        const pixelRatio = window.devicePixelRatio || 1;
+        const longestSide = Math.max(size.width, size.height) * pixelRatio;
+        const dpi = exporter.cssDpi * pixelRatio * Math.min(1, this.maxImageSide / longestSide);
+
+        // The item has to be created while the key press still counts as a
+        // user gesture, so it gets the render as a promise
+        const render = exporter.export({ scope: 'selection', format: 'png', dpi })
+            .then(result => result.blob);
+
+        try {
+            await navigator.clipboard.write([new ClipboardItem({ 'image/png': render })]);
+        } catch (error) {
+            console.warn('⚠️ Could not copy the selection as an image:', error.message);
+        }
+    }
+}
+
+if (typeof window !== 'undefined') {
+    window.ClipboardManager = ClipboardManager;
+}
@@ -43,6 +43,10 @@ class CollaborativeArchitecture {
         this.app.stateSyncManager = this.stateSyncManager;
         this.operationPipeline.stateSyncManager = this.stateSyncManager;
         
+        // Operations and uploads waiting for the server, kept across reloads
+        this.offlineQueue = new OfflineOperationQueue(this.app, this.networkLayer);
+        this.app.offlineQueue = this.offlineQueue;
+        
         // 4. Undo Manager
         this.undoManager = new ClientUndoManager(this.app);
         this.app.undoManager = this.undoManager;
@@ -62,6 +66,10 @@ class CollaborativeArchitecture {
         // 7. Video Processing Listener - create after network is initialized
         this.videoProcessingListener = new VideoProcessingListener(this.networkLayer);
         this.app.videoProcessingListener = this.videoProcessingListener;
+        
+        // 8. Canvas Permissions - read-only mode for viewers
+        this.canvasPermissions = new CanvasPermissions(this.app, this.networkLayer);
+        this.app.canvasPermissions = this.canvasPermissions;
         this.initialized = true;
 
         return this.networkLayer; // Return the network layer instance
@@ -0,0 +1,469 @@
+/**
+ * ColorGradeManager - Copy/paste, presets and LUTs for color grades
+ *
+ * A grade is the color correction state kept directly on image and video
+ * nodes (adjustments, tone curve, color balance, their bypass flags and the
+ * 3D LUT). Pasting or applying a preset writes each differing field with a
+ * node_property_update, all inside one undo transaction, so a whole
+ * selection is regraded and undone in a single step.
+ *
+ * Presets are stored on the server per user, optionally shared with
+ * everyone on a canvas. Imported .cube files are stored by content hash
+ * (POST /api/luts) and nodes reference them as { hash, name, intensity }.
+ *
+ * Baking renders an image's grade, crop and flips into a new full-resolution
+ * file on the server (POST /api/bake-grade), which either becomes a sibling
+ * node or replaces the node's source with the grade reset to neutral.
+ */
+class ColorGradeManager {
+    constructor(app) {
+        this.app = app;
+        this.copiedGrade = null;
+        this.presets = [];
+        this.presetsCanvasId = undefined; // Canvas the cached presets were loaded for
+        this.listeners = new Set();
+        this.networkListening = false;
+        this.baking = new Set(); // Node ids with a bake in flight
+    }
+
+    /**
+     * Snapshot of a node's grade, safe to keep after the node changes
+     */
+    getGrade(node) {
+        const grade = {};
+        for (const field of ColorGradeManager.FIELDS) {
+            const value = node[field];
+            grade[field] = value === undefined ? null : JSON.parse(JSON.stringify(value));
+        }
+        return grade;
+    }
+
+    copyGrade(node) {
+        if (!this.isGradable(node)) return null;
+        this.copiedGrade = this.getGrade(node);
+        this.notify('success', 'Grade copied');
+        this.emitChange();
+        return this.copiedGrade;
+    }
+
+    hasCopiedGrade() {
+        return !!this.copiedGrade;
+    }
+
+    pasteGrade(nodes) {
+        if (!this.copiedGrade) return Promise.resolve(0);
+        return this.applyGrade(nodes, this.copiedGrade, 'paste_grade');
+    }
+
+    /**
+     * Write `grade` onto every image/video in `nodes` as one undoable batch.
+     * Fields missing from the grade are left as they are.
+     * @returns {Promise<number>} How many nodes changed
+     */
+    async applyGrade(nodes, grade, source = 'apply_grade') {
+        const targets = nodes.filter(node => this.isGradable(node));
+        if (targets.length === 0 || this.app.graphCanvas?.readOnly) return 0;
+
+        const undoManager = this.app.undoManager;
+        const renderer = this.app.graphCanvas?.renderer;
+        let changed = 0;
+
+        undoManager?.beginTransaction(source);
+        try {
+            for (const node of targets) {
+                let nodeChanged = false;
+                for (const field of ColorGradeManager.FIELDS) {
+                    if (!(field in grade)) continue;
+                    if (JSON.stringify(node[field] ?? null) === JSON.stringify(grade[field])) continue;
+
+                    await this.app.operationPipeline.execute('node_property_update', {
+                        nodeId: node.id,
+                        nodeIds: [node.id],
+                        property: field,
+                        value: JSON.parse(JSON.stringify(grade[field]))
+                    });
+                    nodeChanged = true;
+                }
+
+                if (nodeChanged) {
+                    changed++;
+                    if (node.type === 'media/video' && node.updateAdjustments && node.adjustments) {
+                        node.updateAdjustments(node.adjustments);
+                    }
+                    node.needsGLUpdate = true;
+                    renderer?._invalidateCache?.(node.id);
+                }
+            }
+        } catch (error) {
+            console.error('❌ Failed to apply grade:', error);
+            this.notify('error', 'Applying grade failed', error.message);
+        } finally {
+            undoManager?.commitTransaction();
+        }
+
+        if (this.app.graphCanvas) {
+            this.app.graphCanvas.dirty_canvas = true;
+        }
+        if (changed > 0) {
+            this.notify('success', changed === 1 ? 'Grade applied' : `Grade applied to ${changed} items`);
+        }
+        return changed;
+    }
+
+    isGradable(node) {
+        return node?.type === 'media/image' || node?.type === 'media/video';
+    }
+
+    // ===================================
+    // PRESETS
+    // ===================================
+
+    getCanvasId() {
+        return this.app.canvasNavigator?.currentCanvasId || null;
+    }
+
+    /**
+     * Presets visible here: the user's own plus those shared with this canvas.
+     * Cached per canvas; pass force to refetch.
+     */
+    async loadPresets(force = false) {
+        this.listenForUpdates();
+
+        const canvasId = this.getCanvasId();
+        if (!force && this.presetsCanvasId === canvasId) {
+            return this.presets;
+        }
+
+        try {
+            const query = canvasId ? `?canvasId=${canvasId}` : '';
+            const response = await fetch(`${CONFIG.ENDPOINTS.GRADE_PRESETS}${query}`, {
+                headers: CONFIG.authHeaders()
+            });
+            const result = await response.json().catch(() => ({}));
+            if (!response.ok) {
+                throw new Error(result.details || result.error || `HTTP ${response.status}`);
+            }
+
+            this.presets = result.presets || [];
+            this.presetsCanvasId = canvasId;
+            this.emitChange();
+        } catch (error) {
+            console.error('❌ Failed to load grade presets:', error);
+            this.notify('error', 'Couldn\'t load presets', error.message);
+        }
+        return this.presets;
+    }
+
+    /**
+     * @param {boolean} shared - Share with everyone on the current canvas
+     */
+    async savePreset(name, grade, shared = false) {
+        const canvasId = shared ? this.getCanvasId() : null;
+        try {
+            const response = await fetch(CONFIG.ENDPOINTS.GRADE_PRESETS, {
+                method: 'POST',
+                headers: CONFIG.authHeaders({ 'Content-Type': 'application/json' }),
+                body: JSON.stringify({ name, grade, canvasId })
+            });
+            const result = await response.json().catch(() => ({}));
+            if (!response.ok) {
+                throw new Error(result.details || result.error || `HTTP ${response.status}`);
+            }
+
+            this.notify('success', `Saved preset "${result.preset.name}"`);
+            await this.loadPresets(true);
+            return result.preset;
+        } catch (error) {
+            console.error('❌ Failed to save grade preset:', error);
+            this.notify('error', 'Saving preset failed', error.message);
+            return null;
+        }
+    }
+
+    async deletePreset(id) {
+        try {
+            const response = await fetch(CONFIG.ENDPOINTS.GRADE_PRESET(id), {
+                method: 'DELETE',
+                headers: CONFIG.authHeaders()
+            });
+            const result = await response.json().catch(() => ({}));
+            if (!response.ok) {
+                throw new Error(result.details || result.error || `HTTP ${response.status}`);
+            }
+
+            await this.loadPresets(true);
+            return true;
+        } catch (error) {
+            console.error('❌ Failed to delete grade preset:', error);
+            this.notify('error', 'Deleting preset failed', error.message);
+            return false;
+        }
+    }
+
+    listenForUpdates() {
+        const networkLayer = this.app.networkLayer;
+        if (this.networkListening || !networkLayer) return;
+        this.networkListening = true;
+
+        // Someone saved or deleted a preset shared with this canvas
+        networkLayer.on('grade_presets_updated', (data) => {
+            if (data?.canvasId === this.getCanvasId()) {
+                this.loadPresets(true);
+            }
+        });
+    }
+
+    // ===================================
+    // LUTS
+    // ===================================
+
+    /**
+     * Upload a .cube file, checking it parses first so a bad file fails
+     * without a round trip
+     * @returns {Promise<{hash: string, name: string, intensity: number}|null>} LUT reference for node.lut
+     */
+    async importLut(file) {
+        try {
+            const content = await file.text();
+            const parsed = CubeLUT.parse(content);
+            const name = parsed.title || file.name.replace(/\.cube$/i, '');
+
+            const response = await fetch(CONFIG.ENDPOINTS.LUTS, {
+                method: 'POST',
+                headers: CONFIG.authHeaders({ 'Content-Type': 'application/json' }),
+                body: JSON.stringify({ name, content })
+            });
+            const result = await response.json().catch(() => ({}));
+            if (!response.ok) {
+                throw new Error(result.details || result.error || `HTTP ${response.status}`);
+            }
+
+            return { hash: result.lut.hash, name: result.lut.name, intensity: 1 };
+        } catch (error) {
+            console.error(`❌ Failed to import LUT ${file.name}:`, error);
+            this.notify('error', 'LUT import failed', error.message);
+            return null;
+        }
+    }
+
+    // ===================================
+    // BAKING
+    // ===================================
+
+    canBake(node) {
+        if (node?.type !== 'media/image' || this.app.graphCanvas?.readOnly) return false;
+        return !this.baking.has(node.id);
+    }
+
+    isBaking(node) {
+        return !!node && this.baking.has(node.id);
+    }
+
+    /**
+     * Mirrors the server's check of what the shader would change
+     */
+    hasGrade(node) {
+        const adjustments = node.adjustments;
+        const hasAdjustments = !node.colorAdjustmentsBypassed && adjustments &&
+            Object.values(adjustments).some(value => Number.isFinite(value) && value !== 0);
+
+        return !!(hasAdjustments ||
+            (node.toneCurve?.controlPoints && !node.toneCurveBypassed) ||
+            (node.colorBalance && !node.colorBalanceBypassed) ||
+            (node.lut?.hash && node.lut.intensity > 0));
+    }
+
+    /**
+     * Render the image's look at full resolution on the server
+     * @param {string} mode - 'sibling' adds the result next to the node,
+     *                        'replace' swaps it in as the node's source
+     * @returns {Promise<ImageNode|null>} The node showing the baked image
+     */
+    async bakeGrade(node, mode = 'sibling') {
+        if (!this.canBake(node)) return null;
+
+        if (!node.properties.serverFilename && !node.properties.hash) {
+            this.notify('warning', 'This image hasn\'t finished uploading yet');
+            return null;
+        }
+        if (!this.hasGrade(node) && !ImageCrop.isTransformed(node)) {
+            this.notify('info', 'Nothing to bake', 'The image has no grade, crop or flip');
+            return null;
+        }
+
+        this.baking.add(node.id);
+        this.emitChange();
+        try {
+            const response = await fetch(CONFIG.ENDPOINTS.BAKE_GRADE, {
+                method: 'POST',
+                headers: CONFIG.authHeaders({ 'Content-Type': 'application/json' }),
+                body: JSON.stringify({
+                    serverFilename: node.properties.serverFilename,
+                    hash: node.properties.hash,
+                    canvasId: this.getCanvasId(),
+                    grade: this.getGrade(node),
+                    crop: ImageCrop.isCropped(node) ? ImageCrop.getCrop(node) : null,
+                    flipH: !!node.properties.flipH,
+                    flipV: !!node.properties.flipV
+                })
+            });
+            const result = await response.json().catch(() => ({}));
+            if (!response.ok) {
+                throw new Error(result.details || result.error || `HTTP ${response.status}`);
+            }
+
+            const bakedNode = mode === 'replace'
+                ? await this.replaceSource(node, result.image)
+                : await this.createBakedNode(node, result.image);
+
+            this.notify('success', mode === 'replace' ? 'Grade baked into the image' : 'Baked grade to a new image');
+            return bakedNode;
+        } catch (error) {
+            console.error('❌ Failed to bake grade:', error);
+            this.notify('error', 'Baking the grade failed', error.message);
+            return null;
+        } finally {
+            this.baking.delete(node.id);
+            this.emitChange();
+        }
+    }
+
+    /**
+     * Add the baked image to the right of the original, at the same size
+     */
+    async createBakedNode(node, image) {
+        const result = await this.app.operationPipeline.execute('node_create', {
+            type: 'media/image',
+            pos: [node.pos[0] + node.size[0] + ColorGradeManager.BAKE_GAP, node.pos[1]],
+            size: [node.size[0], node.size[0] * image.height / image.width],
+            properties: {
+                ...this.getSourceProperties(image),
+                bakedFrom: {
+                    nodeId: node.id,
+                    hash: node.properties.hash,
+                    filename: node.properties.filename
+                }
+            }
+        });
+
+        const bakedNode = result?.result?.node || null;
+        if (bakedNode) {
+            this.app.graphCanvas?.selection?.selectAll([bakedNode]);
+        }
+        return bakedNode;
+    }
+
+    /**
+     * Point the node at the baked file and clear what's now part of it, as
+     * one undo step. Undo restores the original source along with its grade.
+     */
+    async replaceSource(node, image) {
+        const updates = {
+            ...this.getSourceProperties(image),
+            bakedFrom: {
+                hash: node.properties.hash,
+                filename: node.properties.filename
+            },
+            crop: null,
+            flipH: false,
+            flipV: false,
+            ...ColorGradeManager.NEUTRAL_GRADE
+        };
+
+        const undoManager = this.app.undoManager;
+        undoManager?.beginTransaction('bake_grade');
+        try {
+            for (const [property, value] of Object.entries(updates)) {
+                const current = property in ColorGradeManager.NEUTRAL_GRADE ? node[property] : node.properties[property];
+                if (JSON.stringify(current ?? null) === JSON.stringify(value)) continue;
+
+                await this.app.operationPipeline.execute('node_property_update', {
+                    nodeId: node.id,
+                    nodeIds: [node.id],
+                    property,
+                    value: JSON.parse(JSON.stringify(value))
+                });
+            }
+        } finally {
+            undoManager?.commitTransaction();
+        }
+
+        this.app.graphCanvas?.renderer?._invalidateCache?.(node.id);
+        if (this.app.graphCanvas) {
+            this.app.graphCanvas.dirty_canvas = true;
+        }
+        return node;
+    }
+
+    getSourceProperties(image) {
+        return {
+            filename: image.filename,
+            hash: image.hash,
+            serverUrl: image.url,
+            serverFilename: image.serverFilename,
+            fileSize: image.size,
+            originalWidth: image.width,
+            originalHeight: image.height,
+            ...(image.metadata && { metadata: image.metadata })
+        };
+    }
+
+    // ===================================
+    // CHANGE LISTENERS
+    // ===================================
+
+    /**
+     * @param {Function} callback - Called when the presets or copied grade change
+     * @returns {Function} Unsubscribe
+     */
+    onChange(callback) {
+        this.listeners.add(callback);
+        return () => this.listeners.delete(callback);
+    }
+
+    emitChange() {
+        for (const callback of this.listeners) {
+            try {
+                callback();
+            } catch (error) {
+                console.error('Error in grade change listener:', error);
+            }
+        }
+    }
+
+    notify(type, message, detail) {
+        window.unifiedNotifications?.[type](message, {
+            ...(detail && { detail }),
+            duration: type === 'error' ? 5000 : 3000
+        });
+    }
+}
+
+// Node fields that make up a grade, in the order they're written
+ColorGradeManager.FIELDS = [
+    'adjustments',
+    'toneCurve',
+    'colorBalance',
+    'toneCurveBypassed',
+    'colorAdjustmentsBypassed',
+    'colorBalanceBypassed',
+    'lut'
+];
+
+// What a node's grade is reset to once it's baked into the image
+ColorGradeManager.NEUTRAL_GRADE = {
+    adjustments: { brightness: 0, contrast: 0, saturation: 0, hue: 0, temperature: 0, tint: 0 },
+    toneCurve: null,
+    colorBalance: null,
+    toneCurveBypassed: true,
+    colorAdjustmentsBypassed: true,
+    colorBalanceBypassed: true,
+    lut: null
+};
+
+// Space between an image and its baked copy
+ColorGradeManager.BAKE_GAP = 20;
+
+if (typeof window !== 'undefined') {
+    window.ColorGradeManager = ColorGradeManager;
+}
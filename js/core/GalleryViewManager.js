@@ -420,9 +420,10 @@ class GalleryViewManager {
     sortMediaNodes() {
         const mediaTypes = ['media/image', 'media/video'];
         
-        // Get all media nodes (excluding text nodes)
+        // Get all media nodes (excluding text nodes) that are drawn on the canvas
+        const hidden = GroupNode.getHiddenNodeIds(this.app.graph.nodes);
         const allMediaNodes = this.app.graph.nodes
-            .filter(n => mediaTypes.includes(n.type));
+            .filter(n => mediaTypes.includes(n.type) && !hidden.has(n.id));
         
         // Group nodes by their parent group
         const nodesByGroup = new Map();
@@ -707,6 +708,7 @@ class GalleryViewManager {
                 break;
                 
             case 'p': // Toggle properties inspector
+                if (e.shiftKey) break; // Shift+P sets the video poster via the shortcut system
                 e.preventDefault();
                 e.stopPropagation();
                 if (window.propertiesInspector) {
@@ -57,7 +57,7 @@ class ImageProcessingProgressManager {
             // Check if file already exists in batch to avoid duplicates
             if (!batch.files.has(hash)) {
                 // Determine file type
-                const isVideo = file.type?.startsWith('video/') || file.type === 'image/gif';
+                const isVideo = file.type?.startsWith('video/') || AnimatedImage.isKnownAnimated(file);
                 const fileType = isVideo ? 'video' : 'image';
                 
                 batch.files.set(hash, {
@@ -217,6 +217,9 @@ class ImageUploadCoordinator {
             nodes.forEach(node => {
                 node.properties.serverUrl = uploadResult.url;
                 node.properties.serverFilename = uploadResult.serverFilename;
+                if (uploadResult.metadata) {
+                    node.properties.metadata = uploadResult.metadata;
+                }
                 
                 // Update image source if needed
                 if (node.img && node.img.src.startsWith('data:')) {
@@ -234,7 +237,9 @@ class ImageUploadCoordinator {
                 await this.app.operationPipeline.execute('image_upload_complete', {
                     hash: hash,
                     serverUrl: uploadResult.url,
-                    serverFilename: uploadResult.serverFilename
+                    serverFilename: uploadResult.serverFilename,
+                    metadata: uploadResult.metadata,
+                    ...this.getConversionParams(uploadResult)
                 }, { priority: 'low' }); // Low priority so user interactions go first
                 // Server notified of upload completion
             } catch (error) {
@@ -248,7 +253,9 @@ class ImageUploadCoordinator {
                             await this.app.operationPipeline.execute('image_upload_complete', {
                                 hash: hash,
                                 serverUrl: uploadResult.url,
-                                serverFilename: uploadResult.serverFilename
+                                serverFilename: uploadResult.serverFilename,
+                                metadata: uploadResult.metadata,
+                                ...this.getConversionParams(uploadResult)
                             }, { priority: 'low' });
                             
                         } catch (retryError) {
@@ -278,6 +285,19 @@ class ImageUploadCoordinator {
         }
     }
     
+    /**
+     * image_upload_complete fields for uploads the server converted to a
+     * displayable copy (HEIC, TIFF, SVG, PSD, RAW)
+     */
+    getConversionParams(uploadResult) {
+        if (!uploadResult.original) return {};
+        return {
+            original: uploadResult.original,
+            width: uploadResult.width,
+            height: uploadResult.height
+        };
+    }
+    
     /**
      * Observe an upload for a specific node
      */
@@ -418,6 +438,148 @@ class ImageUploadCoordinator {
     
     // Bundle management removed - now handled by unified progress system
     
+    /**
+     * Import images and videos from URLs through /api/import-url. The server
+     * downloads, dedupes and thumbnails them, so the nodes are created already
+     * pointing at the server copy. Nodes are laid out in a row centered on pos.
+     * @returns {Promise<Object>} { nodes, failed: [{ url, error }] }
+     */
+    async importFromUrls(urls, pos) {
+        const progress = window.imageProcessingProgress;
+        const batchKey = `import-${Date.now()}`;
+        const entries = urls.map((url, index) => ({ url, key: `${batchKey}-${index}` }));
+        
+        progress?.startBatch(entries.map(entry => ({
+            name: this.getUrlFilename(entry.url),
+            size: 0,
+            hash: entry.key
+        })));
+        
+        // Nothing is analyzed or loaded locally - the server does the work
+        entries.forEach(entry => {
+            progress?.updateAnalysisProgress(entry.key, 1);
+            progress?.updateLoadProgress(entry.key, 1);
+        });
+        
+        const results = await Promise.all(entries.map(entry => this.importUrl(entry)));
+        const imported = results.filter(result => !result.error);
+        const failed = results.filter(result => result.error).map(({ url, error }) => ({ url, error }));
+        
+        // Row of nodes, centered on the paste position
+        const padding = 20;
+        const rowWidth = imported.reduce((width, item) => width + item.size[0], 0) + padding * Math.max(0, imported.length - 1);
+        let x = pos[0] - rowWidth / 2;
+        
+        const nodes = [];
+        for (const item of imported) {
+            try {
+                const result = await this.app.operationPipeline.execute('node_create', {
+                    type: item.type,
+                    pos: [x, pos[1] - item.size[1] / 2],
+                    size: item.size,
+                    properties: item.properties
+                });
+                if (result?.result?.node) nodes.push(result.result.node);
+            } catch (error) {
+                console.error(`❌ Failed to create node for ${item.url}:`, error);
+                failed.push({ url: item.url, error: error.message });
+            }
+            x += item.size[0] + padding;
+        }
+        
+        if (nodes.length > 0) {
+            this.app.graphCanvas?.selection?.selectAll(nodes);
+        }
+        
+        return { nodes, failed };
+    }
+    
+    /**
+     * Import a single URL and work out the node to create for it
+     */
+    async importUrl({ url, key }) {
+        const progress = window.imageProcessingProgress;
+        progress?.updateUploadProgress(key, 0.5);
+        
+        try {
+            const response = await fetch(CONFIG.ENDPOINTS.IMPORT_URL, {
+                method: 'POST',
+                headers: CONFIG.authHeaders({ 'Content-Type': 'application/json' }),
+                body: JSON.stringify({
+                    url,
+                    canvasId: this.app.canvasNavigator?.currentCanvasId || null
+                })
+            });
+            
+            const result = await response.json().catch(() => ({}));
+            if (!response.ok) {
+                throw new Error(result.error || `HTTP ${response.status}`);
+            }
+            
+            progress?.updateUploadProgress(key, 1);
+            progress?.updateThumbnailProgress(key, 1);
+            
+            // Animated images become videos, but until transcoded only load as images
+            const isVideo = result.animated || result.mimeType?.startsWith('video/');
+            const fullUrl = CONFIG.SERVER.API_BASE + result.url;
+            const { width, height } = await this.loadMediaDimensions(fullUrl, isVideo && !result.animated);
+            
+            console.log(`🌐 Imported ${result.filename} from URL${result.duplicate ? ' (already on the server)' : ''}`);
+            
+            return {
+                url,
+                type: isVideo ? 'media/video' : 'media/image',
+                size: this.app.dragDropManager.calculateNodeSize({ width, height, aspectRatio: width / height }),
+                properties: {
+                    filename: result.filename,
+                    hash: result.hash,
+                    serverUrl: result.url,
+                    serverFilename: result.serverFilename,
+                    fileSize: result.size,
+                    originalWidth: width,
+                    originalHeight: height,
+                    ...(result.metadata && { metadata: result.metadata }),
+                    ...(result.original && { original: result.original })
+                }
+            };
+        } catch (error) {
+            console.error(`❌ URL import failed for ${url}:`, error);
+            progress?.markFailed(key, 'upload');
+            return { url, error: error.message };
+        }
+    }
+    
+    /**
+     * Natural size of an image or video, falling back to a square
+     */
+    loadMediaDimensions(url, isVideo) {
+        return new Promise(resolve => {
+            const fallback = () => resolve({ width: 200, height: 200 });
+            
+            if (isVideo) {
+                const video = document.createElement('video');
+                video.preload = 'metadata';
+                video.onloadedmetadata = () => resolve({ width: video.videoWidth || 200, height: video.videoHeight || 200 });
+                video.onerror = fallback;
+                video.src = url;
+            } else {
+                const img = new Image();
+                img.crossOrigin = 'anonymous';
+                img.onload = () => resolve({ width: img.naturalWidth, height: img.naturalHeight });
+                img.onerror = fallback;
+                img.src = url;
+            }
+        });
+    }
+    
+    getUrlFilename(url) {
+        try {
+            return decodeURIComponent(new URL(url).pathname.split('/').pop()) || 'image';
+        } catch (error) {
+            return 'image';
+        }
+    }
+    
     /**
      * Cleanup
      */
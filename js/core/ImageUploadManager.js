@@ -172,7 +172,14 @@ class ImageUploadManager {
                 url: result.url,
                 hash: hash,
                 size: blob.size,
-                filename: result.filename || filename
+                filename: result.filename || filename,
+                serverFilename: result.serverFilename,
+                metadata: result.metadata || null,
+                // Set when the server converted the upload (HEIC, TIFF, SVG, PSD, RAW)
+                // or transcodes an animated image to video
+                original: result.original || null,
+                width: result.width,
+                height: result.height
             };
         } catch (error) {
             // Record failed upload performance
@@ -233,6 +240,11 @@ class ImageUploadManager {
 
             xhr.open('POST', this.uploadUrl);
             
+            const authToken = CONFIG.getAuthToken();
+            if (authToken) {
+                xhr.setRequestHeader('Authorization', `Bearer ${authToken}`);
+            }
+            
             // Set timeout for large files (5 minutes for videos)
             const isVideo = formData.get('file')?.type?.startsWith('video/');
             xhr.timeout = isVideo ? 300000 : 120000; // 5 min for videos, 2 min for images
@@ -286,25 +298,69 @@ class ImageUploadManager {
     async _startUpload(uploadInfo) {
         const { imageData, filename, hash, mimeType, resolve, reject } = uploadInfo;
         
+        const offlineQueue = window.app?.offlineQueue;
+        let heldOffline = false;
+        
         // Mark as active
         this.activeUploads.add(hash);
         
         try {
-            const result = await this._performUpload(imageData, filename, hash, mimeType);
-            resolve(result);
+            if (offlineQueue?.canQueue() && !window.app.networkLayer.isConnected) {
+                heldOffline = true;
+            } else {
+                const result = await this._performUpload(imageData, filename, hash, mimeType);
+                offlineQueue?.removeUpload(hash);
+                resolve(result);
+            }
         } catch (error) {
-            reject(error);
+            // Lost the connection mid-upload - try again once it's back
+            if (offlineQueue?.canQueue() && error.message === 'Network error during upload') {
+                heldOffline = true;
+            } else {
+                reject(error);
+            }
         } finally {
             // Remove from active and process next
             this.activeUploads.delete(hash);
             window.Logger.upload('debug', `✅ Upload slot freed. Active: ${this.activeUploads.size}`);
             
-            // Clean up any references to help GC
-            uploadInfo.imageData = null;
+            if (heldOffline) {
+                this._holdUntilOnline(uploadInfo);
+            } else {
+                // Clean up any references to help GC
+                uploadInfo.imageData = null;
+            }
             
             this._processUploadQueue();
         }
     }
+    
+    /**
+     * Keep an upload made offline until queued operations have been replayed,
+     * so the node it belongs to exists on the server when it completes.
+     * Images are also stored in the offline queue to survive a reload - videos
+     * are too large to keep in IndexedDB.
+     */
+    async _holdUntilOnline(uploadInfo) {
+        const offlineQueue = window.app.offlineQueue;
+        const { imageData, filename, hash, mimeType } = uploadInfo;
+        
+        console.log(`📴 Offline - holding upload of ${filename} until reconnected`);
+        
+        if (!mimeType.startsWith('video/')) {
+            try {
+                const blob = imageData instanceof File ? imageData : await this._dataURLToBlob(imageData);
+                await offlineQueue.queueUpload({ hash, filename, mimeType, blob });
+            } catch (error) {
+                console.error(`❌ Failed to store offline upload of ${filename}:`, error);
+            }
+        }
+        
+        await offlineQueue.waitForSync();
+        
+        this.pendingUploads.push(uploadInfo);
+        this._processUploadQueue();
+    }
 
     /**
      * Check if an image is already uploaded
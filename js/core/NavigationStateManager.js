@@ -382,6 +382,9 @@ class NavigationStateManager {
         const currentCanvasId = this.canvasNavigator?.currentCanvasId;
         if (!currentCanvasId) return;
 
+        // Navigation state is shared canvas data - viewers keep theirs local
+        if (this.app.canvasPermissions?.isReadOnly()) return;
+
         const state = this.getCurrentNavigationState();
         if (!state) return;
 
@@ -393,14 +396,13 @@ class NavigationStateManager {
         try {
             const response = await fetch(CONFIG.ENDPOINTS.PROJECT_CANVAS(currentCanvasId), {
                 method: 'PATCH',
-                headers: { 'Content-Type': 'application/json' },
+                headers: CONFIG.authHeaders({ 'Content-Type': 'application/json' }),
                 body: JSON.stringify({
                     navigation_state: {
                         scale: state.scale,
                         offset: state.offset,
                         timestamp: state.timestamp
-                    },
-                    userId: this.canvasNavigator?.userId || 1
+                    }
                 })
             });
 
@@ -422,7 +424,7 @@ class NavigationStateManager {
         if (!currentCanvasId) return null;
 
         try {
-            const response = await fetch(CONFIG.ENDPOINTS.PROJECT_CANVAS(currentCanvasId));
+            const response = await fetch(CONFIG.ENDPOINTS.PROJECT_CANVAS(currentCanvasId), { headers: CONFIG.authHeaders() });
             if (!response.ok) return null;
 
             const data = await response.json();
@@ -9,6 +9,7 @@ class NetworkLayer {
         this.isConnected = false;
         this.currentCanvas = null;
         this.currentUser = null;
+        this.currentRole = null; // Role on the current canvas, set by canvas_joined
         
         // Connection settings - use same host as page, but on port 3000
         this.serverUrl = window.location.hostname === 'localhost' 
@@ -80,6 +81,13 @@ class NetworkLayer {
      * Connect to server
      */
     async connect() {
+        // Handshakes are verified by session token, so get one before connecting
+        try {
+            await this.app.userProfileSystem?.ensureSession();
+        } catch (error) {
+            console.warn('Could not start a session before connecting:', error.message);
+        }
+        
         return new Promise((resolve, reject) => {
             try {
                 // Check if Socket.IO is available
@@ -97,7 +105,9 @@ class NetworkLayer {
                 this.socket = io(this.serverUrl, {
                     transports: ['websocket'],
                     reconnection: false, // Disable Socket.IO reconnection - we'll handle it ourselves
-                    timeout: 20000 // 20 second connection timeout
+                    timeout: 20000, // 20 second connection timeout
+                    // Read on every handshake so reconnects pick up a new session
+                    auth: (cb) => cb({ token: CONFIG.getAuthToken() })
                 });
                 
                 this.setupEventHandlers();
@@ -143,6 +153,11 @@ class NetworkLayer {
                     this.reconnectAttempts++;
                     console.error('Connection error:', error.message);
                     
+                    // Token expired or was logged out elsewhere - the next attempt starts a new session
+                    if (error.message === 'Authentication required') {
+                        this.app.userProfileSystem?.clearSession();
+                    }
+                    
                     // Update status to error with reconnection info
                     if (this.app.updateConnectionStatus) {
                         this.app.updateConnectionStatus('error', `Connection failed - retrying automatically`);
@@ -177,6 +192,7 @@ class NetworkLayer {
             
             // Update status with reconnection info
             this.app.updateConnectionStatus('disconnected', 'Attempting to reconnect...');
+            this.emitLocal('disconnect', reason);
             
             // Start custom reconnection if not manually disconnected
             if (this.customReconnectionEnabled && !this.isManuallyDisconnected) {
@@ -206,6 +222,9 @@ class NetworkLayer {
                     console.log('📌 Numeric user ID from server:', this.numericUserId);
                 }
                 
+                // Role on this canvas (viewer/editor/admin)
+                this.currentRole = data.session?.role || 'editor';
+                
                 // Request full state sync after joining project
                 if (this.app.stateSyncManager) {
                     // Requesting initial state sync
@@ -290,6 +309,38 @@ class NetworkLayer {
             this.emitLocal('undo_history', data);
         });
         
+        // Canvas version events
+        this.socket.on('canvas_version_created', (data) => {
+            this.emitLocal('canvas_version_created', data);
+        });
+        
+        this.socket.on('canvas_version_restored', (data) => {
+            this.emitLocal('canvas_version_restored', data);
+        });
+        
+        this.socket.on('canvas_version_deleted', (data) => {
+            this.emitLocal('canvas_version_deleted', data);
+        });
+        
+        // Canvas permission events
+        this.socket.on('canvas_role_changed', (data) => {
+            this.currentRole = data.role;
+            this.emitLocal('canvas_role_changed', data);
+        });
+        
+        this.socket.on('canvas_access_denied', (data) => {
+            this.emitLocal('canvas_access_denied', data);
+        });
+        
+        this.socket.on('canvas_collaborators_updated', (data) => {
+            this.emitLocal('canvas_collaborators_updated', data);
+        });
+        
+        // Shared color grade presets changed on this canvas
+        this.socket.on('grade_presets_updated', (data) => {
+            this.emitLocal('grade_presets_updated', data);
+        });
+        
         // Error events
         this.socket.on('error_message', (data) => {
             console.error('Server error:', data.message);
@@ -355,6 +406,14 @@ class NetworkLayer {
             this.emitLocal('chat_message', data);
         });
         
+        this.socket.on('chat_message_saved', (data) => {
+            this.emitLocal('chat_message_saved', data);
+        });
+        
+        this.socket.on('chat_history', (data) => {
+            this.emitLocal('chat_history', data);
+        });
+        
         this.socket.on('user_selection_update', (data) => {
             this.emitLocal('user_selection_update', data);
         });
@@ -514,25 +573,10 @@ class NetworkLayer {
                 return;
             }
             
-            // Get the user ID from the canvas navigator if available
-            const userId = this.app.canvasNavigator?.userId || this.currentUser?.id;
-            const username = this.currentUser?.username || userId || `user-${this.tabId.substr(-8)}`;
-            
-            console.log('🔍 Joining canvas with identity:', {
-                userId: userId,
-                username: username,
-                displayName: this.currentUser?.displayName,
-                currentUser: this.currentUser,
-                canvasNavigatorUserId: this.app.canvasNavigator?.userId
-            });
-            
+            // The server takes our identity from the session token on the socket
             const data = {
                 canvasId: canvasId,
-                tabId: this.tabId,
-                userId: userId,
-                // Server expects username and displayName
-                username: username,
-                displayName: this.currentUser?.displayName || username
+                tabId: this.tabId
             };
             
             // Set up one-time listeners for success/failure
@@ -610,6 +654,17 @@ class NetworkLayer {
         }
     }
     
+    /**
+     * Reconnect with the current session token after logging in or out,
+     * rejoining the current canvas as the new user
+     */
+    reauthenticate() {
+        if (!this.socket) return;
+        
+        this.socket.disconnect();
+        this.socket.connect();
+    }
+    
     /**
      * Disconnect from server
      */
@@ -169,7 +169,7 @@ class NodePluginSystem {
             validator: (node) => {
                 return node instanceof ImageNode;
             },
-            commands: ['node_move', 'node_resize', 'node_delete', 'node_duplicate', 'node_property_update'],
+            commands: ['node_move', 'node_resize', 'node_delete', 'node_duplicate', 'node_property_update', 'node_crop', 'annotation_add', 'annotation_remove'],
             properties: {
                 brightness: 0,
                 contrast: 0,
@@ -191,7 +191,7 @@ class NodePluginSystem {
             validator: (node) => {
                 return node instanceof VideoNode;
             },
-            commands: ['node_move', 'node_resize', 'node_delete', 'node_duplicate', 'node_property_update', 'video_toggle'],
+            commands: ['node_move', 'node_resize', 'node_delete', 'node_duplicate', 'node_property_update', 'video_toggle', 'video_timeline', 'annotation_add', 'annotation_remove'],
             properties: {
                 playing: false,
                 loop: true,
@@ -234,7 +234,7 @@ class NodePluginSystem {
             validator: (node) => {
                 return node instanceof GroupNode;
             },
-            commands: ['group_create', 'group_add_node', 'group_remove_node', 'group_move', 'group_resize', 'group_toggle_collapsed', 'node_move', 'node_resize', 'node_delete', 'node_duplicate', 'node_property_update'],
+            commands: ['group_create', 'group_add_node', 'group_remove_node', 'group_move', 'group_resize', 'group_toggle_collapsed', 'group_ungroup', 'node_move', 'node_resize', 'node_delete', 'node_duplicate', 'node_property_update'],
             properties: {
                 childNodes: [],
                 isCollapsed: false,
@@ -265,6 +265,27 @@ class NodePluginSystem {
             category: 'ui'
         });
 
+        // Connector nodes - endpoints bound to other nodes, routed every frame
+        this.registerNodeType('shape/connector', {
+            factory: (properties) => {
+                const node = new ConnectorNode();
+                if (properties) {
+                    Object.assign(node.properties, properties);
+                }
+                return node;
+            },
+            validator: (node) => {
+                return node instanceof ConnectorNode;
+            },
+            commands: ['node_delete', 'node_duplicate', 'node_property_update'],
+            properties: {
+                routing: 'curved',
+                endHead: 'triangle',
+                description: 'Arrow between two nodes'
+            },
+            category: 'shape'
+        });
+
     }
     
     /**
@@ -0,0 +1,127 @@
+/**
+ * NodeSearch - Text matching for the search overlay
+ *
+ * Searches node titles, text and pinned-note text, connector labels, original
+ * filenames and the EXIF/IPTC metadata the server extracts at upload time
+ * (node.properties.metadata). Weights and matching mirror the server's
+ * CanvasSearch so local and cross-canvas results rank the same way.
+ */
+const NodeSearch = {
+    // Higher weights rank first - what people type on a node beats what a camera wrote
+    FIELD_WEIGHTS: {
+        title: 4,
+        text: 3,
+        label: 3,
+        filename: 2,
+        metadata: 1
+    },
+
+    FIELD_LABELS: {
+        title: 'Title',
+        text: 'Text',
+        label: 'Label',
+        filename: 'File',
+        metadata: 'Metadata'
+    },
+
+    SNIPPET_RADIUS: 40,
+
+    /**
+     * Search nodes of the current canvas
+     * @returns {Array} [{ node, field, snippet, score }] best first, canvas order breaks ties
+     */
+    search(nodes, query) {
+        const terms = this.tokenize(query);
+        if (terms.length === 0) return [];
+
+        const hits = [];
+        nodes.forEach((node, order) => {
+            const match = this.matchFields(this.getNodeFields(node), terms);
+            if (match) hits.push({ node, order, ...match });
+        });
+
+        hits.sort((a, b) => b.score - a.score || a.order - b.order);
+        return hits;
+    },
+
+    /**
+     * Lowercase, whitespace separated search terms
+     */
+    tokenize(query) {
+        if (typeof query !== 'string') return [];
+        return query.toLowerCase().split(/\s+/).filter(Boolean);
+    },
+
+    /**
+     * Searchable text of a node by field name
+     * @returns {Array} [{ field, text }]
+     */
+    getNodeFields(node) {
+        const properties = node.properties || {};
+        const fields = [];
+        const add = (field, value) => {
+            if (typeof value === 'string' && value.trim()) {
+                fields.push({ field, text: value });
+            }
+        };
+
+        add('title', node.title);
+        add('text', properties.text);
+        add('label', properties.label);
+        add('filename', properties.filename);
+
+        if (properties.metadata && typeof properties.metadata === 'object') {
+            for (const value of Object.values(properties.metadata)) {
+                add('metadata', Array.isArray(value) ? value.join(', ') : value);
+            }
+        }
+
+        return fields;
+    },
+
+    /**
+     * Every term has to appear in some field. Each term scores the weight of
+     * the best field it appears in, with a bonus when a field starts with it.
+     * @returns {Object|null} { score, field, snippet } for the best field, null if no match
+     */
+    matchFields(fields, terms) {
+        let score = 0;
+        let best = null;
+
+        for (const term of terms) {
+            let termScore = 0;
+            for (const entry of fields) {
+                const index = entry.text.toLowerCase().indexOf(term);
+                if (index === -1) continue;
+
+                const fieldScore = this.FIELD_WEIGHTS[entry.field] + (index === 0 ? 1 : 0);
+                if (fieldScore > termScore) termScore = fieldScore;
+                if (!best || fieldScore > best.score) {
+                    best = { score: fieldScore, entry, index, length: term.length };
+                }
+            }
+            if (termScore === 0) return null;
+            score += termScore;
+        }
+
+        return {
+            score,
+            field: best.entry.field,
+            snippet: this.getSnippet(best.entry.text, best.index, best.length)
+        };
+    },
+
+    /**
+     * A single line of text around a match
+     */
+    getSnippet(text, index, length) {
+        const start = Math.max(0, index - this.SNIPPET_RADIUS);
+        const end = Math.min(text.length, index + length + this.SNIPPET_RADIUS);
+        const snippet = text.slice(start, end).replace(/\s+/g, ' ').trim();
+        return (start > 0 ? '…' : '') + snippet + (end < text.length ? '…' : '');
+    }
+};
+
+if (typeof window !== 'undefined') {
+    window.NodeSearch = NodeSearch;
+}
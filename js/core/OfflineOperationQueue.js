@@ -0,0 +1,437 @@
+/**
+ * OfflineOperationQueue - Operations and uploads waiting for the server, kept in IndexedDB
+ *
+ * StateSyncManager writes every operation here before sending it and removes
+ * it once the server has acked or rejected it. While disconnected, operations
+ * are applied locally and only queued. A reload keeps the queue, so nothing
+ * is lost if the tab is closed before the connection comes back.
+ *
+ * After each full state sync the queue is replayed in order. The server
+ * checks each operation against what other users changed since the state
+ * version it was made on (replay.baseVersion). Conflicting operations are not
+ * applied until the user picks "Apply mine" or "Discard".
+ */
+class OfflineOperationQueue {
+    constructor(app, networkLayer) {
+        this.app = app;
+        this.network = networkLayer;
+
+        this.dbName = 'ImageCanvasOfflineQueue';
+        this.dbVersion = 1;
+        this.operationStore = 'operations';
+        this.uploadStore = 'uploads';
+        this.db = null;
+        this.isAvailable = false;
+        this.initPromise = this._init();
+
+        this.replaying = false;
+        this.replayAgain = false; // Operations were queued while a replay was running
+        this.replayWaiters = []; // Resolved when the current replay finishes
+        this.replayTimeout = 10000;
+        this.conflicts = []; // Entries the server refused because of newer changes
+
+        this.setupHandlers();
+    }
+
+    async _init() {
+        try {
+            if (!window.indexedDB) {
+                this.isAvailable = false;
+                return false;
+            }
+
+            const request = indexedDB.open(this.dbName, this.dbVersion);
+
+            request.onupgradeneeded = (event) => {
+                const db = event.target.result;
+
+                // seq keeps operations in the order they were made
+                if (!db.objectStoreNames.contains(this.operationStore)) {
+                    const store = db.createObjectStore(this.operationStore, { keyPath: 'seq', autoIncrement: true });
+                    store.createIndex('operationId', 'operationId', { unique: true });
+                    store.createIndex('canvasId', 'canvasId', { unique: false });
+                }
+
+                if (!db.objectStoreNames.contains(this.uploadStore)) {
+                    const store = db.createObjectStore(this.uploadStore, { keyPath: 'hash' });
+                    store.createIndex('canvasId', 'canvasId', { unique: false });
+                }
+            };
+
+            this.db = await new Promise((resolve, reject) => {
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+
+            this.isAvailable = true;
+            return true;
+        } catch (error) {
+            console.error('Failed to initialize offline queue:', error);
+            this.isAvailable = false;
+            return false;
+        }
+    }
+
+    /**
+     * Ensure database is ready before operations
+     */
+    async _ensureReady() {
+        await this.initPromise;
+        if (!this.isAvailable || !this.db) {
+            throw new Error('IndexedDB not available');
+        }
+    }
+
+    /**
+     * Run a request against one store
+     */
+    async _request(storeName, mode, createRequest) {
+        await this._ensureReady();
+
+        const transaction = this.db.transaction([storeName], mode);
+        const request = createRequest(transaction.objectStore(storeName));
+
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    setupHandlers() {
+        this.network.on('disconnect', () => this.showOfflineStatus());
+
+        // Without a canvas there is no full sync, and so no replay to wait for
+        this.network.on('connect', () => {
+            if (!this.network.currentCanvas) this.finishReplay();
+        });
+    }
+
+    /**
+     * Whether an operation can be queued instead of sent right away
+     */
+    canQueue() {
+        return this.isAvailable && !!this.network.currentCanvas;
+    }
+
+    /**
+     * Whether new operations have to wait behind queued ones
+     */
+    isHoldingOperations() {
+        return !this.network.isConnected || this.replaying;
+    }
+
+    // ===================================
+    // OPERATIONS
+    // ===================================
+
+    /**
+     * Persist an operation request before it is sent
+     * @param {Object} request - The execute_operation payload
+     * @returns {Promise<boolean>} Whether the operation was stored
+     */
+    async enqueue(request) {
+        try {
+            await this._request(this.operationStore, 'readwrite', store => store.add({
+                operationId: request.operationId,
+                canvasId: this.network.currentCanvas.id,
+                type: request.type,
+                params: request.params,
+                undoData: request.undoData,
+                baseVersion: request.stateVersion,
+                queuedAt: Date.now()
+            }));
+            return true;
+        } catch (error) {
+            console.error('Offline queue enqueue error:', error);
+            return false;
+        }
+    }
+
+    async remove(operationId) {
+        try {
+            const seq = await this._request(this.operationStore, 'readonly',
+                store => store.index('operationId').getKey(operationId));
+            if (seq !== undefined) {
+                await this._request(this.operationStore, 'readwrite', store => store.delete(seq));
+            }
+        } catch (error) {
+            console.error('Offline queue remove error:', error);
+        }
+    }
+
+    /**
+     * Queued operations of a canvas, oldest first
+     */
+    async getOperations(canvasId) {
+        try {
+            return await this._request(this.operationStore, 'readonly',
+                store => store.index('canvasId').getAll(canvasId));
+        } catch (error) {
+            console.error('Offline queue read error:', error);
+            return [];
+        }
+    }
+
+    // ===================================
+    // UPLOADS
+    // ===================================
+
+    /**
+     * Keep a file that couldn't be uploaded until the connection is back
+     */
+    async queueUpload({ hash, filename, mimeType, blob }) {
+        try {
+            await this._request(this.uploadStore, 'readwrite', store => store.put({
+                hash,
+                filename,
+                mimeType,
+                blob,
+                canvasId: this.network.currentCanvas?.id ?? null,
+                queuedAt: Date.now()
+            }));
+        } catch (error) {
+            console.error('Offline queue upload error:', error);
+        }
+    }
+
+    async removeUpload(hash) {
+        try {
+            await this._request(this.uploadStore, 'readwrite', store => store.delete(hash));
+        } catch (error) {
+            console.error('Offline queue remove upload error:', error);
+        }
+    }
+
+    async getUploads(canvasId) {
+        try {
+            return await this._request(this.uploadStore, 'readonly',
+                store => store.index('canvasId').getAll(canvasId));
+        } catch (error) {
+            console.error('Offline queue read uploads error:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Resolves once queued operations have been replayed, so uploads made
+     * offline finish after the nodes they belong to exist on the server
+     */
+    waitForSync() {
+        if (!this.isHoldingOperations()) {
+            return Promise.resolve();
+        }
+
+        return new Promise(resolve => this.replayWaiters.push(resolve));
+    }
+
+    // ===================================
+    // REPLAY
+    // ===================================
+
+    /**
+     * Send queued operations for the current canvas, in the order they were
+     * made. Called after every full state sync.
+     */
+    async replay() {
+        if (!this.isAvailable || !this.network.currentCanvas) {
+            this.finishReplay();
+            return;
+        }
+
+        if (this.replaying) {
+            this.replayAgain = true;
+            return;
+        }
+
+        this.replaying = true;
+
+        try {
+            // Only one tab may replay a shared queue
+            if (navigator.locks) {
+                await navigator.locks.request('image-canvas-offline-replay', () => this.replayQueued());
+            } else {
+                await this.replayQueued();
+            }
+        } finally {
+            this.replaying = false;
+            this.finishReplay();
+        }
+    }
+
+    async replayQueued() {
+        const canvasId = this.network.currentCanvas.id;
+        const conflicts = [];
+        const failed = [];
+        let synced = 0;
+
+        window.unifiedNotifications?.hide('offline-queue');
+
+        do {
+            this.replayAgain = false;
+
+            for (const entry of await this.getOperations(canvasId)) {
+                if (!this.network.isConnected || this.network.currentCanvas?.id !== canvasId) {
+                    return;
+                }
+                // Already refused - waiting for the user to decide
+                if (this.conflicts.some(conflict => conflict.operationId === entry.operationId)) {
+                    continue;
+                }
+
+                const response = await this.send(entry);
+                if (!response) {
+                    console.warn(`⏱️ No answer for queued ${entry.type} - keeping the rest for the next sync`);
+                    return;
+                }
+
+                if (response.success) {
+                    await this.remove(entry.operationId);
+                    // Duplicates were applied before the connection dropped
+                    if (!response.duplicate) synced++;
+                } else if (response.conflicts) {
+                    conflicts.push({ ...entry, conflicts: response.conflicts });
+                } else {
+                    await this.remove(entry.operationId);
+                    failed.push({ ...entry, error: response.error });
+                }
+            }
+        } while (this.replayAgain);
+
+        if (synced > 0) {
+            console.log(`📤 Replayed ${synced} offline operation(s)`);
+            window.unifiedNotifications?.success(`Synced ${synced} offline change${synced === 1 ? '' : 's'}`, { duration: 3000 });
+        }
+
+        if (failed.length > 0) {
+            console.error('❌ Offline operations rejected:', failed);
+            window.unifiedNotifications?.error(`${failed.length} offline change${failed.length === 1 ? '' : 's'} could not be applied`, {
+                detail: failed[0].error,
+                duration: 8000
+            });
+        }
+
+        if (conflicts.length > 0) {
+            this.conflicts.push(...conflicts);
+            this.showConflicts();
+        }
+
+        await this.replayUploads(canvasId);
+    }
+
+    /**
+     * Send one queued operation and wait for the server's answer
+     * @returns {Promise<Object|null>} The ack or rejection, null on timeout
+     */
+    async send(entry, force = false) {
+        const stateSync = this.app.stateSyncManager;
+        const response = stateSync.waitForServerResponse(entry.operationId, this.replayTimeout);
+
+        this.network.emit('execute_operation', {
+            operationId: entry.operationId,
+            type: entry.type,
+            params: entry.params,
+            undoData: entry.undoData,
+            stateVersion: stateSync.serverStateVersion,
+            replay: { baseVersion: entry.baseVersion, force }
+        });
+
+        try {
+            return await response;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Upload files that were queued before a reload. Uploads from this session
+     * are still held by ImageUploadManager and resume by themselves.
+     */
+    async replayUploads(canvasId) {
+        const uploadManager = window.imageUploadManager;
+        if (!uploadManager) return;
+
+        for (const upload of await this.getUploads(canvasId)) {
+            if (uploadManager.isUploading(upload.hash)) continue;
+
+            const file = new File([upload.blob], upload.filename, { type: upload.mimeType });
+            uploadManager.uploadImage(file, upload.filename, upload.hash, upload.mimeType)
+                .then(result => this.app.imageUploadCoordinator?.updateNodesWithHash(upload.hash, result))
+                .catch(error => console.error(`❌ Queued upload of ${upload.filename} failed:`, error));
+        }
+    }
+
+    finishReplay() {
+        const waiters = this.replayWaiters;
+        this.replayWaiters = [];
+        waiters.forEach(resolve => resolve());
+    }
+
+    // ===================================
+    // CONFLICTS
+    // ===================================
+
+    showConflicts() {
+        const count = this.conflicts.length;
+
+        window.unifiedNotifications?.warning(`${count} offline change${count === 1 ? ' conflicts' : 's conflict'} with edits made by others`, {
+            id: 'offline-conflicts',
+            detail: 'Someone else changed the same nodes while you were offline.',
+            persistent: true,
+            actions: [
+                { text: 'Apply mine', action: () => this.resolveConflicts(true) },
+                { text: 'Discard', action: () => this.resolveConflicts(false) }
+            ]
+        });
+    }
+
+    /**
+     * Apply conflicting operations over the newer changes, or drop them
+     */
+    async resolveConflicts(applyMine) {
+        window.unifiedNotifications?.hide('offline-conflicts');
+
+        const conflicts = this.conflicts;
+        this.conflicts = [];
+        let failed = 0;
+
+        for (const entry of conflicts) {
+            if (applyMine) {
+                const response = await this.send(entry, true);
+                if (!response) {
+                    // Still queued - it gets another try after the next sync
+                    failed++;
+                    continue;
+                }
+                if (!response.success) failed++;
+            }
+            await this.remove(entry.operationId);
+        }
+
+        if (failed > 0) {
+            window.unifiedNotifications?.error(`${failed} offline change${failed === 1 ? '' : 's'} could not be applied`, { duration: 5000 });
+        }
+    }
+
+    // ===================================
+    // STATUS
+    // ===================================
+
+    async showOfflineStatus() {
+        if (this.network.isConnected || !this.network.currentCanvas) return;
+
+        const operations = await this.getOperations(this.network.currentCanvas.id);
+        const detail = operations.length > 0
+            ? `${operations.length} change${operations.length === 1 ? '' : 's'} will sync when you reconnect`
+            : 'Changes will sync when you reconnect';
+
+        window.unifiedNotifications?.info('Working offline', {
+            id: 'offline-queue',
+            detail,
+            persistent: true
+        });
+    }
+}
+
+if (typeof window !== 'undefined') {
+    window.OfflineOperationQueue = OfflineOperationQueue;
+}
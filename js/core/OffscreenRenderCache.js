@@ -143,7 +143,7 @@ class OffscreenRenderCache {
      */
     getNodeHash(node) {
         // Simple hash based on properties that affect rendering
-        return `${node.size[0]}_${node.size[1]}_${node.properties?.hash || ''}_${node.rotation || 0}`;
+        return `${node.size[0]}_${node.size[1]}_${node.properties?.hash || ''}_${node.rotation || 0}_${ImageCrop.getCacheKey(node)}`;
     }
     
     /**
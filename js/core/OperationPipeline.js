@@ -30,6 +30,15 @@ class OperationPipeline {
         if (window.CanvasCommands?.NodeAlignCommand) {
             this.registerCommand('node_align', window.CanvasCommands.NodeAlignCommand);
         }
+        if (window.CanvasCommands?.NodeArrangeCommand) {
+            this.registerCommand('node_arrange', window.CanvasCommands.NodeArrangeCommand);
+        }
+        
+        // Register annotation commands
+        if (window.AnnotationCommands) {
+            this.registerCommand('annotation_add', window.AnnotationCommands.AddAnnotationStrokeCommand);
+            this.registerCommand('annotation_remove', window.AnnotationCommands.RemoveAnnotationStrokesCommand);
+        }
         
     }
     
@@ -64,7 +73,7 @@ class OperationPipeline {
      */
     registerExtendedCommands() {
         if (typeof window.NodeCommandsExtended !== 'undefined') {
-            const { ResizeNodeCommand, ResetNodeCommand, RotateNodeCommand, VideoToggleCommand } = window.NodeCommandsExtended;
+            const { ResizeNodeCommand, ResetNodeCommand, RotateNodeCommand, CropNodeCommand, VideoToggleCommand, VideoTimelineCommand } = window.NodeCommandsExtended;
             
             if (ResizeNodeCommand && !this.commandRegistry.has('node_resize')) {
                 this.registerCommand('node_resize', ResizeNodeCommand);
@@ -75,9 +84,15 @@ class OperationPipeline {
             if (RotateNodeCommand && !this.commandRegistry.has('node_rotate')) {
                 this.registerCommand('node_rotate', RotateNodeCommand);
             }
+            if (CropNodeCommand && !this.commandRegistry.has('node_crop')) {
+                this.registerCommand('node_crop', CropNodeCommand);
+            }
             if (VideoToggleCommand && !this.commandRegistry.has('video_toggle')) {
                 this.registerCommand('video_toggle', VideoToggleCommand);
             }
+            if (VideoTimelineCommand && !this.commandRegistry.has('video_timeline')) {
+                this.registerCommand('video_timeline', VideoTimelineCommand);
+            }
             
             const { BatchPropertyUpdateCommand, DuplicateNodesCommand, PasteNodesCommand } = window.NodeCommandsExtended;
             
@@ -117,11 +132,14 @@ class OperationPipeline {
             } else if (type === 'node_layer_order' && window.CanvasCommands?.NodeLayerOrderCommand) {
                 this.registerCommand('node_layer_order', window.CanvasCommands.NodeLayerOrderCommand);
                 CommandClass = window.CanvasCommands.NodeLayerOrderCommand;
+            } else if (type === 'node_arrange' && window.CanvasCommands?.NodeArrangeCommand) {
+                this.registerCommand('node_arrange', window.CanvasCommands.NodeArrangeCommand);
+                CommandClass = window.CanvasCommands.NodeArrangeCommand;
             }
         }
 
         // If command not found, try registering extended commands as a fallback
-        if (!CommandClass && (type === 'node_resize' || type === 'node_rotate' || type === 'node_reset')) {
+        if (!CommandClass && (type === 'node_resize' || type === 'node_rotate' || type === 'node_reset' || type === 'node_crop')) {
             
             this.registerExtendedCommands();
             CommandClass = this.commandRegistry.get(type);
@@ -151,6 +169,12 @@ class OperationPipeline {
             command = commandOrType;
         }
         
+        // Viewers can't change the canvas - remote operations still apply
+        if (command.origin === 'local' && this.isReadOnly()) {
+            this.app.canvasPermissions.notifyReadOnly();
+            return { success: false, reason: 'read_only' };
+        }
+        
         // Pass initial state to the command
         if (options.initialState) {
             command.initialState = options.initialState;
@@ -234,15 +258,22 @@ class OperationPipeline {
         });
     }
     
+    /**
+     * Check if the user only has view access to the current canvas
+     */
+    isReadOnly() {
+        return !!this.app.canvasPermissions?.isReadOnly();
+    }
+    
     /**
      * Check if we should use state sync for this operation
      */
     shouldUseStateSync(command) {
         // Always use state sync for local operations when connected
-        // This is now the primary sync method
+        // This is now the primary sync method. Offline, it queues them.
         return this.app.stateSyncManager && 
                command.origin === 'local' &&
-               this.app.networkLayer?.isConnected;
+               (this.app.networkLayer?.isConnected || this.app.offlineQueue?.canQueue());
     }
     
     /**
@@ -343,6 +374,11 @@ class OperationPipeline {
      * Execute a command directly (for BulkCommand)
      */
     async executeCommand(command) {
+        if (command.origin === 'local' && this.isReadOnly()) {
+            this.app.canvasPermissions.notifyReadOnly();
+            return { success: false, reason: 'read_only' };
+        }
+        
         // Validate command
         const validation = command.validate();
         if (!validation.valid) {
@@ -411,11 +447,22 @@ class OperationPipeline {
                 break;
                 
             case 'node_resize':
+            case 'node_reset':
+            case 'node_crop':
                 if (command.params.nodeIds) {
                     nodeIds.push(...command.params.nodeIds);
                 }
                 break;
                 
+            case 'node_arrange':
+                if (command.params.nodeIds) {
+                    nodeIds.push(...command.params.nodeIds);
+                }
+                if (command.params.childPositions) {
+                    nodeIds.push(...Object.keys(command.params.childPositions));
+                }
+                break;
+                
             case 'node_property_update':
                 if (command.params.nodeId) {
                     nodeIds.push(command.params.nodeId);
@@ -429,6 +476,9 @@ class OperationPipeline {
                 break;
                 
             case 'video_toggle':
+            case 'video_timeline':
+            case 'annotation_add':
+            case 'annotation_remove':
                 if (command.params.nodeId) {
                     nodeIds.push(command.params.nodeId);
                 }
@@ -48,6 +48,11 @@ class PersistenceHandler {
             return false;
         }
         
+        // Viewers can't write the canvas state
+        if (this.app.canvasPermissions?.isReadOnly()) {
+            return false;
+        }
+        
         try {
             // Get current state
             const canvasData = this.app.stateManager.serializeState(
@@ -58,10 +63,9 @@ class PersistenceHandler {
             // Save to server (fire and forget for performance)
             fetch(CONFIG.ENDPOINTS.PROJECT_CANVAS(canvasId), {
                 method: 'PUT',
-                headers: { 'Content-Type': 'application/json' },
+                headers: CONFIG.authHeaders({ 'Content-Type': 'application/json' }),
                 body: JSON.stringify({
-                    canvas_data: canvasData,
-                    userId: this.app.canvasNavigator?.userId || 1
+                    canvas_data: canvasData
                 })
             }).then(response => {
                 if (response.ok) {
@@ -101,8 +105,7 @@ class PersistenceHandler {
             
             // Use sendBeacon for synchronous save on page unload
             const data = JSON.stringify({
-                canvas_data: canvasData,
-                userId: this.app.canvasNavigator?.userId || 1
+                canvas_data: canvasData
             });
             
             navigator.sendBeacon(
@@ -121,7 +124,7 @@ class PersistenceHandler {
     async load(canvasId) {
         try {
             
-            const response = await fetch(CONFIG.ENDPOINTS.PROJECT_CANVAS(canvasId));
+            const response = await fetch(CONFIG.ENDPOINTS.PROJECT_CANVAS(canvasId), { headers: CONFIG.authHeaders() });
             if (!response.ok) {
                 throw new Error(`Load failed: ${response.status}`);
             }
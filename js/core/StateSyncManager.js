@@ -20,6 +20,7 @@ class StateSyncManager {
         
         // Last known server state
         this.serverStateVersion = 0;
+        this.lastFullSyncTime = null; // Set once a full state sync has been applied
         
         // Lock to prevent concurrent state updates
         this.updating = false;
@@ -70,8 +71,14 @@ class StateSyncManager {
      * Execute an operation with server-authoritative sync
      */
     async executeOperation(command) {
+        const offlineQueue = this.app.offlineQueue;
+        
+        // While offline (or replaying what was queued offline) operations are
+        // applied locally and wait in the offline queue
+        const queueOnly = !!offlineQueue?.canQueue() && offlineQueue.isHoldingOperations();
+        
         // Check if we're connected and joined to a canvas
-        if (!this.network.isConnected) {
+        if (!this.network.isConnected && !queueOnly) {
             throw new Error('Not connected to server - operation cannot be executed');
         }
         
@@ -88,14 +95,17 @@ class StateSyncManager {
             rollbackData: null
         });
         
+        let queued = false;
+        
         try {
             // 1. Prepare undo data BEFORE execution for all undoable operations
             const undoableOperations = [
-                'node_move', 'node_resize', 'node_rotate', 'node_reset',
+                'node_move', 'node_resize', 'node_rotate', 'node_reset', 'node_crop', 'node_arrange', 'node_layer_order',
                 'node_delete', 'node_property_update', 'node_batch_property_update',
                 'node_create', 'node_duplicate', 'node_paste',
                 'group_create', 'group_add_node', 'group_remove_node', 'group_move', 
-                'group_resize', 'group_toggle_collapsed', 'group_update_style'
+                'group_resize', 'group_toggle_collapsed', 'group_update_style', 'group_ungroup',
+                'annotation_add', 'annotation_remove', 'video_timeline'
             ];
             
             if (undoableOperations.includes(command.type) && command.origin === 'local') {
@@ -128,7 +138,7 @@ class StateSyncManager {
             let tempNodeIds = [];
             
             if (this.optimisticEnabled && command.origin === 'local' && 
-                command.supportsOptimisticUpdate && command.supportsOptimisticUpdate()) {
+                (queueOnly || (command.supportsOptimisticUpdate && command.supportsOptimisticUpdate()))) {
                 const optimisticResult = await this.applyOptimistic(command);
                 const pending = this.pendingOperations.get(operationId);
                 pending.rollbackData = optimisticResult.rollbackData;
@@ -199,10 +209,11 @@ class StateSyncManager {
             // Enforce undo data presence for operations that require it
             const undoRequiredOperations = [
                 'node_create', 'node_delete', 'node_move', 'node_resize', 
-                'node_update', 'node_duplicate', 'node_paste', 'node_rotate',
+                'node_update', 'node_duplicate', 'node_paste', 'node_rotate', 'node_crop',
                 'group_create', 'group_add_node', 'group_remove_node', 'group_move', 
-                'group_resize', 'group_toggle_collapsed', 'group_update_style',
-                'edge_create', 'edge_delete', 'edge_update'
+                'group_resize', 'group_toggle_collapsed', 'group_update_style', 'group_ungroup',
+                'edge_create', 'edge_delete', 'edge_update',
+                'annotation_add', 'annotation_remove', 'video_timeline'
             ];
             
             const finalUndoData = command._generatedUndoData || command.undoData || null;
@@ -226,6 +237,11 @@ class StateSyncManager {
             // Check if command has getServerData method
             const serverData = command.getServerData ? command.getServerData() : { type: command.type, params: command.params };
             
+            // Later queued operations refer to a node created offline by its local id
+            if (queueOnly && command.type === 'node_create' && localResult?.node && !serverData.params.id) {
+                serverData.params.id = localResult.node.id;
+            }
+            
             const serverRequest = {
                 operationId,
                 type: serverData.type,
@@ -272,6 +288,24 @@ class StateSyncManager {
                 throw new Error('Network layer not initialized');
             }
             
+            // Keep the operation until the server answers, so a reload or a
+            // dropped connection doesn't lose it
+            queued = offlineQueue ? await offlineQueue.enqueue(serverRequest) : false;
+            
+            if (queueOnly) {
+                if (!queued) {
+                    throw new Error('Not connected to server - operation could not be queued');
+                }
+                
+                this.pendingOperations.delete(operationId);
+                if (this.network.isConnected) {
+                    offlineQueue.replay();
+                } else {
+                    offlineQueue.showOfflineStatus();
+                }
+                return { success: true, queued: true, result: localResult };
+            }
+            
             // Mark as sent in tracker
             if (tempNodeIds.length > 0) {
                 this.operationTracker.markSent(operationId);
@@ -287,7 +321,23 @@ class StateSyncManager {
             if (window.Logger.isEnabled('STATE_SYNC_DETAILS')) {
                 window.Logger.stateSync('debug', `⏱️ Waiting for server response with ${timeout}ms timeout for ${command.type} operation`);
             }
-            const response = await this.waitForServerResponse(operationId, timeout);
+            let response;
+            try {
+                response = await this.waitForServerResponse(operationId, timeout);
+            } catch (error) {
+                // The connection dropped before the server answered - keep the
+                // local change, the queued operation is replayed on reconnect
+                if (queued && !this.network.isConnected) {
+                    this.pendingOperations.delete(operationId);
+                    offlineQueue.showOfflineStatus();
+                    return { success: true, queued: true, result: localResult };
+                }
+                throw error;
+            }
+            
+            if (queued) {
+                offlineQueue.remove(operationId);
+            }
             
             if (response.success) {
                 // Clean up optimistic nodes before server state update arrives
@@ -313,6 +363,9 @@ class StateSyncManager {
             
         } catch (error) {
             console.error('Operation failed:', error);
+            if (queued) {
+                offlineQueue.remove(operationId);
+            }
             await this.rollbackOperation(operationId);
             throw error;
         }
@@ -836,9 +889,13 @@ class StateSyncManager {
             
             // Update version
             this.serverStateVersion = stateVersion;
+            this.lastFullSyncTime = Date.now();
             
             // Clear pending operations (they're invalid now)
             this.pendingOperations.clear();
+            
+            // Operations made offline go back on top of the fresh state
+            this.app.offlineQueue?.replay();
 
             // Only show sync notification for manual syncs (not when loading canvases)
             if (isManualSync && window.unifiedNotifications) {
@@ -937,6 +994,9 @@ class StateSyncManager {
             if (nodeData.colorBalanceBypassed !== undefined) {
                 node.colorBalanceBypassed = nodeData.colorBalanceBypassed;
             }
+            if (nodeData.lut !== undefined) {
+                node.lut = nodeData.lut;
+            }
             
             // Log what we're creating
             // console.log(`🖼️ Creating image node ${node.id} with references:`, {
@@ -1006,6 +1066,9 @@ class StateSyncManager {
             if (nodeData.colorBalanceBypassed !== undefined) {
                 node.colorBalanceBypassed = nodeData.colorBalanceBypassed;
             }
+            if (nodeData.lut !== undefined) {
+                node.lut = nodeData.lut;
+            }
         }
         
         return node;
@@ -1120,8 +1183,22 @@ class StateSyncManager {
             // Check if this is an image node getting a new serverUrl
             const hadServerUrl = node.properties?.serverUrl;
             const willHaveServerUrl = nodeData.properties?.serverUrl;
-            
+            const hadHash = node.properties?.hash;
+            const hadOriginal = node.properties?.original;
+
             Object.assign(node.properties, nodeData.properties);
+
+            // Or had its source swapped for another file (a baked grade, or undoing one)
+            if (node.type === 'media/image' && hadServerUrl && nodeData.properties.hash &&
+                    nodeData.properties.hash !== hadHash && node.scheduleSourceReload) {
+                node.scheduleSourceReload();
+            }
+            
+            // Or got the converted copy of a HEIC/TIFF/SVG/PSD/RAW upload, with its real size
+            if (node.type === 'media/image' && !hadOriginal &&
+                    nodeData.properties.original && node.scheduleSourceReload) {
+                node.scheduleSourceReload();
+            }
             
             // If image node just got a serverUrl (from upload in another tab), trigger loading
             if (node.type === 'media/image' && !hadServerUrl && willHaveServerUrl) {
@@ -1149,11 +1226,28 @@ class StateSyncManager {
             }
         }
         
+        // Groups keep membership and collapsed state outside properties
+        if (node.type === 'container/group' && nodeData.properties) {
+            if (Array.isArray(nodeData.properties.childNodes)) {
+                node.childNodes = new Set(nodeData.properties.childNodes);
+            }
+            if (nodeData.properties.isCollapsed !== undefined) {
+                node.isCollapsed = nodeData.properties.isCollapsed;
+            }
+            if (Array.isArray(nodeData.properties.expandedSize)) {
+                node.expandedSize = [...nodeData.properties.expandedSize];
+            }
+        }
+        
         // Update other attributes
         if (nodeData.rotation !== undefined) {
             node.rotation = nodeData.rotation;
         }
         
+        if (nodeData.zIndex !== undefined && nodeData.zIndex !== null) {
+            node.zIndex = nodeData.zIndex;
+        }
+        
         if (nodeData.flags) {
             // Only override specific flags that are explicitly provided
             // This preserves constructor defaults (like hide_title: true) for new nodes
@@ -1204,11 +1298,23 @@ class StateSyncManager {
                 node.colorBalanceBypassed = nodeData.colorBalanceBypassed;
                 node.needsGLUpdate = true;
             }
+            if (nodeData.lut !== undefined) {
+                node.lut = nodeData.lut;
+                node.needsGLUpdate = true;
+            }
+        }
+        
+        // A node hidden by someone else can't stay selected, nor can anything inside it
+        const selection = this.app?.graphCanvas?.selection;
+        if (selection && node.isHidden?.()) {
+            const hiddenNodes = node.type === 'container/group' ? [node, ...node.getDescendantNodes()] : [node];
+            hiddenNodes.filter(hiddenNode => selection.isSelected(hiddenNode))
+                .forEach(hiddenNode => selection.deselectNode(hiddenNode));
         }
         
         // Invalidate selection bounding box cache if this node is selected
-        if (this.app?.graphCanvas?.selection?.isSelected(node)) {
-            this.app.graphCanvas.selection.invalidateBoundingBox();
+        if (selection?.isSelected(node)) {
+            selection.invalidateBoundingBox();
         }
     }
     
@@ -9,7 +9,8 @@
 class UserProfileSystem {
     constructor() {
         this.currentUser = null;
-        this.isAuthenticated = false;
+        this.isAuthenticated = false; // true for registered accounts, false for guests
+        this.sessionPromise = null; // In-flight ensureSession() call
         this.preferences = {};
         this.profile = {};
         
@@ -31,13 +32,19 @@ class UserProfileSystem {
         // Check for existing session
         await this.checkExistingSession();
         
+        // Confirm the session with the server in the background - the network
+        // layer waits for it before connecting, nothing else needs to
+        this.ensureSession().catch(error => {
+            console.warn('Could not verify session:', error.message);
+        });
+        
         // Set up auto-save for preferences
         this.setupAutoSave();
 
     }
     
     /**
-     * Check for existing user session
+     * Check for existing user session (cached profile, confirmed by ensureSession)
      */
     async checkExistingSession() {
         // First check sessionStorage (tab-specific)
@@ -48,7 +55,8 @@ class UserProfileSystem {
             storedUser = localStorage.getItem('imagecanvas_user');
         }
         
-        if (storedUser) {
+        // A cached user without a session token predates server accounts
+        if (storedUser && CONFIG.getAuthToken()) {
             try {
                 const userData = JSON.parse(storedUser);
                 await this.setCurrentUser(userData);
@@ -62,19 +70,22 @@ class UserProfileSystem {
     }
     
     /**
-     * Set current user
+     * Set current user (server user from /auth/*, or the cached copy of one)
      */
     async setCurrentUser(userData) {
         this.currentUser = {
-            id: userData.id || this.generateUserId(),
+            id: userData.id,
             username: userData.username || 'Anonymous',
+            displayName: userData.displayName || userData.username || 'Anonymous',
+            color: userData.color || null,
+            isGuest: !!userData.isGuest,
             email: userData.email || null,
             avatar: userData.avatar || null,
             createdAt: userData.createdAt || new Date().toISOString(),
             lastSeen: new Date().toISOString()
         };
         
-        this.isAuthenticated = !!userData.id;
+        this.isAuthenticated = !!userData.id && !userData.isGuest;
         
         // Store in localStorage
         // Save to both storages - sessionStorage for tab-specific, localStorage for persistence
@@ -87,15 +98,57 @@ class UserProfileSystem {
     }
     
     /**
-     * Create anonymous user
+     * Make sure we hold a valid session token, starting a guest session if not.
+     * Concurrent callers share one request.
+     */
+    async ensureSession() {
+        if (!this.sessionPromise) {
+            this.sessionPromise = this.resolveSession().finally(() => {
+                this.sessionPromise = null;
+            });
+        }
+        return this.sessionPromise;
+    }
+    
+    async resolveSession() {
+        if (CONFIG.getAuthToken()) {
+            const response = await fetch(CONFIG.ENDPOINTS.AUTH_ME, {
+                headers: CONFIG.authHeaders()
+            });
+            
+            if (response.ok) {
+                const data = await response.json();
+                await this.setCurrentUser(data.user);
+                return this.currentUser;
+            }
+            
+            if (response.status !== 401) {
+                throw new Error(`Session check failed: ${response.status}`);
+            }
+            
+            // Expired or revoked - fall through to a guest session
+            this.clearSession();
+        }
+        
+        return this.createAnonymousUser();
+    }
+    
+    /**
+     * Start a guest session
      */
     async createAnonymousUser() {
-        const userData = {
-            username: `User_${Math.random().toString(36).substr(2, 6)}`,
-            createdAt: new Date().toISOString()
-        };
+        const response = await fetch(CONFIG.ENDPOINTS.AUTH_GUEST, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' }
+        });
+        
+        if (!response.ok) {
+            throw new Error(`Failed to start guest session: ${response.status}`);
+        }
         
-        await this.setCurrentUser(userData);
+        const data = await response.json();
+        localStorage.removeItem('imageCanvasUserId');
+        await this.setSession(data.token, data.user);
         return this.currentUser;
     }
     
@@ -103,47 +156,77 @@ class UserProfileSystem {
      * Login with credentials
      */
     async login(credentials) {
+        return this.authenticateWithServer(CONFIG.ENDPOINTS.AUTH_LOGIN, {
+            username: credentials.username,
+            password: credentials.password
+        });
+    }
+    
+    /**
+     * Create an account - a guest's canvases move to the new account
+     */
+    async register(credentials) {
+        return this.authenticateWithServer(CONFIG.ENDPOINTS.AUTH_REGISTER, {
+            username: credentials.username,
+            password: credentials.password,
+            displayName: credentials.displayName
+        });
+    }
+    
+    /**
+     * Send credentials to a /auth endpoint and switch to the session it returns
+     */
+    async authenticateWithServer(url, credentials) {
         try {
-            // For now, simulate server authentication
-            // In production, this would make an API call
-            const response = await this.authenticateWithServer(credentials);
+            const response = await fetch(url, {
+                method: 'POST',
+                headers: CONFIG.authHeaders({ 'Content-Type': 'application/json' }),
+                body: JSON.stringify(credentials)
+            });
+            const data = await response.json();
             
-            if (response.success) {
-                await this.setCurrentUser(response.user);
-                return { success: true, user: this.currentUser };
-            } else {
-                return { success: false, error: response.error };
+            if (!response.ok) {
+                return { success: false, error: data.error || 'Login failed' };
             }
+            
+            await this.setSession(data.token, data.user);
+            return { success: true, user: this.currentUser };
         } catch (error) {
             console.error('Login failed:', error);
-            return { success: false, error: 'Login failed' };
+            return { success: false, error: 'Could not reach the server' };
         }
     }
     
     /**
-     * Simulate server authentication
+     * Store a new session token and user, and tell the network layer to reconnect
      */
-    async authenticateWithServer(credentials) {
-        // Simulate network delay
-        await new Promise(resolve => setTimeout(resolve, 500));
-        
-        // For demo purposes, accept any credentials
-        // In production, this would validate against a real server
-        return {
-            success: true,
-            user: {
-                id: `user_${Date.now()}`,
-                username: credentials.username,
-                email: credentials.email,
-                createdAt: new Date().toISOString()
-            }
-        };
+    async setSession(token, user) {
+        localStorage.setItem(CONFIG.AUTH_TOKEN_KEY, token);
+        await this.setCurrentUser(user);
+        this.notifyListeners('sessionChanged', this.currentUser);
     }
     
     /**
-     * Logout current user
+     * Forget the session token (e.g. after the server rejected it)
      */
-    logout() {
+    clearSession() {
+        localStorage.removeItem(CONFIG.AUTH_TOKEN_KEY);
+    }
+    
+    /**
+     * Logout current user - ends the server session and continues as a new guest
+     */
+    async logout() {
+        try {
+            await fetch(CONFIG.ENDPOINTS.AUTH_LOGOUT, {
+                method: 'POST',
+                headers: CONFIG.authHeaders()
+            });
+        } catch (error) {
+            // The token is dropped either way
+        }
+        
+        this.clearSession();
         this.currentUser = null;
         this.isAuthenticated = false;
         
@@ -153,7 +236,12 @@ class UserProfileSystem {
         
         // Notify listeners
         this.notifyListeners('userChanged', null);
-
+        
+        try {
+            await this.ensureSession();
+        } catch (error) {
+            console.warn('Could not start a guest session:', error.message);
+        }
     }
     
     /**
@@ -260,13 +348,6 @@ class UserProfileSystem {
         }
     }
     
-    /**
-     * Generate unique user ID
-     */
-    generateUserId() {
-        return `user_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-    }
-    
     /**
      * Add event listener
      */
@@ -320,7 +401,7 @@ class UserProfileSystem {
      */
     getDisplayName() {
         if (!this.currentUser) return 'Guest';
-        return this.currentUser.username || 'Anonymous';
+        return this.currentUser.displayName || this.currentUser.username || 'Anonymous';
     }
     
     /**
@@ -347,6 +428,7 @@ class UserProfileSystem {
         return {
             id: this.currentUser.id,
             username: this.currentUser.username,
+            displayName: this.currentUser.displayName,
             avatar: this.currentUser.avatar,
             color: this.getUserColor()
         };
@@ -358,13 +440,16 @@ class UserProfileSystem {
     getUserColor() {
         if (!this.currentUser) return '#666666';
         
+        // Prefer the color the server assigned so it matches other users' views
+        if (this.currentUser.color) return this.currentUser.color;
+        
         // Generate consistent color based on user ID
         const colors = [
             '#ff6b6b', '#4ecdc4', '#45b7d1', '#96ceb4', '#feca57',
             '#ff9ff3', '#54a0ff', '#5f27cd', '#00d2d3', '#ff9f43'
         ];
         
-        const index = this.currentUser.id.split('').reduce((acc, char) => {
+        const index = String(this.currentUser.id).split('').reduce((acc, char) => {
             return acc + char.charCodeAt(0);
         }, 0) % colors.length;
         
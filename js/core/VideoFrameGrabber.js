@@ -0,0 +1,215 @@
+/**
+ * VideoFrameGrabber - Pulls still frames out of video nodes onto the board
+ *
+ * The server extracts the frames with ffmpeg (POST /api/video-frames) from
+ * the uploaded file rather than the browser reading pixels off the <video>,
+ * so the image is the full-resolution source frame and is stored like any
+ * other upload, with thumbnails. Each image keeps a `videoFrame` reference
+ * to the node, file and timestamp it came from.
+ *
+ * A contact sheet is N frames spread evenly over the video's in/out range,
+ * laid out in a grid inside a new group.
+ */
+class VideoFrameGrabber {
+    constructor(app) {
+        this.app = app;
+        this.pending = new Set(); // Video node ids with a request in flight
+    }
+
+    /**
+     * Add the frame under the playhead as an image to the right of the video
+     * @returns {Promise<ImageNode|null>}
+     */
+    async grabFrame(videoNode) {
+        if (!this.canGrab(videoNode)) return null;
+
+        // Paused so the frame on screen is the one that gets extracted
+        if (!videoNode.properties.paused) {
+            videoNode.pause();
+        }
+        const time = videoNode.getCurrentTime();
+
+        const frames = await this.request(videoNode, { time });
+        if (!frames) return null;
+
+        const [frame] = frames;
+        const height = videoNode.size[1];
+        const width = height * frame.width / frame.height;
+        const pos = [videoNode.pos[0] + videoNode.size[0] + CONFIG.VIDEO_FRAMES.GAP, videoNode.pos[1]];
+
+        try {
+            const node = await this.createFrameNode(videoNode, frame, pos, [width, height]);
+            if (node) {
+                this.app.graphCanvas?.selection?.selectAll([node]);
+            }
+            this.notify('success', `Grabbed frame at ${VideoScrubber.formatTime(frame.time)}`);
+            return node;
+        } catch (error) {
+            console.error('❌ Failed to create frame node:', error);
+            this.notify('error', 'Grab frame failed', error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Add `count` evenly spaced frames from the in/out range, grouped in a
+     * grid below the video
+     * @returns {Promise<ImageNode[]>}
+     */
+    async grabContactSheet(videoNode, count = CONFIG.VIDEO_FRAMES.CONTACT_SHEET_COUNT) {
+        if (!this.canGrab(videoNode)) return [];
+
+        const [start, end] = videoNode.getPlaybackRange();
+        const body = { count };
+        // Without a duration yet, let the server use the whole clip
+        if (end > start) {
+            body.start = start;
+            body.end = end;
+        }
+
+        const frames = await this.request(videoNode, body);
+        if (!frames) return [];
+
+        const gap = CONFIG.VIDEO_FRAMES.GAP;
+        const columns = Math.ceil(Math.sqrt(frames.length));
+        const cellWidth = videoNode.size[0] / 2;
+        const cellHeight = cellWidth * frames[0].height / frames[0].width;
+
+        // Leave room above the grid for the group's title bar
+        const originX = videoNode.pos[0];
+        const originY = videoNode.pos[1] + videoNode.size[1] + gap * 2 + 30;
+
+        const undoManager = this.app.undoManager;
+        undoManager?.beginTransaction('video_contact_sheet');
+
+        const nodes = [];
+        try {
+            for (const [index, frame] of frames.entries()) {
+                const column = index % columns;
+                const row = Math.floor(index / columns);
+                const pos = [originX + column * (cellWidth + gap), originY + row * (cellHeight + gap)];
+                const node = await this.createFrameNode(videoNode, frame, pos, [cellWidth, cellHeight]);
+                if (node) nodes.push(node);
+            }
+
+            if (nodes.length > 0) {
+                this.groupFrames(videoNode, nodes);
+            }
+        } catch (error) {
+            console.error('❌ Failed to create contact sheet:', error);
+            this.notify('error', 'Contact sheet failed', error.message);
+        } finally {
+            undoManager?.commitTransaction();
+        }
+
+        if (nodes.length === frames.length) {
+            this.notify('success', `Added ${nodes.length} frames`);
+        }
+        return nodes;
+    }
+
+    canGrab(videoNode) {
+        if (videoNode?.type !== 'media/video') return false;
+        if (this.app.graphCanvas?.readOnly) return false;
+
+        if (!videoNode.properties.serverFilename && !videoNode.properties.hash) {
+            this.notify('warning', 'This video hasn\'t finished uploading yet');
+            return false;
+        }
+        return !this.pending.has(videoNode.id);
+    }
+
+    /**
+     * @returns {Promise<Object[]|null>} Frames as returned by the server, null on failure
+     */
+    async request(videoNode, options) {
+        this.pending.add(videoNode.id);
+        try {
+            const response = await fetch(CONFIG.ENDPOINTS.VIDEO_FRAMES, {
+                method: 'POST',
+                headers: CONFIG.authHeaders({ 'Content-Type': 'application/json' }),
+                body: JSON.stringify({
+                    serverFilename: videoNode.properties.serverFilename,
+                    hash: videoNode.properties.hash,
+                    canvasId: this.app.canvasNavigator?.currentCanvasId || null,
+                    ...options
+                })
+            });
+
+            const result = await response.json().catch(() => ({}));
+            if (!response.ok) {
+                throw new Error(result.details || result.error || `HTTP ${response.status}`);
+            }
+            return result.frames;
+        } catch (error) {
+            console.error(`❌ Frame extraction failed for ${videoNode.getDisplayTitle()}:`, error);
+            this.notify('error', 'Frame extraction failed', error.message);
+            return null;
+        } finally {
+            this.pending.delete(videoNode.id);
+        }
+    }
+
+    async createFrameNode(videoNode, frame, pos, size) {
+        const result = await this.app.operationPipeline.execute('node_create', {
+            type: 'media/image',
+            pos,
+            size,
+            properties: {
+                filename: frame.filename,
+                hash: frame.hash,
+                serverUrl: frame.url,
+                serverFilename: frame.serverFilename,
+                fileSize: frame.size,
+                originalWidth: frame.width,
+                originalHeight: frame.height,
+                ...(frame.metadata && { metadata: frame.metadata }),
+                videoFrame: {
+                    nodeId: videoNode.id,
+                    hash: videoNode.properties.hash,
+                    filename: videoNode.properties.filename,
+                    time: frame.time
+                }
+            }
+        });
+        return result?.result?.node || null;
+    }
+
+    groupFrames(videoNode, nodes) {
+        const canvas = this.app.graphCanvas;
+        const padding = 20;
+        const titleBarHeight = 30;
+
+        let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+        for (const node of nodes) {
+            minX = Math.min(minX, node.pos[0]);
+            minY = Math.min(minY, node.pos[1]);
+            maxX = Math.max(maxX, node.pos[0] + node.size[0]);
+            maxY = Math.max(maxY, node.pos[1] + node.size[1]);
+        }
+
+        // The sheet sits alongside the video, so it joins the video's group
+        const parentGroup = canvas?.getParentGroup(videoNode);
+
+        const command = new window.NodeCommands.GroupNodeCommand({
+            action: 'group_create',
+            nodeIds: nodes.map(node => node.id),
+            groupPos: [minX - padding, minY - padding - titleBarHeight],
+            groupSize: [maxX - minX + padding * 2, maxY - minY + padding * 2 + titleBarHeight],
+            groupTitle: `${videoNode.getDisplayTitle()} - ${nodes.length} frames`,
+            ...(parentGroup && { parentId: parentGroup.id })
+        });
+        return this.app.operationPipeline.executeCommand(command);
+    }
+
+    notify(type, message, detail) {
+        window.unifiedNotifications?.[type](message, {
+            ...(detail && { detail }),
+            duration: type === 'error' ? 5000 : 3000
+        });
+    }
+}
+
+if (typeof window !== 'undefined') {
+    window.VideoFrameGrabber = VideoFrameGrabber;
+}
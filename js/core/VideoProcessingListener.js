@@ -146,7 +146,7 @@ class VideoProcessingListener {
             
             // If successful, update the video nodes to use the optimized format
             if (data.success && data.serverFilename) {
-                this.updateVideoNodes(data.serverFilename, data.formats, data.filename);
+                this.updateVideoNodes(data.serverFilename, data.formats, data.filename, data.renditions);
             } else if (!data.success) {
                 // If transcoding failed, keep using the original uploaded file
                 console.warn(`⚠️ Transcoding failed for ${data.filename}, keeping original format`);
@@ -211,7 +211,7 @@ class VideoProcessingListener {
     /**
      * Update any video nodes that might be using the original file
      */
-    updateVideoNodes(serverFilename, formats, originalFilename) {
+    updateVideoNodes(serverFilename, formats, originalFilename, renditions = []) {
         // Find video nodes using this file
         if (!window.app || !window.app.graph) return;
         
@@ -238,6 +238,9 @@ class VideoProcessingListener {
             node.properties.serverUrl = serverUrl;
             node.properties.serverFilename = transcodedFilename;
             node.properties.transcodingComplete = true;
+            if (renditions.length > 0) {
+                node.properties.renditions = renditions;
+            }
             
             // Execute a batch property update command to sync all transcoding state with server
             if (window.app?.operationPipeline) {
@@ -251,6 +254,10 @@ class VideoProcessingListener {
                     updates.push({ nodeId: node.id, property: 'availableFormats', value: formats });
                 }
                 
+                if (renditions.length > 0) {
+                    updates.push({ nodeId: node.id, property: 'renditions', value: renditions });
+                }
+                
                 const updateCommand = window.app.operationPipeline.createCommand(
                     'node_batch_property_update',
                     { updates },
@@ -57,12 +57,20 @@ class AutoAlignmentManager {
         this.gridAlignParentingChanges = null;
     }
     
+    /**
+     * Selected nodes that take part in alignment - connectors follow the
+     * nodes they are bound to instead, and locked nodes don't move
+     */
+    getAlignableNodes() {
+        return this.selection.getSelectedNodes().filter(node => node.type !== 'shape/connector' && !node.isLocked());
+    }
+    
     // ===================================
     // AUTO ALIGNMENT
     // ===================================
     
     startAutoAlign(startPos) {
-        if (this.selection.size() < 2) return false;
+        if (this.getAlignableNodes().length < 2) return false;
 
         this.autoAlignMode = true;
         this.autoAlignStart = [...startPos];
@@ -84,7 +92,7 @@ class AutoAlignmentManager {
         this.autoAlignParentingChanges = parentingChanges;
         
         // Store original positions
-        const selectedNodes = this.selection.getSelectedNodes();
+        const selectedNodes = this.getAlignableNodes();
         this.autoAlignOriginals = {};
         
         // Determine which nodes will be animated
@@ -167,7 +175,7 @@ class AutoAlignmentManager {
                 this.autoAlignCommitPoint = [...currentPos];
             } else {
                 // Not committed, keep all nodes at original positions
-                const selectedNodes = this.selection.getSelectedNodes();
+                const selectedNodes = this.getAlignableNodes();
                 
                 for (const node of selectedNodes) {
                     if (node._animPos) {
@@ -227,7 +235,7 @@ class AutoAlignmentManager {
     finishAutoAlign() {
         if (this.autoAlignCommittedAxis && this.autoAlignCommittedTargets) {
             // Use the same pattern as finishGridAlign to ensure nodeIds and positions match
-            const selectedNodes = this.selection.getSelectedNodes();
+            const selectedNodes = this.getAlignableNodes();
             const nodeIds = [];
             const positions = [];
             const sizes = [];
@@ -248,7 +256,7 @@ class AutoAlignmentManager {
                         sizes.push([...node.size]);
                         
                         // Record child positions for undo
-                        const childNodes = node.getChildNodes();
+                        const childNodes = node.getDescendantNodes();
                         for (const child of childNodes) {
                             childPositions.set(child.id, [...child.pos]);
                         }
@@ -261,7 +269,7 @@ class AutoAlignmentManager {
                         sizes.push([...node.size]);
                         
                         // Record child positions for undo
-                        const childNodes = node.getChildNodes();
+                        const childNodes = node.getDescendantNodes();
                         for (const child of childNodes) {
                             childPositions.set(child.id, [...child.pos]);
                         }
@@ -275,7 +283,7 @@ class AutoAlignmentManager {
                         sizes.push([...node.size]);
                         
                         // Record child positions for undo
-                        const childNodes = node.getChildNodes();
+                        const childNodes = node.getDescendantNodes();
                         for (const child of childNodes) {
                             childPositions.set(child.id, [...child.pos]);
                         }
@@ -317,7 +325,7 @@ class AutoAlignmentManager {
         this.autoAlignCommittedDirection = null;
         
         // Clear alignment completion flags from groups after a delay
-        const nodesToClean = this.selection.getSelectedNodes().filter(n => n.type === 'container/group');
+        const nodesToClean = this.getAlignableNodes().filter(n => n.type === 'container/group');
         setTimeout(() => {
             for (const node of nodesToClean) {
                 if (node._alignmentJustCompleted) {
@@ -338,14 +346,14 @@ class AutoAlignmentManager {
     }
     
     triggerAutoAlign(axis) {
-        if (this.selection.size() < 2) {
+        if (this.getAlignableNodes().length < 2) {
             return;
         }
         
         // Reset accumulator when starting new animation for consistent timing
         this.accumulator = 0;
 
-        const selectedNodes = this.selection.getSelectedNodes();
+        const selectedNodes = this.getAlignableNodes();
         
         // Check if only a single group is selected
         if (selectedNodes.length === 1 && selectedNodes[0].type === 'container/group') {
@@ -409,7 +417,7 @@ class AutoAlignmentManager {
         this.autoAlignStart = [centerX, centerY];
         
         // Determine which nodes will be animated based on group presence
-        const allSelectedNodes = this.selection.getSelectedNodes();
+        const allSelectedNodes = this.getAlignableNodes();
         const groups = allSelectedNodes.filter(n => n.type === 'container/group');
         
         // Determine which nodes need animation positions initialized
@@ -448,7 +456,7 @@ class AutoAlignmentManager {
                 // Store child offsets relative to group position for accurate movement
                 if (!node._childOffsets) {
                     node._childOffsets = new Map();
-                    const childNodes = node.getChildNodes();
+                    const childNodes = node.getDescendantNodes();
                     for (const child of childNodes) {
                         node._childOffsets.set(child.id, {
                             x: child.pos[0] - node.pos[0],
@@ -510,7 +518,7 @@ class AutoAlignmentManager {
     }
     
     computeAutoAlignTargetsWithMasterOrder(axis) {
-        const allSelectedNodes = this.selection.getSelectedNodes();
+        const allSelectedNodes = this.getAlignableNodes();
         
         // Separate groups from regular nodes
         const groups = allSelectedNodes.filter(n => n.type === 'container/group');
@@ -815,7 +823,7 @@ class AutoAlignmentManager {
     }
     
     areImagesAlignedOnAxis(axis) {
-        const allNodes = this.selection.getSelectedNodes();
+        const allNodes = this.getAlignableNodes();
         if (allNodes.length < 2) return false;
         
         // Separate groups from regular nodes
@@ -854,10 +862,10 @@ class AutoAlignmentManager {
     // ===================================
     
     startGridAlign(startPos) {
-        if (this.selection.size() === 0) return false;
+        if (this.getAlignableNodes().length === 0) return false;
         
         // Check if only a single group is selected
-        const selectedNodes = this.selection.getSelectedNodes();
+        const selectedNodes = this.getAlignableNodes();
         if (selectedNodes.length === 1 && selectedNodes[0].type === 'container/group') {
             console.log('Cannot grid align a single group node');
             return false;
@@ -882,7 +890,7 @@ class AutoAlignmentManager {
         // Store parenting changes for undo
         this.gridAlignParentingChanges = parentingChanges;
         
-        window.app.undoManager.beginInteraction(this.selection.getSelectedNodes());
+        window.app.undoManager.beginInteraction(this.getAlignableNodes());
         return true;
     }
     
@@ -897,7 +905,7 @@ class AutoAlignmentManager {
         this.gridAlignBox = [ax, ay, bx, by];
         
         // Calculate grid parameters
-        const allSelectedNodes = this.selection.getSelectedNodes();
+        const allSelectedNodes = this.getAlignableNodes();
         
         // Separate groups from regular nodes for size calculation
         const groups = allSelectedNodes.filter(n => n.type === 'container/group');
@@ -1120,7 +1128,7 @@ class AutoAlignmentManager {
                     // Store child offsets relative to group position for accurate movement
                     if (!node._childOffsets) {
                         node._childOffsets = new Map();
-                        const childNodes = node.getChildNodes();
+                        const childNodes = node.getDescendantNodes();
                         for (const child of childNodes) {
                             node._childOffsets.set(child.id, {
                                 x: child.pos[0] - node.pos[0],
@@ -1165,7 +1173,7 @@ class AutoAlignmentManager {
         
         if (targetsForSave) {
             // During animation - use the target positions
-            const selectedNodes = this.selection.getSelectedNodes();
+            const selectedNodes = this.getAlignableNodes();
             const nodeIds = [];
             const positions = [];
             const sizes = [];
@@ -1216,7 +1224,7 @@ class AutoAlignmentManager {
             const childPositions = new Map();
             for (const node of selectedNodes) {
                 if (node.type === 'container/group' && node.childNodes) {
-                    const childNodes = node.getChildNodes();
+                    const childNodes = node.getDescendantNodes();
                     for (const child of childNodes) {
                         childPositions.set(child.id, [...child.pos]);
                     }
@@ -1239,7 +1247,7 @@ class AutoAlignmentManager {
             this.updateParentGroups(selectedNodes);
         } else {
             // After animation completed - use current node positions
-            const selectedNodes = this.selection.getSelectedNodes();
+            const selectedNodes = this.getAlignableNodes();
             if (selectedNodes.length > 0) {
                 const nodeIds = selectedNodes.map(node => node.id);
                 const positions = selectedNodes.map(node => [...node.pos]);
@@ -1248,7 +1256,7 @@ class AutoAlignmentManager {
                 const childPositions = new Map();
                 for (const node of selectedNodes) {
                     if (node.type === 'container/group' && node.childNodes) {
-                        const childNodes = node.getChildNodes();
+                        const childNodes = node.getDescendantNodes();
                         for (const child of childNodes) {
                             childPositions.set(child.id, [...child.pos]);
                         }
@@ -1493,8 +1501,8 @@ class AutoAlignmentManager {
             
             // If this is a group, update child positions using stored offsets
             if (node.type === 'container/group' && node._childOffsets) {
-                const childNodes = node.getChildNodes();
                 const animatedNodeIds = new Set(animNodes.map(n => n.id));
+                const childNodes = node.getDescendantNodes(animatedNodeIds);
                 
                 for (const child of childNodes) {
                     // Skip children that are being animated independently
@@ -2043,7 +2051,8 @@ class AutoAlignmentManager {
             };
         }
         
-        // Use the node's actual size for non-groups
+        // Use the node's actual size for non-groups - cropped images are
+        // already sized to their crop region (see ImageCrop)
         return {
             width: node.size[0],
             height: node.size[1],
@@ -2100,9 +2109,17 @@ class AutoAlignmentManager {
      * If groups and non-group nodes are selected together, add the non-group nodes to the groups
      */
     autoParentNodesToGroups() {
-        const selectedNodes = this.selection.getSelectedNodes();
+        const selectedNodes = this.getAlignableNodes();
         const groups = selectedNodes.filter(n => n.type === 'container/group');
-        const nonGroups = selectedNodes.filter(n => n.type !== 'container/group');
+        
+        // Nodes nested inside a selected group stay where they are
+        const nestedIds = new Set();
+        for (const group of groups) {
+            group.getDescendantNodes()
+                .filter(node => !group.childNodes.has(node.id))
+                .forEach(node => nestedIds.add(node.id));
+        }
+        const nonGroups = selectedNodes.filter(n => n.type !== 'container/group' && !nestedIds.has(n.id));
         
         // Track parenting changes for undo
         const parentingChanges = [];
@@ -0,0 +1,324 @@
+/**
+ * NodeArrange - Layout math for the distribute, match-size and arrange commands
+ *
+ * Every function takes nodes and returns where they should go, without
+ * changing them. ImageCanvas.arrangeSelected sends the result as a
+ * node_arrange operation so it is undoable and reaches other users as-is.
+ * Positions are of the unrotated node (node.pos). Distribute measures gaps
+ * on rotated bounding boxes; layouts tile the unrotated sizes.
+ */
+const NodeArrange = {
+    SORT_LABELS: {
+        selection: 'Selection order',
+        filename: 'Filename',
+        uploaded: 'Upload date',
+        color: 'Color',
+        aspect: 'Aspect ratio'
+    },
+
+    /**
+     * Nodes that can be arranged - connectors follow their endpoints,
+     * everything inside a selected group moves with it, and locked nodes stay put
+     */
+    getArrangeableNodes(nodes) {
+        const groupedIds = new Set();
+        for (const node of nodes) {
+            if (node.type === 'container/group') {
+                node.getDescendantNodes().forEach(child => groupedIds.add(child.id));
+            }
+        }
+        return nodes.filter(node => node.type !== 'shape/connector' && !node.isLocked() && !groupedIds.has(node.id));
+    },
+
+    /**
+     * Nodes whose size can change - resizing a group doesn't scale its children
+     */
+    getResizableNodes(nodes) {
+        return this.getArrangeableNodes(nodes).filter(node => node.type !== 'container/group');
+    },
+
+    // ===================================
+    // DISTRIBUTE
+    // ===================================
+
+    /**
+     * Equal gaps between nodes along an axis. The outermost nodes stay put.
+     * @param {string} axis - 'horizontal' or 'vertical'
+     * @returns {Map} node -> [x, y]
+     */
+    distribute(nodes, axis) {
+        const positions = new Map();
+        if (nodes.length < 3) return positions;
+
+        const index = axis === 'horizontal' ? 0 : 1;
+        const items = nodes.map(node => ({ node, box: node.getBoundingBox() }))
+            .sort((a, b) => a.box[index] - b.box[index]);
+
+        const first = items[0].box;
+        const last = items[items.length - 1].box;
+        const span = last[index] + last[index + 2] - first[index];
+        const occupied = items.reduce((sum, item) => sum + item.box[index + 2], 0);
+        const gap = (span - occupied) / (items.length - 1);
+
+        let cursor = first[index];
+        for (const { node, box } of items) {
+            const position = [...node.pos];
+            position[index] += cursor - box[index];
+            positions.set(node, position);
+            cursor += box[index + 2] + gap;
+        }
+
+        return positions;
+    },
+
+    // ===================================
+    // MATCH SIZE
+    // ===================================
+
+    /**
+     * Give nodes the width, height or area of a reference node, keeping
+     * each node's aspect ratio. Rotated nodes keep their center.
+     * @param {string} dimension - 'width', 'height' or 'area'
+     * @param {string} reference - 'largest', 'smallest' or 'first' (first selected)
+     * @returns {Object} { positions: Map, sizes: Map }
+     */
+    matchSize(nodes, dimension, reference) {
+        const positions = new Map();
+        const sizes = new Map();
+        if (nodes.length < 2) return { positions, sizes };
+
+        const measure = (size) => dimension === 'width' ? size[0]
+            : dimension === 'height' ? size[1]
+            : size[0] * size[1];
+
+        let target = measure(nodes[0].size);
+        if (reference !== 'first') {
+            const values = nodes.map(node => measure(node.size));
+            target = reference === 'smallest' ? Math.min(...values) : Math.max(...values);
+        }
+
+        for (const node of nodes) {
+            const aspect = node.size[0] / node.size[1];
+            const size = dimension === 'width' ? [target, target / aspect]
+                : dimension === 'height' ? [target * aspect, target]
+                : [Math.sqrt(target * aspect), Math.sqrt(target / aspect)];
+
+            const position = node.rotation
+                ? [node.pos[0] + (node.size[0] - size[0]) / 2, node.pos[1] + (node.size[1] - size[1]) / 2]
+                : [...node.pos];
+
+            sizes.set(node, size);
+            positions.set(node, position);
+        }
+
+        return { positions, sizes };
+    },
+
+    // ===================================
+    // ARRANGE
+    // ===================================
+
+    /**
+     * Pack nodes into justified rows or masonry columns, starting at the
+     * selection's top-left corner and as wide as the selection
+     * @param {Object} options - { style: 'rows'|'masonry', rowHeight, spacing }
+     * @returns {Object} { positions: Map, sizes: Map }
+     */
+    layout(nodes, { style = 'rows', rowHeight = CONFIG.ARRANGE.ROW_HEIGHT, spacing = CONFIG.ALIGNMENT.DEFAULT_MARGIN } = {}) {
+        const positions = new Map();
+        const sizes = new Map();
+        if (nodes.length === 0) return { positions, sizes };
+
+        const boxes = nodes.map(node => node.getBoundingBox());
+        const left = Math.min(...boxes.map(box => box[0]));
+        const top = Math.min(...boxes.map(box => box[1]));
+        const right = Math.max(...boxes.map(box => box[0] + box[2]));
+
+        const items = nodes.map(node => ({ node, aspect: node.size[0] / node.size[1] }));
+        // At least wide enough for the widest node at the target height
+        const width = Math.max(right - left, ...items.map(item => item.aspect * rowHeight));
+
+        const place = style === 'masonry'
+            ? this.layoutMasonry(items, width, rowHeight, spacing)
+            : this.layoutRows(items, width, rowHeight, spacing);
+
+        for (const { node, x, y, w, h } of place) {
+            sizes.set(node, [w, h]);
+            positions.set(node, [left + x, top + y]);
+        }
+
+        return { positions, sizes };
+    },
+
+    /**
+     * Rows that fill the width exactly, each scaled to about rowHeight.
+     * The last row keeps rowHeight rather than stretching a few nodes.
+     */
+    layoutRows(items, width, rowHeight, spacing) {
+        const place = [];
+        let row = [];
+        let y = 0;
+
+        const finishRow = (height) => {
+            let x = 0;
+            for (const item of row) {
+                const w = item.aspect * height;
+                place.push({ node: item.node, x, y, w, h: height });
+                x += w + spacing;
+            }
+            y += height + spacing;
+            row = [];
+        };
+
+        // Height at which a row exactly fills the width
+        const fitHeight = (entries) => (width - spacing * (entries.length - 1)) /
+            entries.reduce((sum, entry) => sum + entry.aspect, 0);
+
+        for (const item of items) {
+            const height = fitHeight([...row, item]);
+            if (height > rowHeight) {
+                row.push(item);
+                continue;
+            }
+
+            // Full - end the row with or without this node, whichever is closer to rowHeight
+            if (row.length > 0 && fitHeight(row) - rowHeight < rowHeight - height) {
+                finishRow(fitHeight(row));
+                row.push(item);
+            } else {
+                row.push(item);
+                finishRow(height);
+            }
+        }
+
+        if (row.length > 0) finishRow(rowHeight);
+        return place;
+    },
+
+    /**
+     * Equal-width columns, each node added to the shortest one. Columns are
+     * as wide as a typical node at rowHeight.
+     */
+    layoutMasonry(items, width, rowHeight, spacing) {
+        const aspects = items.map(item => item.aspect).sort((a, b) => a - b);
+        const medianWidth = aspects[Math.floor(aspects.length / 2)] * rowHeight;
+
+        const columns = Math.max(1, Math.min(items.length, Math.round((width + spacing) / (medianWidth + spacing))));
+        const columnWidth = (width - spacing * (columns - 1)) / columns;
+        const heights = new Array(columns).fill(0);
+
+        return items.map(item => {
+            const column = heights.indexOf(Math.min(...heights));
+            const h = columnWidth / item.aspect;
+            const placed = { node: item.node, x: column * (columnWidth + spacing), y: heights[column], w: columnWidth, h };
+            heights[column] += h + spacing;
+            return placed;
+        });
+    },
+
+    // ===================================
+    // SORTING
+    // ===================================
+
+    /**
+     * Order nodes for a layout. Nodes without the sort key keep selection
+     * order after the ones that have it.
+     * @param {string} sortBy - A key of SORT_LABELS
+     */
+    sort(nodes, sortBy) {
+        if (sortBy === 'selection') return [...nodes];
+
+        const keys = new Map(nodes.map(node => [node, this.getSortKey(node, sortBy)]));
+        const compare = sortBy === 'filename'
+            ? (a, b) => a.localeCompare(b, undefined, { numeric: true, sensitivity: 'base' })
+            : (a, b) => a - b;
+
+        // Array.sort is stable, so ties keep selection order
+        return [...nodes].sort((a, b) => {
+            const keyA = keys.get(a);
+            const keyB = keys.get(b);
+            if (keyA === null || keyB === null) return (keyA === null) - (keyB === null);
+            return compare(keyA, keyB);
+        });
+    },
+
+    getSortKey(node, sortBy) {
+        const properties = node.properties || {};
+
+        switch (sortBy) {
+            case 'filename':
+                return properties.filename || node.title || null;
+            case 'uploaded': {
+                // Server filenames start with the upload time (multer's Date.now() prefix)
+                const match = /^(\d{10,})-/.exec(properties.serverFilename || '');
+                return match ? Number(match[1]) : null;
+            }
+            case 'color':
+                return this.getHueKey(node);
+            case 'aspect':
+                return node.size[0] / node.size[1];
+            default:
+                return null;
+        }
+    },
+
+    /**
+     * Sort key from the average color of a node's thumbnail: grays first by
+     * lightness, then colors around the hue wheel
+     */
+    getHueKey(node) {
+        const rgb = this.getAverageColor(node);
+        if (!rgb) return null;
+
+        const [r, g, b] = rgb.map(value => value / 255);
+        const max = Math.max(r, g, b);
+        const min = Math.min(r, g, b);
+        const lightness = (max + min) / 2;
+        const chroma = max - min;
+
+        if (chroma < 0.08) return lightness;
+
+        let hue;
+        if (max === r) hue = ((g - b) / chroma + 6) % 6;
+        else if (max === g) hue = (b - r) / chroma + 2;
+        else hue = (r - g) / chroma + 4;
+        return 1 + hue / 6;
+    },
+
+    getAverageColor(node) {
+        let source = null;
+        if (node.type === 'media/image' && node.properties.hash) {
+            source = window.thumbnailCache?.getBestThumbnail(node.properties.hash, 16, 16);
+        } else if (node.type === 'media/video' && node.video?.readyState >= 2) {
+            source = node.video;
+        }
+
+        if (!source) {
+            const color = node.properties?.bgColor || node.properties?.color;
+            return typeof color === 'string' ? this.parseHexColor(color) : null;
+        }
+
+        try {
+            const canvas = document.createElement('canvas');
+            canvas.width = canvas.height = 1;
+            const ctx = canvas.getContext('2d', { willReadFrequently: true });
+            ctx.drawImage(source, 0, 0, 1, 1);
+            const [r, g, b] = ctx.getImageData(0, 0, 1, 1).data;
+            return [r, g, b];
+        } catch (error) {
+            // Cross-origin media without CORS headers can't be read back
+            return null;
+        }
+    },
+
+    parseHexColor(color) {
+        const match = /^#([0-9a-f]{6})$/i.exec(color.trim());
+        if (!match) return null;
+        const value = parseInt(match[1], 16);
+        return [(value >> 16) & 255, (value >> 8) & 255, value & 255];
+    }
+};
+
+if (typeof window !== 'undefined') {
+    window.NodeArrange = NodeArrange;
+}
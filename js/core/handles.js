@@ -6,35 +6,52 @@ class HandleDetector {
     constructor(viewport, selection) {
         this.viewport = viewport;
         this.selection = selection;
+        this.enabled = true; // Disabled in read-only mode - no resize/rotate handles
+        this.cropNode = null; // Image node in crop mode - crop handles replace resize/rotate
     }
     
     getNodeAtPosition(x, y, nodes) {
+        // Hidden nodes and nodes inside collapsed groups aren't drawn, so they can't be hit
+        const hidden = GroupNode.getHiddenNodeIds(nodes);
+        
         // First pass: check regular nodes (foreground layer) from top to bottom
         for (let i = nodes.length - 1; i >= 0; i--) {
             const node = nodes[i];
-            if (node.type !== 'container/group' && node.containsPoint(x, y)) {
+            if (node.type !== 'container/group' && !hidden.has(node.id) && node.containsPoint(x, y)) {
                 return node;
             }
         }
         
         // Second pass: check group nodes (background layer) from top to bottom
-        // Only allow selection via title bar area - no background selection
+        // Only allow selection via title bar area - no background selection.
+        // Nested groups are drawn over their parents, so the deepest hit wins.
+        let hit = null;
+        let hitDepth = -1;
         for (let i = nodes.length - 1; i >= 0; i--) {
             const node = nodes[i];
-            if (node.type === 'container/group') {
+            if (node.type === 'container/group' && !hidden.has(node.id)) {
                 // For group nodes, only check title bar and handle areas
+                let interactionType = null;
                 if (this.isGroupTitleBarArea(x, y, node)) {
-                    return { node, interactionType: 'titleBar' };
-                } else if (this.isGroupResizeHandleArea(x, y, node)) {
-                    return { node, interactionType: 'resizeHandle' };
+                    interactionType = 'titleBar';
+                } else if (!node.isLocked() && this.isGroupResizeHandleArea(x, y, node)) {
+                    interactionType = 'resizeHandle';
                 } else if (this.isGroupCollapseButtonArea(x, y, node)) {
-                    return { node, interactionType: 'collapseButton' };
+                    interactionType = 'collapseButton';
                 }
                 // Note: removed background interaction - groups only selectable via title bar
+                
+                if (interactionType) {
+                    const depth = node.getAncestorGroups().length;
+                    if (depth > hitDepth) {
+                        hit = { node, interactionType };
+                        hitDepth = depth;
+                    }
+                }
             }
         }
         
-        return null;
+        return hit;
     }
     
     /**
@@ -94,10 +111,12 @@ class HandleDetector {
     }
     
     getResizeHandle(x, y) {
+        if (!this.enabled) return null;
+        
         const selectedNodes = this.selection.getSelectedNodes();
         
         // Check multi-selection bounding box handle first
-        if (selectedNodes.length > 1) {
+        if (selectedNodes.length > 1 && this.canTransformAll(selectedNodes)) {
             const bbox = this.selection.getBoundingBox();
             if (bbox && this.isSelectionBoxHandle(x, y, bbox)) {
                 return { 
@@ -142,10 +161,12 @@ class HandleDetector {
     }
     
     getRotationHandle(x, y) {
+        if (!this.enabled) return null;
+        
         const selectedNodes = this.selection.getSelectedNodes();
         
         // Check multi-selection rotation handle first
-        if (selectedNodes.length > 1) {
+        if (selectedNodes.length > 1 && this.canTransformAll(selectedNodes)) {
             const bbox = this.selection.getBoundingBox();
             if (bbox && this.isSelectionRotationHandle(x, y, bbox)) {
                 return { 
@@ -171,6 +192,14 @@ class HandleDetector {
         return null;
     }
     
+    /**
+     * The selection box handles scale and rotate every selected node, so a
+     * single locked node disables them
+     */
+    canTransformAll(nodes) {
+        return nodes.every(node => !node.isLocked());
+    }
+    
     getUnselectedNodes(selectedNodes) {
         const selectedIds = new Set(selectedNodes.map(n => n.id));
         return this.viewport.canvas?.graph?.nodes?.filter(n => !selectedIds.has(n.id)) || [];
@@ -253,7 +282,10 @@ class HandleDetector {
     }
     
     shouldShowHandles(node) {
-        if (!node) return false;
+        if (!node || !this.enabled) return false;
+        if (node === this.cropNode) return false;
+        if (node.type === 'shape/connector') return false; // Endpoint handles instead
+        if (node.isLocked()) return false;
         
         const nodeWidth = node.size[0] * this.viewport.scale;
         const nodeHeight = node.size[1] * this.viewport.scale;
@@ -262,6 +294,77 @@ class HandleDetector {
                nodeHeight >= CONFIG.HANDLES.MIN_NODE_SIZE;
     }
     
+    /**
+     * Crop handles on the edges and corners of the node in crop mode
+     * @returns {Object|null} { type: 'crop', node, edge } with edge one of
+     *          'tl', 't', 'tr', 'r', 'br', 'b', 'bl', 'l'
+     */
+    getCropHandle(x, y) {
+        const node = this.cropNode;
+        if (!node || !this.enabled || !this.selection.isSelected(node)) return null;
+        
+        // Node-local coordinates with rotation undone
+        const [graphX, graphY] = this.viewport.convertOffsetToGraph(x, y);
+        const pos = this.getNodePosition(node);
+        const [w, h] = node.size;
+        let lx = graphX - pos[0] - w / 2;
+        let ly = graphY - pos[1] - h / 2;
+        if (node.rotation) {
+            const angle = -node.rotation * Math.PI / 180;
+            const cos = Math.cos(angle);
+            const sin = Math.sin(angle);
+            [lx, ly] = [lx * cos - ly * sin, lx * sin + ly * cos];
+        }
+        lx += w / 2;
+        ly += h / 2;
+        
+        const reach = CONFIG.HANDLES.SIZE / this.viewport.scale;
+        if (lx < -reach || lx > w + reach || ly < -reach || ly > h + reach) return null;
+        
+        const nearLeft = Math.abs(lx) <= reach;
+        const nearRight = Math.abs(lx - w) <= reach;
+        const nearTop = Math.abs(ly) <= reach;
+        const nearBottom = Math.abs(ly - h) <= reach;
+        
+        const vertical = nearTop ? 't' : nearBottom ? 'b' : '';
+        const horizontal = nearLeft ? 'l' : nearRight ? 'r' : '';
+        const edge = vertical + horizontal;
+        
+        return edge ? { type: 'crop', node, edge } : null;
+    }
+    
+    /**
+     * Resize cursor for a crop edge, turned with the node
+     */
+    getCropCursor(handle) {
+        const angles = { r: 0, br: 45, b: 90, bl: 135, l: 180, tl: 225, t: 270, tr: 315 };
+        const angle = angles[handle.edge] + (handle.node.rotation || 0);
+        const cursors = ['ew-resize', 'nwse-resize', 'ns-resize', 'nesw-resize'];
+        return cursors[((Math.round(angle / 45) % 4) + 4) % 4];
+    }
+    
+    /**
+     * Endpoint handles of selected connectors
+     * @returns {Object|null} { type: 'connector', node, end } with end 'start' or 'end'
+     */
+    getConnectorHandle(x, y) {
+        if (!this.enabled) return null;
+        
+        const [graphX, graphY] = this.viewport.convertOffsetToGraph(x, y);
+        const reach = CONFIG.HANDLES.SIZE / this.viewport.scale;
+        
+        for (const node of this.selection.getSelectedNodes()) {
+            if (node.type !== 'shape/connector' || !node._route) continue;
+            for (const end of ['end', 'start']) {
+                const [px, py] = node._route[end];
+                if (Utils.distance(graphX, graphY, px, py) <= reach) {
+                    return { type: 'connector', node, end };
+                }
+            }
+        }
+        return null;
+    }
+    
     getRotatedCorner(node, corner = 'br') {
         const angle = (node.rotation || 0) * Math.PI / 180;
         const cos = Math.cos(angle);
@@ -323,6 +426,15 @@ class HandleDetector {
     }
     
     getCursor(x, y) {
+        const cropHandle = this.getCropHandle(x, y);
+        if (cropHandle) {
+            return this.getCropCursor(cropHandle);
+        }
+        
+        if (this.getConnectorHandle(x, y)) {
+            return 'crosshair';
+        }
+        
         const handle = this.getHandleAtPosition(x, y);
         
         if (handle) {
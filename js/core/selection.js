@@ -79,8 +79,10 @@ class SelectionManager {
         
         // Store nodes in rect for processing
         const nodesInRect = new Set();
+        const hidden = GroupNode.getHiddenNodeIds(nodes);
         
         for (const node of nodes) {
+            if (hidden.has(node.id)) continue; // Hidden, or inside a collapsed group
             let intersects = false;
             
             if (node.type === 'container/group') {
@@ -0,0 +1,438 @@
+// ===================================
+// SNAPPING GUIDES
+// ===================================
+
+/**
+ * SnapManager - Live guides while moving and resizing nodes
+ *
+ * The moving selection is treated as one box (the union of the nodes'
+ * rotated bounding boxes). Its edges and center snap to the edges and centers
+ * of nearby nodes, to the content area of groups (inside their padding), and
+ * to equal gaps between neighbours. With grid snapping on, anything that
+ * didn't snap to a guide snaps to CONFIG.CANVAS.GRID_SIZE.
+ *
+ * Targets are collected once per interaction and dropped in end(), which
+ * ImageCanvas.finishInteractions calls on mouse up.
+ */
+class SnapManager {
+    constructor(canvas) {
+        this.canvas = canvas;
+        this.viewport = canvas.viewport;
+
+        this.targets = null; // { boxes, groups } of nodes that aren't moving
+        this.guides = []; // Alignment lines: { axis, value, start, end }
+        this.gaps = []; // Equal spacing hints: { axis, at, segments: [[start, end]] }
+    }
+
+    get threshold() {
+        // Screen pixels, so snapping feels the same at every zoom level
+        return CONFIG.SNAPPING.THRESHOLD / this.viewport.scale;
+    }
+
+    isGridSnapEnabled() {
+        return window.app?.userProfileSystem?.getPreference('snapToGrid', CONFIG.SNAPPING.SNAP_TO_GRID) ?? CONFIG.SNAPPING.SNAP_TO_GRID;
+    }
+
+    // ===================================
+    // TARGETS
+    // ===================================
+
+    /**
+     * Boxes of visible nodes that don't move with the selection. Children of a
+     * moving group move with it, and connectors follow their endpoints.
+     */
+    collectTargets(movingNodes) {
+        const moving = new Set();
+        const addMoving = (node) => {
+            if (moving.has(node.id)) return;
+            moving.add(node.id);
+            if (node.type === 'container/group') {
+                node.getChildNodes().forEach(addMoving);
+            }
+        };
+        movingNodes.forEach(addMoving);
+
+        const boxes = [];
+        const groups = [];
+        for (const node of this.viewport.getVisibleNodes(this.canvas.graph.nodes)) {
+            if (moving.has(node.id) || node.type === 'shape/connector' || node._isTemporary) continue;
+
+            const box = this.toBox(node.getBoundingBox());
+            boxes.push(box);
+
+            if (node.type === 'container/group' && !node.flags?.collapsed) {
+                groups.push({ box, content: this.getGroupContent(node) });
+            }
+        }
+
+        this.targets = { boxes, groups };
+    }
+
+    /**
+     * Area inside a group's padding, below its title bar
+     */
+    getGroupContent(group) {
+        const padding = group.padding;
+        return this.toBox([
+            group.pos[0] + padding,
+            group.pos[1] + group.titleBarHeight + padding,
+            group.size[0] - padding * 2,
+            group.size[1] - group.titleBarHeight - padding * 2
+        ]);
+    }
+
+    toBox([x, y, width, height]) {
+        return { left: x, top: y, right: x + width, bottom: y + height, width, height };
+    }
+
+    shiftBox(box, dx, dy) {
+        return this.toBox([box.left + dx, box.top + dy, box.width, box.height]);
+    }
+
+    /**
+     * Lines a box can snap to on one axis, with the extent to draw them over
+     * @param {string} axis - 'x' for vertical lines, 'y' for horizontal ones
+     */
+    getTargetLines(axis, movingBox) {
+        const [start, end, crossStart, crossEnd] = axis === 'x'
+            ? ['left', 'right', 'top', 'bottom']
+            : ['top', 'bottom', 'left', 'right'];
+        const lines = [];
+
+        for (const box of this.targets.boxes) {
+            const extent = [box[crossStart], box[crossEnd]];
+            lines.push(
+                { value: box[start], extent },
+                { value: (box[start] + box[end]) / 2, extent },
+                { value: box[end], extent }
+            );
+        }
+
+        // Group padding only matters for boxes over the group
+        for (const { box, content } of this.targets.groups) {
+            if (!this.overlaps(box, movingBox)) continue;
+            const extent = [content[crossStart], content[crossEnd]];
+            lines.push({ value: content[start], extent }, { value: content[end], extent });
+        }
+
+        return lines;
+    }
+
+    overlaps(a, b) {
+        return a.left < b.right && a.right > b.left && a.top < b.bottom && a.bottom > b.top;
+    }
+
+    getEdges(box, axis) {
+        return axis === 'x'
+            ? [box.left, (box.left + box.right) / 2, box.right]
+            : [box.top, (box.top + box.bottom) / 2, box.bottom];
+    }
+
+    // ===================================
+    // MOVING
+    // ===================================
+
+    /**
+     * Snap offset for the dragged selection
+     * @param {Array} nodes - Dragged nodes
+     * @param {Array} delta - How far the mouse would move them [dx, dy]
+     * @param {boolean} disabled - Snapping modifier held
+     * @returns {Array} Extra [dx, dy] to add to every dragged node
+     */
+    snapMove(nodes, delta, disabled) {
+        this.guides = [];
+        this.gaps = [];
+        if (disabled || nodes.length === 0) return [0, 0];
+
+        if (!this.targets) this.collectTargets(nodes);
+
+        const boxes = nodes.map(node => this.toBox(node.getBoundingBox()));
+        const current = this.toBox([
+            Math.min(...boxes.map(box => box.left)),
+            Math.min(...boxes.map(box => box.top)),
+            Math.max(...boxes.map(box => box.right)) - Math.min(...boxes.map(box => box.left)),
+            Math.max(...boxes.map(box => box.bottom)) - Math.min(...boxes.map(box => box.top))
+        ]);
+        const proposed = this.shiftBox(current, delta[0], delta[1]);
+
+        const snapX = this.findMoveSnap('x', proposed);
+        const snapY = this.findMoveSnap('y', proposed);
+        const snapped = this.shiftBox(proposed, snapX.offset, snapY.offset);
+
+        this.collectGuides('x', snapped);
+        this.collectGuides('y', snapped);
+        // Gap hints were placed for the unsnapped box - follow it across
+        if (snapX.gap) this.gaps.push({ ...snapX.gap, at: snapX.gap.at + snapY.offset });
+        if (snapY.gap) this.gaps.push({ ...snapY.gap, at: snapY.gap.at + snapX.offset });
+
+        return [snapX.offset, snapY.offset];
+    }
+
+    /**
+     * Closest alignment or equal-gap snap on one axis, grid as a fallback
+     * @returns {Object} { offset, gap }
+     */
+    findMoveSnap(axis, box) {
+        let best = { offset: 0, distance: this.threshold, gap: null };
+
+        const edges = this.getEdges(box, axis);
+        for (const line of this.getTargetLines(axis, box)) {
+            for (const edge of edges) {
+                const offset = line.value - edge;
+                if (Math.abs(offset) < best.distance) {
+                    best = { offset, distance: Math.abs(offset), gap: null };
+                }
+            }
+        }
+
+        for (const candidate of this.getGapCandidates(axis, box)) {
+            const distance = Math.abs(candidate.offset);
+            // Equal spacing wins ties - it is the more specific hint
+            if (distance < this.threshold && distance <= best.distance) {
+                best = { ...candidate, distance };
+            }
+        }
+
+        if (best.distance < this.threshold) return best;
+        if (!this.isGridSnapEnabled()) return { offset: 0, gap: null };
+
+        const gridSize = CONFIG.CANVAS.GRID_SIZE;
+        const start = axis === 'x' ? box.left : box.top;
+        return { offset: Math.round(start / gridSize) * gridSize - start, gap: null };
+    }
+
+    /**
+     * Positions where the box would sit at the same distance as its
+     * neighbours: centered between the nearest box on each side, or
+     * continuing the spacing of a row/column next to it
+     */
+    getGapCandidates(axis, box) {
+        const [start, end, crossStart, crossEnd] = axis === 'x'
+            ? ['left', 'right', 'top', 'bottom']
+            : ['top', 'bottom', 'left', 'right'];
+        const inLine = (a, b) => a[crossStart] < b[crossEnd] && a[crossEnd] > b[crossStart];
+
+        const neighbours = this.targets.boxes.filter(other => inLine(other, box));
+        const before = neighbours.filter(other => other[end] <= box[start] + this.threshold)
+            .sort((a, b) => b[end] - a[end]);
+        const after = neighbours.filter(other => other[start] >= box[end] - this.threshold)
+            .sort((a, b) => a[start] - b[start]);
+
+        const size = box[end] - box[start];
+        const crossAt = (a, b) => (Math.max(a[crossStart], b[crossStart]) + Math.min(a[crossEnd], b[crossEnd])) / 2;
+        const candidates = [];
+
+        const previous = before[0];
+        const next = after[0];
+
+        if (previous && next) {
+            const gap = (next[start] - previous[end] - size) / 2;
+            if (gap > 0) {
+                const position = previous[end] + gap;
+                candidates.push({
+                    offset: position - box[start],
+                    gap: {
+                        axis,
+                        at: crossAt(previous, box),
+                        segments: [[previous[end], position], [position + size, next[start]]]
+                    }
+                });
+            }
+        }
+
+        // Same gap as the previous pair in the row
+        if (previous) {
+            const beforePrevious = before.find(other => other[end] <= previous[start] && inLine(other, previous));
+            if (beforePrevious) {
+                const gap = previous[start] - beforePrevious[end];
+                const position = previous[end] + gap;
+                candidates.push({
+                    offset: position - box[start],
+                    gap: {
+                        axis,
+                        at: crossAt(previous, box),
+                        segments: [[beforePrevious[end], previous[start]], [previous[end], position]]
+                    }
+                });
+            }
+        }
+
+        if (next) {
+            const afterNext = after.find(other => other[start] >= next[end] && inLine(other, next));
+            if (afterNext) {
+                const gap = afterNext[start] - next[end];
+                const position = next[start] - gap - size;
+                candidates.push({
+                    offset: position - box[start],
+                    gap: {
+                        axis,
+                        at: crossAt(next, box),
+                        segments: [[position + size, next[start]], [next[end], afterNext[start]]]
+                    }
+                });
+            }
+        }
+
+        return candidates;
+    }
+
+    // ===================================
+    // RESIZING
+    // ===================================
+
+    /**
+     * Snap the corner being dragged by a resize handle
+     * @param {Array} point - Graph position of the corner [x, y]
+     * @param {Array} nodes - Nodes being resized
+     * @param {number|null} aspect - width / height when the aspect ratio is locked
+     * @param {Array} anchor - The opposite, fixed corner [x, y]
+     * @param {boolean} disabled - Snapping modifier held
+     * @returns {Array} Snapped [x, y]
+     */
+    snapResize(point, nodes, aspect, anchor, disabled) {
+        this.guides = [];
+        this.gaps = [];
+        if (disabled) return point;
+
+        if (!this.targets) this.collectTargets(nodes);
+
+        const box = this.toBox([anchor[0], anchor[1], point[0] - anchor[0], point[1] - anchor[1]]);
+        const snap = (axis, value) => {
+            let best = { value, distance: this.threshold };
+            for (const line of this.getTargetLines(axis, box)) {
+                const distance = Math.abs(line.value - value);
+                if (distance < best.distance) best = { value: line.value, distance };
+            }
+            if (best.distance < this.threshold || !this.isGridSnapEnabled()) return best;
+
+            const gridSize = CONFIG.CANVAS.GRID_SIZE;
+            return { value: Math.round(value / gridSize) * gridSize, distance: this.threshold };
+        };
+
+        const x = snap('x', point[0]);
+        const y = snap('y', point[1]);
+        let snapped;
+
+        if (!aspect) {
+            snapped = [x.value, y.value];
+        } else if (y.distance < x.distance) {
+            // Height decides, width follows the locked ratio
+            snapped = [anchor[0] + (y.value - anchor[1]) * aspect, y.value];
+        } else {
+            snapped = [x.value, anchor[1] + (x.value - anchor[0]) / aspect];
+        }
+
+        const result = this.toBox([anchor[0], anchor[1], snapped[0] - anchor[0], snapped[1] - anchor[1]]);
+        this.collectGuides('x', result, [result.right]);
+        this.collectGuides('y', result, [result.bottom]);
+
+        return snapped;
+    }
+
+    // ===================================
+    // GUIDES
+    // ===================================
+
+    /**
+     * Every target line the box's edges now sit on
+     */
+    collectGuides(axis, box, edges = this.getEdges(box, axis)) {
+        const [crossStart, crossEnd] = axis === 'x' ? ['top', 'bottom'] : ['left', 'right'];
+        const tolerance = 0.5 / this.viewport.scale;
+
+        for (const edge of edges) {
+            let guide = null;
+            for (const line of this.getTargetLines(axis, box)) {
+                if (Math.abs(line.value - edge) > tolerance) continue;
+                guide = guide || { axis, value: edge, start: box[crossStart], end: box[crossEnd] };
+                guide.start = Math.min(guide.start, line.extent[0]);
+                guide.end = Math.max(guide.end, line.extent[1]);
+            }
+            if (guide) this.guides.push(guide);
+        }
+    }
+
+    hasGuides() {
+        return this.guides.length > 0 || this.gaps.length > 0;
+    }
+
+    end() {
+        this.targets = null;
+        this.guides = [];
+        this.gaps = [];
+    }
+
+    // ===================================
+    // DRAWING
+    // ===================================
+
+    drawOverlays(ctx) {
+        if (!this.hasGuides()) return;
+
+        ctx.save();
+        ctx.setTransform(this.viewport.dpr, 0, 0, this.viewport.dpr, 0, 0);
+        ctx.strokeStyle = CONFIG.SNAPPING.GUIDE_COLOR;
+        ctx.fillStyle = CONFIG.SNAPPING.GUIDE_COLOR;
+        ctx.lineWidth = 1;
+
+        for (const guide of this.guides) {
+            const [x0, y0] = this.toScreen(guide.axis, guide.value, guide.start);
+            const [x1, y1] = this.toScreen(guide.axis, guide.value, guide.end);
+            ctx.beginPath();
+            ctx.moveTo(Math.round(x0) + 0.5, Math.round(y0) + 0.5);
+            ctx.lineTo(Math.round(x1) + 0.5, Math.round(y1) + 0.5);
+            ctx.stroke();
+        }
+
+        // Gap hints: a bracket across each equal gap, labelled with its size
+        ctx.font = `11px ${window.FONT_CONFIG?.APP_FONT || 'Arial'}`;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        const tick = 4;
+
+        for (const gap of this.gaps) {
+            for (const [start, end] of gap.segments) {
+                const [x0, y0] = this.toScreen(gap.axis, start, gap.at);
+                const [x1, y1] = this.toScreen(gap.axis, end, gap.at);
+                ctx.beginPath();
+                ctx.moveTo(x0, y0);
+                ctx.lineTo(x1, y1);
+                if (gap.axis === 'x') {
+                    ctx.moveTo(x0, y0 - tick);
+                    ctx.lineTo(x0, y0 + tick);
+                    ctx.moveTo(x1, y1 - tick);
+                    ctx.lineTo(x1, y1 + tick);
+                } else {
+                    ctx.moveTo(x0 - tick, y0);
+                    ctx.lineTo(x0 + tick, y0);
+                    ctx.moveTo(x1 - tick, y1);
+                    ctx.lineTo(x1 + tick, y1);
+                }
+                ctx.stroke();
+
+                const label = String(Math.round(end - start));
+                const [lx, ly] = gap.axis === 'x'
+                    ? [(x0 + x1) / 2, y0 - 10]
+                    : [x0 + 14, (y0 + y1) / 2];
+                ctx.fillText(label, lx, ly);
+            }
+        }
+
+        ctx.restore();
+    }
+
+    /**
+     * Screen position of a point on a guide - value along the snapped axis,
+     * cross along the other one
+     */
+    toScreen(axis, value, cross) {
+        return axis === 'x'
+            ? this.viewport.convertGraphToOffset(value, cross)
+            : this.viewport.convertGraphToOffset(cross, value);
+    }
+}
+
+// Make SnapManager available globally
+if (typeof window !== 'undefined') {
+    window.SnapManager = SnapManager;
+}
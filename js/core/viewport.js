@@ -340,7 +340,12 @@ class ViewportManager {
         const vw = viewport.width + margin * 2;
         const vh = viewport.height + margin * 2;
         
+        // Hidden nodes and the contents of collapsed groups are never drawn
+        const hidden = GroupNode.getHiddenNodeIds(nodes);
+        
         return nodes.filter(node => {
+            if (hidden.has(node.id)) return false;
+            
             // Fast path for non-rotated nodes (most common case)
             if (!node.rotation || node.rotation === 0) {
                 const pos = this.getNodePosition(node);
@@ -10,8 +10,11 @@ class DragDropManager {
         this.acceptedTypes = new Set([
             'image/jpeg', 'image/jpg', 'image/png', 'image/webp', 'image/bmp',
             'video/mp4', 'video/webm', 'video/ogg', 'video/quicktime',
-            'image/gif' // Treat GIF as video
+            'image/gif', 'image/apng', // Animated ones become videos, see isVideoFile
+            // HEIC, TIFF, SVG, PSD and RAW - converted by the server on upload
+            ...Object.keys(ImageFormats.MIME_FORMATS).filter(type => type.startsWith('image/'))
         ]);
+        this.enabled = true; // Turned off for viewers by CanvasPermissions
         
         this.setupEventListeners();
     }
@@ -36,6 +39,7 @@ class DragDropManager {
     
     onDragEnter(e) {
         this.preventDefaults(e);
+        if (!this.enabled) return;
         
         // Check if we have valid files
         if (this.hasValidFiles(e.dataTransfer)) {
@@ -46,6 +50,11 @@ class DragDropManager {
     onDragOver(e) {
         this.preventDefaults(e);
         
+        if (!this.enabled) {
+            e.dataTransfer.dropEffect = 'none';
+            return;
+        }
+        
         // Set the drop effect
         if (this.hasValidFiles(e.dataTransfer)) {
             e.dataTransfer.dropEffect = 'copy';
@@ -65,9 +74,12 @@ class DragDropManager {
         this.preventDefaults(e);
         this.hideDropIndicator();
         
-        const files = Array.from(e.dataTransfer.files).filter(file => 
-            this.acceptedTypes.has(file.type)
-        );
+        if (!this.enabled) {
+            window.app?.canvasPermissions?.notifyReadOnly();
+            return;
+        }
+        
+        const files = this.filterAcceptedFiles(e.dataTransfer.files);
         
         if (files.length === 0) {
             window.unifiedNotifications?.error('No supported image or video files found');
@@ -90,13 +102,24 @@ class DragDropManager {
         if (!dataTransfer.items) return false;
         
         for (let item of dataTransfer.items) {
-            if (item.kind === 'file' && this.acceptedTypes.has(item.type)) {
+            // RAW and PSD files have no type until their name is known on drop
+            if (item.kind === 'file' && (this.acceptedTypes.has(item.type) || item.type === '')) {
                 return true;
             }
         }
         return false;
     }
     
+    /**
+     * Supported files from a drop or paste. Files the browser didn't type
+     * (RAW, PSD) are given their type from the extension first.
+     */
+    filterAcceptedFiles(files) {
+        return Array.from(files)
+            .map(file => ImageFormats.normalize(file))
+            .filter(file => this.acceptedTypes.has(file.type));
+    }
+    
     showDropIndicator() {
         // Add visual feedback
         this.canvas.style.backgroundColor = 'rgba(0, 150, 255, 0.1)';
@@ -127,8 +150,9 @@ class DragDropManager {
         const imageFiles = [];
         const videoFiles = [];
         
+        await Promise.all(files.map(file => AnimatedImage.isAnimated(file)));
         files.forEach(file => {
-            if (file.type.startsWith('video/') || file.type === 'image/gif') {
+            if (this.isVideoFile(file)) {
                 videoFiles.push(file);
             } else {
                 imageFiles.push(file);
@@ -198,7 +222,7 @@ class DragDropManager {
         
         // Show progress only for images
         let progressId = null;
-        const imageCount = files.filter(f => !f.type.startsWith('video/') && f.type !== 'image/gif').length;
+        const imageCount = files.filter(f => !this.isVideoFile(f)).length;
         if (window.unifiedNotifications && imageCount > 0) {
             progressId = window.unifiedNotifications.show({
                 type: 'info',
@@ -353,7 +377,7 @@ class DragDropManager {
                     height: previewData.height,
                     aspectRatio: previewData.aspectRatio,
                     previewUrl: previewData.url,
-                    isVideo: previewData.isVideo || file.type.startsWith('video/')
+                    isVideo: previewData.isVideo || this.isVideoFile(file)
                 });
             }
         });
@@ -388,11 +412,14 @@ class DragDropManager {
                     isPreview: true // Mark as preview to prevent heavy processing
                 };
                 
-                // For video nodes, create a blob URL for immediate playback
+                // For video nodes, create a blob URL for immediate playback.
+                // Animated images can't play in a <video> until the server has transcoded them.
                 if (nodeType === 'media/video') {
-                    const blobUrl = URL.createObjectURL(fileInfo.file);
-                    node._tempBlobUrl = blobUrl;
-                    node.properties.tempVideoUrl = blobUrl;
+                    if (!AnimatedImage.isKnownAnimated(fileInfo.file)) {
+                        const blobUrl = URL.createObjectURL(fileInfo.file);
+                        node._tempBlobUrl = blobUrl;
+                        node.properties.tempVideoUrl = blobUrl;
+                    }
                     
                     // Don't set the video yet - wait for hash calculation
                     // This prevents the "No video source available" error
@@ -510,6 +537,7 @@ class DragDropManager {
                     // Cache the file data immediately for upload coordinator
                     // This prevents "No cached data URL found" errors
                     if (window.app?.imageResourceCache && !file.type.startsWith('video/')) {
+                        const serverDecoded = ImageFormats.needsServerDecode(file);
                         console.log(`📦 Caching data for upload: ${hash.substring(0, 8)}...`);
                         const reader = new FileReader();
                         const dataUrl = await new Promise((resolve, reject) => {
@@ -525,7 +553,8 @@ class DragDropManager {
                         });
                         console.log(`✅ Data cached in imageResourceCache for ${hash.substring(0, 8)}...`);
                         
-                        if (window.imageCache) {
+                        // The renderer can't decode these - they show the server's copy
+                        if (window.imageCache && !serverDecoded) {
                             window.imageCache.set(hash, dataUrl);
                             console.log(`✅ Data also cached in imageCache for ${hash.substring(0, 8)}...`);
                         }
@@ -606,9 +635,10 @@ class DragDropManager {
                     const reader = new FileReader();
                     reader.onload = () => {
                         const dataUrl = reader.result;
+                        const serverDecoded = ImageFormats.needsServerDecode(file);
                         
                         // Cache the data - ALWAYS cache for uploads later
-                        if (window.imageCache) {
+                        if (window.imageCache && !serverDecoded) {
                             window.imageCache.set(hash, dataUrl);
                         }
                         // CRITICAL: Always cache in imageResourceCache for upload coordinator
@@ -623,8 +653,11 @@ class DragDropManager {
                         // Update node
                         node.properties.isPreview = false;
                         
-                        // For small batches or visible nodes, load immediately
-                        if (loadFullImages || node._isNodeVisible?.()) {
+                        if (serverDecoded) {
+                            // ImageUploadCompleteCommand loads the converted copy once the upload is done
+                            node.loadingState = 'loading';
+                        } else if (loadFullImages || node._isNodeVisible?.()) {
+                            // For small batches or visible nodes, load immediately
                             // Set image (will trigger loading)
                             node.setImage(null, file.name, hash);
                         } else {
@@ -908,7 +941,7 @@ class DragDropManager {
                         height,
                         aspectRatio: width / height,
                         preview,
-                        isVideo: file.type.startsWith('video/') || file.type === 'image/gif'
+                        isVideo: this.isVideoFile(file)
                     };
                 } catch (error) {
                     console.error(`❌ Failed to analyze ${file.name}:`, error);
@@ -919,7 +952,7 @@ class DragDropManager {
                         height: 200,
                         aspectRatio: 1,
                         preview: null,
-                        isVideo: file.type.startsWith('video/') || file.type === 'image/gif'
+                        isVideo: this.isVideoFile(file)
                     };
                 }
             });
@@ -1423,6 +1456,30 @@ class DragDropManager {
     /**
      * Start video processing pipeline with purple notifications
      */
+    /**
+     * Animated GIF/WebP/APNG files play as videos once the server has transcoded
+     * them (AnimatedImage decides which ones, before the image/video split)
+     */
+    isVideoFile(file) {
+        return file.type.startsWith('video/') || AnimatedImage.isKnownAnimated(file);
+    }
+    
+    /**
+     * Keep the uploaded animated image as the node's original, for download
+     * and export; the node itself plays the transcoded video
+     */
+    applyAnimatedOriginal(node, result) {
+        if (!result.original || !window.app?.operationPipeline) return;
+        
+        window.app.operationPipeline.execute('node_property_update', {
+            nodeId: node.id,
+            property: 'original',
+            value: result.original
+        }).catch(error => {
+            console.error(`❌ Failed to store the original of ${result.filename}:`, error);
+        });
+    }
+    
     async startVideoProcessingPipeline(videoFiles, videoNodes) {
         console.log(`🎬 Starting video processing pipeline for ${videoFiles.length} videos`);
         
@@ -1540,24 +1597,34 @@ class DragDropManager {
                         console.log(`✅ Video node ${node.id} synced to server with hash ${hash.substring(0, 8)}...`);
                     }
                     
-                    // Create blob URL from file for video playback
-                    const blobUrl = URL.createObjectURL(file);
-                    
-                    // Store blob URL in cache for immediate playback
-                    if (window.imageCache) {
-                        window.imageCache.set(hash, blobUrl);
+                    if (AnimatedImage.isKnownAnimated(file)) {
+                        // Nothing a <video> can play until the server's WebM arrives
+                        // (VideoProcessingListener -> updateVideoSource)
+                        delete node.properties.pendingVideoInit;
+                        node.properties.filename = file.name;
+                        node.title = node.title || file.name;
+                        node.loadingState = 'loading';
+                        node.properties.pendingServerUrlUpdate = true;
+                    } else {
+                        // Create blob URL from file for video playback
+                        const blobUrl = URL.createObjectURL(file);
+                        
+                        // Store blob URL in cache for immediate playback
+                        if (window.imageCache) {
+                            window.imageCache.set(hash, blobUrl);
+                        }
+                        
+                        // Clear the pending init flag
+                        delete node.properties.pendingVideoInit;
+                        
+                        // Set video immediately with blob URL for instant playback
+                        await node.setVideo(blobUrl, file.name, hash);
+                        
+                        // Mark that we need to update to server URL after upload
+                        node.properties.pendingServerUrlUpdate = true;
+                        node._tempBlobUrl = blobUrl;
                     }
                     
-                    // Clear the pending init flag
-                    delete node.properties.pendingVideoInit;
-                    
-                    // Set video immediately with blob URL for instant playback
-                    await node.setVideo(blobUrl, file.name, hash);
-                    
-                    // Mark that we need to update to server URL after upload
-                    node.properties.pendingServerUrlUpdate = true;
-                    node._tempBlobUrl = blobUrl;
-                    
                     // Store the video preview as thumbnail now that we have a hash
                     if (node._pendingVideoPreview && window.thumbnailCache) {
                         const img = new Image();
@@ -1674,6 +1741,7 @@ class DragDropManager {
                     if (node && result) {
                         node.properties.serverUrl = result.url;
                         node.properties.serverFilename = result.filename;
+                        this.applyAnimatedOriginal(node, result);
                         
                         // Don't update video source yet - wait for transcoding to complete
                         // The blob URL will continue playing during upload and transcoding
@@ -1726,6 +1794,7 @@ class DragDropManager {
                             if (node && result) {
                                 node.properties.serverUrl = result.url;
                                 node.properties.serverFilename = result.filename;
+                                this.applyAnimatedOriginal(node, result);
                                 
                                 // Don't update video source yet - wait for transcoding
                                 console.log(`📤 Upload retry successful for ${file.name}, continuing with blob URL during transcoding`);
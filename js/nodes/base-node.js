@@ -200,7 +200,21 @@ class BaseNode {
         // Fall back to node type as last resort
         return this.type || 'Node';
     }
-    
+
+    /**
+     * Locked nodes can be selected but not moved, resized or rotated
+     */
+    isLocked() {
+        return !!this.properties?.locked;
+    }
+
+    /**
+     * Hidden nodes aren't drawn, hit-tested or shown in the gallery
+     */
+    isHidden() {
+        return !!this.properties?.hidden;
+    }
+
     drawTitle(ctx) {
         // Default implementation draws title inside the node
         // Override in subclasses for custom behavior
@@ -0,0 +1,645 @@
+// ===================================
+// CONNECTOR NODE CLASS
+// ===================================
+
+/**
+ * ConnectorNode - Arrow between two nodes (or free points)
+ *
+ * Endpoints live in properties.start / properties.end:
+ *   { nodeId, anchor: 'auto'|'top'|'right'|'bottom'|'left'|'center', point: [x, y] }
+ * A bound endpoint follows its node through move, resize, rotate and the
+ * alignment animations. point is where a free endpoint sits, and where a
+ * bound one falls back to if its node is missing.
+ *
+ * pos/size are derived from the route every frame (see ImageCanvas.draw), so
+ * connectors are never dragged, resized or aligned themselves.
+ */
+class ConnectorNode extends BaseNode {
+    static ANCHORS = ['auto', 'top', 'right', 'bottom', 'left', 'center'];
+    static ROUTINGS = ['straight', 'curved', 'elbow'];
+    static HEADS = ['none', 'triangle', 'open', 'circle', 'diamond'];
+
+    // Properties the inspector edits directly
+    static STYLE_PROPERTIES = ['label', 'routing', 'startHead', 'endHead', 'color', 'strokeWidth', 'dashed'];
+
+    // Anchor offsets as fractions of the node size, and the direction the line leaves in
+    static ANCHOR_OFFSETS = {
+        top: [0, -0.5],
+        right: [0.5, 0],
+        bottom: [0, 0.5],
+        left: [-0.5, 0],
+        center: [0, 0]
+    };
+
+    static CURVE_SAMPLES = 24;
+    static ELBOW_STUB = 20;
+    static LABEL_FONT_SIZE = 13;
+
+    constructor() {
+        super('shape/connector');
+        this.title = 'Connector';
+
+        this.properties = {
+            start: { nodeId: null, anchor: 'auto', point: [0, 0] },
+            end: { nodeId: null, anchor: 'auto', point: [160, 0] },
+            routing: 'curved',
+            startHead: 'none',
+            endHead: 'triangle',
+            color: '#e0e0e0',
+            strokeWidth: 2,
+            dashed: false,
+            label: ''
+        };
+
+        this.flags = {
+            hide_title: true,
+            no_collapse: true
+        };
+
+        this.size = [160, 1];
+        this._route = null;
+        this._endpointPreview = null; // { end, endpoint } while an endpoint handle is dragged
+    }
+
+    // Size follows the route - no minimum like other nodes
+    validateSize() {
+        if (!Utils.isValidArray(this.size, 2)) {
+            this.size = [1, 1];
+        }
+    }
+
+    validateRotation() {
+        this.rotation = 0;
+    }
+
+    // ===================================
+    // ENDPOINTS
+    // ===================================
+
+    static createEndpoint(nodeId = null, point = [0, 0], anchor = 'auto') {
+        return { nodeId, anchor, point: [...point] };
+    }
+
+    static isConnector(node) {
+        return node?.type === 'shape/connector';
+    }
+
+    getEndpoint(end) {
+        if (this._endpointPreview?.end === end) {
+            return this._endpointPreview.endpoint;
+        }
+        return this.properties[end];
+    }
+
+    getBoundNode(graph, endpoint) {
+        if (endpoint?.nodeId == null || !graph) return null;
+        const node = graph.getNodeById(endpoint.nodeId);
+        if (!node || node === this || ConnectorNode.isConnector(node)) return null;
+        return node;
+    }
+
+    /**
+     * Where a node is drawn right now, including alignment animations
+     * @returns {Object} { cx, cy, w, h, rotation }
+     */
+    static getFrame(node) {
+        const pos = node._gridAnimPos || node._animPos || node.pos;
+        const size = node._gridAnimSize || node._animSize || node.size;
+        return {
+            cx: pos[0] + size[0] / 2,
+            cy: pos[1] + size[1] / 2,
+            w: size[0],
+            h: size[1],
+            rotation: node.rotation || 0
+        };
+    }
+
+    static rotate(x, y, degrees) {
+        if (!degrees) return [x, y];
+        const rad = degrees * Math.PI / 180;
+        const cos = Math.cos(rad);
+        const sin = Math.sin(rad);
+        return [x * cos - y * sin, x * sin + y * cos];
+    }
+
+    /**
+     * The side of a node that faces a point, allowing for its aspect and rotation
+     */
+    static pickAnchor(frame, toward) {
+        const [dx, dy] = this.rotate(toward[0] - frame.cx, toward[1] - frame.cy, -frame.rotation);
+        if (Math.abs(dx) / frame.w >= Math.abs(dy) / frame.h) {
+            return dx >= 0 ? 'right' : 'left';
+        }
+        return dy >= 0 ? 'bottom' : 'top';
+    }
+
+    /**
+     * Graph position of an anchor and the direction the line leaves it in
+     * @returns {Object} { point, normal } normal is null for 'center'
+     */
+    static getAnchorPoint(frame, anchor) {
+        const [fx, fy] = this.ANCHOR_OFFSETS[anchor] || this.ANCHOR_OFFSETS.center;
+        const [ox, oy] = this.rotate(fx * frame.w, fy * frame.h, frame.rotation);
+        const normal = anchor === 'center' ? null : this.rotate(Math.sign(fx), Math.sign(fy), frame.rotation);
+        return { point: [frame.cx + ox, frame.cy + oy], normal };
+    }
+
+    /**
+     * Anchor for a point dropped on a node - a side when close to its
+     * midpoint, otherwise 'auto'
+     * @param {number} reach - Snap distance in graph units
+     */
+    static getAnchorAt(node, x, y, reach) {
+        const frame = this.getFrame(node);
+        for (const anchor of ['top', 'right', 'bottom', 'left', 'center']) {
+            const { point } = this.getAnchorPoint(frame, anchor);
+            if (Math.hypot(x - point[0], y - point[1]) <= reach) return anchor;
+        }
+        return 'auto';
+    }
+
+    /**
+     * Resolve an endpoint to a graph point
+     * @param {Array} toward - Where the other end is, for 'auto' anchors
+     * @returns {Object} { point, normal }
+     */
+    resolveEndpoint(graph, endpoint, toward) {
+        const node = this.getBoundNode(graph, endpoint);
+        if (!node) {
+            const point = Array.isArray(endpoint?.point) ? endpoint.point : [0, 0];
+            return { point: [...point], normal: null };
+        }
+
+        const frame = ConnectorNode.getFrame(node);
+        const anchor = endpoint.anchor && endpoint.anchor !== 'auto'
+            ? endpoint.anchor
+            : ConnectorNode.pickAnchor(frame, toward);
+        return ConnectorNode.getAnchorPoint(frame, anchor);
+    }
+
+    getReferencePoint(graph, endpoint) {
+        const node = this.getBoundNode(graph, endpoint);
+        if (node) {
+            const frame = ConnectorNode.getFrame(node);
+            return [frame.cx, frame.cy];
+        }
+        return Array.isArray(endpoint?.point) ? endpoint.point : [0, 0];
+    }
+
+    // ===================================
+    // ROUTING
+    // ===================================
+
+    /**
+     * Recompute the path from the current endpoint positions and fit
+     * pos/size around it. Cheap enough to run every frame.
+     */
+    updateRoute(graph = this.graph) {
+        const start = this.getEndpoint('start');
+        const end = this.getEndpoint('end');
+
+        const startRef = this.getReferencePoint(graph, start);
+        const endRef = this.getReferencePoint(graph, end);
+        const a = this.resolveEndpoint(graph, start, endRef);
+        const b = this.resolveEndpoint(graph, end, startRef);
+
+        let points;
+        switch (this.properties.routing) {
+            case 'straight':
+                points = [a.point, b.point];
+                break;
+            case 'elbow':
+                points = ConnectorNode.routeElbow(a, b);
+                break;
+            case 'curved':
+            default:
+                points = ConnectorNode.routeCurved(a, b);
+                break;
+        }
+
+        const label = this.properties.label ? this.getLabelRect(points) : null;
+        const headSize = this.getHeadSize();
+        const pad = headSize + (this.properties.strokeWidth || 2);
+
+        let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+        for (const [x, y] of points) {
+            minX = Math.min(minX, x);
+            minY = Math.min(minY, y);
+            maxX = Math.max(maxX, x);
+            maxY = Math.max(maxY, y);
+        }
+        minX -= pad; minY -= pad; maxX += pad; maxY += pad;
+        if (label) {
+            minX = Math.min(minX, label.x);
+            minY = Math.min(minY, label.y);
+            maxX = Math.max(maxX, label.x + label.width);
+            maxY = Math.max(maxY, label.y + label.height);
+        }
+
+        // In place - other code keeps references to pos/size
+        this.pos[0] = minX;
+        this.pos[1] = minY;
+        this.size[0] = Math.max(1, maxX - minX);
+        this.size[1] = Math.max(1, maxY - minY);
+        this.rotation = 0;
+
+        this._route = { points, start: a.point, end: b.point, label };
+        return this._route;
+    }
+
+    static unit(dx, dy) {
+        const length = Math.hypot(dx, dy);
+        return length > 0 ? [dx / length, dy / length] : [1, 0];
+    }
+
+    static routeCurved(a, b) {
+        const distance = Math.hypot(b.point[0] - a.point[0], b.point[1] - a.point[1]);
+        const reach = Math.max(40, distance * 0.4);
+        const na = a.normal || this.unit(b.point[0] - a.point[0], b.point[1] - a.point[1]);
+        const nb = b.normal || this.unit(a.point[0] - b.point[0], a.point[1] - b.point[1]);
+
+        const p0 = a.point;
+        const p1 = [p0[0] + na[0] * reach, p0[1] + na[1] * reach];
+        const p3 = b.point;
+        const p2 = [p3[0] + nb[0] * reach, p3[1] + nb[1] * reach];
+
+        const points = [];
+        for (let i = 0; i <= this.CURVE_SAMPLES; i++) {
+            const t = i / this.CURVE_SAMPLES;
+            const mt = 1 - t;
+            const w0 = mt * mt * mt, w1 = 3 * mt * mt * t, w2 = 3 * mt * t * t, w3 = t * t * t;
+            points.push([
+                w0 * p0[0] + w1 * p1[0] + w2 * p2[0] + w3 * p3[0],
+                w0 * p0[1] + w1 * p1[1] + w2 * p2[1] + w3 * p3[1]
+            ]);
+        }
+        return points;
+    }
+
+    /**
+     * Orthogonal route: a short stub out of each anchor, then horizontal and
+     * vertical runs between the stubs
+     */
+    static routeElbow(a, b) {
+        const axisToward = (from, to) => {
+            const dx = to[0] - from[0];
+            const dy = to[1] - from[1];
+            if (Math.abs(dx) >= Math.abs(dy)) return [dx >= 0 ? 1 : -1, 0];
+            return [0, dy >= 0 ? 1 : -1];
+        };
+        const na = a.normal || axisToward(a.point, b.point);
+        const nb = b.normal || axisToward(b.point, a.point);
+
+        const p1 = [a.point[0] + na[0] * this.ELBOW_STUB, a.point[1] + na[1] * this.ELBOW_STUB];
+        const p2 = [b.point[0] + nb[0] * this.ELBOW_STUB, b.point[1] + nb[1] * this.ELBOW_STUB];
+        const startHorizontal = Math.abs(na[0]) >= Math.abs(na[1]);
+        const endHorizontal = Math.abs(nb[0]) >= Math.abs(nb[1]);
+
+        const points = [a.point, p1];
+        if (startHorizontal && endHorizontal) {
+            const midX = (p1[0] + p2[0]) / 2;
+            points.push([midX, p1[1]], [midX, p2[1]]);
+        } else if (!startHorizontal && !endHorizontal) {
+            const midY = (p1[1] + p2[1]) / 2;
+            points.push([p1[0], midY], [p2[0], midY]);
+        } else if (startHorizontal) {
+            points.push([p2[0], p1[1]]);
+        } else {
+            points.push([p1[0], p2[1]]);
+        }
+        points.push(p2, b.point);
+
+        // Drop corners that collapsed onto their neighbour
+        return points.filter((point, i) => i === 0 ||
+            Math.abs(point[0] - points[i - 1][0]) > 0.01 || Math.abs(point[1] - points[i - 1][1]) > 0.01);
+    }
+
+    /**
+     * Point halfway along the path by length
+     */
+    static getMidpoint(points) {
+        let total = 0;
+        for (let i = 1; i < points.length; i++) {
+            total += Math.hypot(points[i][0] - points[i - 1][0], points[i][1] - points[i - 1][1]);
+        }
+
+        let remaining = total / 2;
+        for (let i = 1; i < points.length; i++) {
+            const [x0, y0] = points[i - 1];
+            const [x1, y1] = points[i];
+            const length = Math.hypot(x1 - x0, y1 - y0);
+            if (length >= remaining && length > 0) {
+                const t = remaining / length;
+                return [x0 + (x1 - x0) * t, y0 + (y1 - y0) * t];
+            }
+            remaining -= length;
+        }
+        return points[0];
+    }
+
+    /**
+     * Shorten the path by a length at each end, so thick lines don't poke
+     * out of the tips of filled arrowheads
+     */
+    static trimPath(points, fromStart, fromEnd) {
+        const trimmed = points.map(point => [...point]);
+
+        const trim = (list, amount) => {
+            while (amount > 0 && list.length > 1) {
+                const [x0, y0] = list[0];
+                const [x1, y1] = list[1];
+                const length = Math.hypot(x1 - x0, y1 - y0);
+                if (length > amount) {
+                    const t = amount / length;
+                    list[0] = [x0 + (x1 - x0) * t, y0 + (y1 - y0) * t];
+                    return;
+                }
+                list.shift();
+                amount -= length;
+            }
+        };
+
+        trim(trimmed, fromStart);
+        trimmed.reverse();
+        trim(trimmed, fromEnd);
+        return trimmed.reverse();
+    }
+
+    /**
+     * Direction the path arrives at one of its ends, pointing outwards
+     */
+    static getEndDirection(points, atStart) {
+        const ordered = atStart ? [...points].reverse() : points;
+        const tip = ordered[ordered.length - 1];
+        for (let i = ordered.length - 2; i >= 0; i--) {
+            const dx = tip[0] - ordered[i][0];
+            const dy = tip[1] - ordered[i][1];
+            if (Math.hypot(dx, dy) > 0.5) return this.unit(dx, dy);
+        }
+        return atStart ? [-1, 0] : [1, 0];
+    }
+
+    getHeadSize() {
+        return 6 + (this.properties.strokeWidth || 2) * 2.5;
+    }
+
+    // ===================================
+    // LABEL
+    // ===================================
+
+    static measureText(text, font) {
+        if (typeof document === 'undefined') return text.length * this.LABEL_FONT_SIZE * 0.6;
+        if (!this._measureContext) {
+            this._measureContext = document.createElement('canvas').getContext('2d');
+        }
+        this._measureContext.font = font;
+        return this._measureContext.measureText(text).width;
+    }
+
+    getLabelFont() {
+        return `${ConnectorNode.LABEL_FONT_SIZE}px ${window.FONT_CONFIG?.APP_FONT_CANVAS || 'Univers, sans-serif'}`;
+    }
+
+    /**
+     * Label pill centered on the middle of the path, in graph coordinates
+     */
+    getLabelRect(points) {
+        const [cx, cy] = ConnectorNode.getMidpoint(points);
+        const padding = 6;
+        const width = ConnectorNode.measureText(this.properties.label, this.getLabelFont()) + padding * 2;
+        const height = ConnectorNode.LABEL_FONT_SIZE + padding * 2;
+        return { x: cx - width / 2, y: cy - height / 2, width, height };
+    }
+
+    // ===================================
+    // DRAWING
+    // ===================================
+
+    onDrawForeground(ctx) {
+        const route = this._route || this.updateRoute();
+        if (!route) return;
+
+        const { color, strokeWidth, dashed, startHead, endHead, label } = this.properties;
+        const lineWidth = strokeWidth || 2;
+        const headSize = this.getHeadSize();
+        const [ox, oy] = this.pos;
+
+        // Filled heads cover the end of the line - stop the stroke at their base
+        const inset = (head) => ['triangle', 'diamond'].includes(head) ? headSize * 0.8 : 0;
+        const path = ConnectorNode.trimPath(route.points, inset(startHead), inset(endHead));
+
+        ctx.save();
+        ctx.strokeStyle = color;
+        ctx.fillStyle = color;
+        ctx.lineWidth = lineWidth;
+        ctx.lineCap = 'round';
+        ctx.lineJoin = 'round';
+
+        if (path.length > 1) {
+            if (dashed) ctx.setLineDash([lineWidth * 4, lineWidth * 3]);
+            ctx.beginPath();
+            ctx.moveTo(path[0][0] - ox, path[0][1] - oy);
+            for (let i = 1; i < path.length; i++) {
+                ctx.lineTo(path[i][0] - ox, path[i][1] - oy);
+            }
+            ctx.stroke();
+            ctx.setLineDash([]);
+        }
+
+        this.drawHead(ctx, startHead, route.start, ConnectorNode.getEndDirection(route.points, true), headSize);
+        this.drawHead(ctx, endHead, route.end, ConnectorNode.getEndDirection(route.points, false), headSize);
+
+        if (label && route.label) {
+            const rect = route.label;
+            const radius = rect.height / 2;
+            ctx.fillStyle = 'rgba(30, 30, 30, 0.9)';
+            ctx.strokeStyle = color;
+            ctx.lineWidth = 1;
+            ctx.beginPath();
+            ctx.roundRect(rect.x - ox, rect.y - oy, rect.width, rect.height, radius);
+            ctx.fill();
+            ctx.stroke();
+
+            ctx.fillStyle = '#ffffff';
+            ctx.font = this.getLabelFont();
+            ctx.textAlign = 'center';
+            ctx.textBaseline = 'middle';
+            ctx.fillText(label, rect.x + rect.width / 2 - ox, rect.y + rect.height / 2 - oy);
+        }
+
+        ctx.restore();
+    }
+
+    /**
+     * Arrowhead with its tip on the end of the path
+     * @param {Array} direction - Unit vector pointing out of the path
+     */
+    drawHead(ctx, style, tip, direction, size) {
+        if (!style || style === 'none') return;
+
+        const [dx, dy] = direction;
+        const [px, py] = [-dy, dx];
+        const x = tip[0] - this.pos[0];
+        const y = tip[1] - this.pos[1];
+        const back = (distance, side) => [x - dx * distance + px * side, y - dy * distance + py * side];
+
+        ctx.beginPath();
+        switch (style) {
+            case 'triangle': {
+                ctx.moveTo(x, y);
+                ctx.lineTo(...back(size, size * 0.5));
+                ctx.lineTo(...back(size, -size * 0.5));
+                ctx.closePath();
+                ctx.fill();
+                break;
+            }
+            case 'open': {
+                ctx.moveTo(...back(size, size * 0.5));
+                ctx.lineTo(x, y);
+                ctx.lineTo(...back(size, -size * 0.5));
+                ctx.stroke();
+                break;
+            }
+            case 'circle': {
+                const radius = size * 0.35;
+                ctx.arc(x - dx * radius, y - dy * radius, radius, 0, Math.PI * 2);
+                ctx.fill();
+                break;
+            }
+            case 'diamond': {
+                ctx.moveTo(x, y);
+                ctx.lineTo(...back(size / 2, size * 0.35));
+                ctx.lineTo(...back(size, 0));
+                ctx.lineTo(...back(size / 2, -size * 0.35));
+                ctx.closePath();
+                ctx.fill();
+                break;
+            }
+        }
+    }
+
+    // ===================================
+    // HIT TESTING
+    // ===================================
+
+    /**
+     * Only the line and the label are clickable - the bounding box usually
+     * covers other nodes
+     */
+    containsPoint(x, y) {
+        const route = this._route || this.updateRoute();
+        if (!route) return false;
+
+        const label = route.label;
+        if (label && x >= label.x && x <= label.x + label.width && y >= label.y && y <= label.y + label.height) {
+            return true;
+        }
+
+        const scale = this.graph?.canvas?.viewport?.scale || window.app?.graphCanvas?.viewport?.scale || 1;
+        const reach = (this.properties.strokeWidth || 2) / 2 + 6 / scale;
+        const points = route.points;
+        for (let i = 1; i < points.length; i++) {
+            const distance = AnnotationStrokes.distanceToSegment(
+                x, y, points[i - 1][0], points[i - 1][1], points[i][0], points[i][1]);
+            if (distance <= reach) return true;
+        }
+        return false;
+    }
+
+    // ===================================
+    // COPY AND DELETE
+    // ===================================
+
+    /**
+     * Tag endpoints bound to nodes that are copied along with the connector
+     * with the index of that node in the copy, so paste and duplicate can
+     * bind them to the new nodes
+     * @param {Array} nodeData - Serialized copies, modified in place
+     * @param {Array} nodes - The nodes they were serialized from, same order
+     */
+    static markCopyIndices(nodeData, nodes) {
+        const indexById = new Map(nodes.map((node, index) => [node.id, index]));
+
+        for (const data of nodeData) {
+            if (!this.isConnector(data) || !data.properties) continue;
+            data.properties = { ...data.properties };
+            for (const end of ['start', 'end']) {
+                const endpoint = data.properties[end];
+                if (endpoint && indexById.has(endpoint.nodeId)) {
+                    data.properties[end] = { ...endpoint, copyIndex: indexById.get(endpoint.nodeId) };
+                }
+            }
+        }
+    }
+
+    /**
+     * Point a copied connector at the copies of the nodes it was bound to.
+     * Free ends move with the copy; ends bound to nodes that weren't copied
+     * stay on the original nodes. Mirrors CanvasStateManager.rebindConnectorCopy.
+     * @param {Object} copy - The new connector
+     * @param {Object} source - Node or node data it was copied from
+     * @param {Function} getCopyId - (endpoint) => id of the copied node, or undefined
+     */
+    static rebindCopy(copy, source, getCopyId) {
+        const dx = copy.pos[0] - source.pos[0];
+        const dy = copy.pos[1] - source.pos[1];
+
+        for (const end of ['start', 'end']) {
+            const endpoint = source.properties?.[end];
+            if (!endpoint) continue;
+
+            const { copyIndex, ...rebound } = endpoint;
+            const copyId = getCopyId(endpoint);
+            if (copyId !== undefined) rebound.nodeId = copyId;
+            if (Array.isArray(endpoint.point) && (copyId !== undefined || endpoint.nodeId == null)) {
+                rebound.point = [endpoint.point[0] + dx, endpoint.point[1] + dy];
+            } else if (Array.isArray(endpoint.point)) {
+                rebound.point = [...endpoint.point];
+            }
+            copy.properties[end] = rebound;
+        }
+    }
+
+    /**
+     * What deleting nodes does to the connectors bound to them: connectors
+     * with no bound end left are deleted too, the rest are detached where
+     * the deleted node was
+     * @returns {Object} { deletedConnectorIds, detachedEndpoints: { connectorId: { start?, end? } } }
+     */
+    static planDelete(graph, nodeIds) {
+        const deleting = new Set(nodeIds);
+        const deletedConnectorIds = [];
+        const detachedEndpoints = {};
+
+        for (const node of graph.nodes) {
+            if (!this.isConnector(node) || deleting.has(node.id)) continue;
+
+            const detached = {};
+            let stillBound = false;
+            for (const end of ['start', 'end']) {
+                const endpoint = node.properties[end];
+                if (endpoint?.nodeId == null) continue;
+                if (deleting.has(endpoint.nodeId)) {
+                    const point = node._route?.[end] || endpoint.point || [0, 0];
+                    detached[end] = this.createEndpoint(null, point);
+                } else {
+                    stillBound = true;
+                }
+            }
+
+            if (Object.keys(detached).length === 0) continue;
+            if (stillBound) {
+                detachedEndpoints[node.id] = detached;
+            } else {
+                deletedConnectorIds.push(node.id);
+            }
+        }
+
+        return { deletedConnectorIds, detachedEndpoints };
+    }
+}
+
+// Make ConnectorNode available globally for browser environments
+if (typeof window !== 'undefined') {
+    window.ConnectorNode = ConnectorNode;
+}
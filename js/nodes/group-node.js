@@ -104,6 +104,9 @@ class GroupNode extends BaseNode {
             if (data.properties.isCollapsed !== undefined) {
                 this.isCollapsed = data.properties.isCollapsed;
             }
+            if (Array.isArray(data.properties.expandedSize)) {
+                this.expandedSize = [...data.properties.expandedSize];
+            }
             if (data.properties.style) {
                 Object.assign(this.style, data.properties.style);
             }
@@ -135,6 +138,11 @@ class GroupNode extends BaseNode {
             nodeId = nodeId.id; // Handle both node objects and IDs
         }
         
+        if (!this.canContainNode(nodeId)) {
+            console.warn(`⚠️ Group ${this.id} can't contain ${nodeId} - it would be inside itself`);
+            return null;
+        }
+        
         // Remove from any existing group first to ensure single-parent constraint
         this.removeFromAnyGroup(nodeId);
         
@@ -173,7 +181,7 @@ class GroupNode extends BaseNode {
             if (typeof nodeId === 'object') {
                 nodeId = nodeId.id;
             }
-            if (!this.childNodes.has(nodeId)) {
+            if (!this.childNodes.has(nodeId) && this.canContainNode(nodeId)) {
                 // Remove from any existing group first
                 this.removeFromAnyGroup(nodeId);
                 this.childNodes.add(nodeId);
@@ -256,6 +264,91 @@ class GroupNode extends BaseNode {
         return childNodeObjects;
     }
     
+    // ===================================
+    // HIERARCHY
+    // ===================================
+    
+    /**
+     * The group this group sits in, if any
+     */
+    getParentGroup() {
+        const graph = this.graph || window.app?.graph;
+        return graph?.nodes.find(n => n.type === 'container/group' && n.childNodes.has(this.id)) || null;
+    }
+    
+    /**
+     * Enclosing groups, nearest first
+     */
+    getAncestorGroups() {
+        const ancestors = [];
+        let parent = this.getParentGroup();
+        while (parent && parent !== this && !ancestors.includes(parent)) {
+            ancestors.push(parent);
+            parent = parent.getParentGroup();
+        }
+        return ancestors;
+    }
+    
+    /**
+     * Everything inside this group, including the contents of nested groups.
+     * Nodes in skipIds are left out along with everything inside them.
+     */
+    getDescendantNodes(skipIds = null) {
+        const descendants = [];
+        const visited = new Set([this.id]);
+        const stack = [...this.getChildNodes()];
+        
+        while (stack.length > 0) {
+            const node = stack.pop();
+            if (visited.has(node.id) || skipIds?.has(node.id)) continue;
+            visited.add(node.id);
+            descendants.push(node);
+            
+            if (node.type === 'container/group') {
+                stack.push(...node.getChildNodes());
+            }
+        }
+        return descendants;
+    }
+    
+    /**
+     * A node can join this group unless it is this group or one of its ancestors
+     */
+    canContainNode(node) {
+        const nodeId = typeof node === 'object' ? node.id : node;
+        if (nodeId === this.id) return false;
+        return !this.getAncestorGroups().some(ancestor => ancestor.id === nodeId);
+    }
+    
+    /**
+     * Ids of nodes hidden inside collapsed groups, at any depth
+     */
+    static getCollapsedNodeIds(nodes) {
+        const hidden = new Set();
+        for (const node of nodes) {
+            if (node.type === 'container/group' && node.isCollapsed && !hidden.has(node.id)) {
+                node.getDescendantNodes().forEach(descendant => hidden.add(descendant.id));
+            }
+        }
+        return hidden;
+    }
+    
+    /**
+     * Ids of nodes that aren't drawn: hidden nodes, everything inside a
+     * hidden group, and everything inside a collapsed group
+     */
+    static getHiddenNodeIds(nodes) {
+        const hidden = GroupNode.getCollapsedNodeIds(nodes);
+        for (const node of nodes) {
+            if (!node.isHidden()) continue;
+            hidden.add(node.id);
+            if (node.type === 'container/group') {
+                node.getDescendantNodes().forEach(descendant => hidden.add(descendant.id));
+            }
+        }
+        return hidden;
+    }
+    
     /**
      * Sync cleaned child nodes back to server
      */
@@ -419,10 +512,13 @@ class GroupNode extends BaseNode {
                 continue;
             }
             
-            const nodeMinX = node.pos[0];
-            const nodeMinY = node.pos[1];
-            const nodeMaxX = node.pos[0] + node.size[0];
-            const nodeMaxY = node.pos[1] + node.size[1];
+            // Nested groups may still be animating towards their new bounds
+            const pos = node.targetPos || node.pos;
+            const size = node.targetSize || node.size;
+            const nodeMinX = pos[0];
+            const nodeMinY = pos[1];
+            const nodeMaxX = pos[0] + size[0];
+            const nodeMaxY = pos[1] + size[1];
             
             minX = Math.min(minX, nodeMinX);
             minY = Math.min(minY, nodeMinY);
@@ -501,6 +597,10 @@ class GroupNode extends BaseNode {
                 this.animateToBounds(finalLeft, finalTop, finalWidth, finalHeight);
             }
             
+            if (boundsChanged) {
+                this.updateParentBounds();
+            }
+            
             // Return target bounds for server sync
             return {
                 pos: [finalLeft, finalTop],
@@ -534,6 +634,7 @@ class GroupNode extends BaseNode {
                     // console.log('📐 Starting animateToBounds...');
                     this.animateToBounds(newX, newY, newWidth, newHeight);
                 }
+                this.updateParentBounds();
             } else {
                 console.log('📐 No bounds change needed');
             }
@@ -547,6 +648,25 @@ class GroupNode extends BaseNode {
         }
     }
     
+    /**
+     * Grow the enclosing group to fit this one. Each level does the same, so
+     * a change reaches the top of the tree.
+     */
+    updateParentBounds() {
+        const parent = this.getParentGroup();
+        if (!parent || parent.isCollapsed || parent._updatingBounds) return;
+        
+        parent._updatingBounds = true;
+        try {
+            const bounds = parent.updateBounds(true);
+            if (bounds?.needsSync && !parent.isAnimating) {
+                setTimeout(() => parent.syncBoundsToServer(), 300);
+            }
+        } finally {
+            parent._updatingBounds = false;
+        }
+    }
+    
     /**
      * Animate to new bounds
      */
@@ -663,9 +783,36 @@ class GroupNode extends BaseNode {
      * Toggle collapsed state
      */
     toggleCollapsed() {
-        this.isCollapsed = !this.isCollapsed;
+        this.setCollapsed(!this.isCollapsed);
+    }
+    
+    /**
+     * Collapse or expand. Collapsing hides everything inside, nested groups
+     * included; cascade gives nested groups the same state.
+     */
+    setCollapsed(collapsed, cascade = false) {
+        if (cascade) {
+            // Deepest first, so each group fits its already expanded children
+            const nestedGroups = this.getDescendantNodes()
+                .filter(node => node.type === 'container/group')
+                .reverse();
+            for (const group of nestedGroups) {
+                group.setCollapsed(collapsed);
+            }
+        }
+        
+        if (this.isCollapsed === collapsed) return;
+        
+        this.isCollapsed = collapsed;
         if (this.isCollapsed) {
+            // Stop any bounds animation so it doesn't reopen the group
+            this.animationStartTime = null;
+            this.targetPos = null;
+            this.targetSize = null;
+            this.isAnimating = false;
+            this.expandedSize = [...this.size];
             this.size = [...this.collapsedSize];
+            this.updateParentBounds();
         } else {
             this.updateBounds();
         }
@@ -680,16 +827,11 @@ class GroupNode extends BaseNode {
         // console.log(`🚀 moveChildNodes called with delta: ${deltaX}, ${deltaY}`);
         // console.log(`   Group ${this.id} has ${this.childNodes.size} child IDs:`, Array.from(this.childNodes));
         
-        const childNodes = this.getChildNodes();
-        // console.log(`   Found ${childNodes.length} actual child nodes`);
+        // Nested groups move with everything inside them. Nodes being moved
+        // independently (e.g. also selected and dragged) bring their own contents.
+        const childNodes = this.getDescendantNodes(excludeNodeIds);
         
         for (const node of childNodes) {
-            if (node === this) continue; // Skip self
-            
-            // Skip nodes that are being moved independently (e.g., also selected and being dragged)
-            if (excludeNodeIds && excludeNodeIds.has(node.id)) {
-                continue;
-            }
             
             // console.log(`   Moving child ${node.id} from [${node.pos[0]}, ${node.pos[1]}]`);
             node.pos[0] += deltaX;
@@ -713,7 +855,7 @@ class GroupNode extends BaseNode {
      * Check if a node should be contained within this group based on position
      */
     shouldContainNode(node) {
-        if (node === this || node.type === 'container/group') return false;
+        if (!this.canContainNode(node)) return false;
         if (this.isCollapsed) return false;
         
         // Get viewport for screen space calculations
@@ -933,8 +1075,9 @@ class GroupNode extends BaseNode {
         // Draw title bar
         this.drawTitleBar(ctx, actualTitleBarHeight, actualLineWidth, actualFontSize, isTooSmall);
         
-        // Draw resize handles (only if expanded and selected and not animating)
-        if (!this.isCollapsed && this.graph?.canvas?.selection?.isSelected(this)) {
+        // Draw resize handles (only if expanded and selected and not animating, exporting or read-only)
+        const canvas = this.graph?.canvas;
+        if (!this.isCollapsed && !canvas?.isExporting && !canvas?.readOnly && canvas?.selection?.isSelected(this)) {
             // Check if alignment is animating
             const alignmentManager = this.graph?.canvas?.alignmentManager;
             if (!alignmentManager || (!alignmentManager.isActive() && !alignmentManager.isAnimating())) {
@@ -1143,6 +1286,7 @@ class GroupNode extends BaseNode {
         // Add group-specific properties
         data.properties.childNodes = Array.from(this.childNodes);
         data.properties.isCollapsed = this.isCollapsed;
+        data.properties.expandedSize = [...this.expandedSize];
         data.properties.style = { ...this.style };
         
         return data;
@@ -11,7 +11,11 @@ class ImageNode extends BaseNode {
             hash: null,           // Primary identifier for cache lookup
             serverUrl: null,      // Server reference if uploaded
             filename: null,       // Original filename
-            scale: 1.0           // Display scale
+            scale: 1.0,          // Display scale
+            annotations: [],     // Freehand strokes, see AnnotationStrokes
+            crop: null,          // Normalized crop rect, see ImageCrop
+            flipH: false,
+            flipV: false
         };
         this.flags = { hide_title: true };
         this.img = null;
@@ -48,6 +52,9 @@ class ImageNode extends BaseNode {
         this.toneCurveBypassed = true; // Bypass tone curve by default
         this.colorAdjustmentsBypassed = true; // Bypass adjustments by default
 
+        // 3D LUT reference ({ hash, name, intensity }), loaded by the WebGL renderer
+        this.lut = null;
+
         this.needsGLUpdate = false; // flag for renderer cache
 
         this.aspectRatioLocked = true; // Lock aspect ratio by default
@@ -67,6 +74,19 @@ class ImageNode extends BaseNode {
         this._forceThumbnailSize = null; // Force specific thumbnail size during memory pressure
     }
     
+    /**
+     * Aspect ratio of what the node shows - the crop region when cropped.
+     * Assign the full image's aspect ratio; the crop is applied on read.
+     */
+    get originalAspect() {
+        const crop = ImageCrop.getCrop(this);
+        return (this.sourceAspect || 1) * crop.w / crop.h;
+    }
+    
+    set originalAspect(aspect) {
+        this.sourceAspect = aspect;
+    }
+    
     async setImage(src, filename = null, hash = null) {
         
         // Store only references, not the data
@@ -190,9 +210,9 @@ class ImageNode extends BaseNode {
             // Initialize last rendered resolution to full resolution
             this.setLastRenderedResolution(this.originalWidth, this.originalHeight, 'full');
             
-            // Calculate actual aspect ratio from loaded image
-            const actualAspectRatio = this.img.width / this.img.height;
-            this.originalAspect = actualAspectRatio;
+            // Calculate actual aspect ratio from loaded image (of the crop region if cropped)
+            this.originalAspect = this.img.width / this.img.height;
+            const actualAspectRatio = this.originalAspect;
             
             // Only update node aspect ratio and size if it's significantly different or was default
             const currentAspectRatio = this.size[0] / this.size[1];
@@ -644,9 +664,11 @@ class ImageNode extends BaseNode {
         // CANVAS2D IS NOW DISPLAY-ONLY - Never return full images
         // WebGL handles all image loading through its LOD system
         
+        // Size of the whole image on screen - cropped nodes show only part of it
         const scale = this.graph?.canvas?.viewport?.scale || 1;
-        const screenWidth = this.size[0] * scale;
-        const screenHeight = this.size[1] * scale;
+        const crop = ImageCrop.getCrop(this);
+        const screenWidth = this.size[0] * scale / crop.w;
+        const screenHeight = this.size[1] * scale / crop.h;
         
         // Only use thumbnails if available, never full res
         if (this.properties.hash && window.thumbnailCache?.getBestThumbnail) {
@@ -891,7 +913,7 @@ class ImageNode extends BaseNode {
                     const imageData = this.getBestAvailableImage();
                     if (imageData) {
                         offscreenCtx.imageSmoothingEnabled = imageData.useSmoothing;
-                        offscreenCtx.drawImage(imageData.image, 0, 0, node.size[0], node.size[1]);
+                        ImageCrop.drawImage(offscreenCtx, node, imageData.image);
                         
                         // DEBUG: Apply tint based on thumbnail quality
                         if (window.DEBUG_THUMBNAIL_TINT) {
@@ -929,7 +951,7 @@ class ImageNode extends BaseNode {
             
             // Draw the image
             //console.log(`🎨 ACTUALLY DRAWING: quality=${imageData.quality} size=${imageData.image.width}x${imageData.image.height} for ${this.properties.hash?.substring(0, 8)}`);
-            ctx.drawImage(imageData.image, 0, 0, this.size[0], this.size[1]);
+            ImageCrop.drawImage(ctx, this, imageData.image);
             
             // DEBUG: Apply tint based on thumbnail quality
             if (window.DEBUG_THUMBNAIL_TINT) {
@@ -969,7 +991,7 @@ class ImageNode extends BaseNode {
                 ctx.globalAlpha = 0.3; // Show faded image behind loading ring
                 ctx.imageSmoothingEnabled = true;
                 ctx.imageSmoothingQuality = CONFIG.THUMBNAILS.QUALITY;
-                ctx.drawImage(this.img, 0, 0, this.size[0], this.size[1]);
+                ImageCrop.drawImage(ctx, this, this.img);
                 ctx.restore();
             } else if (hasPreview) {
                 // Show preview image behind loading ring during upload
@@ -983,7 +1005,7 @@ class ImageNode extends BaseNode {
                     ctx.save();
                     ctx.globalAlpha = 0.5; // Semi-transparent preview
                     ctx.imageSmoothingEnabled = true;
-                    ctx.drawImage(this._previewImg, 0, 0, this.size[0], this.size[1]);
+                    ImageCrop.drawImage(ctx, this, this._previewImg);
                     ctx.restore();
                 }
             }
@@ -1031,8 +1053,52 @@ class ImageNode extends BaseNode {
                 }
             };
             window.thumbnailCache.subscribe(this.properties.hash, this._thumbnailUpdateCallback);
+            this._subscribedHash = this.properties.hash;
         }
     }
+
+    /**
+     * Called after node_property_update writes a property, on execute, undo
+     * and for remote operations. Swapping the source (baking a grade into
+     * the node) writes several fields in a row, so the reload waits for the
+     * batch to land.
+     */
+    updateProperty(key) {
+        if (['serverUrl', 'hash', 'originalWidth', 'originalHeight'].includes(key)) {
+            this.scheduleSourceReload();
+        }
+    }
+
+    scheduleSourceReload() {
+        if (this._sourceReloadScheduled) return;
+        this._sourceReloadScheduled = true;
+
+        setTimeout(() => {
+            this._sourceReloadScheduled = false;
+
+            const { serverUrl, filename, hash, originalWidth, originalHeight } = this.properties;
+            if (originalWidth && originalHeight) {
+                this.originalWidth = originalWidth;
+                this.originalHeight = originalHeight;
+                this.originalAspect = originalWidth / originalHeight;
+            }
+
+            if (this._subscribedHash !== hash) {
+                this.onRemoved();
+                this.initSubscriptions();
+            }
+
+            this._cachedRenderData = null;
+            this._cachedLOD = null;
+            this.needsGLUpdate = true;
+            this.graph?.canvas?.renderer?._invalidateCache?.(this.id);
+
+            if (serverUrl || hash) {
+                this.setImage(serverUrl, filename, hash);
+            }
+            this._triggerRedraw();
+        }, 0);
+    }
     
     // Track what's actually being rendered
     setLastRenderedResolution(width, height, source) {
@@ -1045,9 +1111,11 @@ class ImageNode extends BaseNode {
 
     onRemoved() {
         // Unsubscribe from thumbnail updates to prevent memory leaks
-        if (this.properties.hash && this._thumbnailUpdateCallback && window.thumbnailCache?.unsubscribe) {
-            window.thumbnailCache.unsubscribe(this.properties.hash, this._thumbnailUpdateCallback);
+        const hash = this._subscribedHash || this.properties.hash;
+        if (hash && this._thumbnailUpdateCallback && window.thumbnailCache?.unsubscribe) {
+            window.thumbnailCache.unsubscribe(hash, this._thumbnailUpdateCallback);
             this._thumbnailUpdateCallback = null;
+            this._subscribedHash = null;
         }
     }
 
@@ -17,6 +17,7 @@ class PinnedNoteNode extends BaseNode {
             padding: 12,
             username: '',
             timestamp: null,
+            threadNodeId: null, // Chat thread the note was pinned from
             pointerPosition: 'bottom-left' // Position of the speech bubble tail
         };
         
@@ -65,8 +66,8 @@ class PinnedNoteNode extends BaseNode {
         const viewport = canvas.viewport;
         const scale = viewport.scale;
         
-        // Determine if we should show compact mode based on zoom
-        const isCompact = scale < 0.5; // Show compact when zoomed out beyond 50%
+        // Determine if we should show compact mode based on zoom (exports always show the full note)
+        const isCompact = scale < 0.5 && !canvas.isExporting; // Show compact when zoomed out beyond 50%
         
         const { bgColor, bgAlpha, borderColor, textColor, fontSize, padding, text, username } = this.properties;
         
@@ -332,7 +333,8 @@ class PinnedNoteNode extends BaseNode {
             text: this.properties.text,
             username: this.properties.username,
             timestamp: this.properties.timestamp,
-            color: this.properties.borderColor
+            color: this.properties.borderColor,
+            threadNodeId: this.properties.threadNodeId
         };
     }
 }
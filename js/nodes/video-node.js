@@ -13,7 +13,11 @@ class VideoNode extends BaseNode {
             loop: true,
             muted: true,
             autoplay: true,
-            paused: false  // Add paused property to properties
+            paused: false,  // Add paused property to properties
+            inPoint: null,    // Loop region start in seconds, null = clip start
+            outPoint: null,   // Loop region end in seconds, null = clip end
+            posterTime: null, // Frame used for the thumbnail and paused still
+            annotations: [] // Freehand strokes, see AnnotationStrokes
         };
         this.flags = { hide_title: true };
         this.video = null;
@@ -34,6 +38,18 @@ class VideoNode extends BaseNode {
         this._lastRenderedTime = -1; // Track last rendered video time
         this._frameSkipCount = 0; // Track skipped frames for debugging
         
+        // Timeline - playback rate and playhead are local to this client
+        this.playbackRate = 1;
+        this.frameDuration = 1 / 30; // Refined from presented frames while playing
+        this._posterTime = null; // posterTime the thumbnail was last captured at
+        this._lastFrameMetadata = null;
+        
+        // Renditions - the one playing is picked by on-screen size
+        this._currentQuality = null; // Name of the rendition loaded, null for any other source
+        this._pendingQuality = null;
+        this._qualityTimer = null;
+        this._switchingQuality = false;
+        
         // Color adjustments (non-destructive, used by WebGL renderer)
         this.adjustments = {
             brightness: 0.0, // range -1..1
@@ -51,6 +67,9 @@ class VideoNode extends BaseNode {
         this.colorBalance = null; // Will be initialized when first used
         this.colorBalanceBypassed = true; // Bypass by default for performance
         
+        // 3D LUT reference ({ hash, name, intensity }), loaded by the WebGL renderer
+        this.lut = null;
+        
         this.needsGLUpdate = false; // flag for renderer cache
         
     }
@@ -88,6 +107,12 @@ class VideoNode extends BaseNode {
         
         this.loadingState = 'loading';
         
+        // An animated image only plays once transcoded - updateVideoSource picks it up then
+        if (this.isAwaitingTranscode()) {
+            this._loadingStarted = false;
+            return;
+        }
+        
         // Only set title if it's empty or undefined
         // This preserves user-customized titles while ensuring new nodes get a title
         if (filename && !this.title) {
@@ -155,6 +180,9 @@ class VideoNode extends BaseNode {
                 this.play();  // Auto-play by default
             } else {
                 this.pause(); // Explicitly pause if paused
+                if (this.properties.posterTime != null) {
+                    this.seek(this.properties.posterTime);
+                }
             }
             
         } catch (error) {
@@ -174,6 +202,16 @@ class VideoNode extends BaseNode {
      * Priority: direct src > cache > serverUrl > resourceCache
      */
     async resolveVideoSource(src) {
+        // 0. Transcoded renditions stand in for the server file, sized for the screen
+        if (!src || src === this.properties.serverUrl) {
+            const quality = this.getOptimalQuality(...this.getScreenSize());
+            const rendition = this.properties.renditions?.find(r => r.name === quality);
+            if (rendition) {
+                this._currentQuality = quality;
+                return this.getRenditionUrl(rendition);
+            }
+        }
+        
         // 1. If we have a direct source, check if it needs conversion
         if (src) {
             // Convert relative server URLs to absolute
@@ -366,16 +404,23 @@ class VideoNode extends BaseNode {
                 this.markDirty();
             });
             
+            video.addEventListener('seeked', () => {
+                // Paused videos only show a new frame once the seek lands
+                this.markDirty();
+            });
+            
             // Use requestVideoFrameCallback for efficient video rendering if available
             if ('requestVideoFrameCallback' in video) {
                 // Modern API - only redraws when video has a new frame
-                const frameCallback = () => {
+                const frameCallback = (now, metadata) => {
+                    this.trackFrameDuration(metadata);
                     if (!this.video.paused && this._isVisible) {
                         this.markDirty();
                         this.video.requestVideoFrameCallback(frameCallback);
                     }
                 };
                 video.addEventListener('play', () => {
+                    this._lastFrameMetadata = null;
                     this.video.requestVideoFrameCallback(frameCallback);
                 });
             } else {
@@ -511,18 +556,25 @@ class VideoNode extends BaseNode {
                         });
                     }
                 }
-            } else if (status.status === 'completed' && status.formats && status.formats.length > 0) {
+            } else if (status.status === 'completed' && (status.formats?.length > 0 || status.renditions?.length > 0)) {
                 // Video was already transcoded, update properties
                 this.properties.transcodingComplete = true;
-                this.properties.availableFormats = status.formats;
+                if (status.renditions?.length > 0) {
+                    this.properties.renditions = status.renditions;
+                }
                 
-                // Update server URL to use transcoded version
-                const baseName = this.properties.serverFilename.replace(/\.[^.]+$/, '');
-                const transcodedFilename = `${baseName}.${status.formats[0]}`;
-                this.properties.serverUrl = `/uploads/${transcodedFilename}`;
-                this.properties.serverFilename = transcodedFilename;
+                // Web-ready uploads only get renditions and keep their URL
+                if (status.formats?.length > 0) {
+                    this.properties.availableFormats = status.formats;
+                    
+                    // Update server URL to use transcoded version
+                    const baseName = this.properties.serverFilename.replace(/\.[^.]+$/, '');
+                    const transcodedFilename = `${baseName}.${status.formats[0]}`;
+                    this.properties.serverUrl = `/uploads/${transcodedFilename}`;
+                    this.properties.serverFilename = transcodedFilename;
+                }
                 
-                console.log(`✅ Video already transcoded, using ${transcodedFilename}`);
+                console.log(`✅ Video already transcoded, using ${this.properties.serverFilename}`);
             } else if (status.status === 'error') {
                 console.error(`❌ Video transcoding failed previously: ${status.error}`);
                 // Mark as complete to prevent re-trying
@@ -583,6 +635,11 @@ class VideoNode extends BaseNode {
             return;
         }
         
+        // Poster changes arrive through commands, undo and remote updates alike
+        if (this.thumbnail && this._posterTime !== (this.properties.posterTime ?? null)) {
+            this.updatePosterFrame();
+        }
+        
         // Don't try to draw video if it's not ready yet
         if (!this.video || this.video.readyState < 2) {
             // Check if we have a blob URL that should be playing or if we're transcoding
@@ -624,6 +681,10 @@ class VideoNode extends BaseNode {
         const useThumbnail = screenWidth < CONFIG.PERFORMANCE.THUMBNAIL_THRESHOLD || 
                             screenHeight < CONFIG.PERFORMANCE.THUMBNAIL_THRESHOLD;
         
+        if (!useThumbnail) {
+            this.updateQuality(screenWidth, screenHeight);
+        }
+        
         // Stop video decoding when very small to save CPU
         if (useThumbnail && this.video && !this.video.paused && !this.properties.paused) {
             this._tinyPaused = true;
@@ -693,7 +754,7 @@ class VideoNode extends BaseNode {
         if (!this.properties.paused && this.video.paused && !this._needsUserInteraction) {
             // Check if video is at the end and needs manual restart
             if (this.video.ended && this.properties.loop) {
-                this.video.currentTime = 0;
+                this.video.currentTime = this.getPlaybackRange()[0];
             }
             this.video.play().catch(() => {
                 // Autoplay might be blocked, that's okay
@@ -705,6 +766,37 @@ class VideoNode extends BaseNode {
         if (this.video.loop !== this.properties.loop) {
             this.video.loop = this.properties.loop;
         }
+        
+        if (this.video.playbackRate !== this.playbackRate) {
+            this.video.playbackRate = this.playbackRate;
+        }
+        
+        this.enforcePlaybackRange();
+    }
+    
+    /**
+     * Keep playback inside the in/out points. Runs every drawn frame, which
+     * requestVideoFrameCallback keeps in step with the video's own frames.
+     */
+    enforcePlaybackRange() {
+        const { inPoint, outPoint } = this.properties;
+        if (inPoint == null && outPoint == null) return;
+        if (this.video.paused || this.video.seeking || !this.getDuration()) return;
+        
+        const [start, end] = this.getPlaybackRange();
+        const time = this.video.currentTime;
+        
+        if (outPoint != null && time >= end) {
+            if (this.properties.loop) {
+                this.seek(start);
+            } else {
+                this.pause();
+                this.seek(end);
+            }
+        } else if (time < start) {
+            // Covers the browser's own loop wrapping back to 0
+            this.seek(start);
+        }
     }
 
     drawPlayIndicator(ctx) {
@@ -775,6 +867,11 @@ class VideoNode extends BaseNode {
         this.properties.paused = false;
         this.userPaused = false;  // Keep for backward compatibility
         if (this.video && this.video.paused) {  // Only play if actually paused
+            // Restart from the in point when parked outside the loop region
+            const [start, end] = this.getPlaybackRange();
+            if (this.getDuration() && (this.video.currentTime >= end || this.video.currentTime < start)) {
+                this.video.currentTime = start;
+            }
             this.video.play().catch((error) => {
                 if (error.name === 'NotAllowedError') {
                     // Mark as needing user interaction
@@ -849,6 +946,128 @@ class VideoNode extends BaseNode {
         }
     }
     
+    // ===================================
+    // TIMELINE
+    // ===================================
+    
+    static PLAYBACK_RATES = [0.25, 0.5, 1, 1.5, 2];
+    
+    getDuration() {
+        const duration = this.video?.duration;
+        return Number.isFinite(duration) ? duration : 0;
+    }
+    
+    getCurrentTime() {
+        return this.video ? this.video.currentTime : 0;
+    }
+    
+    /**
+     * Loop region in seconds, the whole clip when no in/out points are set
+     * @returns {number[]} [start, end]
+     */
+    getPlaybackRange() {
+        const duration = this.getDuration();
+        const start = Math.min(this.properties.inPoint ?? 0, duration);
+        const end = Math.min(this.properties.outPoint ?? duration, duration);
+        return [start, Math.max(start, end)];
+    }
+    
+    /**
+     * Add the frame under the playhead to the board as an image
+     * (see VideoFrameGrabber)
+     */
+    grabFrame() {
+        return window.app?.videoFrameGrabber?.grabFrame(this) ?? Promise.resolve(null);
+    }
+    
+    setPlaybackRate(rate) {
+        this.playbackRate = rate;
+        if (this.video) {
+            this.video.playbackRate = rate;
+        }
+    }
+    
+    /**
+     * Pause and move the playhead by whole frames
+     * @param {number} count - Frames to step, negative steps backwards
+     */
+    stepFrames(count) {
+        if (!this.video || !this.getDuration()) return;
+        if (!this.video.paused || !this.properties.paused) {
+            this.pause();
+        }
+        
+        const frame = Math.round(this.video.currentTime / this.frameDuration) + count;
+        this.seek(Utils.clamp(frame * this.frameDuration, 0, this.getDuration()));
+    }
+    
+    /**
+     * Estimate the frame duration from consecutive requestVideoFrameCallback
+     * metadata, since the media element doesn't expose a frame rate
+     */
+    trackFrameDuration(metadata) {
+        if (!metadata) return;
+        
+        const last = this._lastFrameMetadata;
+        if (last && metadata.presentedFrames - last.presentedFrames === 1) {
+            const delta = metadata.mediaTime - last.mediaTime;
+            if (delta > 0.001 && delta < 0.2) {
+                this.frameDuration = delta;
+            }
+        }
+        this._lastFrameMetadata = { presentedFrames: metadata.presentedFrames, mediaTime: metadata.mediaTime };
+    }
+    
+    /**
+     * Redraw the thumbnail from the poster frame, or from the current frame
+     * once the poster is cleared. Seeks a separate element so playback of the
+     * visible video isn't disturbed.
+     */
+    updatePosterFrame() {
+        const posterTime = this.properties.posterTime ?? null;
+        this._posterTime = posterTime;
+        if (!this.video || !this.thumbnail) return;
+        
+        if (posterTime === null) {
+            this.createVideoThumbnail();
+            return;
+        }
+        
+        const probe = document.createElement('video');
+        probe.muted = true;
+        probe.preload = 'auto';
+        probe.crossOrigin = 'anonymous';
+        
+        probe.addEventListener('loadeddata', () => {
+            probe.currentTime = Math.min(posterTime, probe.duration || posterTime);
+        }, { once: true });
+        
+        const release = () => {
+            probe.onerror = null;
+            probe.removeAttribute('src');
+            probe.load();
+        };
+        
+        probe.addEventListener('seeked', () => {
+            // A newer poster may have been chosen while this one was seeking
+            if (this._posterTime === posterTime && this.thumbnail) {
+                try {
+                    const ctx = this.thumbnail.getContext('2d');
+                    ctx.drawImage(probe, 0, 0, this.thumbnail.width, this.thumbnail.height);
+                    if (this.graph?.canvas) {
+                        this.graph.canvas.dirty_canvas = true;
+                    }
+                } catch (error) {
+                    console.warn('Failed to capture poster frame:', error);
+                }
+            }
+            release();
+        }, { once: true });
+        
+        probe.onerror = release;
+        probe.src = this.video.currentSrc || this.video.src;
+    }
+    
     // Updated containsPoint: Keep pure, no side effects
     containsPoint(x, y) {
         return super.containsPoint(x, y);
@@ -857,6 +1076,8 @@ class VideoNode extends BaseNode {
     onRemoved() {
         super.onRemoved();
         
+        clearTimeout(this._qualityTimer);
+        
         // Clean up video resources
         if (this.video) {
             this.video.pause();
@@ -973,35 +1194,151 @@ class VideoNode extends BaseNode {
         }
     }
     
+    // ===================================
+    // RENDITIONS
+    // ===================================
+    
+    static supportsNativeHls() {
+        if (VideoNode._nativeHls === undefined) {
+            VideoNode._nativeHls = document.createElement('video').canPlayType('application/vnd.apple.mpegurl') !== '';
+        }
+        return VideoNode._nativeHls;
+    }
+    
     /**
-     * Get optimal video quality based on display size
-     * Returns: 'preview' | 'small' | 'medium' | 'full'
+     * Node size on screen in CSS pixels
+     * @returns {number[]} [width, height]
+     */
+    getScreenSize() {
+        const scale = this.graph?.canvas?.viewport?.scale ||
+                     window.app?.graphCanvas?.viewport?.scale ||
+                     1;
+        return [this.size[0] * scale, this.size[1] * scale];
+    }
+    
+    /**
+     * Smallest rendition that covers the node on screen, like
+     * TextureLODManager.getOptimalLOD does for image thumbnails
+     * @returns {string|null} Rendition name, null when the video has none
      */
     getOptimalQuality(screenWidth, screenHeight) {
-        const size = Math.max(screenWidth, screenHeight);
+        const renditions = this.properties.renditions;
+        if (!renditions?.length) return null;
+        
+        const needed = Math.max(screenWidth, screenHeight) *
+            (window.devicePixelRatio || 1) * CONFIG.PERFORMANCE.VIDEO_RENDITION_BUFFER;
+        
+        // Renditions are listed smallest first
+        const rendition = renditions.find(r => Math.max(r.width, r.height) >= needed) ||
+            renditions[renditions.length - 1];
+        return rendition.name;
+    }
+    
+    /**
+     * HLS where the browser plays it natively, otherwise the progressive MP4,
+     * which the server streams with range requests
+     */
+    getRenditionUrl(rendition) {
+        const url = rendition.hlsUrl && VideoNode.supportsNativeHls() ? rendition.hlsUrl : rendition.url;
+        return url.startsWith('http') ? url : CONFIG.SERVER.API_BASE + url;
+    }
+    
+    /**
+     * Switch rendition once the on-screen size has settled, so zooming
+     * doesn't reload the video at every step
+     */
+    updateQuality(screenWidth, screenHeight) {
+        if (!this.properties.renditions?.length || this._switchingQuality) return;
         
-        if (size < 200) return 'preview';  // 240p
-        if (size < 400) return 'small';    // 480p
-        if (size < 800) return 'medium';   // 720p
-        return 'full';                      // Original
+        const quality = this.getOptimalQuality(screenWidth, screenHeight);
+        if (quality === this._currentQuality) {
+            clearTimeout(this._qualityTimer);
+            this._pendingQuality = null;
+            return;
+        }
+        if (quality === this._pendingQuality) return;
+        
+        clearTimeout(this._qualityTimer);
+        this._pendingQuality = quality;
+        this._qualityTimer = setTimeout(() => {
+            this._pendingQuality = null;
+            this.switchQuality(quality);
+        }, CONFIG.PERFORMANCE.VIDEO_RENDITION_SWITCH_DELAY);
     }
     
     /**
-     * Switch video quality (for future server support)
+     * Load another rendition in place of the current one, keeping the playhead
+     * @param {string} quality - Rendition name
      */
     async switchQuality(quality) {
-        // This will be implemented when server supports multi-resolution
-        // For now, just log the intention
-        if (this._currentQuality !== quality) {
-            console.log(`📹 Would switch ${this.title} to ${quality} quality`);
+        const rendition = this.properties.renditions?.find(r => r.name === quality);
+        if (!rendition || !this.video || quality === this._currentQuality || this._switchingQuality) return;
+        
+        this._switchingQuality = true;
+        try {
+            await this.replaceVideo(this.getRenditionUrl(rendition));
             this._currentQuality = quality;
+        } catch (error) {
+            console.warn(`⚠️ Could not switch ${this.getDisplayTitle()} to ${quality}:`, error);
+        } finally {
+            this._switchingQuality = false;
+        }
+    }
+    
+    /**
+     * Swap in a new video element for `url` at the current playhead. The old
+     * element keeps drawing until the new one has the frame to show.
+     */
+    async replaceVideo(url) {
+        const currentTime = this.video.currentTime;
+        const wasPaused = this.video.paused || this.properties.paused;
+        const wasVisible = this._isVisible;
+        
+        const newVideo = await this.loadVideoAsync(url);
+        await new Promise(resolve => {
+            newVideo.addEventListener('seeked', resolve, { once: true });
+            newVideo.addEventListener('error', resolve, { once: true });
+            newVideo.currentTime = currentTime;
+        });
+        
+        // Removed while loading
+        if (!this.video) {
+            newVideo.src = '';
+            return;
+        }
+        
+        newVideo.playbackRate = this.playbackRate;
+        if (!wasPaused && wasVisible) {
+            newVideo.play().catch(() => {});
         }
+        
+        const oldVideo = this.video;
+        this.video = newVideo;
+        oldVideo.pause();
+        oldVideo.src = '';
+        
+        this.markDirty();
+    }
+    
+    /**
+     * Nodes of animated GIF/WebP/APNG uploads keep the image as their original,
+     * which a <video> can't play, so they wait for the server's WebM
+     */
+    isAwaitingTranscode() {
+        return !!this.properties.original && !this.properties.transcodingComplete;
     }
     
     /**
      * Update video source when transcoding completes
      */
     async updateVideoSource() {
+        // Animated images had nothing to play until now
+        if (!this.video && this.properties.original && this.properties.serverUrl && !this._loadingStarted) {
+            this.properties.pendingServerUrlUpdate = false;
+            await this.setVideo(this.properties.serverUrl, this.properties.filename, this.properties.hash);
+            return;
+        }
+        
         if (!this.video || !this.properties.serverUrl) return;
         
         console.log(`🔄 Updating video source to transcoded version: ${this.properties.serverUrl}`);
@@ -1012,12 +1349,7 @@ class VideoNode extends BaseNode {
             delete this.properties.tempVideoUrl;
         }
         
-        // Save current state
-        const currentTime = this.video.currentTime;
-        const wasPaused = this.video.paused || this.properties.paused;
-        const wasVisible = this._isVisible;
-        
-        // Resolve the new URL - now it will use serverUrl since tempVideoUrl is cleared
+        // Resolve the new URL - now it will use serverUrl (or a rendition) since tempVideoUrl is cleared
         const newUrl = await this.resolveVideoSource();
         if (!newUrl || newUrl === this.video.src) {
             console.log('📹 Video source unchanged or unavailable');
@@ -1027,21 +1359,7 @@ class VideoNode extends BaseNode {
         console.log(`🎬 Switching from ${this.video.src} to ${newUrl}`);
         
         // Create new video element to avoid interruption
-        const newVideo = await this.loadVideoAsync(newUrl);
-        
-        // Restore state
-        newVideo.currentTime = currentTime;
-        if (!wasPaused && wasVisible) {
-            newVideo.play().catch(() => {});
-        }
-        
-        // Replace old video
-        const oldVideo = this.video;
-        this.video = newVideo;
-        
-        // Clean up old video
-        oldVideo.pause();
-        oldVideo.src = '';
+        await this.replaceVideo(newUrl);
         
         // Clean up blob URL if it was one
         if (this._tempBlobUrl) {
@@ -0,0 +1,309 @@
+/**
+ * AnnotationStrokes - Freehand markup stored on image and video nodes
+ *
+ * Strokes live in node.properties.annotations:
+ *   { id, tool: 'pen'|'marker', color, opacity, width, points: [[u, v, pressure], ...], authorId, createdAt }
+ * u/v are 0-1 across the node and width is a fraction of the node width, so
+ * strokes follow the node through move, resize and rotate.
+ *
+ * Shared by Canvas2DRenderer, WebGLRenderer, CanvasExporter and the annotation tool.
+ */
+const AnnotationStrokes = {
+    TOOLS: ['pen', 'marker'],
+    MAX_POINTS: 4000,
+
+    supportsNode(node) {
+        return node?.type === 'media/image' || node?.type === 'media/video';
+    },
+
+    /**
+     * Strokes to draw right now - synced strokes minus the ones being erased,
+     * plus the stroke being drawn
+     */
+    getVisibleStrokes(node) {
+        const annotations = node.properties?.annotations;
+        let strokes = Array.isArray(annotations) ? annotations : [];
+
+        if (node._erasingStrokeIds?.size) {
+            strokes = strokes.filter(stroke => !node._erasingStrokeIds.has(stroke.id));
+        }
+        const preview = this.getPreview(node);
+        if (preview) {
+            strokes = [...strokes, preview];
+        }
+        return strokes;
+    },
+
+    /**
+     * The stroke being drawn, until the synced copy has landed in the annotations
+     */
+    getPreview(node) {
+        const preview = node._annotationPreview;
+        if (!preview) return null;
+        const annotations = node.properties?.annotations;
+        return annotations?.some(stroke => stroke.id === preview.id) ? null : preview;
+    },
+
+    hasVisibleStrokes(node) {
+        return !!(node.properties?.annotations?.length || node._annotationPreview);
+    },
+
+    /**
+     * Stroke radius in node-local pixels at a point. Pens thin out with light
+     * pressure, markers keep a constant width.
+     */
+    getRadius(stroke, pressure, nodeWidth) {
+        const radius = stroke.width * nodeWidth / 2;
+        if (stroke.tool === 'marker') return radius;
+        return radius * (0.25 + 0.75 * (pressure ?? 1));
+    },
+
+    // ===================================
+    // COORDINATES
+    // ===================================
+
+    /**
+     * Graph coordinates to normalized node coordinates, undoing node rotation
+     * @returns {Array} [u, v]
+     */
+    graphToNode(node, graphX, graphY) {
+        const [w, h] = node.size;
+        let x = graphX - node.pos[0] - w / 2;
+        let y = graphY - node.pos[1] - h / 2;
+
+        if (node.rotation) {
+            const rad = -node.rotation * Math.PI / 180;
+            const cos = Math.cos(rad);
+            const sin = Math.sin(rad);
+            [x, y] = [x * cos - y * sin, x * sin + y * cos];
+        }
+
+        return [(x + w / 2) / w, (y + h / 2) / h];
+    },
+
+    isInsideNode(u, v) {
+        return u >= 0 && u <= 1 && v >= 0 && v <= 1;
+    },
+
+    // ===================================
+    // STROKE DATA
+    // ===================================
+
+    /**
+     * Drop points that don't change the shape (Douglas-Peucker) and round the
+     * rest so long strokes stay well under the operation size limit
+     * @param {Array} points - [[u, v, pressure], ...]
+     * @param {number} tolerance - In node-local pixels
+     */
+    simplify(points, nodeWidth, nodeHeight, tolerance) {
+        if (points.length <= 2) return points.map(p => this.roundPoint(p));
+
+        const keep = new Uint8Array(points.length);
+        keep[0] = keep[points.length - 1] = 1;
+        const stack = [[0, points.length - 1]];
+
+        while (stack.length > 0) {
+            const [first, last] = stack.pop();
+            const ax = points[first][0] * nodeWidth, ay = points[first][1] * nodeHeight;
+            const bx = points[last][0] * nodeWidth, by = points[last][1] * nodeHeight;
+
+            let maxDistance = 0;
+            let index = -1;
+            for (let i = first + 1; i < last; i++) {
+                const distance = this.distanceToSegment(
+                    points[i][0] * nodeWidth, points[i][1] * nodeHeight, ax, ay, bx, by);
+                // Pressure changes matter for pens even on straight lines
+                const pressureDelta = Math.abs(points[i][2] - points[first][2]) * 4;
+                const score = Math.max(distance, pressureDelta * tolerance);
+                if (score > maxDistance) {
+                    maxDistance = score;
+                    index = i;
+                }
+            }
+
+            if (index !== -1 && maxDistance > tolerance) {
+                keep[index] = 1;
+                stack.push([first, index], [index, last]);
+            }
+        }
+
+        const simplified = [];
+        for (let i = 0; i < points.length; i++) {
+            if (keep[i]) simplified.push(this.roundPoint(points[i]));
+        }
+        return simplified;
+    },
+
+    roundPoint([u, v, pressure]) {
+        return [
+            Math.round(u * 10000) / 10000,
+            Math.round(v * 10000) / 10000,
+            Math.round((pressure ?? 1) * 100) / 100
+        ];
+    },
+
+    distanceToSegment(px, py, ax, ay, bx, by) {
+        const dx = bx - ax;
+        const dy = by - ay;
+        const lengthSq = dx * dx + dy * dy;
+        const t = lengthSq > 0 ? Math.max(0, Math.min(1, ((px - ax) * dx + (py - ay) * dy) / lengthSq)) : 0;
+        return Math.hypot(px - (ax + t * dx), py - (ay + t * dy));
+    },
+
+    /**
+     * Whether a circle at (u, v) touches the stroke
+     * @param {number} radius - Eraser radius in node-local pixels
+     */
+    hitTest(node, stroke, u, v, radius) {
+        const [w, h] = node.size;
+        const px = u * w;
+        const py = v * h;
+        const points = stroke.points;
+
+        for (let i = 0; i < points.length; i++) {
+            const a = points[i];
+            const b = points[Math.min(i + 1, points.length - 1)];
+            const reach = radius + this.getRadius(stroke, Math.max(a[2], b[2]), w);
+            if (this.distanceToSegment(px, py, a[0] * w, a[1] * h, b[0] * w, b[1] * h) <= reach) {
+                return true;
+            }
+        }
+        return false;
+    },
+
+    // ===================================
+    // CANVAS 2D
+    // ===================================
+
+    /**
+     * Draw strokes with ctx already in node space (origin at the node's
+     * top-left corner, rotation applied). Paths are drawn as vectors so they
+     * stay sharp at any zoom.
+     */
+    drawToContext(ctx, node, strokes = this.getVisibleStrokes(node)) {
+        if (strokes.length === 0) return;
+
+        const [w, h] = node.size;
+
+        ctx.save();
+        ctx.beginPath();
+        ctx.rect(0, 0, w, h);
+        ctx.clip();
+        ctx.lineCap = 'round';
+        ctx.lineJoin = 'round';
+
+        for (const stroke of strokes) {
+            const points = stroke.points;
+            if (!points?.length) continue;
+
+            ctx.globalAlpha = stroke.opacity ?? 1;
+            ctx.strokeStyle = stroke.color;
+            ctx.fillStyle = stroke.color;
+
+            if (points.length === 1) {
+                ctx.beginPath();
+                ctx.arc(points[0][0] * w, points[0][1] * h, this.getRadius(stroke, points[0][2], w), 0, Math.PI * 2);
+                ctx.fill();
+            } else if (stroke.tool === 'marker') {
+                // One path so overlapping parts of the stroke don't darken
+                ctx.lineWidth = stroke.width * w;
+                ctx.beginPath();
+                ctx.moveTo(points[0][0] * w, points[0][1] * h);
+                for (let i = 1; i < points.length; i++) {
+                    ctx.lineTo(points[i][0] * w, points[i][1] * h);
+                }
+                ctx.stroke();
+            } else {
+                // Pens change width along the stroke, one segment at a time
+                for (let i = 1; i < points.length; i++) {
+                    const a = points[i - 1];
+                    const b = points[i];
+                    ctx.lineWidth = this.getRadius(stroke, a[2], w) + this.getRadius(stroke, b[2], w);
+                    ctx.beginPath();
+                    ctx.moveTo(a[0] * w, a[1] * h);
+                    ctx.lineTo(b[0] * w, b[1] * h);
+                    ctx.stroke();
+                }
+            }
+        }
+
+        ctx.restore();
+    },
+
+    // ===================================
+    // WEBGL
+    // ===================================
+
+    FLOATS_PER_VERTEX: 8,
+
+    /**
+     * Build capsule quads for WebGLRenderer - 6 vertices per segment of
+     * [x0, y0, x1, y1, r0, r1, along, across] in node-local pixels.
+     * The vertex shader expands the quads, the fragment shader computes the
+     * distance to the segment so edges are anti-aliased at every zoom level.
+     * @returns {Object} { vertices: Float32Array, ranges: [{ strokeId, first, count, color, opacity }] }
+     */
+    buildVertices(strokes, nodeWidth, nodeHeight) {
+        let segmentCount = 0;
+        for (const stroke of strokes) {
+            segmentCount += Math.max(1, (stroke.points?.length || 0) - 1);
+        }
+
+        const vertices = new Float32Array(segmentCount * 6 * this.FLOATS_PER_VERTEX);
+        const corners = [[-1, -1], [1, -1], [-1, 1], [-1, 1], [1, -1], [1, 1]];
+        const ranges = [];
+        let offset = 0;
+
+        for (const stroke of strokes) {
+            const points = stroke.points;
+            if (!points?.length) continue;
+
+            const first = offset / this.FLOATS_PER_VERTEX;
+            const last = Math.max(1, points.length - 1);
+
+            for (let i = 0; i < last; i++) {
+                const a = points[i];
+                const b = points[Math.min(i + 1, points.length - 1)];
+                const segment = [
+                    a[0] * nodeWidth, a[1] * nodeHeight,
+                    b[0] * nodeWidth, b[1] * nodeHeight,
+                    this.getRadius(stroke, a[2], nodeWidth),
+                    this.getRadius(stroke, b[2], nodeWidth)
+                ];
+                for (const corner of corners) {
+                    vertices.set(segment, offset);
+                    vertices[offset + 6] = corner[0];
+                    vertices[offset + 7] = corner[1];
+                    offset += this.FLOATS_PER_VERTEX;
+                }
+            }
+
+            ranges.push({
+                strokeId: stroke.id,
+                first,
+                count: offset / this.FLOATS_PER_VERTEX - first,
+                color: this.parseColor(stroke.color),
+                opacity: stroke.opacity ?? 1
+            });
+        }
+
+        return { vertices: vertices.subarray(0, offset), ranges };
+    },
+
+    /**
+     * '#rrggbb' or '#rgb' to [r, g, b] in 0-1
+     */
+    parseColor(color) {
+        let hex = String(color || '').replace('#', '');
+        if (hex.length === 3) {
+            hex = hex.split('').map(c => c + c).join('');
+        }
+        const value = parseInt(hex, 16);
+        if (hex.length !== 6 || isNaN(value)) return [1, 0, 0];
+        return [(value >> 16 & 255) / 255, (value >> 8 & 255) / 255, (value & 255) / 255];
+    }
+};
+
+if (typeof window !== 'undefined') {
+    window.AnnotationStrokes = AnnotationStrokes;
+}
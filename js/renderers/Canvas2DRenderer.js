@@ -18,6 +18,17 @@ class Canvas2DRenderer {
         // Future WebGL or optimised branches can intercept specific node types here.
         return false;
     }
+
+    /**
+     * Draw annotation strokes for a node the default canvas path just drew.
+     * ctx is in node space (translated and rotated).
+     * @param {CanvasRenderingContext2D} ctx
+     * @param {*} node
+     */
+    drawAnnotations(ctx, node) {
+        if (!AnnotationStrokes.supportsNode(node) || !AnnotationStrokes.hasVisibleStrokes(node)) return;
+        AnnotationStrokes.drawToContext(ctx, node);
+    }
 }
 
 // Expose globally for non-module environments
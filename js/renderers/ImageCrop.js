@@ -0,0 +1,193 @@
+/**
+ * ImageCrop - Non-destructive crop and flip for image nodes
+ *
+ * Stored in node.properties:
+ *   crop:  { x, y, w, h } normalized to the source image (unflipped), null = whole image
+ *   flipH: mirror left/right
+ *   flipV: mirror top/bottom
+ * The node's pos/size always describe the visible (cropped) region, so
+ * selection, alignment and bounding boxes need no special casing.
+ *
+ * Shared by WebGLRenderer, ImageNode (Canvas2D), CanvasExporter,
+ * TextureLODManager and the crop mode in canvas.js.
+ */
+const ImageCrop = {
+    FULL: Object.freeze({ x: 0, y: 0, w: 1, h: 1 }),
+
+    // Smallest crop as a fraction of the source - keeps the texture sample sane
+    MIN_SIZE: 0.01,
+
+    supportsNode(node) {
+        return node?.type === 'media/image';
+    },
+
+    getCrop(node) {
+        if (!this.supportsNode(node)) return this.FULL;
+        return this.normalize(node.properties?.crop) || this.FULL;
+    },
+
+    isCropped(node) {
+        return this.getCrop(node) !== this.FULL;
+    },
+
+    isTransformed(node) {
+        if (!this.supportsNode(node)) return false;
+        return this.isCropped(node) || !!node.properties?.flipH || !!node.properties?.flipV;
+    },
+
+    /**
+     * Clamp a crop rect to the source
+     * @returns {Object|null} The rect, or null if it covers the whole image or is invalid
+     */
+    normalize(crop) {
+        if (!crop || ![crop.x, crop.y, crop.w, crop.h].every(Number.isFinite)) return null;
+
+        const x = Math.min(Math.max(crop.x, 0), 1 - this.MIN_SIZE);
+        const y = Math.min(Math.max(crop.y, 0), 1 - this.MIN_SIZE);
+        const w = Math.min(Math.max(crop.w, this.MIN_SIZE), 1 - x);
+        const h = Math.min(Math.max(crop.h, this.MIN_SIZE), 1 - y);
+
+        const epsilon = 1e-4;
+        if (x < epsilon && y < epsilon && w > 1 - epsilon && h > 1 - epsilon) return null;
+        return { x, y, w, h };
+    },
+
+    /**
+     * Source-space rect to the rect as it appears on screen after flipping.
+     * Mirroring twice is a no-op, so this also converts back.
+     */
+    toDisplay(rect, flipH, flipV) {
+        return {
+            x: flipH ? 1 - rect.x - rect.w : rect.x,
+            y: flipV ? 1 - rect.y - rect.h : rect.y,
+            w: rect.w,
+            h: rect.h
+        };
+    },
+
+    getDisplayCrop(node) {
+        return this.toDisplay(this.getCrop(node), !!node.properties?.flipH, !!node.properties?.flipV);
+    },
+
+    /**
+     * Aspect ratio of the cropped region of a source
+     */
+    getAspect(node, sourceWidth, sourceHeight) {
+        const crop = this.getCrop(node);
+        return (sourceWidth * crop.w) / (sourceHeight * crop.h);
+    },
+
+    // ===================================
+    // GEOMETRY
+    // ===================================
+
+    /**
+     * Where the whole source image sits in node-local coordinates (origin at
+     * the node's top-left corner, before rotation)
+     * @returns {Object} { x, y, width, height }
+     */
+    getImageFrame(node) {
+        const display = this.getDisplayCrop(node);
+        const width = node.size[0] / display.w;
+        const height = node.size[1] / display.h;
+        return { x: -display.x * width, y: -display.y * height, width, height };
+    },
+
+    /**
+     * A rect in node-local coordinates of frame to graph pos/size, keeping it
+     * in place when the node is rotated
+     * @param {Object} frame - { pos, size, rotation } the rect is relative to
+     * @returns {Object} { pos, size }
+     */
+    localRectToGraph(frame, x, y, width, height) {
+        let dx = x + width / 2 - frame.size[0] / 2;
+        let dy = y + height / 2 - frame.size[1] / 2;
+
+        if (frame.rotation) {
+            const rad = frame.rotation * Math.PI / 180;
+            const cos = Math.cos(rad);
+            const sin = Math.sin(rad);
+            [dx, dy] = [dx * cos - dy * sin, dx * sin + dy * cos];
+        }
+
+        const centerX = frame.pos[0] + frame.size[0] / 2 + dx;
+        const centerY = frame.pos[1] + frame.size[1] / 2 + dy;
+        return {
+            pos: [centerX - width / 2, centerY - height / 2],
+            size: [width, height]
+        };
+    },
+
+    /**
+     * Node pos/size that shows the whole image again at the current scale
+     */
+    getUncroppedFrame(node) {
+        const image = this.getImageFrame(node);
+        return this.localRectToGraph(node, image.x, image.y, image.width, image.height);
+    },
+
+    // ===================================
+    // RENDERING
+    // ===================================
+
+    /**
+     * Texture coordinates for the node quad (TL, TR, BL, BR)
+     */
+    getTexCoords(node) {
+        const crop = this.getCrop(node);
+        let u0 = crop.x, u1 = crop.x + crop.w;
+        let v0 = crop.y, v1 = crop.y + crop.h;
+
+        if (this.supportsNode(node)) {
+            if (node.properties?.flipH) [u0, u1] = [u1, u0];
+            if (node.properties?.flipV) [v0, v1] = [v1, v0];
+        }
+
+        return new Float32Array([u0, v0, u1, v0, u0, v1, u1, v1]);
+    },
+
+    /**
+     * Draw the visible part of an image into node space (0, 0, width, height)
+     * @param {CanvasImageSource} image - Full source image, any resolution
+     */
+    drawImage(ctx, node, image, width = node.size[0], height = node.size[1]) {
+        if (!this.isTransformed(node)) {
+            ctx.drawImage(image, 0, 0, width, height);
+            return;
+        }
+
+        const crop = this.getCrop(node);
+        const sourceWidth = image.naturalWidth || image.videoWidth || image.width;
+        const sourceHeight = image.naturalHeight || image.videoHeight || image.height;
+
+        ctx.save();
+        if (node.properties.flipH) {
+            ctx.translate(width, 0);
+            ctx.scale(-1, 1);
+        }
+        if (node.properties.flipV) {
+            ctx.translate(0, height);
+            ctx.scale(1, -1);
+        }
+        ctx.drawImage(
+            image,
+            crop.x * sourceWidth, crop.y * sourceHeight,
+            crop.w * sourceWidth, crop.h * sourceHeight,
+            0, 0, width, height
+        );
+        ctx.restore();
+    },
+
+    /**
+     * Changes whenever the visible region changes - for render caches
+     */
+    getCacheKey(node) {
+        if (!this.isTransformed(node)) return '';
+        const crop = this.getCrop(node);
+        return `${crop.x},${crop.y},${crop.w},${crop.h},${node.properties.flipH ? 1 : 0}${node.properties.flipV ? 1 : 0}`;
+    }
+};
+
+if (typeof window !== 'undefined') {
+    window.ImageCrop = ImageCrop;
+}
@@ -1019,6 +1019,22 @@ class TextureLODManager {
         return null;
     }
     
+    /**
+     * Screen size the node's whole source image would cover. Cropped nodes
+     * only show part of the image, so they need more texture than their own
+     * screen size.
+     * @param {Object} node - Image or video node
+     * @param {number} scale - Viewport scale
+     * @returns {Array} [width, height] in CSS pixels (before DPR)
+     */
+    getSourceScreenSize(node, scale) {
+        const crop = ImageCrop.getCrop(node);
+        return [
+            node.size[0] * scale / crop.w,
+            node.size[1] * scale / crop.h
+        ];
+    }
+    
     /**
      * Evict textures that are oversized for their current screen space
      * @param {Array} visibleNodes - Array of currently visible nodes
@@ -1031,8 +1047,7 @@ class TextureLODManager {
             if (!node.properties?.hash) continue;
             
             // Calculate current screen space size
-            const screenWidth = node.size[0] * (this.canvas?.viewport?.scale || 1);
-            const screenHeight = node.size[1] * (this.canvas?.viewport?.scale || 1);
+            const [screenWidth, screenHeight] = this.getSourceScreenSize(node, this.canvas?.viewport?.scale || 1);
             const dpr = this.canvas?.viewport?.dpr || 1;
             const effectiveScreenWidth = screenWidth * dpr;
             const effectiveScreenHeight = screenHeight * dpr;
@@ -62,6 +62,16 @@ class WebGLRenderer {
             this.uHighlightsColor = this.gl.getUniformLocation(this.program, 'u_highlightsColor');
             this.uHighlightsLuminance = this.gl.getUniformLocation(this.program, 'u_highlightsLuminance');
             this.uHasColorBalance = this.gl.getUniformLocation(this.program, 'u_hasColorBalance');
+            
+            // 3D LUT uniforms
+            this.uLut = this.gl.getUniformLocation(this.program, 'u_lut');
+            this.uLutSize = this.gl.getUniformLocation(this.program, 'u_lutSize');
+            this.uLutColumns = this.gl.getUniformLocation(this.program, 'u_lutColumns');
+            this.uLutRows = this.gl.getUniformLocation(this.program, 'u_lutRows');
+            this.uLutDomainMin = this.gl.getUniformLocation(this.program, 'u_lutDomainMin');
+            this.uLutDomainMax = this.gl.getUniformLocation(this.program, 'u_lutDomainMax');
+            this.uLutIntensity = this.gl.getUniformLocation(this.program, 'u_lutIntensity');
+            this.uHasLut = this.gl.getUniformLocation(this.program, 'u_hasLut');
             this.positionLoc = this.gl.getAttribLocation(this.program, 'a_position');
             this.texLoc = this.gl.getAttribLocation(this.program, 'a_texCoord');
             this.resolutionLoc = this.gl.getUniformLocation(this.program, 'u_resolution');
@@ -80,7 +90,7 @@ class WebGLRenderer {
         this.gl.bindBuffer(this.gl.ELEMENT_ARRAY_BUFFER, this.indexBuffer);
         this.gl.bufferData(this.gl.ELEMENT_ARRAY_BUFFER, new Uint16Array([0,1,2, 2,1,3]), this.gl.STATIC_DRAW);
 
-        // Texture coord buffer (static 0-1)
+        // Texture coord buffer (0-1, refilled per node by _bindTexCoords)
         this.texBuffer = this.gl.createBuffer();
         this.gl.bindBuffer(this.gl.ARRAY_BUFFER, this.texBuffer);
         this.gl.bufferData(this.gl.ARRAY_BUFFER, new Float32Array([
@@ -161,6 +171,9 @@ class WebGLRenderer {
         
         // No more LUT texture cache needed - using parametric curves
         
+        // Imported 3D LUTs (node.lut), keyed by file hash
+        this.lutTextures = new Map(); // hash -> { texture, size, columns, rows, domainMin, domainMax } | { loading } | { failed }
+        
         // Cached color correction rendering
         this.colorCorrectedCache = new Map(); // nodeId -> { texture, framebuffer, width, height, timestamp, hash, adjustments }
         this.activeAdjustmentNodeId = null; // Track which node is being actively adjusted
@@ -361,7 +374,7 @@ class WebGLRenderer {
         // Check color balance
         const hasColorBalance = node.colorBalance && !node.colorBalanceBypassed;
         
-        return hasToneCurve || hasAdjustments || hasColorBalance;
+        return hasToneCurve || hasAdjustments || hasColorBalance || this._hasLut(node);
     }
     
     /**
@@ -381,6 +394,8 @@ class WebGLRenderer {
             // Color balance
             node.colorBalance ? JSON.stringify(node.colorBalance) : 'none',
             node.colorBalanceBypassed ? 'cb-bypass' : 'cb-active',
+            // LUT
+            this._getLutCacheKey(node),
             // Size (for resolution changes)
             Math.round(node.size[0]),
             Math.round(node.size[1])
@@ -482,6 +497,11 @@ class WebGLRenderer {
             return false;
         }
         
+        // Check LUT (including whether its texture has finished loading)
+        if (this._getLutCacheKey(node) !== cached.lutKey) {
+            return false;
+        }
+        
         return true;
     }
     
@@ -577,6 +597,76 @@ class WebGLRenderer {
         }
     }
     
+    /**
+     * Render a node's color-corrected image into a 2D canvas (used by CanvasExporter)
+     * @param {Object} node - Image or video node carrying the corrections
+     * @param {TexImageSource} source - Image, video frame or canvas already at output resolution
+     * @param {number} width - Output width in pixels
+     * @param {number} height - Output height in pixels
+     * @returns {HTMLCanvasElement|null} Canvas with corrected pixels or null on error
+     */
+    renderNodeForExport(node, source, width, height) {
+        const result = this.readCorrectedPixels(node, source, width, height);
+        if (!result) return null;
+
+        const output = document.createElement('canvas');
+        output.width = result.width;
+        output.height = result.height;
+        output.getContext('2d').putImageData(new ImageData(result.pixels, result.width, result.height), 0, 0);
+
+        return output;
+    }
+
+    /**
+     * Run a node's color correction over `source` off screen and read the pixels back
+     * (used by the export and the color scopes)
+     * @returns {{pixels: Uint8ClampedArray, width: number, height: number}|null} Straight-alpha RGBA, top row first
+     */
+    readCorrectedPixels(node, source, width, height) {
+        if (!this.gl || !this.program || !source) return null;
+
+        const gl = this.gl;
+
+        // Framebuffers can't exceed the texture limit - the exporter scales the result up
+        const maxSize = gl.getParameter(gl.MAX_TEXTURE_SIZE);
+        const fit = Math.min(1, maxSize / Math.max(width, height));
+        width = Math.max(1, Math.round(width * fit));
+        height = Math.max(1, Math.round(height * fit));
+
+        // Upload without premultiplying so the readback keeps straight alpha
+        const sourceTexture = gl.createTexture();
+        gl.bindTexture(gl.TEXTURE_2D, sourceTexture);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+        gl.pixelStorei(gl.UNPACK_PREMULTIPLY_ALPHA_WEBGL, false);
+        gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, source);
+        gl.pixelStorei(gl.UNPACK_PREMULTIPLY_ALPHA_WEBGL, true);
+
+        // Blending would multiply alpha into the color channels
+        const blendEnabled = gl.isEnabled(gl.BLEND);
+        gl.disable(gl.BLEND);
+
+        const fb = this._renderToTexture(node, sourceTexture, width, height);
+        gl.deleteTexture(sourceTexture);
+
+        if (blendEnabled) gl.enable(gl.BLEND);
+        if (!fb) return null;
+
+        // _renderToTexture flips texture coordinates, so row 0 is already the top row
+        const pixels = new Uint8ClampedArray(width * height * 4);
+        const prevFramebuffer = gl.getParameter(gl.FRAMEBUFFER_BINDING);
+        gl.bindFramebuffer(gl.FRAMEBUFFER, fb.framebuffer);
+        gl.readPixels(0, 0, width, height, gl.RGBA, gl.UNSIGNED_BYTE, pixels);
+        gl.bindFramebuffer(gl.FRAMEBUFFER, prevFramebuffer);
+
+        gl.deleteTexture(fb.texture);
+        gl.deleteFramebuffer(fb.framebuffer);
+
+        return { pixels, width, height };
+    }
+
     /**
      * Apply node uniforms for color corrections
      * @private
@@ -654,6 +744,115 @@ class WebGLRenderer {
             // Disable color balance
             gl.uniform1f(this.uHasColorBalance, 0.0);
         }
+        
+        this._applyLutUniforms(node);
+    }
+    
+    /**
+     * Whether a node has a LUT that should be applied
+     * @private
+     */
+    _hasLut(node) {
+        return !!(node.lut?.hash && node.lut.intensity > 0);
+    }
+    
+    /**
+     * Cache key part for a node's LUT. Includes whether the texture is
+     * ready, so renders cached before it loaded are redone once it arrives.
+     * @private
+     */
+    _getLutCacheKey(node) {
+        if (!this._hasLut(node)) return 'no-lut';
+        const ready = !!this.lutTextures.get(node.lut.hash)?.texture;
+        return `${node.lut.hash}:${node.lut.intensity}:${ready ? 'ready' : 'pending'}`;
+    }
+    
+    /**
+     * Bind a node's LUT to texture unit 1 and set its uniforms. The LUT is
+     * fetched on first use - until then the node renders without it.
+     * @private
+     */
+    _applyLutUniforms(node) {
+        const gl = this.gl;
+        const lut = this._hasLut(node) ? this._getLutTexture(node.lut.hash) : null;
+        
+        if (!lut) {
+            gl.uniform1f(this.uHasLut, 0.0);
+            return;
+        }
+        
+        gl.activeTexture(gl.TEXTURE1);
+        gl.bindTexture(gl.TEXTURE_2D, lut.texture);
+        gl.activeTexture(gl.TEXTURE0);
+        
+        gl.uniform1i(this.uLut, 1);
+        gl.uniform1f(this.uLutSize, lut.size);
+        gl.uniform1f(this.uLutColumns, lut.columns);
+        gl.uniform1f(this.uLutRows, lut.rows);
+        gl.uniform3fv(this.uLutDomainMin, lut.domainMin);
+        gl.uniform3fv(this.uLutDomainMax, lut.domainMax);
+        gl.uniform1f(this.uLutIntensity, Math.min(1, Math.max(0, node.lut.intensity)));
+        gl.uniform1f(this.uHasLut, 1.0);
+    }
+    
+    /**
+     * @returns {Object|null} Loaded LUT texture entry, or null while loading/failed
+     * @private
+     */
+    _getLutTexture(hash) {
+        const entry = this.lutTextures.get(hash);
+        if (!entry) {
+            this._loadLut(hash);
+            return null;
+        }
+        return entry.texture ? entry : null;
+    }
+    
+    /**
+     * Fetch a .cube file from the server and upload it as a texture
+     * @private
+     */
+    async _loadLut(hash) {
+        this.lutTextures.set(hash, { loading: true });
+        
+        try {
+            const response = await fetch(`${CONFIG.ENDPOINTS.LUTS}/${hash}`);
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            
+            const lut = CubeLUT.parse(await response.text());
+            const { pixels, width, height, columns, rows } = CubeLUT.toTexture(lut);
+            
+            const gl = this.gl;
+            if (!gl) return;
+            
+            const texture = gl.createTexture();
+            gl.bindTexture(gl.TEXTURE_2D, texture);
+            gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+            gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+            gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+            gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+            gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, width, height, 0, gl.RGBA, gl.UNSIGNED_BYTE, pixels);
+            gl.bindTexture(gl.TEXTURE_2D, null);
+            
+            this.lutTextures.set(hash, {
+                texture,
+                size: lut.size,
+                columns,
+                rows,
+                domainMin: lut.domainMin,
+                domainMax: lut.domainMax
+            });
+            
+            // Cache keys include LUT readiness, so a redraw picks it up
+            if (this.canvas) {
+                this.canvas.dirty_canvas = true;
+            }
+        } catch (error) {
+            console.error(`❌ Failed to load LUT ${hash.substring(0, 8)}:`, error);
+            this.lutTextures.set(hash, { failed: true });
+        }
     }
     
     /**
@@ -681,7 +880,8 @@ class WebGLRenderer {
                 node.adjustments.hue !== 0
             )) ||
             (node.toneCurve && !node.toneCurveBypassed) ||
-            (node.colorBalance && !node.colorBalanceBypassed);
+            (node.colorBalance && !node.colorBalanceBypassed) ||
+            this._hasLut(node);
         
         if (!hasColorCorrections) {
             // No corrections, no need for cache
@@ -757,7 +957,8 @@ class WebGLRenderer {
             colorBalance: node.colorBalance ? JSON.parse(JSON.stringify(node.colorBalance)) : null,
             toneCurveBypassed: node.toneCurveBypassed,
             colorAdjustmentsBypassed: node.colorAdjustmentsBypassed,
-            colorBalanceBypassed: node.colorBalanceBypassed
+            colorBalanceBypassed: node.colorBalanceBypassed,
+            lutKey: this._getLutCacheKey(node)
         };
         
         this.colorCorrectedCache.set(cacheKey, cacheData);
@@ -851,6 +1052,16 @@ class WebGLRenderer {
             uniform vec3 u_highlightsColor;
             uniform float u_highlightsLuminance;
             uniform float u_hasColorBalance;
+            
+            // 3D LUT packed as a 2D texture of blue slices (see CubeLUT.toTexture)
+            uniform sampler2D u_lut;
+            uniform float u_lutSize;
+            uniform float u_lutColumns;
+            uniform float u_lutRows;
+            uniform vec3 u_lutDomainMin;
+            uniform vec3 u_lutDomainMax;
+            uniform float u_lutIntensity;
+            uniform float u_hasLut;
 
             vec3 rgb2hsv(vec3 c) {
                 vec4 K = vec4(0., -1./3., 2./3., -1.);
@@ -1006,6 +1217,35 @@ class WebGLRenderer {
                 return applyLiftGammaGain(color, lift, gamma, gain);
             }
 
+            // Bilinear lookup of red/green within one blue slice. Coordinates are
+            // inset half a texel so filtering never bleeds into the next tile.
+            // A 65³ LUT is ~600 texels wide, past what mediump can address exactly.
+            #ifdef GL_FRAGMENT_PRECISION_HIGH
+            #define LUT_PRECISION highp
+            #else
+            #define LUT_PRECISION mediump
+            #endif
+            vec3 sampleLutSlice(vec2 rg, float slice) {
+                LUT_PRECISION float column = mod(slice, u_lutColumns);
+                LUT_PRECISION float row = floor(slice / u_lutColumns);
+                LUT_PRECISION vec2 texel = rg * (u_lutSize - 1.0) + 0.5 + vec2(column, row) * u_lutSize;
+                return texture2D(u_lut, texel / (vec2(u_lutColumns, u_lutRows) * u_lutSize)).rgb;
+            }
+            
+            vec3 applyLut(vec3 color) {
+                if (u_hasLut < 0.5) return color;
+                
+                vec3 coord = clamp((color - u_lutDomainMin) / (u_lutDomainMax - u_lutDomainMin), 0.0, 1.0);
+                float blue = coord.b * (u_lutSize - 1.0);
+                float slice = floor(blue);
+                vec3 graded = mix(
+                    sampleLutSlice(coord.rg, slice),
+                    sampleLutSlice(coord.rg, min(slice + 1.0, u_lutSize - 1.0)),
+                    blue - slice
+                );
+                return mix(color, graded, u_lutIntensity);
+            }
+
             void main() {
                 vec4 color = texture2D(u_image, v_texCoord);
                 
@@ -1042,6 +1282,9 @@ class WebGLRenderer {
                     color.b += tint * 0.05;
                 }
                 
+                // Imported LUT is the last pass, on top of the rest of the grade
+                color.rgb = applyLut(color.rgb);
+                
                 // Apply opacity
                 color.a *= u_opacity;
                 
@@ -1246,6 +1489,9 @@ class WebGLRenderer {
         this.gl.clearColor(0,0,0,0);
         this.gl.clear(this.gl.COLOR_BUFFER_BIT | this.gl.DEPTH_BUFFER_BIT);
         
+        // Each annotation stroke gets its own depth, starting at the back
+        this._annotationDepth = 0.999;
+        
         // Track if we'll draw anything with WebGL this frame
         this._hasCleared = true;
         this._willDrawWebGL = false;
@@ -1480,10 +1726,8 @@ class WebGLRenderer {
         this.gl.enableVertexAttribArray(this.positionLoc);
         this.gl.vertexAttribPointer(this.positionLoc, 2, this.gl.FLOAT, false, 0, 0);
 
-        // Texcoords
-        this.gl.bindBuffer(this.gl.ARRAY_BUFFER, this.texBuffer);
-        this.gl.enableVertexAttribArray(this.texLoc);
-        this.gl.vertexAttribPointer(this.texLoc, 2, this.gl.FLOAT, false, 0, 0);
+        // Texcoords (crop and flip)
+        this._bindTexCoords(node);
 
         // Bind texture
         this.gl.activeTexture(this.gl.TEXTURE0);
@@ -1527,6 +1771,7 @@ class WebGLRenderer {
             // Disable all color corrections in shader
             this.gl.uniform1f(this.uHasToneCurve, 0.0);
             this.gl.uniform1f(this.uHasColorBalance, 0.0);
+            this.gl.uniform1f(this.uHasLut, 0.0);
         } else {
             // Handle tone curve control points
         if (node.toneCurve && node.toneCurve.controlPoints && !node.toneCurveBypassed) {
@@ -1573,6 +1818,8 @@ class WebGLRenderer {
             // Disable color balance
             this.gl.uniform1f(this.uHasColorBalance, 0.0);
         }
+        
+        this._applyLutUniforms(node);
         } // Close the else block for usingCachedTexture check
 
         // Draw
@@ -1661,8 +1908,7 @@ class WebGLRenderer {
                     visibleHashes.add(node.properties.hash);
                     
                     // Check if this node needs full resolution
-                    const screenWidth = node.size[0] * vp.scale;
-                    const screenHeight = node.size[1] * vp.scale;
+                    const [screenWidth, screenHeight] = this.lodManager.getSourceScreenSize(node, vp.scale);
                     const screenSize = Math.max(screenWidth, screenHeight);
                     
                     // Mark as high zoom if it needs full resolution (>1400px on screen)
@@ -1699,6 +1945,26 @@ class WebGLRenderer {
     }
 
     drawNode(ctx2d, node) {
+        const handled = this._drawMediaNode(ctx2d, node);
+
+        // Strokes have to go on the GL canvas too, the 2D canvas sits underneath it
+        if (handled && AnnotationStrokes.hasVisibleStrokes(node)) {
+            this._drawAnnotations(node);
+        }
+
+        return handled;
+    }
+
+    /**
+     * Annotations for media nodes that fell back to the 2D path (texture not
+     * ready yet). ctx is in node space.
+     */
+    drawAnnotations(ctx, node) {
+        if (!AnnotationStrokes.supportsNode(node) || !AnnotationStrokes.hasVisibleStrokes(node)) return;
+        AnnotationStrokes.drawToContext(ctx, node);
+    }
+
+    _drawMediaNode(ctx2d, node) {
         if (!this.gl) {
             if (window.DEBUG_LOD_STATUS) console.log('❌ No WebGL context');
             return false; // No GL support.
@@ -1776,8 +2042,7 @@ class WebGLRenderer {
                     node._webglWaiting = false; // Clear waiting flag
                     return this._renderWithTexture(ctx2d, node, texture);
                 } else if (this.lodManager && node.properties?.hash) {
-                    const screenWidth = node.size[0] * vp.scale;
-                    const screenHeight = node.size[1] * vp.scale;
+                    const [screenWidth, screenHeight] = this.lodManager.getSourceScreenSize(node, vp.scale);
                     const screenSize = Math.max(screenWidth, screenHeight);
                     
                     // For high DPI displays, use full DPR to get actual pixel count
@@ -1936,9 +2201,11 @@ class WebGLRenderer {
         // Calculate screen size for LOD selection
         // node.size = size of the node in graph coordinates
         // vp.scale = zoom level (e.g., 2.0 = 200% zoom)
-        // Result: how many pixels the node takes up on screen (before DPR)
-        const screenWidth = node.size[0] * vp.scale;
-        const screenHeight = node.size[1] * vp.scale;
+        // Result: how many pixels the source image takes up on screen (before DPR),
+        // larger than the node itself when it is cropped
+        const [screenWidth, screenHeight] = this.lodManager
+            ? this.lodManager.getSourceScreenSize(node, vp.scale)
+            : [node.size[0] * vp.scale, node.size[1] * vp.scale];
         const screenSize = Math.max(screenWidth, screenHeight);
         
         // DEBUG: Log LOD calculation details on page load
@@ -2277,10 +2544,8 @@ class WebGLRenderer {
         this.gl.enableVertexAttribArray(this.positionLoc);
         this.gl.vertexAttribPointer(this.positionLoc, 2, this.gl.FLOAT, false, 0, 0);
 
-        // Texcoords
-        this.gl.bindBuffer(this.gl.ARRAY_BUFFER, this.texBuffer);
-        this.gl.enableVertexAttribArray(this.texLoc);
-        this.gl.vertexAttribPointer(this.texLoc, 2, this.gl.FLOAT, false, 0, 0);
+        // Texcoords (crop and flip)
+        this._bindTexCoords(node);
 
         // Bind texture
         this.gl.activeTexture(this.gl.TEXTURE0);
@@ -2324,6 +2589,7 @@ class WebGLRenderer {
             // Disable all color corrections in shader
             this.gl.uniform1f(this.uHasToneCurve, 0.0);
             this.gl.uniform1f(this.uHasColorBalance, 0.0);
+            this.gl.uniform1f(this.uHasLut, 0.0);
         } else {
             // Handle tone curve control points
         if (node.toneCurve && node.toneCurve.controlPoints && !node.toneCurveBypassed) {
@@ -2370,6 +2636,8 @@ class WebGLRenderer {
             // Disable color balance
             this.gl.uniform1f(this.uHasColorBalance, 0.0);
         }
+        
+        this._applyLutUniforms(node);
         } // Close the else block for usingCachedTexture check
 
         // Draw
@@ -2449,10 +2717,247 @@ class WebGLRenderer {
         return true;
     }
     
+    // ===================================
+    // ANNOTATIONS
+    // ===================================
+
+    _initAnnotationProgram() {
+        const gl = this.gl;
+
+        const vsSource = `
+            attribute vec4 a_segment;   // x0, y0, x1, y1 in node-local pixels
+            attribute vec2 a_radii;     // radius at each end
+            attribute vec2 a_corner;    // -1/1 along and across the segment
+            uniform vec2 u_resolution;
+            uniform vec2 u_center;      // node center in device pixels
+            uniform vec2 u_halfSize;    // half node size in node-local pixels
+            uniform float u_scale;      // device pixels per node-local pixel
+            uniform vec2 u_rotation;    // cos, sin
+            uniform float u_depth;
+            varying vec2 v_local;
+            varying vec4 v_segment;
+            varying vec2 v_radii;
+            void main() {
+                vec2 p0 = a_segment.xy;
+                vec2 p1 = a_segment.zw;
+                vec2 dir = p1 - p0;
+                float len = length(dir);
+                dir = len > 0.0 ? dir / len : vec2(1.0, 0.0);
+                vec2 normal = vec2(-dir.y, dir.x);
+
+                // Cover the round caps plus a pixel for anti-aliasing
+                float reach = max(a_radii.x, a_radii.y) + 1.5 / u_scale;
+                vec2 local = (a_corner.x < 0.0 ? p0 : p1) + (dir * a_corner.x + normal * a_corner.y) * reach;
+
+                v_local = local;
+                v_segment = a_segment;
+                v_radii = a_radii;
+
+                vec2 offset = (local - u_halfSize) * u_scale;
+                vec2 rotated = vec2(offset.x * u_rotation.x - offset.y * u_rotation.y,
+                                    offset.x * u_rotation.y + offset.y * u_rotation.x);
+                vec2 clip = (u_center + rotated) / u_resolution * 2.0 - 1.0;
+                gl_Position = vec4(clip * vec2(1, -1), u_depth, 1);
+            }`;
+
+        const fsSource = `
+            #ifdef GL_FRAGMENT_PRECISION_HIGH
+            precision highp float;
+            #else
+            precision mediump float;
+            #endif
+            uniform vec4 u_color;
+            uniform vec2 u_size;
+            uniform float u_scale;
+            uniform float u_solidOnly;
+            varying vec2 v_local;
+            varying vec4 v_segment;
+            varying vec2 v_radii;
+            void main() {
+                // Strokes stay inside the media
+                if (v_local.x < 0.0 || v_local.y < 0.0 || v_local.x > u_size.x || v_local.y > u_size.y) discard;
+
+                vec2 pa = v_local - v_segment.xy;
+                vec2 ba = v_segment.zw - v_segment.xy;
+                float h = clamp(dot(pa, ba) / max(dot(ba, ba), 0.000001), 0.0, 1.0);
+                float radius = mix(v_radii.x, v_radii.y, h);
+                float distance = (length(pa - ba * h) - radius) * u_scale;
+                float coverage = clamp(0.5 - distance, 0.0, 1.0);
+
+                if (coverage <= 0.0 || (u_solidOnly > 0.5 && coverage < 1.0)) discard;
+                gl_FragColor = vec4(u_color.rgb, u_color.a * coverage);
+            }`;
+
+        const compile = (src, type) => {
+            const shader = gl.createShader(type);
+            gl.shaderSource(shader, src);
+            gl.compileShader(shader);
+            if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
+                console.error('Annotation shader compile error:', gl.getShaderInfoLog(shader));
+                return null;
+            }
+            return shader;
+        };
+
+        const vs = compile(vsSource, gl.VERTEX_SHADER);
+        const fs = compile(fsSource, gl.FRAGMENT_SHADER);
+        if (!vs || !fs) return null;
+
+        const program = gl.createProgram();
+        gl.attachShader(program, vs);
+        gl.attachShader(program, fs);
+        gl.linkProgram(program);
+        if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
+            console.error('Annotation program link error:', gl.getProgramInfoLog(program));
+            return null;
+        }
+
+        const uniforms = {};
+        for (const name of ['u_resolution', 'u_center', 'u_halfSize', 'u_scale', 'u_rotation',
+                            'u_depth', 'u_color', 'u_size', 'u_solidOnly']) {
+            uniforms[name] = gl.getUniformLocation(program, name);
+        }
+
+        return {
+            program,
+            uniforms,
+            segmentLoc: gl.getAttribLocation(program, 'a_segment'),
+            radiiLoc: gl.getAttribLocation(program, 'a_radii'),
+            cornerLoc: gl.getAttribLocation(program, 'a_corner'),
+            previewBuffer: gl.createBuffer(),
+            cache: new Map() // nodeId -> { annotations, width, height, buffer, ranges }
+        };
+    }
+
+    /**
+     * Stroke geometry for a node, rebuilt only when its annotations or size change
+     */
+    _getAnnotationGeometry(node) {
+        const gl = this.gl;
+        const cache = this.annotationGL.cache;
+        const annotations = node.properties.annotations;
+        const [width, height] = node.size;
+
+        let entry = cache.get(node.id);
+        if (entry && entry.annotations === annotations && entry.width === width && entry.height === height) {
+            return entry;
+        }
+
+        const { vertices, ranges } = AnnotationStrokes.buildVertices(annotations, width, height);
+        const buffer = entry?.buffer || gl.createBuffer();
+        gl.bindBuffer(gl.ARRAY_BUFFER, buffer);
+        gl.bufferData(gl.ARRAY_BUFFER, vertices, gl.STATIC_DRAW);
+
+        entry = { annotations, width, height, buffer, ranges };
+        cache.set(node.id, entry);
+        return entry;
+    }
+
+    /**
+     * Draw a node's annotation strokes over its media on the GL canvas
+     * @private
+     */
+    _drawAnnotations(node) {
+        const gl = this.gl;
+        if (!this.annotationGL) {
+            this.annotationGL = this._initAnnotationProgram();
+        }
+        const annotationGL = this.annotationGL;
+        if (!annotationGL) return;
+
+        const vp = this.canvas.viewport;
+        const dpr = vp.dpr;
+        const graphPos = node._gridAnimPos || node._animPos || node.pos;
+        const screenPos = vp.convertGraphToOffset(graphPos[0], graphPos[1]);
+        const scale = vp.scale * dpr;
+        const rad = (node.rotation || 0) * Math.PI / 180;
+
+        const { uniforms } = annotationGL;
+        gl.useProgram(annotationGL.program);
+        gl.uniform2f(uniforms.u_resolution, this.glCanvas.width, this.glCanvas.height);
+        gl.uniform2f(uniforms.u_center,
+            screenPos[0] * dpr + node.size[0] * scale / 2,
+            screenPos[1] * dpr + node.size[1] * scale / 2);
+        gl.uniform2f(uniforms.u_halfSize, node.size[0] / 2, node.size[1] / 2);
+        gl.uniform2f(uniforms.u_size, node.size[0], node.size[1]);
+        gl.uniform1f(uniforms.u_scale, scale);
+        gl.uniform2f(uniforms.u_rotation, Math.cos(rad), Math.sin(rad));
+
+        // Straight alpha over the media, keeping the canvas alpha opaque
+        gl.blendFuncSeparate(gl.SRC_ALPHA, gl.ONE_MINUS_SRC_ALPHA, gl.ONE, gl.ONE_MINUS_SRC_ALPHA);
+        // A pixel is only painted once per stroke, so markers don't darken where they overlap themselves
+        gl.enable(gl.DEPTH_TEST);
+        gl.depthFunc(gl.LESS);
+        gl.depthMask(true);
+
+        if (this._annotationDepth === undefined) {
+            this._annotationDepth = 0.999;
+        }
+
+        if (node.properties.annotations?.length) {
+            const geometry = this._getAnnotationGeometry(node);
+            const hidden = node._erasingStrokeIds;
+            this._drawAnnotationRanges(geometry.buffer,
+                hidden?.size ? geometry.ranges.filter(range => !hidden.has(range.strokeId)) : geometry.ranges);
+        }
+
+        const previewStroke = AnnotationStrokes.getPreview(node);
+        if (previewStroke) {
+            const preview = AnnotationStrokes.buildVertices([previewStroke], node.size[0], node.size[1]);
+            gl.bindBuffer(gl.ARRAY_BUFFER, annotationGL.previewBuffer);
+            gl.bufferData(gl.ARRAY_BUFFER, preview.vertices, gl.DYNAMIC_DRAW);
+            this._drawAnnotationRanges(annotationGL.previewBuffer, preview.ranges);
+        }
+
+        gl.disable(gl.DEPTH_TEST);
+        gl.blendFunc(gl.ONE, gl.ONE_MINUS_SRC_ALPHA);
+        for (const loc of [annotationGL.segmentLoc, annotationGL.radiiLoc, annotationGL.cornerLoc]) {
+            gl.disableVertexAttribArray(loc);
+        }
+    }
+
+    _drawAnnotationRanges(buffer, ranges) {
+        const gl = this.gl;
+        const { uniforms, segmentLoc, radiiLoc, cornerLoc } = this.annotationGL;
+        const stride = AnnotationStrokes.FLOATS_PER_VERTEX * 4;
+
+        gl.bindBuffer(gl.ARRAY_BUFFER, buffer);
+        gl.enableVertexAttribArray(segmentLoc);
+        gl.vertexAttribPointer(segmentLoc, 4, gl.FLOAT, false, stride, 0);
+        gl.enableVertexAttribArray(radiiLoc);
+        gl.vertexAttribPointer(radiiLoc, 2, gl.FLOAT, false, stride, 16);
+        gl.enableVertexAttribArray(cornerLoc);
+        gl.vertexAttribPointer(cornerLoc, 2, gl.FLOAT, false, stride, 24);
+
+        for (const range of ranges) {
+            gl.uniform4f(uniforms.u_color, range.color[0], range.color[1], range.color[2], range.opacity);
+            gl.uniform1f(uniforms.u_depth, this._annotationDepth);
+            this._annotationDepth = Math.max(-0.999, this._annotationDepth - 0.0001);
+
+            // Solid interior first, then the anti-aliased edge where the interior didn't reach
+            gl.uniform1f(uniforms.u_solidOnly, 1);
+            gl.drawArrays(gl.TRIANGLES, range.first, range.count);
+            gl.uniform1f(uniforms.u_solidOnly, 0);
+            gl.drawArrays(gl.TRIANGLES, range.first, range.count);
+        }
+    }
+
     /**
      * Draw a cached node texture
      * @private
      */
+    /**
+     * Per-node texture coordinates - crop and flip sample a sub-rectangle of
+     * the full texture (see ImageCrop)
+     */
+    _bindTexCoords(node) {
+        const gl = this.gl;
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.texBuffer);
+        gl.bufferData(gl.ARRAY_BUFFER, ImageCrop.getTexCoords(node), gl.DYNAMIC_DRAW);
+        gl.enableVertexAttribArray(this.texLoc);
+        gl.vertexAttribPointer(this.texLoc, 2, gl.FLOAT, false, 0, 0);
+    }
+    
     _drawCachedNode(node, cached, offsetX, offsetY, scale, opacity) {
         const gl = this.gl;
         const vp = this.canvas.viewport;
@@ -2522,10 +3027,8 @@ class WebGLRenderer {
         gl.enableVertexAttribArray(this.positionLoc);
         gl.vertexAttribPointer(this.positionLoc, 2, gl.FLOAT, false, 0, 0);
         
-        // Texture coordinates
-        gl.bindBuffer(gl.ARRAY_BUFFER, this.texBuffer);
-        gl.enableVertexAttribArray(this.texLoc);
-        gl.vertexAttribPointer(this.texLoc, 2, gl.FLOAT, false, 0, 0);
+        // Texture coordinates - the cache holds the full image, crop and flip still apply
+        this._bindTexCoords(node);
         
         // Bind cached texture
         gl.activeTexture(gl.TEXTURE0);
@@ -3121,6 +3624,14 @@ class WebGLRenderer {
             if (this.atlasManager) {
                 this.atlasManager.clear();
             }
+            
+            // Clean up imported LUTs
+            for (const entry of this.lutTextures.values()) {
+                if (entry.texture) {
+                    this.gl.deleteTexture(entry.texture);
+                }
+            }
+            this.lutTextures.clear();
         }
     }
     
@@ -0,0 +1,380 @@
+/**
+ * AnnotationTool - Pen, marker and eraser for marking up image and video nodes
+ * Toggled with B. While active, left-drag on media draws instead of selecting;
+ * space/ctrl-drag still pans. Strokes sync through annotation_add/annotation_remove.
+ */
+class AnnotationTool {
+    constructor(app) {
+        this.app = app;
+        this.canvas = app.graphCanvas;
+        this.active = false;
+
+        this.tool = localStorage.getItem('imagecanvas_annotation_tool') || 'pen'; // pen, marker, eraser
+        this.color = localStorage.getItem('imagecanvas_annotation_color') || CONFIG.ANNOTATIONS.COLORS[0];
+
+        this.drawing = null; // { node, stroke, pointerId } while a stroke is in progress
+        this.erasing = null; // { node, strokeIds, pointerId } while the eraser is down
+
+        this.createToolbar();
+        this.setupEventListeners();
+    }
+
+    get isBusy() {
+        return !!(this.drawing || this.erasing);
+    }
+
+    createToolbar() {
+        this.toolbar = document.createElement('div');
+        this.toolbar.className = 'annotation-toolbar';
+        this.toolbar.style.cssText = `
+            position: fixed;
+            top: 44px;
+            left: 50%;
+            transform: translateX(-50%);
+            display: none;
+            align-items: center;
+            gap: 6px;
+            padding: 6px 10px;
+            background: rgba(30, 30, 30, 0.95);
+            border: 1px solid #444;
+            border-radius: 8px;
+            box-shadow: 0 4px 16px rgba(0, 0, 0, 0.4);
+            font-family: ${FONT_CONFIG.APP_FONT};
+            font-size: 11px;
+            color: #ccc;
+            z-index: 1000;
+        `;
+
+        const buttonStyle = 'background: #252525; color: #ccc; border: 1px solid #333; border-radius: 4px; padding: 4px 8px; cursor: pointer; font-size: 11px;';
+        const tools = [['pen', 'Pen'], ['marker', 'Marker'], ['eraser', 'Eraser']];
+
+        this.toolbar.innerHTML = `
+            ${tools.map(([tool, label]) => `<button class="annotation-tool-btn" data-tool="${tool}" style="${buttonStyle}">${label}</button>`).join('')}
+            <span style="width: 1px; height: 18px; background: #444; margin: 0 4px;"></span>
+            ${CONFIG.ANNOTATIONS.COLORS.map(color => `
+                <button class="annotation-color-btn" data-color="${color}" title="${color}"
+                    style="width: 18px; height: 18px; border-radius: 50%; background: ${color}; border: 2px solid transparent; padding: 0; cursor: pointer;"></button>
+            `).join('')}
+            <span style="width: 1px; height: 18px; background: #444; margin: 0 4px;"></span>
+            <button class="annotation-done-btn" style="${buttonStyle}">Done</button>
+        `;
+
+        document.body.appendChild(this.toolbar);
+        this.updateToolbar();
+    }
+
+    updateToolbar() {
+        for (const button of this.toolbar.querySelectorAll('.annotation-tool-btn')) {
+            const selected = button.dataset.tool === this.tool;
+            button.style.background = selected ? '#4af' : '#252525';
+            button.style.color = selected ? '#fff' : '#ccc';
+        }
+        for (const button of this.toolbar.querySelectorAll('.annotation-color-btn')) {
+            button.style.borderColor = button.dataset.color === this.color ? '#fff' : 'transparent';
+        }
+    }
+
+    setupEventListeners() {
+        this.toolbar.addEventListener('click', (e) => {
+            const toolButton = e.target.closest('.annotation-tool-btn');
+            const colorButton = e.target.closest('.annotation-color-btn');
+
+            if (toolButton) {
+                this.setTool(toolButton.dataset.tool);
+            } else if (colorButton) {
+                this.setColor(colorButton.dataset.color);
+            } else if (e.target.closest('.annotation-done-btn')) {
+                this.deactivate();
+            }
+        });
+
+        // Pointer events carry pen pressure. Capture phase so the canvas's own
+        // mouse handling never sees a drawing gesture.
+        const element = this.canvas.canvas;
+        element.addEventListener('pointerdown', (e) => this.onPointerDown(e), true);
+        element.addEventListener('pointermove', (e) => this.onPointerMove(e), true);
+        element.addEventListener('pointerup', (e) => this.onPointerUp(e), true);
+        element.addEventListener('pointercancel', (e) => this.onPointerUp(e, { cancelled: true }), true);
+
+        document.addEventListener('keydown', (e) => {
+            if (this.active && e.key === 'Escape') {
+                this.deactivate();
+            }
+        });
+    }
+
+    // ===================================
+    // STATE
+    // ===================================
+
+    toggle() {
+        if (this.active) {
+            this.deactivate();
+        } else {
+            this.activate();
+        }
+    }
+
+    activate() {
+        if (this.app.canvasPermissions?.isReadOnly()) {
+            this.app.canvasPermissions.notifyReadOnly();
+            return;
+        }
+
+        this.active = true;
+        this.toolbar.style.display = 'flex';
+        this.updateCursor();
+    }
+
+    deactivate() {
+        this.cancel();
+        this.active = false;
+        this.toolbar.style.display = 'none';
+        this.canvas.canvas.style.cursor = '';
+        this.canvas.updateCursor();
+    }
+
+    setTool(tool) {
+        this.tool = tool;
+        localStorage.setItem('imagecanvas_annotation_tool', tool);
+        this.updateToolbar();
+        this.updateCursor();
+    }
+
+    setColor(color) {
+        this.color = color;
+        localStorage.setItem('imagecanvas_annotation_color', color);
+        if (this.tool === 'eraser') {
+            this.setTool('pen');
+        }
+        this.updateToolbar();
+    }
+
+    getCursor() {
+        return this.tool === 'eraser' ? 'cell' : 'crosshair';
+    }
+
+    updateCursor() {
+        if (this.active) {
+            this.canvas.canvas.style.cursor = this.getCursor();
+        }
+    }
+
+    /**
+     * Drop an unfinished stroke or erase without syncing anything
+     */
+    cancel() {
+        if (this.drawing) {
+            delete this.drawing.node._annotationPreview;
+            this.drawing = null;
+        }
+        if (this.erasing) {
+            delete this.erasing.node._erasingStrokeIds;
+            this.erasing = null;
+        }
+        this.canvas.dirty_canvas = true;
+    }
+
+    // ===================================
+    // INPUT
+    // ===================================
+
+    getGraphPoint(e) {
+        const [x, y] = this.canvas.viewport.convertCanvasToOffset(e.clientX, e.clientY);
+        return this.canvas.viewport.convertOffsetToGraph(x, y);
+    }
+
+    getPressure(e) {
+        // Mice report 0.5 while a button is down - treat them as full pressure
+        return e.pointerType === 'pen' && e.pressure > 0 ? e.pressure : 1;
+    }
+
+    onPointerDown(e) {
+        if (!this.active || e.button !== 0 || this.isBusy) return;
+        if (this.canvas.isPanDragEnabled(e)) return; // Let the canvas pan
+        if (this.app.galleryViewManager?.active) return;
+
+        e.preventDefault();
+        e.stopPropagation();
+
+        if (this.app.canvasPermissions?.isReadOnly()) {
+            this.app.canvasPermissions.notifyReadOnly();
+            this.deactivate();
+            return;
+        }
+
+        const [gx, gy] = this.getGraphPoint(e);
+        const hit = this.canvas.handleDetector.getNodeAtPosition(gx, gy, this.canvas.graph.nodes);
+        const node = hit?.node || hit;
+        if (!AnnotationStrokes.supportsNode(node)) return;
+
+        this.canvas.canvas.setPointerCapture(e.pointerId);
+        const [u, v] = AnnotationStrokes.graphToNode(node, gx, gy);
+
+        if (this.tool === 'eraser') {
+            this.erasing = { node, strokeIds: new Set(), pointerId: e.pointerId };
+            node._erasingStrokeIds = this.erasing.strokeIds;
+            this.eraseAt(node, u, v);
+            return;
+        }
+
+        const width = this.tool === 'marker' ? CONFIG.ANNOTATIONS.MARKER_WIDTH : CONFIG.ANNOTATIONS.PEN_WIDTH;
+        const stroke = {
+            id: this.generateStrokeId(),
+            tool: this.tool,
+            color: this.color,
+            opacity: this.tool === 'marker' ? CONFIG.ANNOTATIONS.MARKER_OPACITY : 1,
+            // Screen width at the current zoom, stored relative to the node
+            width: width / (this.canvas.viewport.scale * node.size[0]),
+            points: [[u, v, this.getPressure(e)]],
+            authorId: this.app.networkLayer?.numericUserId || null,
+            createdAt: Date.now()
+        };
+
+        this.drawing = { node, stroke, pointerId: e.pointerId };
+        node._annotationPreview = stroke;
+        this.canvas.dirty_canvas = true;
+    }
+
+    onPointerMove(e) {
+        const current = this.drawing || this.erasing;
+        if (!current || e.pointerId !== current.pointerId) return;
+
+        e.preventDefault();
+        e.stopPropagation();
+
+        const node = current.node;
+        // Pens report more samples than we get events for
+        const events = e.getCoalescedEvents?.() || [e];
+
+        for (const event of events) {
+            const [gx, gy] = this.getGraphPoint(event);
+            const [u, v] = AnnotationStrokes.graphToNode(node, gx, gy);
+
+            if (this.erasing) {
+                this.eraseAt(node, u, v);
+            } else {
+                this.addPoint(node, u, v, this.getPressure(event));
+            }
+        }
+    }
+
+    onPointerUp(e, { cancelled = false } = {}) {
+        const current = this.drawing || this.erasing;
+        if (!current || e.pointerId !== current.pointerId) return;
+
+        e.preventDefault();
+        e.stopPropagation();
+
+        if (this.canvas.canvas.hasPointerCapture(e.pointerId)) {
+            this.canvas.canvas.releasePointerCapture(e.pointerId);
+        }
+
+        if (cancelled) {
+            this.cancel();
+        } else if (this.drawing) {
+            this.commitStroke();
+        } else {
+            this.commitErase();
+        }
+    }
+
+    addPoint(node, u, v, pressure) {
+        const points = this.drawing.stroke.points;
+        const last = points[points.length - 1];
+
+        // Skip samples under a screen pixel apart
+        const minDistance = 1 / this.canvas.viewport.scale;
+        const dx = (u - last[0]) * node.size[0];
+        const dy = (v - last[1]) * node.size[1];
+        if (dx * dx + dy * dy < minDistance * minDistance) return;
+
+        // Strokes are clipped to the node, keep stray points close to it
+        points.push([
+            Math.max(-0.05, Math.min(1.05, u)),
+            Math.max(-0.05, Math.min(1.05, v)),
+            pressure
+        ]);
+        this.canvas.dirty_canvas = true;
+    }
+
+    eraseAt(node, u, v) {
+        const radius = CONFIG.ANNOTATIONS.ERASER_RADIUS / this.canvas.viewport.scale;
+        const strokeIds = this.erasing.strokeIds;
+
+        for (const stroke of node.properties.annotations || []) {
+            if (!strokeIds.has(stroke.id) && AnnotationStrokes.hitTest(node, stroke, u, v, radius)) {
+                strokeIds.add(stroke.id);
+                this.canvas.dirty_canvas = true;
+            }
+        }
+    }
+
+    // ===================================
+    // SYNC
+    // ===================================
+
+    async commitStroke() {
+        const { node, stroke } = this.drawing;
+        this.drawing = null;
+
+        const tolerance = CONFIG.ANNOTATIONS.SIMPLIFY_TOLERANCE / this.canvas.viewport.scale;
+        stroke.points = AnnotationStrokes.simplify(stroke.points, node.size[0], node.size[1], tolerance);
+
+        if (stroke.points.length > AnnotationStrokes.MAX_POINTS) {
+            delete node._annotationPreview;
+            window.unifiedNotifications?.warning('Stroke too long', {
+                detail: 'Try drawing it in several strokes',
+                duration: 3000
+            });
+            return;
+        }
+
+        try {
+            await this.app.operationPipeline.execute('annotation_add', { nodeId: node.id, stroke });
+        } catch (error) {
+            console.error('❌ Failed to save annotation:', error);
+            window.unifiedNotifications?.error('Annotation not saved', {
+                detail: error.message,
+                duration: 4000
+            });
+        } finally {
+            // Kept until now so the stroke doesn't blink out while it syncs
+            if (node._annotationPreview === stroke) {
+                delete node._annotationPreview;
+            }
+            this.canvas.dirty_canvas = true;
+        }
+    }
+
+    async commitErase() {
+        const { node, strokeIds } = this.erasing;
+        this.erasing = null;
+
+        try {
+            if (strokeIds.size > 0) {
+                await this.app.operationPipeline.execute('annotation_remove', {
+                    nodeId: node.id,
+                    strokeIds: [...strokeIds]
+                });
+            }
+        } catch (error) {
+            console.error('❌ Failed to erase annotations:', error);
+            window.unifiedNotifications?.error('Erase not saved', {
+                detail: error.message,
+                duration: 4000
+            });
+        } finally {
+            if (node._erasingStrokeIds === strokeIds) {
+                delete node._erasingStrokeIds;
+            }
+            this.canvas.dirty_canvas = true;
+        }
+    }
+
+    generateStrokeId() {
+        return `stroke-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+    }
+}
+
+window.AnnotationTool = AnnotationTool;
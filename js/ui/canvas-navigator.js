@@ -9,32 +9,15 @@ class CanvasNavigator {
         this.canvases = [];
         this.currentCanvasId = null;
         this.activeUsersPerCanvas = new Map(); // canvasId -> array of users
-        
-        // Generate a unique user ID for this session
-        // This will be consistent across tabs in the same browser session
-        this.userId = this.getOrCreateUserId();
+        this.versions = []; // Named snapshots of the current canvas
+        this.versionDiffs = new Map(); // versionId -> diff summary shown inline
+        this.collaborators = []; // Invited users on the current canvas
         
         this.createUI();
         this.setupEventListeners();
         this.setupUserProfileListener();
     }
     
-    /**
-     * Get or create a user ID for this browser session
-     */
-    getOrCreateUserId() {
-        let userId = localStorage.getItem('imageCanvasUserId');
-        
-        if (!userId) {
-            // Generate a unique user ID based on timestamp and random value
-            userId = `user-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
-            localStorage.setItem('imageCanvasUserId', userId);
-        } else {
-        }
-        
-        return userId;
-    }
-    
     // Get network layer from app when needed
     get networkLayer() {
         return this.app.networkLayer;
@@ -75,6 +58,30 @@ class CanvasNavigator {
                     <div class="loading-spinner">Loading...</div>
                 </div>
             </div>
+            <div class="versions-section">
+                <div class="versions-header">
+                    <span class="versions-title">Versions</span>
+                    <button class="save-version-btn" title="Save version">+</button>
+                </div>
+                <div class="version-list"></div>
+            </div>
+            <div class="sharing-section">
+                <div class="versions-header">
+                    <span class="versions-title">Sharing</span>
+                    <span class="sharing-role"></span>
+                </div>
+                <div class="sharing-invite">
+                    <input class="sharing-username" type="text" placeholder="Username">
+                    <select class="sharing-invite-role">
+                        <option value="viewer">Viewer</option>
+                        <option value="editor" selected>Editor</option>
+                        <option value="admin">Admin</option>
+                    </select>
+                    <button class="sharing-invite-btn" title="Invite">+</button>
+                </div>
+                <button class="sharing-claim-btn" title="Become the owner of this canvas">Claim canvas</button>
+                <div class="collaborator-list"></div>
+            </div>
             <div class="navigator-footer">
                 <div class="database-info">
                     <span class="database-size">Database: <span class="size-value">--</span></span>
@@ -491,6 +498,200 @@ class CanvasNavigator {
                 color: #666;
             }
             
+            /* Versions */
+            .versions-section {
+                border-top: 1px solid #333;
+                padding: 4px 12px 8px;
+                max-height: 35vh;
+                display: flex;
+                flex-direction: column;
+            }
+            
+            .versions-header {
+                display: flex;
+                justify-content: space-between;
+                align-items: center;
+            }
+            
+            .versions-title {
+                font-size: 12px;
+                font-weight: bold;
+                color: ${COLORS.text.base};
+            }
+            
+            .save-version-btn {
+                background: none;
+                border: none;
+                color: ${COLORS.text.muted};
+                font-size: 16px;
+                cursor: pointer;
+                width: 28px;
+                height: 28px;
+                padding: 0;
+            }
+            
+            .save-version-btn:hover {
+                color: ${COLORS.text.emphasized};
+            }
+            
+            .version-list {
+                overflow-y: auto;
+                display: flex;
+                flex-direction: column;
+                gap: 2px;
+            }
+            
+            .version-item {
+                background: ${COLORS.buttons.secondary};
+                border-radius: 4px;
+                padding: 4px 8px;
+            }
+            
+            .version-item:hover {
+                background: ${COLORS.buttons.hover_secondary};
+            }
+            
+            .version-item-header {
+                display: flex;
+                justify-content: space-between;
+                align-items: center;
+                gap: 4px;
+            }
+            
+            .version-name {
+                font-size: 11px;
+                color: ${COLORS.text.base};
+                flex: 1;
+                min-width: 0;
+                word-break: break-word;
+            }
+            
+            .version-actions {
+                display: flex;
+                gap: 2px;
+                opacity: 0;
+                transition: opacity 0.2s;
+            }
+            
+            .version-item:hover .version-actions {
+                opacity: 1;
+            }
+            
+            .version-meta,
+            .version-diff {
+                font-size: 9px;
+                color: #999;
+                margin-top: 2px;
+            }
+            
+            .version-diff {
+                color: ${COLORS.text.muted};
+            }
+            
+            .versions-empty {
+                font-size: 11px;
+                color: #666;
+                padding: 4px 0;
+            }
+            
+            /* Sharing */
+            .sharing-section {
+                border-top: 1px solid #333;
+                padding: 4px 12px 8px;
+                max-height: 25vh;
+                display: flex;
+                flex-direction: column;
+            }
+            
+            .sharing-role {
+                font-size: 10px;
+                color: ${COLORS.text.muted};
+                text-transform: capitalize;
+            }
+            
+            .sharing-invite {
+                display: flex;
+                gap: 4px;
+                margin: 4px 0;
+            }
+            
+            .sharing-invite input,
+            .sharing-invite select,
+            .collaborator-role {
+                background: ${COLORS.buttons.secondary};
+                border: 1px solid #333;
+                border-radius: 4px;
+                color: ${COLORS.text.base};
+                font-size: 11px;
+                padding: 2px 4px;
+            }
+            
+            .sharing-invite input {
+                flex: 1;
+                min-width: 0;
+            }
+            
+            .sharing-invite-btn {
+                background: none;
+                border: none;
+                color: ${COLORS.text.muted};
+                font-size: 16px;
+                cursor: pointer;
+                width: 24px;
+                padding: 0;
+            }
+            
+            .sharing-invite-btn:hover {
+                color: ${COLORS.text.emphasized};
+            }
+            
+            .sharing-claim-btn {
+                display: none;
+                align-self: flex-start;
+                background: ${COLORS.buttons.secondary};
+                border: 1px solid #333;
+                border-radius: 4px;
+                color: ${COLORS.text.base};
+                font-size: 11px;
+                padding: 2px 8px;
+                margin: 4px 0;
+                cursor: pointer;
+            }
+            
+            .sharing-claim-btn:hover {
+                color: ${COLORS.text.emphasized};
+            }
+            
+            .collaborator-list {
+                overflow-y: auto;
+                display: flex;
+                flex-direction: column;
+                gap: 2px;
+            }
+            
+            .collaborator-item {
+                display: flex;
+                align-items: center;
+                gap: 4px;
+                font-size: 11px;
+                color: ${COLORS.text.base};
+                padding: 2px 0;
+            }
+            
+            .collaborator-name {
+                flex: 1;
+                min-width: 0;
+                overflow: hidden;
+                text-overflow: ellipsis;
+                white-space: nowrap;
+            }
+            
+            .collaborator-role-text {
+                font-size: 10px;
+                color: #999;
+                text-transform: capitalize;
+            }
+            
             /* Footer */
             .navigator-footer {
                 padding: 12px;
@@ -564,6 +765,18 @@ class CanvasNavigator {
         // New canvas button
         this.panel.querySelector('.new-canvas-btn').addEventListener('click', () => this.createNewCanvas());
         
+        // Save version button
+        this.panel.querySelector('.save-version-btn').addEventListener('click', () => this.saveVersion());
+        
+        // Invite collaborator
+        const usernameInput = this.panel.querySelector('.sharing-username');
+        this.panel.querySelector('.sharing-invite-btn').addEventListener('click', () => this.inviteCollaborator());
+        usernameInput.addEventListener('keydown', (e) => {
+            e.stopPropagation();
+            if (e.key === 'Enter') this.inviteCollaborator();
+        });
+        this.panel.querySelector('.sharing-claim-btn').addEventListener('click', () => this.claimCanvas());
+        
         // Network events will be set up later when network layer is available
         
         // Refresh button
@@ -612,6 +825,8 @@ class CanvasNavigator {
         }
         
         this.loadCanvases();
+        this.loadVersions();
+        this.loadCollaborators();
         this.updateDatabaseSize();
     }
     
@@ -656,7 +871,7 @@ class CanvasNavigator {
         try {
             // Use general canvases endpoint to show all canvases
             // Add cache-busting timestamp to ensure fresh data
-            const response = await fetch(`${CONFIG.ENDPOINTS.PROJECTS}?t=${Date.now()}`);
+            const response = await fetch(`${CONFIG.ENDPOINTS.PROJECTS}?t=${Date.now()}`, { headers: CONFIG.authHeaders() });
             if (!response.ok) throw new Error('Failed to load canvases');
             
             this.canvases = await response.json();
@@ -669,10 +884,9 @@ class CanvasNavigator {
                 try {
                     const createResponse = await fetch(CONFIG.ENDPOINTS.PROJECTS, {
                         method: 'POST',
-                        headers: { 'Content-Type': 'application/json' },
+                        headers: CONFIG.authHeaders({ 'Content-Type': 'application/json' }),
                         body: JSON.stringify({
                             name: 'Untitled Canvas',
-                            ownerId: this.userId,
                             description: ''
                         })
                     });
@@ -831,10 +1045,9 @@ class CanvasNavigator {
         try {
             const response = await fetch(CONFIG.ENDPOINTS.PROJECTS, {
                 method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
+                headers: CONFIG.authHeaders({ 'Content-Type': 'application/json' }),
                 body: JSON.stringify({
                     name: name,
-                    ownerId: this.userId,
                     description: ''
                 })
             });
@@ -952,6 +1165,8 @@ class CanvasNavigator {
             this.currentCanvasId = canvasId;
             localStorage.setItem('lastCanvasId', canvasId.toString());
             console.log(`Canvas loaded: ID ${canvasId} now active`);
+            this.loadVersions();
+            this.loadCollaborators();
             
             // Reset collaborative manager state
             if (this.networkLayer) {
@@ -961,7 +1176,7 @@ class CanvasNavigator {
             
             // Load the canvas data
             try {
-                const response = await fetch(CONFIG.ENDPOINTS.PROJECT_CANVAS(canvasId));
+                const response = await fetch(CONFIG.ENDPOINTS.PROJECT_CANVAS(canvasId), { headers: CONFIG.authHeaders() });
                 if (!response.ok) throw new Error('Failed to fetch canvas');
                 
                 const data = await response.json();
@@ -1039,11 +1254,15 @@ class CanvasNavigator {
             const deleteUrl = CONFIG.ENDPOINTS.PROJECT(canvasId);
             
             const response = await fetch(deleteUrl, {
-                method: 'DELETE'
+                method: 'DELETE',
+                headers: CONFIG.authHeaders()
             });
 
             if (!response.ok) {
-                const errorText = await response.text();
+                if (response.status === 403) {
+                    alert('Only canvas admins can delete this canvas');
+                    return;
+                }
                 
                 throw new Error(`Failed to delete canvas: ${response.status} ${response.statusText}`);
             }
@@ -1088,16 +1307,15 @@ class CanvasNavigator {
             // In the future, this could be a server-side operation
             
             // Load the original canvas data
-            const response = await fetch(CONFIG.ENDPOINTS.PROJECT_CANVAS(canvasId));
+            const response = await fetch(CONFIG.ENDPOINTS.PROJECT_CANVAS(canvasId), { headers: CONFIG.authHeaders() });
             const data = await response.json();
             
             // Create new canvas
             const createResponse = await fetch(CONFIG.ENDPOINTS.PROJECTS, {
                 method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
+                headers: CONFIG.authHeaders({ 'Content-Type': 'application/json' }),
                 body: JSON.stringify({
                     name: name,
-                    ownerId: this.userId,
                     description: canvas.description || ''
                 })
             });
@@ -1110,10 +1328,9 @@ class CanvasNavigator {
             if (data.canvas_data) {
                 await fetch(CONFIG.ENDPOINTS.PROJECT_CANVAS(newCanvas.id), {
                     method: 'PUT',
-                    headers: { 'Content-Type': 'application/json' },
+                    headers: CONFIG.authHeaders({ 'Content-Type': 'application/json' }),
                     body: JSON.stringify({
-                        canvas_data: data.canvas_data,
-                        userId: this.userId
+                        canvas_data: data.canvas_data
                     })
                 });
             }
@@ -1243,6 +1460,352 @@ class CanvasNavigator {
         this.networkLayer.on('global_user_presence', (usersByCanvas) => {
             this.updateGlobalUserPresence(usersByCanvas);
         });
+        
+        // Version events - this runs on every canvas join, so only attach once
+        if (!this.versionListenersAttached) {
+            this.versionListenersAttached = true;
+            
+            this.networkLayer.on('canvas_version_created', (data) => {
+                if (data.canvasId === this.currentCanvasId) this.loadVersions();
+            });
+            
+            this.networkLayer.on('canvas_version_deleted', (data) => {
+                if (data.canvasId === this.currentCanvasId) this.loadVersions();
+            });
+            
+            this.networkLayer.on('canvas_version_restored', (data) => {
+                if (data.canvasId !== this.currentCanvasId) return;
+                this.loadVersions();
+                if (this.app.showNotification) {
+                    this.app.showNotification({
+                        type: 'info',
+                        message: `Canvas restored to "${data.name}"`,
+                        duration: 3000
+                    });
+                }
+            });
+            
+            // Sharing changes - the role arrives after join, so refresh on both
+            this.networkLayer.on('canvas_joined', () => this.loadCollaborators());
+            this.networkLayer.on('canvas_role_changed', () => this.loadCollaborators());
+            this.networkLayer.on('canvas_collaborators_updated', (data) => {
+                if (data.canvasId === this.currentCanvasId) this.loadCollaborators();
+            });
+        }
+    }
+    
+    async loadVersions() {
+        const listContainer = this.panel.querySelector('.version-list');
+        
+        if (!this.currentCanvasId) {
+            this.versions = [];
+            listContainer.innerHTML = '<div class="versions-empty">Open a canvas to see its versions</div>';
+            return;
+        }
+        
+        try {
+            const response = await fetch(`${CONFIG.ENDPOINTS.CANVAS_VERSIONS(this.currentCanvasId)}?t=${Date.now()}`, {
+                headers: CONFIG.authHeaders()
+            });
+            if (!response.ok) throw new Error('Failed to load versions');
+            
+            const data = await response.json();
+            this.versions = data.versions || [];
+            this.versionDiffs.clear();
+            this.renderVersionList();
+        } catch (error) {
+            console.error('Failed to load versions:', error);
+            listContainer.innerHTML = '<div class="versions-empty">Failed to load versions</div>';
+        }
+    }
+    
+    renderVersionList() {
+        const listContainer = this.panel.querySelector('.version-list');
+        
+        if (this.versions.length === 0) {
+            listContainer.innerHTML = '<div class="versions-empty">No saved versions</div>';
+            return;
+        }
+        
+        listContainer.innerHTML = this.versions.map(version => this.renderVersionItem(version)).join('');
+        
+        listContainer.querySelectorAll('.version-item').forEach(item => {
+            const versionId = parseInt(item.dataset.versionId);
+            
+            item.querySelector('.diff').addEventListener('click', () => this.showVersionDiff(versionId));
+            item.querySelector('.restore').addEventListener('click', () => this.restoreVersion(versionId));
+            item.querySelector('.delete').addEventListener('click', () => this.deleteVersion(versionId));
+        });
+    }
+    
+    renderVersionItem(version) {
+        const author = version.author_display_name || version.author_username || 'Unknown';
+        const created = new Date(version.created_at).toLocaleString();
+        const diff = this.versionDiffs.get(version.id);
+        
+        return `
+            <div class="version-item" data-version-id="${version.id}">
+                <div class="version-item-header">
+                    <span class="version-name" title="Version ${version.version_number}">${this.escapeHtml(version.name)}</span>
+                    <div class="version-actions"><button class="canvas-action-btn diff" title="Compare with current">⇄</button><button class="canvas-action-btn restore" title="Restore">⏪</button><button class="canvas-action-btn delete" title="Delete">🗑️</button></div>
+                </div>
+                <div class="version-meta">${this.escapeHtml(author)} · ${created} · ${version.node_count} nodes</div>
+                ${version.changes_summary ? `<div class="version-meta">${this.escapeHtml(version.changes_summary)}</div>` : ''}
+                ${diff ? `<div class="version-diff">Since this version: ${this.escapeHtml(diff)}</div>` : ''}
+            </div>
+        `;
+    }
+    
+    async saveVersion() {
+        if (!this.currentCanvasId) return;
+        
+        const name = prompt('Version name:', `Version ${new Date().toLocaleString()}`);
+        if (!name || !name.trim()) return;
+        
+        try {
+            const response = await fetch(CONFIG.ENDPOINTS.CANVAS_VERSIONS(this.currentCanvasId), {
+                method: 'POST',
+                headers: CONFIG.authHeaders({ 'Content-Type': 'application/json' }),
+                body: JSON.stringify({
+                    name: name.trim()
+                })
+            });
+            
+            if (!response.ok) throw new Error('Failed to save version');
+            
+            // The list refreshes from the canvas_version_created broadcast
+            if (this.app.showNotification) {
+                this.app.showNotification({
+                    type: 'success',
+                    message: `Saved version "${name.trim()}"`,
+                    duration: 2000
+                });
+            }
+        } catch (error) {
+            console.error('Failed to save version:', error);
+            alert('Failed to save version');
+        }
+    }
+    
+    async showVersionDiff(versionId) {
+        try {
+            const response = await fetch(CONFIG.ENDPOINTS.CANVAS_VERSION_DIFF(this.currentCanvasId, versionId), {
+                headers: CONFIG.authHeaders()
+            });
+            if (!response.ok) throw new Error('Failed to compare version');
+            
+            const data = await response.json();
+            this.versionDiffs.set(versionId, data.diff.summary);
+            this.renderVersionList();
+        } catch (error) {
+            console.error('Failed to compare version:', error);
+        }
+    }
+    
+    async restoreVersion(versionId) {
+        const version = this.versions.find(v => v.id === versionId);
+        if (!version) return;
+        
+        if (!confirm(`Restore "${version.name}"? The current state is saved as a version first, and undo history is cleared for everyone on this canvas.`)) {
+            return;
+        }
+        
+        try {
+            const response = await fetch(CONFIG.ENDPOINTS.CANVAS_VERSION_RESTORE(this.currentCanvasId, versionId), {
+                method: 'POST',
+                headers: CONFIG.authHeaders()
+            });
+            
+            if (!response.ok) throw new Error('Failed to restore version');
+            
+            // State arrives through full_state_sync, the notification through canvas_version_restored
+        } catch (error) {
+            console.error('Failed to restore version:', error);
+            alert('Failed to restore version');
+        }
+    }
+    
+    async deleteVersion(versionId) {
+        const version = this.versions.find(v => v.id === versionId);
+        if (!version) return;
+        
+        if (!confirm(`Delete version "${version.name}"?`)) return;
+        
+        try {
+            const response = await fetch(CONFIG.ENDPOINTS.CANVAS_VERSION(this.currentCanvasId, versionId), {
+                method: 'DELETE',
+                headers: CONFIG.authHeaders()
+            });
+            
+            if (!response.ok) throw new Error('Failed to delete version');
+            
+            this.versions = this.versions.filter(v => v.id !== versionId);
+            this.renderVersionList();
+        } catch (error) {
+            console.error('Failed to delete version:', error);
+            alert('Failed to delete version');
+        }
+    }
+    
+    async loadCollaborators() {
+        const section = this.panel.querySelector('.sharing-section');
+        const listContainer = this.panel.querySelector('.collaborator-list');
+        
+        if (!this.currentCanvasId) {
+            this.collaborators = [];
+            section.style.display = 'none';
+            return;
+        }
+        section.style.display = 'flex';
+        
+        try {
+            const url = `${CONFIG.ENDPOINTS.CANVAS_COLLABORATORS(this.currentCanvasId)}?t=${Date.now()}`;
+            const response = await fetch(url, { headers: CONFIG.authHeaders() });
+            if (!response.ok) throw new Error('Failed to load collaborators');
+            
+            const data = await response.json();
+            this.collaborators = data.collaborators || [];
+            this.renderCollaboratorList(data.owner, data.role, data.legacy);
+        } catch (error) {
+            console.error('Failed to load collaborators:', error);
+            listContainer.innerHTML = '<div class="versions-empty">Failed to load collaborators</div>';
+        }
+    }
+    
+    renderCollaboratorList(owner, role, legacy) {
+        const listContainer = this.panel.querySelector('.collaborator-list');
+        const isAdmin = role === 'admin';
+        
+        this.panel.querySelector('.sharing-role').textContent = role ? `You: ${role}` : '';
+        this.panel.querySelector('.sharing-invite').style.display = isAdmin ? 'flex' : 'none';
+        // Canvases from before accounts have no owner who could share them
+        this.panel.querySelector('.sharing-claim-btn').style.display =
+            legacy && (role === 'editor' || isAdmin) ? 'block' : 'none';
+        
+        const ownerItem = owner ? `
+            <div class="collaborator-item">
+                <span class="collaborator-name">${this.escapeHtml(owner.displayName)}</span>
+                <span class="collaborator-role-text">owner</span>
+            </div>
+        ` : '';
+        
+        if (this.collaborators.length === 0) {
+            const message = legacy
+                ? 'Open to everyone signed in - claim it to manage access'
+                : 'Only the owner - invite someone to share';
+            listContainer.innerHTML = ownerItem + `<div class="versions-empty">${message}</div>`;
+            return;
+        }
+        
+        const roleOptions = (current) => ['viewer', 'editor', 'admin']
+            .map(r => `<option value="${r}" ${r === current ? 'selected' : ''}>${r}</option>`)
+            .join('');
+        
+        listContainer.innerHTML = ownerItem + this.collaborators.map(c => `
+            <div class="collaborator-item" data-user-id="${c.userId}">
+                <span class="collaborator-name" title="${this.escapeHtml(c.username)}">${this.escapeHtml(c.displayName)}</span>
+                ${isAdmin
+                    ? `<select class="collaborator-role">${roleOptions(c.role)}</select><button class="canvas-action-btn remove" title="Remove">×</button>`
+                    : `<span class="collaborator-role-text">${c.role}</span>`}
+            </div>
+        `).join('');
+        
+        if (!isAdmin) return;
+        
+        listContainer.querySelectorAll('.collaborator-item[data-user-id]').forEach(item => {
+            const userId = parseInt(item.dataset.userId);
+            item.querySelector('.collaborator-role').addEventListener('change', (e) => {
+                this.updateCollaboratorRole(userId, e.target.value);
+            });
+            item.querySelector('.remove').addEventListener('click', () => this.removeCollaborator(userId));
+        });
+    }
+    
+    async inviteCollaborator() {
+        const usernameInput = this.panel.querySelector('.sharing-username');
+        const username = usernameInput.value.trim();
+        if (!username || !this.currentCanvasId) return;
+        
+        try {
+            const response = await fetch(CONFIG.ENDPOINTS.CANVAS_COLLABORATORS(this.currentCanvasId), {
+                method: 'POST',
+                headers: CONFIG.authHeaders({ 'Content-Type': 'application/json' }),
+                body: JSON.stringify({
+                    username,
+                    role: this.panel.querySelector('.sharing-invite-role').value
+                })
+            });
+            
+            const data = await response.json();
+            if (!response.ok) throw new Error(data.error || 'Failed to invite');
+            
+            usernameInput.value = '';
+            // The list refreshes from the canvas_collaborators_updated broadcast
+            if (this.app.showNotification) {
+                this.app.showNotification({
+                    type: 'success',
+                    message: `Invited ${username} as ${data.collaborator.role}`,
+                    duration: 2000
+                });
+            }
+        } catch (error) {
+            console.error('Failed to invite collaborator:', error);
+            alert(error.message);
+        }
+    }
+    
+    async claimCanvas() {
+        if (!this.currentCanvasId ||
+            !confirm('Become the owner of this canvas? Afterwards only you and the people you invite can open it.')) {
+            return;
+        }
+        
+        try {
+            const response = await fetch(CONFIG.ENDPOINTS.CANVAS_CLAIM(this.currentCanvasId), {
+                method: 'POST',
+                headers: CONFIG.authHeaders()
+            });
+            
+            const data = await response.json();
+            if (!response.ok) throw new Error(data.error || 'Failed to claim canvas');
+            // The list refreshes from the canvas_collaborators_updated broadcast
+        } catch (error) {
+            console.error('Failed to claim canvas:', error);
+            alert(error.message);
+        }
+    }
+    
+    async updateCollaboratorRole(userId, role) {
+        try {
+            const response = await fetch(CONFIG.ENDPOINTS.CANVAS_COLLABORATOR(this.currentCanvasId, userId), {
+                method: 'PUT',
+                headers: CONFIG.authHeaders({ 'Content-Type': 'application/json' }),
+                body: JSON.stringify({ role })
+            });
+            
+            if (!response.ok) throw new Error('Failed to change role');
+        } catch (error) {
+            console.error('Failed to change collaborator role:', error);
+            alert('Failed to change role');
+            this.loadCollaborators();
+        }
+    }
+    
+    async removeCollaborator(userId) {
+        const collaborator = this.collaborators.find(c => c.userId === userId);
+        if (!collaborator || !confirm(`Remove ${collaborator.displayName} from this canvas?`)) return;
+        
+        try {
+            const response = await fetch(CONFIG.ENDPOINTS.CANVAS_COLLABORATOR(this.currentCanvasId, userId), {
+                method: 'DELETE',
+                headers: CONFIG.authHeaders()
+            });
+            
+            if (!response.ok) throw new Error('Failed to remove collaborator');
+        } catch (error) {
+            console.error('Failed to remove collaborator:', error);
+            alert('Failed to remove collaborator');
+        }
     }
     
     updateActiveUsersForCurrentCanvas(users) {
@@ -1357,7 +1920,7 @@ class CanvasNavigator {
         try {
             const response = await fetch(CONFIG.ENDPOINTS.PROJECT(canvasId), {
                 method: 'PUT',
-                headers: { 'Content-Type': 'application/json' },
+                headers: CONFIG.authHeaders({ 'Content-Type': 'application/json' }),
                 body: JSON.stringify({ name: newName })
             });
             
@@ -1404,10 +1967,9 @@ class CanvasNavigator {
             // Create new canvas
             const response = await fetch(CONFIG.ENDPOINTS.PROJECTS, {
                 method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
+                headers: CONFIG.authHeaders({ 'Content-Type': 'application/json' }),
                 body: JSON.stringify({
                     name: name,
-                    ownerId: this.userId,
                     description: ''
                 })
             });
@@ -1421,10 +1983,9 @@ class CanvasNavigator {
             const canvasData = this.app.stateManager.serializeState(this.app.graph, this.app.graphCanvas);
             await fetch(CONFIG.ENDPOINTS.PROJECT_CANVAS(newCanvas.id), {
                 method: 'PUT',
-                headers: { 'Content-Type': 'application/json' },
+                headers: CONFIG.authHeaders({ 'Content-Type': 'application/json' }),
                 body: JSON.stringify({
-                    canvas_data: canvasData,
-                    userId: this.userId
+                    canvas_data: canvasData
                 })
             });
             
@@ -1486,10 +2047,9 @@ class CanvasNavigator {
                     // Create a new untitled canvas
                     const response = await fetch(CONFIG.ENDPOINTS.PROJECTS, {
                         method: 'POST',
-                        headers: { 'Content-Type': 'application/json' },
+                        headers: CONFIG.authHeaders({ 'Content-Type': 'application/json' }),
                         body: JSON.stringify({
                             name: 'Untitled Canvas',
-                            ownerId: 1,
                             description: ''
                         })
                     });
@@ -1519,7 +2079,7 @@ class CanvasNavigator {
             
             if (lastCanvasId) {
                 // Try to load the last canvas by checking if it exists in all canvases
-                const response = await fetch(CONFIG.ENDPOINTS.PROJECTS);
+                const response = await fetch(CONFIG.ENDPOINTS.PROJECTS, { headers: CONFIG.authHeaders() });
                 if (response.ok) {
                     const canvases = await response.json();
                     const lastCanvas = canvases.find(c => c.id === parseInt(lastCanvasId));
@@ -1535,7 +2095,7 @@ class CanvasNavigator {
             }
             
             // No last canvas or it doesn't exist, check if user has any canvases
-            const response = await fetch(`${CONFIG.ENDPOINTS.PROJECTS}?t=${Date.now()}`);
+            const response = await fetch(`${CONFIG.ENDPOINTS.PROJECTS}?t=${Date.now()}`, { headers: CONFIG.authHeaders() });
             if (response.ok) {
                 const canvases = await response.json();
                 console.log(`Startup: Found ${canvases.length} canvases in database`);
@@ -1563,10 +2123,9 @@ class CanvasNavigator {
         try {
             const response = await fetch(CONFIG.ENDPOINTS.PROJECTS, {
                 method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
+                headers: CONFIG.authHeaders({ 'Content-Type': 'application/json' }),
                 body: JSON.stringify({
                     name: 'Untitled Canvas',
-                    ownerId: this.userId,
                     description: ''
                 })
             });
@@ -1639,10 +2198,9 @@ class CanvasNavigator {
             // Save to server
             const response = await fetch(CONFIG.ENDPOINTS.PROJECT_CANVAS(this.currentCanvasId), {
                 method: 'PUT',
-                headers: { 'Content-Type': 'application/json' },
+                headers: CONFIG.authHeaders({ 'Content-Type': 'application/json' }),
                 body: JSON.stringify({
-                    canvas_data: canvasData,
-                    userId: this.userId
+                    canvas_data: canvasData
                 })
             });
             
@@ -1,17 +1,29 @@
 /**
  * ChatPanel - Instant messaging panel with chat bubbles
  * Activated with apostrophe (') key, shows messages as bubbles near mouse
+ * History is stored per canvas on the server. Messages can belong to a node's
+ * thread (Shift+` on a selected node), shown as a badge that follows the node.
  */
 class ChatPanel {
     constructor(app) {
         this.app = app;
         this.isOpen = false;
-        this.messages = []; // Array of {userId, username, color, message, timestamp}
+        this.messages = []; // Array of {id, clientId, userId, username, color, message, nodeId, timestamp}
         this.chatBubbles = new Map(); // userId -> bubble element
         this.bubbleTimeouts = new Map(); // userId -> timeoutId
         this.bubbleLifetime = 5000; // 5 seconds
         this.isPinMode = false; // Track if Option/Alt is held
         
+        // History and threads
+        this.canvasId = null;
+        this.threads = new Map(); // nodeId -> {messageCount, lastMessageId}
+        this.activeThread = null; // nodeId of the open thread, null for the whole canvas
+        this.hasMoreHistory = new Map(); // nodeId ('' for the canvas) -> older pages on the server
+        this.loadedThreads = new Set(); // Threads whose latest page has been fetched
+        this.readState = null; // {main, threads: {nodeId: id}} - last read message ids
+        this.pendingMessageCount = 0;
+        this.badgeHitAreas = []; // Thread badges drawn last frame, for click testing
+        
         this.createUI();
         this.setupEventListeners();
         this.setupNetworkListeners();
@@ -26,6 +38,11 @@ class ChatPanel {
                 <span class="chat-title">Chat</span>
                 <button class="chat-close-btn">×</button>
             </div>
+            <div class="chat-thread-bar">
+                <button class="chat-thread-back">← All</button>
+                <span class="chat-thread-title"></span>
+                <button class="chat-thread-jump">Jump to node</button>
+            </div>
             <div class="chat-messages"></div>
             <div class="chat-input-container">
                 <input type="text" class="chat-input" placeholder="Type a message..." />
@@ -38,12 +55,19 @@ class ChatPanel {
         this.input = this.panel.querySelector('.chat-input');
         this.sendBtn = this.panel.querySelector('.chat-send-btn');
         this.closeBtn = this.panel.querySelector('.chat-close-btn');
+        this.threadBar = this.panel.querySelector('.chat-thread-bar');
+        this.threadTitle = this.panel.querySelector('.chat-thread-title');
+        
+        // Unread counter shown while the panel is closed
+        this.unreadPill = document.createElement('button');
+        this.unreadPill.className = 'chat-unread-pill';
         
         // Add styles
         this.addStyles();
         
         // Add to DOM
         document.body.appendChild(this.panel);
+        document.body.appendChild(this.unreadPill);
     }
     
     addStyles() {
@@ -290,6 +314,83 @@ class ChatPanel {
             .chat-messages::-webkit-scrollbar-thumb:hover {
                 background: rgba(255, 255, 255, 0.3);
             }
+            
+            /* Threads */
+            .chat-thread-bar {
+                display: none;
+                align-items: center;
+                gap: 8px;
+                padding: 6px 12px;
+                background: rgba(68, 170, 255, 0.1);
+                border-bottom: 1px solid rgba(255, 255, 255, 0.1);
+                font-size: 12px;
+                color: #ccc;
+            }
+            
+            .chat-panel.in-thread .chat-thread-bar {
+                display: flex;
+            }
+            
+            .chat-thread-title {
+                flex: 1;
+                min-width: 0;
+                overflow: hidden;
+                text-overflow: ellipsis;
+                white-space: nowrap;
+            }
+            
+            .chat-thread-bar button,
+            .chat-node-link,
+            .chat-load-earlier {
+                background: none;
+                border: none;
+                color: #4af;
+                cursor: pointer;
+                font-size: 11px;
+                font-family: inherit;
+                padding: 0;
+            }
+            
+            .chat-thread-bar button:hover,
+            .chat-node-link:hover,
+            .chat-load-earlier:hover {
+                text-decoration: underline;
+            }
+            
+            .chat-node-link {
+                align-self: flex-start;
+                margin-top: 2px;
+            }
+            
+            .chat-message-own .chat-node-link {
+                align-self: flex-end;
+            }
+            
+            .chat-load-earlier {
+                align-self: center;
+                color: #999;
+            }
+            
+            .chat-message.pending .chat-text {
+                opacity: 0.6;
+            }
+            
+            .chat-unread-pill {
+                position: fixed;
+                bottom: 12px;
+                left: 50%;
+                transform: translateX(-50%);
+                background: rgba(30, 30, 30, 0.95);
+                border: 1px solid #4af;
+                border-radius: 12px;
+                color: #fff;
+                padding: 4px 12px;
+                font-size: 12px;
+                font-family: inherit;
+                cursor: pointer;
+                z-index: 999;
+                display: none;
+            }
         `;
         document.head.appendChild(style);
     }
@@ -306,6 +407,35 @@ class ChatPanel {
                 
                 e.preventDefault();
                 this.toggle();
+            } else if (e.code === 'Backquote' && e.shiftKey && !e.ctrlKey && !e.metaKey && !e.altKey) {
+                // Shift+` opens the thread of the selected node
+                if (document.activeElement.tagName === 'INPUT' || 
+                    document.activeElement.tagName === 'TEXTAREA') {
+                    return;
+                }
+                
+                e.preventDefault();
+                this.openThreadForSelection();
+            }
+        });
+        
+        // Thread navigation
+        this.panel.querySelector('.chat-thread-back').addEventListener('click', () => this.closeThread());
+        this.panel.querySelector('.chat-thread-jump').addEventListener('click', () => {
+            if (this.activeThread) this.jumpToNode(this.activeThread);
+        });
+        this.unreadPill.addEventListener('click', () => this.open());
+        
+        this.messagesContainer.addEventListener('click', (e) => {
+            if (e.target.closest('.chat-load-earlier')) {
+                this.loadEarlier();
+                return;
+            }
+            
+            const link = e.target.closest('.chat-node-link');
+            if (link) {
+                this.openThread(link.dataset.nodeId);
+                this.jumpToNode(link.dataset.nodeId);
             }
         });
         
@@ -427,9 +557,21 @@ class ChatPanel {
             this.handleIncomingMessage(data);
         });
         
+        // Our own message was stored - swap the local copy for the saved one
+        this.app.networkLayer.on('chat_message_saved', (data) => {
+            this.handleMessageSaved(data);
+        });
+        
+        // History arrives after joining and when paging back
+        this.app.networkLayer.on('chat_history', (data) => {
+            this.handleHistory(data);
+        });
+        
         // Clear messages when joining a new canvas
-        this.app.networkLayer.on('canvas_joined', () => {
+        this.app.networkLayer.on('canvas_joined', (data) => {
             this.clearMessages();
+            this.canvasId = data.canvas?.id || null;
+            this.readState = this.loadReadState();
         });
     }
     
@@ -445,11 +587,13 @@ class ChatPanel {
         this.isOpen = true;
         this.panel.classList.add('open');
         this.input.focus();
+        this.markRead();
     }
     
     close() {
         this.isOpen = false;
         this.panel.classList.remove('open');
+        this.updateUnreadIndicator();
     }
     
     sendMessage() {
@@ -459,6 +603,13 @@ class ChatPanel {
         // Clear input
         this.input.value = '';
         
+        this.postMessage(message, this.activeThread);
+    }
+    
+    /**
+     * Send a message to the canvas chat, or to a node's thread when nodeId is set
+     */
+    postMessage(message, nodeId = null) {
         // Get current mouse position from the last known position
         let mouseX, mouseY;
         if (this.app.otherUsersMouseManager && this.app.otherUsersMouseManager.currentMousePosition) {
@@ -470,10 +621,15 @@ class ChatPanel {
             mouseY = mousePos[1];
         }
         
+        // Matches the server's copy to the local one when it comes back with an id
+        const clientId = `local-${Date.now()}-${++this.pendingMessageCount}`;
+        
         // Send message through network
         if (this.app.networkLayer && this.app.networkLayer.isConnected) {
             this.app.networkLayer.emit('chat_message', {
                 message: message,
+                nodeId: nodeId,
+                clientId: clientId,
                 mouseX: mouseX,
                 mouseY: mouseY
             });
@@ -487,7 +643,14 @@ class ChatPanel {
                 color: this.app.currentUser.color || '#4af'
             };
             
-            this.addMessage(userInfo.userId, userInfo.username, userInfo.color, message);
+            this.addMessage({
+                id: null,
+                clientId,
+                ...userInfo,
+                message,
+                nodeId,
+                timestamp: Date.now()
+            });
             
             // Show bubble near mouse position
             if (mouseX !== undefined && mouseY !== undefined) {
@@ -506,7 +669,14 @@ class ChatPanel {
         const { userId, username, color, message, mouseX, mouseY } = data;
         
         // Add to chat history
-        this.addMessage(userId, username, color, message);
+        this.addMessage(this.normalizeMessage(data));
+        this.countThreadMessage(data);
+        
+        if (this.isOpen) {
+            this.markRead();
+        } else {
+            this.updateUnreadIndicator();
+        }
         
         // Show bubble near user's mouse position
         if (mouseX !== undefined && mouseY !== undefined) {
@@ -520,17 +690,40 @@ class ChatPanel {
         }
     }
     
-    addMessage(userId, username, color, message) {
-        const timestamp = new Date();
+    normalizeMessage(data) {
+        return {
+            id: data.id || null,
+            clientId: data.clientId || null,
+            userId: data.userId,
+            username: data.username,
+            color: data.color || '#999999',
+            message: data.message,
+            nodeId: data.nodeId != null ? String(data.nodeId) : null,
+            timestamp: data.timestamp || Date.now()
+        };
+    }
+    
+    addMessage(message) {
+        // History pages and live messages can overlap
+        if (message.id && this.messages.some(m => m.id === message.id)) return;
         
-        // Add to messages array
-        this.messages.push({
-            userId,
-            username,
-            color,
-            message,
-            timestamp
-        });
+        this.messages.push(message);
+        
+        if (!this.isVisibleInView(message)) return;
+        
+        this.messagesContainer.appendChild(this.createMessageElement(message));
+        
+        // Scroll to bottom
+        this.messagesContainer.scrollTop = this.messagesContainer.scrollHeight;
+    }
+    
+    isVisibleInView(message) {
+        return !this.activeThread || message.nodeId === this.activeThread;
+    }
+    
+    createMessageElement(data) {
+        const { userId, username, color, message, nodeId } = data;
+        const timestamp = new Date(data.timestamp);
         
         // Check if this is our own message
         const isOwnMessage = userId === this.app.networkLayer?.numericUserId;
@@ -538,40 +731,377 @@ class ChatPanel {
         // Create message element
         const messageEl = document.createElement('div');
         messageEl.className = isOwnMessage ? 'chat-message chat-message-own' : 'chat-message';
+        if (!data.id) messageEl.classList.add('pending');
+        if (data.clientId) messageEl.dataset.clientId = data.clientId;
         
         const initial = username ? username.charAt(0).toUpperCase() : '?';
         const timeStr = timestamp.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
         
-        if (isOwnMessage) {
-            // Own message - same structure but will be mirrored by CSS
-            messageEl.innerHTML = `
-                <div class="chat-avatar" style="border-color: ${color}">${initial}</div>
-                <div class="chat-content">
-                    <div class="chat-username" style="color: ${color}">
-                        You
-                        <span class="chat-time">${timeStr}</span>
-                    </div>
-                    <div class="chat-text">${this.escapeHtml(message)}</div>
+        // Thread messages link to their node from the canvas-wide view
+        const nodeLink = nodeId && !this.activeThread
+            ? `<button class="chat-node-link" data-node-id="${this.escapeHtml(nodeId)}">💬 ${this.escapeHtml(this.getNodeLabel(nodeId))}</button>`
+            : '';
+        
+        // Own message - same structure but mirrored by CSS
+        messageEl.innerHTML = `
+            <div class="chat-avatar" style="border-color: ${color}">${this.escapeHtml(initial)}</div>
+            <div class="chat-content">
+                <div class="chat-username" style="color: ${color}">
+                    ${isOwnMessage ? 'You' : this.escapeHtml(username || 'Unknown')}
+                    <span class="chat-time">${timeStr}</span>
                 </div>
-            `;
+                <div class="chat-text">${this.escapeHtml(message)}</div>
+                ${nodeLink}
+            </div>
+        `;
+        
+        return messageEl;
+    }
+    
+    /**
+     * Rebuild the message list for the current view (canvas or thread)
+     * @param {boolean} keepScroll - Keep the visible messages in place (after loading older ones)
+     */
+    renderMessages(keepScroll = false) {
+        const previousHeight = this.messagesContainer.scrollHeight;
+        const previousTop = this.messagesContainer.scrollTop;
+        
+        this.messagesContainer.innerHTML = '';
+        
+        if (this.hasMoreHistory.get(this.activeThread || '')) {
+            const loadEarlier = document.createElement('button');
+            loadEarlier.className = 'chat-load-earlier';
+            loadEarlier.textContent = 'Load earlier messages';
+            this.messagesContainer.appendChild(loadEarlier);
+        }
+        
+        for (const message of this.messages) {
+            if (this.isVisibleInView(message)) {
+                this.messagesContainer.appendChild(this.createMessageElement(message));
+            }
+        }
+        
+        if (keepScroll) {
+            this.messagesContainer.scrollTop = previousTop + this.messagesContainer.scrollHeight - previousHeight;
         } else {
-            // Other user's message
-            messageEl.innerHTML = `
-                <div class="chat-avatar" style="border-color: ${color}">${initial}</div>
-                <div class="chat-content">
-                    <div class="chat-username" style="color: ${color}">
-                        ${username}
-                        <span class="chat-time">${timeStr}</span>
-                    </div>
-                    <div class="chat-text">${this.escapeHtml(message)}</div>
-                </div>
-            `;
+            this.messagesContainer.scrollTop = this.messagesContainer.scrollHeight;
         }
+    }
+    
+    handleMessageSaved({ clientId, message }) {
+        if (!message) return;
         
-        this.messagesContainer.appendChild(messageEl);
+        const local = this.messages.find(m => m.clientId && m.clientId === clientId);
+        if (local) {
+            local.id = message.id;
+            local.timestamp = message.timestamp;
+            
+            const element = this.messagesContainer.querySelector(`[data-client-id="${clientId}"]`);
+            if (element) element.classList.remove('pending');
+        } else {
+            this.addMessage(this.normalizeMessage(message));
+        }
         
-        // Scroll to bottom
-        this.messagesContainer.scrollTop = this.messagesContainer.scrollHeight;
+        this.countThreadMessage(message);
+        
+        // Our own messages are read by definition, also when pinned into a thread we're not viewing
+        if (this.readState) {
+            this.readState.main = Math.max(this.readState.main, message.id);
+            if (message.nodeId) {
+                this.readState.threads[message.nodeId] = message.id;
+            }
+            this.saveReadState();
+        }
+        this.updateUnreadIndicator();
+    }
+    
+    handleHistory(data) {
+        if (data.canvasId !== this.canvasId) return;
+        
+        for (const thread of data.threads || []) {
+            this.threads.set(String(thread.nodeId), {
+                messageCount: thread.messageCount,
+                lastMessageId: thread.lastMessageId
+            });
+        }
+        
+        const incoming = data.messages
+            .map(message => this.normalizeMessage(message))
+            .filter(message => !this.messages.some(m => m.id === message.id));
+        
+        // Saved messages in id order, unsaved local ones stay at the end
+        this.messages = [...incoming, ...this.messages].sort((a, b) =>
+            (a.id || Number.MAX_SAFE_INTEGER) - (b.id || Number.MAX_SAFE_INTEGER));
+        
+        // Only the oldest page we hold decides whether there is more
+        const key = data.nodeId || '';
+        if (data.beforeId || !this.hasMoreHistory.has(key)) {
+            this.hasMoreHistory.set(key, data.hasMore);
+        }
+        if (data.nodeId) {
+            this.loadedThreads.add(data.nodeId);
+        }
+        
+        // First visit to this canvas: start with everything read
+        if (!this.readState) {
+            this.readState = { main: 0, threads: {} };
+            this.markAllRead();
+        }
+        
+        this.renderMessages(!!data.beforeId);
+        
+        if (this.isOpen) {
+            this.markRead();
+        } else {
+            this.updateUnreadIndicator();
+        }
+        this.redrawCanvas();
+    }
+    
+    loadEarlier() {
+        const oldest = this.messages.find(m => m.id && this.isVisibleInView(m));
+        if (!oldest || !this.app.networkLayer?.isConnected) return;
+        
+        this.app.networkLayer.emit('load_chat_history', {
+            beforeId: oldest.id,
+            nodeId: this.activeThread
+        });
+    }
+    
+    // ===================================
+    // THREADS
+    // ===================================
+    
+    /**
+     * Pinned notes carry the thread they were pinned from, other nodes are their own thread
+     */
+    getThreadIdForNode(node) {
+        if (node.type === 'ui/pinned-note' && node.properties?.threadNodeId) {
+            return String(node.properties.threadNodeId);
+        }
+        return String(node.id);
+    }
+    
+    getNode(nodeId) {
+        return this.app.graph?.nodes.find(node => String(node.id) === String(nodeId)) || null;
+    }
+    
+    getNodeLabel(nodeId) {
+        const node = this.getNode(nodeId);
+        if (!node) return 'Deleted node';
+        if (node.type === 'ui/pinned-note') return node.properties.text || 'Pinned note';
+        return node.title || node.type;
+    }
+    
+    openThreadForSelection() {
+        const selected = this.app.graphCanvas?.selection?.getSelectedNodes() || [];
+        if (selected.length !== 1) {
+            window.unifiedNotifications?.info('Select a node to open its thread', { duration: 2500 });
+            return;
+        }
+        
+        this.openThread(this.getThreadIdForNode(selected[0]));
+    }
+    
+    openThread(nodeId) {
+        this.activeThread = String(nodeId);
+        this.panel.classList.add('in-thread');
+        this.threadTitle.textContent = this.getNodeLabel(this.activeThread);
+        this.input.placeholder = 'Reply in thread...';
+        
+        // The canvas history may not reach back to this thread's first messages
+        if (!this.loadedThreads.has(this.activeThread) && this.app.networkLayer?.isConnected) {
+            this.app.networkLayer.emit('load_chat_history', { nodeId: this.activeThread });
+        }
+        
+        this.renderMessages();
+        
+        if (this.isOpen) {
+            this.markRead();
+            this.input.focus();
+        } else {
+            this.open();
+        }
+    }
+    
+    closeThread() {
+        this.activeThread = null;
+        this.panel.classList.remove('in-thread');
+        this.input.placeholder = this.isPinMode ? 'Type a note to pin on canvas...' : 'Type a message...';
+        this.renderMessages();
+        this.input.focus();
+    }
+    
+    jumpToNode(nodeId) {
+        const node = this.getNode(nodeId);
+        const canvas = this.app.graphCanvas;
+        if (!node || !canvas) {
+            window.unifiedNotifications?.info('That node is no longer on the canvas', { duration: 2500 });
+            return false;
+        }
+        
+        canvas.selection.clear();
+        canvas.selection.selectNode(node);
+        canvas.viewport.panToCenter(node.pos[0] + node.size[0] / 2, node.pos[1] + node.size[1] / 2, true);
+        canvas.dirty_canvas = true;
+        return true;
+    }
+    
+    countThreadMessage(message) {
+        if (!message.id || message.nodeId == null) return;
+        
+        const nodeId = String(message.nodeId);
+        const thread = this.threads.get(nodeId) || { messageCount: 0, lastMessageId: 0 };
+        if (message.id <= thread.lastMessageId) return;
+        
+        thread.messageCount++;
+        thread.lastMessageId = message.id;
+        this.threads.set(nodeId, thread);
+        this.redrawCanvas();
+    }
+    
+    // ===================================
+    // UNREAD TRACKING
+    // ===================================
+    
+    getReadStateKey() {
+        return `imagecanvas_chat_read_${this.canvasId}`;
+    }
+    
+    loadReadState() {
+        if (!this.canvasId) return null;
+        try {
+            return JSON.parse(localStorage.getItem(this.getReadStateKey()));
+        } catch (error) {
+            return null;
+        }
+    }
+    
+    saveReadState() {
+        if (!this.canvasId || !this.readState) return;
+        localStorage.setItem(this.getReadStateKey(), JSON.stringify(this.readState));
+    }
+    
+    markAllRead() {
+        for (const message of this.messages) {
+            if (message.id) this.readState.main = Math.max(this.readState.main, message.id);
+        }
+        for (const [nodeId, thread] of this.threads) {
+            this.readState.threads[nodeId] = thread.lastMessageId;
+        }
+        this.saveReadState();
+    }
+    
+    /**
+     * Everything in the open panel counts as read - the whole canvas chat, plus
+     * the open thread's count badge
+     */
+    markRead() {
+        if (!this.readState) return;
+        
+        for (const message of this.messages) {
+            if (message.id) this.readState.main = Math.max(this.readState.main, message.id);
+        }
+        
+        const thread = this.activeThread && this.threads.get(this.activeThread);
+        if (thread) {
+            this.readState.threads[this.activeThread] = thread.lastMessageId;
+        }
+        
+        this.saveReadState();
+        this.updateUnreadIndicator();
+        this.redrawCanvas();
+    }
+    
+    getUnreadCount() {
+        if (!this.readState) return 0;
+        const ownUserId = this.app.networkLayer?.numericUserId;
+        return this.messages.filter(m => m.id > this.readState.main && m.userId !== ownUserId).length;
+    }
+    
+    isThreadUnread(nodeId) {
+        const thread = this.threads.get(nodeId);
+        if (!thread || !this.readState) return false;
+        return thread.lastMessageId > (this.readState.threads[nodeId] || 0);
+    }
+    
+    updateUnreadIndicator() {
+        const count = this.getUnreadCount();
+        this.unreadPill.textContent = `💬 ${count} unread`;
+        this.unreadPill.style.display = !this.isOpen && count > 0 ? 'block' : 'none';
+    }
+    
+    // ===================================
+    // CANVAS BADGES
+    // ===================================
+    
+    redrawCanvas() {
+        if (this.app.graphCanvas) {
+            this.app.graphCanvas.dirty_canvas = true;
+        }
+    }
+    
+    /**
+     * Draw a message count at the top-right corner of every node with a thread.
+     * Called from the canvas overlay pass, so badges follow nodes as they move.
+     */
+    drawThreadBadges(ctx) {
+        this.badgeHitAreas = [];
+        
+        const canvas = this.app.graphCanvas;
+        if (this.threads.size === 0 || !this.app.graph || !canvas) return;
+        
+        const viewport = canvas.viewport;
+        
+        ctx.save();
+        ctx.setTransform(viewport.dpr, 0, 0, viewport.dpr, 0, 0);
+        ctx.font = `bold 10px ${window.FONT_CONFIG?.APP_FONT_CANVAS || 'Univers, sans-serif'}`;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        
+        for (const node of this.app.graph.nodes) {
+            const threadId = this.getThreadIdForNode(node);
+            const thread = this.threads.get(threadId);
+            if (!thread) continue;
+            
+            const [x, y] = viewport.convertGraphToOffset(node.pos[0] + node.size[0], node.pos[1]);
+            const label = thread.messageCount > 99 ? '99+' : String(thread.messageCount);
+            const radius = Math.max(9, ctx.measureText(label).width / 2 + 5);
+            const unread = this.isThreadUnread(threadId);
+            
+            ctx.beginPath();
+            ctx.arc(x, y, radius, 0, Math.PI * 2);
+            ctx.fillStyle = unread ? '#f4a' : 'rgba(30, 30, 30, 0.9)';
+            ctx.fill();
+            ctx.strokeStyle = threadId === this.activeThread && this.isOpen ? '#fff' : '#4af';
+            ctx.lineWidth = 1.5;
+            ctx.stroke();
+            
+            ctx.fillStyle = '#fff';
+            ctx.fillText(label, x, y + 0.5);
+            
+            this.badgeHitAreas.push({ x, y, radius, threadId });
+        }
+        
+        ctx.restore();
+    }
+    
+    /**
+     * Open a thread when its badge is clicked
+     * @param {number} x - Canvas offset x
+     * @param {number} y - Canvas offset y
+     * @returns {boolean} true if a badge was hit
+     */
+    handleCanvasClick(x, y) {
+        // Last drawn is on top
+        for (let i = this.badgeHitAreas.length - 1; i >= 0; i--) {
+            const badge = this.badgeHitAreas[i];
+            if (Math.hypot(x - badge.x, y - badge.y) <= badge.radius) {
+                this.openThread(badge.threadId);
+                return true;
+            }
+        }
+        return false;
     }
     
     showChatBubble(userId, username, color, message, x, y) {
@@ -614,6 +1144,17 @@ class ChatPanel {
         this.messages = [];
         this.messagesContainer.innerHTML = '';
         
+        this.threads.clear();
+        this.hasMoreHistory.clear();
+        this.loadedThreads.clear();
+        this.badgeHitAreas = [];
+        this.readState = null;
+        if (this.activeThread) {
+            this.activeThread = null;
+            this.panel.classList.remove('in-thread');
+        }
+        this.updateUnreadIndicator();
+        
         // Remove all bubbles
         this.chatBubbles.forEach(bubble => bubble.remove());
         this.chatBubbles.clear();
@@ -640,13 +1181,18 @@ class ChatPanel {
         this.isPinMode = false;
         this.sendBtn.textContent = 'Send';
         this.sendBtn.style.background = '#4af';
-        this.input.placeholder = 'Type a message...';
+        this.input.placeholder = this.activeThread ? 'Reply in thread...' : 'Type a message...';
     }
     
     pinMessage() {
         const message = this.input.value.trim();
         if (!message) return;
         
+        if (this.app.canvasPermissions?.isReadOnly()) {
+            this.app.canvasPermissions.notifyReadOnly();
+            return;
+        }
+        
         // Clear input
         this.input.value = '';
         
@@ -690,6 +1236,27 @@ class ChatPanel {
                 if (this.app.graph) {
                     this.app.graph.add(node);
                     
+                    // Pinned from a thread the note joins it, otherwise it starts its own
+                    const threadNodeId = this.activeThread || String(node.id);
+                    node.properties.threadNodeId = threadNodeId;
+                    
+                    if (this.app.operationPipeline) {
+                        this.app.operationPipeline.execute('node_create', {
+                            type: node.type,
+                            pos: [...node.pos],
+                            size: [...node.size],
+                            properties: {...node.properties},
+                            id: node.id,
+                            title: node.title || '',
+                            flags: {...node.flags}
+                        }).catch(error => {
+                            console.error('Failed to sync pinned note creation:', error);
+                        });
+                    }
+                    
+                    // The message goes to the thread, so the note links back to where it was said
+                    this.postMessage(message, threadNodeId);
+                    
                     // Select the new node
                     if (this.app.graphCanvas?.selection) {
                         this.app.graphCanvas.selection.clear();
@@ -0,0 +1,479 @@
+/**
+ * Color Scopes Component
+ * RGB histogram, luma waveform and vectorscope of a node's graded output
+ *
+ * The pixels are the node's source, scaled down to SAMPLE_SIZE on its long
+ * edge and run through WebGLRenderer's color correction shader, so the
+ * scopes show exactly what the canvas draws. While running, the scope
+ * re-reads only when the grade, crop, source or video frame changed - that
+ * covers slider drags, undo and edits from other users the same way.
+ */
+class ColorScopes {
+    constructor(container, { width = 218, height = 140, mode = 'histogram' } = {}) {
+        this.container = container;
+        this.width = width;
+        this.height = height;
+        this.mode = ColorScopes.MODES.includes(mode) ? mode : 'histogram';
+        this.node = null;
+
+        this.running = false;
+        this.frameId = null;
+        this.lastUpdate = 0;
+        this.lastSignature = null;
+        this.lastData = null;
+
+        // Scaled-down copy of the source, redrawn when the source or crop changes
+        this.sampleCanvas = document.createElement('canvas');
+        this.sampleKey = null;
+
+        const dpr = window.devicePixelRatio || 1;
+        this.canvas = document.createElement('canvas');
+        this.canvas.className = 'color-scopes-canvas';
+        this.canvas.width = Math.round(width * dpr);
+        this.canvas.height = Math.round(height * dpr);
+        this.canvas.style.width = `${width}px`;
+        this.canvas.style.height = `${height}px`;
+        this.ctx = this.canvas.getContext('2d');
+        this.ctx.scale(dpr, dpr);
+        container.appendChild(this.canvas);
+
+        this.tick = this.tick.bind(this);
+        this.draw();
+    }
+
+    setNode(node) {
+        if (this.node === node) return;
+        this.node = node;
+        this.lastSignature = null;
+        this.lastData = null;
+        this.draw();
+    }
+
+    setMode(mode) {
+        if (!ColorScopes.MODES.includes(mode) || mode === this.mode) return;
+        this.mode = mode;
+        this.draw();
+    }
+
+    start() {
+        if (this.running) return;
+        this.running = true;
+        this.lastSignature = null; // The node may have changed while stopped
+        this.frameId = requestAnimationFrame(this.tick);
+    }
+
+    stop() {
+        this.running = false;
+        if (this.frameId) {
+            cancelAnimationFrame(this.frameId);
+            this.frameId = null;
+        }
+    }
+
+    tick(now) {
+        if (!this.running) return;
+        this.frameId = requestAnimationFrame(this.tick);
+
+        // Readback stalls the GPU pipeline, so cap how often it happens
+        if (now - this.lastUpdate < ColorScopes.UPDATE_INTERVAL) return;
+
+        const signature = this.node ? this.getSignature(this.node) : null;
+        if (signature === this.lastSignature) return;
+
+        this.lastUpdate = now;
+        this.lastSignature = signature;
+        this.update();
+    }
+
+    update() {
+        try {
+            const sample = this.node ? this.readPixels(this.node) : null;
+            this.lastData = sample ? ColorScopes.analyze(sample.pixels, sample.width, sample.height) : null;
+        } catch (error) {
+            console.error('Error updating color scopes:', error);
+            this.lastData = null;
+        }
+        this.draw();
+    }
+
+    /**
+     * Everything the graded output depends on
+     */
+    getSignature(node) {
+        const source = this.getSource(node);
+        const renderer = window.app?.graphCanvas?.renderer;
+        const fields = window.ColorGradeManager?.FIELDS || ['adjustments', 'toneCurve', 'colorBalance',
+            'toneCurveBypassed', 'colorAdjustmentsBypassed', 'colorBalanceBypassed', 'lut'];
+
+        return JSON.stringify([
+            node.id,
+            source ? this.getSourceKey(node, source) : null,
+            fields.map(field => node[field] ?? null),
+            renderer?._getLutCacheKey?.(node) ?? null
+        ]);
+    }
+
+    /**
+     * @returns {TexImageSource|null} Best loaded source for the node
+     */
+    getSource(node) {
+        if (node.type === 'media/video') {
+            const video = node.video;
+            return video && video.readyState >= 2 && video.videoWidth ? video : null;
+        }
+
+        if (node.img && node.img.complete && node.img.naturalWidth) {
+            return node.img;
+        }
+
+        const hash = node.properties?.hash;
+        if (hash && window.thumbnailCache?.getBestThumbnail) {
+            return window.thumbnailCache.getBestThumbnail(hash, ColorScopes.SAMPLE_SIZE, ColorScopes.SAMPLE_SIZE);
+        }
+        return null;
+    }
+
+    getSourceKey(node, source) {
+        const crop = ImageCrop.getCrop(node);
+        const identity = source.currentSrc || source.src || `${source.width}x${source.height}`;
+        const time = node.type === 'media/video' ? source.currentTime : 0;
+        return `${identity}|${time}|${crop.x},${crop.y},${crop.w},${crop.h}|${!!node.properties?.flipH}`;
+    }
+
+    /**
+     * Graded pixels of the visible (cropped) region
+     * @returns {{pixels: Uint8ClampedArray, width: number, height: number}|null}
+     */
+    readPixels(node) {
+        const source = this.getSource(node);
+        if (!source) return null;
+
+        const sourceWidth = source.videoWidth || source.naturalWidth || source.width;
+        const sourceHeight = source.videoHeight || source.naturalHeight || source.height;
+        if (!sourceWidth || !sourceHeight) return null;
+
+        const crop = ImageCrop.getCrop(node);
+        const cropWidth = sourceWidth * crop.w;
+        const cropHeight = sourceHeight * crop.h;
+        const fit = Math.min(1, ColorScopes.SAMPLE_SIZE / Math.max(cropWidth, cropHeight));
+        const width = Math.max(1, Math.round(cropWidth * fit));
+        const height = Math.max(1, Math.round(cropHeight * fit));
+
+        const key = this.getSourceKey(node, source);
+        if (key !== this.sampleKey || node.type === 'media/video') {
+            this.sampleCanvas.width = width;
+            this.sampleCanvas.height = height;
+            const ctx = this.sampleCanvas.getContext('2d');
+            ctx.save();
+            // Only a horizontal flip moves pixels between waveform columns
+            if (node.properties?.flipH) {
+                ctx.translate(width, 0);
+                ctx.scale(-1, 1);
+            }
+            ctx.drawImage(source,
+                crop.x * sourceWidth, crop.y * sourceHeight, cropWidth, cropHeight,
+                0, 0, width, height);
+            ctx.restore();
+            this.sampleKey = key;
+        }
+
+        const renderer = window.app?.graphCanvas?.renderer;
+        if (renderer?.readCorrectedPixels && renderer.nodeHasColorCorrection?.(node)) {
+            const graded = renderer.readCorrectedPixels(node, this.sampleCanvas, width, height);
+            if (graded) return graded;
+        }
+
+        // Nothing to apply (or no WebGL) - the source is what's on screen
+        const imageData = this.sampleCanvas.getContext('2d').getImageData(0, 0, width, height);
+        return { pixels: imageData.data, width, height };
+    }
+
+    /**
+     * Bin RGBA pixels for all three scopes. Transparent pixels are skipped.
+     * @returns {{histogram: {r, g, b, luma}, waveform: Uint32Array, columns: number, vectorscope: Uint32Array}}
+     */
+    static analyze(pixels, width, height) {
+        const histogram = {
+            r: new Uint32Array(256),
+            g: new Uint32Array(256),
+            b: new Uint32Array(256),
+            luma: new Uint32Array(256)
+        };
+        const columns = width;
+        const waveform = new Uint32Array(columns * 256);
+        const grid = ColorScopes.VECTORSCOPE_GRID;
+        const vectorscope = new Uint32Array(grid * grid);
+
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const i = (y * width + x) * 4;
+                if (pixels[i + 3] === 0) continue;
+
+                const r = pixels[i];
+                const g = pixels[i + 1];
+                const b = pixels[i + 2];
+                const luma = Math.round(0.2126 * r + 0.7152 * g + 0.0722 * b);
+
+                histogram.r[r]++;
+                histogram.g[g]++;
+                histogram.b[b]++;
+                histogram.luma[luma]++;
+                waveform[x * 256 + luma]++;
+
+                // Rec.709 Cb/Cr, each -0.5..0.5
+                const cb = (b - luma) / 255 / 1.8556;
+                const cr = (r - luma) / 255 / 1.5748;
+                const u = Math.min(grid - 1, Math.max(0, Math.floor((cb + 0.5) * grid)));
+                const v = Math.min(grid - 1, Math.max(0, Math.floor((0.5 - cr) * grid)));
+                vectorscope[v * grid + u]++;
+            }
+        }
+
+        return { histogram, waveform, columns, vectorscope };
+    }
+
+    // ===================================
+    // DRAWING
+    // ===================================
+
+    draw() {
+        const ctx = this.ctx;
+        ctx.save();
+        ctx.globalCompositeOperation = 'source-over';
+        ctx.fillStyle = '#111';
+        ctx.fillRect(0, 0, this.width, this.height);
+
+        if (this.mode === 'waveform') {
+            this.drawWaveformGraticule(ctx);
+            if (this.lastData) this.drawWaveform(ctx, this.lastData);
+        } else if (this.mode === 'vectorscope') {
+            this.drawVectorscopeGraticule(ctx);
+            if (this.lastData) this.drawVectorscope(ctx, this.lastData);
+        } else {
+            this.drawHistogramGraticule(ctx);
+            if (this.lastData) this.drawHistogram(ctx, this.lastData);
+        }
+
+        if (!this.lastData) {
+            ctx.fillStyle = '#555';
+            ctx.font = `11px ${FONT_CONFIG.APP_FONT}`;
+            ctx.textAlign = 'center';
+            ctx.textBaseline = 'middle';
+            ctx.fillText(this.node ? 'Waiting for image…' : 'No selection', this.width / 2, this.height / 2);
+        }
+        ctx.restore();
+    }
+
+    drawHistogramGraticule(ctx) {
+        ctx.strokeStyle = '#2a2a2a';
+        ctx.lineWidth = 1;
+        for (const fraction of [0.25, 0.5, 0.75]) {
+            const x = Math.round(fraction * this.width) + 0.5;
+            ctx.beginPath();
+            ctx.moveTo(x, 0);
+            ctx.lineTo(x, this.height);
+            ctx.stroke();
+        }
+    }
+
+    drawHistogram(ctx, { histogram }) {
+        // Scale to the tallest bin away from the ends, so clipped pixels don't flatten the rest
+        let max = 1;
+        for (const channel of ['r', 'g', 'b']) {
+            for (let i = 1; i < 255; i++) {
+                max = Math.max(max, histogram[channel][i]);
+            }
+        }
+
+        const plot = (bins) => {
+            ctx.beginPath();
+            ctx.moveTo(0, this.height);
+            for (let i = 0; i < 256; i++) {
+                const x = (i + 0.5) / 256 * this.width;
+                const y = this.height - Math.min(1, bins[i] / max) * (this.height - 2);
+                ctx.lineTo(x, y);
+            }
+            ctx.lineTo(this.width, this.height);
+            ctx.closePath();
+        };
+
+        // Additive, so where all three overlap reads as white
+        ctx.globalCompositeOperation = 'lighter';
+        for (const [channel, color] of [['r', 'rgba(255, 60, 60, 0.55)'], ['g', 'rgba(60, 255, 60, 0.55)'], ['b', 'rgba(70, 110, 255, 0.55)']]) {
+            plot(histogram[channel]);
+            ctx.fillStyle = color;
+            ctx.fill();
+        }
+
+        ctx.globalCompositeOperation = 'source-over';
+        plot(histogram.luma);
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.7)';
+        ctx.lineWidth = 1;
+        ctx.stroke();
+    }
+
+    drawWaveformGraticule(ctx) {
+        ctx.strokeStyle = '#2a2a2a';
+        ctx.fillStyle = '#555';
+        ctx.lineWidth = 1;
+        ctx.font = `9px ${FONT_CONFIG.APP_FONT}`;
+        ctx.textBaseline = 'middle';
+        for (const level of [0, 25, 50, 75, 100]) {
+            const y = Math.round(this.waveformY(level / 100)) + 0.5;
+            ctx.beginPath();
+            ctx.moveTo(0, y);
+            ctx.lineTo(this.width, y);
+            ctx.stroke();
+            ctx.fillText(String(level), 2, y - 5);
+        }
+    }
+
+    waveformY(level) {
+        // A few pixels of headroom so 0 and 100 stay visible
+        return this.height - 4 - level * (this.height - 8);
+    }
+
+    drawWaveform(ctx, { waveform, columns }) {
+        const dpr = window.devicePixelRatio || 1;
+        const width = this.canvas.width;
+        const height = this.canvas.height;
+        const image = ctx.getImageData(0, 0, width, height);
+        const data = image.data;
+
+        // Each screen column shows the sample columns that fall in it
+        let max = 1;
+        for (let i = 0; i < waveform.length; i++) max = Math.max(max, waveform[i]);
+        const logMax = Math.log1p(max);
+
+        const top = 4 * dpr;
+        const range = height - 8 * dpr;
+        for (let column = 0; column < columns; column++) {
+            const x0 = Math.floor(column / columns * width);
+            const x1 = Math.max(x0 + 1, Math.floor((column + 1) / columns * width));
+            for (let level = 0; level < 256; level++) {
+                const count = waveform[column * 256 + level];
+                if (count === 0) continue;
+
+                const intensity = 0.25 + 0.75 * Math.log1p(count) / logMax;
+                const y = Math.round(top + (1 - level / 255) * range);
+                for (let x = x0; x < x1 && x < width; x++) {
+                    const i = (y * width + x) * 4;
+                    data[i] = Math.max(data[i], 90 * intensity);
+                    data[i + 1] = Math.max(data[i + 1], 255 * intensity);
+                    data[i + 2] = Math.max(data[i + 2], 110 * intensity);
+                }
+            }
+        }
+        ctx.putImageData(image, 0, 0);
+    }
+
+    get vectorscopeRadius() {
+        return Math.min(this.width, this.height) / 2 - 4;
+    }
+
+    drawVectorscopeGraticule(ctx) {
+        const cx = this.width / 2;
+        const cy = this.height / 2;
+        const radius = this.vectorscopeRadius;
+
+        ctx.strokeStyle = '#2a2a2a';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.arc(cx, cy, radius, 0, Math.PI * 2);
+        ctx.moveTo(cx - radius, cy);
+        ctx.lineTo(cx + radius, cy);
+        ctx.moveTo(cx, cy - radius);
+        ctx.lineTo(cx, cy + radius);
+        ctx.stroke();
+
+        // Skin tones of every complexion fall close to this line
+        const skinAngle = 123 * Math.PI / 180;
+        ctx.strokeStyle = '#3a3a3a';
+        ctx.beginPath();
+        ctx.moveTo(cx, cy);
+        ctx.lineTo(cx + Math.cos(skinAngle) * radius, cy - Math.sin(skinAngle) * radius);
+        ctx.stroke();
+
+        // 75% color bar targets
+        ctx.font = `8px ${FONT_CONFIG.APP_FONT}`;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        for (const [label, rgb] of ColorScopes.TARGETS) {
+            const [r, g, b] = rgb.map(value => value * 0.75);
+            const luma = 0.2126 * r + 0.7152 * g + 0.0722 * b;
+            const x = cx + (b - luma) / 1.8556 * 2 * radius;
+            const y = cy - (r - luma) / 1.5748 * 2 * radius;
+            ctx.strokeStyle = '#555';
+            ctx.strokeRect(x - 3.5, y - 3.5, 7, 7);
+            ctx.fillStyle = '#666';
+            ctx.fillText(label, x + (x - cx) * 0.18, y + (y - cy) * 0.18);
+        }
+    }
+
+    drawVectorscope(ctx, { vectorscope }) {
+        const grid = ColorScopes.VECTORSCOPE_GRID;
+        const radius = this.vectorscopeRadius;
+        const cellSize = radius * 2 / grid;
+        const left = this.width / 2 - radius;
+        const top = this.height / 2 - radius;
+
+        let max = 1;
+        for (let i = 0; i < vectorscope.length; i++) max = Math.max(max, vectorscope[i]);
+        const logMax = Math.log1p(max);
+
+        for (let v = 0; v < grid; v++) {
+            for (let u = 0; u < grid; u++) {
+                const count = vectorscope[v * grid + u];
+                if (count === 0) continue;
+
+                // Tint each dot with the hue it stands for
+                const cb = (u + 0.5) / grid - 0.5;
+                const cr = 0.5 - (v + 0.5) / grid;
+                const r = Math.min(1, Math.max(0, 0.5 + 1.5748 * cr));
+                const g = Math.min(1, Math.max(0, 0.5 - 0.1873 * cb - 0.4681 * cr));
+                const b = Math.min(1, Math.max(0, 0.5 + 1.8556 * cb));
+                const alpha = 0.3 + 0.7 * Math.log1p(count) / logMax;
+
+                ctx.fillStyle = `rgba(${Math.round(r * 255)}, ${Math.round(g * 255)}, ${Math.round(b * 255)}, ${alpha.toFixed(2)})`;
+                ctx.fillRect(left + u * cellSize, top + v * cellSize, Math.ceil(cellSize), Math.ceil(cellSize));
+            }
+        }
+    }
+
+    destroy() {
+        this.stop();
+        this.node = null;
+        if (this.canvas) {
+            this.canvas.remove();
+        }
+    }
+}
+
+ColorScopes.MODES = ['histogram', 'waveform', 'vectorscope'];
+
+// Long edge of the pixels the scopes are computed from
+ColorScopes.SAMPLE_SIZE = 256;
+
+// Minimum milliseconds between readbacks
+ColorScopes.UPDATE_INTERVAL = 80;
+
+// Cells per side of the vectorscope's Cb/Cr grid
+ColorScopes.VECTORSCOPE_GRID = 128;
+
+ColorScopes.TARGETS = [
+    ['R', [1, 0, 0]],
+    ['Mg', [1, 0, 1]],
+    ['B', [0, 0, 1]],
+    ['Cy', [0, 1, 1]],
+    ['G', [0, 1, 0]],
+    ['Yl', [1, 1, 0]]
+];
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ColorScopes;
+}
+
+// Make ColorScopes available globally
+if (typeof window !== 'undefined') {
+    window.ColorScopes = ColorScopes;
+}
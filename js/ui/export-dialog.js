@@ -0,0 +1,243 @@
+/**
+ * ExportDialog - Options for exporting the canvas through CanvasExporter
+ * Picks scope (selection, group or whole canvas), format and resolution
+ */
+class ExportDialog {
+    constructor(app) {
+        this.app = app;
+        this.isOpen = false;
+        this.isExporting = false;
+
+        this.dpiPresets = [72, 96, 150, 300, 600];
+
+        this.createDialog();
+        this.setupEventListeners();
+    }
+
+    get exporter() {
+        return this.app.canvasExporter;
+    }
+
+    createDialog() {
+        this.overlay = document.createElement('div');
+        this.overlay.className = 'export-dialog-overlay';
+        this.overlay.style.cssText = `
+            position: fixed;
+            top: 0;
+            left: 0;
+            right: 0;
+            bottom: 0;
+            background: rgba(0, 0, 0, 0.5);
+            z-index: 9999;
+            display: none;
+            backdrop-filter: blur(2px);
+        `;
+
+        this.panel = document.createElement('div');
+        this.panel.className = 'export-dialog';
+        this.panel.style.cssText = `
+            position: fixed;
+            top: 50%;
+            left: 50%;
+            transform: translate(-50%, -50%);
+            width: 320px;
+            background: var(--bg-secondary, #1a1a1a);
+            border: 1px solid var(--border-color, #333);
+            border-radius: 8px;
+            box-shadow: 0 4px 24px rgba(0, 0, 0, 0.5);
+            color: #e0e0e0;
+            font-family: ${FONT_CONFIG.APP_FONT};
+            font-size: 12px;
+            z-index: 10000;
+            display: none;
+        `;
+
+        const rowStyle = 'display: flex; justify-content: space-between; align-items: center; margin-bottom: 10px;';
+        const inputStyle = 'background: #252525; color: #e0e0e0; border: 1px solid #333; border-radius: 4px; padding: 4px 6px; font-size: 12px; width: 150px;';
+
+        this.panel.innerHTML = `
+            <div style="padding: 12px 16px; border-bottom: 1px solid var(--border-color, #333); display: flex; justify-content: space-between; align-items: center;">
+                <h3 style="margin: 0; font-size: 14px; font-weight: 600;">Export</h3>
+                <button class="export-close" style="background: none; border: none; color: #999; font-size: 18px; cursor: pointer;">×</button>
+            </div>
+            <div style="padding: 16px;">
+                <div style="${rowStyle}">
+                    <label>Content</label>
+                    <select class="export-scope" style="${inputStyle}">
+                        <option value="selection">Selection</option>
+                        <option value="group">Selected group</option>
+                        <option value="all">Whole canvas</option>
+                    </select>
+                </div>
+                <div style="${rowStyle}">
+                    <label>Format</label>
+                    <select class="export-format" style="${inputStyle}">
+                        <option value="png">PNG</option>
+                        <option value="jpeg">JPEG</option>
+                        <option value="pdf">PDF</option>
+                    </select>
+                </div>
+                <div style="${rowStyle}">
+                    <label>Resolution (DPI)</label>
+                    <input class="export-dpi" type="number" min="1" max="2400" list="export-dpi-presets" style="${inputStyle}">
+                    <datalist id="export-dpi-presets">
+                        ${this.dpiPresets.map(dpi => `<option value="${dpi}"></option>`).join('')}
+                    </datalist>
+                </div>
+                <div style="${rowStyle}">
+                    <label>Padding</label>
+                    <input class="export-padding" type="number" min="0" value="0" style="${inputStyle}">
+                </div>
+                <div class="export-background-row" style="${rowStyle}">
+                    <label>Transparent background</label>
+                    <input class="export-transparent" type="checkbox" checked>
+                </div>
+                <div class="export-quality-row" style="${rowStyle}">
+                    <label>Quality</label>
+                    <input class="export-quality" type="range" min="0.5" max="1" step="0.01" value="0.92" style="width: 150px;">
+                </div>
+                <div class="export-summary" style="color: #999; margin: 12px 0;"></div>
+                <div class="export-progress" style="height: 4px; background: #252525; border-radius: 2px; overflow: hidden; margin-bottom: 12px; display: none;">
+                    <div class="export-progress-bar" style="height: 100%; width: 0; background: #4CAF50; transition: width 0.1s;"></div>
+                </div>
+                <button class="export-start" style="width: 100%; padding: 8px; background: #4CAF50; color: #fff; border: none; border-radius: 4px; cursor: pointer; font-size: 12px;">Export</button>
+            </div>
+        `;
+
+        document.body.appendChild(this.overlay);
+        document.body.appendChild(this.panel);
+    }
+
+    setupEventListeners() {
+        this.overlay.addEventListener('click', () => this.hide());
+        this.panel.querySelector('.export-close').addEventListener('click', () => this.hide());
+        this.panel.querySelector('.export-start').addEventListener('click', () => this.startExport());
+
+        // Keep canvas shortcuts from firing while typing values
+        this.panel.addEventListener('keydown', (e) => {
+            e.stopPropagation();
+            if (e.key === 'Escape') this.hide();
+        });
+
+        for (const selector of ['.export-scope', '.export-format', '.export-dpi', '.export-padding', '.export-transparent']) {
+            this.panel.querySelector(selector).addEventListener('input', () => this.updateSummary());
+        }
+    }
+
+    getOptions() {
+        const format = this.panel.querySelector('.export-format').value;
+        const transparent = this.panel.querySelector('.export-transparent').checked;
+
+        return {
+            scope: this.panel.querySelector('.export-scope').value,
+            format,
+            dpi: Math.max(1, parseFloat(this.panel.querySelector('.export-dpi').value) || 96),
+            padding: Math.max(0, parseFloat(this.panel.querySelector('.export-padding').value) || 0),
+            background: format === 'png' && transparent ? null : '#ffffff',
+            quality: parseFloat(this.panel.querySelector('.export-quality').value)
+        };
+    }
+
+    updateSummary() {
+        const options = this.getOptions();
+
+        this.panel.querySelector('.export-background-row').style.display = options.format === 'png' ? 'flex' : 'none';
+        this.panel.querySelector('.export-quality-row').style.display = options.format === 'png' ? 'none' : 'flex';
+
+        const summary = this.panel.querySelector('.export-summary');
+        const size = this.exporter?.estimateSize(options);
+        const startBtn = this.panel.querySelector('.export-start');
+
+        if (!size) {
+            summary.textContent = options.scope === 'group' ? 'Select a group to export' : 'Nothing to export';
+            startBtn.disabled = true;
+            return;
+        }
+
+        const megapixels = (size.width * size.height / 1e6).toFixed(1);
+        summary.textContent = `${size.nodeCount} nodes · ${size.width} × ${size.height} px (${megapixels} MP)`;
+        startBtn.disabled = this.isExporting;
+    }
+
+    async startExport() {
+        if (this.isExporting || !this.exporter) return;
+
+        const options = this.getOptions();
+        localStorage.setItem('imagecanvas_export_dpi', String(options.dpi));
+
+        const progress = this.panel.querySelector('.export-progress');
+        const progressBar = this.panel.querySelector('.export-progress-bar');
+        const startBtn = this.panel.querySelector('.export-start');
+
+        this.isExporting = true;
+        startBtn.disabled = true;
+        startBtn.textContent = 'Exporting...';
+        progress.style.display = 'block';
+        progressBar.style.width = '0';
+
+        try {
+            const result = await this.exporter.exportAndDownload({
+                ...options,
+                onProgress: (done, total) => {
+                    progressBar.style.width = `${Math.round(done / total * 100)}%`;
+                }
+            });
+
+            if (window.unifiedNotifications) {
+                window.unifiedNotifications.success(`Exported ${result.filename}`, {
+                    detail: `${result.width} × ${result.height} px`,
+                    duration: 3000
+                });
+            }
+            this.hide();
+        } catch (error) {
+            console.error('Export failed:', error);
+            if (window.unifiedNotifications) {
+                window.unifiedNotifications.error('Export failed', {
+                    detail: error.message,
+                    duration: 5000
+                });
+            }
+        } finally {
+            this.isExporting = false;
+            startBtn.textContent = 'Export';
+            progress.style.display = 'none';
+            this.updateSummary();
+        }
+    }
+
+    show() {
+        // Default to the selection when there is one
+        const selected = this.app.graphCanvas.selection.getSelectedNodes();
+        const scope = this.panel.querySelector('.export-scope');
+        if (selected.length === 1 && selected[0].type === 'container/group') {
+            scope.value = 'group';
+        } else {
+            scope.value = selected.length > 0 ? 'selection' : 'all';
+        }
+
+        this.panel.querySelector('.export-dpi').value = localStorage.getItem('imagecanvas_export_dpi') || '150';
+
+        this.isOpen = true;
+        this.overlay.style.display = 'block';
+        this.panel.style.display = 'block';
+        this.updateSummary();
+    }
+
+    hide() {
+        if (this.isExporting) return;
+        this.isOpen = false;
+        this.overlay.style.display = 'none';
+        this.panel.style.display = 'none';
+    }
+
+    toggle() {
+        if (this.isOpen) {
+            this.hide();
+        } else {
+            this.show();
+        }
+    }
+}
+
+window.ExportDialog = ExportDialog;
@@ -4,12 +4,18 @@ class FloatingColorCorrection {
         this.panel = null;
         this.isVisible = false;
         this.currentNode = null;
+        this.gradeTargets = []; // Selected images/videos that copy/paste and presets apply to
         this.position = { x: window.innerWidth - 680, y: 100 };
         this.size = { width: 320, height: 400 };
         
         // Components
         this.splineCurveEditor = null;
         
+        // Histogram/waveform/vectorscope of the graded output
+        this.colorScopes = null;
+        this.scopeMode = 'histogram';
+        this.scopesCollapsed = false;
+        
         // Color balance panel
         this.colorBalancePanel = null;
         this.colorBalanceVisible = false;
@@ -19,6 +25,7 @@ class FloatingColorCorrection {
         this.toneCurveUndoStarted = false;
         this.adjustmentUndoStarted = false;
         this.colorBalanceUndoStarted = false;
+        this.lutUndoStarted = false;
         
         // Callback for when visibility changes
         this.visibilityCallback = null;
@@ -407,6 +414,204 @@ rgb(255, 50, 50) 100%);
                 font-style: italic;
                 padding: 40px 20px;
             }
+
+            .grade-bar {
+                position: relative;
+                display: flex;
+                gap: 8px;
+                align-items: center;
+                padding-bottom: 12px;
+                margin-bottom: 12px;
+                border-bottom: 1px solid #333;
+            }
+
+            .grade-bar > :first-child {
+                margin-right: auto;
+            }
+
+            .grade-bar button:disabled {
+                opacity: 0.4;
+                cursor: not-allowed;
+            }
+
+            .grade-selection-count {
+                font-size: 11px;
+                color: #ccc;
+            }
+
+            .grade-presets-menu {
+                position: absolute;
+                top: 100%;
+                left: 0;
+                z-index: 10;
+                min-width: 200px;
+                max-height: 260px;
+                overflow-y: auto;
+                margin-top: -8px;
+                padding: 4px 0;
+                background: #2a2a2a;
+                border: 1px solid #444;
+                border-radius: 4px;
+                box-shadow: 0 4px 12px rgba(0, 0, 0, 0.4);
+            }
+
+            .grade-presets-group {
+                padding: 6px 10px 2px;
+                font-size: 10px;
+                font-weight: 600;
+                color: #777;
+                text-transform: uppercase;
+                letter-spacing: 0.5px;
+            }
+
+            .grade-preset-item,
+            .grade-preset-save,
+            .grade-bake-item {
+                display: flex;
+                align-items: center;
+                justify-content: space-between;
+                padding: 5px 10px;
+                font-size: 11px;
+                color: #e0e0e0;
+                cursor: pointer;
+            }
+
+            .grade-preset-item:hover,
+            .grade-preset-save:hover,
+            .grade-bake-item:hover {
+                background: #333;
+            }
+
+            .grade-presets-menu.grade-bake-menu {
+                left: auto;
+                right: 0;
+            }
+
+            .grade-preset-name {
+                overflow: hidden;
+                text-overflow: ellipsis;
+                white-space: nowrap;
+            }
+
+            .grade-preset-delete {
+                background: none;
+                border: none;
+                color: #777;
+                font-size: 13px;
+                line-height: 1;
+                padding: 0 0 0 8px;
+                cursor: pointer;
+            }
+
+            .grade-preset-delete:hover {
+                color: #e0e0e0;
+            }
+
+            .grade-presets-empty {
+                padding: 5px 10px;
+                font-size: 11px;
+                color: #666;
+                font-style: italic;
+            }
+
+            .grade-presets-divider {
+                height: 1px;
+                margin: 4px 0;
+                background: #333;
+            }
+
+            .scopes-section {
+                display: flex;
+                flex-direction: column;
+                gap: 8px;
+                padding-bottom: 12px;
+                margin-bottom: 12px;
+                border-bottom: 1px solid #333;
+            }
+
+            .scopes-section.collapsed .scopes-container,
+            .scopes-section.collapsed .scope-modes {
+                display: none;
+            }
+
+            .scopes-toggle {
+                cursor: pointer;
+            }
+
+            .scopes-toggle::before {
+                content: '▾ ';
+            }
+
+            .scopes-section.collapsed .scopes-toggle::before {
+                content: '▸ ';
+            }
+
+            .scope-modes {
+                display: flex;
+                gap: 2px;
+            }
+
+            .scope-mode-btn {
+                background: none;
+                border: 1px solid transparent;
+                border-radius: 3px;
+                padding: 2px 5px;
+                color: #888;
+                font-size: 10px;
+                font-family: inherit;
+                cursor: pointer;
+            }
+
+            .scope-mode-btn:hover {
+                color: #ccc;
+            }
+
+            .scope-mode-btn.active {
+                color: #e0e0e0;
+                border-color: #444;
+                background: #2a2a2a;
+            }
+
+            .scopes-container {
+                line-height: 0;
+            }
+
+            .color-scopes-canvas {
+                border: 1px solid #333;
+                border-radius: 4px;
+            }
+
+            .lut-section {
+                display: flex;
+                flex-direction: column;
+                gap: 8px;
+                border-top: 1px solid #333;
+                padding-top: 12px;
+                margin-top: 12px;
+            }
+
+            .lut-name {
+                flex: 1;
+                font-size: 11px;
+                color: #ccc;
+                overflow: hidden;
+                text-overflow: ellipsis;
+                white-space: nowrap;
+            }
+
+            .lut-name.empty {
+                color: #666;
+                font-style: italic;
+            }
+
+            .lut-section .adjustment-slider {
+                background: linear-gradient(to right, #444, #aaa);
+            }
+
+            .lut-section:not(.has-lut) .adjustment-row:last-child,
+            .lut-section:not(.has-lut) .lut-remove-btn {
+                display: none;
+            }
         `;
         document.head.appendChild(style);
     }
@@ -446,16 +651,44 @@ rgb(255, 50, 50) 100%);
                 }
             } else if (e.target.classList.contains('color-balance-btn')) {
                 this.showColorBalancePanel();
-            } else if (e.target.classList.contains('curve-preset-btn')) {
-                if (!this.isBypassed()) {
-                    // TODO: Show preset menu
-                    console.log('Presets not yet implemented');
-                }
+            } else if (e.target.classList.contains('scopes-toggle')) {
+                this.toggleScopes();
+            } else if (e.target.classList.contains('scope-mode-btn')) {
+                this.setScopeMode(e.target.dataset.mode);
+            } else if (e.target.classList.contains('grade-presets-btn')) {
+                this.togglePresetMenu();
+            } else if (e.target.classList.contains('grade-bake-btn')) {
+                this.toggleBakeMenu();
+            } else if (e.target.classList.contains('grade-bake-item')) {
+                this.bakeGrade(e.target.dataset.mode);
+            } else if (e.target.classList.contains('grade-copy-btn')) {
+                this.copyGrade();
+            } else if (e.target.classList.contains('grade-paste-btn')) {
+                this.pasteGrade();
+            } else if (e.target.classList.contains('grade-preset-delete')) {
+                this.deletePreset(parseInt(e.target.closest('.grade-preset-item').dataset.presetId));
+            } else if (e.target.closest('.grade-preset-item')) {
+                this.applyPreset(parseInt(e.target.closest('.grade-preset-item').dataset.presetId));
+            } else if (e.target.classList.contains('grade-preset-save')) {
+                this.savePreset(e.target.dataset.shared === 'true');
+            } else if (e.target.classList.contains('lut-import-btn')) {
+                this.panel.querySelector('.lut-file-input')?.click();
+            } else if (e.target.classList.contains('lut-remove-btn')) {
+                this.setNodeLut(null);
+            }
+        });
+
+        // Close the presets and bake menus on any click outside them
+        document.addEventListener('mousedown', (e) => {
+            const menu = this.panel.querySelector('.grade-presets-menu');
+            if (menu && !menu.contains(e.target) &&
+                    !e.target.classList.contains('grade-presets-btn') && !e.target.classList.contains('grade-bake-btn')) {
+                menu.remove();
             }
         });
 
         contentEl.addEventListener('input', (e) => {
-            if (e.target.classList.contains('adjustment-slider')) {
+            if (e.target.matches('.adjustment-slider[data-adjustment]')) {
                 const adjustmentKey = e.target.dataset.adjustment;
                 const value = parseFloat(e.target.value);
                 // Update the value display
@@ -471,9 +704,26 @@ rgb(255, 50, 50) 100%);
             }
         });
         
+        // LUT intensity previews while dragging and commits on release
+        contentEl.addEventListener('input', (e) => {
+            if (e.target.classList.contains('lut-intensity-slider')) {
+                this.updateLutIntensity(parseFloat(e.target.value), true);
+            }
+        });
+
+        contentEl.addEventListener('change', (e) => {
+            if (e.target.classList.contains('lut-intensity-slider')) {
+                this.updateLutIntensity(parseFloat(e.target.value), false);
+            } else if (e.target.classList.contains('lut-file-input')) {
+                const file = e.target.files[0];
+                e.target.value = ''; // Allow picking the same file again
+                if (file) this.importLut(file);
+            }
+        });
+        
         // Commit on mouse up (change event fires after mouse release)
         contentEl.addEventListener('change', (e) => {
-            if (e.target.classList.contains('adjustment-slider')) {
+            if (e.target.matches('.adjustment-slider[data-adjustment]')) {
                 const adjustmentKey = e.target.dataset.adjustment;
                 const value = parseFloat(e.target.value);
                 this.updateNodeAdjustment(adjustmentKey, value, false); // final update
@@ -482,7 +732,7 @@ rgb(255, 50, 50) 100%);
         
         // Add double-click to reset sliders
         contentEl.addEventListener('dblclick', (e) => {
-            if (e.target.classList.contains('adjustment-slider')) {
+            if (e.target.matches('.adjustment-slider[data-adjustment]')) {
                 const adjustmentKey = e.target.dataset.adjustment;
                 const defaultValue = 0; // All adjustments default to 0
                 
@@ -648,6 +898,9 @@ rgb(255, 50, 50) 100%);
     }
 
     updateSelection(selectedNodes) {
+        this.gradeTargets = Array.from(selectedNodes.values())
+            .filter(node => node.type === 'media/image' || node.type === 'media/video');
+        
         // Show for single image or video node selection
         if (selectedNodes.size === 1) {
             const node = Array.from(selectedNodes.values())[0];
@@ -760,6 +1013,8 @@ rgb(255, 50, 50) 100%);
         // Update bypass toggle states
         this.updateBypassStatesFromNode();
         
+        this.updateLutSection();
+        
         // Update color balance wheels
         if (this.colorBalancePanel && this.colorBalanceVisible) {
             this.updateColorBalancePanel();
@@ -832,8 +1087,14 @@ rgb(255, 50, 50) 100%);
         const contentEl = this.panel.querySelector('.color-correction-content');
         
         if (!this.currentNode) {
-            contentEl.innerHTML = '<div class="no-selection-message">Select an image or video to adjust color correction</div>';
+            if (this.gradeTargets.length > 1) {
+                // Several images/videos: only whole grades can be applied
+                contentEl.innerHTML = this.renderGradeBar();
+            } else {
+                contentEl.innerHTML = '<div class="no-selection-message">Select an image or video to adjust color correction</div>';
+            }
             this.splineCurveEditor = null; // Clear reference since content is gone
+            this.destroyScopes();
             return;
         }
 
@@ -896,11 +1157,30 @@ rgb(255, 50, 50) 100%);
                 // If adjustment controls don't exist, initialize them
                 this.initializeColorAdjustments();
             }
+            
+            this.updateLutSection();
+            this.updateGradeBar();
+            this.colorScopes?.setNode(this.currentNode);
+            this.updateScopesActivity();
         }
     }
     
     renderContent(container) {
+        this.destroyScopes();
+        
         container.innerHTML = `
+            ${this.renderGradeBar()}
+            <div class="scopes-section ${this.scopesCollapsed ? 'collapsed' : ''}">
+                <div class="section-header">
+                    <div class="section-title scopes-toggle" title="Show/hide scopes">Scopes</div>
+                    <div class="scope-modes">
+                        <button class="scope-mode-btn ${this.scopeMode === 'histogram' ? 'active' : ''}" data-mode="histogram" title="RGB histogram">Hist</button>
+                        <button class="scope-mode-btn ${this.scopeMode === 'waveform' ? 'active' : ''}" data-mode="waveform" title="Luma waveform">Wave</button>
+                        <button class="scope-mode-btn ${this.scopeMode === 'vectorscope' ? 'active' : ''}" data-mode="vectorscope" title="Vectorscope">Vector</button>
+                    </div>
+                </div>
+                <div class="scopes-container"></div>
+            </div>
             <div class="curve-section ${this.currentNode.toneCurveBypassed ? 'bypassed' : ''}">
                 <div class="section-header">
                     <div class="section-title">Tone Curve</div>
@@ -909,7 +1189,6 @@ rgb(255, 50, 50) 100%);
                 <div class="curve-editor-container"></div>
                 <div class="curve-controls">
                     <!-- <button class="curve-reset-btn" title="Reset curve">Reset</button> -->
-                    <!-- <button class="curve-preset-btn" title="Presets">Presets</button> -->
                 </div>
             </div>
             <div class="color-balance-section ${this.currentNode.colorBalanceBypassed ? 'bypassed' : ''}">
@@ -925,6 +1204,22 @@ rgb(255, 50, 50) 100%);
                 </div>
                 <div class="adjustment-controls"></div>
             </div>
+            <div class="lut-section">
+                <div class="section-header">
+                    <div class="section-title">LUT</div>
+                </div>
+                <div class="adjustment-row">
+                    <div class="lut-name"></div>
+                    <button class="curve-preset-btn lut-import-btn" title="Import a .cube 3D LUT">Import .cube</button>
+                    <button class="curve-preset-btn lut-remove-btn" title="Remove LUT">Remove</button>
+                    <input type="file" class="lut-file-input" accept=".cube" hidden>
+                </div>
+                <div class="adjustment-row">
+                    <div class="adjustment-label">Intensity</div>
+                    <input type="range" class="adjustment-slider lut-intensity-slider" min="0" max="1" step="0.01" value="1">
+                    <div class="adjustment-value lut-intensity-value">1.00</div>
+                </div>
+            </div>
         `;
         
         // Initialize curve editor
@@ -941,6 +1236,9 @@ rgb(255, 50, 50) 100%);
         
         // Initialize color adjustments
         this.initializeColorAdjustments();
+        
+        this.updateLutSection();
+        this.initializeScopes();
     }
     
     updateAdjustmentControls(container) {
@@ -1339,6 +1637,336 @@ rgb(255, 50, 50) 100%);
         this.requestRedraw();
     }
 
+    // ===================================
+    // GRADE COPY/PASTE AND PRESETS
+    // ===================================
+
+    get gradeManager() {
+        return window.app?.colorGradeManager || null;
+    }
+
+    renderGradeBar() {
+        this.listenForGradeChanges();
+        const canPaste = !!this.gradeManager?.hasCopiedGrade();
+        
+        // With several items selected there's no single grade to copy
+        return `
+            <div class="grade-bar">
+                ${this.currentNode ? '' : `<div class="grade-selection-count">${this.gradeTargets.length} selected</div>`}
+                <button class="curve-preset-btn grade-presets-btn" title="Apply or save grade presets">Presets ▾</button>
+                ${this.currentNode ? '<button class="curve-preset-btn grade-copy-btn" title="Copy this grade">Copy</button>' : ''}
+                <button class="curve-preset-btn grade-paste-btn" title="Paste the copied grade onto the selection" ${canPaste ? '' : 'disabled'}>Paste</button>
+                ${this.currentNode?.type === 'media/image' ? '<button class="curve-preset-btn grade-bake-btn" title="Render the grade, crop and flips into a full-resolution image">Bake ▾</button>' : ''}
+            </div>
+        `;
+    }
+
+    updateGradeBar() {
+        const pasteBtn = this.panel.querySelector('.grade-paste-btn');
+        if (pasteBtn) {
+            pasteBtn.disabled = !this.gradeManager?.hasCopiedGrade();
+        }
+        
+        const bakeBtn = this.panel.querySelector('.grade-bake-btn');
+        if (bakeBtn) {
+            const baking = !!this.gradeManager?.isBaking(this.currentNode);
+            bakeBtn.disabled = !this.gradeManager?.canBake(this.currentNode);
+            bakeBtn.textContent = baking ? 'Baking…' : 'Bake ▾';
+        }
+    }
+
+    listenForGradeChanges() {
+        if (this._gradeChangeUnsubscribe || !this.gradeManager) return;
+        
+        // Presets can change under an open menu when someone shares one
+        this._gradeChangeUnsubscribe = this.gradeManager.onChange(() => {
+            const menu = this.panel.querySelector('.grade-presets-menu:not(.grade-bake-menu)');
+            if (menu) {
+                this.renderPresetMenu(menu, this.gradeManager.presets);
+            }
+            this.updateGradeBar();
+        });
+    }
+
+    copyGrade() {
+        if (!this.currentNode || !this.gradeManager) return;
+        this.gradeManager.copyGrade(this.currentNode);
+    }
+
+    async pasteGrade() {
+        if (!this.gradeManager) return;
+        await this.gradeManager.pasteGrade(this.gradeTargets);
+        this.refreshUIFromNode();
+    }
+
+    async togglePresetMenu() {
+        const existing = this.panel.querySelector('.grade-presets-menu');
+        existing?.remove();
+        if (existing && !existing.classList.contains('grade-bake-menu')) return;
+        
+        const bar = this.panel.querySelector('.grade-bar');
+        if (!bar || !this.gradeManager) return;
+        
+        const menu = document.createElement('div');
+        menu.className = 'grade-presets-menu';
+        menu.innerHTML = '<div class="grade-presets-empty">Loading…</div>';
+        bar.appendChild(menu);
+        
+        const presets = await this.gradeManager.loadPresets();
+        if (menu.isConnected) {
+            this.renderPresetMenu(menu, presets);
+        }
+    }
+
+    renderPresetMenu(menu, presets) {
+        const readOnly = !!this.canvas?.readOnly;
+        menu.innerHTML = '';
+        
+        const addItem = (className, text, attributes = {}) => {
+            const item = document.createElement('div');
+            item.className = className;
+            item.textContent = text;
+            Object.assign(item.dataset, attributes);
+            menu.appendChild(item);
+            return item;
+        };
+        
+        const addGroup = (title, groupPresets) => {
+            if (groupPresets.length === 0) return;
+            addItem('grade-presets-group', title);
+            
+            for (const preset of groupPresets) {
+                const item = addItem('grade-preset-item', '', { presetId: preset.id });
+                if (preset.shared && preset.author) {
+                    item.title = `Shared by ${preset.author}`;
+                }
+                
+                const name = document.createElement('span');
+                name.className = 'grade-preset-name';
+                name.textContent = preset.name;
+                item.appendChild(name);
+                
+                if (!preset.shared || !readOnly) {
+                    const deleteBtn = document.createElement('button');
+                    deleteBtn.className = 'grade-preset-delete';
+                    deleteBtn.title = 'Delete preset';
+                    deleteBtn.textContent = '×';
+                    item.appendChild(deleteBtn);
+                }
+            }
+        };
+        
+        addGroup('My presets', presets.filter(preset => !preset.shared));
+        addGroup('Shared with this canvas', presets.filter(preset => preset.shared));
+        
+        if (presets.length === 0) {
+            addItem('grade-presets-empty', 'No presets yet');
+        }
+        
+        // Saving needs a single node to take the grade from
+        if (this.currentNode) {
+            addItem('grade-presets-divider', '');
+            addItem('grade-preset-save', 'Save current grade…', { shared: 'false' });
+            if (this.gradeManager.getCanvasId() && !readOnly) {
+                addItem('grade-preset-save', 'Save and share with this canvas…', { shared: 'true' });
+            }
+        }
+    }
+
+    async applyPreset(presetId) {
+        const preset = this.gradeManager?.presets.find(preset => preset.id === presetId);
+        this.panel.querySelector('.grade-presets-menu')?.remove();
+        if (!preset) return;
+        
+        await this.gradeManager.applyGrade(this.gradeTargets, preset.grade, 'apply_grade_preset');
+        this.refreshUIFromNode();
+    }
+
+    async savePreset(shared) {
+        if (!this.currentNode || !this.gradeManager) return;
+        const node = this.currentNode;
+        this.panel.querySelector('.grade-presets-menu')?.remove();
+        
+        const name = prompt(shared ? 'Name for the shared preset:' : 'Preset name:', '')?.trim();
+        if (!name) return;
+        
+        await this.gradeManager.savePreset(name, this.gradeManager.getGrade(node), shared);
+    }
+
+    toggleBakeMenu() {
+        const existing = this.panel.querySelector('.grade-presets-menu');
+        existing?.remove();
+        if (existing?.classList.contains('grade-bake-menu')) return;
+        
+        const bar = this.panel.querySelector('.grade-bar');
+        if (!bar || !this.currentNode) return;
+        
+        const menu = document.createElement('div');
+        menu.className = 'grade-presets-menu grade-bake-menu';
+        for (const [mode, text, title] of [
+            ['sibling', 'Bake to new image', 'Add the baked image next to this one'],
+            ['replace', 'Replace source', 'Swap the baked image in and reset the grade']
+        ]) {
+            const item = document.createElement('div');
+            item.className = 'grade-bake-item';
+            item.dataset.mode = mode;
+            item.textContent = text;
+            item.title = title;
+            menu.appendChild(item);
+        }
+        bar.appendChild(menu);
+    }
+
+    async bakeGrade(mode) {
+        this.panel.querySelector('.grade-presets-menu')?.remove();
+        if (!this.currentNode || !this.gradeManager) return;
+        
+        const node = this.currentNode;
+        await this.gradeManager.bakeGrade(node, mode);
+        if (mode === 'replace' && this.currentNode === node) {
+            this.refreshUIFromNode();
+        }
+    }
+
+    async deletePreset(presetId) {
+        const preset = this.gradeManager?.presets.find(preset => preset.id === presetId);
+        if (!preset) return;
+        
+        const message = preset.shared
+            ? `Delete "${preset.name}" for everyone on this canvas?`
+            : `Delete preset "${preset.name}"?`;
+        if (!confirm(message)) return;
+        
+        // The change listener re-renders the menu once the list reloads
+        await this.gradeManager.deletePreset(presetId);
+    }
+
+    // ===================================
+    // SCOPES
+    // ===================================
+
+    initializeScopes() {
+        const container = this.panel.querySelector('.scopes-container');
+        if (!container || !window.ColorScopes) return;
+        
+        this.colorScopes = new window.ColorScopes(container, {
+            width: 218, // 250px panel - 32px padding
+            height: 140,
+            mode: this.scopeMode
+        });
+        this.colorScopes.setNode(this.currentNode);
+        this.updateScopesActivity();
+    }
+
+    destroyScopes() {
+        if (this.colorScopes) {
+            this.colorScopes.destroy();
+            this.colorScopes = null;
+        }
+    }
+
+    /**
+     * Scopes read pixels back from the GPU, so they only run while someone can see them
+     */
+    updateScopesActivity() {
+        if (!this.colorScopes) return;
+        
+        if (this.isVisible && this.currentNode && !this.scopesCollapsed) {
+            this.colorScopes.start();
+        } else {
+            this.colorScopes.stop();
+        }
+    }
+
+    toggleScopes() {
+        this.scopesCollapsed = !this.scopesCollapsed;
+        this.panel.querySelector('.scopes-section')?.classList.toggle('collapsed', this.scopesCollapsed);
+        this.updateScopesActivity();
+        this.saveState();
+    }
+
+    setScopeMode(mode) {
+        this.scopeMode = mode;
+        this.colorScopes?.setMode(mode);
+        this.panel.querySelectorAll('.scope-mode-btn').forEach(button => {
+            button.classList.toggle('active', button.dataset.mode === mode);
+        });
+        this.saveState();
+    }
+
+    // ===================================
+    // LUT
+    // ===================================
+
+    updateLutSection() {
+        const section = this.panel.querySelector('.lut-section');
+        if (!section || !this.currentNode) return;
+        
+        const lut = this.currentNode.lut;
+        section.classList.toggle('has-lut', !!lut);
+        
+        const name = section.querySelector('.lut-name');
+        name.textContent = lut ? lut.name : 'None';
+        name.title = lut ? lut.name : '';
+        name.classList.toggle('empty', !lut);
+        
+        const intensity = lut?.intensity ?? 1;
+        section.querySelector('.lut-intensity-slider').value = intensity;
+        section.querySelector('.lut-intensity-value').textContent = intensity.toFixed(2);
+    }
+
+    async importLut(file) {
+        if (!this.currentNode || !this.gradeManager) return;
+        
+        // The upload can outlast the selection, so keep the node it was for
+        const node = this.currentNode;
+        const lut = await this.gradeManager.importLut(file);
+        if (lut) {
+            await this.setNodeLut(lut, node);
+        }
+    }
+
+    async setNodeLut(lut, node = this.currentNode) {
+        if (!node || !window.app?.operationPipeline) return;
+        
+        await window.app.operationPipeline.execute('node_property_update', {
+            nodeId: node.id,
+            nodeIds: [node.id],
+            property: 'lut',
+            value: lut
+        });
+        
+        node.needsGLUpdate = true;
+        window.app.graphCanvas?.renderer?._invalidateCache?.(node.id);
+        this.requestRedraw();
+        if (node === this.currentNode) {
+            this.updateLutSection();
+        }
+    }
+
+    updateLutIntensity(value, isIntermediate = true) {
+        if (!this.currentNode?.lut) return;
+        
+        if (isIntermediate && !this.lutUndoStarted) {
+            window.app?.undoManager?.beginInteraction([this.currentNode]);
+            this.lutUndoStarted = true;
+            window.app?.graphCanvas?.renderer?.startAdjustment?.(this.currentNode.id);
+        }
+        
+        this.currentNode.lut = { ...this.currentNode.lut, intensity: Math.max(0, Math.min(1, value)) };
+        this.panel.querySelector('.lut-intensity-value').textContent = value.toFixed(2);
+        this.requestRedraw();
+        
+        if (!isIntermediate && this.lutUndoStarted) {
+            window.app?.undoManager?.endInteraction('node_property_update', {
+                property: 'lut',
+                value: this.currentNode.lut
+            });
+            this.lutUndoStarted = false;
+            window.app?.graphCanvas?.renderer?.endAdjustment?.(this.currentNode.id);
+        }
+    }
+
     updatePosition() {
         this.panel.style.left = `${this.position.x}px`;
         this.panel.style.top = `${this.position.y}px`;
@@ -1360,6 +1988,8 @@ rgb(255, 50, 50) 100%);
                 });
             }
             
+            this.updateScopesActivity();
+            
             // Notify any listeners that visibility changed
             this.onVisibilityChange();
             this.saveState();
@@ -1386,6 +2016,8 @@ rgb(255, 50, 50) 100%);
                 }
             }, 200); // Match the CSS transition duration
             
+            this.updateScopesActivity();
+            
             // Notify any listeners that visibility changed
             this.onVisibilityChange();
             this.saveState();
@@ -2020,6 +2652,12 @@ rgb(255, 50, 50) 100%);
             }
         }
         
+        if (this._gradeChangeUnsubscribe) {
+            this._gradeChangeUnsubscribe();
+        }
+        
+        this.destroyScopes();
+        
         if (this.splineCurveEditor) {
             this.splineCurveEditor.destroy();
         }
@@ -2035,7 +2673,9 @@ rgb(255, 50, 50) 100%);
         try {
             localStorage.setItem('floating-color-correction-state', JSON.stringify({
                 position: { x: this.position.x, y: this.position.y },
-                visible: this.isVisible
+                visible: this.isVisible,
+                scopeMode: this.scopeMode,
+                scopesCollapsed: this.scopesCollapsed
             }));
         } catch (e) {
             console.error('Failed to save color correction state:', e);
@@ -2048,6 +2688,10 @@ rgb(255, 50, 50) 100%);
             if (saved) {
                 const state = JSON.parse(saved);
                 
+                // Restore scope choices before the content is rendered
+                if (state.scopeMode) this.scopeMode = state.scopeMode;
+                this.scopesCollapsed = !!state.scopesCollapsed;
+                
                 // Restore position
                 if (state.position) {
                     this.position.x = Math.max(0, Math.min(window.innerWidth - 320, state.position.x));
@@ -22,6 +22,24 @@ class FloatingPropertiesInspector {
         // Track thumbnail subscriptions
         this.thumbnailSubscriptions = new Set();
         
+        // Viewers see values but can't edit them
+        this.readOnly = false;
+        
+        // Whether the transform inputs were rendered disabled for locked nodes
+        this.transformLocked = false;
+        
+        // Arrange controls keep their choices across selections
+        this.arrangeSettings = {
+            dimension: 'area',
+            reference: 'largest',
+            style: 'rows',
+            rowHeight: CONFIG.ARRANGE.ROW_HEIGHT,
+            sortBy: CONFIG.ARRANGE.SORT_BY
+        };
+        
+        // Frames in a video contact sheet, kept across selections like the above
+        this.contactSheetCount = CONFIG.VIDEO_FRAMES.CONTACT_SHEET_COUNT;
+        
         this.createUI();
         this.setupEventListeners();
         this.updatePosition();
@@ -258,6 +276,19 @@ class FloatingPropertiesInspector {
                 border-color: #0066cc;
             }
 
+            .floating-properties-inspector.read-only .properties-list input,
+            .floating-properties-inspector.read-only .properties-list select,
+            .floating-properties-inspector.read-only .property-reset-button,
+            .floating-properties-inspector.read-only .aspect-ratio-lock,
+            .floating-properties-inspector.read-only .title-visibility-toggle,
+            .floating-properties-inspector.read-only [data-action="clear-all"],
+            .floating-properties-inspector.read-only .arrange-controls .action-button,
+            .floating-properties-inspector.read-only .frame-controls .action-button {
+                opacity: 0.6;
+                cursor: default;
+                pointer-events: none;
+            }
+
             .property-input[type="number"] {
                 -moz-appearance: textfield;
             }
@@ -408,6 +439,26 @@ class FloatingPropertiesInspector {
                 gap: 6px;
             }
 
+            .arrange-controls,
+            .frame-controls,
+            .original-controls {
+                display: flex;
+                flex-direction: column;
+                gap: 6px;
+            }
+
+            .arrange-controls .property-row > *,
+            .frame-controls .property-row > *,
+            .original-controls .property-row > * {
+                flex: 1;
+                min-width: 0;
+            }
+
+            .original-controls .action-button {
+                text-align: center;
+                text-decoration: none;
+            }
+
             .action-button {
                 background: #2a2a2a;
                 border: 1px solid #444;
@@ -598,6 +649,11 @@ class FloatingPropertiesInspector {
                 color: #666;
                 background-color: rgba(255, 255, 255, 0.03);
             }
+
+            .property-group.transform-locked .property-label-icon {
+                pointer-events: none;
+                opacity: 0.4;
+            }
             
             /* Container for icon label + input */
             .property-input-with-icon {
@@ -982,6 +1038,7 @@ class FloatingPropertiesInspector {
             // Show canvas statistics and properties only when no nodes are selected
             this.renderCanvasStats(contentEl);
             this.renderCanvasProperties(contentEl);
+            this.applyReadOnlyState(contentEl);
             return;
         }
 
@@ -992,11 +1049,55 @@ class FloatingPropertiesInspector {
             contentEl.appendChild(info);
         }
 
+        this.transformLocked = this.isTransformLocked();
         const commonProperties = this.getCommonProperties();
         this.renderPropertyGroups(contentEl, commonProperties);
+        if (this.currentNodes.size > 1) {
+            this.renderArrangeControls(contentEl);
+        } else {
+            const node = this.currentNodes.values().next().value;
+            if (node.type === 'media/video') {
+                this.renderFrameControls(contentEl);
+            }
+            if (node.properties?.original) {
+                this.renderOriginalControls(contentEl);
+            }
+        }
+        this.applyReadOnlyState(contentEl);
 
     }
     
+    setReadOnly(readOnly) {
+        if (this.readOnly === readOnly) return;
+        this.readOnly = readOnly;
+        this.panel.classList.toggle('read-only', readOnly);
+        this.updateProperties();
+    }
+
+    applyReadOnlyState(container) {
+        if (!this.readOnly) return;
+        const editors = 'input, select, textarea, .property-reset-button, .aspect-ratio-lock, [data-action="clear-all"], .arrange-controls .action-button, .frame-controls .action-button';
+        container.querySelectorAll(editors).forEach(el => {
+            el.disabled = true;
+        });
+    }
+
+    /**
+     * Locked nodes keep their position, size and rotation
+     */
+    isTransformLocked() {
+        return Array.from(this.currentNodes.values()).some(node => node.isLocked?.());
+    }
+
+    applyLockedState(groupEl) {
+        if (!this.transformLocked) return;
+        groupEl.classList.add('transform-locked');
+        groupEl.title = 'Unlock to move, resize or rotate';
+        groupEl.querySelectorAll('input, .property-reset-button, .aspect-ratio-lock').forEach(el => {
+            el.disabled = true;
+        });
+    }
+
     updateTitleToggleState(toggleDot, inputEl, isHidden) {
         if (isHidden) {
             toggleDot.classList.add('hidden');
@@ -1013,6 +1114,12 @@ class FloatingPropertiesInspector {
             return;
         }
         
+        // Locking or unlocking, here or by someone else, enables or disables the transform inputs
+        if (this.isTransformLocked() !== this.transformLocked) {
+            this.updateProperties();
+            return;
+        }
+        
         const transformProps = ['x', 'y', 'width', 'height'];
         const commonProperties = this.getCommonProperties();
         
@@ -1153,7 +1260,9 @@ class FloatingPropertiesInspector {
             width: 'number', 
             height: 'number',
             rotation: 'number',
-            title: 'text'
+            title: 'text',
+            locked: 'checkbox',
+            hidden: 'checkbox'
         };
 
         if (firstNode.type === 'text') {
@@ -1180,8 +1289,23 @@ class FloatingPropertiesInspector {
                 filename: 'readonly',
                 sourceResolution: 'readonly',
                 thumbnailResolution: 'readonly',
+                videoFrame: 'readonly',
                 scale: 'range'
             });
+        } else if (firstNode.type === 'shape/connector') {
+            // Position and size follow the route
+            for (const prop of ['x', 'y', 'width', 'height', 'rotation', 'title']) {
+                delete allProperties[prop];
+            }
+            Object.assign(allProperties, {
+                label: 'text',
+                routing: 'select',
+                startHead: 'select',
+                endHead: 'select',
+                color: 'color',
+                strokeWidth: 'number',
+                dashed: 'checkbox'
+            });
         }
         
         // Add source resolution for video nodes too
@@ -1192,6 +1316,16 @@ class FloatingPropertiesInspector {
             allProperties.currentFormat = 'readonly';
         }
 
+        // Speed is local to this client; in/out and poster are set on the scrubber
+        if (firstNode.type === 'media/video') {
+            Object.assign(allProperties, {
+                playbackRate: 'select',
+                inPoint: 'readonly',
+                outPoint: 'readonly',
+                posterTime: 'readonly'
+            });
+        }
+
         for (const [prop, type] of Object.entries(allProperties)) {
             const values = nodeArray.map(node => this.getNodeProperty(node, prop));
             
@@ -1209,12 +1343,34 @@ class FloatingPropertiesInspector {
     }
 
     getNodeProperty(node, prop) {
+        if (node.type === 'shape/connector' && ConnectorNode.STYLE_PROPERTIES.includes(prop)) {
+            return node.properties[prop];
+        }
+        
         switch (prop) {
             case 'x': return node.pos?.[0];
             case 'y': return node.pos?.[1];
             case 'width': return node.size?.[0];
             case 'height': return node.size?.[1];
             case 'filename': return node.properties?.filename;
+            case 'locked': return node.isLocked();
+            case 'hidden': return node.isHidden();
+            case 'playbackRate':
+                return node.type === 'media/video' ? String(node.playbackRate) : undefined;
+            case 'inPoint':
+            case 'outPoint':
+            case 'posterTime': {
+                if (node.type !== 'media/video') return undefined;
+                const time = node.properties[prop];
+                if (time == null) return prop === 'inPoint' ? 'Start' : prop === 'outPoint' ? 'End' : 'None';
+                return VideoScrubber.formatTime(time);
+            }
+            case 'videoFrame': {
+                // Images grabbed from a video (see VideoFrameGrabber)
+                const frame = node.properties?.videoFrame;
+                if (!frame) return undefined;
+                return `${frame.filename || 'Video'} @ ${VideoScrubber.formatTime(frame.time)}`;
+            }
             case 'sourceResolution': 
                 if (node.originalWidth && node.originalHeight) {
                     return `${node.originalWidth} × ${node.originalHeight}`;
@@ -1288,6 +1444,15 @@ class FloatingPropertiesInspector {
                         return 'Original';
                     } 
                     
+                    // Renditions are picked by on-screen size (VideoNode.getOptimalQuality)
+                    if (node._currentQuality) {
+                        const rendition = node.properties.renditions?.find(r => r.name === node._currentQuality);
+                        if (rendition) {
+                            const via = videoSrc.includes('.m3u8') ? 'HLS' : 'MP4';
+                            return `${rendition.width} × ${rendition.height} ${via} (${rendition.name})`;
+                        }
+                    }
+                    
                     // Check if using server URL (transcoded or original)
                     if (videoSrc.includes('/uploads/')) {
                         // Extract extension from current video source
@@ -1323,9 +1488,11 @@ class FloatingPropertiesInspector {
     renderPropertyGroups(container, properties) {
         const groups = {
             'Transform': ['x', 'y', 'width', 'height', 'rotation'],
-            'Content': ['filename', 'sourceResolution', 'thumbnailResolution', 'originalFormat', 'transcodedFormat', 'currentFormat', 'title', 'text', 'fontSize', 'fontFamily', 'textAlign', 'padding', 'leadingFactor'],
+            'Content': ['filename', 'videoFrame', 'sourceResolution', 'thumbnailResolution', 'originalFormat', 'transcodedFormat', 'currentFormat', 'title', 'text', 'fontSize', 'fontFamily', 'textAlign', 'padding', 'leadingFactor'],
             'Appearance': ['textColor', 'bgColor', 'bgAlpha', 'scale'],
-            'Playback': ['loop', 'muted', 'autoplay', 'paused']
+            'Playback': ['loop', 'muted', 'autoplay', 'paused', 'playbackRate', 'inPoint', 'outPoint', 'posterTime'],
+            'Connector': ['label', 'routing', 'startHead', 'endHead', 'color', 'strokeWidth', 'dashed'],
+            'Layer': ['locked', 'hidden']
         };
 
         for (const [groupName, groupProps] of Object.entries(groups)) {
@@ -1343,6 +1510,7 @@ class FloatingPropertiesInspector {
             if (groupName === 'Transform') {
                 // Render transform properties vertically
                 this.renderTransformProperties(groupEl, properties);
+                this.applyLockedState(groupEl);
             } else {
                 // Render other properties normally
                 for (const prop of groupProperties) {
@@ -1530,6 +1698,7 @@ class FloatingPropertiesInspector {
             toggleDot.addEventListener('click', (e) => {
                 e.preventDefault();
                 e.stopPropagation();
+                if (this.readOnly) return;
                 
                 const newHiddenState = !toggleDot.classList.contains('hidden');
                 
@@ -1664,6 +1833,9 @@ class FloatingPropertiesInspector {
         if (prop === 'fontSize') {
             input.min = 6;
             input.max = 200;
+        } else if (prop === 'strokeWidth') {
+            input.min = 1;
+            input.max = 20;
         } else if (prop === 'rotation') {
             input.min = -360;
             input.max = 360;
@@ -1782,6 +1954,14 @@ class FloatingPropertiesInspector {
                 { value: 'Georgia', label: 'Georgia' },
                 { value: 'Verdana', label: 'Verdana' }
             ];
+        } else if (prop === 'routing' || prop === 'startHead' || prop === 'endHead') {
+            const values = prop === 'routing' ? ConnectorNode.ROUTINGS : ConnectorNode.HEADS;
+            options = values.map(option => ({
+                value: option,
+                label: option.charAt(0).toUpperCase() + option.slice(1)
+            }));
+        } else if (prop === 'playbackRate') {
+            options = VideoNode.PLAYBACK_RATES.map(rate => ({ value: String(rate), label: `${rate}×` }));
         }
         
         if (mixed) {
@@ -1801,7 +1981,11 @@ class FloatingPropertiesInspector {
         }
         
         select.addEventListener('change', (e) => {
-            if (e.target.value) {
+            if (!e.target.value) return;
+            if (prop === 'playbackRate') {
+                // Not synced, so viewers can change it too
+                this.setPlaybackRate(parseFloat(e.target.value));
+            } else {
                 this.updateNodeProperty(prop, e.target.value);
             }
         });
@@ -1917,6 +2101,7 @@ class FloatingPropertiesInspector {
         label.addEventListener('mousedown', (e) => {
             e.preventDefault();
             e.stopPropagation();
+            if (this.readOnly) return;
             
             isDragging = true;
             startX = e.clientX;
@@ -2052,12 +2237,37 @@ class FloatingPropertiesInspector {
             loop: 'Loop',
             muted: 'Muted',
             autoplay: 'Autoplay',
-            paused: 'Paused'
+            paused: 'Paused',
+            playbackRate: 'Speed',
+            inPoint: 'In Point',
+            outPoint: 'Out Point',
+            posterTime: 'Poster Frame',
+            videoFrame: 'Frame Of',
+            label: 'Label',
+            routing: 'Routing',
+            startHead: 'Start Head',
+            endHead: 'End Head',
+            color: 'Color',
+            strokeWidth: 'Stroke Width',
+            dashed: 'Dashed',
+            locked: 'Locked',
+            hidden: 'Hidden'
         };
         return labels[prop] || prop;
     }
 
+    setPlaybackRate(rate) {
+        for (const node of this.currentNodes.values()) {
+            if (node.type === 'media/video') {
+                node.setPlaybackRate(rate);
+            }
+        }
+        this.canvas.dirty_canvas = true;
+    }
+
     updateNodeProperty(prop, value) {
+        if (this.readOnly) return;
+        
         const undoManager = window.app?.undoManager;
         undoManager?.beginTransaction('property_change');
         
@@ -2075,6 +2285,8 @@ class FloatingPropertiesInspector {
     }
     
     executeRelativePropertyUpdate(prop, nodeIds, values, skipHistory = false) {
+        if (this.readOnly || this.isTransformLocked()) return;
+        
         // During dragging (skipHistory = true), update nodes locally only
         // On mouse up (skipHistory = false), send to server for sync and undo state
         
@@ -2213,6 +2425,10 @@ class FloatingPropertiesInspector {
             return;
         }
 
+        if (['x', 'y', 'width', 'height', 'rotation'].includes(prop) && this.isTransformLocked()) {
+            return;
+        }
+
         let commandType;
         let params = { nodeIds };
 
@@ -2261,6 +2477,19 @@ class FloatingPropertiesInspector {
         } else if (prop === 'rotation') {
             commandType = 'node_rotate';
             params.angles = nodes.map(() => value);
+        } else if (prop === 'locked' || prop === 'hidden' || nodes.every(n => n.type === 'shape/connector')) {
+            // One update per node, so each can undo to its own value
+            if (prop === 'hidden' && value) {
+                nodes.forEach(node => this.canvas.selection.deselectNode(node));
+            }
+            for (const node of nodes) {
+                window.app.operationPipeline.execute('node_property_update', {
+                    nodeId: node.id,
+                    property: prop,
+                    value
+                });
+            }
+            return;
         } else {
             commandType = 'node_property_update';
             params.property = prop;
@@ -2314,6 +2543,181 @@ class FloatingPropertiesInspector {
         container.appendChild(statsGroup);
     }
 
+    /**
+     * Distribute, match size and layout buttons for a multi-selection
+     */
+    renderArrangeControls(container) {
+        const settings = this.arrangeSettings;
+        const sortOptions = Object.entries(NodeArrange.SORT_LABELS)
+            .map(([value, label]) => `<option value="${value}">${label}</option>`)
+            .join('');
+
+        const groupEl = document.createElement('div');
+        groupEl.className = 'property-group';
+        groupEl.innerHTML = `
+            <div class="property-group-title">Arrange</div>
+            <div class="arrange-controls">
+                <div class="property-row">
+                    <button class="action-button" data-arrange="distribute-horizontal" title="Equal horizontal spacing">Distribute ↔</button>
+                    <button class="action-button" data-arrange="distribute-vertical" title="Equal vertical spacing">Distribute ↕</button>
+                </div>
+                <div class="property-label">Match size</div>
+                <div class="property-row">
+                    <select class="property-select" data-setting="dimension">
+                        <option value="width">Width</option>
+                        <option value="height">Height</option>
+                        <option value="area">Area</option>
+                    </select>
+                    <select class="property-select" data-setting="reference">
+                        <option value="largest">Largest</option>
+                        <option value="smallest">Smallest</option>
+                        <option value="first">First selected</option>
+                    </select>
+                    <button class="action-button" data-arrange="match-size">Match</button>
+                </div>
+                <div class="property-label">Layout</div>
+                <div class="property-row">
+                    <select class="property-select" data-setting="style">
+                        <option value="rows">Justified rows</option>
+                        <option value="masonry">Masonry</option>
+                    </select>
+                    <input class="property-input" type="number" min="20" step="10" data-setting="rowHeight" title="Row height">
+                </div>
+                <div class="property-row">
+                    <select class="property-select" data-setting="sortBy">${sortOptions}</select>
+                    <button class="action-button" data-arrange="layout">Arrange</button>
+                </div>
+            </div>
+        `;
+
+        groupEl.querySelectorAll('[data-setting]').forEach(input => {
+            const key = input.dataset.setting;
+            input.value = settings[key];
+            input.addEventListener('change', () => {
+                if (key === 'rowHeight') {
+                    const value = parseFloat(input.value);
+                    if (value >= 20) settings.rowHeight = value;
+                    input.value = settings.rowHeight;
+                } else {
+                    settings[key] = input.value;
+                }
+            });
+        });
+
+        groupEl.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-arrange]');
+            if (button) {
+                this.handleArrangeAction(button.dataset.arrange);
+            }
+        });
+
+        container.appendChild(groupEl);
+    }
+
+    /**
+     * Grab frame and contact sheet buttons for a single video
+     */
+    renderFrameControls(container) {
+        const videoNode = this.currentNodes.values().next().value;
+        const grabber = window.app?.videoFrameGrabber;
+        if (!grabber) return;
+
+        const groupEl = document.createElement('div');
+        groupEl.className = 'property-group';
+        groupEl.innerHTML = `
+            <div class="property-group-title">Frames</div>
+            <div class="frame-controls">
+                <div class="property-row">
+                    <button class="action-button" data-frames="grab" title="Add the current frame as an image (Shift+G)">Grab Frame</button>
+                </div>
+                <div class="property-row">
+                    <input class="property-input" type="number" min="2" max="64" step="1" data-setting="count" title="Frames in the contact sheet">
+                    <button class="action-button" data-frames="contact-sheet" title="Evenly spaced frames from the in/out range, grouped">Contact Sheet</button>
+                </div>
+            </div>
+        `;
+
+        const countInput = groupEl.querySelector('[data-setting="count"]');
+        countInput.value = this.contactSheetCount;
+        countInput.addEventListener('change', () => {
+            const value = parseInt(countInput.value, 10);
+            if (value >= 2 && value <= 64) this.contactSheetCount = value;
+            countInput.value = this.contactSheetCount;
+        });
+
+        groupEl.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-frames]');
+            if (!button) return;
+            if (button.dataset.frames === 'grab') {
+                grabber.grabFrame(videoNode);
+            } else {
+                grabber.grabContactSheet(videoNode, this.contactSheetCount);
+            }
+        });
+
+        container.appendChild(groupEl);
+    }
+
+    /**
+     * HEIC, TIFF, SVG, PSD and RAW uploads show a converted copy - say what
+     * the original was and offer it for download
+     */
+    renderOriginalControls(container) {
+        const node = this.currentNodes.values().next().value;
+        const original = node.properties.original;
+        const formatNames = {
+            heic: 'HEIC', tiff: 'TIFF', svg: 'SVG', psd: 'Photoshop', raw: 'Camera RAW',
+            gif: 'Animated GIF', webp: 'Animated WebP', apng: 'Animated PNG'
+        };
+        const url = original.url.startsWith('http') ? original.url : CONFIG.SERVER.API_BASE + original.url;
+
+        let description = formatNames[original.format] || original.mimeType;
+        if (original.pages > 1) {
+            description += ` · ${original.pages} pages, showing page 1`;
+        }
+        if (original.frames > 1) {
+            description += ` · ${original.frames} frames`;
+        }
+
+        const groupEl = document.createElement('div');
+        groupEl.className = 'property-group';
+        groupEl.innerHTML = `
+            <div class="property-group-title">Original</div>
+            <div class="original-controls">
+                <div class="property-label"></div>
+                <div class="property-row">
+                    <a class="action-button" title="Download the file as it was uploaded">Download Original</a>
+                </div>
+            </div>
+        `;
+
+        groupEl.querySelector('.property-label').textContent = description;
+        const link = groupEl.querySelector('a');
+        link.href = `${url}?download=1`;
+        link.download = original.filename || node.properties.filename || '';
+
+        container.appendChild(groupEl);
+    }
+
+    handleArrangeAction(action) {
+        const { dimension, reference, style, rowHeight, sortBy } = this.arrangeSettings;
+
+        switch (action) {
+            case 'distribute-horizontal':
+                this.canvas.arrangeSelected('distribute', { axis: 'horizontal' });
+                break;
+            case 'distribute-vertical':
+                this.canvas.arrangeSelected('distribute', { axis: 'vertical' });
+                break;
+            case 'match-size':
+                this.canvas.arrangeSelected('match_size', { dimension, reference });
+                break;
+            case 'layout':
+                this.canvas.arrangeSelected('layout', { style, rowHeight, sortBy });
+                break;
+        }
+    }
+
     renderCanvasProperties(container) {
         const canvasInfo = this.getCanvasInfo();
         
@@ -2388,6 +2792,7 @@ class FloatingPropertiesInspector {
                 }
                 break;
             case 'clear-all':
+                if (this.readOnly) break;
                 if (confirm('Are you sure you want to clear the entire canvas?')) {
                     if (this.canvas.graph) {
                         this.canvas.graph.clear();
@@ -2433,6 +2838,8 @@ class FloatingPropertiesInspector {
     }
     
     handleReset(resetType) {
+        if (this.readOnly || this.isTransformLocked()) return;
+        
         // Access operation pipeline from global app object
         if (!window.app?.operationPipeline) {
             
@@ -2484,6 +2891,8 @@ class FloatingPropertiesInspector {
     }
     
     toggleAspectRatioLock() {
+        if (this.readOnly) return;
+        
         const nodes = Array.from(this.currentNodes.values());
         if (nodes.length === 0) return;
         
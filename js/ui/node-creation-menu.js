@@ -150,6 +150,12 @@ class NodeCreationMenu {
             // Convert screen coordinates to graph coordinates
             const graphPos = window.app.graphCanvas.viewport.convertCanvasToGraph(screenX, screenY);
             
+            // Connectors bind to the selection and sync themselves
+            if (nodeType === 'shape/connector') {
+                window.app.graphCanvas.createConnector(graphPos);
+                return;
+            }
+            
             // Create node
             const node = window.app.nodePluginSystem.createNode(nodeType, {
                 pos: graphPos,
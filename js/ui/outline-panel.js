@@ -0,0 +1,949 @@
+/**
+ * OutlinePanel - Layers panel: the canvas as a tree of groups and the nodes
+ * inside them, topmost first like the layers in an image editor.
+ * Opened with O and docked to either side of the window. Clicking a row
+ * selects its node (Shift selects a range, Ctrl/Cmd toggles), double-clicking
+ * renames it, and dragging a row moves the node above or below another one,
+ * or into a group. Only the rows in view are in the DOM, so large canvases
+ * stay responsive.
+ */
+class OutlinePanel {
+    constructor(app) {
+        this.app = app;
+        this.isOpen = false;
+        this.dock = localStorage.getItem('imagecanvas_outline_dock') || 'left'; // 'left' or 'right'
+        this.typeFilter = 'all'; // A key of TYPE_FILTERS
+        this.folded = new Set(); // Group ids folded in the outline - separate from collapsing on the canvas
+        this.rows = []; // Flattened tree: [{node, depth, context}]
+        this.signature = ''; // Structure the rows were last built from
+        this.renderedRange = null; // [start, end) of the rows in the DOM
+        this.matchCount = 0; // Nodes that pass the type filter
+        this.anchorIndex = -1; // Row Shift-click selects from
+        this.renaming = false;
+        this.selectingFromPanel = false; // Don't scroll to a selection the panel made
+        this.refreshTimer = null;
+        this.refreshInterval = 500; // ms between checks for changes made elsewhere
+        this.rowHeight = 30;
+        this.overscan = 8; // Rows rendered beyond each edge of the view
+        this.draggedNodes = [];
+        this.dropTarget = null; // { row, zone }
+
+        this.createUI();
+        this.setupEventListeners();
+        this.app.graphCanvas?.selection?.addCallback(() => this.onSelectionChanged());
+    }
+
+    createUI() {
+        this.panel = document.createElement('div');
+        this.panel.className = `outline-panel dock-${this.dock}`;
+        this.panel.innerHTML = `
+            <div class="outline-header">
+                <span class="outline-title">Layers</span>
+                <span class="outline-count"></span>
+                <button class="outline-header-button outline-dock" title="Dock on the other side">⇄</button>
+                <button class="outline-header-button outline-close" title="Close (O)">×</button>
+            </div>
+            <div class="outline-toolbar">
+                <select class="outline-filter">
+                    ${Object.entries(OutlinePanel.TYPE_FILTERS).map(([key, filter]) =>
+                        `<option value="${key}">${filter.label}</option>`).join('')}
+                </select>
+            </div>
+            <div class="outline-rows">
+                <div class="outline-spacer"></div>
+            </div>
+        `;
+
+        this.countLabel = this.panel.querySelector('.outline-count');
+        this.filterSelect = this.panel.querySelector('.outline-filter');
+        this.rowsContainer = this.panel.querySelector('.outline-rows');
+        this.spacer = this.panel.querySelector('.outline-spacer');
+
+        this.addStyles();
+        document.body.appendChild(this.panel);
+    }
+
+    addStyles() {
+        const style = document.createElement('style');
+        style.textContent = `
+            .outline-panel {
+                position: fixed;
+                top: 60px;
+                bottom: 60px;
+                width: 280px;
+                background: rgba(30, 30, 30, 0.95);
+                backdrop-filter: blur(10px);
+                border: 1px solid rgba(255, 255, 255, 0.1);
+                border-radius: 8px;
+                box-shadow: 0 4px 20px rgba(0, 0, 0, 0.4);
+                display: none;
+                flex-direction: column;
+                z-index: 1000;
+                font-family: ${window.FONT_CONFIG?.APP_FONT || 'Arial'};
+                user-select: none;
+            }
+
+            .outline-panel.dock-left {
+                left: 12px;
+            }
+
+            .outline-panel.dock-right {
+                right: 12px;
+            }
+
+            .outline-panel.open {
+                display: flex;
+            }
+
+            .outline-header {
+                display: flex;
+                align-items: center;
+                padding: 8px 8px 8px 12px;
+                border-bottom: 1px solid rgba(255, 255, 255, 0.1);
+            }
+
+            .outline-title {
+                color: #888;
+                font-size: 11px;
+                text-transform: uppercase;
+                letter-spacing: 0.05em;
+            }
+
+            .outline-count {
+                flex: 1;
+                color: #666;
+                font-size: 11px;
+                margin-left: 8px;
+            }
+
+            .outline-header-button {
+                background: none;
+                border: none;
+                color: #888;
+                font-size: 15px;
+                cursor: pointer;
+                padding: 0 4px;
+            }
+
+            .outline-header-button:hover {
+                color: #fff;
+            }
+
+            .outline-toolbar {
+                padding: 6px 8px;
+                border-bottom: 1px solid rgba(255, 255, 255, 0.1);
+            }
+
+            .outline-filter {
+                width: 100%;
+                background: rgba(0, 0, 0, 0.3);
+                border: 1px solid rgba(255, 255, 255, 0.1);
+                border-radius: 4px;
+                color: #ddd;
+                font-size: 12px;
+                font-family: inherit;
+                padding: 3px 4px;
+            }
+
+            .outline-rows {
+                flex: 1;
+                overflow-y: auto;
+                position: relative;
+            }
+
+            .outline-spacer {
+                position: relative;
+            }
+
+            .outline-empty {
+                padding: 12px;
+                color: #888;
+                font-size: 12px;
+            }
+
+            .outline-row {
+                position: absolute;
+                left: 0;
+                right: 0;
+                display: flex;
+                align-items: center;
+                box-sizing: border-box;
+                padding-right: 6px;
+                color: #ddd;
+                font-size: 13px;
+                cursor: pointer;
+                border-top: 2px solid transparent;
+                border-bottom: 2px solid transparent;
+            }
+
+            .outline-row:hover {
+                background: rgba(255, 255, 255, 0.06);
+            }
+
+            .outline-row.selected {
+                background: rgba(68, 170, 255, 0.2);
+            }
+
+            .outline-row.context,
+            .outline-row.hidden-node .outline-name,
+            .outline-row.hidden-node .outline-thumb {
+                opacity: 0.45;
+            }
+
+            .outline-row.drop-above {
+                border-top-color: #4af;
+            }
+
+            .outline-row.drop-below {
+                border-bottom-color: #4af;
+            }
+
+            .outline-row.drop-inside {
+                box-shadow: inset 0 0 0 1px #4af;
+            }
+
+            .outline-fold {
+                width: 16px;
+                flex-shrink: 0;
+                color: #888;
+                font-size: 10px;
+                text-align: center;
+            }
+
+            .outline-thumb {
+                width: 32px;
+                height: 22px;
+                flex-shrink: 0;
+                margin-right: 6px;
+                border-radius: 2px;
+                background: rgba(255, 255, 255, 0.06);
+                color: #4af;
+                font-size: 9px;
+                line-height: 22px;
+                text-align: center;
+                overflow: hidden;
+            }
+
+            .outline-name {
+                flex: 1;
+                overflow: hidden;
+                text-overflow: ellipsis;
+                white-space: nowrap;
+            }
+
+            .outline-collapsed {
+                color: #888;
+                font-size: 11px;
+                margin-left: 6px;
+            }
+
+            .outline-toggle {
+                width: 20px;
+                height: 20px;
+                flex-shrink: 0;
+                padding: 2px;
+                background: none;
+                border: none;
+                color: #888;
+                cursor: pointer;
+                opacity: 0;
+            }
+
+            .outline-toggle svg {
+                width: 16px;
+                height: 16px;
+            }
+
+            .outline-row:hover .outline-toggle,
+            .outline-toggle.on {
+                opacity: 1;
+            }
+
+            .outline-toggle:hover {
+                color: #fff;
+            }
+
+            .outline-rename {
+                flex: 1;
+                min-width: 0;
+                background: rgba(0, 0, 0, 0.4);
+                border: 1px solid #4af;
+                border-radius: 3px;
+                color: #fff;
+                font-size: 13px;
+                font-family: inherit;
+                padding: 1px 4px;
+                outline: none;
+            }
+        `;
+        document.head.appendChild(style);
+    }
+
+    setupEventListeners() {
+        this.panel.querySelector('.outline-close').addEventListener('click', () => this.close());
+        this.panel.querySelector('.outline-dock').addEventListener('click', () => {
+            this.setDock(this.dock === 'left' ? 'right' : 'left');
+        });
+
+        this.filterSelect.addEventListener('change', () => {
+            this.typeFilter = this.filterSelect.value;
+            this.anchorIndex = -1;
+            this.refresh(true);
+        });
+
+        this.rowsContainer.addEventListener('scroll', () => this.renderVisibleRows());
+
+        this.rowsContainer.addEventListener('click', (e) => {
+            const row = e.target.closest('.outline-row');
+            if (!row || e.target.closest('.outline-rename')) return;
+
+            const toggle = e.target.closest('.outline-toggle');
+            if (toggle) {
+                this.toggleState(row, toggle.dataset.state);
+            } else if (e.target.closest('.outline-fold')) {
+                this.toggleFold(row);
+            } else {
+                this.selectRow(row, e);
+            }
+        });
+
+        this.rowsContainer.addEventListener('dblclick', (e) => {
+            const row = e.target.closest('.outline-row');
+            if (row && !e.target.closest('.outline-fold, .outline-toggle')) {
+                this.startRename(row);
+            }
+        });
+
+        this.rowsContainer.addEventListener('dragstart', (e) => this.onDragStart(e));
+        this.rowsContainer.addEventListener('dragover', (e) => this.onDragOver(e));
+        this.rowsContainer.addEventListener('drop', (e) => this.onDrop(e));
+        this.rowsContainer.addEventListener('dragleave', (e) => {
+            if (!this.rowsContainer.contains(e.relatedTarget)) this.setDropTarget(null);
+        });
+        this.rowsContainer.addEventListener('dragend', () => {
+            this.draggedNodes = [];
+            this.setDropTarget(null);
+        });
+    }
+
+    toggle() {
+        if (this.isOpen) {
+            this.close();
+        } else {
+            this.open();
+        }
+    }
+
+    open() {
+        this.isOpen = true;
+        this.panel.classList.add('open');
+        this.refresh(true);
+
+        // Nodes change from many places (other users, undo, the canvas itself),
+        // so check for a different structure rather than hooking each of them
+        this.refreshTimer = setInterval(() => this.refresh(), this.refreshInterval);
+    }
+
+    close() {
+        this.isOpen = false;
+        this.panel.classList.remove('open');
+        clearInterval(this.refreshTimer);
+        this.refreshTimer = null;
+    }
+
+    setDock(side) {
+        this.panel.classList.replace(`dock-${this.dock}`, `dock-${side}`);
+        this.dock = side;
+        localStorage.setItem('imagecanvas_outline_dock', side);
+    }
+
+    /**
+     * Node shown by a rendered row, if it is still on the canvas
+     */
+    getRowNode(row) {
+        const node = this.rows[Number(row.dataset.index)]?.node;
+        return node && this.app.graph.getNodeById(node.id) ? node : null;
+    }
+
+    // ===================================
+    // TREE
+    // ===================================
+
+    /**
+     * Flatten the group hierarchy into rows, topmost first at every level.
+     * Children of folded groups are left out. With a type filter, groups
+     * around the matching nodes are kept as context rows.
+     * @returns {Array} [{node, depth, context}]
+     */
+    buildRows() {
+        const nodes = this.app.graph.nodes;
+        const compare = this.app.graphCanvas.createDrawOrderComparator();
+
+        const parents = new Map();
+        for (const node of nodes) {
+            if (node.type === 'container/group') {
+                node.childNodes.forEach(childId => parents.set(childId, node));
+            }
+        }
+
+        const children = new Map(); // Parent group (null for the top level) -> nodes
+        for (const node of nodes) {
+            const parent = parents.get(node.id) || null;
+            if (!children.has(parent)) children.set(parent, []);
+            children.get(parent).push(node);
+        }
+
+        // Matching nodes and the groups they are in
+        let matches = null;
+        let shown = null;
+        if (this.typeFilter !== 'all') {
+            const types = OutlinePanel.TYPE_FILTERS[this.typeFilter].types;
+            matches = new Set(nodes.filter(node => types.includes(node.type)));
+            shown = new Set();
+            for (const node of matches) {
+                for (let current = node; current && !shown.has(current); current = parents.get(current.id)) {
+                    shown.add(current);
+                }
+            }
+        }
+
+        const rows = [];
+        const visited = new Set();
+        const visit = (node, depth) => {
+            if (visited.has(node) || (shown && !shown.has(node))) return;
+            visited.add(node);
+            rows.push({ node, depth, context: !!matches && !matches.has(node) });
+
+            if (node.type === 'container/group' && !this.folded.has(node.id)) {
+                const inside = children.get(node) || [];
+                inside.sort((a, b) => compare(b, a)).forEach(child => visit(child, depth + 1));
+            }
+        };
+
+        (children.get(null) || []).sort((a, b) => compare(b, a)).forEach(node => visit(node, 0));
+        this.matchCount = matches ? matches.size : nodes.length;
+        return rows;
+    }
+
+    /**
+     * Rebuild the rows if anything they show has changed
+     */
+    refresh(force = false) {
+        // Re-rendering would drop the rename input or the drop marker
+        if (!this.isOpen || this.renaming || this.draggedNodes.length > 0) return;
+
+        const rows = this.buildRows();
+        const signature = rows.map(({ node, depth }) =>
+            `${node.id}:${depth}:${node.getDisplayTitle()}:${node.isCollapsed ? 1 : 0}:` +
+            `${node.isHidden() ? 1 : 0}:${node.isLocked() ? 1 : 0}`
+        ).join('|');
+
+        if (!force && signature === this.signature) {
+            this.drawPendingThumbnails();
+            return;
+        }
+        this.signature = signature;
+        this.rows = rows;
+        this.render();
+    }
+
+    toggleFold(row) {
+        const node = this.getRowNode(row);
+        if (!node) return;
+
+        if (this.folded.has(node.id)) {
+            this.folded.delete(node.id);
+        } else {
+            this.folded.add(node.id);
+        }
+        this.refresh(true);
+    }
+
+    // ===================================
+    // SELECTION
+    // ===================================
+
+    /**
+     * Click selects the row's node, Ctrl/Cmd-click toggles it and
+     * Shift-click selects every row from the last one clicked
+     */
+    selectRow(row, e) {
+        const node = this.getRowNode(row);
+        if (!node) return;
+
+        const index = Number(row.dataset.index);
+        const selection = this.app.graphCanvas.selection;
+        this.selectingFromPanel = true;
+
+        if (e.shiftKey && this.anchorIndex !== -1) {
+            const [start, end] = [Math.min(this.anchorIndex, index), Math.max(this.anchorIndex, index)];
+            const range = this.rows.slice(start, end + 1)
+                .filter(entry => !entry.context)
+                .map(entry => entry.node);
+            if (e.ctrlKey || e.metaKey) {
+                range.forEach(rangeNode => selection.selectNode(rangeNode, true));
+            } else {
+                selection.selectAll(range);
+            }
+        } else {
+            if (e.ctrlKey || e.metaKey) {
+                selection.toggleNode(node);
+            } else {
+                selection.selectNode(node);
+            }
+            this.anchorIndex = index;
+        }
+
+        this.selectingFromPanel = false;
+    }
+
+    onSelectionChanged() {
+        if (!this.isOpen) return;
+
+        if (!this.selectingFromPanel) {
+            this.revealSelection();
+        }
+        this.updateSelection();
+    }
+
+    updateSelection() {
+        const selection = this.app.graphCanvas.selection;
+        for (const row of this.spacer.querySelectorAll('.outline-row')) {
+            const node = this.getRowNode(row);
+            row.classList.toggle('selected', !!node && selection.isSelected(node));
+        }
+    }
+
+    /**
+     * Unfold the groups around a node selected on the canvas and scroll to it
+     */
+    revealSelection() {
+        const node = this.app.graphCanvas.selection.getSelectedNodes()[0];
+        if (!node) return;
+
+        const parent = this.app.graphCanvas.getParentGroup(node);
+        const ancestors = parent ? [parent, ...parent.getAncestorGroups()] : [];
+        let unfolded = false;
+        for (const ancestor of ancestors) {
+            if (this.folded.delete(ancestor.id)) unfolded = true;
+        }
+        if (unfolded) this.refresh(true);
+
+        const index = this.rows.findIndex(entry => entry.node === node);
+        if (index === -1) return;
+
+        const top = index * this.rowHeight;
+        const viewTop = this.rowsContainer.scrollTop;
+        const viewBottom = viewTop + this.rowsContainer.clientHeight;
+        if (top < viewTop || top + this.rowHeight > viewBottom) {
+            this.rowsContainer.scrollTop = top - (this.rowsContainer.clientHeight - this.rowHeight) / 2;
+        }
+    }
+
+    // ===================================
+    // VISIBILITY AND LOCKING
+    // ===================================
+
+    /**
+     * Flip a node's hidden or locked property. Hidden nodes drop out of the
+     * selection, since they can't be seen or clicked on the canvas.
+     */
+    toggleState(row, state) {
+        const node = this.getRowNode(row);
+        if (!node || this.app.graphCanvas.readOnly) return;
+
+        const value = !node.properties?.[state];
+        if (state === 'hidden' && value) {
+            this.app.graphCanvas.selection.deselectNode(node);
+        }
+
+        this.app.operationPipeline?.execute('node_property_update', {
+            nodeId: node.id,
+            property: state,
+            value
+        }).catch(error => {
+            console.error(`❌ Failed to update ${state}:`, error);
+        });
+    }
+
+    // ===================================
+    // RENAME
+    // ===================================
+
+    startRename(row) {
+        const node = this.getRowNode(row);
+        const nameLabel = row.querySelector('.outline-name');
+        if (!node || !nameLabel || this.app.graphCanvas.readOnly) return;
+
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.className = 'outline-rename';
+        input.value = node.title || '';
+        input.placeholder = node.getDisplayTitle();
+        input.spellcheck = false;
+        nameLabel.replaceWith(input);
+        input.focus();
+        input.select();
+        this.renaming = true;
+
+        const finish = (save) => {
+            if (!this.renaming) return;
+            this.renaming = false;
+
+            const title = input.value.trim();
+            if (save && title !== (node.title || '')) {
+                this.app.operationPipeline?.execute('node_property_update', {
+                    nodeId: node.id,
+                    property: 'title',
+                    value: title
+                }).catch(error => {
+                    console.error('❌ Failed to rename node:', error);
+                });
+            }
+
+            input.remove();
+            this.refresh(true);
+        };
+
+        input.addEventListener('keydown', (e) => {
+            // Keep typing away from the canvas shortcuts
+            e.stopPropagation();
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                finish(true);
+            } else if (e.key === 'Escape') {
+                e.preventDefault();
+                finish(false);
+            }
+        });
+        input.addEventListener('blur', () => finish(true));
+    }
+
+    // ===================================
+    // DRAG AND DROP
+    // ===================================
+
+    onDragStart(e) {
+        const row = e.target.closest('.outline-row');
+        const node = row && this.getRowNode(row);
+        if (!node || this.app.graphCanvas.readOnly) {
+            e.preventDefault();
+            return;
+        }
+
+        // Dragging a selected row takes the whole selection along
+        const selection = this.app.graphCanvas.selection;
+        this.draggedNodes = selection.isSelected(node) ? selection.getSelectedNodes() : [node];
+
+        e.dataTransfer.effectAllowed = 'move';
+        e.dataTransfer.setData('text/plain', String(node.id));
+    }
+
+    onDragOver(e) {
+        if (this.draggedNodes.length === 0) return;
+        this.autoScroll(e.clientY);
+
+        const row = e.target.closest('.outline-row');
+        const target = row && this.getRowNode(row);
+        if (!target) return;
+
+        const zone = this.getDropZone(row, target, e.clientY);
+        if (!this.canDrop(target, zone)) {
+            this.setDropTarget(null);
+            return;
+        }
+
+        e.preventDefault();
+        e.dataTransfer.dropEffect = 'move';
+        this.setDropTarget({ row, zone });
+    }
+
+    onDrop(e) {
+        e.preventDefault();
+        const dropTarget = this.dropTarget;
+        const nodes = this.draggedNodes;
+        this.setDropTarget(null);
+        this.draggedNodes = [];
+
+        const target = dropTarget && this.getRowNode(dropTarget.row);
+        if (target) {
+            this.moveNodes(nodes, target, dropTarget.zone);
+        }
+    }
+
+    /**
+     * Scroll while dragging near the top or bottom edge, so rows out of view
+     * can be dropped on
+     */
+    autoScroll(clientY) {
+        const rect = this.rowsContainer.getBoundingClientRect();
+        const edge = this.rowHeight * 1.5;
+        if (clientY < rect.top + edge) {
+            this.rowsContainer.scrollTop -= this.rowHeight / 2;
+        } else if (clientY > rect.bottom - edge) {
+            this.rowsContainer.scrollTop += this.rowHeight / 2;
+        }
+    }
+
+    /**
+     * The top and bottom of a row drop above or below it. The middle of a
+     * group row drops into the group.
+     */
+    getDropZone(row, target, clientY) {
+        const rect = row.getBoundingClientRect();
+        const offset = (clientY - rect.top) / rect.height;
+
+        if (target.type === 'container/group') {
+            if (offset < 0.25) return 'above';
+            if (offset > 0.75) return 'below';
+            return 'inside';
+        }
+        return offset < 0.5 ? 'above' : 'below';
+    }
+
+    canDrop(target, zone) {
+        if (this.draggedNodes.includes(target)) return false;
+
+        const parent = zone === 'inside' ? target : this.app.graphCanvas.getParentGroup(target);
+        if (!parent) return true;
+
+        // A group can't end up inside itself or anything it contains
+        return this.draggedNodes.every(node => parent.canContainNode(node));
+    }
+
+    setDropTarget(dropTarget) {
+        if (this.dropTarget) {
+            this.dropTarget.row.classList.remove('drop-above', 'drop-below', 'drop-inside');
+        }
+        this.dropTarget = dropTarget;
+        if (dropTarget) {
+            dropTarget.row.classList.add(`drop-${dropTarget.zone}`);
+        }
+    }
+
+    /**
+     * Move nodes into the target's group (or the target itself) and, for
+     * above/below, restack them next to the target. Both steps are regular
+     * operations, so they sync and undo like the same edits on the canvas.
+     */
+    async moveNodes(nodes, target, zone) {
+        const canvas = this.app.graphCanvas;
+        const pipeline = this.app.operationPipeline;
+        if (!pipeline || nodes.length === 0) return;
+
+        const newParent = zone === 'inside' ? target : canvas.getParentGroup(target);
+
+        try {
+            for (const node of nodes) {
+                const currentParent = canvas.getParentGroup(node);
+                if (currentParent === newParent) continue;
+
+                const command = newParent
+                    ? new window.NodeCommands.GroupNodeCommand({ action: 'group_add_node', groupId: newParent.id, nodeId: node.id })
+                    : new window.NodeCommands.GroupNodeCommand({ action: 'group_remove_node', groupId: currentParent.id, nodeId: node.id });
+                await pipeline.executeCommand(command);
+            }
+
+            if (zone !== 'inside') {
+                // Lowest first, so the dragged nodes keep their stacking among themselves
+                const ordered = [...nodes].sort(canvas.createDrawOrderComparator());
+                await pipeline.execute('node_layer_order', {
+                    nodeIds: ordered.map(node => node.id),
+                    direction: zone,
+                    targetId: target.id
+                });
+            }
+        } catch (error) {
+            console.error('❌ Failed to move nodes in the outline:', error);
+            window.unifiedNotifications?.error('Could not move nodes', { detail: error.message });
+        }
+
+        canvas.dirty_canvas = true;
+        this.refresh(true);
+    }
+
+    // ===================================
+    // RENDERING
+    // ===================================
+
+    render() {
+        const total = this.app.graph.nodes.length;
+        this.countLabel.textContent = this.typeFilter === 'all'
+            ? `${total}`
+            : `${this.matchCount} of ${total}`;
+
+        this.spacer.style.height = `${this.rows.length * this.rowHeight}px`;
+        this.renderedRange = null;
+        this.renderVisibleRows();
+    }
+
+    /**
+     * Put the rows in view (plus overscan) in the DOM and drop the rest
+     */
+    renderVisibleRows() {
+        if (this.renaming) return;
+
+        if (this.rows.length === 0) {
+            this.renderedRange = null;
+            this.spacer.innerHTML = '<div class="outline-empty"></div>';
+            this.spacer.firstChild.textContent = this.typeFilter === 'all'
+                ? 'Nothing on this canvas yet'
+                : 'Nothing of this type';
+            return;
+        }
+
+        const scrollTop = this.rowsContainer.scrollTop;
+        const viewHeight = this.rowsContainer.clientHeight;
+        const start = Math.max(0, Math.floor(scrollTop / this.rowHeight) - this.overscan);
+        const end = Math.min(this.rows.length, Math.ceil((scrollTop + viewHeight) / this.rowHeight) + this.overscan);
+
+        if (this.renderedRange && this.renderedRange[0] === start && this.renderedRange[1] === end) return;
+        this.renderedRange = [start, end];
+
+        // The drop marker's row is about to go
+        if (this.dropTarget) this.setDropTarget(null);
+
+        const fragment = document.createDocumentFragment();
+        for (let index = start; index < end; index++) {
+            fragment.appendChild(this.createRow(this.rows[index], index));
+        }
+        this.spacer.innerHTML = '';
+        this.spacer.appendChild(fragment);
+        this.updateSelection();
+    }
+
+    createRow({ node, depth, context }, index) {
+        const row = document.createElement('div');
+        row.className = 'outline-row';
+        row.classList.toggle('context', context);
+        row.classList.toggle('hidden-node', node.isHidden());
+        row.dataset.index = index;
+        row.draggable = !this.app.graphCanvas.readOnly;
+        row.style.top = `${index * this.rowHeight}px`;
+        row.style.height = `${this.rowHeight}px`;
+        row.style.paddingLeft = `${4 + depth * 14}px`;
+
+        const isGroup = node.type === 'container/group';
+
+        const fold = document.createElement('span');
+        fold.className = 'outline-fold';
+        if (isGroup) {
+            fold.textContent = this.folded.has(node.id) ? '▸' : '▾';
+        }
+        row.appendChild(fold);
+
+        const thumb = document.createElement('span');
+        thumb.className = 'outline-thumb';
+        thumb.textContent = OutlinePanel.TYPE_LABELS[node.type] || node.type.split('/').pop();
+        row.appendChild(thumb);
+        this.drawThumbnail(thumb, node);
+
+        const nameLabel = document.createElement('span');
+        nameLabel.className = 'outline-name';
+        nameLabel.textContent = node.getDisplayTitle();
+        row.appendChild(nameLabel);
+
+        if (isGroup && node.isCollapsed) {
+            const collapsedLabel = document.createElement('span');
+            collapsedLabel.className = 'outline-collapsed';
+            collapsedLabel.textContent = 'collapsed';
+            row.appendChild(collapsedLabel);
+        }
+
+        row.appendChild(this.createToggle('hidden', node.isHidden()));
+        row.appendChild(this.createToggle('locked', node.isLocked()));
+        return row;
+    }
+
+    createToggle(state, on) {
+        const toggle = document.createElement('button');
+        toggle.className = 'outline-toggle';
+        toggle.classList.toggle('on', on);
+        toggle.dataset.state = state;
+        toggle.tabIndex = -1;
+
+        const icons = OutlinePanel.ICONS[state];
+        toggle.title = on ? icons.onTitle : icons.offTitle;
+        toggle.innerHTML = `<svg viewBox="0 0 24 24" fill="currentColor"><path d="${on ? icons.on : icons.off}"/></svg>`;
+        return toggle;
+    }
+
+    /**
+     * Replace a row's type label with the node's thumbnail once one is cached.
+     * Rows still waiting are retried on the next refresh.
+     */
+    drawThumbnail(thumb, node) {
+        const hash = node.properties?.hash;
+        if (!hash || (node.type !== 'media/image' && node.type !== 'media/video')) return;
+
+        const pixelRatio = window.devicePixelRatio || 1;
+        const width = 32 * pixelRatio;
+        const height = 22 * pixelRatio;
+        const source = window.thumbnailCache?.getBestThumbnail(hash, width, height) || node.thumbnail;
+        if (!source?.width) {
+            thumb.dataset.pending = 'true';
+            return;
+        }
+
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        canvas.style.width = '100%';
+        canvas.style.height = '100%';
+
+        // Fit inside the box, like the node on the canvas
+        const scale = Math.min(width / source.width, height / source.height);
+        const drawWidth = source.width * scale;
+        const drawHeight = source.height * scale;
+        canvas.getContext('2d').drawImage(source, (width - drawWidth) / 2, (height - drawHeight) / 2, drawWidth, drawHeight);
+
+        thumb.textContent = '';
+        delete thumb.dataset.pending;
+        thumb.appendChild(canvas);
+    }
+
+    drawPendingThumbnails() {
+        for (const thumb of this.spacer.querySelectorAll('.outline-thumb[data-pending]')) {
+            const node = this.getRowNode(thumb.parentElement);
+            if (node) this.drawThumbnail(thumb, node);
+        }
+    }
+}
+
+OutlinePanel.TYPE_LABELS = {
+    'media/image': 'IMG',
+    'media/video': 'VID',
+    'media/text': 'TXT',
+    'container/group': 'GRP',
+    'shape/connector': 'LINE',
+    'ui/pinned-note': 'NOTE'
+};
+
+OutlinePanel.TYPE_FILTERS = {
+    all: { label: 'All types', types: [] },
+    images: { label: 'Images', types: ['media/image'] },
+    videos: { label: 'Videos', types: ['media/video'] },
+    text: { label: 'Text', types: ['media/text', 'ui/pinned-note'] },
+    groups: { label: 'Groups', types: ['container/group'] },
+    connectors: { label: 'Connectors', types: ['shape/connector'] }
+};
+
+// Material icon paths
+OutlinePanel.ICONS = {
+    hidden: {
+        on: 'M12 7c2.76 0 5 2.24 5 5 0 .65-.13 1.26-.36 1.83l2.92 2.92c1.51-1.26 2.7-2.89 3.43-4.75-1.73-4.39-6-7.5-11-7.5-1.4 0-2.74.25-3.98.7l2.16 2.16C10.74 7.13 11.35 7 12 7zM2 4.27l2.28 2.28.46.46C3.08 8.3 1.78 10.02 1 12c1.73 4.39 6 7.5 11 7.5 1.55 0 3.03-.3 4.38-.84l.42.42L19.73 22 21 20.73 3.27 3 2 4.27zM7.53 9.8l1.55 1.55c-.05.21-.08.43-.08.65 0 1.66 1.34 3 3 3 .22 0 .44-.03.65-.08l1.55 1.55c-.67.33-1.41.53-2.2.53-2.76 0-5-2.24-5-5 0-.79.2-1.53.53-2.2zm4.31-.78l3.15 3.15.02-.16c0-1.66-1.34-3-3-3l-.17.01z',
+        off: 'M12 4.5C7 4.5 2.73 7.61 1 12c1.73 4.39 6 7.5 11 7.5s9.27-3.11 11-7.5c-1.73-4.39-6-7.5-11-7.5zM12 17c-2.76 0-5-2.24-5-5s2.24-5 5-5 5 2.24 5 5-2.24 5-5 5zm0-8c-1.66 0-3 1.34-3 3s1.34 3 3 3 3-1.34 3-3-1.34-3-3-3z',
+        onTitle: 'Show',
+        offTitle: 'Hide'
+    },
+    locked: {
+        on: 'M18 8h-1V6c0-2.76-2.24-5-5-5S7 3.24 7 6v2H6c-1.1 0-2 .9-2 2v10c0 1.1.9 2 2 2h12c1.1 0 2-.9 2-2V10c0-1.1-.9-2-2-2zm-6 9c-1.1 0-2-.9-2-2s.9-2 2-2 2 .9 2 2-.9 2-2 2zm3.1-9H8.9V6c0-1.71 1.39-3.1 3.1-3.1 1.71 0 3.1 1.39 3.1 3.1v2z',
+        off: 'M12 17c1.1 0 2-.9 2-2s-.9-2-2-2-2 .9-2 2 .9 2 2 2zm6-9h-1V6c0-2.76-2.24-5-5-5S7 3.24 7 6h1.9c0-1.71 1.39-3.1 3.1-3.1 1.71 0 3.1 1.39 3.1 3.1v2H6c-1.1 0-2 .9-2 2v10c0 1.1.9 2 2 2h12c1.1 0 2-.9 2-2V10c0-1.1-.9-2-2-2zm0 12H6V10h12v10z',
+        onTitle: 'Unlock',
+        offTitle: 'Lock'
+    }
+};
+
+if (typeof window !== 'undefined') {
+    window.OutlinePanel = OutlinePanel;
+}
@@ -0,0 +1,391 @@
+/**
+ * SearchOverlay - Find nodes by text, title, filename or image metadata
+ * Opened with /. Enter jumps to the next hit on this canvas (Shift+Enter the
+ * previous one) and zooms the viewport to it. Matches on other canvases come
+ * from the server's /search endpoint and open that canvas when clicked.
+ */
+class SearchOverlay {
+    constructor(app) {
+        this.app = app;
+        this.isOpen = false;
+        this.query = '';
+        this.hits = []; // Local hits: [{node, field, snippet, score}]
+        this.activeIndex = -1; // Hit the viewport is on, -1 before the first Enter
+        this.remoteResults = []; // Other canvases: [{canvasId, canvasName, nodeId, field, snippet}]
+        this.remoteRequest = 0; // Latest request id, older responses are dropped
+        this.remoteTimer = null;
+        this.remoteDelay = 300; // ms to wait for typing to settle before asking the server
+
+        this.createUI();
+        this.setupEventListeners();
+    }
+
+    createUI() {
+        this.panel = document.createElement('div');
+        this.panel.className = 'search-overlay';
+        this.panel.innerHTML = `
+            <div class="search-input-row">
+                <input type="text" class="search-input" placeholder="Search text, titles, filenames, metadata..." spellcheck="false" />
+                <span class="search-count"></span>
+            </div>
+            <div class="search-results"></div>
+        `;
+
+        this.input = this.panel.querySelector('.search-input');
+        this.countLabel = this.panel.querySelector('.search-count');
+        this.resultsContainer = this.panel.querySelector('.search-results');
+
+        this.addStyles();
+        document.body.appendChild(this.panel);
+    }
+
+    addStyles() {
+        const style = document.createElement('style');
+        style.textContent = `
+            .search-overlay {
+                position: fixed;
+                top: 60px;
+                left: 50%;
+                transform: translateX(-50%);
+                width: 480px;
+                max-height: 60vh;
+                background: rgba(30, 30, 30, 0.95);
+                backdrop-filter: blur(10px);
+                border: 1px solid rgba(255, 255, 255, 0.1);
+                border-radius: 8px;
+                box-shadow: 0 4px 20px rgba(0, 0, 0, 0.4);
+                display: none;
+                flex-direction: column;
+                z-index: 1001;
+                font-family: ${window.FONT_CONFIG?.APP_FONT || 'Arial'};
+            }
+
+            .search-overlay.open {
+                display: flex;
+            }
+
+            .search-input-row {
+                display: flex;
+                align-items: center;
+                padding: 8px 12px;
+                border-bottom: 1px solid rgba(255, 255, 255, 0.1);
+            }
+
+            .search-input {
+                flex: 1;
+                background: none;
+                border: none;
+                outline: none;
+                color: #fff;
+                font-size: 14px;
+                font-family: inherit;
+            }
+
+            .search-count {
+                color: #888;
+                font-size: 12px;
+                margin-left: 8px;
+                white-space: nowrap;
+            }
+
+            .search-results {
+                overflow-y: auto;
+            }
+
+            .search-results:empty {
+                display: none;
+            }
+
+            .search-section {
+                padding: 6px 12px 2px;
+                color: #888;
+                font-size: 11px;
+                text-transform: uppercase;
+                letter-spacing: 0.05em;
+            }
+
+            .search-result {
+                padding: 6px 12px;
+                cursor: pointer;
+                color: #ddd;
+                font-size: 13px;
+            }
+
+            .search-result:hover {
+                background: rgba(255, 255, 255, 0.06);
+            }
+
+            .search-result.active {
+                background: rgba(68, 170, 255, 0.2);
+            }
+
+            .search-result-field {
+                color: #4af;
+                font-size: 11px;
+                margin-right: 6px;
+            }
+
+            .search-result-canvas {
+                color: #888;
+                font-size: 11px;
+                margin-left: 6px;
+            }
+
+            .search-result-snippet {
+                overflow: hidden;
+                text-overflow: ellipsis;
+                white-space: nowrap;
+            }
+        `;
+        document.head.appendChild(style);
+    }
+
+    setupEventListeners() {
+        this.input.addEventListener('input', () => this.setQuery(this.input.value));
+
+        this.input.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                this.cycle(e.shiftKey ? -1 : 1);
+            } else if (e.key === 'Escape') {
+                e.preventDefault();
+                e.stopPropagation();
+                this.close();
+            }
+        });
+
+        this.resultsContainer.addEventListener('click', (e) => {
+            const result = e.target.closest('.search-result');
+            if (!result) return;
+
+            if (result.dataset.canvasId) {
+                this.openRemoteResult(parseInt(result.dataset.canvasId), result.dataset.nodeId);
+            } else {
+                this.focusHit(parseInt(result.dataset.index));
+            }
+        });
+    }
+
+    toggle() {
+        if (this.isOpen) {
+            this.close();
+        } else {
+            this.open();
+        }
+    }
+
+    open() {
+        this.isOpen = true;
+        this.panel.classList.add('open');
+        this.input.focus();
+        this.input.select();
+
+        // The canvas may have changed since the last search
+        if (this.query) this.setQuery(this.query);
+    }
+
+    close() {
+        this.isOpen = false;
+        this.panel.classList.remove('open');
+        clearTimeout(this.remoteTimer);
+
+        // Return focus to the canvas so shortcuts work again
+        this.app.graphCanvas?.canvas?.focus();
+    }
+
+    setQuery(query) {
+        this.query = query;
+        this.hits = NodeSearch.search(this.app.graph.nodes, query);
+        this.activeIndex = -1;
+        this.render();
+        this.scheduleRemoteSearch();
+    }
+
+    // ===================================
+    // NAVIGATION
+    // ===================================
+
+    /**
+     * Step through local hits, wrapping at either end
+     */
+    cycle(direction) {
+        if (this.hits.length === 0) return;
+
+        const count = this.hits.length;
+        const next = this.activeIndex === -1
+            ? (direction > 0 ? 0 : count - 1)
+            : (this.activeIndex + direction + count) % count;
+        this.focusHit(next);
+    }
+
+    focusHit(index) {
+        const hit = this.hits[index];
+        if (!hit) return;
+
+        // Deleted since the search ran - drop it and move on
+        if (!this.app.graph.getNodeById(hit.node.id)) {
+            this.hits.splice(index, 1);
+            this.activeIndex = Math.min(index, this.hits.length) - 1;
+            this.render();
+            this.cycle(1);
+            return;
+        }
+
+        this.activeIndex = index;
+        this.focusNode(hit.node);
+        this.render();
+    }
+
+    focusNode(node) {
+        const canvas = this.app.graphCanvas;
+        const bbox = node.getBoundingBox();
+
+        canvas.selection.clear();
+        canvas.selection.selectNode(node);
+        // Generous margin so a small text node isn't blown up to fill the screen
+        canvas.viewport.zoomToFit(bbox, 120, true);
+        canvas.dirty_canvas = true;
+    }
+
+    /**
+     * Switch to the canvas a cross-canvas result is on, then focus the node
+     * once its state has arrived
+     */
+    async openRemoteResult(canvasId, nodeId) {
+        const canvasNavigator = this.app.canvasNavigator;
+        if (!canvasNavigator) return;
+
+        await canvasNavigator.loadCanvas(canvasId);
+
+        for (let attempt = 0; attempt < 30; attempt++) {
+            // Node IDs come back from the server as whatever type they were saved with
+            const node = this.app.graph.nodes.find(n => String(n.id) === String(nodeId));
+            if (node) {
+                this.setQuery(this.query);
+                const index = this.hits.findIndex(hit => hit.node === node);
+                if (index !== -1) {
+                    this.focusHit(index);
+                } else {
+                    this.focusNode(node);
+                }
+                return;
+            }
+            await new Promise(resolve => setTimeout(resolve, 100));
+        }
+
+        window.unifiedNotifications?.info('That node is no longer on the canvas', { duration: 2500 });
+    }
+
+    // ===================================
+    // OTHER CANVASES
+    // ===================================
+
+    scheduleRemoteSearch() {
+        clearTimeout(this.remoteTimer);
+        const requestId = ++this.remoteRequest;
+
+        if (!this.query.trim()) {
+            this.remoteResults = [];
+            this.render();
+            return;
+        }
+
+        this.remoteTimer = setTimeout(() => this.searchRemote(requestId), this.remoteDelay);
+    }
+
+    async searchRemote(requestId) {
+        try {
+            const response = await fetch(`${CONFIG.ENDPOINTS.SEARCH}?q=${encodeURIComponent(this.query)}`, {
+                headers: CONFIG.authHeaders()
+            });
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+
+            const data = await response.json();
+            if (requestId !== this.remoteRequest) return;
+
+            // This canvas is already covered by the live local hits
+            const currentCanvasId = this.app.canvasNavigator?.currentCanvasId;
+            this.remoteResults = data.results.filter(result => result.canvasId !== currentCanvasId);
+            this.render();
+        } catch (error) {
+            console.error('❌ Failed to search other canvases:', error);
+        }
+    }
+
+    // ===================================
+    // RENDERING
+    // ===================================
+
+    render() {
+        if (!this.query.trim()) {
+            this.countLabel.textContent = '';
+        } else if (this.hits.length === 0) {
+            this.countLabel.textContent = 'No matches';
+        } else if (this.activeIndex === -1) {
+            this.countLabel.textContent = `${this.hits.length} on this canvas`;
+        } else {
+            this.countLabel.textContent = `${this.activeIndex + 1} of ${this.hits.length}`;
+        }
+
+        this.resultsContainer.innerHTML = '';
+
+        if (this.hits.length > 0) {
+            this.resultsContainer.appendChild(this.createSection('This canvas'));
+            this.hits.forEach((hit, index) => {
+                const element = this.createResult(hit.field, hit.snippet);
+                element.dataset.index = index;
+                element.classList.toggle('active', index === this.activeIndex);
+                this.resultsContainer.appendChild(element);
+            });
+        }
+
+        if (this.remoteResults.length > 0) {
+            this.resultsContainer.appendChild(this.createSection('Other canvases'));
+            for (const result of this.remoteResults) {
+                const element = this.createResult(result.field, result.snippet, result.canvasName);
+                element.dataset.canvasId = result.canvasId;
+                element.dataset.nodeId = result.nodeId;
+                this.resultsContainer.appendChild(element);
+            }
+        }
+
+        this.resultsContainer.querySelector('.search-result.active')?.scrollIntoView({ block: 'nearest' });
+    }
+
+    createSection(title) {
+        const section = document.createElement('div');
+        section.className = 'search-section';
+        section.textContent = title;
+        return section;
+    }
+
+    createResult(field, snippet, canvasName = null) {
+        const element = document.createElement('div');
+        element.className = 'search-result';
+
+        const line = document.createElement('div');
+        line.className = 'search-result-snippet';
+
+        const fieldLabel = document.createElement('span');
+        fieldLabel.className = 'search-result-field';
+        fieldLabel.textContent = NodeSearch.FIELD_LABELS[field] || field;
+        line.appendChild(fieldLabel);
+        line.appendChild(document.createTextNode(snippet));
+
+        if (canvasName) {
+            const canvasLabel = document.createElement('span');
+            canvasLabel.className = 'search-result-canvas';
+            canvasLabel.textContent = `in ${canvasName}`;
+            line.appendChild(canvasLabel);
+        }
+
+        element.appendChild(line);
+        return element;
+    }
+}
+
+if (typeof window !== 'undefined') {
+    window.SearchOverlay = SearchOverlay;
+}
@@ -11,6 +11,7 @@ class UserProfilePanel {
         this.panel = null;
         this.isVisible = false;
         this.userProfileSystem = null;
+        this.mode = 'login'; // 'login' or 'register'
         
         this.setupEventListeners();
     }
@@ -35,6 +36,7 @@ class UserProfilePanel {
         document.body.appendChild(this.panel);
         this.isVisible = true;
         this.updateDisplay();
+        this.setMode(this.mode);
         
         // Focus on username field if not logged in
         if (!this.userProfileSystem?.isUserAuthenticated()) {
@@ -105,12 +107,18 @@ class UserProfilePanel {
                 ">×</button>
             </div>
             
+            <div id="anonymous-section" style="display: none;">
+                <p style="margin: 0 0 12px 0; color: #999; font-size: 12px;">
+                    You're using ImageCanvas as <span id="guest-name"></span>. Create an account to keep your canvases and be invited to others.
+                </p>
+            </div>
+            
             <div id="login-section" style="display: none;">
-                <h3 style="margin: 0 0 12px 0; font-size: 14px; color: #e0e0e0;">Login</h3>
+                <h3 id="login-title" style="margin: 0 0 12px 0; font-size: 14px; color: #e0e0e0;">Login</h3>
                 <form id="login-form">
                     <div style="margin-bottom: 12px;">
                         <label for="username" style="display: block; margin-bottom: 4px; font-size: 12px; color: #ccc;">Username</label>
-                        <input type="text" id="username" name="username" style="
+                        <input type="text" id="username" name="username" autocomplete="username" style="
                             width: 100%;
                             padding: 6px 8px;
                             border: 1px solid #555;
@@ -121,7 +129,34 @@ class UserProfilePanel {
                             box-sizing: border-box;
                         " placeholder="Enter username">
                     </div>
-                    <button type="submit" style="
+                    <div style="margin-bottom: 12px;">
+                        <label for="password" style="display: block; margin-bottom: 4px; font-size: 12px; color: #ccc;">Password</label>
+                        <input type="password" id="password" name="password" autocomplete="current-password" style="
+                            width: 100%;
+                            padding: 6px 8px;
+                            border: 1px solid #555;
+                            border-radius: 4px;
+                            font-size: 12px;
+                            background: #1a1a1a;
+                            color: #e0e0e0;
+                            box-sizing: border-box;
+                        " placeholder="Enter password">
+                    </div>
+                    <div id="display-name-row" style="margin-bottom: 12px; display: none;">
+                        <label for="display-name" style="display: block; margin-bottom: 4px; font-size: 12px; color: #ccc;">Display name (optional)</label>
+                        <input type="text" id="display-name" name="displayName" style="
+                            width: 100%;
+                            padding: 6px 8px;
+                            border: 1px solid #555;
+                            border-radius: 4px;
+                            font-size: 12px;
+                            background: #1a1a1a;
+                            color: #e0e0e0;
+                            box-sizing: border-box;
+                        " placeholder="Shown to collaborators">
+                    </div>
+                    <div id="login-error" style="margin-bottom: 12px; font-size: 11px; color: #e57373; display: none;"></div>
+                    <button type="submit" id="login-submit" style="
                         width: 100%;
                         padding: 8px;
                         background: #4a4a4a;
@@ -132,6 +167,16 @@ class UserProfilePanel {
                         cursor: pointer;
                     ">Login</button>
                 </form>
+                <button id="login-mode-toggle" style="
+                    width: 100%;
+                    margin-top: 8px;
+                    padding: 4px;
+                    background: none;
+                    color: #999;
+                    border: none;
+                    font-size: 11px;
+                    cursor: pointer;
+                ">Create an account</button>
             </div>
             
             <div id="profile-section" style="display: none;">
@@ -164,6 +209,12 @@ class UserProfilePanel {
                             Show grid by default
                         </label>
                     </div>
+                    <div style="margin-bottom: 6px;">
+                        <label style="display: flex; align-items: center; font-size: 12px; color: #ccc;">
+                            <input type="checkbox" id="snap-to-grid" style="margin-right: 6px;">
+                            Snap to grid
+                        </label>
+                    </div>
                     <div style="margin-bottom: 6px;">
                         <label style="display: flex; align-items: center; font-size: 12px; color: #ccc;">
                             <input type="checkbox" id="show-titles" style="margin-right: 6px;">
@@ -207,23 +258,8 @@ class UserProfilePanel {
                     ">Save Preferences</button>
                 </div>
             </div>
-            
-            <div id="anonymous-section" style="display: none;">
-                <p style="margin: 0 0 12px 0; color: #999; font-size: 12px;">
-                    You're using ImageCanvas as a guest. Login to save your preferences and projects.
-                </p>
-                <button id="create-account-btn" style="
-                    width: 100%;
-                    padding: 8px;
-                    background: #4a4a4a;
-                    color: #e0e0e0;
-                    border: 1px solid #666;
-                    border-radius: 4px;
-                    font-size: 12px;
-                    cursor: pointer;
-                ">Create Account</button>
-            </div>
         `;
+
         
         // Add event listeners
         this.setupPanelEventListeners();
@@ -252,12 +288,18 @@ class UserProfilePanel {
         const saveBtn = this.panel.querySelector('#save-btn');
         saveBtn.addEventListener('click', () => this.savePreferences());
         
-        // Create account button
-        const createAccountBtn = this.panel.querySelector('#create-account-btn');
-        createAccountBtn.addEventListener('click', () => this.createAnonymousUser());
+        // Switch between login and register
+        const modeToggle = this.panel.querySelector('#login-mode-toggle');
+        modeToggle.addEventListener('click', () => {
+            this.setMode(this.mode === 'login' ? 'register' : 'login');
+        });
+        
+        // Keep canvas shortcuts from firing while typing credentials
+        this.panel.addEventListener('keydown', (e) => e.stopPropagation());
         
         // Preference checkboxes
         const showGridCheckbox = this.panel.querySelector('#show-grid');
+        const snapToGridCheckbox = this.panel.querySelector('#snap-to-grid');
         const showTitlesCheckbox = this.panel.querySelector('#show-titles');
         const showPerformanceCheckbox = this.panel.querySelector('#show-performance');
         const enableAnimationsCheckbox = this.panel.querySelector('#enable-animations');
@@ -266,6 +308,10 @@ class UserProfilePanel {
             this.userProfileSystem?.setPreference('showGrid', e.target.checked);
         });
         
+        snapToGridCheckbox.addEventListener('change', (e) => {
+            this.userProfileSystem?.setPreference('snapToGrid', e.target.checked);
+        });
+        
         showTitlesCheckbox.addEventListener('change', (e) => {
             this.userProfileSystem?.setPreference('showTitles', e.target.checked);
         });
@@ -301,27 +347,30 @@ class UserProfilePanel {
             const userEmail = this.panel.querySelector('#user-email');
             const userAvatar = this.panel.querySelector('#user-avatar');
             
-            userName.textContent = user.username;
-            userEmail.textContent = user.email || 'No email provided';
-            userAvatar.textContent = user.username.charAt(0).toUpperCase();
+            userName.textContent = user.displayName || user.username;
+            userEmail.textContent = user.email || `@${user.username}`;
+            userAvatar.textContent = (user.displayName || user.username).charAt(0).toUpperCase();
             userAvatar.style.backgroundColor = this.userProfileSystem.getUserColor();
             
             // Update preferences
             const showGridCheckbox = this.panel.querySelector('#show-grid');
+            const snapToGridCheckbox = this.panel.querySelector('#snap-to-grid');
             const showTitlesCheckbox = this.panel.querySelector('#show-titles');
             const showPerformanceCheckbox = this.panel.querySelector('#show-performance');
             const enableAnimationsCheckbox = this.panel.querySelector('#enable-animations');
             
             showGridCheckbox.checked = this.userProfileSystem.getPreference('showGrid', true);
+            snapToGridCheckbox.checked = this.userProfileSystem.getPreference('snapToGrid', CONFIG.SNAPPING.SNAP_TO_GRID);
             showTitlesCheckbox.checked = this.userProfileSystem.getPreference('showTitles', true);
             showPerformanceCheckbox.checked = this.userProfileSystem.getPreference('showPerformance', false);
             enableAnimationsCheckbox.checked = this.userProfileSystem.getPreference('enableAnimations', true);
             
         } else if (this.userProfileSystem?.currentUser) {
-            // Show anonymous section
-            loginSection.style.display = 'none';
+            // Guest - explain, and offer login/register
             profileSection.style.display = 'none';
             anonymousSection.style.display = 'block';
+            loginSection.style.display = 'block';
+            this.panel.querySelector('#guest-name').textContent = this.userProfileSystem.getDisplayName();
             
         } else {
             // Show login section
@@ -332,63 +381,77 @@ class UserProfilePanel {
     }
     
     /**
-     * Handle login form submission
+     * Switch the form between login and register
+     */
+    setMode(mode) {
+        this.mode = mode;
+        if (!this.panel) return;
+        
+        const isRegister = mode === 'register';
+        this.panel.querySelector('#login-title').textContent = isRegister ? 'Create Account' : 'Login';
+        this.panel.querySelector('#login-submit').textContent = isRegister ? 'Create Account' : 'Login';
+        this.panel.querySelector('#login-mode-toggle').textContent = isRegister ? 'I already have an account' : 'Create an account';
+        this.panel.querySelector('#display-name-row').style.display = isRegister ? 'block' : 'none';
+        this.panel.querySelector('#password').autocomplete = isRegister ? 'new-password' : 'current-password';
+        this.showError(null);
+    }
+    
+    showError(message) {
+        const error = this.panel?.querySelector('#login-error');
+        if (!error) return;
+        error.textContent = message || '';
+        error.style.display = message ? 'block' : 'none';
+    }
+    
+    /**
+     * Handle login/register form submission
      */
     async handleLogin() {
         const username = this.panel.querySelector('#username').value.trim();
+        const password = this.panel.querySelector('#password').value;
+        const displayName = this.panel.querySelector('#display-name').value.trim();
         
-        if (!username) {
-            alert('Please enter a username');
+        if (!username || !password) {
+            this.showError('Please enter a username and password');
             return;
         }
         
-        try {
-            const result = await this.userProfileSystem.login({ username });
-            
-            if (result.success) {
-                this.updateDisplay();
-                if (window.unifiedNotifications) {
-                    window.unifiedNotifications.success('Login successful', {
-                        detail: `Welcome, ${result.user.username}!`
-                    });
-                }
-            } else {
-                alert(result.error || 'Login failed');
+        const submitBtn = this.panel.querySelector('#login-submit');
+        submitBtn.disabled = true;
+        
+        const isRegister = this.mode === 'register';
+        const result = isRegister
+            ? await this.userProfileSystem.register({ username, password, displayName: displayName || null })
+            : await this.userProfileSystem.login({ username, password });
+        
+        if (!this.panel) return; // Closed while waiting
+        submitBtn.disabled = false;
+        
+        if (result.success) {
+            this.panel.querySelector('#password').value = '';
+            this.setMode('login');
+            this.updateDisplay();
+            if (window.unifiedNotifications) {
+                window.unifiedNotifications.success(isRegister ? 'Account created' : 'Login successful', {
+                    detail: `Welcome, ${result.user.displayName || result.user.username}!`
+                });
             }
-        } catch (error) {
-            
-            alert('Login failed');
+        } else {
+            this.showError(result.error || 'Login failed');
         }
     }
     
     /**
      * Handle logout
      */
-    handleLogout() {
-        this.userProfileSystem?.logout();
+    async handleLogout() {
+        await this.userProfileSystem?.logout();
         this.updateDisplay();
         
         if (window.unifiedNotifications) {
-            window.unifiedNotifications.info('Logged out successfully');
-        }
-    }
-    
-    /**
-     * Create anonymous user
-     */
-    async createAnonymousUser() {
-        try {
-            await this.userProfileSystem?.createAnonymousUser();
-            this.updateDisplay();
-            
-            if (window.unifiedNotifications) {
-                window.unifiedNotifications.success('Anonymous account created', {
-                    detail: 'You can now save preferences and projects'
-                });
-            }
-        } catch (error) {
-            
-            alert('Failed to create account');
+            window.unifiedNotifications.info('Logged out successfully', {
+                detail: 'You are continuing as a guest'
+            });
         }
     }
     
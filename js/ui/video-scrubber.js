@@ -0,0 +1,475 @@
+// ===================================
+// VIDEO SCRUBBER
+// ===================================
+
+/**
+ * VideoScrubber - Timeline bar on the video under the mouse
+ *
+ * Drawn in screen space along the bottom edge of the hovered video, following
+ * its rotation, in both the canvas and gallery view. The bar holds a
+ * play/pause button, the track with the loop region and poster marker, a time
+ * readout and a playback rate button.
+ *
+ * The playhead and playback rate are local. Dragging the in/out or poster
+ * markers commits a video_timeline operation on release, so the loop region
+ * and poster are shared. The VIDEO keyboard shortcuts act on the same targets
+ * through stepFrames, markIn, markOut, setPoster and clearRange.
+ */
+class VideoScrubber {
+    static BAR_HEIGHT = 28;       // Screen px
+    static MARGIN = 8;            // Gap between the bar and the video's edges
+    static MIN_VIDEO_WIDTH = 180; // Smaller videos on screen get no bar
+    static LABEL_WIDTH = 96;      // Dropped when the bar is too narrow
+    static RATE_WIDTH = 36;
+    static MARKER_HIT_RADIUS = 6;
+
+    constructor(canvas) {
+        this.canvas = canvas;
+        this.viewport = canvas.viewport;
+
+        this.hoverNode = null;
+        this.drag = null; // { node, part, value, wasPlaying }
+    }
+
+    // ===================================
+    // TARGETS
+    // ===================================
+
+    isUsable(node) {
+        return node?.type === 'media/video' && node.getDuration() > 0;
+    }
+
+    /**
+     * The video under the mouse. Gallery view only offers the current node.
+     */
+    findHoverNode(x, y) {
+        const gallery = this.canvas.galleryViewManager;
+        const [gx, gy] = this.viewport.convertOffsetToGraph(x, y);
+
+        let node;
+        if (gallery?.active) {
+            node = gallery.getCurrentNode();
+            if (node && !node.containsPoint(gx, gy)) node = null;
+        } else {
+            node = this.canvas.handleDetector.getNodeAtPosition(gx, gy, this.canvas.graph.nodes);
+        }
+
+        if (!this.isUsable(node)) return null;
+        return node.size[0] * this.viewport.scale >= VideoScrubber.MIN_VIDEO_WIDTH ? node : null;
+    }
+
+    /**
+     * Videos the keyboard shortcuts act on: the gallery's current node, the
+     * selected videos, or else the hovered one
+     */
+    getTargetVideos() {
+        const gallery = this.canvas.galleryViewManager;
+        if (gallery?.active) {
+            const current = gallery.getCurrentNode();
+            return this.isUsable(current) ? [current] : [];
+        }
+
+        const selected = this.canvas.selection.getSelectedNodes().filter(node => this.isUsable(node));
+        if (selected.length > 0) return selected;
+
+        return this.isUsable(this.hoverNode) ? [this.hoverNode] : [];
+    }
+
+    // ===================================
+    // ACTIONS
+    // ===================================
+
+    stepFrames(count) {
+        const nodes = this.getTargetVideos();
+        nodes.forEach(node => node.stepFrames(count));
+        this.canvas.dirty_canvas = true;
+        return nodes.length > 0;
+    }
+
+    markIn() {
+        return this.setPointAtPlayhead('inPoint');
+    }
+
+    markOut() {
+        return this.setPointAtPlayhead('outPoint');
+    }
+
+    setPoster() {
+        return this.setPointAtPlayhead('posterTime');
+    }
+
+    clearRange() {
+        const nodes = this.getTargetVideos()
+            .filter(node => node.properties.inPoint != null || node.properties.outPoint != null);
+        nodes.forEach(node => this.commitTimeline(node, { inPoint: null, outPoint: null }));
+        return nodes.length > 0;
+    }
+
+    /**
+     * Set a timeline point to each target's playhead. An in point after the
+     * out point (or the reverse) clears the other end rather than failing.
+     */
+    setPointAtPlayhead(field) {
+        const nodes = this.getTargetVideos();
+        for (const node of nodes) {
+            const time = this.roundTime(node.getCurrentTime());
+            const changes = { [field]: time };
+
+            if (field === 'inPoint' && node.properties.outPoint != null && time >= node.properties.outPoint) {
+                changes.outPoint = null;
+            } else if (field === 'outPoint' && node.properties.inPoint != null && time <= node.properties.inPoint) {
+                changes.inPoint = null;
+            }
+
+            this.commitTimeline(node, changes);
+        }
+        return nodes.length > 0;
+    }
+
+    cyclePlaybackRate(node) {
+        const rates = VideoNode.PLAYBACK_RATES;
+        const index = rates.indexOf(node.playbackRate);
+        node.setPlaybackRate(rates[(index + 1) % rates.length]);
+        this.canvas.dirty_canvas = true;
+    }
+
+    async commitTimeline(node, changes) {
+        if (this.canvas.readOnly || !window.app?.operationPipeline) return;
+
+        try {
+            await window.app.operationPipeline.execute('video_timeline', { nodeId: node.id, ...changes });
+        } catch (error) {
+            console.error('Failed to update video timeline:', error);
+        }
+    }
+
+    roundTime(seconds) {
+        return Math.round(seconds * 1000) / 1000;
+    }
+
+    // ===================================
+    // MOUSE
+    // ===================================
+
+    /**
+     * @param {number} x - Canvas offset x
+     * @param {number} y - Canvas offset y
+     * @returns {boolean} true if the press landed on the bar
+     */
+    handleMouseDown(x, y) {
+        this.setHoverNode(this.findHoverNode(x, y));
+        const layout = this.getLayout(this.hoverNode);
+        if (!layout) return false;
+
+        const [lx, ly] = this.toLocal(layout, x, y);
+        if (!this.inRect(lx, ly, layout.bar)) return false;
+
+        const node = layout.node;
+        if (this.inRect(lx, ly, layout.button)) {
+            node.togglePlayback();
+        } else if (this.inRect(lx, ly, layout.rate)) {
+            this.cyclePlaybackRate(node);
+        } else if (this.inRect(lx, ly, layout.trackHit)) {
+            // Dragging seeks the video, so hold playback until release
+            const marker = this.canvas.readOnly ? null : this.getMarkerAt(layout, lx);
+            const wasPlaying = !node.video.paused;
+            if (wasPlaying) {
+                node.pause();
+            }
+            this.drag = {
+                node,
+                part: marker || 'playhead',
+                value: marker ? node.properties[marker] : null,
+                wasPlaying
+            };
+            this.updateDrag(layout, lx);
+        }
+
+        this.canvas.dirty_canvas = true;
+        return true;
+    }
+
+    /**
+     * @returns {boolean} true while dragging on the bar
+     */
+    handleMouseMove(x, y) {
+        if (!this.drag) {
+            if (!this.canvas.mouseState.down) {
+                this.setHoverNode(this.findHoverNode(x, y));
+            }
+            return false;
+        }
+
+        const layout = this.getLayout(this.drag.node);
+        if (layout) {
+            this.updateDrag(layout, this.toLocal(layout, x, y)[0]);
+        }
+        this.canvas.dirty_canvas = true;
+        return true;
+    }
+
+    /**
+     * @returns {boolean} true if a drag on the bar ended
+     */
+    handleMouseUp() {
+        const drag = this.drag;
+        if (!drag) return false;
+        this.drag = null;
+
+        if (drag.part !== 'playhead' && drag.value !== (drag.node.properties[drag.part] ?? null)) {
+            this.commitTimeline(drag.node, { [drag.part]: drag.value });
+        }
+        if (drag.wasPlaying) {
+            drag.node.play();
+        }
+
+        this.canvas.dirty_canvas = true;
+        return true;
+    }
+
+    updateDrag(layout, lx) {
+        const { node, part } = this.drag;
+        let time = this.xToTime(layout, lx);
+
+        if (part === 'inPoint' && node.properties.outPoint != null) {
+            time = Math.min(time, node.properties.outPoint - node.frameDuration);
+        } else if (part === 'outPoint' && node.properties.inPoint != null) {
+            time = Math.max(time, node.properties.inPoint + node.frameDuration);
+        }
+        time = this.roundTime(Math.max(0, time));
+
+        if (part !== 'playhead') {
+            this.drag.value = time;
+        }
+
+        // Markers preview their frame too, so the poster can be picked by eye
+        if (!node.video.seeking) {
+            node.seek(time);
+        }
+    }
+
+    getMarkerAt(layout, lx) {
+        // Poster last so it can't hide an in/out point at the same spot
+        for (const field of ['inPoint', 'outPoint', 'posterTime']) {
+            const value = layout.node.properties[field];
+            if (value != null && Math.abs(this.timeToX(layout, value) - lx) <= VideoScrubber.MARKER_HIT_RADIUS) {
+                return field;
+            }
+        }
+        return null;
+    }
+
+    getCursor(x, y) {
+        if (this.drag) return 'ew-resize';
+
+        const layout = this.getLayout(this.hoverNode);
+        if (!layout) return null;
+
+        const [lx, ly] = this.toLocal(layout, x, y);
+        if (!this.inRect(lx, ly, layout.bar)) return null;
+        if (this.inRect(lx, ly, layout.trackHit)) {
+            return !this.canvas.readOnly && this.getMarkerAt(layout, lx) ? 'ew-resize' : 'pointer';
+        }
+        return this.inRect(lx, ly, layout.button) || this.inRect(lx, ly, layout.rate) ? 'pointer' : 'default';
+    }
+
+    setHoverNode(node) {
+        if (node !== this.hoverNode) {
+            this.hoverNode = node;
+            this.canvas.dirty_canvas = true;
+        }
+    }
+
+    // ===================================
+    // LAYOUT
+    // ===================================
+
+    /**
+     * Bar geometry in the video's rotated screen frame, relative to its center
+     */
+    getLayout(node) {
+        if (!this.isUsable(node)) return null;
+
+        const scale = this.viewport.scale;
+        const width = node.size[0] * scale;
+        const height = node.size[1] * scale;
+        const { BAR_HEIGHT, MARGIN, LABEL_WIDTH, RATE_WIDTH } = VideoScrubber;
+        if (width < VideoScrubber.MIN_VIDEO_WIDTH || height < BAR_HEIGHT + MARGIN * 2) return null;
+
+        const [cx, cy] = this.viewport.convertGraphToOffset(...node.getCenter());
+        const bar = {
+            x: -width / 2 + MARGIN,
+            y: height / 2 - MARGIN - BAR_HEIGHT,
+            width: width - MARGIN * 2,
+            height: BAR_HEIGHT
+        };
+
+        const button = { x: bar.x, y: bar.y, width: BAR_HEIGHT, height: BAR_HEIGHT };
+        const rate = { x: bar.x + bar.width - RATE_WIDTH, y: bar.y, width: RATE_WIDTH, height: BAR_HEIGHT };
+        const showLabel = bar.width >= 320;
+        const trackEnd = rate.x - (showLabel ? LABEL_WIDTH : 8);
+        const track = {
+            x: button.x + button.width + 4,
+            y: bar.y + BAR_HEIGHT / 2 - 2,
+            width: Math.max(1, trackEnd - button.x - button.width - 4),
+            height: 4
+        };
+
+        return {
+            node,
+            cx,
+            cy,
+            angle: (node.rotation || 0) * Math.PI / 180,
+            duration: node.getDuration(),
+            bar,
+            button,
+            rate,
+            track,
+            trackHit: { x: track.x - 4, y: bar.y, width: track.width + 8, height: BAR_HEIGHT },
+            label: showLabel ? { x: trackEnd + LABEL_WIDTH / 2, y: bar.y + BAR_HEIGHT / 2 } : null
+        };
+    }
+
+    toLocal(layout, x, y) {
+        const dx = x - layout.cx;
+        const dy = y - layout.cy;
+        const cos = Math.cos(-layout.angle);
+        const sin = Math.sin(-layout.angle);
+        return [dx * cos - dy * sin, dx * sin + dy * cos];
+    }
+
+    inRect(x, y, rect) {
+        return x >= rect.x && x <= rect.x + rect.width && y >= rect.y && y <= rect.y + rect.height;
+    }
+
+    timeToX(layout, time) {
+        return layout.track.x + Utils.clamp(time / layout.duration, 0, 1) * layout.track.width;
+    }
+
+    xToTime(layout, x) {
+        return Utils.clamp((x - layout.track.x) / layout.track.width, 0, 1) * layout.duration;
+    }
+
+    static formatTime(seconds) {
+        const minutes = Math.floor(seconds / 60);
+        const rest = (seconds - minutes * 60).toFixed(1).padStart(4, '0');
+        return `${minutes}:${rest}`;
+    }
+
+    // ===================================
+    // DRAWING
+    // ===================================
+
+    /**
+     * Called from the canvas overlay pass, before gallery view skips the rest
+     */
+    draw(ctx) {
+        if (this.canvas.isExporting || window.app?.annotationTool?.active) return;
+        // Hide while moving or resizing nodes
+        if (this.canvas.mouseState.down && !this.drag) return;
+
+        const node = this.drag ? this.drag.node : this.hoverNode;
+        const layout = this.getLayout(node);
+        if (!layout) return;
+
+        const { bar, button, rate, track, label } = layout;
+        const properties = node.properties;
+        const valueOf = (field) => this.drag?.part === field ? this.drag.value : properties[field];
+
+        ctx.save();
+        ctx.setTransform(this.viewport.dpr, 0, 0, this.viewport.dpr, 0, 0);
+        ctx.translate(layout.cx, layout.cy);
+        ctx.rotate(layout.angle);
+
+        // Background
+        ctx.fillStyle = 'rgba(20, 20, 20, 0.8)';
+        ctx.beginPath();
+        ctx.roundRect(bar.x, bar.y, bar.width, bar.height, 4);
+        ctx.fill();
+
+        // Play/pause
+        const midX = button.x + button.width / 2;
+        const midY = button.y + button.height / 2;
+        ctx.fillStyle = '#fff';
+        if (node.video.paused) {
+            ctx.beginPath();
+            ctx.moveTo(midX - 4, midY - 6);
+            ctx.lineTo(midX + 6, midY);
+            ctx.lineTo(midX - 4, midY + 6);
+            ctx.closePath();
+            ctx.fill();
+        } else {
+            ctx.fillRect(midX - 5, midY - 6, 3.5, 12);
+            ctx.fillRect(midX + 1.5, midY - 6, 3.5, 12);
+        }
+
+        // Track and loop region
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.25)';
+        ctx.fillRect(track.x, track.y, track.width, track.height);
+
+        const inPoint = valueOf('inPoint');
+        const outPoint = valueOf('outPoint');
+        const hasRange = inPoint != null || outPoint != null;
+        const rangeStart = this.timeToX(layout, inPoint ?? 0);
+        const rangeEnd = this.timeToX(layout, outPoint ?? layout.duration);
+        if (hasRange) {
+            ctx.fillStyle = 'rgba(68, 170, 255, 0.5)';
+            ctx.fillRect(rangeStart, track.y, rangeEnd - rangeStart, track.height);
+        }
+
+        // Progress
+        const playheadX = this.timeToX(layout, node.getCurrentTime());
+        ctx.fillStyle = '#fff';
+        ctx.fillRect(track.x, track.y, playheadX - track.x, track.height);
+
+        // In/out brackets
+        ctx.strokeStyle = '#4af';
+        ctx.lineWidth = 2;
+        for (const [value, direction] of [[inPoint, 1], [outPoint, -1]]) {
+            if (value == null) continue;
+            const x = this.timeToX(layout, value);
+            ctx.beginPath();
+            ctx.moveTo(x + direction * 4, track.y - 6);
+            ctx.lineTo(x, track.y - 6);
+            ctx.lineTo(x, track.y + track.height + 6);
+            ctx.lineTo(x + direction * 4, track.y + track.height + 6);
+            ctx.stroke();
+        }
+
+        // Poster marker
+        const posterTime = valueOf('posterTime');
+        if (posterTime != null) {
+            const x = this.timeToX(layout, posterTime);
+            ctx.fillStyle = '#fc4';
+            ctx.beginPath();
+            ctx.moveTo(x - 4, track.y - 9);
+            ctx.lineTo(x + 4, track.y - 9);
+            ctx.lineTo(x, track.y - 3);
+            ctx.closePath();
+            ctx.fill();
+        }
+
+        // Playhead
+        ctx.fillStyle = '#fff';
+        ctx.beginPath();
+        ctx.arc(playheadX, track.y + track.height / 2, 5, 0, Math.PI * 2);
+        ctx.fill();
+
+        // Time readout and rate
+        ctx.font = `11px ${window.FONT_CONFIG?.APP_FONT_CANVAS || 'Univers, sans-serif'}`;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        if (label) {
+            ctx.fillStyle = 'rgba(255, 255, 255, 0.85)';
+            ctx.fillText(`${VideoScrubber.formatTime(node.getCurrentTime())} / ${VideoScrubber.formatTime(layout.duration)}`, label.x, label.y);
+        }
+        ctx.fillStyle = node.playbackRate === 1 ? 'rgba(255, 255, 255, 0.85)' : '#4af';
+        ctx.fillText(`${node.playbackRate}×`, rate.x + rate.width / 2, rate.y + rate.height / 2);
+
+        ctx.restore();
+    }
+}
+
+if (typeof window !== 'undefined') {
+    window.VideoScrubber = VideoScrubber;
+}
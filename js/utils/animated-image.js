@@ -0,0 +1,127 @@
+/**
+ * AnimatedImage - Tells animated GIF, WebP and APNG files from still ones
+ *
+ * Animations become video nodes: the server transcodes them into a looping
+ * WebM with renditions and keeps the image as the node's original. Still
+ * GIFs, WebPs and PNGs stay image nodes. Mirrors server/src/image/AnimatedImage.js.
+ */
+class AnimatedImage {
+    /**
+     * Read a dropped file and remember the answer for isKnownAnimated
+     * @returns {Promise<boolean>}
+     */
+    static async isAnimated(file) {
+        if (AnimatedImage.results.has(file)) return AnimatedImage.results.get(file);
+
+        let animated = false;
+        if (AnimatedImage.MIME_TYPES.includes((file.type || '').toLowerCase())) {
+            try {
+                animated = !!AnimatedImage.detect(new Uint8Array(await file.arrayBuffer()));
+            } catch (error) {
+                console.warn(`⚠️ Could not check ${file.name} for animation:`, error);
+            }
+        }
+        AnimatedImage.results.set(file, animated);
+        return animated;
+    }
+
+    /**
+     * What isAnimated found for a file it has already read
+     */
+    static isKnownAnimated(file) {
+        return AnimatedImage.results.get(file) === true;
+    }
+
+    /**
+     * @param {Uint8Array} bytes - The whole file (GIF frames can only be counted by walking it)
+     * @returns {{ format: 'gif'|'webp'|'apng', frames: number }|null} null for single-frame images
+     */
+    static detect(bytes) {
+        const text = (start, end) => String.fromCharCode(...bytes.subarray(start, end));
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+        let animation = null;
+        if (bytes.length >= 13 && /^GIF8[79]a$/.test(text(0, 6))) {
+            animation = { format: 'gif', frames: AnimatedImage.countGifFrames(bytes) };
+        } else if (bytes.length >= 12 && text(0, 4) === 'RIFF' && text(8, 12) === 'WEBP') {
+            animation = { format: 'webp', frames: AnimatedImage.countWebpFrames(bytes, view, text) };
+        } else if (bytes.length >= 8 && AnimatedImage.PNG_SIGNATURE.every((byte, i) => bytes[i] === byte)) {
+            animation = { format: 'apng', frames: AnimatedImage.countApngFrames(bytes, view, text) };
+        }
+        return animation && animation.frames > 1 ? animation : null;
+    }
+
+    static countGifFrames(bytes) {
+        const colorTableLength = flags => flags & 0x80 ? 3 * (1 << ((flags & 0x07) + 1)) : 0;
+        const skipSubBlocks = offset => {
+            while (offset < bytes.length) {
+                const size = bytes[offset];
+                offset += 1 + size;
+                if (size === 0) break;
+            }
+            return offset;
+        };
+
+        let offset = 13 + colorTableLength(bytes[10]);
+        let frames = 0;
+        while (offset < bytes.length) {
+            const block = bytes[offset];
+            if (block === 0x2c) {
+                if (offset + 10 > bytes.length) break;
+                frames++;
+                offset = skipSubBlocks(offset + 10 + colorTableLength(bytes[offset + 9]) + 1);
+            } else if (block === 0x21) {
+                offset = skipSubBlocks(offset + 2);
+            } else {
+                break;
+            }
+        }
+        return frames;
+    }
+
+    static countWebpFrames(bytes, view, text) {
+        let offset = 12;
+        let animated = false;
+        let frames = 0;
+        while (offset + 8 <= bytes.length) {
+            const type = text(offset, offset + 4);
+            const size = view.getUint32(offset + 4, true);
+            if (type === 'VP8X') {
+                animated = offset + 8 < bytes.length && (bytes[offset + 8] & 0x02) !== 0;
+                if (!animated) return 1;
+            } else if (type === 'ANMF') {
+                frames++;
+            }
+            offset += 8 + size + (size & 1);
+        }
+        return animated ? frames : 1;
+    }
+
+    static countApngFrames(bytes, view, text) {
+        let offset = 8;
+        while (offset + 8 <= bytes.length) {
+            const length = view.getUint32(offset);
+            const type = text(offset + 4, offset + 8);
+            if (type === 'acTL' && offset + 12 <= bytes.length) {
+                return view.getUint32(offset + 8);
+            }
+            if (type === 'IDAT' || type === 'IEND') break;
+            offset += 12 + length;
+        }
+        return 1;
+    }
+}
+
+// Types that may hold an animation; everything else is never read
+AnimatedImage.MIME_TYPES = ['image/gif', 'image/webp', 'image/png', 'image/apng'];
+
+AnimatedImage.PNG_SIGNATURE = [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a];
+
+// File -> boolean, filled by isAnimated
+AnimatedImage.results = new WeakMap();
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AnimatedImage;
+} else if (typeof window !== 'undefined') {
+    window.AnimatedImage = AnimatedImage;
+}
@@ -53,6 +53,8 @@ const CONFIG = {
         MAX_FPS: 120,
         USE_FPS_LIMIT: false, // Set to false to use natural RAF vsync timing
         THUMBNAIL_THRESHOLD: 50, // pixels - use thumbnail when video node is smaller than this on screen
+        VIDEO_RENDITION_BUFFER: 1.2, // Pick a video rendition this much larger than the node on screen (as TextureLODManager does)
+        VIDEO_RENDITION_SWITCH_DELAY: 600, // ms the on-screen size must hold before switching video rendition
         VISIBILITY_MARGIN: 200,
         BATCH_SIZE: 100,
         
@@ -81,6 +83,22 @@ const CONFIG = {
         FRAME_BUDGET_MS: 4  // Maximum milliseconds to spend on alignment animation per frame
     },
     
+    ARRANGE: {
+        ROW_HEIGHT: 200,            // Default target row height for justified rows and masonry
+        SORT_BY: 'selection'        // Default layout order (see NodeArrange.SORT_LABELS)
+    },
+    
+    VIDEO_FRAMES: {
+        CONTACT_SHEET_COUNT: 12,    // Default number of frames in a contact sheet (server allows 2-64)
+        GAP: 20                     // Space between the video and grabbed frames, and between sheet cells
+    },
+    
+    SNAPPING: {
+        THRESHOLD: 6,               // Screen pixels within which edges snap to a guide
+        SNAP_TO_GRID: false,        // Default for the "Snap to grid" preference (CANVAS.GRID_SIZE)
+        GUIDE_COLOR: '#ff4d94'
+    },
+    
     NAVIGATION: {
         ANIMATION_DURATION: 240, // milliseconds
         ENABLE_ANIMATION: true,
@@ -115,6 +133,15 @@ const CONFIG = {
     // Rendering
     RENDERER: {
         DEFAULT: 'webgl' // 'canvas2d' or 'webgl'
+    },
+    
+    ANNOTATIONS: {
+        COLORS: ['#ff3b30', '#ffcc00', '#34c759', '#0a84ff', '#ffffff', '#000000'],
+        PEN_WIDTH: 3,            // Screen pixels at the zoom the stroke is drawn at
+        MARKER_WIDTH: 18,
+        MARKER_OPACITY: 0.35,
+        ERASER_RADIUS: 10,       // Screen pixels
+        SIMPLIFY_TOLERANCE: 0.5  // Screen pixels - stroke points closer to the line are dropped
     }
 };
 
@@ -161,13 +188,36 @@ CONFIG.ENDPOINTS = {
     CANVAS: (id) => `${CONFIG.SERVER.API_BASE}/canvases/${id}`,
     CANVAS_STATE: (id) => `${CONFIG.SERVER.API_BASE}/canvases/${id}/state`,
     USER_CANVASES: (userId) => `${CONFIG.SERVER.API_BASE}/canvases/user/${userId}`,
+    CANVAS_VERSIONS: (id) => `${CONFIG.SERVER.API_BASE}/canvases/${id}/versions`,
+    CANVAS_VERSION: (id, versionId) => `${CONFIG.SERVER.API_BASE}/canvases/${id}/versions/${versionId}`,
+    CANVAS_VERSION_DIFF: (id, versionId) => `${CONFIG.SERVER.API_BASE}/canvases/${id}/versions/${versionId}/diff`,
+    CANVAS_VERSION_RESTORE: (id, versionId) => `${CONFIG.SERVER.API_BASE}/canvases/${id}/versions/${versionId}/restore`,
+    CANVAS_COLLABORATORS: (id) => `${CONFIG.SERVER.API_BASE}/canvases/${id}/collaborators`,
+    CANVAS_COLLABORATOR: (id, userId) => `${CONFIG.SERVER.API_BASE}/canvases/${id}/collaborators/${userId}`,
+    CANVAS_CLAIM: (id) => `${CONFIG.SERVER.API_BASE}/canvases/${id}/claim`,
     // Legacy aliases for compatibility
     PROJECT: (id) => `${CONFIG.SERVER.API_BASE}/canvases/${id}`,
     PROJECT_CANVAS: (id) => `${CONFIG.SERVER.API_BASE}/canvases/${id}/state`,
     USER_PROJECTS: (userId) => `${CONFIG.SERVER.API_BASE}/canvases/user/${userId}`,
     
+    // Authentication
+    AUTH_GUEST: `${CONFIG.SERVER.API_BASE}/auth/guest`,
+    AUTH_REGISTER: `${CONFIG.SERVER.API_BASE}/auth/register`,
+    AUTH_LOGIN: `${CONFIG.SERVER.API_BASE}/auth/login`,
+    AUTH_LOGOUT: `${CONFIG.SERVER.API_BASE}/auth/logout`,
+    AUTH_ME: `${CONFIG.SERVER.API_BASE}/auth/me`,
+    
+    // Search across every canvas the user can access
+    SEARCH: `${CONFIG.SERVER.API_BASE}/search`,
+    
     // Media
     UPLOAD: `${CONFIG.SERVER.API_BASE}/api/upload`,
+    IMPORT_URL: `${CONFIG.SERVER.API_BASE}/api/import-url`,
+    VIDEO_FRAMES: `${CONFIG.SERVER.API_BASE}/api/video-frames`,
+    LUTS: `${CONFIG.SERVER.API_BASE}/api/luts`,
+    GRADE_PRESETS: `${CONFIG.SERVER.API_BASE}/api/grade-presets`,
+    GRADE_PRESET: (id) => `${CONFIG.SERVER.API_BASE}/api/grade-presets/${id}`,
+    BAKE_GRADE: `${CONFIG.SERVER.API_BASE}/api/bake-grade`,
     UPLOADS: `${CONFIG.SERVER.API_BASE}/uploads`,
     
     // Health
@@ -184,6 +234,19 @@ CONFIG.getUserColor = function(index) {
     return CONFIG.COLLABORATION.USER_COLORS[index % CONFIG.COLLABORATION.USER_COLORS.length];
 };
 
+// Session token issued by /auth/* - UserProfileSystem owns it, requests just read it
+CONFIG.AUTH_TOKEN_KEY = 'imagecanvas_auth_token';
+
+CONFIG.getAuthToken = function() {
+    return localStorage.getItem(CONFIG.AUTH_TOKEN_KEY);
+};
+
+// Add the Authorization header to a set of request headers
+CONFIG.authHeaders = function(headers = {}) {
+    const token = CONFIG.getAuthToken();
+    return token ? { ...headers, Authorization: `Bearer ${token}` } : headers;
+};
+
 // Make CONFIG globally available
 window.CONFIG = CONFIG;
 
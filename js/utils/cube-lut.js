@@ -0,0 +1,121 @@
+/**
+ * CubeLUT - Parses .cube 3D LUTs and lays them out for the WebGL renderer
+ *
+ * WebGL 1 has no 3D textures, so the cube is stored as a 2D texture of
+ * blue slices: each slice is a size × size tile of red (x) by green (y),
+ * and the tiles are packed in rows of `columns`. The shader samples the two
+ * slices around a color's blue value and blends between them.
+ */
+class CubeLUT {
+    /**
+     * @param {string} text - Contents of a .cube file
+     * @returns {{ title: string|null, size: number, domainMin: number[], domainMax: number[], data: Float32Array }}
+     * @throws {Error} When the file isn't a valid 3D LUT
+     */
+    static parse(text, maxSize = CubeLUT.MAX_SIZE) {
+        let title = null;
+        let size = 0;
+        let domainMin = [0, 0, 0];
+        let domainMax = [1, 1, 1];
+        let data = null;
+        let count = 0;
+
+        const lines = text.split(/\r?\n/);
+        for (let i = 0; i < lines.length; i++) {
+            const line = lines[i].trim();
+            if (!line || line.startsWith('#')) continue;
+
+            // Table rows start with a number, keywords with a letter
+            if (/^[-+.\d]/.test(line)) {
+                if (!data) {
+                    throw new Error('LUT_3D_SIZE must come before the table');
+                }
+                if (count >= size * size * size) {
+                    throw new Error(`Too many entries for a ${size}³ LUT (line ${i + 1})`);
+                }
+                const values = line.split(/\s+/).slice(0, 3).map(Number);
+                if (values.length < 3 || values.some(value => !Number.isFinite(value))) {
+                    throw new Error(`Invalid entry on line ${i + 1}`);
+                }
+                data.set(values, count * 3);
+                count++;
+                continue;
+            }
+
+            const [keyword, ...rest] = line.split(/\s+/);
+            if (keyword === 'TITLE') {
+                title = line.slice(5).trim().replace(/^"|"$/g, '') || null;
+            } else if (keyword === 'LUT_3D_SIZE') {
+                size = parseInt(rest[0], 10);
+                if (!Number.isInteger(size) || size < 2 || size > maxSize) {
+                    throw new Error(`LUT_3D_SIZE must be from 2 to ${maxSize}`);
+                }
+                data = new Float32Array(size * size * size * 3);
+            } else if (keyword === 'LUT_1D_SIZE') {
+                throw new Error('Only 3D LUTs are supported');
+            } else if (keyword === 'DOMAIN_MIN' || keyword === 'DOMAIN_MAX') {
+                const values = rest.slice(0, 3).map(Number);
+                if (values.length !== 3 || values.some(value => !Number.isFinite(value))) {
+                    throw new Error(`Invalid ${keyword} on line ${i + 1}`);
+                }
+                if (keyword === 'DOMAIN_MIN') domainMin = values;
+                else domainMax = values;
+            } else if (keyword === 'LUT_3D_INPUT_RANGE') {
+                const [min, max] = rest.map(Number);
+                domainMin = [min, min, min];
+                domainMax = [max, max, max];
+            }
+        }
+
+        if (!data) {
+            throw new Error('Missing LUT_3D_SIZE');
+        }
+        if (count !== size * size * size) {
+            throw new Error(`Expected ${size * size * size} entries, found ${count}`);
+        }
+        if (domainMin.some((min, channel) => !(min < domainMax[channel]))) {
+            throw new Error('DOMAIN_MIN must be below DOMAIN_MAX');
+        }
+
+        return { title, size, domainMin, domainMax, data };
+    }
+
+    /**
+     * Pack a parsed LUT into RGBA bytes for texImage2D
+     * @returns {{ pixels: Uint8Array, width: number, height: number, columns: number, rows: number }}
+     */
+    static toTexture(lut) {
+        const { size, data } = lut;
+        const columns = Math.ceil(Math.sqrt(size));
+        const rows = Math.ceil(size / columns);
+        const width = columns * size;
+        const height = rows * size;
+        const pixels = new Uint8Array(width * height * 4);
+
+        for (let b = 0; b < size; b++) {
+            const tileX = (b % columns) * size;
+            const tileY = Math.floor(b / columns) * size;
+            for (let g = 0; g < size; g++) {
+                for (let r = 0; r < size; r++) {
+                    const source = (r + g * size + b * size * size) * 3;
+                    const target = ((tileY + g) * width + tileX + r) * 4;
+                    pixels[target] = Math.round(Math.min(1, Math.max(0, data[source])) * 255);
+                    pixels[target + 1] = Math.round(Math.min(1, Math.max(0, data[source + 1])) * 255);
+                    pixels[target + 2] = Math.round(Math.min(1, Math.max(0, data[source + 2])) * 255);
+                    pixels[target + 3] = 255;
+                }
+            }
+        }
+
+        return { pixels, width, height, columns, rows };
+    }
+}
+
+// Same limit as the server's /api/luts
+CubeLUT.MAX_SIZE = 65;
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CubeLUT;
+} else if (typeof window !== 'undefined') {
+    window.CubeLUT = CubeLUT;
+}
@@ -0,0 +1,108 @@
+/**
+ * ImageFormats - Image formats the server converts on upload
+ *
+ * HEIC, TIFF, PSD and camera RAW files can't be decoded by the browser, so
+ * their nodes wait for the server's JPEG/PNG copy before showing anything.
+ * SVG is decodable but gets a rasterized copy too, for the WebGL path; the
+ * SVG itself is used again when exporting. Mirrors server/src/image/ImageFormats.js.
+ */
+class ImageFormats {
+    /**
+     * Which converter a file needs, from its type or, when the browser
+     * didn't recognize it, its extension
+     * @returns {'heic'|'tiff'|'svg'|'psd'|'raw'|null} null for formats browsers display as they are
+     */
+    static getFormat(file) {
+        const type = (file.type || '').toLowerCase();
+        if (ImageFormats.MIME_FORMATS[type]) return ImageFormats.MIME_FORMATS[type];
+
+        if (!type || type === 'application/octet-stream' || type.startsWith('image/x-')) {
+            const extensionType = ImageFormats.EXTENSION_TYPES[ImageFormats.getExtension(file.name)];
+            return extensionType ? ImageFormats.MIME_FORMATS[extensionType] : null;
+        }
+        return null;
+    }
+
+    /**
+     * Whether the canvas shows the file only once the server has converted it
+     */
+    static needsServerDecode(file) {
+        const format = ImageFormats.getFormat(file);
+        return !!format && format !== 'svg';
+    }
+
+    /**
+     * The file with an image/* type when the browser gave it none (RAW, PSD),
+     * so the upload and the image/video split see what it is
+     * @returns {File}
+     */
+    static normalize(file) {
+        const format = ImageFormats.getFormat(file);
+        const type = (file.type || '').toLowerCase();
+        if (!format || (type.startsWith('image/') && ImageFormats.MIME_FORMATS[type])) {
+            return file;
+        }
+
+        const mimeType = ImageFormats.EXTENSION_TYPES[ImageFormats.getExtension(file.name)] ||
+            Object.keys(ImageFormats.MIME_FORMATS).find(candidate => ImageFormats.MIME_FORMATS[candidate] === format);
+        return new File([file], file.name, { type: mimeType, lastModified: file.lastModified });
+    }
+
+    static getExtension(name = '') {
+        const dot = name.lastIndexOf('.');
+        return dot >= 0 ? name.slice(dot).toLowerCase() : '';
+    }
+}
+
+ImageFormats.MIME_FORMATS = {
+    'image/heic': 'heic',
+    'image/heif': 'heic',
+    'image/heic-sequence': 'heic',
+    'image/heif-sequence': 'heic',
+    'image/tiff': 'tiff',
+    'image/svg+xml': 'svg',
+    'image/vnd.adobe.photoshop': 'psd',
+    'image/x-photoshop': 'psd',
+    'image/psd': 'psd',
+    'application/x-photoshop': 'psd',
+    'application/photoshop': 'psd',
+    'image/x-adobe-dng': 'raw',
+    'image/x-canon-cr2': 'raw',
+    'image/x-canon-cr3': 'raw',
+    'image/x-nikon-nef': 'raw',
+    'image/x-nikon-nrw': 'raw',
+    'image/x-sony-arw': 'raw',
+    'image/x-fuji-raf': 'raw',
+    'image/x-olympus-orf': 'raw',
+    'image/x-panasonic-rw2': 'raw',
+    'image/x-pentax-pef': 'raw',
+    'image/x-samsung-srw': 'raw'
+};
+
+ImageFormats.EXTENSION_TYPES = {
+    '.heic': 'image/heic',
+    '.heif': 'image/heif',
+    '.hif': 'image/heif',
+    '.tif': 'image/tiff',
+    '.tiff': 'image/tiff',
+    '.svg': 'image/svg+xml',
+    '.psd': 'image/vnd.adobe.photoshop',
+    '.psb': 'image/vnd.adobe.photoshop',
+    '.dng': 'image/x-adobe-dng',
+    '.cr2': 'image/x-canon-cr2',
+    '.cr3': 'image/x-canon-cr3',
+    '.nef': 'image/x-nikon-nef',
+    '.nrw': 'image/x-nikon-nrw',
+    '.arw': 'image/x-sony-arw',
+    '.raf': 'image/x-fuji-raf',
+    '.orf': 'image/x-olympus-orf',
+    '.rw2': 'image/x-panasonic-rw2',
+    '.pef': 'image/x-pentax-pef',
+    '.srw': 'image/x-samsung-srw'
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ImageFormats;
+} else if (typeof window !== 'undefined') {
+    window.ImageFormats = ImageFormats;
+}
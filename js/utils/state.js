@@ -136,6 +136,9 @@ class StateManager {
             if (node.colorAdjustmentsBypassed !== undefined) {
                 serialized.colorAdjustmentsBypassed = node.colorAdjustmentsBypassed;
             }
+            if (node.lut) {
+                serialized.lut = { ...node.lut };
+            }
             
             return serialized;
         } else if (node.type === 'media/video') {
@@ -294,6 +297,9 @@ class StateManager {
             if (nodeData.colorAdjustmentsBypassed !== undefined) {
                 node.colorAdjustmentsBypassed = nodeData.colorAdjustmentsBypassed;
             }
+            if (nodeData.lut !== undefined) {
+                node.lut = nodeData.lut;
+            }
         } else if (node.type === 'media/video') {
             const oldHash = node.properties.hash;
             const newHash = nodeData.properties.hash;
@@ -364,6 +370,9 @@ class StateManager {
             if (nodeData.colorAdjustmentsBypassed !== undefined) {
                 node.colorAdjustmentsBypassed = nodeData.colorAdjustmentsBypassed;
             }
+            if (nodeData.lut !== undefined) {
+                node.lut = nodeData.lut;
+            }
         }
     }
     
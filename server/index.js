@@ -10,6 +10,19 @@ const sharp = require('sharp');
 const fs = require('fs').promises;
 const crypto = require('crypto');
 const VideoProcessor = require('./src/video/VideoProcessor');
+const CanvasVersionManager = require('./src/versions/CanvasVersionManager');
+const HeadlessExporter = require('./src/export/HeadlessExporter');
+const AuthManager = require('./src/auth/AuthManager');
+const CanvasSearch = require('./src/search/CanvasSearch');
+const { extractMediaMetadata } = require('./src/search/MediaMetadata');
+const { fetchRemoteFile, isAllowedMediaType } = require('./src/import/RemoteFetcher');
+const { detectFormat, normalizeMimeType } = require('./src/image/ImageFormats');
+const { convertImage } = require('./src/image/ImageConverter');
+const { detectAnimatedFile } = require('./src/image/AnimatedImage');
+const { parseCubeLUT } = require('./src/color/CubeLUT');
+const { hasGrade } = require('./src/color/ColorGrade');
+const { bakeGrade } = require('./src/color/GradeBaker');
+const { isValidRole, hasRole } = require('./src/realtime/permissions');
 const { RateLimiterMemory } = require('rate-limiter-flexible');
 
 // Configure Sharp for better concurrent processing
@@ -17,6 +30,12 @@ const { RateLimiterMemory } = require('rate-limiter-flexible');
 sharp.concurrency(4); // Process max 4 images at once
 sharp.cache({ memory: 50, files: 20 }); // Limit cache to 50MB memory, 20 files
 
+// Most frames a single /api/video-frames request may extract
+const MAX_VIDEO_FRAMES = 64;
+
+// Largest LUT_3D_SIZE accepted by /api/luts (65 is the common high-quality export)
+const MAX_LUT_SIZE = 65;
+
 // Create placeholder modules if they don't exist yet
 let Database, CollaborationManager;
 
@@ -93,8 +112,14 @@ class ImageCanvasServer {
         });
         
         this.port = process.env.PORT || 3000;
+        // /api/import-url refuses loopback and private addresses unless this is set
+        this.allowPrivateImports = process.env.IMPORT_URL_ALLOW_PRIVATE === 'true';
         this.db = null;
         this.collaborationManager = null;
+        this.versionManager = null;
+        this.canvasSearch = null;
+        this.authManager = null; // Created once the database is ready
+        this.headlessExporter = null; // Created on first export request
         this.videoProcessor = null;
         
         this.setupMiddleware();
@@ -119,6 +144,11 @@ class ImageCanvasServer {
         });
         
         this.app.use(async (req, res, next) => {
+            // Playing videos fetch byte ranges and HLS segments continuously,
+            // so a board full of clips would trip the limit on its own
+            if (req.method === 'GET' && req.path.startsWith('/uploads/')) {
+                return next();
+            }
             try {
                 // Use req.ip || req.connection.remoteAddress as fallback
                 const identifier = req.ip || req.connection.remoteAddress || 'unknown';
@@ -141,7 +171,17 @@ class ImageCanvasServer {
         this.app.use(express.json({ limit: '500mb' }));
         this.app.use(express.urlencoded({ extended: true, limit: '500mb' }));
         
-        // Static files
+        // Identify the user from their session token (Authorization: Bearer <token>)
+        this.app.use((req, res, next) => {
+            if (!this.authManager) return next();
+            this.authManager.requestUser()(req, res, next);
+        });
+        
+        // Static files. express.static answers any upload that exists before the
+        // /uploads routes below run, so upload headers are set first.
+        this.app.use('/uploads', (req, res, next) => {
+            this.setUploadHeaders(req, res).then(() => next(), next);
+        });
         this.app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
         this.app.use('/canvases', express.static(path.join(__dirname, 'canvases')));
         
@@ -192,8 +232,89 @@ class ImageCanvasServer {
             `);
         });
 
+        // Authentication endpoints
+        this.app.post('/auth/guest', async (req, res) => {
+            try {
+                const result = await this.authManager.createGuestSession();
+                res.json({
+                    success: true,
+                    token: result.token,
+                    user: this.authManager.publicUser(result.user)
+                });
+            } catch (error) {
+                console.error('❌ Failed to create guest session:', error);
+                res.status(500).json({ error: 'Failed to create guest session' });
+            }
+        });
+
+        this.app.post('/auth/register', async (req, res) => {
+            try {
+                const { username, password, displayName } = req.body;
+                const result = await this.authManager.register({ username, password, displayName }, req.user);
+                if (!result.success) {
+                    return res.status(result.status).json({ error: result.error });
+                }
+                
+                // An upgraded guest gets a fresh token, retire the guest one
+                if (req.sessionId) {
+                    await this.db.deleteSession(req.sessionId);
+                }
+                
+                res.json({
+                    success: true,
+                    token: result.token,
+                    user: this.authManager.publicUser(result.user)
+                });
+            } catch (error) {
+                console.error('❌ Failed to register:', error);
+                res.status(500).json({ error: 'Failed to register' });
+            }
+        });
+
+        this.app.post('/auth/login', async (req, res) => {
+            try {
+                const { username, password } = req.body;
+                const result = await this.authManager.login({ username, password });
+                if (!result.success) {
+                    return res.status(result.status).json({ error: result.error });
+                }
+                
+                console.log(`🔑 ${result.user.username} logged in`);
+                res.json({
+                    success: true,
+                    token: result.token,
+                    user: this.authManager.publicUser(result.user)
+                });
+            } catch (error) {
+                console.error('❌ Failed to log in:', error);
+                res.status(500).json({ error: 'Failed to log in' });
+            }
+        });
+
+        this.app.post('/auth/logout', this.requireUser, async (req, res) => {
+            try {
+                await this.db.deleteSession(req.sessionId);
+                
+                // Sockets authenticated with this token lose their identity too
+                for (const socket of this.io.of('/').sockets.values()) {
+                    if (socket.data.sessionId === req.sessionId) {
+                        socket.disconnect(true);
+                    }
+                }
+                
+                res.json({ success: true });
+            } catch (error) {
+                console.error('❌ Failed to log out:', error);
+                res.status(500).json({ error: 'Failed to log out' });
+            }
+        });
+
+        this.app.get('/auth/me', this.requireUser, (req, res) => {
+            res.json({ success: true, user: this.authManager.publicUser(req.user) });
+        });
+
         // API upload endpoint for new HTTP upload system
-        this.app.post('/api/upload', this.uploadMiddleware, async (req, res) => {
+        this.app.post('/api/upload', this.requireUser, this.uploadMiddleware, async (req, res) => {
             try {
                 if (!req.file) {
                     return res.status(400).json({ error: 'No file uploaded' });
@@ -203,7 +324,7 @@ class ImageCanvasServer {
                 
                 // Insert file record into database for tracking
                 const canvasId = req.body.canvasId || null;
-                const userId = req.body.userId || 1; // Default to user 1 if not provided
+                const userId = req.user.id;
                 
                 await this.db.run(
                     `INSERT INTO files (filename, original_name, mime_type, size, hash, user_id, canvas_id) 
@@ -212,101 +333,37 @@ class ImageCanvasServer {
                      req.file.size, hash, userId, canvasId]
                 );
                 
+                let metadata = null;
+                let converted = null;
                 try {
-                    // Generate thumbnails for images
-                    if (req.file.mimetype.startsWith('image/')) {
-                        await this.generateThumbnails(req.file.path, req.file.filename);
+                    const animation = await detectAnimatedFile(req.file.path, req.file.mimetype);
+                    
+                    // Generate thumbnails for images, from the web copy if the format needs one
+                    if (req.file.mimetype.startsWith('image/') && !animation) {
+                        const conversion = await this.convertUploadedImage(req.file);
+                        const image = conversion || req.file;
+                        await this.generateThumbnails(image.path, image.filename);
+                        metadata = await this.storeMediaMetadata(req.file, conversion?.metadata);
+                        if (conversion) {
+                            converted = this.convertedImageFields(req.file.filename, req.file.originalname, req.file.mimetype, conversion);
+                        }
                     }
                     
-                    // Process videos
-                    else if (req.file.mimetype.startsWith('video/')) {
-                        console.log(`🎬 Processing video: ${req.file.originalname}`);
-                        
-                        // Check if video needs processing
-                        const needsProcessing = await this.videoProcessor.needsProcessing(req.file.path);
+                    // Process videos, and animated images as looping videos
+                    else if (req.file.mimetype.startsWith('video/') || animation) {
+                        const processing = await this.startVideoProcessing(req.file, animation);
                         
-                        if (needsProcessing) {
-                            const baseFilename = path.parse(req.file.filename).name;
-                            const uploadDir = path.dirname(req.file.path);
-                            
-                            // Emit start event
-                            if (this.io) {
-                                this.io.emit('video_processing_start', {
-                                    filename: req.file.originalname,
-                                    serverFilename: req.file.filename
-                                });
-                            }
-                            
-                            // Process video in the background
-                            this.videoProcessor.processVideo(req.file.path, uploadDir, baseFilename, req.file.originalname)
-                                .then(results => {
-                                    console.log(`✅ Video processing complete for ${req.file.originalname}`);
-                                    
-                                    // Update database with processed formats
-                                    if (results.formats.webm || results.formats.mp4) {
-                                        const formats = Object.keys(results.formats)
-                                            .map(fmt => path.basename(results.formats[fmt]))
-                                            .join(',');
-                                        
-                                        this.db.run(
-                                            `UPDATE files SET processed_formats = ?, processing_status = 'completed', processing_completed_at = CURRENT_TIMESTAMP WHERE filename = ?`,
-                                            [formats, req.file.filename]
-                                        ).catch(err => console.error('Failed to update processed formats:', err));
-                                    }
-                                    
-                                    // Emit completion event
-                                    if (this.io) {
-                                        this.io.emit('video_processing_complete', {
-                                            filename: req.file.originalname,
-                                            serverFilename: req.file.filename,
-                                            formats: Object.keys(results.formats),
-                                            success: true
-                                        });
-                                    }
-                                })
-                                .catch(error => {
-                                    console.error(`❌ Video processing failed for ${req.file.originalname}:`, error);
-                                    
-                                    // Update database with error
-                                    this.db.run(
-                                        `UPDATE files SET processing_status = 'failed', processing_error = ?, processing_completed_at = CURRENT_TIMESTAMP WHERE filename = ?`,
-                                        [error.message, req.file.filename]
-                                    ).catch(err => console.error('Failed to update processing error:', err));
-                                    
-                                    // Emit failure event
-                                    if (this.io) {
-                                        this.io.emit('video_processing_complete', {
-                                            filename: req.file.originalname,
-                                            serverFilename: req.file.filename,
-                                            success: false,
-                                            error: error.message
-                                        });
-                                    }
-                                });
-                            
-                            // Return immediately while processing continues in background
-                            res.json({
-                                success: true,
-                                url: `/uploads/${req.file.filename}`,
-                                hash: hash,
-                                filename: req.file.originalname,
-                                serverFilename: req.file.filename,
-                                size: req.file.size,
-                                processing: true,
-                                message: 'Video is being optimized in the background'
-                            });
-                        } else {
-                            // Video is already optimized, return as-is
-                            res.json({
-                                success: true,
-                                url: `/uploads/${req.file.filename}`,
-                                hash: hash,
-                                filename: req.file.originalname,
-                                serverFilename: req.file.filename,
-                                size: req.file.size,
-                                processing: false
-                            });
-                        }
+                        res.json({
+                            success: true,
+                            url: `/uploads/${req.file.filename}`,
+                            hash: hash,
+                            filename: req.file.originalname,
+                            serverFilename: req.file.filename,
+                            size: req.file.size,
+                            processing,
+                            message: processing ? 'Video is being optimized in the background' : undefined,
+                            ...(animation && this.animatedImageFields(req.file.filename, req.file.originalname, req.file.mimetype, animation))
+                        });
                         return; // Exit early for video processing
                     }
 
@@ -317,7 +374,9 @@ class ImageCanvasServer {
                         hash: hash,
                         filename: req.file.originalname,  // Original filename from user
                         serverFilename: req.file.filename, // Actual filename on server
-                        size: req.file.size
+                        size: req.file.size,
+                        metadata,
+                        ...converted
                     });
 
                 } catch (thumbnailError) {
@@ -348,8 +407,115 @@ class ImageCanvasServer {
             }
         });
 
+        // Import an image or video from a URL. The server fetches it, so sites
+        // that block cross-origin requests still work.
+        this.app.post('/api/import-url', this.requireUser, async (req, res) => {
+            const { url, canvasId } = req.body || {};
+            if (typeof url !== 'string' || !url.trim()) {
+                return res.status(400).json({ error: 'url is required' });
+            }
+            
+            const uploadsDir = path.join(__dirname, 'uploads');
+            const tempPath = path.join(uploadsDir, `.import-${Date.now()}-${Math.random().toString(36).substring(7)}`);
+            let filePath = null;
+            
+            try {
+                await fs.mkdir(uploadsDir, { recursive: true });
+                const remote = await fetchRemoteFile(url.trim(), tempPath, {
+                    allowPrivateHosts: this.allowPrivateImports
+                });
+                
+                // Same bytes were uploaded before - reuse that file and its thumbnails
+                const existing = await this.findFileByHash(remote.hash);
+                if (existing) {
+                    await fs.unlink(tempPath);
+                    const animation = await detectAnimatedFile(path.join(uploadsDir, existing.filename), existing.mime_type);
+                    console.log(`🔗 URL import of ${remote.finalUrl} matches ${existing.filename}`);
+                    return res.json({
+                        success: true,
+                        url: `/uploads/${existing.filename}`,
+                        hash: remote.hash,
+                        filename: existing.original_name || remote.originalName,
+                        serverFilename: existing.filename,
+                        mimeType: existing.mime_type,
+                        size: existing.size,
+                        metadata: existing.metadata ? JSON.parse(existing.metadata) : null,
+                        duplicate: true,
+                        ...(existing.conversion && this.convertedImageFields(
+                            existing.filename, existing.original_name, existing.mime_type, JSON.parse(existing.conversion)
+                        )),
+                        ...(animation && this.animatedImageFields(existing.filename, existing.original_name, existing.mime_type, animation))
+                    });
+                }
+                
+                // Same naming as multer uploads
+                const filename = `${Date.now()}-${Math.random().toString(36).substring(7)}${path.extname(remote.originalName)}`;
+                filePath = path.join(uploadsDir, filename);
+                await fs.rename(tempPath, filePath);
+                
+                const file = {
+                    path: filePath,
+                    filename,
+                    originalname: remote.originalName,
+                    mimetype: remote.mimeType,
+                    size: remote.size
+                };
+                
+                await this.db.run(
+                    `INSERT INTO files (filename, original_name, mime_type, size, hash, user_id, canvas_id) 
+                     VALUES (?, ?, ?, ?, ?, ?, ?)`,
+                    [file.filename, file.originalname, file.mimetype, file.size, remote.hash, req.user.id, canvasId || null]
+                );
+                
+                let metadata = null;
+                let processing = false;
+                let converted = null;
+                const animation = await detectAnimatedFile(file.path, file.mimetype);
+                if (file.mimetype.startsWith('image/') && !animation) {
+                    const conversion = await this.convertUploadedImage(file);
+                    const image = conversion || file;
+                    await this.generateThumbnails(image.path, image.filename);
+                    metadata = await this.storeMediaMetadata(file, conversion?.metadata);
+                    if (conversion) {
+                        converted = this.convertedImageFields(file.filename, file.originalname, file.mimetype, conversion);
+                    }
+                } else {
+                    processing = await this.startVideoProcessing(file, animation);
+                }
+                
+                console.log(`🌐 Imported ${file.originalname} (${file.size} bytes) from ${remote.finalUrl}`);
+                
+                res.json({
+                    success: true,
+                    url: `/uploads/${file.filename}`,
+                    hash: remote.hash,
+                    filename: file.originalname,
+                    serverFilename: file.filename,
+                    mimeType: file.mimetype,
+                    size: file.size,
+                    metadata,
+                    processing,
+                    ...converted,
+                    ...(animation && this.animatedImageFields(file.filename, file.originalname, file.mimetype, animation))
+                });
+            } catch (error) {
+                console.error('URL import error:', error.message);
+                
+                await fs.unlink(tempPath).catch(() => {});
+                if (filePath) {
+                    await fs.unlink(filePath).catch(() => {});
+                }
+                
+                // Errors with a status describe a problem with the URL or the remote file
+                if (error.status) {
+                    return res.status(error.status).json({ error: error.message });
+                }
+                res.status(500).json({ error: 'Import failed', details: error.message });
+            }
+        });
+
         // File upload endpoint (legacy)
-        this.app.post('/upload', this.uploadMiddleware, async (req, res) => {
+        this.app.post('/upload', this.requireUser, this.uploadMiddleware, async (req, res) => {
             try {
                 if (!req.file) {
                     return res.status(400).json({ error: 'No file uploaded' });
@@ -373,7 +539,7 @@ class ImageCanvasServer {
                 };
 
                 // Insert file record into database for tracking
-                const userId = parsedNodeData.uploaderUserId || 1; // Default to user 1 if not provided
+                const userId = req.user.id;
                 await this.db.run(
                     `INSERT INTO files (filename, original_name, mime_type, size, hash, user_id, canvas_id) 
                      VALUES (?, ?, ?, ?, ?, ?, ?)`,
@@ -385,6 +551,7 @@ class ImageCanvasServer {
                     // Generate thumbnails for images
                     if (req.file.mimetype.startsWith('image/')) {
                         await this.generateThumbnails(req.file.path, req.file.filename);
+                        fileInfo.metadata = await this.storeMediaMetadata(req.file);
                     }
                 } catch (thumbnailError) {
                     // If thumbnail generation fails, clean up the uploaded file
@@ -404,11 +571,11 @@ class ImageCanvasServer {
                 let uploaderSocketId = parsedNodeData.uploaderSocketId || null;
                 
                 // If not provided, try to find it from user ID
-                if (!uploaderSocketId && this.collaborationManager && parsedNodeData.uploaderUserId) {
+                if (!uploaderSocketId && this.collaborationManager) {
                     try {
                         // Find the socket for this user
                         for (const [socketId, session] of this.collaborationManager.socketSessions) {
-                            if (session.userId === parsedNodeData.uploaderUserId && session.canvasId === parseInt(canvasId)) {
+                            if (session.userId === userId && session.canvasId === parseInt(canvasId)) {
                                 uploaderSocketId = socketId;
                                 break;
                             }
@@ -463,21 +630,20 @@ class ImageCanvasServer {
             }
         });
 
-        // Serve uploaded files with proper CORS headers
+        // Serve uploaded files with proper CORS headers. sendFile answers
+        // Range requests with 206 partial content, so videos stream and seek
+        // without downloading the whole file.
         this.app.get('/uploads/:filename', async (req, res) => {
             const filename = req.params.filename;
             const filepath = path.join(__dirname, 'uploads', filename);
             
-            // Set CORS headers
-            res.setHeader('Access-Control-Allow-Origin', '*');
-            res.setHeader('Access-Control-Allow-Methods', 'GET');
-            res.setHeader('Cross-Origin-Resource-Policy', 'cross-origin');
-            
             // Check if this is a video file that might have processed formats
             const fileExt = path.extname(filename).toLowerCase();
             const videoExtensions = ['.mp4', '.webm', '.mov', '.avi', '.mkv', '.m4v'];
             
             if (videoExtensions.includes(fileExt)) {
+                // The file sent depends on Accept, so caches must keep them apart
+                res.setHeader('Vary', 'Accept');
                 try {
                     // Check if we have processed formats available
                     const fileRecord = await this.db.get(
@@ -530,13 +696,23 @@ class ImageCanvasServer {
             res.sendFile(filepath);
         });
 
+        // HLS playlists and segments of video renditions (VideoProcessor._createRenditions)
+        this.app.get('/uploads/hls/:base/:file', (req, res) => {
+            const { base, file } = req.params;
+            if (base.startsWith('.') || file.startsWith('.')) {
+                return res.status(400).json({ error: 'Invalid path' });
+            }
+            
+            res.sendFile(path.join(__dirname, 'uploads', 'hls', base, file));
+        });
+
         // Check video processing status
         this.app.get('/api/video-status/:filename', async (req, res) => {
             try {
                 const { filename } = req.params;
                 
                 const fileRecord = await this.db.get(
-                    `SELECT processing_status, processed_formats, processing_error 
+                    `SELECT processing_status, processed_formats, processing_error, renditions 
                      FROM files WHERE filename = ?`,
                     [filename]
                 );
@@ -545,9 +721,12 @@ class ImageCanvasServer {
                     return res.status(404).json({ error: 'File not found' });
                 }
                 
+                const renditions = fileRecord.renditions ? JSON.parse(fileRecord.renditions) : [];
                 res.json({
                     status: fileRecord.processing_status || 'unknown',
                     formats: fileRecord.processed_formats ? fileRecord.processed_formats.split(',') : [],
+                    renditions,
+                    hlsUrl: renditions.length > 0 ? `/uploads/hls/${path.parse(filename).name}/master.m3u8` : null,
                     error: fileRecord.processing_error
                 });
             } catch (error) {
@@ -555,7 +734,275 @@ class ImageCanvasServer {
                 res.status(500).json({ error: 'Failed to check video status' });
             }
         });
-        
+
+        // Extract frames from an uploaded video and store them as images.
+        // Either a single `time`, or `count` frames spread evenly over start-end.
+        this.app.post('/api/video-frames', this.requireUser, async (req, res) => {
+            const { serverFilename, hash, canvasId, time, count, start, end } = req.body || {};
+            const isNumber = value => typeof value === 'number' && Number.isFinite(value) && value >= 0;
+
+            if (!serverFilename && !hash) {
+                return res.status(400).json({ error: 'serverFilename or hash is required' });
+            }
+            if (!canvasId) {
+                return res.status(400).json({ error: 'canvasId is required' });
+            }
+            if (count !== undefined) {
+                if (!Number.isInteger(count) || count < 2 || count > MAX_VIDEO_FRAMES) {
+                    return res.status(400).json({ error: `count must be an integer from 2 to ${MAX_VIDEO_FRAMES}` });
+                }
+                if ((start !== undefined && !isNumber(start)) || (end !== undefined && !isNumber(end))) {
+                    return res.status(400).json({ error: 'start and end must be non-negative numbers' });
+                }
+            } else if (!isNumber(time)) {
+                return res.status(400).json({ error: 'time must be a non-negative number' });
+            }
+
+            const uploadsDir = path.join(__dirname, 'uploads');
+            let extracted = [];
+
+            try {
+                // The frames become images on the canvas
+                if (!await this.authorizeCanvasRequest(req, res, canvasId, 'editor')) {
+                    return;
+                }
+
+                const video = await this.findVideoFile(serverFilename, hash);
+                if (!video) {
+                    return res.status(404).json({ error: 'Video not found' });
+                }
+
+                let times = [time];
+                if (count !== undefined) {
+                    const duration = await this.videoProcessor.getDuration(video.path);
+                    const from = Math.min(start ?? 0, duration);
+                    const to = Math.min(end ?? duration, duration);
+                    if (to <= from) {
+                        return res.status(400).json({ error: 'end must be after start' });
+                    }
+                    // Centre of each of `count` equal slices, so neither end lands on a black frame
+                    const step = (to - from) / count;
+                    times = Array.from({ length: count }, (_, i) => from + (i + 0.5) * step);
+                }
+
+                const baseFilename = `.frames-${Date.now()}-${Math.random().toString(36).substring(7)}`;
+                extracted = await this.videoProcessor.extractFrames(video.path, times, uploadsDir, baseFilename);
+
+                const videoName = path.parse(video.originalName).name;
+                const frames = [];
+                for (const frame of extracted) {
+                    const originalName = `${videoName}_frame_${frame.time.toFixed(3)}s.png`;
+                    const stored = await this.storeGeneratedImage(frame.path, originalName, req.user.id, canvasId);
+                    frames.push({ ...stored, time: frame.time });
+                }
+
+                console.log(`🎞️ Extracted ${frames.length} frame(s) from ${video.originalName}`);
+                res.json({ success: true, frames });
+            } catch (error) {
+                console.error('Frame extraction error:', error.message);
+
+                // storeGeneratedImage moves or removes each frame, so these are only leftovers
+                await Promise.all(extracted.map(frame => fs.unlink(frame.path).catch(() => {})));
+                res.status(500).json({ error: 'Frame extraction failed', details: error.message });
+            }
+        });
+
+        // Color grade presets: the user's own, plus those shared with ?canvasId
+        this.app.get('/api/grade-presets', this.requireUser, async (req, res) => {
+            try {
+                const canvasId = req.query.canvasId ? parseInt(req.query.canvasId) : null;
+
+                if (canvasId && !await this.authorizeCanvasRequest(req, res, canvasId, 'viewer')) {
+                    return;
+                }
+
+                const presets = await this.db.getGradePresets(req.user.id, canvasId);
+                res.json({ success: true, presets: presets.map(preset => this.formatGradePreset(preset)) });
+            } catch (error) {
+                console.error('Failed to list grade presets:', error);
+                res.status(500).json({ error: 'Failed to list grade presets' });
+            }
+        });
+
+        // Save a preset - personal, or shared with everyone on canvasId
+        this.app.post('/api/grade-presets', this.requireUser, async (req, res) => {
+            try {
+                const name = typeof req.body.name === 'string' ? req.body.name.trim() : '';
+                const canvasId = req.body.canvasId ? parseInt(req.body.canvasId) : null;
+                const grade = this.sanitizeGrade(req.body.grade);
+
+                if (!name) {
+                    return res.status(400).json({ error: 'Preset name is required' });
+                }
+                if (!grade) {
+                    return res.status(400).json({ error: 'Preset grade is missing or invalid' });
+                }
+
+                if (canvasId && !await this.authorizeCanvasRequest(req, res, canvasId, 'editor')) {
+                    return;
+                }
+
+                const preset = await this.db.createGradePreset({ userId: req.user.id, canvasId, name, grade });
+
+                if (canvasId) {
+                    this.io.to(`canvas_${canvasId}`).emit('grade_presets_updated', { canvasId });
+                }
+
+                res.json({ success: true, preset: this.formatGradePreset(preset) });
+            } catch (error) {
+                console.error('Failed to save grade preset:', error);
+                res.status(500).json({ error: 'Failed to save grade preset' });
+            }
+        });
+
+        this.app.delete('/api/grade-presets/:id', this.requireUser, async (req, res) => {
+            try {
+                const preset = await this.db.getGradePreset(parseInt(req.params.id));
+                if (!preset) {
+                    return res.status(404).json({ error: 'Preset not found' });
+                }
+
+                // Shared presets belong to the canvas, personal ones to their owner
+                if (preset.canvas_id) {
+                    if (!await this.authorizeCanvasRequest(req, res, preset.canvas_id, 'editor')) {
+                        return;
+                    }
+                } else if (preset.user_id !== req.user.id) {
+                    return res.status(403).json({ error: 'Only the owner can delete this preset' });
+                }
+
+                await this.db.deleteGradePreset(preset.id);
+
+                if (preset.canvas_id) {
+                    this.io.to(`canvas_${preset.canvas_id}`).emit('grade_presets_updated', { canvasId: preset.canvas_id });
+                }
+
+                res.json({ success: true });
+            } catch (error) {
+                console.error('Failed to delete grade preset:', error);
+                res.status(500).json({ error: 'Failed to delete grade preset' });
+            }
+        });
+
+        // Store a .cube 3D LUT. Files are named by content hash, so importing
+        // the same LUT twice (or on another canvas) reuses one copy.
+        this.app.post('/api/luts', this.requireUser, async (req, res) => {
+            const { name, content } = req.body || {};
+
+            if (typeof content !== 'string' || !content) {
+                return res.status(400).json({ error: 'LUT content is required' });
+            }
+
+            let lut;
+            try {
+                lut = parseCubeLUT(content, { maxSize: MAX_LUT_SIZE });
+            } catch (error) {
+                return res.status(400).json({ error: 'Invalid .cube file', details: error.message });
+            }
+
+            try {
+                const hash = crypto.createHash('sha256').update(content).digest('hex');
+                const lutsDir = path.join(__dirname, 'uploads', 'luts');
+                const lutPath = path.join(lutsDir, `${hash}.cube`);
+
+                await fs.mkdir(lutsDir, { recursive: true });
+                try {
+                    await fs.access(lutPath);
+                } catch {
+                    await fs.writeFile(lutPath, content);
+                    console.log(`🎨 Stored ${lut.size}³ LUT ${hash.substring(0, 8)}`);
+                }
+
+                res.json({
+                    success: true,
+                    lut: {
+                        hash,
+                        name: (typeof name === 'string' && name.trim()) || lut.title || 'LUT',
+                        size: lut.size
+                    }
+                });
+            } catch (error) {
+                console.error('Failed to store LUT:', error);
+                res.status(500).json({ error: 'Failed to store LUT', details: error.message });
+            }
+        });
+
+        this.app.get('/api/luts/:hash', (req, res) => {
+            const { hash } = req.params;
+            if (!/^[a-f0-9]{64}$/.test(hash)) {
+                return res.status(400).json({ error: 'Invalid LUT hash' });
+            }
+
+            this.setMediaHeaders(res);
+            res.type('text/plain');
+            res.sendFile(path.join(__dirname, 'uploads', 'luts', `${hash}.cube`), error => {
+                if (error && !res.headersSent) {
+                    res.status(404).json({ error: 'LUT not found' });
+                }
+            });
+        });
+
+        // Render an image's grade, crop and flips into a new full-resolution file
+        this.app.post('/api/bake-grade', this.requireUser, async (req, res) => {
+            const { serverFilename, hash, canvasId } = req.body || {};
+            const grade = this.sanitizeGrade(req.body?.grade) || {};
+            const crop = req.body?.crop || null;
+            const flipH = !!req.body?.flipH;
+            const flipV = !!req.body?.flipV;
+
+            if (!serverFilename && !hash) {
+                return res.status(400).json({ error: 'serverFilename or hash is required' });
+            }
+            if (crop && !(['x', 'y', 'w', 'h'].every(key => Number.isFinite(crop[key]) && crop[key] >= 0 && crop[key] <= 1) &&
+                    crop.w > 0 && crop.h > 0)) {
+                return res.status(400).json({ error: 'crop must be { x, y, w, h } between 0 and 1' });
+            }
+            if (!hasGrade(grade) && !crop && !flipH && !flipV) {
+                return res.status(400).json({ error: 'Nothing to bake - the image has no grade, crop or flip' });
+            }
+            if (!canvasId) {
+                return res.status(400).json({ error: 'canvasId is required' });
+            }
+
+            const tempPath = path.join(__dirname, 'uploads', `.bake-${Date.now()}-${Math.random().toString(36).substring(7)}`);
+
+            try {
+                // The baked image replaces the one on the canvas
+                if (!await this.authorizeCanvasRequest(req, res, canvasId, 'editor')) {
+                    return;
+                }
+
+                const image = await this.findImageFile(serverFilename, hash);
+                if (!image) {
+                    return res.status(404).json({ error: 'Image not found' });
+                }
+
+                let lut = null;
+                if (grade.lut && grade.lut.intensity > 0) {
+                    try {
+                        const content = await fs.readFile(path.join(__dirname, 'uploads', 'luts', `${grade.lut.hash}.cube`), 'utf8');
+                        lut = parseCubeLUT(content, { maxSize: MAX_LUT_SIZE });
+                    } catch (error) {
+                        return res.status(404).json({ error: 'LUT not found', details: grade.lut.name });
+                    }
+                }
+
+                const startTime = Date.now();
+                const baked = await bakeGrade(image.path, tempPath, { grade, lut, crop, flipH, flipV });
+
+                const baseName = path.parse(image.originalName).name;
+                const extension = baked.format === 'png' ? 'png' : 'jpg';
+                const stored = await this.storeGeneratedImage(tempPath, `${baseName}_graded.${extension}`, req.user.id, canvasId, baked.mimeType);
+
+                console.log(`🎨 Baked grade into ${stored.serverFilename} (${baked.width}x${baked.height}) in ${Date.now() - startTime}ms`);
+                res.json({ success: true, image: stored });
+            } catch (error) {
+                console.error('Grade bake error:', error.message);
+                await fs.unlink(tempPath).catch(() => {});
+                res.status(500).json({ error: 'Baking the grade failed', details: error.message });
+            }
+        });
+
         // Serve thumbnails with proper CORS headers
         this.app.get('/thumbnails/:size/:filename', (req, res) => {
             const { size, filename } = req.params;
@@ -590,7 +1037,9 @@ class ImageCanvasServer {
                     });
                 }
                 
-                const filePath = path.join(__dirname, 'uploads', file.filename);
+                // Converted formats are thumbnailed from their web copy
+                const sourceName = file.conversion ? JSON.parse(file.conversion).filename : file.filename;
+                const filePath = path.join(__dirname, 'uploads', sourceName);
                 
                 // Check if file exists on disk
                 try {
@@ -636,7 +1085,14 @@ class ImageCanvasServer {
                 res.setHeader('Pragma', 'no-cache');
                 res.setHeader('Expires', '0');
                 
-                const canvases = await this.db.getAllCanvases();
+                // Only canvases the caller can open
+                const userId = await this.getRequestUserId(req);
+                const canvases = [];
+                for (const canvas of await this.db.getAllCanvases()) {
+                    if (await this.db.getUserCanvasRole(userId, canvas.id)) {
+                        canvases.push(canvas);
+                    }
+                }
                 console.log(`Fetched ${canvases.length} canvases from database`);
                 res.json(canvases);
             } catch (error) {
@@ -645,13 +1101,13 @@ class ImageCanvasServer {
             }
         });
 
-        this.app.post('/canvases', async (req, res) => {
+        this.app.post('/canvases', this.requireUser, async (req, res) => {
             try {
-                const { name, description, ownerId } = req.body;
+                const { name, description } = req.body;
                 
                 // Validate input
-                if (!name || !ownerId) {
-                    return res.status(400).json({ error: 'Name and ownerId are required' });
+                if (!name) {
+                    return res.status(400).json({ error: 'Name is required' });
                 }
                 
                 // Check if database is initialized
@@ -660,15 +1116,8 @@ class ImageCanvasServer {
                     return res.status(500).json({ error: 'Database not initialized' });
                 }
                 
-                // Get or create user by username
-                let user = await this.db.getUserByUsername(ownerId);
-                if (!user) {
-                    
-                    const userId = await this.db.createUser(ownerId, ownerId);
-                    user = await this.db.getUser(userId);
-                }
-                
-                const canvasId = await this.db.createCanvas(name, description, user.id);
+                // The signed-in user owns the canvas
+                const canvasId = await this.db.createCanvas(name, description, req.user.id);
                 
                 const canvas = await this.db.getCanvas(canvasId);
                 
@@ -687,6 +1136,10 @@ class ImageCanvasServer {
         this.app.get('/canvases/:id/state', async (req, res) => {
             try {
                 const canvasId = parseInt(req.params.id);
+                if (!await this.authorizeCanvasRequest(req, res, canvasId, 'viewer')) {
+                    return;
+                }
+                
                 const canvas = await this.db.get(
                     'SELECT canvas_data FROM canvases WHERE id = ?',
                     [canvasId]
@@ -718,6 +1171,10 @@ class ImageCanvasServer {
                     return res.status(400).json({ error: 'Canvas data required' });
                 }
                 
+                if (!await this.authorizeCanvasRequest(req, res, canvasId, 'editor')) {
+                    return;
+                }
+                
                 await this.db.run(
                     'UPDATE canvases SET canvas_data = ?, last_modified = CURRENT_TIMESTAMP WHERE id = ?',
                     [JSON.stringify(canvasData), canvasId]
@@ -726,7 +1183,7 @@ class ImageCanvasServer {
                 // Broadcast canvas update to other users in the canvas
                 this.io.to(`canvas_${canvasId}`).emit('canvas_saved', {
                     canvasId,
-                    savedBy: req.body.userId || 'unknown',
+                    savedBy: req.user ? req.user.id : 'unknown',
                     timestamp: new Date().toISOString()
                 });
                 
@@ -752,6 +1209,10 @@ class ImageCanvasServer {
                     return res.status(400).json({ error: 'Invalid navigation state format' });
                 }
                 
+                if (!await this.authorizeCanvasRequest(req, res, canvasId, 'editor')) {
+                    return;
+                }
+                
                 // Get current canvas data
                 const canvas = await this.db.get(
                     'SELECT canvas_data FROM canvases WHERE id = ?',
@@ -810,6 +1271,10 @@ class ImageCanvasServer {
                     return res.status(400).json({ error: 'Invalid navigation state format' });
                 }
                 
+                if (!await this.authorizeCanvasRequest(req, res, canvasId, 'editor')) {
+                    return;
+                }
+                
                 // Get current canvas data
                 const canvas = await this.db.get(
                     'SELECT canvas_data FROM canvases WHERE id = ?',
@@ -856,106 +1321,469 @@ class ImageCanvasServer {
             }
         });
         
-        // Get single canvas
-        this.app.get('/canvases/:id', async (req, res) => {
+        // Get single canvas
+        this.app.get('/canvases/:id', async (req, res) => {
+            try {
+                const canvasId = parseInt(req.params.id);
+                if (!await this.authorizeCanvasRequest(req, res, canvasId, 'viewer')) {
+                    return;
+                }
+                
+                const canvas = await this.db.get(
+                    'SELECT * FROM canvases WHERE id = ?',
+                    [canvasId]
+                );
+                
+                if (!canvas) {
+                    return res.status(404).json({ error: 'Canvas not found' });
+                }
+                
+                res.json(canvas);
+            } catch (error) {
+                console.error('Failed to get canvas:', error);
+                res.status(500).json({ error: 'Failed to get canvas' });
+            }
+        });
+        
+        // Update canvas (rename)
+        this.app.put('/canvases/:id', async (req, res) => {
+            try {
+                const canvasId = parseInt(req.params.id);
+                const { name } = req.body;
+                
+                if (!name || !name.trim()) {
+                    return res.status(400).json({ error: 'Name is required' });
+                }
+                
+                if (!await this.authorizeCanvasRequest(req, res, canvasId, 'editor')) {
+                    return;
+                }
+                
+                await this.db.run(
+                    'UPDATE canvases SET name = ?, last_modified = CURRENT_TIMESTAMP WHERE id = ?',
+                    [name.trim(), canvasId]
+                );
+                
+                const updatedCanvas = await this.db.get(
+                    'SELECT * FROM canvases WHERE id = ?',
+                    [canvasId]
+                );
+                
+                if (!updatedCanvas) {
+                    return res.status(404).json({ error: 'Canvas not found' });
+                }
+                
+                // Broadcast rename to other users in the canvas
+                this.io.to(`canvas_${canvasId}`).emit('canvas_renamed', {
+                    canvasId,
+                    newName: name.trim(),
+                    timestamp: new Date().toISOString()
+                });
+                
+                res.json(updatedCanvas);
+            } catch (error) {
+                console.error('Failed to update canvas:', error);
+                res.status(500).json({ error: 'Failed to update canvas' });
+            }
+        });
+        
+        // Get user's canvases
+        this.app.get('/canvases/user/:userId', this.requireUser, async (req, res) => {
+            try {
+                const userId = parseInt(req.params.userId);
+                if (userId !== req.user.id) {
+                    return res.status(403).json({ error: 'You can only list your own canvases' });
+                }
+                const canvases = await this.db.all(
+                    `SELECT p.*, 
+                            (SELECT COUNT(*) FROM canvas_collaborators WHERE canvas_id = p.id) as collaborator_count
+                     FROM canvases p 
+                     WHERE p.owner_id = ? 
+                        OR EXISTS (SELECT 1 FROM canvas_collaborators pc WHERE pc.canvas_id = p.id AND pc.user_id = ?)
+                     ORDER BY p.last_modified DESC`,
+                    [userId, userId]
+                );
+                res.json(canvases);
+            } catch (error) {
+                console.error('Failed to fetch user canvases:', error);
+                res.status(500).json({ error: 'Failed to fetch canvases' });
+            }
+        });
+        
+        // Delete canvas
+        this.app.delete('/canvases/:id', async (req, res) => {
+            try {
+                const canvasId = parseInt(req.params.id);
+                
+                if (!await this.authorizeCanvasRequest(req, res, canvasId, 'admin')) {
+                    return;
+                }
+                
+                // Delete all related data in the correct order to avoid foreign key violations
+                await this.db.run('DELETE FROM active_sessions WHERE canvas_id = ?', [canvasId]);
+                await this.db.run('DELETE FROM canvas_states WHERE canvas_id = ?', [canvasId]);
+                await this.db.run('DELETE FROM active_transactions WHERE canvas_id = ?', [canvasId]);
+                await this.db.run('DELETE FROM files WHERE canvas_id = ?', [canvasId]);
+                await this.db.run('DELETE FROM operations WHERE canvas_id = ?', [canvasId]);
+                await this.db.run('DELETE FROM canvas_versions WHERE canvas_id = ?', [canvasId]);
+                await this.db.run('DELETE FROM canvas_collaborators WHERE canvas_id = ?', [canvasId]);
+                await this.db.run('DELETE FROM chat_messages WHERE canvas_id = ?', [canvasId]);
+                await this.db.run('DELETE FROM canvases WHERE id = ?', [canvasId]);
+                
+                // Notify connected users
+                this.io.to(`canvas_${canvasId}`).emit('canvas_deleted', { canvasId });
+                
+                res.json({ success: true });
+            } catch (error) {
+                console.error('Failed to delete canvas:', error);
+                res.status(500).json({ error: 'Failed to delete canvas' });
+            }
+        });
+        
+        // Canvas collaborators and roles
+        this.app.get('/canvases/:id/collaborators', async (req, res) => {
+            try {
+                const canvasId = parseInt(req.params.id);
+                
+                const role = await this.authorizeCanvasRequest(req, res, canvasId, 'viewer');
+                if (!role) return;
+                
+                const canvas = await this.db.getCanvas(canvasId);
+                const owner = canvas.owner_id ? await this.db.getUser(canvas.owner_id) : null;
+                const collaborators = await this.db.getCollaborators(canvasId);
+                
+                res.json({
+                    success: true,
+                    role,
+                    legacy: await this.db.isLegacyCanvas(canvasId),
+                    owner: owner ? this.formatCollaborator(owner, 'admin') : null,
+                    collaborators: collaborators.map(c => this.formatCollaborator(c, c.role, c.added_at))
+                });
+            } catch (error) {
+                console.error('Failed to list collaborators:', error);
+                res.status(500).json({ error: 'Failed to list collaborators' });
+            }
+        });
+        
+        // Take ownership of a canvas from before accounts existed, which
+        // nobody could otherwise delete or share
+        this.app.post('/canvases/:id/claim', this.requireUser, async (req, res) => {
+            try {
+                const canvasId = parseInt(req.params.id);
+                
+                if (!req.user.password_hash) {
+                    return res.status(403).json({ error: 'Register an account to claim canvases' });
+                }
+                
+                if (!await this.authorizeCanvasRequest(req, res, canvasId, 'editor')) {
+                    return;
+                }
+                
+                if (!await this.db.isLegacyCanvas(canvasId)) {
+                    return res.status(409).json({ error: 'This canvas already has an owner' });
+                }
+                
+                await this.db.setCanvasOwner(canvasId, req.user.id);
+                await this.onCollaboratorsChanged(canvasId);
+                
+                console.log(`🔑 ${req.user.username} claimed canvas ${canvasId}`);
+                res.json({ success: true, owner: this.formatCollaborator(req.user, 'admin') });
+            } catch (error) {
+                console.error('Failed to claim canvas:', error);
+                res.status(500).json({ error: 'Failed to claim canvas' });
+            }
+        });
+        
+        // Invite a user by username
+        this.app.post('/canvases/:id/collaborators', async (req, res) => {
+            try {
+                const canvasId = parseInt(req.params.id);
+                const username = typeof req.body.username === 'string' ? req.body.username.trim() : '';
+                const role = req.body.role || 'editor';
+                
+                if (!username) {
+                    return res.status(400).json({ error: 'Username is required' });
+                }
+                if (!isValidRole(role)) {
+                    return res.status(400).json({ error: 'Role must be viewer, editor or admin' });
+                }
+                
+                if (!await this.authorizeCanvasRequest(req, res, canvasId, 'admin')) {
+                    return;
+                }
+                
+                // Only registered accounts can be invited - a placeholder account
+                // could be claimed by whoever signs up with that name first
+                const user = await this.db.getUserByUsername(username);
+                if (!user || !user.password_hash) {
+                    return res.status(404).json({ error: `No account named ${username}` });
+                }
+                
+                const canvas = await this.db.getCanvas(canvasId);
+                if (user.id === canvas.owner_id) {
+                    return res.status(400).json({ error: 'The owner already has full access' });
+                }
+                
+                await this.db.addCollaborator(canvasId, user.id, role);
+                await this.onCollaboratorsChanged(canvasId);
+                
+                console.log(`🤝 Invited ${username} to canvas ${canvasId} as ${role}`);
+                res.json({ success: true, collaborator: this.formatCollaborator(user, role) });
+            } catch (error) {
+                console.error('Failed to add collaborator:', error);
+                res.status(500).json({ error: 'Failed to add collaborator' });
+            }
+        });
+        
+        this.app.put('/canvases/:id/collaborators/:userId', async (req, res) => {
+            try {
+                const canvasId = parseInt(req.params.id);
+                const targetUserId = parseInt(req.params.userId);
+                const { role } = req.body;
+                
+                if (!isValidRole(role)) {
+                    return res.status(400).json({ error: 'Role must be viewer, editor or admin' });
+                }
+                
+                if (!await this.authorizeCanvasRequest(req, res, canvasId, 'admin')) {
+                    return;
+                }
+                
+                const existing = await this.db.get(
+                    'SELECT role FROM canvas_collaborators WHERE canvas_id = ? AND user_id = ?',
+                    [canvasId, targetUserId]
+                );
+                if (!existing) {
+                    return res.status(404).json({ error: 'Collaborator not found' });
+                }
+                
+                await this.db.addCollaborator(canvasId, targetUserId, role);
+                await this.onCollaboratorsChanged(canvasId);
+                
+                res.json({ success: true });
+            } catch (error) {
+                console.error('Failed to update collaborator role:', error);
+                res.status(500).json({ error: 'Failed to update collaborator role' });
+            }
+        });
+        
+        this.app.delete('/canvases/:id/collaborators/:userId', async (req, res) => {
+            try {
+                const canvasId = parseInt(req.params.id);
+                const targetUserId = parseInt(req.params.userId);
+                
+                // Anyone can leave a canvas; removing others needs admin
+                const requiredRole = targetUserId === await this.getRequestUserId(req) ? 'viewer' : 'admin';
+                if (!await this.authorizeCanvasRequest(req, res, canvasId, requiredRole)) {
+                    return;
+                }
+                
+                await this.db.removeCollaborator(canvasId, targetUserId);
+                await this.onCollaboratorsChanged(canvasId);
+                
+                res.json({ success: true });
+            } catch (error) {
+                console.error('Failed to remove collaborator:', error);
+                res.status(500).json({ error: 'Failed to remove collaborator' });
+            }
+        });
+        
+        // Canvas versions (named snapshots)
+        this.app.get('/canvases/:id/versions', async (req, res) => {
+            try {
+                const canvasId = parseInt(req.params.id);
+                
+                if (!this.versionManager) {
+                    return res.status(500).json({ error: 'Version manager not initialized' });
+                }
+                
+                if (!await this.authorizeCanvasRequest(req, res, canvasId, 'viewer')) {
+                    return;
+                }
+                
+                const versions = await this.versionManager.listVersions(canvasId);
+                res.json({ success: true, versions });
+            } catch (error) {
+                console.error('Failed to list canvas versions:', error);
+                res.status(500).json({ error: 'Failed to list canvas versions' });
+            }
+        });
+        
+        this.app.post('/canvases/:id/versions', async (req, res) => {
+            try {
+                const canvasId = parseInt(req.params.id);
+                const name = typeof req.body.name === 'string' ? req.body.name.trim() : '';
+                
+                if (!name) {
+                    return res.status(400).json({ error: 'Version name is required' });
+                }
+                
+                if (!this.versionManager) {
+                    return res.status(500).json({ error: 'Version manager not initialized' });
+                }
+                
+                if (!await this.authorizeCanvasRequest(req, res, canvasId, 'editor')) {
+                    return;
+                }
+                
+                const version = await this.versionManager.createVersion(canvasId, {
+                    name,
+                    userId: req.user ? req.user.id : 1
+                });
+                
+                res.json({ success: true, version });
+            } catch (error) {
+                console.error('Failed to create canvas version:', error);
+                res.status(500).json({ error: 'Failed to create canvas version' });
+            }
+        });
+        
+        this.app.get('/canvases/:id/versions/:versionId/diff', async (req, res) => {
+            try {
+                const canvasId = parseInt(req.params.id);
+                const versionId = parseInt(req.params.versionId);
+                
+                if (!this.versionManager) {
+                    return res.status(500).json({ error: 'Version manager not initialized' });
+                }
+                
+                if (!await this.authorizeCanvasRequest(req, res, canvasId, 'viewer')) {
+                    return;
+                }
+                
+                const diff = await this.versionManager.diffVersion(canvasId, versionId);
+                if (!diff) {
+                    return res.status(404).json({ error: 'Version not found' });
+                }
+                
+                res.json({ success: true, diff });
+            } catch (error) {
+                console.error('Failed to diff canvas version:', error);
+                res.status(500).json({ error: 'Failed to diff canvas version' });
+            }
+        });
+        
+        this.app.post('/canvases/:id/versions/:versionId/restore', async (req, res) => {
             try {
                 const canvasId = parseInt(req.params.id);
-                const canvas = await this.db.get(
-                    'SELECT * FROM canvases WHERE id = ?',
-                    [canvasId]
+                const versionId = parseInt(req.params.versionId);
+                
+                if (!this.versionManager) {
+                    return res.status(500).json({ error: 'Version manager not initialized' });
+                }
+                
+                if (!await this.authorizeCanvasRequest(req, res, canvasId, 'editor')) {
+                    return;
+                }
+                
+                const result = await this.versionManager.restoreVersion(
+                    canvasId,
+                    versionId,
+                    req.user ? req.user.id : 1
                 );
                 
-                if (!canvas) {
-                    return res.status(404).json({ error: 'Canvas not found' });
+                if (!result) {
+                    return res.status(404).json({ error: 'Version not found' });
                 }
                 
-                res.json(canvas);
+                res.json({ success: true, ...result });
             } catch (error) {
-                console.error('Failed to get canvas:', error);
-                res.status(500).json({ error: 'Failed to get canvas' });
+                console.error('Failed to restore canvas version:', error);
+                res.status(500).json({ error: 'Failed to restore canvas version' });
             }
         });
         
-        // Update canvas (rename)
-        this.app.put('/canvases/:id', async (req, res) => {
+        this.app.delete('/canvases/:id/versions/:versionId', async (req, res) => {
             try {
                 const canvasId = parseInt(req.params.id);
-                const { name } = req.body;
+                const versionId = parseInt(req.params.versionId);
                 
-                if (!name || !name.trim()) {
-                    return res.status(400).json({ error: 'Name is required' });
+                if (!await this.authorizeCanvasRequest(req, res, canvasId, 'editor')) {
+                    return;
                 }
                 
-                await this.db.run(
-                    'UPDATE canvases SET name = ?, last_modified = CURRENT_TIMESTAMP WHERE id = ?',
-                    [name.trim(), canvasId]
-                );
-                
-                const updatedCanvas = await this.db.get(
-                    'SELECT * FROM canvases WHERE id = ?',
-                    [canvasId]
-                );
-                
-                if (!updatedCanvas) {
-                    return res.status(404).json({ error: 'Canvas not found' });
+                const deleted = await this.db.deleteCanvasVersion(canvasId, versionId);
+                if (!deleted) {
+                    return res.status(404).json({ error: 'Version not found' });
                 }
                 
-                // Broadcast rename to other users in the canvas
-                this.io.to(`canvas_${canvasId}`).emit('canvas_renamed', {
-                    canvasId,
-                    newName: name.trim(),
-                    timestamp: new Date().toISOString()
-                });
+                this.io.to(`canvas_${canvasId}`).emit('canvas_version_deleted', { canvasId, versionId });
                 
-                res.json(updatedCanvas);
+                res.json({ success: true });
             } catch (error) {
-                console.error('Failed to update canvas:', error);
-                res.status(500).json({ error: 'Failed to update canvas' });
+                console.error('Failed to delete canvas version:', error);
+                res.status(500).json({ error: 'Failed to delete canvas version' });
             }
         });
         
-        // Get user's canvases
-        this.app.get('/canvases/user/:userId', async (req, res) => {
+        // Search node text, titles, filenames and media metadata across the user's canvases
+        this.app.get('/search', this.requireUser, async (req, res) => {
             try {
-                const userId = parseInt(req.params.userId);
-                const canvases = await this.db.all(
-                    `SELECT p.*, 
-                            (SELECT COUNT(*) FROM canvas_collaborators WHERE canvas_id = p.id) as collaborator_count
-                     FROM canvases p 
-                     WHERE p.owner_id = ? 
-                        OR EXISTS (SELECT 1 FROM canvas_collaborators pc WHERE pc.canvas_id = p.id AND pc.user_id = ?)
-                     ORDER BY p.last_modified DESC`,
-                    [userId, userId]
-                );
-                res.json(canvases);
+                const query = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+                if (!query) {
+                    return res.status(400).json({ error: 'Search query is required' });
+                }
+                
+                if (!this.canvasSearch) {
+                    return res.status(500).json({ error: 'Search not initialized' });
+                }
+                
+                const limit = parseInt(req.query.limit) || undefined;
+                const { results, canvasCount } = await this.canvasSearch.search(req.user.id, query, { limit });
+                res.json({ success: true, query, results, canvasCount });
             } catch (error) {
-                console.error('Failed to fetch user canvases:', error);
-                res.status(500).json({ error: 'Failed to fetch canvases' });
+                console.error('Failed to search canvases:', error);
+                res.status(500).json({ error: 'Failed to search canvases' });
             }
         });
         
-        // Delete canvas
-        this.app.delete('/canvases/:id', async (req, res) => {
+        // Headless export (renders with the client's CanvasExporter in headless Chrome)
+        this.app.post('/canvases/:id/export', async (req, res) => {
             try {
                 const canvasId = parseInt(req.params.id);
+                const { format = 'png', dpi = 150, padding, background, quality, nodeIds } = req.body;
                 
-                // Delete all related data in the correct order to avoid foreign key violations
-                await this.db.run('DELETE FROM active_sessions WHERE canvas_id = ?', [canvasId]);
-                await this.db.run('DELETE FROM canvas_states WHERE canvas_id = ?', [canvasId]);
-                await this.db.run('DELETE FROM active_transactions WHERE canvas_id = ?', [canvasId]);
-                await this.db.run('DELETE FROM files WHERE canvas_id = ?', [canvasId]);
-                await this.db.run('DELETE FROM operations WHERE canvas_id = ?', [canvasId]);
-                await this.db.run('DELETE FROM canvas_versions WHERE canvas_id = ?', [canvasId]);
-                await this.db.run('DELETE FROM canvas_collaborators WHERE canvas_id = ?', [canvasId]);
-                await this.db.run('DELETE FROM canvases WHERE id = ?', [canvasId]);
+                if (!['png', 'jpeg', 'pdf'].includes(format)) {
+                    return res.status(400).json({ error: 'Format must be png, jpeg or pdf' });
+                }
                 
-                // Notify connected users
-                this.io.to(`canvas_${canvasId}`).emit('canvas_deleted', { canvasId });
+                if (!await this.authorizeCanvasRequest(req, res, canvasId, 'viewer')) {
+                    return;
+                }
                 
-                res.json({ success: true });
+                if (!this.headlessExporter) {
+                    this.headlessExporter = new HeadlessExporter();
+                }
+                
+                // The export page joins the canvas as the requesting user, on a session that ends with the export
+                const authToken = req.user ? await this.authManager.createSession(req.user.id) : null;
+                let result;
+                try {
+                    result = await this.headlessExporter.exportCanvas(canvasId, {
+                        format,
+                        dpi: parseFloat(dpi),
+                        padding,
+                        background,
+                        quality,
+                        authToken,
+                        ...(Array.isArray(nodeIds) ? { scope: 'nodes', nodeIds } : { scope: 'all' })
+                    });
+                } finally {
+                    if (authToken) {
+                        await this.db.deleteSession(this.authManager.hashToken(authToken));
+                    }
+                }
+                
+                res.set({
+                    'Content-Type': result.mimeType,
+                    'Content-Disposition': `attachment; filename="${result.filename}"`,
+                    'X-Export-Width': result.width,
+                    'X-Export-Height': result.height
+                });
+                res.send(result.buffer);
             } catch (error) {
-                console.error('Failed to delete canvas:', error);
-                res.status(500).json({ error: 'Failed to delete canvas' });
+                console.error('Headless export failed:', error);
+                res.status(500).json({ error: 'Export failed', details: error.message });
             }
         });
         
@@ -1240,6 +2068,9 @@ class ImageCanvasServer {
                                     if (params.serverFilename) {
                                         activeFiles.add(params.serverFilename);
                                     }
+                                    if (params.original?.serverFilename) {
+                                        activeFiles.add(params.original.serverFilename);
+                                    }
                                     if (params.nodes && Array.isArray(params.nodes)) {
                                         for (const node of params.nodes) {
                                             if (node.properties) checkParams(node.properties);
@@ -1322,6 +2153,11 @@ class ImageCanvasServer {
                                     addUsedFilename(node.properties.serverFilename);
                                 }
                                 
+                                // Originals kept next to the converted copy (HEIC, TIFF, SVG, PSD, RAW) or the transcoded animation
+                                if (node.properties?.original?.serverFilename) {
+                                    addUsedFilename(node.properties.original.serverFilename);
+                                }
+                                
                                 // 2. Check serverUrl property (MOST COMMON IN ACTIVE STATE)
                                 if (node.properties && node.properties.serverUrl) {
                                     // Extract filename from full URL like "/uploads/filename.jpg"
@@ -1560,12 +2396,16 @@ class ImageCanvasServer {
                     `);
                     
                     // 6. Clean up users who don't own any canvases and aren't collaborators
+                    // (registered accounts and anyone with a live session are kept)
                     userCleanupResult = await this.db.run(`
                         DELETE FROM users 
-                        WHERE id NOT IN (
+                        WHERE password_hash IS NULL
+                        AND id NOT IN (
                             SELECT DISTINCT owner_id FROM canvases
                             UNION
                             SELECT DISTINCT user_id FROM canvas_collaborators
+                            UNION
+                            SELECT DISTINCT user_id FROM sessions
                         )
                     `);
                     
@@ -1701,16 +2541,8 @@ class ImageCanvasServer {
                         const transResult = await this.db.run('DELETE FROM active_transactions');
                         console.log(`✅ Deleted ${transResult.changes || 0} active transactions`);
                         
-                        // Clear canvas versions (keep only latest)
-                        const versionsResult = await this.db.run(`
-                            DELETE FROM canvas_versions 
-                            WHERE id NOT IN (
-                                SELECT MAX(id) 
-                                FROM canvas_versions 
-                                GROUP BY canvas_id
-                            )
-                        `);
-                        console.log(`✅ Deleted ${versionsResult.changes || 0} old canvas versions`);
+                        // Canvas versions are named snapshots created by users - they are
+                        // only removed together with their canvas, never by cleanup
                         
                     } catch (error) {
                         console.error('Failed to delete operations:', error);
@@ -1756,6 +2588,9 @@ class ImageCanvasServer {
                                         if (params.serverFilename) {
                                             activeFiles.add(params.serverFilename);
                                         }
+                                        if (params.original?.serverFilename) {
+                                            activeFiles.add(params.original.serverFilename);
+                                        }
                                         if (params.nodes && Array.isArray(params.nodes)) {
                                             for (const node of params.nodes) {
                                                 if (node.properties) checkParams(node.properties);
@@ -1822,6 +2657,10 @@ class ImageCanvasServer {
                                             addReferencedFile(node.properties.serverFilename);
                                         }
                                         
+                                        if (node.properties.original?.serverFilename) {
+                                            addReferencedFile(node.properties.original.serverFilename);
+                                        }
+                                        
                                         if (node.properties.serverUrl) {
                                             const match = node.properties.serverUrl.match(/\/uploads\/([^?]+)/);
                                             if (match) {
@@ -1902,6 +2741,16 @@ class ImageCanvasServer {
                                         console.error(`  ❌ Failed to delete file: ${file.filename}`, error);
                                     }
                                 }
+                                
+                                // HLS segments of its renditions, unless the transcoded
+                                // file (same base name) is still in use. The rendition
+                                // MP4s go with the disk scan below.
+                                const baseName = path.parse(file.filename).name;
+                                const transcodeInUse = [...referencedFiles].some(ref => path.parse(ref).name === baseName);
+                                if (!transcodeInUse) {
+                                    await fs.rm(path.join(uploadsDir, 'hls', baseName), { recursive: true, force: true })
+                                        .catch(error => console.error(`  ❌ Failed to delete HLS segments for ${file.filename}`, error));
+                                }
                             } catch (error) {
                                 console.error(`Failed to delete file record ${file.id}:`, error);
                             }
@@ -1947,6 +2796,17 @@ class ImageCanvasServer {
                                 }
                             }
                             
+                            // Video renditions (<base>_<name>.mp4) stay while their transcoded file is used
+                            if (!isUsedAnywhere && this.videoProcessor) {
+                                const suffix = this.videoProcessor.config.renditions
+                                    .map(rendition => `_${rendition.name}.mp4`)
+                                    .find(renditionSuffix => diskFile.endsWith(renditionSuffix));
+                                if (suffix) {
+                                    const baseName = diskFile.slice(0, -suffix.length);
+                                    isUsedAnywhere = [...referencedFiles].some(ref => path.parse(ref).name === baseName);
+                                }
+                            }
+                            
                             // IMPORTANT: Never delete video files that might be queued for processing
                             // Check if this is a video file that was recently uploaded
                             if (!isUsedAnywhere && diskFile.match(/\.(mov|mp4|avi|webm)$/i)) {
@@ -2194,6 +3054,9 @@ class ImageCanvasServer {
                     console.log('Deleting canvas_collaborators...');
                     await this.db.run('DELETE FROM canvas_collaborators');
                     
+                    console.log('Deleting chat_messages...');
+                    await this.db.run('DELETE FROM chat_messages');
+                    
                     // Parent table last
                     console.log('Deleting canvases...');
                     const deleteResult = await this.db.run('DELETE FROM canvases');
@@ -2201,6 +3064,9 @@ class ImageCanvasServer {
                     
                     // Delete users table if it exists
                     try {
+                        console.log('Deleting sessions...');
+                        await this.db.run('DELETE FROM sessions');
+                        
                         console.log('Deleting users...');
                         await this.db.run('DELETE FROM users');
                     } catch (e) {
@@ -2400,8 +3266,11 @@ class ImageCanvasServer {
                 fileSize: 500 * 1024 * 1024 // 500MB limit for large videos
             },
             fileFilter: (req, file, cb) => {
+                // RAW and PSD files often arrive without an image/* type
+                file.mimetype = normalizeMimeType(file.mimetype, file.originalname);
+                
                 // Allow images and videos
-                if (file.mimetype.startsWith('image/') || file.mimetype.startsWith('video/')) {
+                if (isAllowedMediaType(file.mimetype)) {
                     cb(null, true);
                 } else {
                     cb(new Error('Only image and video files are allowed'));
@@ -2410,6 +3279,422 @@ class ImageCanvasServer {
         }).single('file');
     }
 
+    /**
+     * Start optimizing an uploaded video in the background if it needs it.
+     * Progress is announced with video_processing_start/complete events.
+     * @param {Object} [animation] - Set for animated GIF/WebP/APNG images, which always
+     *   need transcoding (AnimatedImage.detectAnimation)
+     * @returns {boolean} Whether processing was started
+     */
+    async startVideoProcessing(file, animation = null) {
+        console.log(`🎬 Processing ${animation ? `animated ${animation.format}` : 'video'}: ${file.originalname}`);
+        
+        // Check if video needs processing
+        const needsProcessing = !!animation || await this.videoProcessor.needsProcessing(file.path);
+        if (!needsProcessing) {
+            return false;
+        }
+        
+        const baseFilename = path.parse(file.filename).name;
+        const uploadDir = path.dirname(file.path);
+        
+        // Emit start event
+        if (this.io) {
+            this.io.emit('video_processing_start', {
+                filename: file.originalname,
+                serverFilename: file.filename
+            });
+        }
+        
+        // Process video in the background
+        this.videoProcessor.processVideo(file.path, uploadDir, baseFilename, file.originalname, { animation })
+            .then(results => {
+                console.log(`✅ Video processing complete for ${file.originalname}`);
+                
+                const renditions = this.describeRenditions(results.renditions);
+                
+                // Update database with processed formats. Web-ready uploads
+                // only get renditions and are served as they are.
+                if (results.formats.webm || results.formats.mp4 || renditions.length > 0) {
+                    const formats = Object.keys(results.formats)
+                        .map(fmt => path.basename(results.formats[fmt]))
+                        .join(',') || null;
+                    
+                    this.db.run(
+                        `UPDATE files SET processed_formats = ?, renditions = ?, processing_status = 'completed', processing_completed_at = CURRENT_TIMESTAMP WHERE filename = ?`,
+                        [formats, JSON.stringify(renditions), file.filename]
+                    ).catch(err => console.error('Failed to update processed formats:', err));
+                }
+                
+                // Emit completion event
+                if (this.io) {
+                    this.io.emit('video_processing_complete', {
+                        filename: file.originalname,
+                        serverFilename: file.filename,
+                        formats: Object.keys(results.formats),
+                        renditions,
+                        success: true
+                    });
+                }
+            })
+            .catch(error => {
+                console.error(`❌ Video processing failed for ${file.originalname}:`, error);
+                
+                // Update database with error
+                this.db.run(
+                    `UPDATE files SET processing_status = 'failed', processing_error = ?, processing_completed_at = CURRENT_TIMESTAMP WHERE filename = ?`,
+                    [error.message, file.filename]
+                ).catch(err => console.error('Failed to update processing error:', err));
+                
+                // Emit failure event
+                if (this.io) {
+                    this.io.emit('video_processing_complete', {
+                        filename: file.originalname,
+                        serverFilename: file.filename,
+                        success: false,
+                        error: error.message
+                    });
+                }
+            });
+        
+        return true;
+    }
+    
+    /**
+     * Public form of VideoProcessor renditions, as stored with the file and
+     * sent to clients: { name, width, height, bandwidth, url, hlsUrl }
+     */
+    describeRenditions(renditions = []) {
+        return renditions.map(rendition => ({
+            name: rendition.name,
+            width: rendition.width,
+            height: rendition.height,
+            bandwidth: rendition.bandwidth,
+            url: `/uploads/${path.basename(rendition.path)}`,
+            hlsUrl: `/uploads/hls/${path.basename(path.dirname(rendition.playlistPath))}/${path.basename(rendition.playlistPath)}`
+        }));
+    }
+    
+    /**
+     * CORS, content type, download and content security headers for a file
+     * under /uploads
+     */
+    async setUploadHeaders(req, res) {
+        const filename = path.basename(req.path);
+        this.setMediaHeaders(res);
+
+        // HLS playlists and segments of video renditions (VideoProcessor._createRenditions)
+        if (filename.endsWith('.m3u8')) {
+            res.type('application/vnd.apple.mpegurl');
+        } else if (filename.endsWith('.ts')) {
+            res.type('video/mp2t');
+        }
+
+        // Uploaded SVGs can carry scripts - they only ever render as images
+        if (path.extname(filename).toLowerCase() === '.svg') {
+            res.setHeader('Content-Security-Policy', "default-src 'none'; style-src 'unsafe-inline'; img-src data:");
+        }
+
+        // "Download original" in the properties panel (the page is usually on
+        // another origin, where the download attribute is ignored). Stored
+        // HEIC, TIFF, SVG, PSD and RAW originals are never shown inline.
+        if (req.query.download || detectFormat('', filename)) {
+            const record = await this.db.get('SELECT original_name FROM files WHERE filename = ?', [filename]).catch(() => null);
+            res.attachment(record?.original_name || filename);
+        }
+    }
+
+    /**
+     * CORS and range headers for media under /uploads
+     */
+    setMediaHeaders(res) {
+        res.setHeader('Access-Control-Allow-Origin', '*');
+        res.setHeader('Access-Control-Allow-Methods', 'GET');
+        res.setHeader('Access-Control-Allow-Headers', 'Range');
+        res.setHeader('Access-Control-Expose-Headers', 'Accept-Ranges, Content-Range, Content-Length');
+        res.setHeader('Cross-Origin-Resource-Policy', 'cross-origin');
+    }
+
+    /**
+     * Keep only the color correction fields of a grade (as stored on image and
+     * video nodes). Returns null if nothing usable is left.
+     */
+    sanitizeGrade(grade) {
+        if (!grade || typeof grade !== 'object' || Array.isArray(grade)) {
+            return null;
+        }
+
+        const isObject = value => value && typeof value === 'object' && !Array.isArray(value);
+        const result = {};
+
+        if (isObject(grade.adjustments)) {
+            result.adjustments = Object.fromEntries(
+                ['brightness', 'contrast', 'saturation', 'hue', 'temperature', 'tint']
+                    .filter(key => Number.isFinite(grade.adjustments[key]))
+                    .map(key => [key, grade.adjustments[key]])
+            );
+        }
+        if (isObject(grade.toneCurve) || grade.toneCurve === null) {
+            result.toneCurve = grade.toneCurve;
+        }
+        if (isObject(grade.colorBalance) || grade.colorBalance === null) {
+            result.colorBalance = grade.colorBalance;
+        }
+        if (isObject(grade.lut) && /^[a-f0-9]{64}$/.test(grade.lut.hash)) {
+            result.lut = {
+                hash: grade.lut.hash,
+                name: String(grade.lut.name || 'LUT'),
+                intensity: Number.isFinite(grade.lut.intensity) ? Math.min(1, Math.max(0, grade.lut.intensity)) : 1
+            };
+        } else if (grade.lut === null) {
+            result.lut = null;
+        }
+        for (const flag of ['toneCurveBypassed', 'colorAdjustmentsBypassed', 'colorBalanceBypassed']) {
+            if (typeof grade[flag] === 'boolean') {
+                result[flag] = grade[flag];
+            }
+        }
+
+        return Object.keys(result).length > 0 ? result : null;
+    }
+
+    formatGradePreset(preset) {
+        return {
+            id: preset.id,
+            name: preset.name,
+            grade: preset.grade,
+            canvasId: preset.canvas_id,
+            shared: !!preset.canvas_id,
+            userId: preset.user_id,
+            author: preset.display_name || preset.username,
+            createdAt: preset.created_at
+        };
+    }
+    
+    /**
+     * Write the web copy of an uploaded HEIC, TIFF, SVG, PSD or camera RAW
+     * image next to it and record it with the file. The upload itself is
+     * kept as the original.
+     * @returns {Object|null} { filename, path, width, height, mimeType, format, pages, metadata },
+     *          null for images browsers display as they are
+     */
+    async convertUploadedImage(file) {
+        const format = detectFormat(file.mimetype, file.originalname);
+        if (!format) return null;
+
+        const outputBase = path.join(path.dirname(file.path), path.parse(file.filename).name);
+        const converted = await convertImage(file.path, format, outputBase);
+        const conversion = {
+            filename: converted.filename,
+            width: converted.width,
+            height: converted.height,
+            mimeType: converted.mimeType,
+            format,
+            pages: converted.pages
+        };
+
+        await this.db.run(
+            'UPDATE files SET processed_formats = ?, conversion = ? WHERE filename = ?',
+            [converted.filename, JSON.stringify(conversion), file.filename]
+        );
+
+        console.log(`🖼️ Converted ${file.originalname} (${format}) to ${converted.filename}, ${converted.width}x${converted.height}`);
+        return { ...conversion, path: converted.path, metadata: converted.metadata };
+    }
+
+    /**
+     * Upload response fields for a converted image: nodes show the web copy
+     * and keep the original for download and export
+     */
+    convertedImageFields(filename, originalName, mimeType, conversion) {
+        return {
+            url: `/uploads/${conversion.filename}`,
+            serverFilename: conversion.filename,
+            width: conversion.width,
+            height: conversion.height,
+            original: {
+                url: `/uploads/${filename}`,
+                serverFilename: filename,
+                filename: originalName,
+                mimeType,
+                format: conversion.format,
+                pages: conversion.pages
+            }
+        };
+    }
+    
+    /**
+     * Upload response fields for an animated image: the node plays the
+     * transcoded video and keeps the image for download and export
+     */
+    animatedImageFields(filename, originalName, mimeType, animation) {
+        return {
+            animated: true,
+            original: {
+                url: `/uploads/${filename}`,
+                serverFilename: filename,
+                filename: originalName,
+                mimeType,
+                format: animation.format,
+                frames: animation.frames
+            }
+        };
+    }
+    
+    /**
+     * An earlier upload with the same content, if its file is still on disk
+     */
+    async findFileByHash(hash) {
+        const existing = await this.db.get(
+            'SELECT filename, original_name, mime_type, size, metadata, conversion FROM files WHERE hash = ? ORDER BY id LIMIT 1',
+            [hash]
+        );
+        if (!existing) return null;
+        
+        try {
+            await fs.access(path.join(__dirname, 'uploads', existing.filename));
+            return existing;
+        } catch (error) {
+            return null;
+        }
+    }
+    
+    /**
+     * Extract searchable EXIF/IPTC fields from an uploaded image and keep them
+     * with its file record
+     * @param {Object} metadata - Already extracted fields, e.g. by ImageConverter for RAW files
+     * @returns {Object|null} The metadata, null if the image has none
+     */
+    async storeMediaMetadata(file, metadata) {
+        if (metadata === undefined) {
+            metadata = await extractMediaMetadata(file.path);
+        }
+        if (metadata) {
+            await this.db.run(
+                'UPDATE files SET metadata = ? WHERE filename = ?',
+                [JSON.stringify(metadata), file.filename]
+            );
+        }
+        return metadata;
+    }
+
+    /**
+     * Resolve an uploaded video to a readable file. The transcoded copy is
+     * preferred, since the original is deleted once processing completes.
+     * Only files recorded as uploads are resolved.
+     * @returns {{path: string, originalName: string}|null}
+     */
+    async findVideoFile(serverFilename, hash) {
+        const uploadsDir = path.join(__dirname, 'uploads');
+        const filename = serverFilename ? path.basename(serverFilename) : null;
+        const record = filename
+            ? await this.db.get('SELECT filename, original_name, processed_formats FROM files WHERE filename = ?', [filename])
+            : await this.db.get('SELECT filename, original_name, processed_formats FROM files WHERE hash = ? ORDER BY id LIMIT 1', [hash]);
+
+        if (!record) return null;
+
+        const candidates = [...(record.processed_formats ? record.processed_formats.split(',') : []), record.filename];
+        for (const candidate of candidates) {
+            const candidatePath = path.join(uploadsDir, candidate);
+            try {
+                await fs.access(candidatePath);
+                return { path: candidatePath, originalName: record.original_name };
+            } catch (error) {
+                // Try the next candidate
+            }
+        }
+        return null;
+    }
+
+    /**
+     * An uploaded image as a file sharp can read, by server filename or
+     * content hash - the web copy for converted formats, else the upload
+     * @returns {Promise<{path: string, originalName: string}|null>}
+     */
+    async findImageFile(serverFilename, hash) {
+        const filename = serverFilename ? path.basename(serverFilename) : null;
+        const record = filename
+            ? await this.db.get(
+                'SELECT filename, original_name, conversion FROM files WHERE filename = ? OR (conversion IS NOT NULL AND processed_formats = ?)',
+                [filename, filename]
+            )
+            : await this.findFileByHash(hash);
+        if (!record) return null;
+
+        const readable = record.conversion ? JSON.parse(record.conversion).filename : record.filename;
+        const filePath = path.join(__dirname, 'uploads', readable);
+        try {
+            await fs.access(filePath);
+            return { path: filePath, originalName: record.original_name || record.filename };
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Store an image the server produced itself as if it had been uploaded:
+     * a files row, thumbnails and metadata. The file at `tempPath` is moved
+     * into uploads, or removed if the same image is already stored.
+     * @returns {Object} The upload response fields for the stored image
+     */
+    async storeGeneratedImage(tempPath, originalName, userId, canvasId, mimeType = 'image/png') {
+        const buffer = await fs.readFile(tempPath);
+        const hash = crypto.createHash('sha256').update(buffer).digest('hex');
+
+        const existing = await this.findFileByHash(hash);
+        if (existing) {
+            await fs.unlink(tempPath);
+            const { width, height } = await sharp(path.join(__dirname, 'uploads', existing.filename)).metadata();
+            return {
+                url: `/uploads/${existing.filename}`,
+                hash,
+                filename: existing.original_name || originalName,
+                serverFilename: existing.filename,
+                mimeType: existing.mime_type,
+                size: existing.size,
+                width,
+                height,
+                metadata: existing.metadata ? JSON.parse(existing.metadata) : null,
+                duplicate: true
+            };
+        }
+
+        // Same naming as multer uploads
+        const filename = `${Date.now()}-${Math.random().toString(36).substring(7)}${path.extname(originalName)}`;
+        const filePath = path.join(__dirname, 'uploads', filename);
+        await fs.rename(tempPath, filePath);
+
+        const file = {
+            path: filePath,
+            filename,
+            originalname: originalName,
+            mimetype: mimeType,
+            size: buffer.length
+        };
+
+        await this.db.run(
+            `INSERT INTO files (filename, original_name, mime_type, size, hash, user_id, canvas_id) 
+             VALUES (?, ?, ?, ?, ?, ?, ?)`,
+            [file.filename, file.originalname, file.mimetype, file.size, hash, userId, canvasId || null]
+        );
+
+        await this.generateThumbnails(file.path, file.filename);
+        const metadata = await this.storeMediaMetadata(file);
+        const { width, height } = await sharp(file.path).metadata();
+
+        return {
+            url: `/uploads/${file.filename}`,
+            hash,
+            filename: file.originalname,
+            serverFilename: file.filename,
+            mimeType: file.mimetype,
+            size: file.size,
+            width,
+            height,
+            metadata
+        };
+    }
+
     async generateThumbnails(filePath, filename, requestedSizes = null) {
         const thumbnailSizes = requestedSizes || [64, 128, 256, 512, 1024, 2048];
         const nameWithoutExt = path.parse(filename).name;
@@ -2492,6 +3777,12 @@ class ImageCanvasServer {
             await this.db.init();
             console.log('✅ Database initialized successfully');
             
+            this.authManager = new AuthManager(this.db);
+            const expiredSessions = await this.db.deleteExpiredSessions();
+            if (expiredSessions > 0) {
+                console.log(`🔑 Removed ${expiredSessions} expired sessions`);
+            }
+            
         } catch (error) {
             console.error('❌ Database initialization failed:', error);
             console.error('Stack trace:', error.stack);
@@ -2559,6 +3850,11 @@ class ImageCanvasServer {
                                 addUsedFilename(node.properties.serverFilename);
                             }
                             
+                            // Originals kept next to the converted copy (HEIC, TIFF, SVG, PSD, RAW) or the transcoded animation
+                            if (node.properties?.original?.serverFilename) {
+                                addUsedFilename(node.properties.original.serverFilename);
+                            }
+                            
                             // 2. Check src property for uploads
                             if (node.properties && node.properties.src) {
                                 const srcMatch = node.properties.src.match(/\/uploads\/(.+)$/);
@@ -2676,7 +3972,12 @@ class ImageCanvasServer {
     
     setupRealtime() {
         try {
+            // Every socket must present a session token - guests get one from /auth/guest
+            this.io.use(this.authManager.socketAuth());
+            
             this.collaborationManager = new CollaborationManager(this.io, this.db);
+            this.versionManager = new CanvasVersionManager(this.db, this.collaborationManager, this.io);
+            this.canvasSearch = new CanvasSearch(this.db, this.collaborationManager);
             
             // Add basic test handlers
             // NOTE: Commenting out to avoid conflicts with CollaborationManager
@@ -2758,6 +4059,10 @@ class ImageCanvasServer {
             clearInterval(this.cleanupInterval);
         }
         
+        if (this.headlessExporter) {
+            await this.headlessExporter.close();
+        }
+        
         if (this.db) {
             await this.db.close();
         }
@@ -2841,6 +4146,68 @@ class ImageCanvasServer {
         }
     }
 
+    /**
+     * Identify the user making a REST request from their session token.
+     * Anything the client puts in the body or query is not trusted.
+     */
+    async getRequestUserId(req) {
+        return req.user ? req.user.id : null;
+    }
+    
+    /**
+     * Route middleware - 401 unless the request carries a valid session token
+     */
+    requireUser(req, res, next) {
+        if (!req.user) {
+            return res.status(401).json({ error: 'Authentication required' });
+        }
+        next();
+    }
+    
+    /**
+     * Check the requesting user has at least requiredRole on a canvas.
+     * Sends 404/403 and returns null when they don't, otherwise returns their role.
+     */
+    async authorizeCanvasRequest(req, res, canvasId, requiredRole) {
+        const canvas = await this.db.getCanvas(canvasId);
+        if (!canvas) {
+            res.status(404).json({ error: 'Canvas not found' });
+            return null;
+        }
+        
+        const role = await this.db.getUserCanvasRole(await this.getRequestUserId(req), canvasId);
+        if (!hasRole(role, requiredRole)) {
+            res.status(403).json({
+                error: `This action requires ${requiredRole} access`,
+                role: role
+            });
+            return null;
+        }
+        
+        return role;
+    }
+    
+    formatCollaborator(user, role, addedAt = null) {
+        return {
+            userId: user.id,
+            username: user.username,
+            displayName: user.display_name || user.username,
+            color: user.color,
+            role,
+            addedAt
+        };
+    }
+    
+    /**
+     * Re-resolve roles for everyone connected to a canvas and tell them
+     */
+    async onCollaboratorsChanged(canvasId) {
+        if (this.collaborationManager?.refreshCanvasRoles) {
+            await this.collaborationManager.refreshCanvasRoles(canvasId);
+        }
+        this.io.to(`canvas_${canvasId}`).emit('canvas_collaborators_updated', { canvasId });
+    }
+    
     /**
      * Validate navigation state structure
      */
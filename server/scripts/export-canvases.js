@@ -0,0 +1,82 @@
+#!/usr/bin/env node
+
+/**
+ * Batch export canvases to PNG/JPEG/PDF without opening the UI
+ *
+ * Usage:
+ *   node server/scripts/export-canvases.js --all --format pdf --dpi 150 --out ./exports
+ *   node server/scripts/export-canvases.js 3 7 12 --format png --dpi 300
+ *
+ * Needs the server (SERVER_URL, default http://localhost:3000) and the client
+ * (EXPORT_CLIENT_URL, default http://localhost:8000) to be running.
+ * Canvases that have collaborators need a session token with access to them
+ * in EXPORT_AUTH_TOKEN (from POST /auth/login).
+ */
+
+const path = require('path');
+const fs = require('fs').promises;
+
+const HeadlessExporter = require('../src/export/HeadlessExporter');
+
+function parseArgs(argv) {
+    const args = { canvasIds: [], all: false, format: 'png', dpi: 150, out: 'exports' };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--all') args.all = true;
+        else if (arg === '--format') args.format = argv[++i];
+        else if (arg === '--dpi') args.dpi = parseFloat(argv[++i]);
+        else if (arg === '--out') args.out = argv[++i];
+        else if (/^\d+$/.test(arg)) args.canvasIds.push(parseInt(arg));
+        else throw new Error(`Unknown argument: ${arg}`);
+    }
+
+    return args;
+}
+
+async function exportCanvases() {
+    const args = parseArgs(process.argv.slice(2));
+    const serverUrl = process.env.SERVER_URL || 'http://localhost:3000';
+    const authToken = process.env.EXPORT_AUTH_TOKEN || null;
+
+    if (!['png', 'jpeg', 'pdf'].includes(args.format)) {
+        throw new Error('Format must be png, jpeg or pdf');
+    }
+
+    let canvasIds = args.canvasIds;
+    if (args.all) {
+        const response = await fetch(`${serverUrl}/canvases`);
+        if (!response.ok) throw new Error(`Failed to list canvases: ${response.status}`);
+        canvasIds = (await response.json()).map(canvas => canvas.id);
+    }
+
+    if (canvasIds.length === 0) {
+        console.log('Nothing to export - pass canvas IDs or --all');
+        return;
+    }
+
+    const outDir = path.resolve(args.out);
+    await fs.mkdir(outDir, { recursive: true });
+
+    console.log(`🖨️ Exporting ${canvasIds.length} canvases as ${args.format.toUpperCase()} @ ${args.dpi} DPI to ${outDir}`);
+
+    const exporter = new HeadlessExporter();
+    try {
+        const results = await exporter.exportCanvases(canvasIds, { format: args.format, dpi: args.dpi, authToken }, async (canvasId, result) => {
+            const filePath = path.join(outDir, `${canvasId}-${result.filename}`);
+            await fs.writeFile(filePath, result.buffer);
+            console.log(`✅ ${filePath}`);
+        });
+
+        const failed = results.filter(r => r.error);
+        console.log(`\n📊 Exported ${results.length - failed.length}/${results.length} canvases`);
+        if (failed.length > 0) process.exitCode = 1;
+    } finally {
+        await exporter.close();
+    }
+}
+
+exportCanvases().catch(error => {
+    console.error('❌ Export failed:', error.message);
+    process.exit(1);
+});
@@ -0,0 +1,221 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+const SESSION_TTL = 30 * 24 * 60 * 60 * 1000; // 30 days
+const SCRYPT_KEY_LENGTH = 64;
+const USERNAME_PATTERN = /^[a-zA-Z0-9_.-]{3,32}$/;
+const MIN_PASSWORD_LENGTH = 8;
+
+/**
+ * AuthManager - Local accounts and session tokens
+ *
+ * Passwords are stored as scrypt hashes in users.password_hash.
+ * Every client holds a session token, including guests (who get a generated
+ * account), so REST requests and socket handshakes always map to a real user.
+ * Only a SHA-256 of each token is stored in the sessions table.
+ */
+class AuthManager {
+    constructor(db) {
+        this.db = db;
+    }
+
+    // ===================================
+    // PASSWORDS
+    // ===================================
+
+    async hashPassword(password) {
+        const salt = crypto.randomBytes(16).toString('hex');
+        const hash = await scrypt(password, salt, SCRYPT_KEY_LENGTH);
+        return `scrypt$${salt}$${hash.toString('hex')}`;
+    }
+
+    async verifyPassword(password, storedHash) {
+        if (!storedHash) return false;
+
+        const [scheme, salt, expected] = storedHash.split('$');
+        if (scheme !== 'scrypt' || !salt || !expected) return false;
+
+        const expectedBuffer = Buffer.from(expected, 'hex');
+        const hash = await scrypt(password, salt, expectedBuffer.length);
+        return crypto.timingSafeEqual(hash, expectedBuffer);
+    }
+
+    validateCredentials(username, password) {
+        if (typeof username !== 'string' || !USERNAME_PATTERN.test(username)) {
+            return 'Username must be 3-32 letters, numbers, dots, dashes or underscores';
+        }
+        if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+            return `Password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+        }
+        return null;
+    }
+
+    // ===================================
+    // SESSIONS
+    // ===================================
+
+    hashToken(token) {
+        return crypto.createHash('sha256').update(token).digest('hex');
+    }
+
+    async createSession(userId) {
+        const token = crypto.randomBytes(32).toString('hex');
+        // Same format as SQLite's datetime('now') so expiry compares as text
+        const expiresAt = new Date(Date.now() + SESSION_TTL).toISOString().replace('T', ' ').slice(0, 19);
+
+        await this.db.createSession(this.hashToken(token), userId, expiresAt);
+        return token;
+    }
+
+    /**
+     * Resolve a session token to its user
+     * @returns {Promise<Object|null>} { user, sessionId } or null when the token is unknown or expired
+     */
+    async authenticate(token) {
+        if (!token || typeof token !== 'string') return null;
+
+        const sessionId = this.hashToken(token);
+        const session = await this.db.getSession(sessionId);
+        if (!session) return null;
+
+        const user = await this.db.getUser(session.user_id);
+        if (!user) return null;
+
+        await this.db.touchSession(sessionId);
+        return { user, sessionId };
+    }
+
+    // ===================================
+    // ACCOUNTS
+    // ===================================
+
+    /**
+     * Start a guest session under a new account. Accounts from before
+     * sessions existed are never handed out here: a username is no proof
+     * that the caller is the browser that used it.
+     */
+    async createGuestSession() {
+        const suffix = crypto.randomBytes(4).toString('hex');
+        const userId = await this.db.createUser(`guest-${suffix}`, `Guest ${suffix.slice(0, 4)}`);
+        await this.db.markUserAsGuest(userId);
+
+        const token = await this.createSession(userId);
+        return { success: true, token, user: await this.db.getUser(userId) };
+    }
+
+    /**
+     * Create an account. A signed-in guest is upgraded in place so their
+     * canvases and collaborator roles carry over.
+     */
+    async register({ username, password, displayName }, currentUser = null) {
+        const validationError = this.validateCredentials(username, password);
+        if (validationError) {
+            return { success: false, status: 400, error: validationError };
+        }
+
+        const existing = await this.db.getUserByUsername(username);
+        if (existing && existing.id !== currentUser?.id) {
+            return { success: false, status: 409, error: 'Username is already taken' };
+        }
+
+        const passwordHash = await this.hashPassword(password);
+        let userId;
+
+        if (currentUser?.is_guest) {
+            userId = currentUser.id;
+        } else {
+            userId = await this.db.createUser(username, displayName);
+        }
+
+        await this.db.updateUserCredentials(userId, {
+            username,
+            displayName: displayName || username,
+            passwordHash
+        });
+
+        console.log(`👤 Registered account ${username} (ID: ${userId})`);
+
+        const token = await this.createSession(userId);
+        return { success: true, token, user: await this.db.getUser(userId) };
+    }
+
+    async login({ username, password }) {
+        const user = typeof username === 'string' ? await this.db.getUserByUsername(username) : null;
+
+        // Same message for unknown users and wrong passwords
+        if (!user || typeof password !== 'string' || !await this.verifyPassword(password, user.password_hash)) {
+            return { success: false, status: 401, error: 'Invalid username or password' };
+        }
+
+        const token = await this.createSession(user.id);
+        return { success: true, token, user };
+    }
+
+    /**
+     * User fields that are safe to send to clients
+     */
+    publicUser(user) {
+        return {
+            id: user.id,
+            username: user.username,
+            displayName: user.display_name || user.username,
+            color: user.color,
+            isGuest: !!user.is_guest,
+            createdAt: user.created_at
+        };
+    }
+
+    // ===================================
+    // MIDDLEWARE
+    // ===================================
+
+    getBearerToken(req) {
+        const header = req.headers.authorization || '';
+        const match = header.match(/^Bearer\s+(\S+)$/i);
+        return match ? match[1] : null;
+    }
+
+    /**
+     * Express middleware - sets req.user/req.sessionId when a valid token is sent.
+     * Routes decide for themselves whether a user is required.
+     */
+    requestUser() {
+        return async (req, res, next) => {
+            try {
+                const auth = await this.authenticate(this.getBearerToken(req));
+                if (auth) {
+                    req.user = auth.user;
+                    req.sessionId = auth.sessionId;
+                }
+                next();
+            } catch (error) {
+                next(error);
+            }
+        };
+    }
+
+    /**
+     * Socket.IO middleware - rejects handshakes without a valid token
+     */
+    socketAuth() {
+        return async (socket, next) => {
+            try {
+                const auth = await this.authenticate(socket.handshake.auth?.token);
+                if (!auth) {
+                    return next(new Error('Authentication required'));
+                }
+
+                socket.data.userId = auth.user.id;
+                socket.data.sessionId = auth.sessionId;
+                next();
+            } catch (error) {
+                console.error('❌ Socket authentication failed:', error);
+                next(new Error('Authentication failed'));
+            }
+        };
+    }
+}
+
+module.exports = AuthManager;
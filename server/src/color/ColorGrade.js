@@ -0,0 +1,317 @@
+/**
+ * CPU port of the color correction in WebGLRenderer's fragment shader, used
+ * to bake a node's grade into a file. Each stage mirrors the shader, in the
+ * same order and without clamping between stages:
+ * tone curve -> color balance -> adjustments -> LUT.
+ *
+ * Keep this in step with js/renderers/WebGLRenderer.js (_initShaders and
+ * _applyNodeUniforms); tests/test-bake-parity.js compares the two.
+ */
+
+const LUMA_601 = [0.299, 0.587, 0.114];
+
+// Rows processed between yields to the event loop
+const ROWS_PER_CHUNK = 64;
+
+/**
+ * Color balance wheel position to an RGB offset (WebGLRenderer._wheelToRGB)
+ */
+function wheelToRGB(x, y) {
+    const distance = Math.sqrt(x * x + y * y);
+    if (distance === 0) return [0, 0, 0];
+
+    const canvasAngle = Math.atan2(y, x) * 180 / Math.PI;
+    let vectorscopeAngle = (90 - canvasAngle) % 360;
+    if (vectorscopeAngle < 0) vectorscopeAngle += 360;
+
+    const angleRad = vectorscopeAngle * Math.PI / 180;
+    const U = Math.sin(angleRad) * 0.5;
+    const V = -Math.cos(angleRad) * 0.5;
+
+    const Y = 0.5;
+    const R = Math.max(0, Math.min(1, Y + 1.14 * V));
+    const G = Math.max(0, Math.min(1, Y - 0.395 * U - 0.581 * V));
+    const B = Math.max(0, Math.min(1, Y + 2.032 * U));
+
+    return [(R - 0.5) * distance, (G - 0.5) * distance, (B - 0.5) * distance];
+}
+
+function smoothstep(edge0, edge1, x) {
+    const t = Math.min(1, Math.max(0, (x - edge0) / (edge1 - edge0)));
+    return t * t * (3 - 2 * t);
+}
+
+function length3(v) {
+    return Math.sqrt(v[0] * v[0] + v[1] * v[1] + v[2] * v[2]);
+}
+
+/**
+ * Resolve a grade ({ adjustments, toneCurve, colorBalance, bypass flags })
+ * into the values the shader receives as uniforms (_applyNodeUniforms)
+ * @param {Object} grade
+ * @param {Object|null} lut - Parsed LUT from parseCubeLUT, if grade.lut is set
+ */
+function prepareGrade(grade, lut = null) {
+    const prepared = {
+        curve: null,
+        balance: null,
+        brightness: 0, contrast: 0, saturation: 0, hue: 0, temperature: 0, tint: 0,
+        lut: null,
+        lutIntensity: 0
+    };
+
+    if (!grade.colorAdjustmentsBypassed && grade.adjustments) {
+        for (const key of ['brightness', 'contrast', 'saturation', 'hue', 'temperature', 'tint']) {
+            const value = grade.adjustments[key];
+            prepared[key] = Number.isFinite(value) ? value : 0;
+        }
+    }
+
+    const points = grade.toneCurve?.controlPoints;
+    if (points && !grade.toneCurveBypassed) {
+        // Input is 8-bit, so the curve is a 256-entry table
+        const curvePoints = points.slice(0, 8);
+        prepared.curve = new Float64Array(256);
+        for (let i = 0; i < 256; i++) {
+            prepared.curve[i] = evaluateCurve(curvePoints, i / 255);
+        }
+    }
+
+    const cb = grade.colorBalance;
+    if (cb && !grade.colorBalanceBypassed) {
+        const shadows = wheelToRGB(cb.shadows.x, cb.shadows.y);
+        // Midtones are inverted because gamma = 1.0 - delta
+        const midtones = wheelToRGB(-cb.midtones.x, -cb.midtones.y);
+        const highlights = wheelToRGB(cb.highlights.x, cb.highlights.y);
+
+        const lift = shadows.map(value => value * 2.0 + (cb.shadows.luminance - 0.5));
+        const gammaLum = Math.pow(2.0, (cb.midtones.luminance - 0.5) * 2.0);
+        const gamma = midtones.map(value => {
+            let delta = value * 2.5;
+            if (Math.abs(delta) > 1.0) {
+                delta = Math.sign(delta) * (1.0 + (Math.abs(delta) - 1.0) * 0.2);
+            }
+            return Math.min(3.0, Math.max(0.3, 1.0 - delta)) * gammaLum;
+        });
+        const gainLum = 0.5 + cb.highlights.luminance;
+        const gain = highlights.map(value => Math.min(4.0, Math.max(0.0, 1.0 + value * 2.0)) * gainLum);
+
+        // The shader measures the shift on lift after the luminance offset
+        // and on gain after its multiplier
+        const liftMean = (lift[0] + lift[1] + lift[2]) / 3;
+        const gainMean = (gain[0] + gain[1] + gain[2]) / 3;
+        const colorShift = length3(lift.map(value => value - liftMean)) +
+                           length3(gain.map(value => value - gainMean));
+
+        prepared.balance = {
+            lift,
+            inverseGamma: gamma.map(value => 1.0 / value),
+            gain,
+            preserveAmount: smoothstep(0.0, 2.0, colorShift) * 0.7
+        };
+    }
+
+    if (lut && grade.lut && grade.lut.intensity > 0) {
+        prepared.lut = lut;
+        prepared.lutIntensity = Math.min(1, grade.lut.intensity);
+    }
+
+    return prepared;
+}
+
+/**
+ * The shader's piecewise-linear curve, including its quirks: the segment
+ * to the 8th point extrapolates, and past the last point it holds that y
+ */
+function evaluateCurve(points, x) {
+    const count = points.length;
+    if (count < 2) return x;
+
+    x = Math.min(1, Math.max(0, x));
+    for (let i = 1; i < count; i++) {
+        if (i === 7 || x <= points[i].x) {
+            const t = (x - points[i - 1].x) / (points[i].x - points[i - 1].x);
+            return points[i - 1].y + (points[i].y - points[i - 1].y) * t;
+        }
+    }
+    return points[count - 1].y;
+}
+
+function fract(x) {
+    return x - Math.floor(x);
+}
+
+/**
+ * Grade one pixel. Input channels are 0-255, `out` receives 0-1 floats
+ * before the final clamp.
+ */
+function gradePixel(r8, g8, b8, grade, out) {
+    let r, g, b;
+
+    // Tone curve
+    if (grade.curve) {
+        r = grade.curve[r8];
+        g = grade.curve[g8];
+        b = grade.curve[b8];
+    } else {
+        r = r8 / 255;
+        g = g8 / 255;
+        b = b8 / 255;
+    }
+
+    // Color balance (lift / gamma / gain with partial luminance preservation)
+    const balance = grade.balance;
+    if (balance) {
+        const originalLuma = r * LUMA_601[0] + g * LUMA_601[1] + b * LUMA_601[2];
+        const { lift, inverseGamma, gain } = balance;
+
+        r = Math.pow(Math.max(r + lift[0] * (1 - r), 0), inverseGamma[0]) * gain[0];
+        g = Math.pow(Math.max(g + lift[1] * (1 - g), 0), inverseGamma[1]) * gain[1];
+        b = Math.pow(Math.max(b + lift[2] * (1 - b), 0), inverseGamma[2]) * gain[2];
+
+        const newLuma = r * LUMA_601[0] + g * LUMA_601[1] + b * LUMA_601[2];
+        if (newLuma > 0.001) {
+            const correction = 1 + (originalLuma / newLuma - 1) * balance.preserveAmount;
+            r *= correction;
+            g *= correction;
+            b *= correction;
+        }
+    }
+
+    // Brightness, then contrast around mid grey
+    r = (r + grade.brightness - 0.5) * (1 + grade.contrast) + 0.5;
+    g = (g + grade.brightness - 0.5) * (1 + grade.contrast) + 0.5;
+    b = (b + grade.brightness - 0.5) * (1 + grade.contrast) + 0.5;
+
+    // Saturation and hue via HSV (the shader's branchless rgb2hsv/hsv2rgb)
+    const stepGB = g >= b ? 1 : 0;
+    const px = b + (g - b) * stepGB;
+    const py = g + (b - g) * stepGB;
+    const pz = -1 + (0 + 1) * stepGB;
+    const pw = 2 / 3 + (-1 / 3 - 2 / 3) * stepGB;
+
+    const stepR = r >= px ? 1 : 0;
+    const qx = px + (r - px) * stepR;
+    const qy = py;
+    const qz = pw + (pz - pw) * stepR;
+    const qw = r + (px - r) * stepR;
+
+    const d = qx - Math.min(qw, qy);
+    const e = 1e-10;
+    let h = Math.abs(qz + (qw - qy) / (6 * d + e));
+    let s = d / (qx + e);
+    const v = qx;
+
+    s *= 1 + grade.saturation;
+    h += grade.hue / 360;
+
+    const channel = offset => {
+        const p = Math.abs(fract(h + offset) * 6 - 3);
+        const clamped = Math.min(1, Math.max(0, p - 1));
+        return v * (1 + (clamped - 1) * s);
+    };
+    r = channel(0);
+    g = channel(2 / 3);
+    b = channel(1 / 3);
+
+    // Temperature (warm/cool) and tint (magenta/green)
+    if (grade.temperature !== 0) {
+        r += grade.temperature * 0.1;
+        b -= grade.temperature * 0.1;
+    }
+    if (grade.tint !== 0) {
+        r += grade.tint * 0.05;
+        g -= grade.tint * 0.1;
+        b += grade.tint * 0.05;
+    }
+
+    if (grade.lut) {
+        const [lr, lg, lb] = sampleLut(grade.lut, r, g, b);
+        const intensity = grade.lutIntensity;
+        r += (lr - r) * intensity;
+        g += (lg - g) * intensity;
+        b += (lb - b) * intensity;
+    }
+
+    out[0] = r;
+    out[1] = g;
+    out[2] = b;
+}
+
+/**
+ * Trilinear lookup, matching the shader's bilinear-within-slice plus blend
+ * between blue slices
+ */
+function sampleLut(lut, r, g, b) {
+    const { size, data, domainMin, domainMax } = lut;
+    const max = size - 1;
+    const coords = [r, g, b].map((value, channel) => {
+        const normalized = (value - domainMin[channel]) / (domainMax[channel] - domainMin[channel]);
+        const position = Math.min(1, Math.max(0, normalized)) * max;
+        const low = Math.floor(position);
+        return [low, Math.min(low + 1, max), position - low];
+    });
+
+    const [[r0, r1, fr], [g0, g1, fg], [b0, b1, fb]] = coords;
+    const result = [0, 0, 0];
+    for (let channel = 0; channel < 3; channel++) {
+        const at = (ri, gi, bi) => data[(ri + gi * size + bi * size * size) * 3 + channel];
+        const c00 = at(r0, g0, b0) + (at(r1, g0, b0) - at(r0, g0, b0)) * fr;
+        const c10 = at(r0, g1, b0) + (at(r1, g1, b0) - at(r0, g1, b0)) * fr;
+        const c01 = at(r0, g0, b1) + (at(r1, g0, b1) - at(r0, g0, b1)) * fr;
+        const c11 = at(r0, g1, b1) + (at(r1, g1, b1) - at(r0, g1, b1)) * fr;
+        const c0 = c00 + (c10 - c00) * fg;
+        const c1 = c01 + (c11 - c01) * fg;
+        result[channel] = c0 + (c1 - c0) * fb;
+    }
+    return result;
+}
+
+/**
+ * Whether a grade changes any pixels (the shader's nodeHasColorCorrection)
+ */
+function hasGrade(grade) {
+    if (!grade) return false;
+
+    const adjustments = grade.adjustments;
+    const hasAdjustments = !grade.colorAdjustmentsBypassed && adjustments &&
+        ['brightness', 'contrast', 'saturation', 'hue', 'temperature', 'tint']
+            .some(key => Number.isFinite(adjustments[key]) && adjustments[key] !== 0);
+
+    return !!(hasAdjustments ||
+        (grade.toneCurve?.controlPoints && !grade.toneCurveBypassed) ||
+        (grade.colorBalance && !grade.colorBalanceBypassed) ||
+        (grade.lut?.hash && grade.lut.intensity > 0));
+}
+
+/**
+ * Grade raw 8-bit pixels in place. Alpha, if present, is left alone.
+ * Yields to the event loop between chunks of rows so a large image doesn't
+ * stall the server.
+ * @param {Buffer|Uint8Array|Uint8ClampedArray} pixels - Interleaved RGB or RGBA
+ * @param {Object} info - { width, height, channels }
+ * @param {Object} grade - Node grade fields
+ * @param {Object} options - lut: parsed LUT for grade.lut
+ */
+async function applyGrade(pixels, { width, height, channels }, grade, { lut = null } = {}) {
+    const prepared = prepareGrade(grade, lut);
+    const out = [0, 0, 0];
+
+    for (let startRow = 0; startRow < height; startRow += ROWS_PER_CHUNK) {
+        const endRow = Math.min(height, startRow + ROWS_PER_CHUNK);
+        for (let i = startRow * width * channels; i < endRow * width * channels; i += channels) {
+            gradePixel(pixels[i], pixels[i + 1], pixels[i + 2], prepared, out);
+            pixels[i] = Math.round(Math.min(1, Math.max(0, out[0])) * 255);
+            pixels[i + 1] = Math.round(Math.min(1, Math.max(0, out[1])) * 255);
+            pixels[i + 2] = Math.round(Math.min(1, Math.max(0, out[2])) * 255);
+        }
+
+        if (endRow < height) {
+            await new Promise(resolve => setImmediate(resolve));
+        }
+    }
+
+    return pixels;
+}
+
+module.exports = { applyGrade, prepareGrade, gradePixel, hasGrade, wheelToRGB };
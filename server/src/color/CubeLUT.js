@@ -0,0 +1,104 @@
+/**
+ * Parser for Adobe/Resolve .cube 3D LUTs.
+ * Entries are listed with red changing fastest, then green, then blue, so
+ * the value for (r, g, b) is at index r + g * size + b * size * size.
+ */
+
+const DEFAULT_MAX_SIZE = 65;
+
+/**
+ * @param {string} text - Contents of a .cube file
+ * @param {Object} options - maxSize: largest LUT_3D_SIZE accepted
+ * @returns {{ title: string|null, size: number, domainMin: number[], domainMax: number[], data: Float32Array }}
+ * @throws {Error} When the file isn't a valid 3D LUT
+ */
+function parseCubeLUT(text, { maxSize = DEFAULT_MAX_SIZE } = {}) {
+    if (typeof text !== 'string') {
+        throw new Error('LUT must be text');
+    }
+
+    let title = null;
+    let size = 0;
+    let domainMin = [0, 0, 0];
+    let domainMax = [1, 1, 1];
+    let data = null;
+    let count = 0;
+
+    const lines = text.split(/\r?\n/);
+    for (let i = 0; i < lines.length; i++) {
+        const line = lines[i].trim();
+        if (!line || line.startsWith('#')) continue;
+
+        const first = line.charCodeAt(0);
+        const isNumeric = (first >= 48 && first <= 57) || line[0] === '-' || line[0] === '.' || line[0] === '+';
+
+        if (isNumeric) {
+            if (!data) {
+                throw new Error('LUT_3D_SIZE must come before the table');
+            }
+            if (count >= size * size * size) {
+                throw new Error(`Too many entries for a ${size}³ LUT (line ${i + 1})`);
+            }
+            const values = line.split(/\s+/).map(Number);
+            if (values.length < 3 || values.slice(0, 3).some(value => !Number.isFinite(value))) {
+                throw new Error(`Invalid entry on line ${i + 1}`);
+            }
+            data.set(values.slice(0, 3), count * 3);
+            count++;
+            continue;
+        }
+
+        const [keyword, ...rest] = line.split(/\s+/);
+        switch (keyword) {
+            case 'TITLE':
+                title = line.slice(5).trim().replace(/^"|"$/g, '') || null;
+                break;
+            case 'LUT_3D_SIZE':
+                size = parseInt(rest[0], 10);
+                if (!Number.isInteger(size) || size < 2 || size > maxSize) {
+                    throw new Error(`LUT_3D_SIZE must be from 2 to ${maxSize}`);
+                }
+                data = new Float32Array(size * size * size * 3);
+                break;
+            case 'LUT_1D_SIZE':
+                throw new Error('Only 3D LUTs are supported');
+            case 'DOMAIN_MIN':
+            case 'DOMAIN_MAX': {
+                const values = rest.slice(0, 3).map(Number);
+                if (values.length !== 3 || values.some(value => !Number.isFinite(value))) {
+                    throw new Error(`Invalid ${keyword} on line ${i + 1}`);
+                }
+                if (keyword === 'DOMAIN_MIN') domainMin = values;
+                else domainMax = values;
+                break;
+            }
+            case 'LUT_3D_INPUT_RANGE': {
+                // Resolve's older spelling of a uniform domain
+                const [min, max] = rest.map(Number);
+                if (!Number.isFinite(min) || !Number.isFinite(max)) {
+                    throw new Error(`Invalid LUT_3D_INPUT_RANGE on line ${i + 1}`);
+                }
+                domainMin = [min, min, min];
+                domainMax = [max, max, max];
+                break;
+            }
+            default:
+                // Unknown keywords are allowed by the spec and ignored
+                break;
+        }
+    }
+
+    if (!data) {
+        throw new Error('Missing LUT_3D_SIZE');
+    }
+    if (count !== size * size * size) {
+        throw new Error(`Expected ${size * size * size} entries, found ${count}`);
+    }
+    if (domainMin.some((min, channel) => min >= domainMax[channel])) {
+        throw new Error('DOMAIN_MIN must be below DOMAIN_MAX');
+    }
+
+    return { title, size, domainMin, domainMax, data };
+}
+
+module.exports = { parseCubeLUT, DEFAULT_MAX_SIZE };
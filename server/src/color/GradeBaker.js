@@ -0,0 +1,62 @@
+const sharp = require('sharp');
+const { applyGrade } = require('./ColorGrade');
+
+/**
+ * Render an image node's look into a new file at full resolution: EXIF
+ * orientation, crop and flips as ImageCrop applies them, then the grade.
+ * Opaque images are written as JPEG, images with transparency as PNG.
+ * @param {string} inputPath - Source image
+ * @param {string} outputPath - Where to write the result
+ * @param {Object} options - grade: node grade fields, lut: parsed LUT for grade.lut,
+ *                           crop: { x, y, w, h } normalized or null, flipH, flipV
+ * @returns {Promise<{ width: number, height: number, format: string, mimeType: string }>}
+ */
+async function bakeGrade(inputPath, outputPath, { grade, lut = null, crop = null, flipH = false, flipV = false }) {
+    // Decode once, upright, so the crop is in the same space the browser shows
+    const { data, info } = await sharp(inputPath)
+        .rotate()
+        .ensureAlpha()
+        .raw()
+        .toBuffer({ resolveWithObject: true });
+
+    let image = sharp(data, { raw: { width: info.width, height: info.height, channels: 4 } });
+    let width = info.width;
+    let height = info.height;
+
+    // Crops are stored unflipped, so cut first and mirror after
+    if (crop) {
+        const left = Math.min(info.width - 1, Math.max(0, Math.round(crop.x * info.width)));
+        const top = Math.min(info.height - 1, Math.max(0, Math.round(crop.y * info.height)));
+        width = Math.max(1, Math.min(info.width - left, Math.round(crop.w * info.width)));
+        height = Math.max(1, Math.min(info.height - top, Math.round(crop.h * info.height)));
+        image = image.extract({ left, top, width, height });
+    }
+    if (flipH) image = image.flop();
+    if (flipV) image = image.flip();
+
+    const pixels = await image.raw().toBuffer();
+    await applyGrade(pixels, { width, height, channels: 4 }, grade, { lut });
+
+    const hasAlpha = hasTransparency(pixels);
+    let output = sharp(pixels, { raw: { width, height, channels: 4 } });
+    output = hasAlpha
+        ? output.png()
+        : output.removeAlpha().jpeg({ quality: 95, chromaSubsampling: '4:4:4' });
+    await output.toFile(outputPath);
+
+    return {
+        width,
+        height,
+        format: hasAlpha ? 'png' : 'jpeg',
+        mimeType: hasAlpha ? 'image/png' : 'image/jpeg'
+    };
+}
+
+function hasTransparency(rgba) {
+    for (let i = 3; i < rgba.length; i += 4) {
+        if (rgba[i] !== 255) return true;
+    }
+    return false;
+}
+
+module.exports = { bakeGrade };
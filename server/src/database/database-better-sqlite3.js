@@ -55,7 +55,9 @@ class DatabaseWrapper {
                 id INTEGER PRIMARY KEY AUTOINCREMENT,
                 canvas_id INTEGER NOT NULL REFERENCES canvases(id),
                 version_number INTEGER NOT NULL,
+                name TEXT NOT NULL DEFAULT '',
                 canvas_data JSON NOT NULL,
+                node_count INTEGER NOT NULL DEFAULT 0,
                 changes_summary TEXT,
                 created_by INTEGER NOT NULL REFERENCES users(id),
                 created_at DATETIME DEFAULT CURRENT_TIMESTAMP
@@ -165,6 +165,154 @@ class BetterDatabase {
                     ON user_viewport_states(last_updated);
             `);
         }
+
+        // Check if canvas_versions has the named snapshot layout. Older databases
+        // created it as a single state row per canvas (UNIQUE(canvas_id)) that
+        // nothing ever wrote to, so it is safe to replace.
+        const versionColumns = this.db.prepare(`
+            SELECT name FROM pragma_table_info('canvas_versions')
+        `).all().map(column => column.name);
+
+        if (!versionColumns.includes('version_number')) {
+            console.log('Running migration: Creating canvas_versions table for named snapshots');
+            this.db.exec(`
+                DROP TABLE IF EXISTS canvas_versions;
+
+                CREATE TABLE canvas_versions (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    canvas_id INTEGER NOT NULL REFERENCES canvases(id) ON DELETE CASCADE,
+                    version_number INTEGER NOT NULL,
+                    name TEXT NOT NULL,
+                    canvas_data JSON NOT NULL,
+                    node_count INTEGER NOT NULL DEFAULT 0,
+                    changes_summary TEXT,
+                    created_by INTEGER NOT NULL REFERENCES users(id),
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    UNIQUE(canvas_id, version_number)
+                );
+
+                CREATE INDEX idx_canvas_versions_canvas
+                    ON canvas_versions(canvas_id, version_number);
+            `);
+        } else if (!versionColumns.includes('name')) {
+            // Layout from database-better-sqlite3.js - only the snapshot name is missing
+            console.log('Running migration: Adding name columns to canvas_versions table');
+            this.db.exec(`
+                ALTER TABLE canvas_versions ADD COLUMN name TEXT NOT NULL DEFAULT '';
+                ALTER TABLE canvas_versions ADD COLUMN node_count INTEGER NOT NULL DEFAULT 0;
+            `);
+        }
+
+        // Check if users have credentials (local accounts and guest sessions)
+        const userColumns = this.db.prepare(`
+            SELECT name FROM pragma_table_info('users')
+        `).all().map(column => column.name);
+
+        if (!userColumns.includes('password_hash')) {
+            console.log('Running migration: Adding credential columns to users table');
+            this.db.exec(`
+                ALTER TABLE users ADD COLUMN password_hash TEXT;
+                ALTER TABLE users ADD COLUMN is_guest INTEGER NOT NULL DEFAULT 0;
+            `);
+        }
+
+        // Sessions were never written before, so expiry can be added without a backfill
+        const hasSessionExpiry = this.db.prepare(`
+            SELECT COUNT(*) as count FROM pragma_table_info('sessions') WHERE name='expires_at'
+        `).get().count > 0;
+
+        if (!hasSessionExpiry) {
+            console.log('Running migration: Adding expires_at column to sessions table');
+            this.db.exec(`
+                ALTER TABLE sessions ADD COLUMN expires_at DATETIME;
+            `);
+        }
+        
+        // Check if chat_messages table exists
+        const hasChatTable = this.db.prepare(`
+            SELECT COUNT(*) as count FROM sqlite_master 
+            WHERE type='table' AND name='chat_messages'
+        `).get().count > 0;
+        
+        if (!hasChatTable) {
+            console.log('Running migration: Creating chat_messages table');
+            this.db.exec(`
+                CREATE TABLE chat_messages (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    canvas_id INTEGER NOT NULL REFERENCES canvases(id) ON DELETE CASCADE,
+                    user_id INTEGER NOT NULL REFERENCES users(id),
+                    node_id TEXT,
+                    message TEXT NOT NULL,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+                );
+                
+                CREATE INDEX idx_chat_messages_canvas
+                    ON chat_messages(canvas_id, id);
+                CREATE INDEX idx_chat_messages_node
+                    ON chat_messages(canvas_id, node_id, id);
+            `);
+        }
+
+        // Searchable EXIF/IPTC fields, stored as JSON at upload time
+        const hasFileMetadata = this.db.prepare(`
+            SELECT COUNT(*) as count FROM pragma_table_info('files') WHERE name='metadata'
+        `).get().count > 0;
+
+        if (!hasFileMetadata) {
+            console.log('Running migration: Adding metadata column to files table');
+            this.db.exec(`
+                ALTER TABLE files ADD COLUMN metadata TEXT;
+            `);
+        }
+
+        // Video renditions (VideoProcessor), stored as JSON when processing completes
+        const hasFileRenditions = this.db.prepare(`
+            SELECT COUNT(*) as count FROM pragma_table_info('files') WHERE name='renditions'
+        `).get().count > 0;
+
+        if (!hasFileRenditions) {
+            console.log('Running migration: Adding renditions column to files table');
+            this.db.exec(`
+                ALTER TABLE files ADD COLUMN renditions TEXT;
+            `);
+        }
+
+        // Web copy of HEIC/TIFF/SVG/PSD/RAW uploads (ImageConverter), stored as JSON
+        const hasFileConversion = this.db.prepare(`
+            SELECT COUNT(*) as count FROM pragma_table_info('files') WHERE name='conversion'
+        `).get().count > 0;
+
+        if (!hasFileConversion) {
+            console.log('Running migration: Adding conversion column to files table');
+            this.db.exec(`
+                ALTER TABLE files ADD COLUMN conversion TEXT;
+            `);
+        }
+
+        // Color grade presets - personal when canvas_id is NULL, shared with the canvas otherwise
+        const hasGradePresets = this.db.prepare(`
+            SELECT COUNT(*) as count FROM sqlite_master 
+            WHERE type='table' AND name='grade_presets'
+        `).get().count > 0;
+
+        if (!hasGradePresets) {
+            console.log('Running migration: Creating grade_presets table');
+            this.db.exec(`
+                CREATE TABLE grade_presets (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+                    canvas_id INTEGER REFERENCES canvases(id) ON DELETE CASCADE,
+                    name TEXT NOT NULL,
+                    grade JSON NOT NULL,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+                );
+
+                CREATE INDEX idx_grade_presets_user
+                    ON grade_presets(user_id);
+                CREATE INDEX idx_grade_presets_canvas
+                    ON grade_presets(canvas_id);
+            `);
+        }
     }
     
     initializeDefaultData() {
@@ -220,6 +368,47 @@ class BetterDatabase {
         return this.db.prepare('SELECT * FROM users WHERE username = ?').get(username);
     }
     
+    async updateUserCredentials(userId, { username, displayName, passwordHash }) {
+        this.db.prepare(`
+            UPDATE users SET username = ?, display_name = ?, password_hash = ?, is_guest = 0
+            WHERE id = ?
+        `).run(username, displayName || username, passwordHash, userId);
+    }
+    
+    async markUserAsGuest(userId) {
+        this.db.prepare('UPDATE users SET is_guest = 1 WHERE id = ?').run(userId);
+    }
+    
+    // Session management - ids are token hashes, the raw token only lives on the client
+    async createSession(sessionId, userId, expiresAt) {
+        this.db.prepare(
+            'INSERT INTO sessions (id, user_id, expires_at) VALUES (?, ?, ?)'
+        ).run(sessionId, userId, expiresAt);
+    }
+    
+    async getSession(sessionId) {
+        return this.db.prepare(`
+            SELECT * FROM sessions
+            WHERE id = ? AND (expires_at IS NULL OR expires_at > datetime('now'))
+        `).get(sessionId);
+    }
+    
+    async touchSession(sessionId) {
+        this.db.prepare(
+            'UPDATE sessions SET last_active = CURRENT_TIMESTAMP WHERE id = ?'
+        ).run(sessionId);
+    }
+    
+    async deleteSession(sessionId) {
+        this.db.prepare('DELETE FROM sessions WHERE id = ?').run(sessionId);
+    }
+    
+    async deleteExpiredSessions() {
+        return this.db.prepare(
+            "DELETE FROM sessions WHERE expires_at IS NOT NULL AND expires_at <= datetime('now')"
+        ).run().changes;
+    }
+    
     // Canvas management
     async createCanvas(name, description, ownerId, canvasData = {}) {
         const stmt = this.db.prepare(
@@ -280,7 +469,9 @@ class BetterDatabase {
     async deleteCanvas(canvasId) {
         // Delete related data first (due to foreign keys)
         this.db.prepare('DELETE FROM operations WHERE canvas_id = ?').run(canvasId);
+        this.db.prepare('DELETE FROM canvas_versions WHERE canvas_id = ?').run(canvasId);
         this.db.prepare('DELETE FROM canvas_collaborators WHERE canvas_id = ?').run(canvasId);
+        this.db.prepare('DELETE FROM chat_messages WHERE canvas_id = ?').run(canvasId);
         this.db.prepare('UPDATE files SET canvas_id = NULL WHERE canvas_id = ?').run(canvasId);
         this.db.prepare('DELETE FROM canvases WHERE id = ?').run(canvasId);
     }
@@ -320,6 +511,57 @@ class BetterDatabase {
         return !!collaborator;
     }
     
+    /**
+     * Resolve a user's role on a canvas: 'admin', 'editor', 'viewer' or null (no access).
+     * Owners are always admins and invited users get their collaborator role.
+     * Signed-in users can edit legacy canvases (isLegacyCanvas) until someone
+     * is invited. Every other canvas, and every canvas for requests without a
+     * user, is closed to everyone else.
+     */
+    async getUserCanvasRole(userId, canvasId) {
+        const canvas = this.db.prepare('SELECT owner_id FROM canvases WHERE id = ?').get(canvasId);
+        if (!canvas || !userId) return null;
+        if (canvas.owner_id === userId) return 'admin';
+        
+        const collaborator = this.db.prepare(
+            'SELECT role FROM canvas_collaborators WHERE canvas_id = ? AND user_id = ?'
+        ).get(canvasId, userId);
+        if (collaborator) return collaborator.role;
+        
+        if (!await this.isLegacyCanvas(canvasId)) return null;
+        
+        const { count } = this.db.prepare(
+            'SELECT COUNT(*) as count FROM canvas_collaborators WHERE canvas_id = ?'
+        ).get(canvasId);
+        
+        return count === 0 ? 'editor' : null;
+    }
+    
+    /**
+     * Whether a canvas is from before accounts existed: its owner is a user
+     * nobody can sign in as (no password, not a guest). Nobody is admin on
+     * these until a registered user claims them (setCanvasOwner).
+     */
+    async isLegacyCanvas(canvasId) {
+        const owner = this.db.prepare(`
+            SELECT u.password_hash, u.is_guest
+            FROM canvases c
+            JOIN users u ON u.id = c.owner_id
+            WHERE c.id = ?
+        `).get(canvasId);
+        return !!owner && !owner.password_hash && !owner.is_guest;
+    }
+    
+    /**
+     * Hand a canvas to a new owner. An invitation they had becomes redundant.
+     */
+    async setCanvasOwner(canvasId, userId) {
+        this.db.prepare(
+            'UPDATE canvases SET owner_id = ?, last_modified = CURRENT_TIMESTAMP WHERE id = ?'
+        ).run(userId, canvasId);
+        await this.removeCollaborator(canvasId, userId);
+    }
+    
     // File management
     async saveFileMetadata(fileData) {
         const stmt = this.db.prepare(
@@ -376,6 +618,191 @@ class BetterDatabase {
         }));
     }
     
+    // Canvas versions (named snapshots)
+    async createCanvasVersion(canvasId, { name, canvasData, changesSummary, createdBy }) {
+        const lastVersion = this.db.prepare(
+            'SELECT MAX(version_number) as max_version FROM canvas_versions WHERE canvas_id = ?'
+        ).get(canvasId);
+        
+        const versionNumber = (lastVersion.max_version || 0) + 1;
+        const nodeCount = Array.isArray(canvasData?.nodes) ? canvasData.nodes.length : 0;
+        
+        const stmt = this.db.prepare(`
+            INSERT INTO canvas_versions
+            (canvas_id, version_number, name, canvas_data, node_count, changes_summary, created_by)
+            VALUES (?, ?, ?, ?, ?, ?, ?)
+        `);
+        const result = stmt.run(
+            canvasId,
+            versionNumber,
+            name,
+            JSON.stringify(canvasData),
+            nodeCount,
+            changesSummary || null,
+            createdBy
+        );
+        
+        return this.getCanvasVersionSummary(canvasId, result.lastInsertRowid);
+    }
+    
+    async getCanvasVersions(canvasId) {
+        // Snapshot payloads can be large - list metadata only
+        return this.db.prepare(`
+            SELECT v.id, v.canvas_id, v.version_number, v.name, v.node_count,
+                   v.changes_summary, v.created_by, v.created_at,
+                   u.username AS author_username, u.display_name AS author_display_name, u.color AS author_color
+            FROM canvas_versions v
+            LEFT JOIN users u ON v.created_by = u.id
+            WHERE v.canvas_id = ?
+            ORDER BY v.version_number DESC
+        `).all(canvasId);
+    }
+    
+    async getCanvasVersionSummary(canvasId, versionId) {
+        return this.db.prepare(`
+            SELECT v.id, v.canvas_id, v.version_number, v.name, v.node_count,
+                   v.changes_summary, v.created_by, v.created_at,
+                   u.username AS author_username, u.display_name AS author_display_name, u.color AS author_color
+            FROM canvas_versions v
+            LEFT JOIN users u ON v.created_by = u.id
+            WHERE v.canvas_id = ? AND v.id = ?
+        `).get(canvasId, versionId);
+    }
+    
+    async getCanvasVersion(canvasId, versionId) {
+        const version = this.db.prepare(
+            'SELECT * FROM canvas_versions WHERE canvas_id = ? AND id = ?'
+        ).get(canvasId, versionId);
+        
+        if (version && version.canvas_data) {
+            version.canvas_data = JSON.parse(version.canvas_data);
+        }
+        return version;
+    }
+    
+    async getLatestCanvasVersion(canvasId) {
+        const version = this.db.prepare(
+            'SELECT * FROM canvas_versions WHERE canvas_id = ? ORDER BY version_number DESC LIMIT 1'
+        ).get(canvasId);
+        
+        if (version && version.canvas_data) {
+            version.canvas_data = JSON.parse(version.canvas_data);
+        }
+        return version;
+    }
+    
+    async deleteCanvasVersion(canvasId, versionId) {
+        const result = this.db.prepare(
+            'DELETE FROM canvas_versions WHERE canvas_id = ? AND id = ?'
+        ).run(canvasId, versionId);
+        return result.changes > 0;
+    }
+    
+    // Chat history
+    async createChatMessage(canvasId, { userId, message, nodeId = null }) {
+        const result = this.db.prepare(`
+            INSERT INTO chat_messages (canvas_id, user_id, node_id, message)
+            VALUES (?, ?, ?, ?)
+        `).run(canvasId, userId, nodeId, message);
+        
+        return this.getChatMessage(canvasId, result.lastInsertRowid);
+    }
+    
+    async getChatMessage(canvasId, messageId) {
+        return this.db.prepare(`
+            SELECT m.*, u.username, u.display_name, u.color
+            FROM chat_messages m
+            LEFT JOIN users u ON u.id = m.user_id
+            WHERE m.canvas_id = ? AND m.id = ?
+        `).get(canvasId, messageId);
+    }
+    
+    /**
+     * Page through chat history newest first
+     * @param {Object} options - beforeId (exclusive), nodeId (one thread only), limit
+     */
+    async getChatMessages(canvasId, { beforeId = null, nodeId = null, limit = 50 } = {}) {
+        const conditions = ['m.canvas_id = ?'];
+        const params = [canvasId];
+        
+        if (beforeId) {
+            conditions.push('m.id < ?');
+            params.push(beforeId);
+        }
+        if (nodeId) {
+            conditions.push('m.node_id = ?');
+            params.push(nodeId);
+        }
+        
+        params.push(limit);
+        return this.db.prepare(`
+            SELECT m.*, u.username, u.display_name, u.color
+            FROM chat_messages m
+            LEFT JOIN users u ON u.id = m.user_id
+            WHERE ${conditions.join(' AND ')}
+            ORDER BY m.id DESC
+            LIMIT ?
+        `).all(...params);
+    }
+    
+    /**
+     * Message count and latest message for every node thread on a canvas
+     */
+    async getChatThreads(canvasId) {
+        return this.db.prepare(`
+            SELECT node_id, COUNT(*) as message_count, MAX(id) as last_message_id
+            FROM chat_messages
+            WHERE canvas_id = ? AND node_id IS NOT NULL
+            GROUP BY node_id
+        `).all(canvasId);
+    }
+    
+    // Color grade presets
+    async createGradePreset({ userId, canvasId = null, name, grade }) {
+        const result = this.db.prepare(`
+            INSERT INTO grade_presets (user_id, canvas_id, name, grade)
+            VALUES (?, ?, ?, ?)
+        `).run(userId, canvasId, name, JSON.stringify(grade));
+        
+        return this.getGradePreset(result.lastInsertRowid);
+    }
+    
+    async getGradePreset(presetId) {
+        const preset = this.db.prepare(`
+            SELECT p.*, u.username, u.display_name
+            FROM grade_presets p
+            LEFT JOIN users u ON u.id = p.user_id
+            WHERE p.id = ?
+        `).get(presetId);
+        
+        if (preset) {
+            preset.grade = JSON.parse(preset.grade);
+        }
+        return preset;
+    }
+    
+    /**
+     * The user's personal presets, plus the ones shared with canvasId if given
+     */
+    async getGradePresets(userId, canvasId = null) {
+        const presets = this.db.prepare(`
+            SELECT p.*, u.username, u.display_name
+            FROM grade_presets p
+            LEFT JOIN users u ON u.id = p.user_id
+            WHERE (p.canvas_id IS NULL AND p.user_id = ?) OR p.canvas_id = ?
+            ORDER BY p.name COLLATE NOCASE, p.id
+        `).all(userId, canvasId);
+        
+        return presets.map(preset => ({ ...preset, grade: JSON.parse(preset.grade) }));
+    }
+    
+    async deleteGradePreset(presetId) {
+        const result = this.db.prepare(
+            'DELETE FROM grade_presets WHERE id = ?'
+        ).run(presetId);
+        return result.changes > 0;
+    }
+    
     // Database info
     async getDatabaseSize() {
         const stats = await fs.stat(this.dbPath);
@@ -0,0 +1,140 @@
+const puppeteer = require('puppeteer');
+
+/**
+ * HeadlessExporter - Exports canvases without opening the UI
+ *
+ * Loads the regular client in headless Chrome, waits for the canvas state to
+ * sync and runs the same CanvasExporter the export dialog uses, so server
+ * exports match what users get from the browser.
+ */
+class HeadlessExporter {
+    constructor(config = {}) {
+        this.config = {
+            clientUrl: process.env.EXPORT_CLIENT_URL || 'http://localhost:8000',
+            timeout: 120000,
+            viewport: { width: 1280, height: 800 },
+            ...config
+        };
+
+        this.browser = null;
+
+        // One export at a time - each page holds a full WebGL context and decoded media
+        this.queue = Promise.resolve();
+    }
+
+    async getBrowser() {
+        if (!this.browser || !this.browser.connected) {
+            this.browser = await puppeteer.launch({
+                headless: true,
+                // Software WebGL so color correction renders on machines without a GPU
+                args: ['--use-angle=swiftshader', '--enable-unsafe-swiftshader']
+            });
+        }
+        return this.browser;
+    }
+
+    /**
+     * Export a single canvas
+     * @param {number} canvasId
+     * @param {Object} options - Passed to CanvasExporter.export (format, dpi, scope, nodeIds, ...)
+     *                           plus authToken, the session the page joins with (a guest session if omitted)
+     * @returns {Promise<Object>} { buffer, filename, mimeType, width, height }
+     */
+    exportCanvas(canvasId, options = {}) {
+        const run = () => this._exportCanvas(canvasId, options);
+        const result = this.queue.then(run, run);
+        this.queue = result.catch(() => {});
+        return result;
+    }
+
+    /**
+     * Export several canvases in sequence, reusing one browser
+     * @param {Array<number>} canvasIds
+     * @param {Object} options - Export options applied to every canvas
+     * @param {Function} onExported - Called with (canvasId, result) as each finishes
+     * @returns {Promise<Array>} [{ canvasId, result }] or [{ canvasId, error }]
+     */
+    async exportCanvases(canvasIds, options = {}, onExported = null) {
+        const results = [];
+
+        for (const canvasId of canvasIds) {
+            try {
+                const result = await this.exportCanvas(canvasId, options);
+                results.push({ canvasId, result });
+                if (onExported) await onExported(canvasId, result);
+            } catch (error) {
+                console.error(`❌ Export failed for canvas ${canvasId}:`, error.message);
+                results.push({ canvasId, error: error.message });
+            }
+        }
+
+        return results;
+    }
+
+    async _exportCanvas(canvasId, { authToken = null, ...options }) {
+        const browser = await this.getBrowser();
+        const page = await browser.newPage();
+
+        try {
+            await page.setViewport(this.config.viewport);
+
+            // The navigator opens the last used canvas on startup
+            await page.evaluateOnNewDocument((id, token) => {
+                localStorage.setItem('lastCanvasId', String(id));
+                if (token) localStorage.setItem('imagecanvas_auth_token', token);
+            }, canvasId, authToken);
+
+            await page.goto(this.config.clientUrl, {
+                waitUntil: 'domcontentloaded',
+                timeout: this.config.timeout
+            });
+
+            await page.waitForFunction((id) => {
+                const app = window.app;
+                return app?.canvasExporter &&
+                       app.networkLayer?.currentCanvas?.id === id &&
+                       app.stateSyncManager?.lastFullSyncTime;
+            }, { timeout: this.config.timeout }, canvasId);
+
+            const exported = await page.evaluate(async (exportOptions) => {
+                const result = await window.app.canvasExporter.export(exportOptions);
+                const bytes = new Uint8Array(await result.blob.arrayBuffer());
+
+                // Chunked to stay under the argument limit of String.fromCharCode
+                let binary = '';
+                for (let i = 0; i < bytes.length; i += 0x8000) {
+                    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+                }
+
+                return {
+                    data: btoa(binary),
+                    filename: result.filename,
+                    mimeType: result.mimeType,
+                    width: result.width,
+                    height: result.height
+                };
+            }, { scope: 'all', ...options });
+
+            console.log(`🖨️ Exported canvas ${canvasId}: ${exported.filename} (${exported.width}x${exported.height})`);
+
+            return {
+                buffer: Buffer.from(exported.data, 'base64'),
+                filename: exported.filename,
+                mimeType: exported.mimeType,
+                width: exported.width,
+                height: exported.height
+            };
+        } finally {
+            await page.close();
+        }
+    }
+
+    async close() {
+        if (this.browser) {
+            await this.browser.close();
+            this.browser = null;
+        }
+    }
+}
+
+module.exports = HeadlessExporter;
@@ -0,0 +1,117 @@
+const fs = require('fs').promises;
+
+/**
+ * Animated GIF, WebP and APNG uploads are transcoded like videos
+ * (VideoProcessor) instead of being treated as stills. Only the container
+ * is read here - enough to tell animations from single frames.
+ * js/utils/animated-image.js does the same in the browser.
+ */
+
+// Types that may hold an animation; everything else is never checked
+const ANIMATED_MIME_TYPES = new Set(['image/gif', 'image/webp', 'image/png', 'image/apng']);
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+/**
+ * @param {Buffer} buffer - The whole file (GIF frames can only be counted by walking it)
+ * @returns {{ format: 'gif'|'webp'|'apng', frames: number }|null} null for single-frame images
+ */
+function detectAnimation(buffer) {
+    let animation = null;
+    if (buffer.length >= 13 && /^GIF8[79]a$/.test(buffer.toString('latin1', 0, 6))) {
+        animation = { format: 'gif', frames: countGifFrames(buffer) };
+    } else if (buffer.length >= 12 && buffer.toString('latin1', 0, 4) === 'RIFF' && buffer.toString('latin1', 8, 12) === 'WEBP') {
+        animation = { format: 'webp', frames: countWebpFrames(buffer) };
+    } else if (buffer.length >= 8 && buffer.subarray(0, 8).equals(PNG_SIGNATURE)) {
+        animation = { format: 'apng', frames: countApngFrames(buffer) };
+    }
+    return animation && animation.frames > 1 ? animation : null;
+}
+
+/**
+ * detectAnimation for an upload on disk, skipping types that can't animate
+ */
+async function detectAnimatedFile(filePath, mimeType) {
+    if (!ANIMATED_MIME_TYPES.has(mimeType)) return null;
+    return detectAnimation(await fs.readFile(filePath));
+}
+
+/**
+ * Image descriptors between the header and the trailer. Extensions and
+ * image data are runs of sub-blocks ending in an empty one.
+ */
+function countGifFrames(buffer) {
+    let offset = 13 + colorTableLength(buffer[10]);
+    let frames = 0;
+
+    while (offset < buffer.length) {
+        const block = buffer[offset];
+        if (block === 0x2c) {
+            if (offset + 10 > buffer.length) break;
+            frames++;
+            // Descriptor, local color table, LZW code size, then the data
+            offset = skipSubBlocks(buffer, offset + 10 + colorTableLength(buffer[offset + 9]) + 1);
+        } else if (block === 0x21) {
+            offset = skipSubBlocks(buffer, offset + 2);
+        } else {
+            // Trailer, or garbage after a truncated frame
+            break;
+        }
+    }
+    return frames;
+}
+
+function colorTableLength(flags) {
+    return flags & 0x80 ? 3 * (1 << ((flags & 0x07) + 1)) : 0;
+}
+
+function skipSubBlocks(buffer, offset) {
+    while (offset < buffer.length) {
+        const size = buffer[offset];
+        offset += 1 + size;
+        if (size === 0) break;
+    }
+    return offset;
+}
+
+/**
+ * ANMF chunks of an extended WebP whose VP8X header has the animation flag
+ */
+function countWebpFrames(buffer) {
+    let offset = 12;
+    let animated = false;
+    let frames = 0;
+
+    while (offset + 8 <= buffer.length) {
+        const type = buffer.toString('latin1', offset, offset + 4);
+        const size = buffer.readUInt32LE(offset + 4);
+        if (type === 'VP8X') {
+            animated = offset + 8 < buffer.length && (buffer[offset + 8] & 0x02) !== 0;
+            if (!animated) return 1;
+        } else if (type === 'ANMF') {
+            frames++;
+        }
+        // Chunks are padded to an even length
+        offset += 8 + size + (size & 1);
+    }
+    return animated ? frames : 1;
+}
+
+/**
+ * Frame count from the acTL chunk, which has to come before the first IDAT
+ */
+function countApngFrames(buffer) {
+    let offset = 8;
+    while (offset + 8 <= buffer.length) {
+        const length = buffer.readUInt32BE(offset);
+        const type = buffer.toString('latin1', offset + 4, offset + 8);
+        if (type === 'acTL' && offset + 12 <= buffer.length) {
+            return buffer.readUInt32BE(offset + 8);
+        }
+        if (type === 'IDAT' || type === 'IEND') break;
+        offset += 12 + length;
+    }
+    return 1;
+}
+
+module.exports = { detectAnimation, detectAnimatedFile, ANIMATED_MIME_TYPES };
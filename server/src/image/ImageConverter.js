@@ -0,0 +1,130 @@
+const sharp = require('sharp');
+const ffmpeg = require('fluent-ffmpeg');
+const fs = require('fs').promises;
+const path = require('path');
+const { readPsdComposite } = require('./PsdComposite');
+const { extractRawPreview } = require('./RawPreview');
+const { parseExif } = require('../search/MediaMetadata');
+
+/**
+ * Write JPEG/PNG derivatives of the formats ImageFormats lists, so the
+ * canvas can show them. The original is kept for download and export.
+ */
+
+// Long edge SVGs are rasterized at, whatever size they declare
+const SVG_RASTER_SIZE = 4096;
+
+// Cameras only use the rotations; mirrored orientations are left as stored
+const ORIENTATION_ANGLES = { 3: 180, 6: 90, 8: 270 };
+
+/**
+ * Write the web-displayable derivative of an image
+ * @param {string} inputPath - The original upload
+ * @param {string} format - From ImageFormats.detectFormat
+ * @param {string} outputBase - Output path without extension; .jpg or .png is added
+ * @returns {Promise<Object>} { filename, path, width, height, mimeType, format, pages, metadata }
+ *          metadata is only set when it had to be read from the original here (RAW)
+ */
+async function convertImage(inputPath, format, outputBase) {
+    const decoders = { heic: decodeHeic, tiff: decodeTiff, svg: decodeSvg, psd: decodePsd, raw: decodeRaw };
+    if (!decoders[format]) {
+        throw new Error(`No converter for ${format}`);
+    }
+
+    const { image, pages = 1, metadata } = await decoders[format](inputPath, outputBase);
+
+    // Opaque images become JPEGs, anything with transparency stays lossless
+    const { hasAlpha } = await image.clone().metadata();
+    const opaque = !hasAlpha || (await image.clone().stats()).isOpaque;
+    const outputPath = `${outputBase}${opaque ? '.jpg' : '.png'}`;
+
+    const info = await (opaque
+        ? image.removeAlpha().jpeg({ quality: 92 })
+        : image.png()
+    ).toFile(outputPath);
+
+    return {
+        filename: path.basename(outputPath),
+        path: outputPath,
+        width: info.width,
+        height: info.height,
+        mimeType: opaque ? 'image/jpeg' : 'image/png',
+        format,
+        pages,
+        metadata
+    };
+}
+
+/**
+ * HEIC/HEIF. sharp's bundled libheif may lack an HEVC decoder, in which
+ * case ffmpeg extracts the primary image instead.
+ */
+async function decodeHeic(inputPath, outputBase) {
+    try {
+        const png = await sharp(inputPath).rotate().png({ compressionLevel: 1 }).toBuffer();
+        return { image: sharp(png) };
+    } catch (error) {
+        console.log(`🖼️ sharp can't decode ${path.basename(inputPath)} (${error.message}), trying ffmpeg`);
+    }
+
+    const framePath = `${outputBase}.heic-frame.png`;
+    try {
+        await new Promise((resolve, reject) => {
+            ffmpeg(inputPath)
+                .outputOptions(['-frames:v 1'])
+                .output(framePath)
+                .on('end', resolve)
+                .on('error', reject)
+                .run();
+        });
+        return { image: sharp(await fs.readFile(framePath)) };
+    } finally {
+        await fs.unlink(framePath).catch(() => {});
+    }
+}
+
+/**
+ * TIFF: the first page; the page count is kept so multi-page files can say so
+ */
+async function decodeTiff(inputPath) {
+    const { pages } = await sharp(inputPath).metadata();
+    return { image: sharp(inputPath, { page: 0 }).rotate(), pages: pages || 1 };
+}
+
+/**
+ * SVG, rendered at a density that puts the long edge at SVG_RASTER_SIZE
+ */
+async function decodeSvg(inputPath) {
+    const { width, height } = await sharp(inputPath).metadata();
+    const longEdge = Math.max(width || 0, height || 0) || SVG_RASTER_SIZE;
+    const density = Math.min(100000, Math.max(1, 72 * SVG_RASTER_SIZE / longEdge));
+    return { image: sharp(inputPath, { density }) };
+}
+
+/**
+ * PSD/PSB: the flattened composite stored with the file
+ */
+async function decodePsd(inputPath) {
+    const { width, height, data } = readPsdComposite(await fs.readFile(inputPath));
+    return { image: sharp(data, { raw: { width, height, channels: 4 } }) };
+}
+
+/**
+ * Camera RAW: the largest embedded preview, turned upright. EXIF comes from
+ * the RAW itself since previews usually carry none.
+ */
+async function decodeRaw(inputPath) {
+    const buffer = await fs.readFile(inputPath);
+    const preview = extractRawPreview(buffer);
+    if (!preview) {
+        throw new Error('No embedded preview found in RAW file');
+    }
+
+    const exif = parseExif(buffer);
+    return {
+        image: sharp(preview.jpeg).rotate(ORIENTATION_ANGLES[preview.orientation] || 0),
+        metadata: Object.keys(exif).length > 0 ? exif : null
+    };
+}
+
+module.exports = { convertImage };
@@ -0,0 +1,87 @@
+const path = require('path');
+
+/**
+ * Uploads browsers can't display (HEIC, TIFF, PSD, camera RAW) and SVG,
+ * which the WebGL path can't draw as a vector, are stored with a JPEG/PNG
+ * derivative (ImageConverter). js/utils/image-formats.js has the same lists.
+ */
+
+const MIME_FORMATS = {
+    'image/heic': 'heic',
+    'image/heif': 'heic',
+    'image/heic-sequence': 'heic',
+    'image/heif-sequence': 'heic',
+    'image/tiff': 'tiff',
+    'image/svg+xml': 'svg',
+    'image/vnd.adobe.photoshop': 'psd',
+    'image/x-photoshop': 'psd',
+    'image/psd': 'psd',
+    'application/x-photoshop': 'psd',
+    'application/photoshop': 'psd',
+    'image/x-adobe-dng': 'raw',
+    'image/x-canon-cr2': 'raw',
+    'image/x-canon-cr3': 'raw',
+    'image/x-nikon-nef': 'raw',
+    'image/x-nikon-nrw': 'raw',
+    'image/x-sony-arw': 'raw',
+    'image/x-fuji-raf': 'raw',
+    'image/x-olympus-orf': 'raw',
+    'image/x-panasonic-rw2': 'raw',
+    'image/x-pentax-pef': 'raw',
+    'image/x-samsung-srw': 'raw'
+};
+
+// Browsers report most of these as '' or application/octet-stream
+const EXTENSION_TYPES = {
+    '.heic': 'image/heic',
+    '.heif': 'image/heif',
+    '.hif': 'image/heif',
+    '.tif': 'image/tiff',
+    '.tiff': 'image/tiff',
+    '.svg': 'image/svg+xml',
+    '.psd': 'image/vnd.adobe.photoshop',
+    '.psb': 'image/vnd.adobe.photoshop',
+    '.dng': 'image/x-adobe-dng',
+    '.cr2': 'image/x-canon-cr2',
+    '.cr3': 'image/x-canon-cr3',
+    '.nef': 'image/x-nikon-nef',
+    '.nrw': 'image/x-nikon-nrw',
+    '.arw': 'image/x-sony-arw',
+    '.raf': 'image/x-fuji-raf',
+    '.orf': 'image/x-olympus-orf',
+    '.rw2': 'image/x-panasonic-rw2',
+    '.pef': 'image/x-pentax-pef',
+    '.srw': 'image/x-samsung-srw'
+};
+
+/**
+ * Which converter an upload needs, from its MIME type or, when that says
+ * nothing useful, its extension
+ * @returns {'heic'|'tiff'|'svg'|'psd'|'raw'|null} null for formats browsers display as they are
+ */
+function detectFormat(mimeType, filename = '') {
+    const type = (mimeType || '').toLowerCase();
+    if (MIME_FORMATS[type]) return MIME_FORMATS[type];
+
+    if (!type || type === 'application/octet-stream' || type.startsWith('image/x-')) {
+        const extensionType = EXTENSION_TYPES[path.extname(filename).toLowerCase()];
+        return extensionType ? MIME_FORMATS[extensionType] : null;
+    }
+    return null;
+}
+
+/**
+ * The MIME type to store for an upload we convert: always an image/* type,
+ * from the extension when the browser sent none
+ */
+function normalizeMimeType(mimeType, filename = '') {
+    const format = detectFormat(mimeType, filename);
+    const type = (mimeType || '').toLowerCase();
+    if (!format || (type.startsWith('image/') && MIME_FORMATS[type])) {
+        return mimeType;
+    }
+    return EXTENSION_TYPES[path.extname(filename).toLowerCase()] ||
+        Object.keys(MIME_FORMATS).find(candidate => MIME_FORMATS[candidate] === format);
+}
+
+module.exports = { detectFormat, normalizeMimeType, MIME_FORMATS, EXTENSION_TYPES };
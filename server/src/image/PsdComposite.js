@@ -0,0 +1,257 @@
+const zlib = require('zlib');
+
+// Same ceiling sharp applies to decoded images
+const MAX_PIXELS = 268402689;
+
+const COLOR_MODES = {
+    1: 'grayscale',
+    2: 'indexed',
+    3: 'rgb',
+    4: 'cmyk'
+};
+
+const COLOR_CHANNELS = { grayscale: 1, indexed: 1, rgb: 3, cmyk: 4 };
+
+/**
+ * Read the flattened composite Photoshop stores after the layers of a
+ * PSD/PSB ("Maximize compatibility"). Layers themselves are not rendered.
+ * @param {Buffer} buffer - The whole file
+ * @returns {{ width: number, height: number, data: Buffer, hasAlpha: boolean }} RGBA pixels
+ */
+function readPsdComposite(buffer) {
+    if (buffer.length < 26 || buffer.toString('latin1', 0, 4) !== '8BPS') {
+        throw new Error('Not a Photoshop file');
+    }
+
+    const version = buffer.readUInt16BE(4);
+    if (version !== 1 && version !== 2) {
+        throw new Error(`Unsupported Photoshop version ${version}`);
+    }
+    const large = version === 2;
+
+    const channels = buffer.readUInt16BE(12);
+    const height = buffer.readUInt32BE(14);
+    const width = buffer.readUInt32BE(18);
+    const depth = buffer.readUInt16BE(22);
+    const mode = COLOR_MODES[buffer.readUInt16BE(24)];
+
+    if (!mode) {
+        throw new Error(`Unsupported Photoshop color mode ${buffer.readUInt16BE(24)}`);
+    }
+    if (depth !== 8 && depth !== 16 && depth !== 32) {
+        throw new Error(`Unsupported Photoshop bit depth ${depth}`);
+    }
+    if (!width || !height || width * height > MAX_PIXELS) {
+        throw new Error(`Unsupported Photoshop image size ${width}x${height}`);
+    }
+
+    let offset = 26;
+
+    // Color mode data holds the palette of indexed images
+    const colorDataLength = buffer.readUInt32BE(offset);
+    const palette = mode === 'indexed' ? buffer.subarray(offset + 4, offset + 4 + colorDataLength) : null;
+    offset += 4 + colorDataLength;
+
+    // Image resources
+    offset += 4 + buffer.readUInt32BE(offset);
+
+    // A negative layer count means the first extra channel is the
+    // transparency of the composite rather than a saved selection
+    const layerSectionLength = large ? readUInt64(buffer, offset) : buffer.readUInt32BE(offset);
+    const layerSectionStart = offset + (large ? 8 : 4);
+    let mergedAlpha = false;
+    if (layerSectionLength > 0) {
+        const layerInfoLength = large ? readUInt64(buffer, layerSectionStart) : buffer.readUInt32BE(layerSectionStart);
+        if (layerInfoLength > 0) {
+            mergedAlpha = buffer.readInt16BE(layerSectionStart + (large ? 8 : 4)) < 0;
+        }
+    }
+    offset = layerSectionStart + layerSectionLength;
+
+    if (offset + 2 > buffer.length) {
+        throw new Error('Photoshop file has no composite image');
+    }
+
+    const colorChannels = COLOR_CHANNELS[mode];
+    if (channels < colorChannels) {
+        throw new Error(`Photoshop image has ${channels} channels, ${mode} needs ${colorChannels}`);
+    }
+    const hasAlpha = mergedAlpha && channels > colorChannels;
+    const planes = readPlanes(buffer, offset, {
+        width, height, depth, large,
+        channels,
+        needed: colorChannels + (hasAlpha ? 1 : 0)
+    });
+
+    return {
+        width,
+        height,
+        data: toRGBA(planes, width * height, mode, palette, hasAlpha),
+        hasAlpha
+    };
+}
+
+/**
+ * Decode the planar image data section into one 8-bit plane per channel
+ */
+function readPlanes(buffer, offset, { width, height, depth, large, channels, needed }) {
+    const compression = buffer.readUInt16BE(offset);
+    offset += 2;
+
+    const bytesPerSample = depth / 8;
+    const rowLength = width * bytesPerSample;
+    const planeLength = rowLength * height;
+    const planes = [];
+
+    if (compression === 0) {
+        for (let channel = 0; channel < needed; channel++) {
+            const start = offset + channel * planeLength;
+            planes.push(toEightBit(sliceChecked(buffer, start, planeLength), depth));
+        }
+    } else if (compression === 1) {
+        // Byte counts for every row of every channel, then PackBits rows
+        const countSize = large ? 4 : 2;
+        const rowCounts = channels * height;
+        let dataOffset = offset + rowCounts * countSize;
+
+        for (let channel = 0; channel < needed; channel++) {
+            const plane = Buffer.alloc(planeLength);
+            for (let row = 0; row < height; row++) {
+                const countOffset = offset + (channel * height + row) * countSize;
+                const count = large ? buffer.readUInt32BE(countOffset) : buffer.readUInt16BE(countOffset);
+                unpackBits(sliceChecked(buffer, dataOffset, count), plane, row * rowLength, rowLength);
+                dataOffset += count;
+            }
+            planes.push(toEightBit(plane, depth));
+        }
+    } else if (compression === 2 || compression === 3) {
+        // The composite is one deflate stream covering all channels
+        const inflated = zlib.inflateSync(buffer.subarray(offset));
+        for (let channel = 0; channel < needed; channel++) {
+            const plane = Buffer.from(sliceChecked(inflated, channel * planeLength, planeLength));
+            if (compression === 3) undoPrediction(plane, width, height, depth);
+            planes.push(toEightBit(plane, depth));
+        }
+    } else {
+        throw new Error(`Unsupported Photoshop compression ${compression}`);
+    }
+
+    return planes;
+}
+
+/**
+ * PackBits: a header byte n, then n+1 literal bytes (n >= 0) or one byte
+ * repeated 1-n times (n < 0); -128 is a no-op
+ */
+function unpackBits(source, target, start, length) {
+    let read = 0;
+    let write = start;
+    const end = start + length;
+
+    while (read < source.length && write < end) {
+        const header = source.readInt8(read++);
+        if (header >= 0) {
+            const count = Math.min(header + 1, end - write);
+            source.copy(target, write, read, read + count);
+            read += header + 1;
+            write += count;
+        } else if (header !== -128) {
+            const count = Math.min(1 - header, end - write);
+            target.fill(source[read++], write, write + count);
+            write += count;
+        }
+    }
+}
+
+/**
+ * Zip-with-prediction stores each sample as the difference to its left neighbour
+ */
+function undoPrediction(plane, width, height, depth) {
+    if (depth === 8) {
+        for (let row = 0; row < height; row++) {
+            const start = row * width;
+            for (let x = 1; x < width; x++) {
+                plane[start + x] = (plane[start + x] + plane[start + x - 1]) & 0xff;
+            }
+        }
+    } else if (depth === 16) {
+        for (let row = 0; row < height; row++) {
+            const start = row * width * 2;
+            for (let x = 1; x < width; x++) {
+                const i = start + x * 2;
+                plane.writeUInt16BE((plane.readUInt16BE(i) + plane.readUInt16BE(i - 2)) & 0xffff, i);
+            }
+        }
+    } else {
+        // 32-bit rows are split into byte planes (all high bytes first) before the delta
+        const rowLength = width * 4;
+        const row = Buffer.alloc(rowLength);
+        for (let y = 0; y < height; y++) {
+            const start = y * rowLength;
+            for (let i = 1; i < rowLength; i++) {
+                plane[start + i] = (plane[start + i] + plane[start + i - 1]) & 0xff;
+            }
+            for (let x = 0; x < width; x++) {
+                for (let b = 0; b < 4; b++) {
+                    row[x * 4 + b] = plane[start + b * width + x];
+                }
+            }
+            row.copy(plane, start);
+        }
+    }
+}
+
+function toEightBit(plane, depth) {
+    if (depth === 8) return plane;
+
+    const samples = plane.length / (depth / 8);
+    const result = Buffer.alloc(samples);
+    for (let i = 0; i < samples; i++) {
+        result[i] = depth === 16
+            ? plane[i * 2]
+            : Math.round(Math.min(1, Math.max(0, plane.readFloatBE(i * 4))) * 255);
+    }
+    return result;
+}
+
+function toRGBA(planes, pixels, mode, palette, hasAlpha) {
+    const rgba = Buffer.alloc(pixels * 4);
+    const alpha = hasAlpha ? planes[COLOR_CHANNELS[mode]] : null;
+
+    for (let i = 0; i < pixels; i++) {
+        const o = i * 4;
+        if (mode === 'rgb') {
+            rgba[o] = planes[0][i];
+            rgba[o + 1] = planes[1][i];
+            rgba[o + 2] = planes[2][i];
+        } else if (mode === 'cmyk') {
+            // Stored inverted (0 = full ink); no color profile is applied
+            const k = planes[3][i] / 255;
+            rgba[o] = Math.round(planes[0][i] * k);
+            rgba[o + 1] = Math.round(planes[1][i] * k);
+            rgba[o + 2] = Math.round(planes[2][i] * k);
+        } else if (mode === 'indexed') {
+            const index = planes[0][i];
+            rgba[o] = palette[index];
+            rgba[o + 1] = palette[256 + index];
+            rgba[o + 2] = palette[512 + index];
+        } else {
+            rgba[o] = rgba[o + 1] = rgba[o + 2] = planes[0][i];
+        }
+        rgba[o + 3] = alpha ? alpha[i] : 255;
+    }
+    return rgba;
+}
+
+function sliceChecked(buffer, start, length) {
+    if (start + length > buffer.length) {
+        throw new Error('Photoshop image data is truncated');
+    }
+    return buffer.subarray(start, start + length);
+}
+
+function readUInt64(buffer, offset) {
+    return buffer.readUInt32BE(offset) * 0x100000000 + buffer.readUInt32BE(offset + 4);
+}
+
+module.exports = { readPsdComposite, unpackBits };
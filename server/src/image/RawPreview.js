@@ -0,0 +1,134 @@
+/**
+ * Camera RAW files carry one or more JPEG previews the camera rendered with
+ * its own settings. Decoding the sensor data would need a raw developer, so
+ * the largest baseline/progressive preview stands in for the image.
+ */
+
+// Fujifilm RAF puts its preview offset in a fixed header instead of a TIFF IFD
+const RAF_MAGIC = 'FUJIFILMCCD-RAW';
+
+// Start of a JPEG stream: SOI followed by the next marker
+const SOI = Buffer.from([0xff, 0xd8, 0xff]);
+
+// Most files have two or three previews; stop looking after this many
+const MAX_CANDIDATES = 64;
+
+/**
+ * Find the largest embedded JPEG preview
+ * @param {Buffer} buffer - The whole RAW file
+ * @returns {{ jpeg: Buffer, width: number, height: number, orientation: number }|null}
+ */
+function extractRawPreview(buffer) {
+    const candidates = [];
+
+    if (buffer.toString('latin1', 0, RAF_MAGIC.length) === RAF_MAGIC && buffer.length > 92) {
+        const offset = buffer.readUInt32BE(84);
+        const length = buffer.readUInt32BE(88);
+        addCandidate(candidates, buffer, offset, length);
+    }
+
+    // SOI markers can't occur inside JPEG entropy-coded data, so every hit
+    // is either the start of a JPEG or noise in the sensor data, which the
+    // frame header check rejects
+    let position = 0;
+    while (candidates.length < MAX_CANDIDATES) {
+        position = buffer.indexOf(SOI, position);
+        if (position < 0) break;
+        addCandidate(candidates, buffer, position);
+        position += SOI.length;
+    }
+
+    if (candidates.length === 0) return null;
+
+    const largest = candidates.reduce((best, candidate) =>
+        candidate.width * candidate.height > best.width * best.height ? candidate : best
+    );
+
+    return {
+        jpeg: largest.jpeg,
+        width: largest.width,
+        height: largest.height,
+        orientation: readTiffOrientation(buffer)
+    };
+}
+
+function addCandidate(candidates, buffer, offset, length = buffer.length - offset) {
+    if (offset <= 0 || offset >= buffer.length) return;
+    if (candidates.some(candidate => candidate.offset === offset)) return;
+
+    const jpeg = buffer.subarray(offset, Math.min(buffer.length, offset + length));
+    const size = readJpegSize(jpeg);
+    if (size) {
+        candidates.push({ offset, jpeg, ...size });
+    }
+}
+
+/**
+ * Walk the JPEG markers up to the frame header. Only baseline, extended and
+ * progressive frames count - lossless (SOF3) streams are raw sensor data.
+ * @returns {{ width: number, height: number }|null}
+ */
+function readJpegSize(jpeg) {
+    if (jpeg.length < 4 || jpeg[0] !== 0xff || jpeg[1] !== 0xd8) return null;
+
+    let offset = 2;
+    for (let markers = 0; markers < 100 && offset + 4 <= jpeg.length; markers++) {
+        if (jpeg[offset] !== 0xff) return null;
+        const marker = jpeg[offset + 1];
+
+        // Fill bytes
+        if (marker === 0xff) {
+            offset++;
+            continue;
+        }
+
+        if (marker >= 0xc0 && marker <= 0xc2) {
+            if (offset + 9 > jpeg.length) return null;
+            const height = jpeg.readUInt16BE(offset + 5);
+            const width = jpeg.readUInt16BE(offset + 7);
+            return width > 0 && height > 0 ? { width, height } : null;
+        }
+
+        // Any other frame type, or image data before a frame header
+        if ((marker >= 0xc3 && marker <= 0xcf && marker !== 0xc4 && marker !== 0xc8 && marker !== 0xcc) || marker === 0xda || marker === 0xd9) {
+            return null;
+        }
+
+        if (marker === 0x01 || (marker >= 0xd0 && marker <= 0xd8)) {
+            offset += 2;
+        } else {
+            offset += 2 + jpeg.readUInt16BE(offset + 2);
+        }
+    }
+    return null;
+}
+
+/**
+ * EXIF orientation from IFD0 of TIFF-based RAW files (CR2, NEF, ARW, DNG,
+ * ORF, RW2, PEF, SRW...). 1 when there is none.
+ */
+function readTiffOrientation(buffer) {
+    if (buffer.length < 8) return 1;
+
+    const byteOrder = buffer.toString('latin1', 0, 2);
+    if (byteOrder !== 'II' && byteOrder !== 'MM') return 1;
+    const little = byteOrder === 'II';
+    const readUInt16 = offset => little ? buffer.readUInt16LE(offset) : buffer.readUInt16BE(offset);
+    const readUInt32 = offset => little ? buffer.readUInt32LE(offset) : buffer.readUInt32BE(offset);
+
+    const ifd = readUInt32(4);
+    if (ifd < 8 || ifd + 2 > buffer.length) return 1;
+
+    const count = readUInt16(ifd);
+    for (let i = 0; i < count; i++) {
+        const entry = ifd + 2 + i * 12;
+        if (entry + 12 > buffer.length) break;
+        if (readUInt16(entry) === 0x0112) {
+            const orientation = readUInt16(entry + 8);
+            return orientation >= 1 && orientation <= 8 ? orientation : 1;
+        }
+    }
+    return 1;
+}
+
+module.exports = { extractRawPreview, readJpegSize, readTiffOrientation };
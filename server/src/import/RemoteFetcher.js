@@ -0,0 +1,289 @@
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const path = require('path');
+const fs = require('fs');
+const { pipeline } = require('stream/promises');
+const ImageFormats = require('../image/ImageFormats');
+
+/**
+ * Download a remote image or video for /api/import-url.
+ * The file is streamed to disk and hashed on the way, so large videos are
+ * never held in memory. Only http(s) URLs on public addresses are fetched
+ * unless allowPrivateHosts is set - otherwise anyone with an account could
+ * make the server request its own internal network. Host names are checked
+ * while connecting, so the address checked is the address connected to.
+ */
+
+const MAX_REDIRECTS = 5;
+const DEFAULT_TIMEOUT = 30000;
+const DEFAULT_MAX_BYTES = 500 * 1024 * 1024; // Same as the multer upload limit
+
+// Used when a server sends no usable Content-Type
+const EXTENSION_TYPES = {
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.png': 'image/png',
+    '.gif': 'image/gif',
+    '.webp': 'image/webp',
+    '.apng': 'image/apng',
+    '.bmp': 'image/bmp',
+    '.mp4': 'video/mp4',
+    '.webm': 'video/webm',
+    '.mov': 'video/quicktime',
+    '.ogv': 'video/ogg',
+    ...ImageFormats.EXTENSION_TYPES
+};
+
+const TYPE_EXTENSIONS = {
+    'image/jpeg': '.jpg',
+    'image/png': '.png',
+    'image/gif': '.gif',
+    'image/webp': '.webp',
+    'image/apng': '.apng',
+    'image/bmp': '.bmp',
+    'video/mp4': '.mp4',
+    'video/webm': '.webm',
+    'video/quicktime': '.mov',
+    'video/ogg': '.ogv',
+    'image/heic': '.heic',
+    'image/heif': '.heif',
+    'image/tiff': '.tif',
+    'image/svg+xml': '.svg',
+    'image/vnd.adobe.photoshop': '.psd'
+};
+
+/**
+ * The upload fileFilter rule - images and videos only
+ */
+function isAllowedMediaType(mimeType) {
+    return typeof mimeType === 'string' && (mimeType.startsWith('image/') || mimeType.startsWith('video/'));
+}
+
+function fetchError(message, status) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+// Loopback, private, link-local, multicast and other non-public ranges.
+// BlockList also matches IPv4-mapped IPv6 addresses (::ffff:7f00:1 and
+// ::ffff:127.0.0.1) against the IPv4 rules.
+const PRIVATE_ADDRESSES = new net.BlockList();
+for (const [network, prefix] of [
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+    ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16],
+    ['198.18.0.0', 15], ['224.0.0.0', 3]
+]) {
+    PRIVATE_ADDRESSES.addSubnet(network, prefix, 'ipv4');
+}
+for (const [network, prefix] of [
+    ['::', 96], // Unspecified, loopback and IPv4-compatible (::127.0.0.1)
+    ['64:ff9b::', 96], ['64:ff9b:1::', 48], // NAT64
+    ['100::', 64], ['2001::', 32], ['2002::', 16], // Discard, Teredo, 6to4
+    ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+]) {
+    PRIVATE_ADDRESSES.addSubnet(network, prefix, 'ipv6');
+}
+
+function isPrivateAddress(address) {
+    const family = net.isIP(address);
+    if (!family) return true;
+    return PRIVATE_ADDRESSES.check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+/**
+ * dns.lookup that refuses private addresses. Used as the connection's
+ * lookup, so a host name can't resolve to a public address for the check and
+ * a private one for the request.
+ */
+function publicLookup(hostname, options, callback) {
+    dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+        if (error) return callback(fetchError(`Could not resolve ${hostname}`, 400));
+        if (addresses.length === 0 || addresses.some(({ address }) => isPrivateAddress(address))) {
+            return callback(fetchError('URLs on private networks cannot be imported', 400));
+        }
+        if (options.all) return callback(null, addresses);
+        callback(null, addresses[0].address, addresses[0].family);
+    });
+}
+
+function checkUrl(url, allowPrivateHosts) {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch (error) {
+        throw fetchError('Invalid URL', 400);
+    }
+
+    if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+        throw fetchError('Only http and https URLs can be imported', 400);
+    }
+
+    // Addresses in the URL are connected to without a lookup
+    const host = parsed.hostname.replace(/^\[|\]$/g, '');
+    if (!allowPrivateHosts && net.isIP(host) && isPrivateAddress(host)) {
+        throw fetchError('URLs on private networks cannot be imported', 400);
+    }
+
+    return parsed;
+}
+
+/**
+ * One GET without following redirects
+ * @returns {Promise<http.IncomingMessage>}
+ */
+function get(parsed, { allowPrivateHosts, signal }) {
+    const client = parsed.protocol === 'https:' ? https : http;
+    return new Promise((resolve, reject) => {
+        const req = client.get(parsed, {
+            signal,
+            lookup: allowPrivateHosts ? undefined : publicLookup,
+            headers: { 'User-Agent': 'ImageCanvas' }
+        }, resolve);
+        req.on('error', reject);
+    });
+}
+
+/**
+ * Request a URL, following redirects one hop at a time so every hop is checked
+ */
+async function request(url, { allowPrivateHosts, signal }) {
+    let current = url;
+
+    for (let redirects = 0; redirects <= MAX_REDIRECTS; redirects++) {
+        const parsed = checkUrl(current, allowPrivateHosts);
+
+        let response;
+        try {
+            response = await get(parsed, { allowPrivateHosts, signal });
+        } catch (error) {
+            if (error.status) throw error;
+            if (signal.aborted) throw fetchError('The remote server took too long to respond', 504);
+            throw fetchError(`Could not fetch URL: ${error.message}`, 502);
+        }
+
+        const status = response.statusCode;
+        if (status >= 300 && status < 400 && response.headers.location) {
+            response.resume();
+            current = new URL(response.headers.location, parsed).href;
+            continue;
+        }
+
+        if (status < 200 || status >= 300) {
+            response.resume();
+            throw fetchError(`Remote server answered HTTP ${status}`, 502);
+        }
+
+        return { response, finalUrl: parsed };
+    }
+
+    throw fetchError('Too many redirects', 502);
+}
+
+function getMimeType(response, finalUrl) {
+    const header = (response.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+    if (header && header !== 'application/octet-stream' && header !== 'binary/octet-stream') {
+        return ImageFormats.normalizeMimeType(header, finalUrl.pathname);
+    }
+    return EXTENSION_TYPES[path.extname(finalUrl.pathname).toLowerCase()] || header || null;
+}
+
+/**
+ * Original filename from Content-Disposition or the URL path, with an
+ * extension matching the MIME type
+ */
+function getFilename(response, finalUrl, mimeType) {
+    const disposition = response.headers['content-disposition'] || '';
+    const match = disposition.match(/filename\*=UTF-8''([^;]+)|filename="?([^";]+)"?/i);
+
+    let name = '';
+    try {
+        name = match ? decodeURIComponent(match[1] || match[2]) : decodeURIComponent(path.posix.basename(finalUrl.pathname));
+    } catch (error) {
+        name = '';
+    }
+    name = path.basename(name).trim() || 'imported';
+
+    const extension = TYPE_EXTENSIONS[mimeType];
+    if (extension && !EXTENSION_TYPES[path.extname(name).toLowerCase()]) {
+        name += extension;
+    }
+    return name;
+}
+
+/**
+ * Download a URL into a file
+ * @param {string} url - http(s) URL
+ * @param {string} destination - Path to write the file to (removed again on failure)
+ * @param {Object} options - { maxBytes, timeout, allowPrivateHosts }
+ * @returns {Promise<Object>} { hash, size, mimeType, originalName, finalUrl }
+ */
+async function fetchRemoteFile(url, destination, options = {}) {
+    const maxBytes = options.maxBytes || DEFAULT_MAX_BYTES;
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), options.timeout || DEFAULT_TIMEOUT);
+
+    try {
+        const { response, finalUrl } = await request(url, {
+            allowPrivateHosts: !!options.allowPrivateHosts,
+            signal: controller.signal
+        });
+
+        const mimeType = getMimeType(response, finalUrl);
+        if (!isAllowedMediaType(mimeType)) {
+            response.destroy();
+            throw fetchError(`Only image and video files are allowed (got ${mimeType || 'unknown type'})`, 415);
+        }
+
+        const declaredSize = Number(response.headers['content-length']);
+        if (declaredSize > maxBytes) {
+            response.destroy();
+            throw fetchError('File is too large', 413);
+        }
+
+        const hash = crypto.createHash('sha256');
+        let size = 0;
+
+        try {
+            await pipeline(
+                response,
+                async function* (source) {
+                    for await (const chunk of source) {
+                        size += chunk.length;
+                        if (size > maxBytes) {
+                            throw fetchError('File is too large', 413);
+                        }
+                        hash.update(chunk);
+                        yield chunk;
+                    }
+                },
+                fs.createWriteStream(destination)
+            );
+        } catch (error) {
+            await fs.promises.unlink(destination).catch(() => {});
+            if (error.status) throw error;
+            if (controller.signal.aborted) throw fetchError('The remote server took too long to respond', 504);
+            throw fetchError(`Download failed: ${error.message}`, 502);
+        }
+
+        if (size === 0) {
+            await fs.promises.unlink(destination).catch(() => {});
+            throw fetchError('The remote file is empty', 502);
+        }
+
+        return {
+            hash: hash.digest('hex'),
+            size,
+            mimeType,
+            originalName: getFilename(response, finalUrl, mimeType),
+            finalUrl: finalUrl.href
+        };
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+module.exports = { fetchRemoteFile, isAllowedMediaType, isPrivateAddress, TYPE_EXTENSIONS };
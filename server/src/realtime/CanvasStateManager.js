@@ -1,3 +1,9 @@
+const ANNOTATABLE_TYPES = ['media/image', 'media/video'];
+const ANNOTATION_TOOLS = ['pen', 'marker'];
+const ANNOTATION_MAX_POINTS = 4000; // Clients simplify strokes well below this
+const CROP_MIN_SIZE = 0.01; // Matches ImageCrop.MIN_SIZE on the client
+const VIDEO_TIMELINE_FIELDS = ['inPoint', 'outPoint', 'posterTime']; // Mirrors VideoTimelineCommand.FIELDS
+
 /**
  * CanvasStateManager - Server-side authoritative state management
  * 
@@ -151,12 +157,18 @@ class CanvasStateManager {
             case 'video_toggle':
                 return this.applyVideoToggle(operation.params, state, changes);
                 
+            case 'video_timeline':
+                return this.applyVideoTimeline(operation.params, state, changes);
+                
             case 'node_batch_property_update':
                 return this.applyBatchPropertyUpdate(operation.params, state, changes);
                 
             case 'node_reset':
                 return this.applyNodeReset(operation.params, state, changes);
                 
+            case 'node_crop':
+                return this.applyNodeCrop(operation.params, state, changes);
+                
             case 'node_duplicate':
                 return this.applyNodeDuplicate(operation.params, state, changes);
                 
@@ -176,11 +188,20 @@ class CanvasStateManager {
                 });
                 break;
                 
+            case 'node_arrange':
+                return this.applyNodeArrange(operation.params, state, changes);
+                
             case 'node_layer_order':
                 return this.applyNodeLayerOrder(operation.params, state, changes);
 
             case 'image_upload_complete':
                 return this.applyImageUploadComplete(operation.params, state, changes);
+
+            case 'annotation_add':
+                return this.applyAnnotationAdd(operation.params, state, changes);
+
+            case 'annotation_remove':
+                return this.applyAnnotationRemove(operation.params, state, changes);
                 
             // Group operations
             case 'group_create':
@@ -204,6 +225,9 @@ class CanvasStateManager {
             case 'group_update_style':
                 return this.applyGroupUpdateStyle(operation.params, state, changes);
                 
+            case 'group_ungroup':
+                return this.applyGroupUngroup(operation.params, state, changes);
+                
             default:
                 
                 return null;
@@ -316,6 +340,9 @@ class CanvasStateManager {
         const toDelete = new Set(params.nodeIds);
         const remaining = [];
         
+        // Connectors bound to deleted nodes are detached or deleted with them
+        changes.previousEndpoints = this.detachConnectors(toDelete, params.detachedEndpoints, state, changes);
+        
         // Capture full node data before deletion for undo
         const deletedNodes = [];
         
@@ -363,6 +390,78 @@ class CanvasStateManager {
         return changes;
     }
     
+    /**
+     * Detach connector ends bound to nodes being deleted - at the point the
+     * client planned, or the deleted node's center - and add connectors with
+     * no bound end left to toDelete. Mirrors ConnectorNode.planDelete.
+     * @returns {Object} Endpoints the detached connectors had before, by connector id
+     */
+    detachConnectors(toDelete, plannedEndpoints, state, changes) {
+        const previousEndpoints = {};
+        
+        for (const node of state.nodes) {
+            if (node.type !== 'shape/connector' || toDelete.has(node.id) || !node.properties) continue;
+            
+            const detached = {};
+            let stillBound = false;
+            for (const end of ['start', 'end']) {
+                const endpoint = node.properties[end];
+                if (endpoint?.nodeId == null) continue;
+                if (!toDelete.has(endpoint.nodeId)) {
+                    stillBound = true;
+                    continue;
+                }
+                
+                const bound = state.nodes.find(n => n.id === endpoint.nodeId);
+                const point = plannedEndpoints?.[node.id]?.[end]?.point ||
+                    (bound ? [bound.pos[0] + bound.size[0] / 2, bound.pos[1] + bound.size[1] / 2] : endpoint.point) ||
+                    [0, 0];
+                detached[end] = { nodeId: null, anchor: 'auto', point: [...point] };
+            }
+            
+            if (Object.keys(detached).length === 0) continue;
+            if (!stillBound) {
+                toDelete.add(node.id);
+                continue;
+            }
+            
+            previousEndpoints[node.id] = {};
+            for (const end of Object.keys(detached)) {
+                previousEndpoints[node.id][end] = node.properties[end];
+            }
+            node.properties = { ...node.properties, ...detached };
+            changes.updated.push(node);
+        }
+        
+        return previousEndpoints;
+    }
+    
+    /**
+     * Point a copied connector at the copies of the nodes it was bound to.
+     * Free ends move with the copy; ends bound to nodes that weren't copied
+     * stay on the original nodes. Mirrors ConnectorNode.rebindCopy.
+     * @param {Function} getCopyId - (endpoint) => id of the copied node, or undefined
+     */
+    rebindConnectorCopy(copy, source, getCopyId) {
+        const dx = copy.pos[0] - source.pos[0];
+        const dy = copy.pos[1] - source.pos[1];
+        
+        for (const end of ['start', 'end']) {
+            const endpoint = source.properties?.[end];
+            if (!endpoint) continue;
+            
+            const { copyIndex, ...rebound } = endpoint;
+            const copyId = getCopyId(endpoint);
+            if (copyId !== undefined) rebound.nodeId = copyId;
+            if (Array.isArray(endpoint.point) && (copyId !== undefined || endpoint.nodeId == null)) {
+                rebound.point = [endpoint.point[0] + dx, endpoint.point[1] + dy];
+            } else if (Array.isArray(endpoint.point)) {
+                rebound.point = [...endpoint.point];
+            }
+            copy.properties[end] = rebound;
+        }
+    }
+    
     /**
      * Apply node resize
      */
@@ -403,6 +502,37 @@ class CanvasStateManager {
         return changes;
     }
     
+    /**
+     * Apply node arrange (distribute, match size, layout)
+     * The client sends the final positions and sizes, plus positions for the
+     * children of moved groups
+     */
+    applyNodeArrange(params, state, changes) {
+        params.nodeIds.forEach((nodeId, index) => {
+            const node = state.nodes.find(n => n.id === nodeId);
+            if (node) {
+                node.pos = [...params.positions[index]];
+                
+                if (params.sizes && params.sizes[index]) {
+                    node.size = [...params.sizes[index]];
+                    node.aspectRatio = node.size[0] / node.size[1];
+                }
+                
+                changes.updated.push(node);
+            }
+        });
+        
+        for (const [childId, pos] of Object.entries(params.childPositions || {})) {
+            const child = state.nodes.find(n => n.id === childId);
+            if (child) {
+                child.pos = [...pos];
+                changes.updated.push(child);
+            }
+        }
+        
+        return changes;
+    }
+    
     /**
      * Apply node property update
      */
@@ -410,7 +540,7 @@ class CanvasStateManager {
         const node = state.nodes.find(n => n.id === params.nodeId);
         if (node) {
             // Handle special properties that belong on the node object itself
-            const nodeDirectProperties = ['title', 'rotation', 'aspectRatio', 'toneCurve', 'toneCurveBypassed', 'colorAdjustmentsBypassed', 'adjustments', 'colorBalance', 'colorBalanceBypassed'];
+            const nodeDirectProperties = ['title', 'rotation', 'aspectRatio', 'toneCurve', 'toneCurveBypassed', 'colorAdjustmentsBypassed', 'adjustments', 'colorBalance', 'colorBalanceBypassed', 'lut'];
             
             if (nodeDirectProperties.includes(params.property)) {
                 // Update property directly on the node object
@@ -473,7 +603,7 @@ class CanvasStateManager {
      * Apply node reset (rotation, aspect ratio, etc.)
      */
     applyNodeReset(params, state, changes) {
-        const { nodeIds, resetRotation, resetAspectRatio, values } = params;
+        const { nodeIds, resetRotation, resetAspectRatio, resetCrop, positions, sizes, values } = params;
         
         if (!nodeIds || !Array.isArray(nodeIds)) return null;
         
@@ -496,6 +626,20 @@ class CanvasStateManager {
                 updated = true;
             }
             
+            if (resetCrop && node.type === 'media/image') {
+                // Clients send the frame of the whole image along with the reset
+                if (!node.properties) node.properties = {};
+                node.properties.crop = null;
+                node.properties.flipH = false;
+                node.properties.flipV = false;
+                if (positions && positions[index]) node.pos = [...positions[index]];
+                if (sizes && sizes[index]) {
+                    node.size = [...sizes[index]];
+                    node.aspectRatio = node.size[0] / node.size[1];
+                }
+                updated = true;
+            }
+            
             if (updated) {
                 changes.updated.push(node);
             }
@@ -504,6 +648,51 @@ class CanvasStateManager {
         return changes;
     }
     
+    /**
+     * Apply crop and flip to image nodes. The node's pos/size become the
+     * visible region, so they come along with the crop rect.
+     */
+    applyNodeCrop(params, state, changes) {
+        const { nodeIds, crops, flipH, flipV, positions, sizes } = params;
+        
+        nodeIds.forEach((nodeId, index) => {
+            const node = state.nodes.find(n => n.id === nodeId);
+            if (!node || node.type !== 'media/image') return;
+            
+            if (!node.properties) node.properties = {};
+            if (crops) node.properties.crop = this.normalizeCrop(crops[index]);
+            if (flipH) node.properties.flipH = !!flipH[index];
+            if (flipV) node.properties.flipV = !!flipV[index];
+            
+            if (positions && positions[index]) node.pos = [...positions[index]];
+            if (sizes && sizes[index]) {
+                node.size = [...sizes[index]];
+                node.aspectRatio = node.size[0] / node.size[1];
+            }
+            
+            changes.updated.push(node);
+        });
+        
+        return changes;
+    }
+    
+    /**
+     * Clamp a normalized crop rect to the image
+     * @returns {Object|null} The rect, or null for the whole image
+     */
+    normalizeCrop(crop) {
+        if (!crop || ![crop.x, crop.y, crop.w, crop.h].every(Number.isFinite)) return null;
+        
+        const x = Math.min(Math.max(crop.x, 0), 1 - CROP_MIN_SIZE);
+        const y = Math.min(Math.max(crop.y, 0), 1 - CROP_MIN_SIZE);
+        const w = Math.min(Math.max(crop.w, CROP_MIN_SIZE), 1 - x);
+        const h = Math.min(Math.max(crop.h, CROP_MIN_SIZE), 1 - y);
+        
+        const epsilon = 1e-4;
+        if (x < epsilon && y < epsilon && w > 1 - epsilon && h > 1 - epsilon) return null;
+        return { x, y, w, h };
+    }
+    
     /**
      * Apply video toggle
      */
@@ -522,6 +711,23 @@ class CanvasStateManager {
         return changes;
     }
     
+    /**
+     * Apply video in/out points and poster frame (null clears a value)
+     */
+    applyVideoTimeline(params, state, changes) {
+        const node = state.nodes.find(n => n.id === params.nodeId);
+        if (node && node.type === 'media/video') {
+            for (const field of VIDEO_TIMELINE_FIELDS) {
+                if (params[field] !== undefined) {
+                    node.properties[field] = params[field];
+                }
+            }
+            changes.updated.push(node);
+        }
+        
+        return changes;
+    }
+    
     /**
      * Apply batch property update
      */
@@ -548,6 +754,7 @@ class CanvasStateManager {
         // Handle explicit node data (Alt+drag) or standard duplication
         if (nodeData && Array.isArray(nodeData)) {
             const defaultOffset = offset || [0, 0];
+            const duplicatesByIndex = [];
             
             for (const data of nodeData) {
                 // Create duplicate with new ID using explicit data
@@ -567,10 +774,20 @@ class CanvasStateManager {
                 
                 state.nodes.push(duplicate);
                 changes.added.push(duplicate);
+                duplicatesByIndex.push(duplicate);
             }
+            
+            // Bind copied connectors to the copies made in this operation
+            nodeData.forEach((data, index) => {
+                if (data.type !== 'shape/connector') return;
+                this.rebindConnectorCopy(duplicatesByIndex[index], data,
+                    endpoint => duplicatesByIndex[endpoint.copyIndex]?.id);
+            });
         } else if (nodeIds && Array.isArray(nodeIds)) {
             // Standard duplication from existing nodes
             const defaultOffset = offset || [20, 20];
+            const idMap = new Map(); // original id -> duplicate id
+            const connectorCopies = [];
             
             for (const nodeId of nodeIds) {
                 const originalNode = state.nodes.find(n => n.id === nodeId);
@@ -592,9 +809,18 @@ class CanvasStateManager {
                     
                     state.nodes.push(duplicate);
                     changes.added.push(duplicate);
+                    idMap.set(originalNode.id, duplicate.id);
+                    if (duplicate.type === 'shape/connector') {
+                        connectorCopies.push([duplicate, originalNode]);
+                    }
                 }
                 // Missing nodes are silently ignored
             }
+            
+            // Connectors duplicated with their nodes bind to the duplicates
+            for (const [duplicate, originalNode] of connectorCopies) {
+                this.rebindConnectorCopy(duplicate, originalNode, endpoint => idMap.get(endpoint.nodeId));
+            }
         }
         
         // Always return changes, even if empty - operation still succeeded
@@ -674,6 +900,12 @@ class CanvasStateManager {
                         }
                     }
                 }
+                
+                // Connectors bound to pasted nodes bind to the new copies
+                if (data.type === 'shape/connector') {
+                    this.rebindConnectorCopy(nodesByIndex.get(index), data,
+                        endpoint => nodesByIndex.get(endpoint.copyIndex)?.id);
+                }
             });
         }
         
@@ -685,7 +917,7 @@ class CanvasStateManager {
      * Apply image upload complete - update all nodes with matching hash
      */
     applyImageUploadComplete(params, state, changes) {
-        const { hash, serverUrl, serverFilename } = params;
+        const { hash, serverUrl, serverFilename, metadata, original, width, height } = params;
         
         console.log(`🔍 Processing image_upload_complete:`, {
             hash: hash?.substring(0, 8),
@@ -706,19 +938,41 @@ class CanvasStateManager {
         // Find all image nodes with this hash
         let updatedCount = 0;
         for (const node of state.nodes) {
-            if (node.type === 'media/image' && 
-                node.properties.hash === hash && 
-                !node.properties.serverUrl) {
-                
+            if (node.type !== 'media/image' || node.properties.hash !== hash) continue;
+            
+            let updated = false;
+            if (!node.properties.serverUrl) {
                 // Update node with server URL
                 node.properties.serverUrl = serverUrl;
                 if (serverFilename) {
                     node.properties.serverFilename = serverFilename;
                 }
-                
+                updated = true;
+            }
+            
+            // Searchable EXIF/IPTC fields - copies made before the upload finished need them too
+            if (metadata && !node.properties.metadata) {
+                node.properties.metadata = metadata;
+                updated = true;
+            }
+            
+            // HEIC/TIFF/SVG/PSD/RAW uploads show a converted copy; the browser
+            // couldn't measure the original, so the node takes the copy's shape
+            if (original && !node.properties.original) {
+                node.properties.original = original;
+                if (width > 0 && height > 0) {
+                    node.properties.originalWidth = width;
+                    node.properties.originalHeight = height;
+                    if (Array.isArray(node.size)) {
+                        node.size[1] = node.size[0] * height / width;
+                    }
+                }
+                updated = true;
+            }
+            
+            if (updated) {
                 changes.updated.push(node);
                 updatedCount++;
-
             }
         }
         
@@ -776,6 +1030,27 @@ class CanvasStateManager {
         };
     }
     
+    /**
+     * Replace the full node list (used when restoring a saved version)
+     */
+    async replaceState(canvasId, nodes) {
+        const state = await this.getCanvasState(canvasId);
+        const newVersion = (this.stateVersions.get(canvasId) || 0) + 1;
+
+        // Deep copy so the snapshot source is never mutated by later operations
+        state.nodes = JSON.parse(JSON.stringify(nodes || []));
+        state.version = newVersion;
+        state.lastModified = Date.now();
+        this.stateVersions.set(canvasId, newVersion);
+
+        await this.saveCanvasState(canvasId, state);
+
+        return {
+            nodes: state.nodes,
+            version: newVersion
+        };
+    }
+
     /**
      * Create operation validators
      */
@@ -793,6 +1068,9 @@ class CanvasStateManager {
             if (!op.params.nodeId && !op.params.nodeIds) {
                 return { valid: false, error: 'Missing nodeId or nodeIds' };
             }
+            if (this.findLockedNode(state, op.params.nodeIds || [op.params.nodeId])) {
+                return { valid: false, error: 'Cannot move a locked node' };
+            }
             
             // Always valid - missing nodes will be silently ignored during apply
             // This allows for eventual consistency between client and server
@@ -815,6 +1093,9 @@ class CanvasStateManager {
             if (op.params.nodeIds.length !== op.params.sizes.length) {
                 return { valid: false, error: 'Mismatched nodeIds and sizes arrays' };
             }
+            if (this.findLockedNode(state, op.params.nodeIds)) {
+                return { valid: false, error: 'Cannot resize a locked node' };
+            }
             // Always valid - missing nodes will be silently ignored during apply
             return { valid: true };
         });
@@ -823,12 +1104,19 @@ class CanvasStateManager {
             if (!op.params.nodeId || !op.params.property) {
                 return { valid: false, error: 'Missing required parameters' };
             }
+            if (['locked', 'hidden'].includes(op.params.property) && typeof op.params.value !== 'boolean') {
+                return { valid: false, error: `${op.params.property} must be a boolean` };
+            }
             // Always valid - missing nodes will be silently ignored during apply
             // This allows property updates during node creation/sync
             return { valid: true };
         });
         
         validators.set('node_rotate', (op, state) => {
+            if (this.findLockedNode(state, op.params.nodeIds || [op.params.nodeId])) {
+                return { valid: false, error: 'Cannot rotate a locked node' };
+            }
+            
             // Single node rotation
             if (op.params.nodeId) {
                 if (typeof op.params.angle !== 'number') {
@@ -860,13 +1148,46 @@ class CanvasStateManager {
             if (!op.params.nodeIds || !Array.isArray(op.params.nodeIds) || op.params.nodeIds.length === 0) {
                 return { valid: false, error: 'Missing or invalid nodeIds' };
             }
-            if (!op.params.resetRotation && !op.params.resetAspectRatio) {
+            if (!op.params.resetRotation && !op.params.resetAspectRatio && !op.params.resetCrop) {
                 return { valid: false, error: 'Missing reset parameters' };
             }
+            if (this.findLockedNode(state, op.params.nodeIds)) {
+                return { valid: false, error: 'Cannot reset a locked node' };
+            }
             // Always valid - missing nodes will be silently ignored during apply
             return { valid: true };
         });
         
+        validators.set('node_crop', (op, state) => {
+            const { nodeIds, crops, flipH, flipV, positions, sizes } = op.params;
+            if (!Array.isArray(nodeIds) || nodeIds.length === 0) {
+                return { valid: false, error: 'Missing or invalid nodeIds' };
+            }
+            if (!crops && !flipH && !flipV) {
+                return { valid: false, error: 'Missing crop or flip parameters' };
+            }
+            for (const list of [crops, flipH, flipV, positions, sizes]) {
+                if (list && (!Array.isArray(list) || list.length !== nodeIds.length)) {
+                    return { valid: false, error: 'Crop parameters must match nodeIds' };
+                }
+            }
+            if (crops) {
+                for (const crop of crops) {
+                    if (crop !== null && ![crop?.x, crop?.y, crop?.w, crop?.h].every(Number.isFinite)) {
+                        return { valid: false, error: 'Invalid crop rect' };
+                    }
+                }
+            }
+            if (sizes && sizes.some(size => !Array.isArray(size) || !(size[0] > 0) || !(size[1] > 0))) {
+                return { valid: false, error: 'Invalid sizes' };
+            }
+            if (this.findLockedNode(state, nodeIds)) {
+                return { valid: false, error: 'Cannot crop a locked node' };
+            }
+            // Always valid - missing and non-image nodes are ignored during apply
+            return { valid: true };
+        });
+        
         validators.set('video_toggle', (op, state) => {
             if (!op.params.nodeId) {
                 return { valid: false, error: 'Missing nodeId' };
@@ -876,6 +1197,31 @@ class CanvasStateManager {
             return { valid: true };
         });
         
+        validators.set('video_timeline', (op, state) => {
+            const { params } = op;
+            if (!params.nodeId) {
+                return { valid: false, error: 'Missing nodeId' };
+            }
+            const fields = VIDEO_TIMELINE_FIELDS.filter(field => params[field] !== undefined);
+            if (fields.length === 0) {
+                return { valid: false, error: 'No timeline values to update' };
+            }
+            for (const field of fields) {
+                const value = params[field];
+                if (value !== null && (typeof value !== 'number' || !Number.isFinite(value) || value < 0)) {
+                    return { valid: false, error: `Invalid ${field}` };
+                }
+            }
+            // Check the range as it will be after merging with the node's current points
+            const node = state.nodes.find(n => n.id === params.nodeId);
+            const inPoint = params.inPoint !== undefined ? params.inPoint : node?.properties?.inPoint;
+            const outPoint = params.outPoint !== undefined ? params.outPoint : node?.properties?.outPoint;
+            if (typeof inPoint === 'number' && typeof outPoint === 'number' && inPoint >= outPoint) {
+                return { valid: false, error: 'In point must be before out point' };
+            }
+            return { valid: true };
+        });
+        
         validators.set('node_batch_property_update', (op, state) => {
             if (!op.params.updates || !Array.isArray(op.params.updates)) {
                 return { valid: false, error: 'Missing updates array' };
@@ -919,17 +1265,62 @@ class CanvasStateManager {
                 op.params.positions.length !== op.params.nodeIds.length) {
                 return { valid: false, error: 'Missing or invalid positions array' };
             }
+            if (this.findLockedNode(state, op.params.nodeIds)) {
+                return { valid: false, error: 'Cannot align a locked node' };
+            }
             // Always valid - missing nodes will be silently ignored during apply
             return { valid: true };
         });
         
+        validators.set('node_arrange', (op, state) => {
+            const { nodeIds, positions, sizes } = op.params;
+            if (!nodeIds || !Array.isArray(nodeIds) || nodeIds.length < 2) {
+                return { valid: false, error: 'Missing or invalid nodeIds (need at least 2 nodes)' };
+            }
+            if (!['distribute', 'match_size', 'layout'].includes(op.params.action)) {
+                return { valid: false, error: 'Missing or invalid action' };
+            }
+            if (!Array.isArray(positions) || positions.length !== nodeIds.length) {
+                return { valid: false, error: 'Missing or invalid positions array' };
+            }
+            if (sizes !== undefined && (!Array.isArray(sizes) || sizes.length !== nodeIds.length ||
+                sizes.some(size => !Array.isArray(size) || size[0] <= 0 || size[1] <= 0))) {
+                return { valid: false, error: 'Invalid sizes array' };
+            }
+            if (this.findLockedNode(state, nodeIds)) {
+                return { valid: false, error: 'Cannot arrange a locked node' };
+            }
+            return { valid: true };
+        });
+        
         validators.set('node_layer_order', (op, state) => {
             if (!op.params.nodeIds || !Array.isArray(op.params.nodeIds) || op.params.nodeIds.length === 0) {
                 return { valid: false, error: 'Missing or invalid nodeIds' };
             }
-            if (!['up', 'down', 'front', 'back'].includes(op.params.direction)) {
+            if (!['up', 'down', 'front', 'back', 'above', 'below'].includes(op.params.direction)) {
                 return { valid: false, error: 'Invalid direction' };
             }
+            if (['above', 'below'].includes(op.params.direction) && (op.params.targetId === undefined || op.params.targetId === null)) {
+                return { valid: false, error: 'Missing targetId' };
+            }
+            return { valid: true };
+        });
+        
+        validators.set('annotation_add', (op, state) => {
+            if (!op.params.nodeId) {
+                return { valid: false, error: 'Missing nodeId' };
+            }
+            return this.validateAnnotationStroke(op.params.stroke);
+        });
+        
+        validators.set('annotation_remove', (op, state) => {
+            if (!op.params.nodeId) {
+                return { valid: false, error: 'Missing nodeId' };
+            }
+            if (!Array.isArray(op.params.strokeIds) || op.params.strokeIds.length === 0) {
+                return { valid: false, error: 'Missing or invalid strokeIds' };
+            }
+            // Always valid - strokes someone else already erased are ignored during apply
             return { valid: true };
         });
         
@@ -955,6 +1346,9 @@ class CanvasStateManager {
             if (!op.params.groupId || !op.params.nodeId) {
                 return { valid: false, error: 'Missing groupId or nodeId' };
             }
+            if (op.params.nodeId === op.params.groupId || this.isInsideGroup(state, op.params.groupId, op.params.nodeId)) {
+                return { valid: false, error: 'A group cannot be added to itself or to a group inside it' };
+            }
             return { valid: true };
         });
         
@@ -972,6 +1366,9 @@ class CanvasStateManager {
             if (!op.params.position || !Array.isArray(op.params.position) || op.params.position.length !== 2) {
                 return { valid: false, error: 'Invalid position for group move' };
             }
+            if (this.findLockedNode(state, [op.params.groupId])) {
+                return { valid: false, error: 'Cannot move a locked group' };
+            }
             return { valid: true };
         });
         
@@ -989,6 +1386,20 @@ class CanvasStateManager {
             if (!op.params.groupId) {
                 return { valid: false, error: 'Missing groupId for toggle collapsed' };
             }
+            if (op.params.collapsed !== undefined && typeof op.params.collapsed !== 'boolean') {
+                return { valid: false, error: 'collapsed must be a boolean' };
+            }
+            return { valid: true };
+        });
+        
+        validators.set('group_ungroup', (op, state) => {
+            if (!op.params.groupId) {
+                return { valid: false, error: 'Missing groupId for ungroup' };
+            }
+            const group = state.nodes.find(n => n.id === op.params.groupId);
+            if (!group || group.type !== 'container/group') {
+                return { valid: false, error: 'Group not found' };
+            }
             return { valid: true };
         });
         
@@ -1009,6 +1420,82 @@ class CanvasStateManager {
     // GROUP OPERATION HANDLERS
     // ===================================
     
+    /**
+     * The group that directly contains a node, if any
+     */
+    findParentGroup(state, nodeId) {
+        return state.nodes.find(n => n.type === 'container/group' &&
+            n.properties?.childNodes?.includes(nodeId)) || null;
+    }
+    
+    /**
+     * Whether nodeId sits inside groupId, directly or in a nested group
+     */
+    isInsideGroup(state, nodeId, groupId) {
+        const seen = new Set();
+        let parent = this.findParentGroup(state, nodeId);
+        while (parent && !seen.has(parent.id)) {
+            if (parent.id === groupId) return true;
+            seen.add(parent.id);
+            parent = this.findParentGroup(state, parent.id);
+        }
+        return false;
+    }
+    
+    /**
+     * The first locked node among nodeIds, or null. A locked node still moves
+     * with a group it's inside when that group is part of the same operation.
+     */
+    findLockedNode(state, nodeIds) {
+        const ids = new Set(nodeIds);
+        for (const nodeId of ids) {
+            const node = state.nodes.find(n => n.id === nodeId);
+            if (!node?.properties?.locked) continue;
+            
+            const movedWithGroup = [...ids].some(id => id !== nodeId && this.isInsideGroup(state, nodeId, id));
+            if (!movedWithGroup) return node;
+        }
+        return null;
+    }
+    
+    /**
+     * Everything inside a group, including the contents of nested groups
+     */
+    getGroupDescendants(state, group) {
+        const descendants = [];
+        const visited = new Set([group.id]);
+        const stack = [...(group.properties?.childNodes || [])];
+        
+        while (stack.length > 0) {
+            const nodeId = stack.pop();
+            if (visited.has(nodeId)) continue;
+            visited.add(nodeId);
+            
+            const node = state.nodes.find(n => n.id === nodeId);
+            if (!node) continue;
+            descendants.push(node);
+            if (node.type === 'container/group') {
+                stack.push(...(node.properties?.childNodes || []));
+            }
+        }
+        return descendants;
+    }
+    
+    /**
+     * Take a node out of every group except keepGroupId - nodes have one parent
+     */
+    removeFromOtherGroups(state, nodeId, keepGroupId, changes) {
+        for (const group of state.nodes) {
+            if (group.type !== 'container/group' || group.id === keepGroupId) continue;
+            
+            const index = group.properties?.childNodes?.indexOf(nodeId) ?? -1;
+            if (index !== -1) {
+                group.properties.childNodes.splice(index, 1);
+                changes.updated.push(group);
+            }
+        }
+    }
+    
     /**
      * Apply group creation
      */
@@ -1030,9 +1517,24 @@ class CanvasStateManager {
             flags: {}
         };
         
+        // Grouped nodes leave their previous groups
+        for (const nodeId of params.nodeIds) {
+            this.removeFromOtherGroups(state, nodeId, groupId, changes);
+        }
+        
         state.nodes.push(group);
         changes.added.push(group);
         
+        // A group made inside another group nests in it
+        const parent = params.parentId && state.nodes.find(n => n.id === params.parentId);
+        if (parent && parent.type === 'container/group') {
+            if (!parent.properties.childNodes) {
+                parent.properties.childNodes = [];
+            }
+            parent.properties.childNodes.push(groupId);
+            changes.updated.push(parent);
+        }
+        
         return changes;
     }
     
@@ -1052,6 +1554,7 @@ class CanvasStateManager {
         
         // Add node to group if not already present
         if (!group.properties.childNodes.includes(params.nodeId)) {
+            this.removeFromOtherGroups(state, params.nodeId, group.id, changes);
             group.properties.childNodes.push(params.nodeId);
             changes.updated.push(group);
         }
@@ -1097,16 +1600,11 @@ class CanvasStateManager {
         group.pos[1] = params.position[1];
         changes.updated.push(group);
         
-        // Update child node positions
-        if (group.properties.childNodes) {
-            for (const nodeId of group.properties.childNodes) {
-                const childNode = state.nodes.find(n => n.id === nodeId);
-                if (childNode) {
-                    childNode.pos[0] += deltaX;
-                    childNode.pos[1] += deltaY;
-                    changes.updated.push(childNode);
-                }
-            }
+        // Update positions of everything inside, nested groups included
+        for (const childNode of this.getGroupDescendants(state, group)) {
+            childNode.pos[0] += deltaX;
+            childNode.pos[1] += deltaY;
+            changes.updated.push(childNode);
         }
         
         return changes;
@@ -1144,22 +1642,60 @@ class CanvasStateManager {
             return changes; // Silently ignore missing groups
         }
         
-        // Toggle collapsed state
-        group.properties.isCollapsed = !group.properties.isCollapsed;
+        // Toggle unless told which state to take
+        const collapsed = typeof params.collapsed === 'boolean' ? params.collapsed : !group.properties.isCollapsed;
         
-        // Update size based on collapsed state
-        if (group.properties.isCollapsed) {
-            // Store expanded size and use collapsed size
-            group.properties.expandedSize = [...group.size];
-            group.size = [200, 40]; // Collapsed size
-        } else {
-            // Restore expanded size
-            if (group.properties.expandedSize) {
-                group.size = [...group.properties.expandedSize];
+        // Cascading gives nested groups the same state, deepest first
+        const groups = params.cascade
+            ? [...this.getGroupDescendants(state, group).filter(n => n.type === 'container/group').reverse(), group]
+            : [group];
+        
+        for (const target of groups) {
+            if (!!target.properties.isCollapsed === collapsed) continue;
+            target.properties.isCollapsed = collapsed;
+            
+            // Update size based on collapsed state
+            if (collapsed) {
+                // Store expanded size and use collapsed size
+                target.properties.expandedSize = [...target.size];
+                target.size = [200, 40]; // Collapsed size
+            } else {
+                // Restore expanded size
+                if (target.properties.expandedSize) {
+                    target.size = [...target.properties.expandedSize];
+                }
             }
+            
+            changes.updated.push(target);
         }
         
-        changes.updated.push(group);
+        return changes;
+    }
+    
+    /**
+     * Apply ungroup - the group's children move up into its parent group,
+     * or to the top level, and the group is removed
+     */
+    applyGroupUngroup(params, state, changes) {
+        const index = state.nodes.findIndex(n => n.id === params.groupId);
+        const group = state.nodes[index];
+        if (!group || group.type !== 'container/group') {
+            return changes; // Silently ignore missing groups
+        }
+        
+        const parent = this.findParentGroup(state, group.id);
+        if (parent) {
+            const childNodes = parent.properties.childNodes.filter(id => id !== group.id);
+            for (const nodeId of group.properties?.childNodes || []) {
+                if (!childNodes.includes(nodeId)) childNodes.push(nodeId);
+            }
+            parent.properties.childNodes = childNodes;
+            changes.updated.push(parent);
+        }
+        
+        state.nodes.splice(index, 1);
+        changes.removed.push(group.id);
+        
         return changes;
     }
     
@@ -1203,6 +1739,78 @@ class CanvasStateManager {
         return changes;
     }
     
+    /**
+     * Check a freehand annotation stroke (see js/renderers/AnnotationStrokes.js)
+     */
+    validateAnnotationStroke(stroke) {
+        if (!stroke || typeof stroke.id !== 'string' || !stroke.id) {
+            return { valid: false, error: 'Missing stroke id' };
+        }
+        if (!ANNOTATION_TOOLS.includes(stroke.tool)) {
+            return { valid: false, error: 'Invalid annotation tool' };
+        }
+        if (typeof stroke.color !== 'string' || !/^#[0-9a-fA-F]{3,8}$/.test(stroke.color)) {
+            return { valid: false, error: 'Invalid stroke color' };
+        }
+        if (typeof stroke.width !== 'number' || !(stroke.width > 0) || stroke.width > 1) {
+            return { valid: false, error: 'Invalid stroke width' };
+        }
+        if (stroke.opacity !== undefined && (typeof stroke.opacity !== 'number' || stroke.opacity < 0 || stroke.opacity > 1)) {
+            return { valid: false, error: 'Invalid stroke opacity' };
+        }
+        if (!Array.isArray(stroke.points) || stroke.points.length === 0 || stroke.points.length > ANNOTATION_MAX_POINTS) {
+            return { valid: false, error: `Stroke needs 1-${ANNOTATION_MAX_POINTS} points` };
+        }
+        const validPoints = stroke.points.every(point =>
+            Array.isArray(point) && point.length === 3 && point.every(value => typeof value === 'number' && isFinite(value)));
+        if (!validPoints) {
+            return { valid: false, error: 'Stroke points must be [u, v, pressure]' };
+        }
+        return { valid: true };
+    }
+    
+    /**
+     * Apply a new annotation stroke
+     */
+    applyAnnotationAdd(params, state, changes) {
+        const node = state.nodes.find(n => n.id == params.nodeId);
+        if (!node || !ANNOTATABLE_TYPES.includes(node.type)) {
+            // Missing nodes are silently ignored
+            return changes;
+        }
+        
+        if (!node.properties) node.properties = {};
+        const annotations = node.properties.annotations || [];
+        
+        // Redo re-sends the same stroke
+        if (!annotations.some(stroke => stroke.id === params.stroke.id)) {
+            node.properties.annotations = [...annotations, params.stroke];
+            changes.updated.push(node);
+        }
+        
+        return changes;
+    }
+    
+    /**
+     * Apply annotation stroke removal (eraser)
+     */
+    applyAnnotationRemove(params, state, changes) {
+        const node = state.nodes.find(n => n.id == params.nodeId);
+        if (!node || !Array.isArray(node.properties?.annotations)) {
+            return changes;
+        }
+        
+        const toRemove = new Set(params.strokeIds);
+        const remaining = node.properties.annotations.filter(stroke => !toRemove.has(stroke.id));
+        
+        if (remaining.length !== node.properties.annotations.length) {
+            node.properties.annotations = remaining;
+            changes.updated.push(node);
+        }
+        
+        return changes;
+    }
+    
     /**
      * Generate unique node ID
      */
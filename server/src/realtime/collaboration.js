@@ -4,6 +4,11 @@ const path = require('path');
 const CanvasStateManager = require('./CanvasStateManager');
 const OperationHistory = require('../undo/OperationHistory');
 const UndoStateSync = require('../undo/UndoStateSync');
+const { hasRole } = require('./permissions');
+const { detectAnimatedFile } = require('../image/AnimatedImage');
+
+const CHAT_HISTORY_PAGE_SIZE = 50;
+const CHAT_MESSAGE_MAX_LENGTH = 2000;
 
 /**
  * Fixed Collaboration Manager - Supports multiple tabs per user
@@ -142,6 +147,10 @@ class CollaborationManager {
                 this.handleChatMessage(socket, data);
             });
             
+            socket.on('load_chat_history', (data) => {
+                this.handleLoadChatHistory(socket, data);
+            });
+            
             // Viewport updates for following (real-time, no persistence)
             socket.on('viewport_follow_update', (data) => {
                 this.handleViewportFollowUpdate(socket, data);
@@ -173,20 +182,17 @@ class CollaborationManager {
         });
     }
     
-    async handleJoinCanvas(socket, { canvasId, username, displayName, tabId }) {
+    async handleJoinCanvas(socket, { canvasId, tabId }) {
         try {
-            console.log(`📥 Join request from ${username} (tab: ${tabId}) for canvas ${canvasId}`);
-            console.log(`📥 Full join data:`, { canvasId, username, displayName, tabId });
-            
-            // Find or create user (but allow multiple connections)
-            let user = await this.db.getUserByUsername(username);
+            // Identity comes from the token verified at handshake, never from the payload
+            const user = await this.db.getUser(socket.data.userId);
             if (!user) {
-                const userId = await this.db.createUser(username, displayName);
-                user = await this.db.getUser(userId);
-                console.log(`👤 Created new user: ${username} (ID: ${userId})`);
-            } else {
-                console.log(`👤 Found existing user: ${username} (ID: ${user.id})`);
+                socket.emit('error', { message: 'Authentication required' });
+                return;
             }
+            const username = user.username;
+            
+            console.log(`📥 Join request from ${username} (ID: ${user.id}, tab: ${tabId}) for canvas ${canvasId}`);
             
             // Verify canvas exists
             const canvas = await this.getOrCreateCanvas(canvasId, user);
@@ -195,6 +201,15 @@ class CollaborationManager {
                 return;
             }
             
+            // Resolve the user's role - null means they were not invited
+            const role = await this.db.getUserCanvasRole(user.id, canvas.id);
+            if (!role) {
+                console.log(`🚫 ${username} denied access to canvas ${canvas.id}`);
+                socket.emit('canvas_access_denied', { canvasId: canvas.id });
+                socket.emit('error', { message: 'You do not have access to this canvas' });
+                return;
+            }
+            
             // Clean up any existing session for this socket (in case of reconnection)
             const existingSession = this.socketSessions.get(socket.id);
             if (existingSession) {
@@ -218,6 +233,7 @@ class CollaborationManager {
                 username: user.username,
                 displayName: user.display_name || user.username,
                 tabId: tabId || `tab-${Date.now()}`,
+                role: role,
                 joinedAt: Date.now()
             };
             
@@ -272,7 +288,8 @@ class CollaborationManager {
                     username: user.username,
                     displayName: session.displayName,
                     tabId: session.tabId,
-                    color: user.color
+                    color: user.color,
+                    role: session.role
                 },
                 sequenceNumber: room.sequenceNumber,
                 viewportState: viewportState
@@ -285,6 +302,9 @@ class CollaborationManager {
             // Send to joining socket
             socket.emit('active_users', activeUsers);
             
+            // Latest chat page plus thread counts, so late joiners see the conversation
+            await this.sendChatHistory(socket, canvas.id);
+            
             // Notify others (including other tabs of same user)
             socket.to(`canvas_${canvas.id}`).emit('user_joined', {
                 userId: user.id,
@@ -316,7 +336,7 @@ class CollaborationManager {
                 });
             }
             
-            console.log(`✅ ${username} (${session.tabId}) joined canvas ${canvas.name}`);
+            console.log(`✅ ${username} (${session.tabId}) joined canvas ${canvas.name} as ${session.role}`);
             
             // Send initial undo state to the user
             const undoState = this.operationHistory.getUserUndoState(user.id, canvas.id);
@@ -342,6 +362,55 @@ class CollaborationManager {
         return await this.db.getCanvas(canvasId);
     }
     
+    /**
+     * Check that the socket's session has at least the required role on its canvas.
+     * Emits the rejection to the socket and returns false when it doesn't.
+     */
+    checkRole(socket, session, requiredRole, operationId = null) {
+        if (hasRole(session.role, requiredRole)) {
+            return true;
+        }
+        
+        console.warn(`🚫 ${session.username} (${session.role}) needs ${requiredRole} on canvas ${session.canvasId}`);
+        
+        const message = `This action requires ${requiredRole} access (you are a ${session.role || 'guest'})`;
+        if (operationId) {
+            socket.emit('operation_rejected', { operationId, error: message, permissionDenied: true });
+        } else {
+            socket.emit('error', { message, permissionDenied: true });
+        }
+        return false;
+    }
+    
+    /**
+     * Re-resolve the role of every session on a canvas after collaborators change.
+     * Sessions that lost access are removed from the canvas.
+     */
+    async refreshCanvasRoles(canvasId) {
+        canvasId = parseInt(canvasId);
+        
+        const sessions = Array.from(this.socketSessions.entries())
+            .filter(([, session]) => session.canvasId === canvasId);
+        
+        for (const [socketId, session] of sessions) {
+            const role = await this.db.getUserCanvasRole(session.userId, canvasId);
+            if (role === session.role) continue;
+            
+            console.log(`🔑 ${session.username} is now ${role || 'removed'} on canvas ${canvasId}`);
+            session.role = role;
+            
+            const socket = this.io.sockets.sockets.get(socketId);
+            if (!socket) continue;
+            
+            socket.emit('canvas_role_changed', { canvasId, role });
+            
+            if (!role) {
+                await this.handleLeaveCanvas(socket, { canvasId });
+                socket.emit('canvas_access_denied', { canvasId });
+            }
+        }
+    }
+    
     async handleCanvasOperation(socket, { canvasId, operation }) {
         const session = this.socketSessions.get(socket.id);
         if (!session || session.canvasId !== parseInt(canvasId)) {
@@ -349,6 +418,10 @@ class CollaborationManager {
             return;
         }
         
+        if (!this.checkRole(socket, session, 'editor')) {
+            return;
+        }
+        
         const room = this.canvasRooms.get(parseInt(canvasId));
         if (!room) {
             socket.emit('error', { message: 'Canvas room not found' });
@@ -727,24 +800,94 @@ class CollaborationManager {
     
     /**
      * Handle chat messages from users
+     * Messages are stored per canvas; a nodeId attaches the message to that node's thread.
+     * Viewers can chat too, chat doesn't change the canvas.
      */
-    async handleChatMessage(socket, { message, mouseX, mouseY }) {
+    async handleChatMessage(socket, { message, nodeId = null, clientId = null, mouseX, mouseY }) {
         const session = this.socketSessions.get(socket.id);
         if (!session) return;
         
-        // Get user info including color
-        const userInfo = await this.db.getUser(session.userId);
+        if (typeof message !== 'string' || !message.trim()) return;
+        if (message.length > CHAT_MESSAGE_MAX_LENGTH) {
+            socket.emit('error', { message: `Chat messages are limited to ${CHAT_MESSAGE_MAX_LENGTH} characters` });
+            return;
+        }
         
-        // Broadcast chat message to all other users in the same canvas
-        socket.to(`canvas_${session.canvasId}`).emit('chat_message', {
-            userId: session.userId,
-            username: session.displayName || session.username,
-            color: userInfo?.color || '#999999',
-            message: message,
-            mouseX: mouseX,
-            mouseY: mouseY,
-            timestamp: Date.now()
-        });
+        try {
+            const row = await this.db.createChatMessage(session.canvasId, {
+                userId: session.userId,
+                message: message,
+                nodeId: nodeId != null ? String(nodeId) : null
+            });
+            const chatMessage = this.formatChatMessage(row);
+            
+            // Broadcast chat message to all other users in the same canvas
+            socket.to(`canvas_${session.canvasId}`).emit('chat_message', {
+                ...chatMessage,
+                mouseX: mouseX,
+                mouseY: mouseY
+            });
+            
+            // Sender already shows the message, give it the stored id
+            socket.emit('chat_message_saved', { clientId, message: chatMessage });
+        } catch (error) {
+            console.error('❌ Failed to store chat message:', error);
+            socket.emit('error', { message: 'Failed to send chat message' });
+        }
+    }
+    
+    /**
+     * Send a page of older messages - the whole canvas or a single node thread
+     */
+    async handleLoadChatHistory(socket, { beforeId = null, nodeId = null } = {}) {
+        const session = this.socketSessions.get(socket.id);
+        if (!session) return;
+        
+        await this.sendChatHistory(socket, session.canvasId, { beforeId, nodeId });
+    }
+    
+    async sendChatHistory(socket, canvasId, { beforeId = null, nodeId = null } = {}) {
+        try {
+            // One extra row tells us whether there is another page
+            const rows = await this.db.getChatMessages(canvasId, {
+                beforeId,
+                nodeId: nodeId != null ? String(nodeId) : null,
+                limit: CHAT_HISTORY_PAGE_SIZE + 1
+            });
+            const hasMore = rows.length > CHAT_HISTORY_PAGE_SIZE;
+            const messages = rows.slice(0, CHAT_HISTORY_PAGE_SIZE).reverse().map(row => this.formatChatMessage(row));
+            
+            const threads = (await this.db.getChatThreads(canvasId)).map(thread => ({
+                nodeId: thread.node_id,
+                messageCount: thread.message_count,
+                lastMessageId: thread.last_message_id
+            }));
+            
+            socket.emit('chat_history', {
+                canvasId,
+                nodeId: nodeId != null ? String(nodeId) : null,
+                beforeId,
+                messages,
+                hasMore,
+                threads
+            });
+        } catch (error) {
+            console.error('❌ Failed to load chat history:', error);
+        }
+    }
+    
+    formatChatMessage(row) {
+        return {
+            id: row.id,
+            canvasId: row.canvas_id,
+            userId: row.user_id,
+            username: row.display_name || row.username || 'Unknown',
+            color: row.color || '#999999',
+            message: row.message,
+            nodeId: row.node_id,
+            // SQLite CURRENT_TIMESTAMP is UTC without a zone marker
+            timestamp: row.created_at ? Date.parse(row.created_at.replace(' ', 'T') + 'Z') : Date.now()
+        };
     }
     
     /**
@@ -931,7 +1074,7 @@ class CollaborationManager {
             
             // Check processing status in database
             const fileRecord = await this.db.get(
-                `SELECT processing_status FROM files WHERE filename = ?`,
+                `SELECT processing_status, renditions, mime_type FROM files WHERE filename = ?`,
                 [serverFilename]
             );
             
@@ -942,7 +1085,8 @@ class CollaborationManager {
                     filename,
                     serverFilename,
                     success: true,
-                    formats: ['webm'] // TODO: Get actual formats from DB
+                    formats: ['webm'], // TODO: Get actual formats from DB
+                    renditions: fileRecord.renditions ? JSON.parse(fileRecord.renditions) : []
                 });
                 return;
             }
@@ -965,15 +1109,17 @@ class CollaborationManager {
             // Process the video
             const outputDir = path.join(path.dirname(uploadPath), '');
             const baseFilename = path.parse(serverFilename).name;
+            const animation = fileRecord && await detectAnimatedFile(uploadPath, fileRecord.mime_type);
             
-            server.videoProcessor.processVideo(uploadPath, outputDir, baseFilename, filename)
+            server.videoProcessor.processVideo(uploadPath, outputDir, baseFilename, filename, { animation })
                 .then(results => {
                     console.log(`✅ Video processing resumed and completed: ${filename}`);
+                    const renditions = server.describeRenditions(results.renditions);
                     
                     // Update database
                     this.db.run(
-                        `UPDATE files SET processing_status = 'completed', processed_formats = ? WHERE filename = ?`,
-                        [Object.keys(results.formats).join(','), serverFilename]
+                        `UPDATE files SET processing_status = 'completed', processed_formats = ?, renditions = ? WHERE filename = ?`,
+                        [Object.keys(results.formats).join(','), JSON.stringify(renditions), serverFilename]
                     );
                     
                     // Emit completion
@@ -981,7 +1127,8 @@ class CollaborationManager {
                         filename,
                         serverFilename,
                         success: true,
-                        formats: Object.keys(results.formats)
+                        formats: Object.keys(results.formats),
+                        renditions
                     });
                 })
                 .catch(error => {
@@ -1012,7 +1159,7 @@ class CollaborationManager {
      * Handle state-based operation execution
      */
     async handleExecuteOperation(socket, data) {
-        const { operationId, type, params, stateVersion, undoData, transactionId } = data;
+        const { operationId, type, params, stateVersion, undoData, transactionId, replay } = data;
         
         const session = this.socketSessions.get(socket.id);
         
@@ -1044,6 +1191,10 @@ class CollaborationManager {
             return;
         }
         
+        if (!this.checkRole(socket, session, 'editor', operationId)) {
+            return;
+        }
+        
         // Check operation size to prevent server overload
         const operationSize = JSON.stringify(data).length;
         const MAX_OPERATION_SIZE = 100 * 1024; // 100KB limit
@@ -1067,6 +1218,12 @@ class CollaborationManager {
         const canvasId = session.canvasId;
         
         try {
+            // Replayed from a client's offline queue - it may already have landed
+            // before the connection dropped, or clash with edits made meanwhile
+            if (replay && !await this.checkReplayedOperation(socket, session, { operationId, type, params, undoData }, replay)) {
+                return;
+            }
+            
             // Execute operation on server state
             const result = await this.stateManager.executeOperation(
                 canvasId,
@@ -1141,6 +1298,53 @@ class CollaborationManager {
         }
     }
     
+    /**
+     * Vet an operation replayed from a client's offline queue.
+     * Acks duplicates without applying them again and rejects operations that
+     * touch nodes other users changed after replay.baseVersion, unless the
+     * user chose to apply them anyway (replay.force).
+     * @returns {boolean} Whether the operation should be executed
+     */
+    async checkReplayedOperation(socket, session, operation, replay) {
+        const canvasId = session.canvasId;
+        const currentVersion = this.stateManager.stateVersions.get(canvasId) || 0;
+        
+        await this.operationHistory.initializeCanvas(canvasId);
+        
+        if (this.operationHistory.operations.has(operation.operationId)) {
+            socket.emit('operation_ack', {
+                operationId: operation.operationId,
+                stateVersion: currentVersion,
+                duplicate: true
+            });
+            return false;
+        }
+        
+        if (replay.force || typeof replay.baseVersion !== 'number') {
+            return true;
+        }
+        
+        const conflicts = this.operationHistory.checkReplayConflicts(
+            operation,
+            replay.baseVersion,
+            session.userId,
+            canvasId
+        );
+        
+        if (conflicts.length > 0) {
+            console.log(`⚠️ Offline ${operation.type} from user ${session.userId} conflicts with ${conflicts.length} newer operation(s)`);
+            socket.emit('operation_rejected', {
+                operationId: operation.operationId,
+                error: 'Conflicts with changes made while you were offline',
+                conflicts,
+                stateVersion: currentVersion
+            });
+            return false;
+        }
+        
+        return true;
+    }
+    
     /**
      * Handle full state sync request
      */
@@ -1178,6 +1382,10 @@ class CollaborationManager {
             return;
         }
         
+        if (!this.checkRole(socket, session, 'editor')) {
+            return;
+        }
+        
         try {
             const result = await this.undoStateSync.handleUndo(
                 session.userId,
@@ -1222,6 +1430,10 @@ class CollaborationManager {
             return;
         }
         
+        if (!this.checkRole(socket, session, 'editor')) {
+            return;
+        }
+        
         try {
             const result = await this.undoStateSync.handleRedo(
                 session.userId,
@@ -1442,41 +1654,18 @@ class CollaborationManager {
             return;
         }
         
+        // Clearing history affects every collaborator
+        if (!this.checkRole(socket, session, 'admin')) {
+            return;
+        }
+        
         try {
-            
-            // Clear the operation history for this canvas
-            if (this.operationHistory) {
-                // Clear canvas's operation history
-                const cleared = await this.operationHistory.clearCanvasHistory(canvasId);
-                
-            }
-            
-            // Clear from database
-            const deleteResult = await this.db.run(
-                'DELETE FROM operations WHERE canvas_id = ?',
-                [canvasId]
-            );
-            
-            // Notify all users in the canvas that undo history was cleared
-            const undoState = {
-                canUndo: false,
-                canRedo: false,
-                undoCount: 0,
-                redoCount: 0,
-                nextUndo: null,
-                nextRedo: null
-            };
-            
-            this.io.to(`canvas_${canvasId}`).emit('undo_state_update', {
-                canvasId,
-                undoState,
-                cleared: true
-            });
-            
+            const deletedCount = await this.clearCanvasUndoHistory(canvasId);
+
             socket.emit('undo_history_cleared', {
                 canvasId,
                 success: true,
-                deletedCount: deleteResult.changes
+                deletedCount
             });
 
         } catch (error) {
@@ -1484,6 +1673,41 @@ class CollaborationManager {
             socket.emit('error', { message: 'Failed to clear undo history' });
         }
     }
+
+    /**
+     * Clear undo history for a canvas and notify everyone in it
+     * @returns {number} Number of operations deleted from the database
+     */
+    async clearCanvasUndoHistory(canvasId) {
+        // Clear the operation history for this canvas
+        if (this.operationHistory) {
+            this.operationHistory.clearCanvasHistory(canvasId);
+        }
+
+        // Clear from database
+        const deleteResult = await this.db.run(
+            'DELETE FROM operations WHERE canvas_id = ?',
+            [canvasId]
+        );
+
+        // Notify all users in the canvas that undo history was cleared
+        const undoState = {
+            canUndo: false,
+            canRedo: false,
+            undoCount: 0,
+            redoCount: 0,
+            nextUndo: null,
+            nextRedo: null
+        };
+
+        this.io.to(`canvas_${canvasId}`).emit('undo_state_update', {
+            canvasId,
+            undoState,
+            cleared: true
+        });
+
+        return deleteResult.changes;
+    }
     
     /**
      * Handle beginning of transaction
@@ -1495,6 +1719,10 @@ class CollaborationManager {
             return;
         }
         
+        if (!this.checkRole(socket, session, 'editor')) {
+            return;
+        }
+        
         const { source } = data;
         const transactionKey = `${session.userId}-${session.canvasId}`;
         
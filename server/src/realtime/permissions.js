@@ -0,0 +1,22 @@
+/**
+ * Canvas roles, lowest to highest. Each role includes everything below it:
+ * viewers can look, editors can change the canvas, admins can also manage
+ * collaborators, delete the canvas and clear its history.
+ */
+const ROLES = ['viewer', 'editor', 'admin'];
+
+function isValidRole(role) {
+    return ROLES.includes(role);
+}
+
+/**
+ * Check whether a role meets the required role
+ * @param {string|null} role - The user's role (null = no access)
+ * @param {string} requiredRole - Minimum role needed
+ */
+function hasRole(role, requiredRole) {
+    if (!isValidRole(role)) return false;
+    return ROLES.indexOf(role) >= ROLES.indexOf(requiredRole);
+}
+
+module.exports = { ROLES, isValidRole, hasRole };
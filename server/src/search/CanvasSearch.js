@@ -0,0 +1,189 @@
+/**
+ * CanvasSearch - Find nodes across every canvas a user can access
+ *
+ * Matches node titles, text and pinned-note text, connector labels, original
+ * filenames and the EXIF/IPTC metadata stored with uploaded files.
+ * Field weights and matching mirror the client's NodeSearch so a node ranks
+ * the same in the overlay and in cross-canvas results.
+ */
+
+// Higher weights rank first - what people type on a node beats what a camera wrote
+const FIELD_WEIGHTS = {
+    title: 4,
+    text: 3,
+    label: 3,
+    filename: 2,
+    metadata: 1
+};
+
+const SNIPPET_RADIUS = 40;
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+class CanvasSearch {
+    constructor(db, collaborationManager) {
+        this.db = db;
+        this.collaborationManager = collaborationManager;
+    }
+
+    /**
+     * Search all canvases the user can view
+     * @returns {Object} { results: [{ canvasId, canvasName, nodeId, nodeType, field, snippet, score }], canvasCount }
+     */
+    async search(userId, query, { limit = DEFAULT_LIMIT } = {}) {
+        const terms = CanvasSearch.tokenize(query);
+        if (terms.length === 0) {
+            return { results: [], canvasCount: 0 };
+        }
+
+        const canvases = await this.getAccessibleCanvases(userId);
+        const metadataByHash = await this.getFileMetadata();
+        const results = [];
+
+        for (const canvas of canvases) {
+            for (const node of this.getCanvasNodes(canvas)) {
+                const fields = CanvasSearch.getNodeFields(node, metadataByHash);
+                const match = CanvasSearch.matchFields(fields, terms);
+                if (!match) continue;
+
+                results.push({
+                    canvasId: canvas.id,
+                    canvasName: canvas.name,
+                    nodeId: node.id,
+                    nodeType: node.type,
+                    field: match.field,
+                    snippet: match.snippet,
+                    score: match.score
+                });
+            }
+        }
+
+        // Best matches first, most recently edited canvas breaks ties
+        const canvasOrder = new Map(canvases.map((canvas, index) => [canvas.id, index]));
+        results.sort((a, b) => b.score - a.score || canvasOrder.get(a.canvasId) - canvasOrder.get(b.canvasId));
+
+        return {
+            results: results.slice(0, Math.min(Math.max(limit, 1), MAX_LIMIT)),
+            canvasCount: canvases.length
+        };
+    }
+
+    async getAccessibleCanvases(userId) {
+        const canvases = await this.db.getAllCanvases();
+        const accessible = [];
+        for (const canvas of canvases) {
+            if (await this.db.getUserCanvasRole(userId, canvas.id)) {
+                accessible.push(canvas);
+            }
+        }
+        return accessible;
+    }
+
+    /**
+     * Live state for canvases someone has open, the saved copy for the rest.
+     * Doesn't load canvases into the state manager - that would keep every
+     * searched canvas in memory.
+     */
+    getCanvasNodes(canvas) {
+        const live = this.collaborationManager?.stateManager?.canvasStates.get(canvas.id);
+        if (live) return live.nodes || [];
+        return canvas.canvas_data?.nodes || [];
+    }
+
+    /**
+     * Metadata of uploaded files, for nodes created before their upload
+     * finished (the node copy is only filled in by image_upload_complete)
+     */
+    async getFileMetadata() {
+        const rows = await this.db.all('SELECT hash, metadata FROM files WHERE metadata IS NOT NULL AND hash IS NOT NULL');
+        const metadataByHash = new Map();
+        for (const row of rows) {
+            try {
+                metadataByHash.set(row.hash, JSON.parse(row.metadata));
+            } catch (error) {
+                // Skip unreadable rows rather than failing the whole search
+            }
+        }
+        return metadataByHash;
+    }
+
+    /**
+     * Lowercase, whitespace separated search terms
+     */
+    static tokenize(query) {
+        if (typeof query !== 'string') return [];
+        return query.toLowerCase().split(/\s+/).filter(Boolean);
+    }
+
+    /**
+     * Searchable text of a node by field name
+     * @returns {Array} [{ field, text }]
+     */
+    static getNodeFields(node, metadataByHash = null) {
+        const properties = node.properties || {};
+        const fields = [];
+        const add = (field, value) => {
+            if (typeof value === 'string' && value.trim()) {
+                fields.push({ field, text: value });
+            }
+        };
+
+        add('title', node.title);
+        add('text', properties.text);
+        add('label', properties.label);
+        add('filename', properties.filename);
+
+        const metadata = properties.metadata || (properties.hash && metadataByHash?.get(properties.hash));
+        if (metadata && typeof metadata === 'object') {
+            for (const value of Object.values(metadata)) {
+                add('metadata', Array.isArray(value) ? value.join(', ') : value);
+            }
+        }
+
+        return fields;
+    }
+
+    /**
+     * Every term has to appear in some field. Each term scores the weight of
+     * the best field it appears in, with a bonus when a field starts with it.
+     * @returns {Object|null} { score, field, snippet } for the best field, null if no match
+     */
+    static matchFields(fields, terms) {
+        let score = 0;
+        let best = null;
+
+        for (const term of terms) {
+            let termScore = 0;
+            for (const entry of fields) {
+                const index = entry.text.toLowerCase().indexOf(term);
+                if (index === -1) continue;
+
+                const fieldScore = FIELD_WEIGHTS[entry.field] + (index === 0 ? 1 : 0);
+                if (fieldScore > termScore) termScore = fieldScore;
+                if (!best || fieldScore > best.score) {
+                    best = { score: fieldScore, entry, index, length: term.length };
+                }
+            }
+            if (termScore === 0) return null;
+            score += termScore;
+        }
+
+        return {
+            score,
+            field: best.entry.field,
+            snippet: CanvasSearch.getSnippet(best.entry.text, best.index, best.length)
+        };
+    }
+
+    /**
+     * A single line of text around a match
+     */
+    static getSnippet(text, index, length) {
+        const start = Math.max(0, index - SNIPPET_RADIUS);
+        const end = Math.min(text.length, index + length + SNIPPET_RADIUS);
+        const snippet = text.slice(start, end).replace(/\s+/g, ' ').trim();
+        return (start > 0 ? '…' : '') + snippet + (end < text.length ? '…' : '');
+    }
+}
+
+module.exports = CanvasSearch;
@@ -0,0 +1,177 @@
+const sharp = require('sharp');
+
+/**
+ * Searchable EXIF and IPTC fields, extracted once at upload time and stored
+ * in files.metadata. Only text is kept - exposure settings, GPS and
+ * thumbnails are not useful for finding an image again.
+ */
+
+// IFD0 tags
+const EXIF_TAGS = {
+    0x010E: 'description',
+    0x010F: 'make',
+    0x0110: 'model',
+    0x0131: 'software',
+    0x013B: 'artist',
+    0x8298: 'copyright'
+};
+
+// Exif sub-IFD tags
+const EXIF_SUB_TAGS = {
+    0x9003: 'dateTaken',
+    0xA434: 'lens'
+};
+
+const EXIF_IFD_POINTER = 0x8769;
+const ASCII = 2;
+
+// IPTC IIM record 2 (application record) datasets
+const IPTC_TAGS = {
+    5: 'title',
+    25: 'keywords',
+    80: 'byline',
+    90: 'city',
+    101: 'country',
+    105: 'headline',
+    116: 'copyright',
+    120: 'caption'
+};
+
+const MAX_VALUE_LENGTH = 2000;
+
+function cleanText(value) {
+    const text = value.replace(/\0/g, '').trim();
+    return text.length > MAX_VALUE_LENGTH ? text.slice(0, MAX_VALUE_LENGTH) : text;
+}
+
+/**
+ * Read the ASCII tags of one IFD
+ * @returns {Object} { values: {name: text}, exifOffset }
+ */
+function readIfd(tiff, offset, little, tags) {
+    const readShort = (at) => little ? tiff.readUInt16LE(at) : tiff.readUInt16BE(at);
+    const readLong = (at) => little ? tiff.readUInt32LE(at) : tiff.readUInt32BE(at);
+
+    const values = {};
+    let exifOffset = null;
+    if (offset + 2 > tiff.length) return { values, exifOffset };
+
+    const count = readShort(offset);
+    for (let i = 0; i < count; i++) {
+        const entry = offset + 2 + i * 12;
+        if (entry + 12 > tiff.length) break;
+
+        const tag = readShort(entry);
+        const type = readShort(entry + 2);
+        const length = readLong(entry + 4);
+
+        if (tag === EXIF_IFD_POINTER) {
+            exifOffset = readLong(entry + 8);
+            continue;
+        }
+        if (!tags[tag] || type !== ASCII || length === 0) continue;
+
+        // Values of 4 bytes or less are stored inline
+        const start = length <= 4 ? entry + 8 : readLong(entry + 8);
+        if (start + length > tiff.length) continue;
+
+        const text = cleanText(tiff.toString('latin1', start, start + length));
+        if (text) values[tags[tag]] = text;
+    }
+
+    return { values, exifOffset };
+}
+
+/**
+ * Parse the EXIF block sharp returns ("Exif\0\0" followed by a TIFF structure)
+ */
+function parseExif(buffer) {
+    if (!buffer || buffer.length < 14) return {};
+
+    const tiff = buffer.toString('latin1', 0, 4) === 'Exif' ? buffer.subarray(6) : buffer;
+    const byteOrder = tiff.toString('latin1', 0, 2);
+    if (byteOrder !== 'II' && byteOrder !== 'MM') return {};
+
+    const little = byteOrder === 'II';
+    const ifd0Offset = little ? tiff.readUInt32LE(4) : tiff.readUInt32BE(4);
+
+    const ifd0 = readIfd(tiff, ifd0Offset, little, EXIF_TAGS);
+    const result = { ...ifd0.values };
+
+    if (ifd0.exifOffset) {
+        Object.assign(result, readIfd(tiff, ifd0.exifOffset, little, EXIF_SUB_TAGS).values);
+    }
+
+    // Most cameras repeat the make in the model ("Canon" + "Canon EOS R5")
+    if (result.make || result.model) {
+        const make = result.make || '';
+        const model = result.model || '';
+        result.camera = model.toLowerCase().startsWith(make.toLowerCase()) ? model : `${make} ${model}`.trim();
+        delete result.make;
+        delete result.model;
+    }
+
+    return result;
+}
+
+/**
+ * Parse IPTC IIM datasets. sharp returns the whole Photoshop resource block,
+ * so this scans for record 2 dataset markers rather than walking the resources.
+ */
+function parseIptc(buffer) {
+    if (!buffer || buffer.length < 5) return {};
+
+    const result = {};
+    let offset = 0;
+
+    while (offset + 5 <= buffer.length) {
+        if (buffer[offset] !== 0x1C || buffer[offset + 1] !== 0x02) {
+            offset++;
+            continue;
+        }
+
+        const dataset = buffer[offset + 2];
+        const length = buffer.readUInt16BE(offset + 3);
+        const start = offset + 5;
+
+        // Extended (> 32767 byte) datasets are never text we care about
+        if (length & 0x8000 || start + length > buffer.length) {
+            offset = start;
+            continue;
+        }
+
+        const name = IPTC_TAGS[dataset];
+        if (name) {
+            const text = cleanText(buffer.toString('utf8', start, start + length));
+            if (text && name === 'keywords') {
+                result.keywords = result.keywords || [];
+                if (!result.keywords.includes(text)) result.keywords.push(text);
+            } else if (text && !result[name]) {
+                result[name] = text;
+            }
+        }
+
+        offset = start + length;
+    }
+
+    return result;
+}
+
+/**
+ * Extract searchable metadata from an image file
+ * @returns {Object|null} Flat field map (keywords is an array), null if there is none
+ */
+async function extractMediaMetadata(filePath) {
+    try {
+        const { exif, iptc } = await sharp(filePath).metadata();
+
+        // IPTC is entered by people, EXIF mostly by cameras - let IPTC win
+        const metadata = { ...parseExif(exif), ...parseIptc(iptc) };
+        return Object.keys(metadata).length > 0 ? metadata : null;
+    } catch (error) {
+        console.error(`⚠️ Failed to read metadata from ${filePath}:`, error.message);
+        return null;
+    }
+}
+
+module.exports = { extractMediaMetadata, parseExif, parseIptc };
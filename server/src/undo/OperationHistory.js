@@ -387,6 +387,9 @@ class OperationHistory {
             case 'node_property_update':
             case 'node_rotate':
             case 'video_toggle':
+            case 'video_timeline':
+            case 'annotation_add':
+            case 'annotation_remove':
                 if (operation.params.nodeId) {
                     affected.push(operation.params.nodeId);
                 }
@@ -398,11 +401,21 @@ class OperationHistory {
             case 'node_delete':
             case 'node_resize':
             case 'node_reset':
+            case 'node_crop':
                 if (operation.params.nodeIds) {
                     affected.push(...operation.params.nodeIds);
                 }
                 break;
                 
+            case 'node_arrange':
+                if (operation.params.nodeIds) {
+                    affected.push(...operation.params.nodeIds);
+                }
+                if (operation.params.childPositions) {
+                    affected.push(...Object.keys(operation.params.childPositions));
+                }
+                break;
+                
             case 'node_batch_property_update':
                 if (operation.params.updates) {
                     for (const update of operation.params.updates) {
@@ -483,6 +496,44 @@ class OperationHistory {
         return conflicts;
     }
     
+    /**
+     * Check an operation queued while offline against what other users did
+     * since the state version it was made on
+     * @param {number} baseVersion - Server state version the client had when it queued the operation
+     */
+    checkReplayConflicts(operation, baseVersion, userId, canvasId) {
+        const affectedNodes = new Set(this.getAffectedNodes(operation));
+        if (affectedNodes.size === 0) return [];
+        
+        const conflicts = [];
+        const canvasTimeline = this.timeline.get(canvasId) || [];
+        
+        for (const opId of canvasTimeline) {
+            const op = this.operations.get(opId);
+            
+            // Only applied operations by someone else, made after the client went offline
+            if (!op || op.userId === userId || op.state !== 'applied') {
+                continue;
+            }
+            if (op.sequenceNumber == null || op.sequenceNumber <= baseVersion) {
+                continue;
+            }
+            
+            const opNodes = this.getAffectedNodes(op).filter(nodeId => affectedNodes.has(nodeId));
+            if (opNodes.length > 0) {
+                conflicts.push({
+                    operationId: op.id,
+                    userId: op.userId,
+                    type: op.type,
+                    timestamp: op.timestamp,
+                    affectedNodes: opNodes
+                });
+            }
+        }
+        
+        return conflicts;
+    }
+    
     /**
      * Get all operations for a canvas (for debugging)
      * @param {string} canvasId - Canvas ID
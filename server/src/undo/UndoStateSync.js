@@ -22,13 +22,18 @@ class UndoStateSync {
             'node_delete': this.undoNodeDelete,
             'node_move': this.undoNodeMove,
             'node_align': this.undoNodeAlign,
+            'node_arrange': this.undoNodeArrange,
             'node_resize': this.undoNodeResize,
             'node_property_update': this.undoPropertyUpdate,
             'node_batch_property_update': this.undoPropertyUpdate,
             'node_rotate': this.undoNodeRotate,
             'node_reset': this.undoNodeReset,
+            'node_crop': this.undoNodeCrop,
             'video_toggle': this.undoVideoToggle,
+            'video_timeline': this.undoVideoTimeline,
             'node_layer_order': this.undoNodeLayerOrder,
+            'annotation_add': this.undoAnnotationAdd,
+            'annotation_remove': this.undoAnnotationRemove,
         };
     }
     
@@ -353,6 +358,34 @@ class UndoStateSync {
             }
         }
         
+        if (undoData.previousChildPositions) {
+            // Restore children of groups that were aligned or arranged
+            for (const [nodeId, pos] of Object.entries(undoData.previousChildPositions)) {
+                const node = state.nodes.find(n => n.id == nodeId);
+                if (node) {
+                    node.pos = [...pos];
+                    if (!updatedNodeIds.has(node.id)) {
+                        changes.updated.push(node);
+                        updatedNodeIds.add(node.id);
+                    }
+                }
+            }
+        }
+
+        if (undoData.originalZIndices) {
+            // Restore layer order
+            for (const [nodeId, zIndex] of Object.entries(undoData.originalZIndices)) {
+                const node = state.nodes.find(n => n.id == nodeId);
+                if (node && node.zIndex !== zIndex) {
+                    node.zIndex = zIndex;
+                    if (!updatedNodeIds.has(node.id)) {
+                        changes.updated.push(node);
+                        updatedNodeIds.add(node.id);
+                    }
+                }
+            }
+        }
+        
         if (undoData.previousSizes) {
             // Restore previous sizes
             for (const [nodeId, size] of Object.entries(undoData.previousSizes)) {
@@ -388,6 +421,35 @@ class UndoStateSync {
             }
         }
         
+        if (undoData.addedStrokeIds) {
+            // Take back annotation strokes
+            const node = this.restoreAnnotations(state, undoData.nodeId, strokes => {
+                const toRemove = new Set(undoData.addedStrokeIds);
+                return strokes.filter(stroke => !toRemove.has(stroke.id));
+            });
+            if (node && !updatedNodeIds.has(node.id)) {
+                changes.updated.push(node);
+                updatedNodeIds.add(node.id);
+            }
+        }
+        
+        if (undoData.removedStrokes) {
+            // Put erased strokes back where they were in the stack
+            const node = this.restoreAnnotations(state, undoData.nodeId, strokes => {
+                const restored = [...strokes];
+                const sorted = [...undoData.removedStrokes].sort((a, b) => a.index - b.index);
+                for (const { index, stroke } of sorted) {
+                    if (restored.some(s => s.id === stroke.id)) continue;
+                    restored.splice(Math.min(index, restored.length), 0, stroke);
+                }
+                return restored;
+            });
+            if (node && !updatedNodeIds.has(node.id)) {
+                changes.updated.push(node);
+                updatedNodeIds.add(node.id);
+            }
+        }
+        
         if (undoData.previousProperties) {
             // Restore previous properties
             for (const [nodeId, props] of Object.entries(undoData.previousProperties)) {
@@ -395,7 +457,7 @@ class UndoStateSync {
                 if (node) {
                     // Handle both direct properties (like title) and nested properties
                     for (const [key, value] of Object.entries(props)) {
-                        if (['title', 'type', 'id', 'pos', 'size', 'rotation', 'flags', 'toneCurve', 'toneCurveBypassed', 'colorAdjustmentsBypassed', 'adjustments', 'colorBalance', 'colorBalanceBypassed'].includes(key)) {
+                        if (['title', 'type', 'id', 'pos', 'size', 'rotation', 'flags', 'toneCurve', 'toneCurveBypassed', 'colorAdjustmentsBypassed', 'adjustments', 'colorBalance', 'colorBalanceBypassed', 'lut'].includes(key)) {
                             // Direct node property
                             node[key] = value;
                         } else {
@@ -415,6 +477,40 @@ class UndoStateSync {
         return changes;
     }
     
+    /**
+     * Replace a node's annotation strokes
+     * @param {Function} update - Gets the current strokes, returns the new array
+     * @returns {Object|null} The node, if it still exists
+     */
+    restoreAnnotations(state, nodeId, update) {
+        const node = state.nodes.find(n => n.id == nodeId);
+        if (!node) return null;
+        
+        if (!node.properties) node.properties = {};
+        node.properties.annotations = update(node.properties.annotations || []);
+        return node;
+    }
+    
+    /**
+     * Undo annotation stroke (without client undo data)
+     */
+    undoAnnotationAdd(operation, state, changes) {
+        const { nodeId, stroke } = operation.params;
+        const node = this.restoreAnnotations(state, nodeId, strokes => strokes.filter(s => s.id !== stroke?.id));
+        if (node) {
+            changes.updated.push(node);
+        }
+        return changes;
+    }
+    
+    /**
+     * Undo annotation erase - needs the erased strokes from client undo data
+     */
+    undoAnnotationRemove(operation, state, changes) {
+        console.error('Cannot undo annotation_remove - no stroke data available');
+        return changes;
+    }
+    
     /**
      * Undo node creation
      */
@@ -468,6 +564,15 @@ class UndoStateSync {
         else {
             console.error('Cannot undo node deletion - no node data available');
         }
+        
+        // Re-attach connectors that were detached from the deleted nodes
+        for (const [connectorId, endpoints] of Object.entries(operation.changes?.previousEndpoints || {})) {
+            const connector = state.nodes.find(n => n.id == connectorId);
+            if (connector) {
+                connector.properties = { ...connector.properties, ...endpoints };
+                changes.updated.push(connector);
+            }
+        }
         return changes;
     }
     
@@ -503,6 +608,35 @@ class UndoStateSync {
         return changes;
     }
     
+    /**
+     * Undo node arrange - restores positions, sizes and moved group children
+     */
+    undoNodeArrange(operation, state, changes) {
+        const undoData = operation.undoData;
+        if (!undoData || !undoData.previousPositions) return changes;
+        
+        for (const [nodeId, pos] of Object.entries(undoData.previousPositions)) {
+            const node = state.nodes.find(n => n.id == nodeId);
+            if (node) {
+                node.pos = [...pos];
+                if (undoData.previousSizes && undoData.previousSizes[nodeId]) {
+                    node.size = [...undoData.previousSizes[nodeId]];
+                    node.aspectRatio = node.size[0] / node.size[1];
+                }
+                changes.updated.push(node);
+            }
+        }
+        
+        for (const [childId, pos] of Object.entries(undoData.previousChildPositions || {})) {
+            const child = state.nodes.find(n => n.id == childId);
+            if (child) {
+                child.pos = [...pos];
+                changes.updated.push(child);
+            }
+        }
+        return changes;
+    }
+    
     /**
      * Undo node resize
      */
@@ -538,7 +672,7 @@ class UndoStateSync {
                 if (node) {
                     // Handle both direct properties (like title) and nested properties
                     for (const [key, value] of Object.entries(props)) {
-                        if (['title', 'type', 'id', 'pos', 'size', 'rotation', 'flags', 'toneCurve', 'toneCurveBypassed', 'colorAdjustmentsBypassed', 'adjustments', 'colorBalance', 'colorBalanceBypassed'].includes(key)) {
+                        if (['title', 'type', 'id', 'pos', 'size', 'rotation', 'flags', 'toneCurve', 'toneCurveBypassed', 'colorAdjustmentsBypassed', 'adjustments', 'colorBalance', 'colorBalanceBypassed', 'lut'].includes(key)) {
                             // Direct node property
                             node[key] = value;
                         } else {
@@ -600,6 +734,14 @@ class UndoStateSync {
         return changes;
     }
     
+    /**
+     * Undo node crop - needs the previous crop and frame from client undo data
+     */
+    undoNodeCrop(operation, state, changes) {
+        console.error('Cannot undo node_crop - no previous crop data available');
+        return changes;
+    }
+    
     /**
      * Undo video toggle
      */
@@ -614,6 +756,23 @@ class UndoStateSync {
         return changes;
     }
     
+    /**
+     * Undo video timeline (in/out points and poster frame)
+     */
+    undoVideoTimeline(operation, state, changes) {
+        const previous = operation.undoData?.previous;
+        if (!previous) {
+            console.error('Cannot undo video_timeline - no previous values available');
+            return changes;
+        }
+        const node = state.nodes.find(n => n.id == operation.params.nodeId);
+        if (node && node.type === 'media/video') {
+            Object.assign(node.properties, previous);
+            changes.updated.push(node);
+        }
+        return changes;
+    }
+    
     /**
      * Undo node layer order
      */
@@ -0,0 +1,163 @@
+/**
+ * CanvasVersionManager - Named snapshots of canvas state
+ *
+ * Captures the authoritative CanvasStateManager state under a name
+ * Summarizes what changed between a snapshot and the live canvas
+ * Restores a snapshot and pushes it to everyone in the canvas room
+ */
+class CanvasVersionManager {
+    constructor(db, collaborationManager, io) {
+        this.db = db;
+        this.collaborationManager = collaborationManager;
+        this.io = io;
+    }
+
+    get stateManager() {
+        return this.collaborationManager.stateManager;
+    }
+
+    /**
+     * Snapshot the current canvas state under a name
+     */
+    async createVersion(canvasId, { name, userId }) {
+        const state = await this.stateManager.getFullState(canvasId);
+
+        // Summarize against the previous snapshot so the list reads as a history
+        const previous = await this.db.getLatestCanvasVersion(canvasId);
+        const changesSummary = previous
+            ? this.summarizeDiff(this.diffNodes(previous.canvas_data.nodes || [], state.nodes))
+            : `Initial snapshot (${state.nodes.length} nodes)`;
+
+        const version = await this.db.createCanvasVersion(canvasId, {
+            name,
+            canvasData: {
+                nodes: state.nodes,
+                version: state.version
+            },
+            changesSummary,
+            createdBy: userId
+        });
+
+        this.io.to(`canvas_${canvasId}`).emit('canvas_version_created', {
+            canvasId,
+            version
+        });
+
+        console.log(`📸 Saved version ${version.version_number} "${name}" for canvas ${canvasId} (${state.nodes.length} nodes)`);
+
+        return version;
+    }
+
+    /**
+     * List snapshots for a canvas, newest first
+     */
+    async listVersions(canvasId) {
+        return this.db.getCanvasVersions(canvasId);
+    }
+
+    /**
+     * Diff a snapshot against the live canvas state
+     */
+    async diffVersion(canvasId, versionId) {
+        const version = await this.db.getCanvasVersion(canvasId, versionId);
+        if (!version) return null;
+
+        const state = await this.stateManager.getFullState(canvasId);
+        const diff = this.diffNodes(version.canvas_data.nodes || [], state.nodes);
+
+        return {
+            versionId: version.id,
+            versionNumber: version.version_number,
+            name: version.name,
+            ...diff,
+            summary: this.summarizeDiff(diff)
+        };
+    }
+
+    /**
+     * Restore a snapshot as the live canvas state
+     */
+    async restoreVersion(canvasId, versionId, userId) {
+        const version = await this.db.getCanvasVersion(canvasId, versionId);
+        if (!version) return null;
+
+        // Keep the state being replaced so the restore itself can be walked back
+        const backup = await this.createVersion(canvasId, {
+            name: `Before restoring "${version.name}"`,
+            userId
+        });
+
+        const restored = await this.stateManager.replaceState(canvasId, version.canvas_data.nodes || []);
+
+        // Undo entries describe the replaced state and would corrupt the restored one
+        await this.collaborationManager.clearCanvasUndoHistory(canvasId);
+
+        this.io.to(`canvas_${canvasId}`).emit('full_state_sync', {
+            state: restored,
+            stateVersion: restored.version
+        });
+
+        this.io.to(`canvas_${canvasId}`).emit('canvas_version_restored', {
+            canvasId,
+            versionId: version.id,
+            versionNumber: version.version_number,
+            name: version.name,
+            restoredBy: userId,
+            backupVersionId: backup.id
+        });
+
+        console.log(`⏪ Restored canvas ${canvasId} to version ${version.version_number} "${version.name}"`);
+
+        return {
+            version: await this.db.getCanvasVersionSummary(canvasId, version.id),
+            backup,
+            stateVersion: restored.version,
+            nodeCount: restored.nodes.length
+        };
+    }
+
+    /**
+     * Compare two node lists by node ID
+     */
+    diffNodes(fromNodes, toNodes) {
+        const fromById = new Map(fromNodes.map(node => [String(node.id), node]));
+        const toById = new Map(toNodes.map(node => [String(node.id), node]));
+
+        const added = [];
+        const removed = [];
+        const modified = [];
+        let unchanged = 0;
+
+        for (const [id, node] of toById) {
+            const previous = fromById.get(id);
+            if (!previous) {
+                added.push(node.id);
+            } else if (JSON.stringify(previous) !== JSON.stringify(node)) {
+                modified.push(node.id);
+            } else {
+                unchanged++;
+            }
+        }
+
+        for (const [id, node] of fromById) {
+            if (!toById.has(id)) {
+                removed.push(node.id);
+            }
+        }
+
+        return { added, removed, modified, unchanged };
+    }
+
+    /**
+     * Human readable one-liner for a diff
+     */
+    summarizeDiff({ added, removed, modified }) {
+        const parts = [];
+        if (added.length) parts.push(`${added.length} added`);
+        if (removed.length) parts.push(`${removed.length} removed`);
+        if (modified.length) parts.push(`${modified.length} changed`);
+        return parts.length > 0 ? parts.join(', ') : 'No changes';
+    }
+}
+
+module.exports = CanvasVersionManager;
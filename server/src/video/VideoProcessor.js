@@ -1,4 +1,5 @@
 const ffmpeg = require('fluent-ffmpeg');
+const sharp = require('sharp');
 const fs = require('fs').promises;
 const path = require('path');
 const EventEmitter = require('events');
@@ -25,6 +26,15 @@ class VideoProcessor extends EventEmitter {
             },
             maxWidth: 1920,
             maxHeight: 1080,
+            // H.264 renditions clients pick from by on-screen size. A rendition
+            // at or above the source height is skipped; 'original' keeps the
+            // source resolution.
+            renditions: [
+                { name: '480p', height: 480 },
+                { name: '1080p', height: 1080 },
+                { name: 'original', height: null }
+            ],
+            hlsSegmentDuration: 6, // seconds
             deleteOriginal: true,
             ...config
         };
@@ -52,11 +62,14 @@ class VideoProcessor extends EventEmitter {
      * @param {string} inputPath - Path to input video file
      * @param {string} outputDir - Directory for output files
      * @param {string} baseFilename - Base filename without extension
+     * @param {Object} [options]
+     * @param {Object} [options.animation] - From AnimatedImage.detectAnimation when the
+     *   input is an animated GIF/WebP/APNG; the input is then kept as the original
      * @returns {Promise<Object>} - Paths to converted files
      */
-    async processVideo(inputPath, outputDir, baseFilename, originalFilename) {
+    async processVideo(inputPath, outputDir, baseFilename, originalFilename, options = {}) {
         return new Promise((resolve, reject) => {
-            const job = { inputPath, outputDir, baseFilename, originalFilename, resolve, reject };
+            const job = { inputPath, outputDir, baseFilename, originalFilename, animation: options.animation || null, resolve, reject };
             this.processingQueue.push(job);
             
             // Emit queued event with queue position
@@ -104,71 +117,167 @@ class VideoProcessor extends EventEmitter {
         }
     }
 
-    async _processVideoJob({ inputPath, outputDir, baseFilename, originalFilename }) {
+    async _processVideoJob({ inputPath, outputDir, baseFilename, originalFilename, animation }) {
         console.log(`🎬 Starting video processing for ${baseFilename}`);
         
         // Store that we're processing this file
-        this.activeProcesses.set(originalFilename, { cancelled: false });
+        this.activeProcesses.set(originalFilename, { cancelled: false, animated: !!animation });
         
-        // Get video metadata first
-        const metadata = await this._getVideoMetadata(inputPath);
-        console.log(`📊 Video metadata:`, {
-            duration: metadata.format.duration,
-            size: `${metadata.video.width}x${metadata.video.height}`,
-            codec: metadata.video.codec
-        });
-
-        const results = {
-            metadata,
-            formats: {},
-            thumbnailPath: null
-        };
-
-        // Generate thumbnail first
+        let source = inputPath;
         try {
-            results.thumbnailPath = await this._generateThumbnail(inputPath, outputDir, baseFilename);
-            console.log(`🖼️ Generated thumbnail for ${baseFilename}`);
-        } catch (error) {
-            console.error(`⚠️ Thumbnail generation failed for ${baseFilename}:`, error.message);
-        }
+            // ffmpeg reads GIFs as they are; animated WebP and APNG go through a lossless intermediate
+            if (animation && animation.format !== 'gif') {
+                source = await this._renderAnimation(inputPath, outputDir, baseFilename, animation);
+            }
+            
+            // Get video metadata first
+            const metadata = await this._getVideoMetadata(source);
+            console.log(`📊 Video metadata:`, {
+                duration: metadata.format.duration,
+                size: `${metadata.video.width}x${metadata.video.height}`,
+                codec: metadata.video.codec
+            });
+
+            const results = {
+                metadata,
+                formats: {},
+                renditions: [],
+                hlsMaster: null,
+                thumbnailPath: null
+            };
 
-        // Convert to each format
-        for (const format of this.config.outputFormats) {
+            // Generate thumbnail first
             try {
-                const outputPath = path.join(outputDir, `${baseFilename}.${format}`);
-                console.log(`🔄 Converting ${baseFilename} to ${format}...`);
-                
-                // Check if cancelled before starting conversion
-                const processInfo = this.activeProcesses.get(originalFilename);
-                if (processInfo && processInfo.cancelled) {
-                    console.log(`⏹️ Skipping conversion for cancelled video: ${originalFilename}`);
-                    break;
-                }
-                
-                await this._convertVideo(inputPath, outputPath, format, metadata, originalFilename);
-                results.formats[format] = outputPath;
-                
-                console.log(`✅ Successfully converted ${baseFilename} to ${format}`);
+                results.thumbnailPath = await this._generateThumbnail(source, outputDir, baseFilename);
+                console.log(`🖼️ Generated thumbnail for ${baseFilename}`);
             } catch (error) {
-                console.error(`❌ Failed to convert ${baseFilename} to ${format}:`, error.message);
-                // Continue with other formats even if one fails
+                console.error(`⚠️ Thumbnail generation failed for ${baseFilename}:`, error.message);
             }
+
+            // Uploads browsers already play are served as they are
+            const webReady = !animation && this._isWebReady(inputPath, metadata);
+            const outputFormats = webReady ? [] : this.config.outputFormats;
+
+            // Convert to each format
+            for (const format of outputFormats) {
+                try {
+                    const outputPath = path.join(outputDir, `${baseFilename}.${format}`);
+                    console.log(`🔄 Converting ${baseFilename} to ${format}...`);
+                    
+                    // Check if cancelled before starting conversion
+                    const processInfo = this.activeProcesses.get(originalFilename);
+                    if (processInfo && processInfo.cancelled) {
+                        console.log(`⏹️ Skipping conversion for cancelled video: ${originalFilename}`);
+                        break;
+                    }
+                    
+                    await this._convertVideo(source, outputPath, format, metadata, originalFilename);
+                    results.formats[format] = outputPath;
+                    
+                    console.log(`✅ Successfully converted ${baseFilename} to ${format}`);
+                } catch (error) {
+                    console.error(`❌ Failed to convert ${baseFilename} to ${format}:`, error.message);
+                    // Continue with other formats even if one fails
+                }
+            }
+
+            // Renditions come from the source, not the capped conversion above
+            const processInfo = this.activeProcesses.get(originalFilename);
+            if (!processInfo || !processInfo.cancelled) {
+                // A playable H.264 upload is the 'original' rendition itself
+                const originalRendition = !animation && path.extname(inputPath).toLowerCase() === '.mp4' &&
+                    this._isPlayableH264(metadata) ? inputPath : null;
+                Object.assign(results, await this._createRenditions(
+                    source, outputDir, baseFilename, metadata, originalFilename, originalRendition
+                ));
+            }
+
+            // Delete original if requested and at least one conversion succeeded.
+            // Animated images are the original of the node and stay, and so
+            // does any upload with renditions - it is the full-quality source.
+            if (this.config.deleteOriginal && !animation && Object.keys(results.formats).length > 0 &&
+                results.renditions.length === 0) {
+                try {
+                    await fs.unlink(inputPath);
+                    console.log(`🗑️ Deleted original file: ${baseFilename}`);
+                } catch (error) {
+                    console.error(`⚠️ Failed to delete original file:`, error.message);
+                }
+            }
+
+            return results;
+        } finally {
+            if (source !== inputPath) {
+                await fs.rm(path.dirname(source), { recursive: true, force: true }).catch(() => {});
+            }
+            
+            // Clean up tracking
+            this.activeProcesses.delete(originalFilename);
         }
+    }
 
-        // Delete original if requested and at least one conversion succeeded
-        if (this.config.deleteOriginal && Object.keys(results.formats).length > 0) {
-            try {
-                await fs.unlink(inputPath);
-                console.log(`🗑️ Deleted original file: ${baseFilename}`);
-            } catch (error) {
-                console.error(`⚠️ Failed to delete original file:`, error.message);
+    /**
+     * Decode an animated WebP or APNG into an FFV1 Matroska file the rest of
+     * the pipeline can read like any video. Frame timing is kept; transparency
+     * is kept as well, for the WebM.
+     * @returns {Promise<string>} Path of the intermediate, inside its own temporary directory
+     */
+    async _renderAnimation(inputPath, outputDir, baseFilename, animation) {
+        const workDir = path.join(outputDir, `.${baseFilename}-frames`);
+        await fs.mkdir(workDir, { recursive: true });
+        const outputPath = path.join(workDir, 'animation.mkv');
+
+        try {
+            let command;
+            if (animation.format === 'webp') {
+                // ffmpeg can't decode animated WebP; libvips composites each frame
+                command = ffmpeg(await this._writeWebpFrames(inputPath, workDir))
+                    .inputOptions(['-f concat', '-safe 0']);
+            } else {
+                // The extension may well be .png, which ffmpeg would read as a still
+                command = ffmpeg(inputPath).inputOptions(['-f apng']);
             }
+
+            await new Promise((resolve, reject) => {
+                command
+                    .videoCodec('ffv1')
+                    .noAudio()
+                    .output(outputPath)
+                    .on('end', resolve)
+                    .on('error', reject)
+                    .run();
+            });
+            console.log(`🎞️ Decoded ${animation.frames} ${animation.format} frames of ${baseFilename}`);
+            return outputPath;
+        } catch (error) {
+            await fs.rm(workDir, { recursive: true, force: true }).catch(() => {});
+            throw error;
+        }
+    }
+
+    /**
+     * Write every frame of an animated WebP as a PNG, plus an ffconcat list
+     * with each frame's delay
+     * @returns {Promise<string>} Path of the list
+     */
+    async _writeWebpFrames(inputPath, workDir) {
+        const { pages = 1, delay = [] } = await sharp(inputPath, { animated: true }).metadata();
+        const lines = ['ffconcat version 1.0'];
+        let frameName = null;
+
+        for (let page = 0; page < pages; page++) {
+            frameName = `${String(page).padStart(5, '0')}.png`;
+            await sharp(inputPath, { page }).png({ compressionLevel: 1 }).toFile(path.join(workDir, frameName));
+            // Browsers show zero-delay frames for 100ms
+            lines.push(`file '${frameName}'`, `duration ${(delay[page] > 0 ? delay[page] : 100) / 1000}`);
         }
 
-        // Clean up tracking
-        this.activeProcesses.delete(originalFilename);
+        // The concat demuxer only honours the last duration if the file is listed again
+        lines.push(`file '${frameName}'`);
 
-        return results;
+        const listPath = path.join(workDir, 'frames.ffconcat');
+        await fs.writeFile(listPath, lines.join('\n') + '\n');
+        return listPath;
     }
 
     _getVideoMetadata(inputPath) {
@@ -186,6 +295,7 @@ class VideoProcessor extends EventEmitter {
                             width: videoStream.width,
                             height: videoStream.height,
                             codec: videoStream.codec_name,
+                            pixFmt: videoStream.pix_fmt,
                             fps: eval(videoStream.r_frame_rate) // Convert "30/1" to 30
                         } : null,
                         audio: audioStream ? {
@@ -214,7 +324,118 @@ class VideoProcessor extends EventEmitter {
         });
     }
 
-    _convertVideo(inputPath, outputPath, format, metadata, originalFilename) {
+    /**
+     * Encode each configured rendition and segment it for HLS. Failures are
+     * logged and skipped so one bad rendition doesn't lose the others.
+     * @returns {Promise<Object>} { renditions, hlsMaster } - renditions are
+     *   { name, width, height, bandwidth, path, playlistPath }, smallest first;
+     *   hlsMaster is null when none were created
+     * @param {string|null} [originalPath] - Used as the 'original' rendition instead of encoding one
+     */
+    async _createRenditions(inputPath, outputDir, baseFilename, metadata, originalFilename, originalPath = null) {
+        const renditions = [];
+        const hlsDir = path.join(outputDir, 'hls', baseFilename);
+        const duration = Number(metadata.format.duration) || 0;
+        const { width: sourceWidth, height: sourceHeight } = metadata.video;
+
+        for (const { name, height } of this.config.renditions) {
+            if (height && height >= sourceHeight) continue;
+
+            // libx264 needs even dimensions
+            const targetHeight = height || sourceHeight;
+            const size = {
+                width: Math.round(sourceWidth * targetHeight / sourceHeight / 2) * 2,
+                height: Math.round(targetHeight / 2) * 2
+            };
+            const reuse = !height && originalPath;
+            const outputPath = reuse ? originalPath : path.join(outputDir, `${baseFilename}_${name}.mp4`);
+
+            const processInfo = this.activeProcesses.get(originalFilename);
+            if (processInfo && processInfo.cancelled) break;
+
+            try {
+                if (!reuse) {
+                    console.log(`🔄 Creating ${name} rendition of ${baseFilename} (${size.width}x${size.height})...`);
+                    await this._convertVideo(inputPath, outputPath, 'mp4', metadata, originalFilename, size);
+                    if (this.activeProcesses.get(originalFilename)?.cancelled) break;
+                }
+
+                await fs.mkdir(hlsDir, { recursive: true });
+                const playlistPath = path.join(hlsDir, `${name}.m3u8`);
+                await this._segmentHls(outputPath, playlistPath, path.join(hlsDir, `${name}_%03d.ts`));
+
+                const { size: bytes } = await fs.stat(outputPath);
+                renditions.push({
+                    name,
+                    ...size,
+                    bandwidth: duration ? Math.round(bytes * 8 / duration) : 0,
+                    path: outputPath,
+                    playlistPath
+                });
+            } catch (error) {
+                console.error(`❌ Failed to create ${name} rendition of ${baseFilename}:`, error.message);
+            }
+        }
+
+        let hlsMaster = null;
+        if (renditions.length > 0) {
+            hlsMaster = path.join(hlsDir, 'master.m3u8');
+            await fs.writeFile(hlsMaster, this._hlsMasterPlaylist(renditions));
+        }
+        return { renditions, hlsMaster };
+    }
+
+    /**
+     * Split an H.264 MP4 into MPEG-TS segments without re-encoding
+     */
+    _segmentHls(inputPath, playlistPath, segmentPattern) {
+        return new Promise((resolve, reject) => {
+            ffmpeg(inputPath)
+                .outputOptions([
+                    '-c copy',
+                    '-f hls',
+                    `-hls_time ${this.config.hlsSegmentDuration}`,
+                    '-hls_playlist_type vod',
+                    `-hls_segment_filename ${segmentPattern}`
+                ])
+                .output(playlistPath)
+                .on('end', () => resolve())
+                .on('error', reject)
+                .run();
+        });
+    }
+
+    _hlsMasterPlaylist(renditions) {
+        const lines = ['#EXTM3U', '#EXT-X-VERSION:3'];
+        for (const rendition of renditions) {
+            lines.push(`#EXT-X-STREAM-INF:BANDWIDTH=${rendition.bandwidth},RESOLUTION=${rendition.width}x${rendition.height}`);
+            lines.push(path.basename(rendition.playlistPath));
+        }
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * Whether browsers play a file as it is: a VP9 WebM, or an 8-bit 4:2:0
+     * H.264 MP4 within maxWidth x maxHeight
+     */
+    _isWebReady(filePath, metadata) {
+        const ext = path.extname(filePath).toLowerCase();
+        if (ext === '.webm') {
+            return metadata.video.codec === 'vp9';
+        }
+        return ext === '.mp4' && this._isPlayableH264(metadata) &&
+            metadata.video.width <= this.config.maxWidth &&
+            metadata.video.height <= this.config.maxHeight;
+    }
+
+    _isPlayableH264(metadata) {
+        return metadata.video.codec === 'h264' && metadata.video.pixFmt === 'yuv420p';
+    }
+
+    /**
+     * @param {Object} [size] - Output { width, height }; defaults to the source capped at maxWidth/maxHeight
+     */
+    _convertVideo(inputPath, outputPath, format, metadata, originalFilename, size = null) {
         return new Promise((resolve, reject) => {
             console.log(`🎬 Starting conversion for ${originalFilename} to ${format}`);
             
@@ -236,7 +457,7 @@ class VideoProcessor extends EventEmitter {
             }
             
             // Calculate output dimensions maintaining aspect ratio
-            const { width, height } = this._calculateOutputDimensions(
+            const { width, height } = size || this._calculateOutputDimensions(
                 metadata.video.width, 
                 metadata.video.height
             );
@@ -261,12 +482,21 @@ class VideoProcessor extends EventEmitter {
                     .outputOptions([
                         `-preset ${opts.preset}`,
                         `-crf ${opts.crf}`,
+                        // 10-bit and 4:4:4 sources would otherwise stay in a High
+                        // profile browsers and hardware decoders can't play
+                        '-pix_fmt yuv420p',
                         '-movflags +faststart' // Enable streaming
                     ])
                     .audioCodec(opts.audioCodec)
                     .audioBitrate(opts.audioBitrate);
             }
 
+            // Animated images decode to palette or RGB frames, which VP9 would
+            // keep as 4:4:4 that browsers can't play. The alpha is kept.
+            if (format === 'webm' && processInfo && processInfo.animated) {
+                command.outputOptions(['-pix_fmt yuva420p']);
+            }
+
             // Set output size if needed
             if (width !== metadata.video.width || height !== metadata.video.height) {
                 command.size(`${width}x${height}`);
@@ -338,6 +568,73 @@ class VideoProcessor extends EventEmitter {
         });
     }
 
+    /**
+     * Extract still frames as PNGs. Runs outside the transcoding queue since a
+     * single frame only decodes from the nearest keyframe.
+     * @param {string} inputPath - Path to the video file
+     * @param {number[]} times - Seconds; each is snapped to the start of the frame it falls in
+     * @param {string} outputDir - Directory for the PNGs
+     * @param {string} baseFilename - Output files are named `${baseFilename}-${index}.png`
+     * @returns {Promise<Array<{path: string, time: number}>>}
+     */
+    async extractFrames(inputPath, times, outputDir, baseFilename) {
+        const metadata = await this._getVideoMetadata(inputPath);
+        if (!metadata.video) {
+            throw new Error('File has no video stream');
+        }
+
+        const duration = Number(metadata.format.duration) || 0;
+        const fps = metadata.video.fps > 0 ? metadata.video.fps : null;
+        const frames = [];
+
+        for (const [index, requested] of times.entries()) {
+            let time = Math.max(0, requested);
+            if (duration > 0) {
+                // A time at or past the end has no frame to show, so take the last one
+                time = Math.min(time, Math.max(0, duration - (fps ? 1 / fps : 0.001)));
+            }
+            if (fps) {
+                // The browser reports any time within a frame; ffmpeg's accurate
+                // seek would otherwise return the next one
+                time = Math.floor(time * fps + 1e-6) / fps;
+            }
+
+            const outputPath = path.join(outputDir, `${baseFilename}-${index}.png`);
+            await this._extractFrame(inputPath, time, outputPath);
+            frames.push({ path: outputPath, time });
+        }
+
+        return frames;
+    }
+
+    /**
+     * Length of a video in seconds
+     */
+    async getDuration(inputPath) {
+        const metadata = await this._getVideoMetadata(inputPath);
+        return Number(metadata.format.duration) || 0;
+    }
+
+    _extractFrame(inputPath, time, outputPath) {
+        return new Promise((resolve, reject) => {
+            ffmpeg(inputPath)
+                .seekInput(time)
+                .frames(1)
+                .output(outputPath)
+                .on('end', async () => {
+                    // ffmpeg ends cleanly without writing anything when there's no frame at time
+                    try {
+                        await fs.access(outputPath);
+                        resolve();
+                    } catch (error) {
+                        reject(new Error(`No frame at ${time}s`));
+                    }
+                })
+                .on('error', reject)
+                .run();
+        });
+    }
+
     _calculateOutputDimensions(originalWidth, originalHeight) {
         const { maxWidth, maxHeight } = this.config;
         
@@ -455,20 +752,14 @@ class VideoProcessor extends EventEmitter {
     async needsProcessing(filePath) {
         try {
             const metadata = await this._getVideoMetadata(filePath);
-            const ext = path.extname(filePath).toLowerCase();
+            if (!metadata.video) return true;
             
-            // Check if it's already in an optimal format with reasonable settings
-            if (ext === '.webm' && metadata.video.codec === 'vp9') {
-                return false;
-            }
-            if (ext === '.mp4' && metadata.video.codec === 'h264') {
-                // Check if it needs resizing
-                return metadata.video.width > this.config.maxWidth || 
-                       metadata.video.height > this.config.maxHeight;
-            }
+            // Even web-ready files need renditions if a smaller one would be used
+            const needsRenditions = this.config.renditions.some(
+                rendition => rendition.height && rendition.height < metadata.video.height
+            );
             
-            // All other formats need processing
-            return true;
+            return needsRenditions || !this._isWebReady(filePath, metadata);
         } catch (error) {
             // If we can't read metadata, assume it needs processing
             return true;
@@ -15,12 +15,17 @@ import '../js/utils/undo-optimization.js';
 import '../js/utils/ImageLoadManager.js';
 import '../js/utils/IndexedDBThumbnailStore.js';
 import '../js/utils/lod-cache.js';
+import '../js/utils/cube-lut.js';
+import '../js/utils/image-formats.js';
+import '../js/utils/animated-image.js';
 
 // Keyboard shortcuts system
 import '../js/config/keyboard-shortcuts.js';
 import '../js/config/keyboard-shortcuts-integration.js';
 
 // 2) Core systems and renderers
+import '../js/renderers/AnnotationStrokes.js';
+import '../js/renderers/ImageCrop.js';
 import '../js/renderers/Canvas2DRenderer.js';
 import '../js/renderers/TextureLODManager.js';
 import '../js/renderers/TextureAtlasManager.js';
@@ -40,6 +45,9 @@ import '../js/core/selection.js';
 import '../js/core/ThumbnailRequestCoordinator.js';
 import '../js/core/handles.js';
 import '../js/core/alignment.js';
+import '../js/core/snapping.js';
+import '../js/core/arrange.js';
+import '../js/core/NodeSearch.js';
 import '../js/core/BulkOperationManager.js';
 import '../js/core/GraphCircularReferenceResolver.js';
 import '../js/core/ImageResourceCache.js';
@@ -59,6 +67,10 @@ import '../js/core/ImageProcessingProgressManager.js';
 import '../js/core/ImageUploadCoordinator.js';
 import '../js/core/GalleryViewManager.js';
 import '../js/core/BackgroundSyncManager.js';
+import '../js/core/CanvasExporter.js';
+import '../js/core/ClipboardManager.js';
+import '../js/core/VideoFrameGrabber.js';
+import '../js/core/ColorGradeManager.js';
 
 // 4) Node classes
 import '../js/nodes/base-node.js';
@@ -67,6 +79,7 @@ import '../js/nodes/video-node.js';
 import '../js/nodes/text-node.js';
 import '../js/nodes/group-node.js';
 import '../js/nodes/pinned-note-node.js';
+import '../js/nodes/connector-node.js';
 
 // 5) Node plugin system
 import '../js/core/NodePluginSystem.js';
@@ -85,14 +98,17 @@ import '../js/commands/BulkCommand.js';
 import '../js/commands/NodeCommands.js';
 import '../js/commands/NodeCommandsExtended.js';
 import '../js/commands/CanvasCommands.js';
+import '../js/commands/AnnotationCommands.js';
 import '../js/commands/ImageUploadCompleteCommand.js';
 
 // 10) Core systems that depend on Commands
 import '../js/core/OperationPipeline.js';
 import '../js/core/StateSyncManager.js';
+import '../js/core/OfflineOperationQueue.js';
 
 // 11) Collaborative Architecture
 import '../js/core/NetworkLayer.js';
+import '../js/core/CanvasPermissions.js';
 import '../js/core/ClientUndoManager.js';
 import '../js/core/CollaborativeArchitecture.js';
 import '../js/core/VideoProcessingListener.js';
@@ -107,11 +123,17 @@ import '../js/ui/connection-status.js';
 import '../js/ui/floating-properties-inspector.js';
 import '../js/ui/components/spline-curve-editor.js';
 import '../js/ui/components/color-balance-wheel.js';
+import '../js/ui/components/color-scopes.js';
 import '../js/ui/floating-color-correction.js';
 import '../js/ui/unified-notifications.js';
 import '../js/ui/node-creation-menu.js';
 import '../js/ui/user-profile-panel.js';
 import '../js/ui/chat-panel.js';
+import '../js/ui/export-dialog.js';
+import '../js/ui/annotation-tool.js';
+import '../js/ui/search-overlay.js';
+import '../js/ui/outline-panel.js';
+import '../js/ui/video-scrubber.js';
 
 // 13) Finally boot the application after all globals are defined
 import '../js/app.js';
@@ -0,0 +1,156 @@
+#!/usr/bin/env node
+
+/**
+ * Test animated GIF/WebP/APNG detection on synthetic files, on the server
+ * and in the browser copy
+ * Run with: node tests/test-animated-image.js
+ */
+
+const { detectAnimation } = require('../server/src/image/AnimatedImage');
+const AnimatedImage = require('../js/utils/animated-image');
+
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+    try {
+        fn();
+        console.log(`✅ ${name}`);
+        passed++;
+    } catch (error) {
+        console.error(`❌ ${name}: ${error.message}`);
+        failed++;
+    }
+}
+
+function assert(condition, message) {
+    if (!condition) throw new Error(message);
+}
+
+/**
+ * Both detectors must give the same answer
+ */
+function detect(buffer) {
+    const server = detectAnimation(buffer);
+    const browser = AnimatedImage.detect(new Uint8Array(buffer));
+    assert(JSON.stringify(server) === JSON.stringify(browser),
+        `server says ${JSON.stringify(server)}, browser says ${JSON.stringify(browser)}`);
+    return server;
+}
+
+/**
+ * A GIF with a 2-color global table and one 1x1 image per frame, each with
+ * a graphic control extension and, for the first, a 4-color local table
+ */
+function buildGif(frames, { truncate = false } = {}) {
+    const parts = [
+        Buffer.from('GIF89a', 'latin1'),
+        Buffer.from([1, 0, 1, 0, 0x80, 0, 0]),
+        Buffer.alloc(6)
+    ];
+    // NETSCAPE looping extension
+    parts.push(Buffer.from([0x21, 0xff, 11]), Buffer.from('NETSCAPE2.0', 'latin1'), Buffer.from([3, 1, 0, 0, 0]));
+
+    for (let frame = 0; frame < frames; frame++) {
+        parts.push(Buffer.from([0x21, 0xf9, 4, 0, 10, 0, 0, 0]));
+        const local = frame === 0;
+        parts.push(Buffer.from([0x2c, 0, 0, 0, 0, 1, 0, 1, 0, local ? 0x81 : 0]));
+        if (local) parts.push(Buffer.alloc(12));
+        // LZW code size, one data sub-block containing 0x2c and 0x21 bytes, terminator
+        parts.push(Buffer.from([2, 3, 0x2c, 0x21, 0x3b, 0]));
+    }
+    parts.push(Buffer.from([0x3b]));
+
+    const gif = Buffer.concat(parts);
+    // Truncating cuts into the last frame's image data
+    return truncate ? gif.subarray(0, gif.length - 4) : gif;
+}
+
+function webpChunk(type, data) {
+    const header = Buffer.alloc(8);
+    header.write(type, 0, 'latin1');
+    header.writeUInt32LE(data.length, 4);
+    return Buffer.concat([header, data, Buffer.alloc(data.length & 1)]);
+}
+
+function buildWebp(chunks) {
+    const body = Buffer.concat([Buffer.from('WEBP', 'latin1'), ...chunks]);
+    const header = Buffer.alloc(8);
+    header.write('RIFF', 0, 'latin1');
+    header.writeUInt32LE(body.length, 4);
+    return Buffer.concat([header, body]);
+}
+
+function pngChunk(type, data = Buffer.alloc(0)) {
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(data.length);
+    return Buffer.concat([length, Buffer.from(type, 'latin1'), data, Buffer.alloc(4)]);
+}
+
+function buildPng(chunks) {
+    return Buffer.concat([
+        Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+        pngChunk('IHDR', Buffer.alloc(13)),
+        ...chunks,
+        pngChunk('IEND')
+    ]);
+}
+
+function acTL(frames) {
+    const data = Buffer.alloc(8);
+    data.writeUInt32BE(frames, 0);
+    return pngChunk('acTL', data);
+}
+
+test('counts GIF frames past extensions and local color tables', () => {
+    const animation = detect(buildGif(3));
+    assert(animation && animation.format === 'gif' && animation.frames === 3, `got ${JSON.stringify(animation)}`);
+});
+
+test('leaves single-frame GIFs as images', () => {
+    assert(detect(buildGif(1)) === null, 'expected null');
+});
+
+test('counts the frames a truncated GIF has', () => {
+    const animation = detect(buildGif(3, { truncate: true }));
+    assert(animation && animation.frames === 3, `got ${JSON.stringify(animation)}`);
+});
+
+test('counts ANMF chunks of animated WebPs', () => {
+    const webp = buildWebp([
+        webpChunk('VP8X', Buffer.from([0x12, 0, 0, 0, 0, 0, 0, 0, 0, 0])),
+        webpChunk('ANIM', Buffer.alloc(6)),
+        webpChunk('ANMF', Buffer.alloc(17)),
+        webpChunk('ANMF', Buffer.alloc(16))
+    ]);
+    const animation = detect(webp);
+    assert(animation && animation.format === 'webp' && animation.frames === 2, `got ${JSON.stringify(animation)}`);
+});
+
+test('leaves still WebPs as images', () => {
+    assert(detect(buildWebp([webpChunk('VP8 ', Buffer.alloc(10))])) === null, 'simple WebP');
+    assert(detect(buildWebp([
+        webpChunk('VP8X', Buffer.from([0x10, 0, 0, 0, 0, 0, 0, 0, 0, 0])),
+        webpChunk('ALPH', Buffer.alloc(3)),
+        webpChunk('VP8 ', Buffer.alloc(10))
+    ])) === null, 'extended WebP without the animation flag');
+});
+
+test('reads the APNG frame count', () => {
+    const animation = detect(buildPng([acTL(5), pngChunk('IDAT', Buffer.alloc(3))]));
+    assert(animation && animation.format === 'apng' && animation.frames === 5, `got ${JSON.stringify(animation)}`);
+});
+
+test('ignores acTL after the image data and single-frame APNGs', () => {
+    assert(detect(buildPng([pngChunk('IDAT', Buffer.alloc(3)), acTL(5)])) === null, 'acTL after IDAT');
+    assert(detect(buildPng([acTL(1), pngChunk('IDAT', Buffer.alloc(3))])) === null, 'one frame');
+    assert(detect(buildPng([pngChunk('IDAT', Buffer.alloc(3))])) === null, 'plain PNG');
+});
+
+test('ignores other formats', () => {
+    assert(detect(Buffer.from([0xff, 0xd8, 0xff, 0xe0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0])) === null, 'JPEG');
+    assert(detect(Buffer.alloc(0)) === null, 'empty file');
+});
+
+console.log(`\n${passed} passed, ${failed} failed`);
+process.exit(failed > 0 ? 1 : 0);
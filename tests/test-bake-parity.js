@@ -0,0 +1,232 @@
+#!/usr/bin/env node
+
+/**
+ * Compare the server's baked grade (server/src/color/ColorGrade.js) with the
+ * WebGL shader the canvas draws with, on the same synthetic image.
+ * The shader runs in headless Chrome through WebGLRenderer.readCorrectedPixels.
+ * Run with: node tests/test-bake-parity.js
+ */
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const puppeteer = require('puppeteer');
+const { applyGrade } = require('../server/src/color/ColorGrade');
+const { parseCubeLUT } = require('../server/src/color/CubeLUT');
+
+const ROOT = path.join(__dirname, '..');
+const SIZE = 64;
+
+// 8-bit GPU math vs doubles, plus the LUT texture being quantized to 8 bits
+const MAX_ERROR = 4;
+const MEAN_ERROR = 1;
+
+const SCRIPTS = ['js/utils/lod-cache.js', 'js/utils/cube-lut.js', 'js/renderers/WebGLRenderer.js'];
+
+const LUT_HASH = 'parity-test-lut';
+const LUT = buildLut(17);
+
+const GRADES = {
+    adjustments: {
+        adjustments: { brightness: 0.1, contrast: 0.2, saturation: 0.3, hue: 25, temperature: 0.2, tint: -0.1 },
+        colorAdjustmentsBypassed: false
+    },
+    'tone curve': {
+        toneCurve: { controlPoints: [{ x: 0, y: 0.05 }, { x: 0.3, y: 0.22 }, { x: 0.7, y: 0.82 }, { x: 1, y: 0.95 }] },
+        toneCurveBypassed: false
+    },
+    'color balance': {
+        colorBalance: {
+            shadows: { x: 0.2, y: -0.1, luminance: 0.55 },
+            midtones: { x: -0.1, y: 0.15, luminance: 0.45 },
+            highlights: { x: 0.05, y: 0.1, luminance: 0.6 }
+        },
+        colorBalanceBypassed: false
+    },
+    lut: {
+        lut: { hash: LUT_HASH, name: 'Parity', intensity: 0.75 }
+    }
+};
+GRADES.combined = { ...GRADES.adjustments, ...GRADES['tone curve'], ...GRADES['color balance'], ...GRADES.lut };
+
+let passed = 0;
+let failed = 0;
+
+async function test(name, fn) {
+    try {
+        await fn();
+        console.log(`✅ ${name}`);
+        passed++;
+    } catch (error) {
+        console.error(`❌ ${name}: ${error.message}`);
+        failed++;
+    }
+}
+
+function assert(condition, message) {
+    if (!condition) throw new Error(message);
+}
+
+/**
+ * A cube with a gentle S-curve per channel and some crosstalk, so both the
+ * interpolation and the channel mixing show up in the comparison
+ */
+function buildLut(size) {
+    const lines = ['TITLE "Parity"', `LUT_3D_SIZE ${size}`];
+    for (let b = 0; b < size; b++) {
+        for (let g = 0; g < size; g++) {
+            for (let r = 0; r < size; r++) {
+                const [R, G, B] = [r, g, b].map(value => value / (size - 1));
+                const curve = value => value * value * (3 - 2 * value);
+                lines.push([
+                    curve(R) * 0.9 + B * 0.1,
+                    curve(G),
+                    curve(B) * 0.8 + R * 0.2
+                ].map(value => value.toFixed(6)).join(' '));
+            }
+        }
+    }
+    return lines.join('\n');
+}
+
+function sourcePixels() {
+    const pixels = new Uint8ClampedArray(SIZE * SIZE * 4);
+    for (let y = 0; y < SIZE; y++) {
+        for (let x = 0; x < SIZE; x++) {
+            const i = (y * SIZE + x) * 4;
+            pixels[i] = x * 4;
+            pixels[i + 1] = y * 4;
+            pixels[i + 2] = ((x + y) * 2) & 255;
+            pixels[i + 3] = 255;
+        }
+    }
+    return pixels;
+}
+
+function compare(expected, actual) {
+    let max = 0;
+    let total = 0;
+    let count = 0;
+    for (let i = 0; i < expected.length; i++) {
+        if (i % 4 === 3) continue;
+        const error = Math.abs(expected[i] - actual[i]);
+        max = Math.max(max, error);
+        total += error;
+        count++;
+    }
+    return { max, mean: total / count };
+}
+
+function startServer() {
+    const server = http.createServer((req, res) => {
+        if (req.url === '/') {
+            res.writeHead(200, { 'Content-Type': 'text/html' });
+            res.end('<html><body></body></html>');
+        } else if (req.url === `/luts/${LUT_HASH}`) {
+            res.writeHead(200, { 'Content-Type': 'text/plain' });
+            res.end(LUT);
+        } else if (SCRIPTS.includes(req.url.slice(1))) {
+            res.writeHead(200, { 'Content-Type': 'text/javascript' });
+            res.end(fs.readFileSync(path.join(ROOT, req.url.slice(1))));
+        } else {
+            res.writeHead(404);
+            res.end();
+        }
+    });
+    return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server)));
+}
+
+async function run() {
+    const server = await startServer();
+    const base = `http://127.0.0.1:${server.address().port}`;
+    const browser = await puppeteer.launch({
+        headless: true,
+        args: ['--no-sandbox', '--use-angle=swiftshader', '--enable-unsafe-swiftshader']
+    });
+
+    try {
+        const page = await browser.newPage();
+        page.on('pageerror', error => console.error('Page error:', error.message));
+        await page.goto(base);
+
+        await page.evaluate((base) => {
+            window.CONFIG = { ENDPOINTS: { LUTS: `${base}/luts` } };
+        }, base);
+        for (const script of SCRIPTS) {
+            await page.addScriptTag({ url: `${base}/${script}` });
+        }
+
+        const ready = await page.evaluate((size, pixels) => {
+            const source = document.createElement('canvas');
+            source.width = size;
+            source.height = size;
+            source.getContext('2d').putImageData(new ImageData(new Uint8ClampedArray(pixels), size, size), 0, 0);
+
+            window.source = source;
+            window.renderer = new WebGLRenderer({ canvas: document.createElement('canvas') });
+            return !!window.renderer.gl;
+        }, SIZE, Array.from(sourcePixels()));
+        assert(ready, 'WebGL is not available in headless Chrome');
+
+        // The renderer fetches LUTs on first use
+        await page.evaluate(async (hash) => {
+            window.renderer.readCorrectedPixels({ lut: { hash, intensity: 1 } }, window.source, 1, 1);
+            const start = Date.now();
+            while (!window.renderer.lutTextures.get(hash)?.texture) {
+                if (window.renderer.lutTextures.get(hash)?.failed || Date.now() - start > 5000) {
+                    throw new Error('LUT did not load');
+                }
+                await new Promise(resolve => setTimeout(resolve, 20));
+            }
+        }, LUT_HASH);
+
+        const lut = parseCubeLUT(LUT);
+
+        for (const [name, grade] of Object.entries(GRADES)) {
+            await test(`${name} matches the shader`, async () => {
+                const node = {
+                    type: 'media/image',
+                    adjustments: { brightness: 0, contrast: 0, saturation: 0, hue: 0 },
+                    toneCurve: null,
+                    colorBalance: null,
+                    toneCurveBypassed: true,
+                    colorAdjustmentsBypassed: true,
+                    colorBalanceBypassed: true,
+                    lut: null,
+                    ...grade
+                };
+
+                const shader = await page.evaluate((node, size) => {
+                    const result = window.renderer.readCorrectedPixels(node, window.source, size, size);
+                    return result && Array.from(result.pixels);
+                }, node, SIZE);
+                assert(shader, 'readCorrectedPixels returned nothing');
+
+                const baked = sourcePixels();
+                await applyGrade(baked, { width: SIZE, height: SIZE, channels: 4 }, node, { lut: node.lut ? lut : null });
+
+                const { max, mean } = compare(baked, shader);
+                console.log(`   max ${max}, mean ${mean.toFixed(3)}`);
+                assert(max <= MAX_ERROR, `max error ${max} > ${MAX_ERROR}`);
+                assert(mean <= MEAN_ERROR, `mean error ${mean.toFixed(3)} > ${MEAN_ERROR}`);
+            });
+        }
+
+        await test('an ungraded image is unchanged', async () => {
+            const baked = sourcePixels();
+            await applyGrade(baked, { width: SIZE, height: SIZE, channels: 4 }, {});
+            assert(compare(sourcePixels(), baked).max === 0, 'pixels changed');
+        });
+    } finally {
+        await browser.close();
+        server.close();
+    }
+
+    console.log(`\n${passed} passed, ${failed} failed`);
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+run().catch(error => {
+    console.error(error);
+    process.exit(1);
+});
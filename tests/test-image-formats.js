@@ -0,0 +1,246 @@
+#!/usr/bin/env node
+
+/**
+ * Test the format detection, PSD composite reader and RAW preview finder
+ * behind upload conversion, on synthetic files
+ * Run with: node tests/test-image-formats.js
+ */
+
+const zlib = require('zlib');
+const { detectFormat, normalizeMimeType } = require('../server/src/image/ImageFormats');
+const { readPsdComposite } = require('../server/src/image/PsdComposite');
+const { extractRawPreview, readJpegSize } = require('../server/src/image/RawPreview');
+
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+    try {
+        fn();
+        console.log(`✅ ${name}`);
+        passed++;
+    } catch (error) {
+        console.error(`❌ ${name}: ${error.message}`);
+        failed++;
+    }
+}
+
+function assert(condition, message) {
+    if (!condition) throw new Error(message);
+}
+
+function assertPixel(data, index, expected) {
+    const actual = Array.from(data.subarray(index * 4, index * 4 + 4));
+    assert(actual.join() === expected.join(), `pixel ${index} is ${actual}, expected ${expected}`);
+}
+
+// 3x2 test planes
+const RED = Buffer.from([10, 20, 30, 40, 50, 60]);
+const GREEN = Buffer.from([1, 2, 3, 4, 5, 6]);
+const BLUE = Buffer.from([100, 101, 102, 103, 104, 105]);
+const ALPHA = Buffer.from([255, 0, 128, 255, 255, 1]);
+
+function length(value, large) {
+    const buffer = Buffer.alloc(large ? 8 : 4);
+    if (large) buffer.writeUInt32BE(value, 4);
+    else buffer.writeUInt32BE(value);
+    return buffer;
+}
+
+/**
+ * A minimal PSD/PSB: header, palette, no resources, an optional layer count
+ * and the composite in the given compression
+ */
+function buildPsd({ width = 3, height = 2, mode = 3, depth = 8, planes, compression = 0, layerCount = 0, large = false, palette = Buffer.alloc(0) }) {
+    const header = Buffer.alloc(26);
+    header.write('8BPS', 0, 'latin1');
+    header.writeUInt16BE(large ? 2 : 1, 4);
+    header.writeUInt16BE(planes.length, 12);
+    header.writeUInt32BE(height, 14);
+    header.writeUInt32BE(width, 18);
+    header.writeUInt16BE(depth, 22);
+    header.writeUInt16BE(mode, 24);
+
+    let layers = length(0, large);
+    if (layerCount) {
+        const count = Buffer.alloc(2);
+        count.writeInt16BE(layerCount);
+        const info = Buffer.concat([length(2, large), count]);
+        layers = Buffer.concat([length(info.length, large), info]);
+    }
+
+    const rowLength = width * depth / 8;
+    let data;
+    if (compression === 0) {
+        data = Buffer.concat(planes);
+    } else if (compression === 1) {
+        // Literal PackBits runs, one per row
+        const rows = [];
+        for (const plane of planes) {
+            for (let row = 0; row < height; row++) {
+                rows.push(Buffer.concat([Buffer.from([rowLength - 1]), plane.subarray(row * rowLength, (row + 1) * rowLength)]));
+            }
+        }
+        const counts = Buffer.alloc(rows.length * (large ? 4 : 2));
+        rows.forEach((row, i) => large ? counts.writeUInt32BE(row.length, i * 4) : counts.writeUInt16BE(row.length, i * 2));
+        data = Buffer.concat([counts, ...rows]);
+    } else {
+        data = zlib.deflateSync(Buffer.concat(planes));
+    }
+
+    const compressionField = Buffer.alloc(2);
+    compressionField.writeUInt16BE(compression);
+    return Buffer.concat([header, length(palette.length, false), palette, length(0, false), layers, compressionField, data]);
+}
+
+/**
+ * Just enough of a JPEG for the marker walk: SOI, APP0, a frame header, EOI
+ */
+function buildJpeg(width, height, frameMarker = 0xc0) {
+    return Buffer.from([
+        0xff, 0xd8,
+        0xff, 0xe0, 0, 4, 0, 0,
+        0xff, frameMarker, 0, 11, 8, height >> 8, height & 255, width >> 8, width & 255, 1, 1, 0x11, 0,
+        0xff, 0xda, 0, 2,
+        0xff, 0xd9
+    ]);
+}
+
+/**
+ * A little-endian TIFF header with an orientation tag in IFD0
+ */
+function buildTiffHeader(orientation) {
+    const tiff = Buffer.alloc(26);
+    tiff.write('II', 0, 'latin1');
+    tiff.writeUInt16LE(42, 2);
+    tiff.writeUInt32LE(8, 4);
+    tiff.writeUInt16LE(1, 8);
+    tiff.writeUInt16LE(0x0112, 10);
+    tiff.writeUInt16LE(3, 12);
+    tiff.writeUInt32LE(1, 14);
+    tiff.writeUInt16LE(orientation, 18);
+    return tiff;
+}
+
+test('detects converted formats by type and extension', () => {
+    assert(detectFormat('image/heic', 'IMG_0001.HEIC') === 'heic', 'heic by type');
+    assert(detectFormat('', 'IMG_0001.CR2') === 'raw', 'raw by extension');
+    assert(detectFormat('application/octet-stream', 'layers.psb') === 'psd', 'psb by extension');
+    assert(detectFormat('image/x-nikon-nef', 'DSC_1.NEF') === 'raw', 'nef by type');
+    assert(detectFormat('image/jpeg', 'photo.jpg') === null, 'jpeg needs no conversion');
+    assert(detectFormat('image/png', 'mislabeled.psd') === null, 'a real image type wins over the extension');
+});
+
+test('gives untyped uploads an image type', () => {
+    assert(normalizeMimeType('', 'DSC_1.nef') === 'image/x-nikon-nef', 'nef');
+    assert(normalizeMimeType('application/x-photoshop', 'art') === 'image/vnd.adobe.photoshop', 'psd without extension');
+    assert(normalizeMimeType('image/tiff', 'scan.tif') === 'image/tiff', 'tiff unchanged');
+    assert(normalizeMimeType('video/mp4', 'clip.mp4') === 'video/mp4', 'video unchanged');
+});
+
+for (const [compression, name] of [[0, 'raw'], [1, 'RLE'], [2, 'zip']]) {
+    test(`reads a ${name} RGB composite with transparency`, () => {
+        const result = readPsdComposite(buildPsd({ planes: [RED, GREEN, BLUE, ALPHA], compression, layerCount: -1 }));
+        assert(result.width === 3 && result.height === 2, `size ${result.width}x${result.height}`);
+        assert(result.hasAlpha, 'expected transparency');
+        assertPixel(result.data, 0, [10, 1, 100, 255]);
+        assertPixel(result.data, 1, [20, 2, 101, 0]);
+        assertPixel(result.data, 5, [60, 6, 105, 1]);
+    });
+}
+
+test('treats extra channels as selections unless the layer count is negative', () => {
+    const result = readPsdComposite(buildPsd({ planes: [RED, GREEN, BLUE, ALPHA], layerCount: 2 }));
+    assert(!result.hasAlpha, 'expected no transparency');
+    assertPixel(result.data, 1, [20, 2, 101, 255]);
+});
+
+test('reads PSB row counts and 16-bit samples', () => {
+    const to16 = plane => Buffer.from(Array.from(plane).flatMap(value => [value, 0x7f]));
+    const result = readPsdComposite(buildPsd({ planes: [RED, GREEN, BLUE].map(to16), depth: 16, compression: 1, large: true }));
+    assertPixel(result.data, 4, [50, 5, 104, 255]);
+});
+
+test('undoes zip prediction', () => {
+    const delta = plane => {
+        const encoded = Buffer.from(plane);
+        for (let row = 0; row < 2; row++) {
+            for (let x = 2; x >= 1; x--) {
+                encoded[row * 3 + x] = (plane[row * 3 + x] - plane[row * 3 + x - 1]) & 255;
+            }
+        }
+        return encoded;
+    };
+    const result = readPsdComposite(buildPsd({ planes: [RED, GREEN, BLUE].map(delta), compression: 3 }));
+    assertPixel(result.data, 2, [30, 3, 102, 255]);
+    assertPixel(result.data, 5, [60, 6, 105, 255]);
+});
+
+test('converts grayscale, CMYK and indexed composites', () => {
+    const gray = readPsdComposite(buildPsd({ mode: 1, planes: [RED] }));
+    assertPixel(gray.data, 0, [10, 10, 10, 255]);
+
+    // CMYK is stored inverted, so 255 is no ink
+    const cmyk = readPsdComposite(buildPsd({ mode: 4, planes: [RED, GREEN, BLUE, Buffer.alloc(6, 255)] }));
+    assertPixel(cmyk.data, 0, [10, 1, 100, 255]);
+
+    const palette = Buffer.alloc(768);
+    palette[5] = 200;
+    palette[256 + 5] = 100;
+    palette[512 + 5] = 50;
+    const indexed = readPsdComposite(buildPsd({ mode: 2, planes: [Buffer.from([5, 0, 0, 0, 0, 0])], palette }));
+    assertPixel(indexed.data, 0, [200, 100, 50, 255]);
+});
+
+test('rejects files that are not Photoshop documents', () => {
+    let error = null;
+    try {
+        readPsdComposite(Buffer.from('GIF89a and then some more bytes'));
+    } catch (e) {
+        error = e;
+    }
+    assert(error && /Not a Photoshop file/.test(error.message), 'expected an error');
+});
+
+test('reads JPEG frame sizes and skips lossless streams', () => {
+    const size = readJpegSize(buildJpeg(640, 480));
+    assert(size && size.width === 640 && size.height === 480, `got ${JSON.stringify(size)}`);
+    assert(readJpegSize(buildJpeg(640, 480, 0xc3)) === null, 'SOF3 should be rejected');
+});
+
+test('picks the largest RAW preview and reads its orientation', () => {
+    const raw = Buffer.concat([
+        buildTiffHeader(6),
+        buildJpeg(160, 120),
+        Buffer.from([0, 1, 2, 3]),
+        buildJpeg(6000, 4000, 0xc3), // Sensor data
+        buildJpeg(1620, 1080),
+        buildJpeg(320, 240)
+    ]);
+    const preview = extractRawPreview(raw);
+    assert(preview, 'no preview found');
+    assert(preview.width === 1620 && preview.height === 1080, `picked ${preview.width}x${preview.height}`);
+    assert(preview.orientation === 6, `orientation ${preview.orientation}`);
+    assert(preview.jpeg[0] === 0xff && preview.jpeg[1] === 0xd8, 'preview should start at SOI');
+});
+
+test('uses the RAF header preview', () => {
+    const jpeg = buildJpeg(2000, 1000);
+    const raf = Buffer.alloc(100 + jpeg.length);
+    raf.write('FUJIFILMCCD-RAW 0201', 0, 'latin1');
+    raf.writeUInt32BE(100, 84);
+    raf.writeUInt32BE(jpeg.length, 88);
+    jpeg.copy(raf, 100);
+
+    const preview = extractRawPreview(raf);
+    assert(preview && preview.width === 2000, 'expected the 2000px preview');
+    assert(preview.jpeg.length === jpeg.length, 'preview should end where the header says');
+    assert(preview.orientation === 1, 'RAF has no TIFF orientation');
+});
+
+test('finds nothing in a file without previews', () => {
+    assert(extractRawPreview(Buffer.alloc(1024)) === null, 'expected null');
+});
+
+console.log(`\n${passed} passed, ${failed} failed`);
+process.exit(failed > 0 ? 1 : 0);
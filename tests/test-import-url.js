@@ -0,0 +1,215 @@
+#!/usr/bin/env node
+
+/**
+ * Test the remote fetching behind /api/import-url against a local fixture server
+ * Run with: node tests/test-import-url.js
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { fetchRemoteFile, isPrivateAddress } = require('../server/src/import/RemoteFetcher');
+
+// 1x1 transparent PNG
+const PNG = Buffer.from(
+    'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg==',
+    'base64'
+);
+
+const routes = {
+    '/photo.png': (req, res) => {
+        res.writeHead(200, { 'Content-Type': 'image/png', 'Content-Length': PNG.length });
+        res.end(PNG);
+    },
+    '/no-extension': (req, res) => {
+        res.writeHead(200, { 'Content-Type': 'image/png' });
+        res.end(PNG);
+    },
+    '/octet.png': (req, res) => {
+        res.writeHead(200, { 'Content-Type': 'application/octet-stream' });
+        res.end(PNG);
+    },
+    '/IMG_0042.CR2': (req, res) => {
+        res.writeHead(200, { 'Content-Type': 'application/octet-stream' });
+        res.end(PNG);
+    },
+    '/layers': (req, res) => {
+        res.writeHead(200, { 'Content-Type': 'application/x-photoshop' });
+        res.end(PNG);
+    },
+    '/redirect': (req, res) => {
+        res.writeHead(302, { Location: '/photo.png' });
+        res.end();
+    },
+    '/loop': (req, res) => {
+        res.writeHead(302, { Location: '/loop' });
+        res.end();
+    },
+    '/page.html': (req, res) => {
+        res.writeHead(200, { 'Content-Type': 'text/html' });
+        res.end('<html></html>');
+    },
+    '/big.png': (req, res) => {
+        // No Content-Length, so the limit has to be caught while streaming
+        res.writeHead(200, { 'Content-Type': 'image/png' });
+        res.end(Buffer.alloc(4096));
+    },
+    '/empty.png': (req, res) => {
+        res.writeHead(200, { 'Content-Type': 'image/png' });
+        res.end();
+    },
+    '/missing.png': (req, res) => {
+        res.writeHead(404);
+        res.end();
+    }
+};
+
+let passed = 0;
+let failed = 0;
+
+async function test(name, fn) {
+    try {
+        await fn();
+        console.log(`✅ ${name}`);
+        passed++;
+    } catch (error) {
+        console.error(`❌ ${name}: ${error.message}`);
+        failed++;
+    }
+}
+
+function assert(condition, message) {
+    if (!condition) throw new Error(message);
+}
+
+async function expectStatus(promise, status) {
+    try {
+        await promise;
+    } catch (error) {
+        assert(error.status === status, `expected ${status}, got ${error.status} (${error.message})`);
+        return;
+    }
+    throw new Error(`expected ${status}, but the fetch succeeded`);
+}
+
+async function run() {
+    const server = http.createServer((req, res) => {
+        const route = routes[req.url];
+        if (route) {
+            route(req, res);
+        } else {
+            res.writeHead(404);
+            res.end();
+        }
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    const base = `http://127.0.0.1:${server.address().port}`;
+    const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'import-url-'));
+    const destination = (name) => path.join(tempDir, name);
+    const options = { allowPrivateHosts: true, timeout: 5000 };
+
+    try {
+        await test('downloads an image and hashes it', async () => {
+            const file = destination('photo');
+            const result = await fetchRemoteFile(`${base}/photo.png`, file, options);
+            const expected = crypto.createHash('sha256').update(PNG).digest('hex');
+
+            assert(result.hash === expected, 'hash does not match the served bytes');
+            assert(result.size === PNG.length, `size ${result.size}`);
+            assert(result.mimeType === 'image/png', `mimeType ${result.mimeType}`);
+            assert(result.originalName === 'photo.png', `originalName ${result.originalName}`);
+            assert(fs.readFileSync(file).equals(PNG), 'file on disk differs');
+        });
+
+        await test('follows redirects', async () => {
+            const result = await fetchRemoteFile(`${base}/redirect`, destination('redirect'), options);
+            assert(result.finalUrl === `${base}/photo.png`, `finalUrl ${result.finalUrl}`);
+        });
+
+        await test('adds an extension from Content-Type', async () => {
+            const result = await fetchRemoteFile(`${base}/no-extension`, destination('no-extension'), options);
+            assert(result.originalName === 'no-extension.png', `originalName ${result.originalName}`);
+        });
+
+        await test('falls back to the URL extension for octet-stream', async () => {
+            const result = await fetchRemoteFile(`${base}/octet.png`, destination('octet'), options);
+            assert(result.mimeType === 'image/png', `mimeType ${result.mimeType}`);
+        });
+
+        await test('types camera RAW and Photoshop files for conversion', async () => {
+            const raw = await fetchRemoteFile(`${base}/IMG_0042.CR2`, destination('raw'), options);
+            assert(raw.mimeType === 'image/x-canon-cr2', `RAW mimeType ${raw.mimeType}`);
+            assert(raw.originalName === 'IMG_0042.CR2', `RAW name ${raw.originalName}`);
+
+            const psd = await fetchRemoteFile(`${base}/layers`, destination('psd'), options);
+            assert(psd.mimeType === 'image/vnd.adobe.photoshop', `PSD mimeType ${psd.mimeType}`);
+            assert(psd.originalName === 'layers.psd', `PSD name ${psd.originalName}`);
+        });
+
+        await test('refuses non-media types with 415', async () => {
+            await expectStatus(fetchRemoteFile(`${base}/page.html`, destination('page'), options), 415);
+        });
+
+        await test('refuses files over maxBytes with 413 and removes them', async () => {
+            const file = destination('big');
+            await expectStatus(fetchRemoteFile(`${base}/big.png`, file, { ...options, maxBytes: 1024 }), 413);
+            assert(!fs.existsSync(file), 'partial download left behind');
+        });
+
+        await test('refuses empty files with 502', async () => {
+            await expectStatus(fetchRemoteFile(`${base}/empty.png`, destination('empty'), options), 502);
+        });
+
+        await test('reports remote errors with 502', async () => {
+            await expectStatus(fetchRemoteFile(`${base}/missing.png`, destination('missing'), options), 502);
+        });
+
+        await test('stops after too many redirects', async () => {
+            await expectStatus(fetchRemoteFile(`${base}/loop`, destination('loop'), options), 502);
+        });
+
+        await test('refuses private hosts by default', async () => {
+            await expectStatus(fetchRemoteFile(`${base}/photo.png`, destination('private'), { timeout: 5000 }), 400);
+        });
+
+        await test('refuses loopback written as IPv6', async () => {
+            const port = server.address().port;
+            for (const host of ['[::ffff:127.0.0.1]', '[::ffff:7f00:1]', '[::127.0.0.1]', '[64:ff9b::127.0.0.1]', '[::1]']) {
+                await expectStatus(fetchRemoteFile(`http://${host}:${port}/photo.png`, destination('ipv6'), { timeout: 5000 }), 400);
+            }
+        });
+
+        await test('checks host names while connecting', async () => {
+            const port = server.address().port;
+            await expectStatus(fetchRemoteFile(`http://localhost:${port}/photo.png`, destination('localhost'), { timeout: 5000 }), 400);
+        });
+
+        await test('refuses non-http URLs', async () => {
+            await expectStatus(fetchRemoteFile('file:///etc/passwd', destination('file'), options), 400);
+        });
+
+        await test('classifies private addresses', async () => {
+            for (const address of [
+                '127.0.0.1', '10.1.2.3', '172.16.0.1', '192.168.1.1', '169.254.169.254', '::1', 'fd00::1',
+                '::ffff:127.0.0.1', '::ffff:7f00:1', '::ffff:a9fe:a9fe', '::127.0.0.1', '::7f00:1',
+                '64:ff9b::7f00:1', '64:ff9b::10.0.0.1', 'fe80::1', 'not-an-address'
+            ]) {
+                assert(isPrivateAddress(address), `${address} should be private`);
+            }
+            for (const address of ['8.8.8.8', '172.32.0.1', '2606:4700::1111', '::ffff:808:808']) {
+                assert(!isPrivateAddress(address), `${address} should be public`);
+            }
+        });
+    } finally {
+        server.close();
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    }
+
+    console.log(`\n${passed} passed, ${failed} failed`);
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+run();
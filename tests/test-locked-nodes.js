@@ -0,0 +1,72 @@
+#!/usr/bin/env node
+
+/**
+ * Test that the server rejects node_move, node_rotate, node_resize,
+ * node_crop and node_reset on locked nodes
+ * Run with: node tests/test-locked-nodes.js
+ */
+
+const CanvasStateManager = require('../server/src/realtime/CanvasStateManager');
+
+let passed = 0;
+let failed = 0;
+
+async function test(name, fn) {
+    try {
+        await fn();
+        console.log(`✅ ${name}`);
+        passed++;
+    } catch (error) {
+        console.error(`❌ ${name}: ${error.message}`);
+        failed++;
+    }
+}
+
+function assert(condition, message) {
+    if (!condition) throw new Error(message);
+}
+
+const manager = new CanvasStateManager(null);
+
+function buildState({ locked }) {
+    return {
+        nodes: [
+            { id: 1, type: 'media/image', pos: [0, 0], size: [100, 100], properties: { locked } },
+            { id: 2, type: 'media/image', pos: [200, 0], size: [100, 100], properties: {} },
+            { id: 3, type: 'container/group', pos: [-10, -10], size: [120, 120], properties: { childNodes: [1] } }
+        ]
+    };
+}
+
+const operations = {
+    node_move: { nodeId: 1, pos: [10, 10] },
+    node_rotate: { nodeId: 1, angle: 45 },
+    node_resize: { nodeIds: [2, 1], sizes: [[50, 50], [50, 50]] },
+    node_crop: { nodeIds: [1], crops: [{ x: 0, y: 0, w: 0.5, h: 0.5 }] },
+    node_reset: { nodeIds: [1], resetRotation: true }
+};
+
+(async () => {
+    for (const [type, params] of Object.entries(operations)) {
+        await test(`${type} is rejected for a locked node`, async () => {
+            const result = await manager.validateOperation({ type, params }, buildState({ locked: true }));
+            assert(!result.valid && /locked/.test(result.error), `got ${JSON.stringify(result)}`);
+        });
+
+        await test(`${type} is accepted for an unlocked node`, async () => {
+            const result = await manager.validateOperation({ type, params }, buildState({ locked: false }));
+            assert(result.valid, `got ${JSON.stringify(result)}`);
+        });
+    }
+
+    await test('a locked node still resizes with its group', async () => {
+        const result = await manager.validateOperation({
+            type: 'node_resize',
+            params: { nodeIds: [3, 1], sizes: [[240, 240], [200, 200]] }
+        }, buildState({ locked: true }));
+        assert(result.valid, `got ${JSON.stringify(result)}`);
+    });
+
+    console.log(`\n${passed} passed, ${failed} failed`);
+    process.exit(failed > 0 ? 1 : 0);
+})();